@@ -0,0 +1,75 @@
+-- Create customer, account and transaction tables for core banking state
+
+-- Customers onboarded through the account opening workflow
+CREATE TABLE IF NOT EXISTS customers (
+    id UUID PRIMARY KEY,
+    personal_info JSONB NOT NULL,
+    identity_documents JSONB NOT NULL DEFAULT '[]'::jsonb,
+    kyc_status VARCHAR(50) NOT NULL DEFAULT 'NOT_STARTED',
+    risk_profile JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer accounts
+CREATE TABLE IF NOT EXISTS accounts (
+    id UUID PRIMARY KEY,
+    customer_id UUID NOT NULL REFERENCES customers(id),
+    account_number VARCHAR(50) UNIQUE NOT NULL,
+    account_type VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    balance DECIMAL(18,2) NOT NULL DEFAULT 0,
+    currency CHAR(3) NOT NULL,
+    opening_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    closing_date TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_closing_date CHECK (closing_date IS NULL OR closing_date > opening_date)
+);
+
+-- Processed transactions. account_id is not a foreign key because the
+-- transaction engine also books against accounts held outside this database.
+CREATE TABLE IF NOT EXISTS transactions (
+    id UUID PRIMARY KEY,
+    account_id UUID NOT NULL,
+    amount DECIMAL(18,2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    transaction_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    counterparty JSONB,
+    status VARCHAR(50) NOT NULL,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    aml_flags JSONB NOT NULL DEFAULT '[]'::jsonb,
+    fraud_score DECIMAL(5,4) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT positive_amount CHECK (amount > 0)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_customers_kyc_status ON customers(kyc_status);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_customer_id ON accounts(customer_id);
+CREATE INDEX IF NOT EXISTS idx_accounts_status ON accounts(status);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
+CREATE INDEX IF NOT EXISTS idx_transactions_processed_at ON transactions(processed_at);
+
+-- Keep updated_at current
+CREATE TRIGGER update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_accounts_updated_at
+    BEFORE UPDATE ON accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_transactions_updated_at
+    BEFORE UPDATE ON transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
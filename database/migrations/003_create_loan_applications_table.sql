@@ -0,0 +1,24 @@
+-- Create loan applications table
+
+CREATE TABLE IF NOT EXISTS loan_applications (
+    id UUID PRIMARY KEY,
+    customer_id UUID NOT NULL,
+    loan_type VARCHAR(50) NOT NULL,
+    requested_amount DECIMAL(18,2) NOT NULL,
+    purpose TEXT NOT NULL,
+    documents JSONB NOT NULL DEFAULT '[]'::jsonb,
+    credit_score INTEGER,
+    risk_assessment JSONB,
+    status VARCHAR(50) NOT NULL,
+    decision JSONB,
+    assigned_officer VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT positive_requested_amount CHECK (requested_amount > 0),
+    CONSTRAINT valid_credit_score CHECK (credit_score IS NULL OR credit_score BETWEEN 300 AND 850)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_applications_customer_id ON loan_applications(customer_id);
+CREATE INDEX IF NOT EXISTS idx_loan_applications_status ON loan_applications(status);
+CREATE INDEX IF NOT EXISTS idx_loan_applications_created_at ON loan_applications(created_at);
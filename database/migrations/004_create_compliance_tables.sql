@@ -0,0 +1,68 @@
+-- Create KYC, suspicious activity report and transaction exception tables
+
+-- One KYC record per customer; re-running KYC replaces the record
+CREATE TABLE IF NOT EXISTS kyc_records (
+    customer_id VARCHAR(100) PRIMARY KEY,
+    status VARCHAR(50) NOT NULL,
+    customer_data JSONB,
+    documents JSONB NOT NULL DEFAULT '[]'::jsonb,
+    verification_results JSONB NOT NULL DEFAULT '[]'::jsonb,
+    risk_assessment JSONB,
+    final_decision JSONB,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Suspicious Activity Reports filed by the AML module
+CREATE TABLE IF NOT EXISTS suspicious_activity_reports (
+    id UUID PRIMARY KEY,
+    transaction_id VARCHAR(100) NOT NULL,
+    customer_id VARCHAR(100) NOT NULL,
+    customer_name VARCHAR(255),
+    amount DECIMAL(18,2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    transaction_type VARCHAR(50),
+    flags JSONB NOT NULL DEFAULT '[]'::jsonb,
+    description TEXT,
+    filing_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    reported_by VARCHAR(100) NOT NULL,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Transactions flagged for manual review
+CREATE TABLE IF NOT EXISTS transaction_exceptions (
+    id UUID PRIMARY KEY,
+    transaction_id UUID NOT NULL,
+    exception_type VARCHAR(50) NOT NULL,
+    reason TEXT,
+    metadata JSONB,
+    status VARCHAR(50) NOT NULL,
+    assigned_reviewer VARCHAR(100),
+    resolution JSONB,
+    flagged_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_records_status ON kyc_records(status);
+
+CREATE INDEX IF NOT EXISTS idx_sars_customer_id ON suspicious_activity_reports(customer_id);
+CREATE INDEX IF NOT EXISTS idx_sars_transaction_id ON suspicious_activity_reports(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_sars_filing_date ON suspicious_activity_reports(filing_date);
+
+CREATE INDEX IF NOT EXISTS idx_exceptions_transaction_id ON transaction_exceptions(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_exceptions_status ON transaction_exceptions(status);
+
+CREATE TRIGGER update_kyc_records_updated_at
+    BEFORE UPDATE ON kyc_records
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_transaction_exceptions_updated_at
+    BEFORE UPDATE ON transaction_exceptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
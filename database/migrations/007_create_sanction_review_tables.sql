@@ -0,0 +1,54 @@
+-- Create sanctions match review queue and false-positive whitelist
+
+-- One review per potential match; repeat hits on the same party and list
+-- entry are appended to transaction_ids while the review is pending
+CREATE TABLE IF NOT EXISTS sanction_match_reviews (
+    id UUID PRIMARY KEY,
+    status VARCHAR(50) NOT NULL,
+    subject VARCHAR(50) NOT NULL,
+    party_id VARCHAR(255) NOT NULL,
+    party_name VARCHAR(255),
+    customer_id VARCHAR(100),
+    list_name VARCHAR(100) NOT NULL,
+    entry_id VARCHAR(255) NOT NULL,
+    matched_name VARCHAR(255),
+    score DECIMAL(5,4),
+    match_type VARCHAR(50),
+    match_details JSONB,
+    transaction_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+    decision_reason TEXT,
+    decided_by VARCHAR(100),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    whitelist_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Party / list entry pairs discarded as false positives. Revoked entries are
+-- kept for the audit trail.
+CREATE TABLE IF NOT EXISTS sanction_whitelist (
+    id UUID PRIMARY KEY,
+    party_id VARCHAR(255) NOT NULL,
+    party_name VARCHAR(255),
+    list_name VARCHAR(100) NOT NULL,
+    entry_id VARCHAR(255) NOT NULL,
+    matched_name VARCHAR(255),
+    reason TEXT NOT NULL,
+    review_id UUID REFERENCES sanction_match_reviews(id),
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_by VARCHAR(100),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoke_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sanction_reviews_status ON sanction_match_reviews(status);
+CREATE INDEX IF NOT EXISTS idx_sanction_reviews_party ON sanction_match_reviews(party_id, list_name, entry_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sanction_whitelist_active
+    ON sanction_whitelist(party_id, list_name, entry_id) WHERE revoked_at IS NULL;
+
+CREATE TRIGGER update_sanction_match_reviews_updated_at
+    BEFORE UPDATE ON sanction_match_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,21 @@
+-- Create customer risk rating history
+
+-- A row is added each time a customer's rating changes or a KYC review is
+-- recorded; the latest row per customer is the current rating
+CREATE TABLE IF NOT EXISTS customer_risk_profiles (
+    id UUID PRIMARY KEY,
+    customer_id VARCHAR(100) NOT NULL,
+    score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+    category VARCHAR(20) NOT NULL,
+    monitoring VARCHAR(50),
+    factors JSONB NOT NULL DEFAULT '{}'::jsonb,
+    trigger VARCHAR(50) NOT NULL,
+    previous_category VARCHAR(20),
+    review_frequency_months INTEGER NOT NULL,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    next_review_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    calculated_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_risk_profiles_customer ON customer_risk_profiles(customer_id, calculated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_customer_risk_profiles_next_review ON customer_risk_profiles(next_review_date);
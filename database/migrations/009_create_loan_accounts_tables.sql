@@ -0,0 +1,53 @@
+-- Create loan accounts and repayments for loan servicing
+
+ALTER TABLE loan_applications ADD COLUMN IF NOT EXISTS requested_tenure INTEGER;
+
+-- One account per booked application. The amortization schedule, including
+-- what has been paid against each installment, is kept as JSONB.
+CREATE TABLE IF NOT EXISTS loan_accounts (
+    id UUID PRIMARY KEY,
+    application_id UUID NOT NULL UNIQUE REFERENCES loan_applications(id),
+    customer_id UUID NOT NULL,
+    loan_type VARCHAR(50) NOT NULL,
+    principal DECIMAL(18,2) NOT NULL,
+    interest_rate DECIMAL(6,3) NOT NULL,
+    tenure_months INTEGER NOT NULL,
+    emi DECIMAL(18,2) NOT NULL,
+    total_interest DECIMAL(18,2) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    disbursed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    first_due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    maturity_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    principal_outstanding DECIMAL(18,2) NOT NULL,
+    schedule JSONB NOT NULL DEFAULT '[]'::jsonb,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT positive_loan_principal CHECK (principal > 0),
+    CONSTRAINT positive_loan_tenure CHECK (tenure_months > 0)
+);
+
+CREATE TABLE IF NOT EXISTS loan_repayments (
+    id UUID PRIMARY KEY,
+    loan_id UUID NOT NULL REFERENCES loan_accounts(id),
+    amount DECIMAL(18,2) NOT NULL,
+    paid_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reference VARCHAR(255),
+    channel VARCHAR(50),
+    allocation JSONB NOT NULL,
+    installments JSONB NOT NULL DEFAULT '[]'::jsonb,
+    posted_by VARCHAR(100) NOT NULL,
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT positive_repayment_amount CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_accounts_customer_id ON loan_accounts(customer_id);
+CREATE INDEX IF NOT EXISTS idx_loan_accounts_status ON loan_accounts(status);
+CREATE INDEX IF NOT EXISTS idx_loan_repayments_loan_id ON loan_repayments(loan_id, paid_at);
+
+CREATE TRIGGER update_loan_accounts_updated_at
+    BEFORE UPDATE ON loan_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- Record loan disbursement progress on the application
+
+-- Sanctioned and disbursed amounts, processing fee and the tranches released,
+-- with the pipeline transaction IDs that credited the borrower
+ALTER TABLE loan_applications ADD COLUMN IF NOT EXISTS disbursement JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_loan_applications_disbursement_status ON loan_applications((disbursement->>'status'));
@@ -0,0 +1,7 @@
+-- Record delinquency status on loan accounts
+
+-- Days past due, SMA/NPA bucket, asset classification, NPA date and provision
+-- as of the last daily delinquency run
+ALTER TABLE loan_accounts ADD COLUMN IF NOT EXISTS delinquency JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_loan_accounts_delinquency_bucket ON loan_accounts((delinquency->>'bucket'));
@@ -0,0 +1,10 @@
+-- Fixed and floating interest rates on loan applications and loan accounts
+
+ALTER TABLE loan_applications ADD COLUMN IF NOT EXISTS rate_type VARCHAR(20);
+
+-- pricing holds the itemized rate breakdown; for floating-rate loans also the
+-- benchmark, the spread fixed at sanction, the next reset date and rate history
+ALTER TABLE loan_accounts ADD COLUMN IF NOT EXISTS rate_type VARCHAR(20) NOT NULL DEFAULT 'FIXED';
+ALTER TABLE loan_accounts ADD COLUMN IF NOT EXISTS pricing JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_loan_accounts_floating ON loan_accounts(rate_type) WHERE status = 'ACTIVE';
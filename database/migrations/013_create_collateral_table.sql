@@ -0,0 +1,38 @@
+-- Collateral registry and loan-to-value monitoring
+
+-- Collateral is pledged to one application at a time and linked to the loan
+-- booked for it. valuations keeps every valuation, oldest first; value and
+-- valuation_date are the current one.
+CREATE TABLE IF NOT EXISTS collateral (
+    id UUID PRIMARY KEY,
+    customer_id UUID NOT NULL,
+    collateral_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    currency VARCHAR(3) NOT NULL,
+    value DECIMAL(18,2) NOT NULL,
+    valuation_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    valued_by VARCHAR(255),
+    valuations JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status VARCHAR(20) NOT NULL,
+    application_id UUID REFERENCES loan_applications(id),
+    loan_id UUID REFERENCES loan_accounts(id),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT positive_collateral_value CHECK (value > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collateral_customer_id ON collateral(customer_id);
+CREATE INDEX IF NOT EXISTS idx_collateral_application_id ON collateral(application_id);
+CREATE INDEX IF NOT EXISTS idx_collateral_loan_id ON collateral(loan_id);
+
+CREATE TRIGGER update_collateral_updated_at
+    BEFORE UPDATE ON collateral
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- LTV from the last check: ratio, limit, collateral value and breach flag
+ALTER TABLE loan_accounts ADD COLUMN IF NOT EXISTS ltv JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_loan_accounts_ltv_breached ON loan_accounts(((ltv->>'breached')::boolean)) WHERE status = 'ACTIVE';
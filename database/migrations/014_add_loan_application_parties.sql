@@ -0,0 +1,6 @@
+-- Co-applicants and guarantors on loan applications. Each party holds its
+-- role, declared income and the credit score pulled for it at underwriting.
+
+ALTER TABLE loan_applications ADD COLUMN IF NOT EXISTS parties JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_loan_applications_parties ON loan_applications USING GIN (parties jsonb_path_ops);
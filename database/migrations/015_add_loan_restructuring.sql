@@ -0,0 +1,7 @@
+-- Prepayment, foreclosure and restructuring on loan accounts
+
+-- restructurings holds each restructuring's extension, moratorium, capitalized
+-- interest and the EMI and maturity it replaced
+ALTER TABLE loan_accounts ADD COLUMN IF NOT EXISTS restructurings JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE loan_repayments ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'INSTALLMENT';
@@ -0,0 +1,12 @@
+-- Customer risk scoring inputs kept between ratings
+
+-- transactions holds the behaviour window (transactionId, amount,
+-- counterparty, timestamp) scored by the transaction behaviour factor;
+-- reviewed_before_rating_at is a KYC review completed before the customer's
+-- first rating, which anchors that rating's next review date
+CREATE TABLE IF NOT EXISTS customer_risk_activity (
+    customer_id VARCHAR(100) PRIMARY KEY,
+    transactions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    reviewed_before_rating_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
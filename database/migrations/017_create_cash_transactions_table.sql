@@ -0,0 +1,23 @@
+-- Cash transactions kept for Cash Transaction Reports
+
+-- amount is in the transaction currency; reporting_amount is the same amount
+-- converted to the CTR threshold currency at the time the transaction was
+-- screened, and is what a customer's daily total is compared against
+CREATE TABLE IF NOT EXISTS cash_transactions (
+    transaction_id VARCHAR(100) PRIMARY KEY,
+    account_id VARCHAR(100),
+    customer_id VARCHAR(100) NOT NULL,
+    customer JSONB NOT NULL DEFAULT '{}'::jsonb,
+    amount DECIMAL(18, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    reporting_amount DECIMAL(18, 2) NOT NULL,
+    reporting_currency VARCHAR(3) NOT NULL,
+    exchange_rate DECIMAL(18, 8) NOT NULL,
+    transaction_type VARCHAR(50) NOT NULL,
+    debit_credit CHAR(1) NOT NULL,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_transactions_occurred ON cash_transactions(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_cash_transactions_customer ON cash_transactions(customer_id, occurred_at);
@@ -0,0 +1,20 @@
+-- Payments held outside their rail's settlement window
+
+-- A payment stays WAREHOUSED until its scheduled_for slot arrives; the release
+-- job claims due rows as RELEASING before sending them, then records the
+-- status the network returned (PROCESSING, COMPLETED or FAILED). A failed
+-- release returns the row to WAREHOUSED, and a RELEASING claim left by a run
+-- that died is claimed again once stale
+CREATE TABLE IF NOT EXISTS warehoused_payments (
+    transaction_id VARCHAR(100) PRIMARY KEY,
+    network VARCHAR(20) NOT NULL,
+    payment_instruction JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'WAREHOUSED',
+    warehoused_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_warehoused_payments_due ON warehoused_payments(network, scheduled_for) WHERE status = 'WAREHOUSED';
@@ -0,0 +1,51 @@
+-- Scheduled payments and recurring standing instructions
+
+-- next_execution_date is the occurrence the scheduler pays next; attempts and
+-- next_attempt_at track insufficient-funds retries of that occurrence, and
+-- reminder_sent_for the occurrence the customer was last reminded of
+CREATE TABLE IF NOT EXISTS standing_instructions (
+    id UUID PRIMARY KEY,
+    from_account_id UUID NOT NULL,
+    to_account_id VARCHAR(100) NOT NULL,
+    amount DECIMAL(18,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    payment_type VARCHAR(50) NOT NULL,
+    description TEXT,
+    frequency VARCHAR(20) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    occurrences INTEGER,
+    status VARCHAR(20) NOT NULL,
+    occurrence_index INTEGER NOT NULL DEFAULT 0,
+    next_execution_date DATE,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    reminder_sent_for DATE,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    paused_reason TEXT,
+    cancellation_reason TEXT,
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT positive_standing_instruction_amount CHECK (amount > 0),
+    CONSTRAINT positive_standing_instruction_occurrences CHECK (occurrences IS NULL OR occurrences > 0)
+);
+
+-- One row per occurrence paid, failed or skipped, in the order recorded
+CREATE TABLE IF NOT EXISTS standing_instruction_history (
+    instruction_id UUID NOT NULL REFERENCES standing_instructions(id),
+    sequence INTEGER NOT NULL,
+    execution_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    payment_id UUID,
+    reason TEXT,
+    skipped_by VARCHAR(100),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    PRIMARY KEY (instruction_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_standing_instructions_from_account ON standing_instructions(from_account_id);
+CREATE INDEX IF NOT EXISTS idx_standing_instructions_open ON standing_instructions(next_execution_date) WHERE status IN ('ACTIVE', 'PAUSED');
@@ -0,0 +1,53 @@
+-- Double-entry general ledger: accounts, journal entries and their postings
+
+-- id is the customer account UUID for deposit accounts and SYSTEM:<name>:<currency>
+-- for the bank-side contra accounts. balance is on the account's normal side.
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    account_type VARCHAR(20) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    normal_side VARCHAR(10) NOT NULL,
+    allow_negative_balance BOOLEAN NOT NULL DEFAULT FALSE,
+    balance DECIMAL(18,2) NOT NULL DEFAULT 0,
+    total_debits DECIMAL(18,2) NOT NULL DEFAULT 0,
+    total_credits DECIMAL(18,2) NOT NULL DEFAULT 0,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    opened_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT non_negative_ledger_balance CHECK (allow_negative_balance OR balance >= 0)
+);
+
+-- reference is the transaction the entry was posted for
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id UUID PRIMARY KEY,
+    description TEXT NOT NULL DEFAULT '',
+    reference VARCHAR(100),
+    currency CHAR(3) NOT NULL,
+    amount DECIMAL(18,2) NOT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    reversal_of UUID REFERENCES journal_entries(id),
+    reversed_by UUID REFERENCES journal_entries(id),
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT positive_journal_entry_amount CHECK (amount > 0)
+);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id UUID PRIMARY KEY,
+    entry_id UUID NOT NULL REFERENCES journal_entries(id),
+    sequence INTEGER NOT NULL,
+    account_id VARCHAR(100) NOT NULL REFERENCES ledger_accounts(id),
+    direction VARCHAR(10) NOT NULL,
+    amount DECIMAL(18,2) NOT NULL,
+    balance_after DECIMAL(18,2) NOT NULL,
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT positive_posting_amount CHECK (amount > 0),
+    CONSTRAINT unique_posting_sequence UNIQUE (entry_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_posted_at ON journal_entries(posted_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id, posted_at);
@@ -0,0 +1,5 @@
+-- Debit a scheduled payment run claimed the current occurrence for. It is
+-- stored before the debit is posted, so a run that stops part way is settled
+-- from the ledger by the next run instead of paying the occurrence twice.
+
+ALTER TABLE standing_instructions ADD COLUMN IF NOT EXISTS pending_transaction_id UUID;
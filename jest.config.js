@@ -4,7 +4,8 @@ module.exports = {
   testMatch: ['**/__tests__/**/*.js', '**/*.spec.js', '**/*.test.js'],
   testPathIgnorePatterns: [
     '/node_modules/',
-    '/src/config/environments/'
+    '/src/config/environments/',
+    '/src/__tests__/helpers/'
   ],
   collectCoverageFrom: [
     'src/**/*.js',
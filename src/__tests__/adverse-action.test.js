@@ -0,0 +1,140 @@
+// Unit tests for adverse-action reason codes and notices
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanProcessingModule, UnderwritingEngine, LoanDecisionNotifier } = require('../modules/loan-processing');
+const { DocumentType, AdverseActionCode, UnderwritingOutcome } = require('../shared/types');
+const { createLoanApplication, recordDecision } = require('./helpers/loan-fixtures');
+
+const OFFICER_ID = uuidv4();
+const NEW_CUSTOMER = { relationshipProfile: { accountAgeMonths: 0, monthlyTransactions: 0, products: 0 } };
+const WEAK_INCOME = { monthlyIncome: 4500, employmentType: 'self_employed', employmentTenureMonths: 3 };
+
+describe('Adverse Action', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new UnderwritingEngine();
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Reason codes', () => {
+    test('should code every failed rule with how far it missed, most severe first', () => {
+      const application = createLoanApplication({ amount: 1200000, tenure: 24, documents: [DocumentType.INCOME_PROOF] });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 620 }, { monthlyIncome: 40000 });
+
+      expect(decision.adverseActionReasons.map(reason => reason.code)).toEqual([
+        AdverseActionCode.INCOMPLETE_APPLICATION,
+        AdverseActionCode.CREDIT_SCORE
+      ]);
+      expect(decision.adverseActionReasons[1]).toEqual({
+        code: AdverseActionCode.CREDIT_SCORE,
+        description: 'Credit score below our requirements',
+        ruleName: 'Minimum Credit Score',
+        value: 620,
+        threshold: 650,
+        shortfall: 30,
+        severity: 0.0462
+      });
+      expect(decision.reason).toContain('Credit score 620 below minimum requirement of 650');
+    });
+
+    test('should cap the reasons cited at the configured maximum', () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.underwriting.adverseAction.maximumReasons = 1;
+      config.businessRules['loan-processing'] = rules;
+
+      const decision = engine.makeDecision(createLoanApplication({ amount: 1200000, tenure: 24, documents: [] }), { success: true, creditScore: 620 }, { monthlyIncome: 40000 });
+
+      expect(decision.adverseActionReasons).toEqual([expect.objectContaining({ code: AdverseActionCode.INCOMPLETE_APPLICATION, severity: 1 })]);
+    });
+
+    test('should code a missing credit score and decision matrix rejections', () => {
+      const unscored = engine.makeDecision(createLoanApplication({ tenure: 24 }), { success: false });
+      const flagged = engine.makeDecision(createLoanApplication({ tenure: 24 }), { success: true, creditScore: 660 }, { monthlyIncome: 100000 }, { fraudAlert: true });
+
+      expect(unscored.adverseActionReasons.map(reason => reason.code)).toEqual([AdverseActionCode.CREDIT_HISTORY_UNAVAILABLE]);
+      expect(flagged.outcome).toBe(UnderwritingOutcome.REJECT);
+      expect(flagged.adverseActionReasons).toEqual([expect.objectContaining({ code: AdverseActionCode.UNVERIFIABLE_INFORMATION, ruleName: 'fraudAlert' })]);
+    });
+
+    test('should code a decline caused by an underwriting error', () => {
+      jest.spyOn(engine, 'applyUnderwritingRules').mockImplementation(() => {
+        throw new Error('Rules unavailable');
+      });
+
+      const decision = engine.makeDecision(createLoanApplication({ tenure: 24 }), { success: true, creditScore: 760 }, { monthlyIncome: 100000 });
+
+      expect(decision).toEqual(expect.objectContaining({ approved: false, reason: 'Underwriting error: Rules unavailable' }));
+      expect(decision.adverseActionReasons).toEqual([expect.objectContaining({
+        code: AdverseActionCode.PROCESSING_ERROR,
+        description: 'Unable to complete the evaluation of the application'
+      })]);
+    });
+
+    test('should cite the scorecard factors that cost the most points when the score is in the reject band', () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.underwriting.decisionMatrix.reject.maxScore = 50;
+      config.businessRules['loan-processing'] = rules;
+
+      const decision = engine.makeDecision(createLoanApplication({ tenure: 24 }), { success: true, creditScore: 655 }, WEAK_INCOME, NEW_CUSTOMER);
+
+      expect(decision.outcome).toBe(UnderwritingOutcome.REJECT);
+      expect(decision.adverseActionReasons.map(reason => reason.code)).toEqual([
+        AdverseActionCode.LIMITED_RELATIONSHIP,
+        AdverseActionCode.INSUFFICIENT_INCOME,
+        AdverseActionCode.INSUFFICIENT_COLLATERAL
+      ]);
+      expect(decision.adverseActionReasons[0]).toEqual(expect.objectContaining({ ruleName: 'Scorecard: relationship', value: 27, threshold: 60 }));
+    });
+
+    test('should carry no reason codes on approvals and referrals', () => {
+      const referred = engine.makeDecision(createLoanApplication({ tenure: 24 }), { success: true, creditScore: 655 }, WEAK_INCOME, NEW_CUSTOMER);
+
+      expect(referred.outcome).toBe(UnderwritingOutcome.REFER);
+      expect(referred.adverseActionReasons).toEqual([]);
+    });
+  });
+
+  describe('Officer review', () => {
+    test('should code a decline at review from the officer or the weakest scorecard factors', async () => {
+      const auditService = new AuditService();
+      const loanProcessing = new LoanProcessingModule({ auditService });
+      const [scored, coded] = [createLoanApplication({ tenure: 24 }), createLoanApplication({ tenure: 24 })].map(application =>
+        recordDecision(application, engine.makeDecision(application, { success: true, creditScore: 655 }, WEAK_INCOME, NEW_CUSTOMER), OFFICER_ID));
+
+      await expect(loanProcessing.signOffApplication(coded, OFFICER_ID, { reasonCodes: ['AA99'] })).rejects.toThrow('Invalid adverse-action reason code: AA99');
+      await loanProcessing.signOffApplication(scored, OFFICER_ID, { comments: 'Thin relationship' });
+      await loanProcessing.signOffApplication(coded, OFFICER_ID, { reasonCodes: [AdverseActionCode.EXCESSIVE_OBLIGATIONS] });
+
+      expect(scored.decision.adverseActionReasons[0].code).toBe(AdverseActionCode.LIMITED_RELATIONSHIP);
+      expect(coded.decision.adverseActionReasons).toEqual([expect.objectContaining({
+        code: AdverseActionCode.EXCESSIVE_OBLIGATIONS,
+        description: 'Excessive obligations in relation to income'
+      })]);
+      const [entry] = await auditService.getAuditTrail('LOAN', coded.applicationId);
+      expect(entry.afterState).toEqual({ comments: null, reasonCodes: [AdverseActionCode.EXCESSIVE_OBLIGATIONS] });
+    });
+  });
+
+  describe('Notice', () => {
+    test('should render an adverse-action notice from the reason codes', () => {
+      const application = createLoanApplication({ amount: 1200000, tenure: 24, documents: [DocumentType.INCOME_PROOF] });
+      const decision = engine.makeDecision(application, { success: true, creditScore: 620 }, { monthlyIncome: 40000 });
+
+      const message = new LoanDecisionNotifier().createDecisionMessage(application, decision);
+
+      expect(message.subject).toBe('Loan Application Decision');
+      expect(message.email).toContain('- AA06: Incomplete application\n- AA02: Credit score below our requirements');
+      expect(message.email).toContain('Credit score used in our decision: 620');
+      expect(message.email).toContain('if you request it within 60 days');
+      expect(message.email).not.toContain('Reason:');
+      expect(message.sms).toContain('Reason codes: AA06, AA02');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// Unit tests for the hash-chained Audit Service
+
+const { v4: uuidv4 } = require('uuid');
+const AuditService = require('../services/audit-service');
+const { GENESIS_HASH, computeAuditHash } = require('../services/audit-service');
+const { AuditLogRepository } = require('../database/repositories');
+
+const SYSTEM_USER = '00000000-0000-0000-0000-000000000000';
+
+// Stands in for the audit_logs table: stores rows as plain JSON like JSONB would
+const createFakeRepository = () => {
+  const rows = [];
+  return {
+    rows,
+    append: jest.fn(async (auditLog, seal) => {
+      const head = rows[rows.length - 1];
+      seal(head ? { sequenceNumber: head.sequenceNumber, hash: head.hash } : null);
+      rows.push(JSON.parse(JSON.stringify(auditLog)));
+      return auditLog;
+    }),
+    findChain: jest.fn(async (afterSequence, limit) =>
+      rows.filter(row => row.sequenceNumber > afterSequence).slice(0, limit)
+    ),
+    findByEntity: jest.fn(async (entityType, entityId) =>
+      rows.filter(row => row.entityType === entityType && row.entityId === entityId)
+    ),
+    findAll: jest.fn(async () => [...rows].reverse())
+  };
+};
+
+describe('Audit Service', () => {
+  let auditService;
+
+  const logTransaction = (afterState = { amount: 100 }) =>
+    auditService.log('TRANSACTION', uuidv4(), 'PROCESSED', SYSTEM_USER, null, afterState);
+
+  beforeEach(() => {
+    auditService = new AuditService();
+  });
+
+  describe('Hash chain', () => {
+    test('should link each entry to the previous one', async () => {
+      const first = await logTransaction();
+      const second = await logTransaction();
+
+      expect(first.sequenceNumber).toBe(1);
+      expect(first.previousHash).toBe(GENESIS_HASH);
+      expect(second.sequenceNumber).toBe(2);
+      expect(second.previousHash).toBe(first.hash);
+      expect(second.hash).toBe(computeAuditHash(second));
+    });
+
+    test('should keep the chain linear under concurrent writes', async () => {
+      await Promise.all(Array.from({ length: 10 }, () => logTransaction()));
+
+      const sequenceNumbers = Array.from(auditService.auditLogs.values()).map(log => log.sequenceNumber);
+      expect(sequenceNumbers.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      expect((await auditService.verifyChain()).valid).toBe(true);
+    });
+
+    test('should snapshot state so later changes to the source object are not recorded', async () => {
+      const transaction = { amount: 100 };
+      const entry = await logTransaction(transaction);
+
+      transaction.amount = 999;
+
+      expect(entry.afterState.amount).toBe(100);
+      expect((await auditService.verifyChain()).valid).toBe(true);
+    });
+
+    test('should hash identical content identically regardless of key order', () => {
+      const entry = {
+        sequenceNumber: 1,
+        logId: uuidv4(),
+        entityType: 'ACCOUNT',
+        entityId: uuidv4(),
+        action: 'CREATED',
+        performedBy: SYSTEM_USER,
+        timestamp: new Date(),
+        beforeState: null,
+        afterState: { a: 1, b: 2 },
+        metadata: {},
+        previousHash: GENESIS_HASH
+      };
+
+      expect(computeAuditHash(entry)).toBe(computeAuditHash({ ...entry, afterState: { b: 2, a: 1 } }));
+    });
+  });
+
+  describe('Chain verification', () => {
+    beforeEach(async () => {
+      for (let i = 0; i < 5; i++) {
+        await logTransaction({ amount: (i + 1) * 100 });
+      }
+    });
+
+    const entryAt = (sequenceNumber) =>
+      Array.from(auditService.auditLogs.values()).find(log => log.sequenceNumber === sequenceNumber);
+
+    test('should report an intact chain', async () => {
+      const result = await auditService.verifyChain();
+
+      expect(result.valid).toBe(true);
+      expect(result.entriesChecked).toBe(5);
+      expect(result.firstBrokenLink).toBeNull();
+    });
+
+    test('should report the first altered entry', async () => {
+      entryAt(3).afterState.amount = 1;
+      entryAt(4).afterState.amount = 1;
+
+      const result = await auditService.verifyChain();
+
+      expect(result.valid).toBe(false);
+      expect(result.firstBrokenLink.sequenceNumber).toBe(3);
+      expect(result.firstBrokenLink.reason).toBe('HASH_MISMATCH');
+    });
+
+    test('should detect an altered entry whose hash was recomputed', async () => {
+      const entry = entryAt(2);
+      entry.afterState.amount = 1;
+      entry.hash = computeAuditHash(entry);
+
+      const result = await auditService.verifyChain();
+
+      expect(result.firstBrokenLink.sequenceNumber).toBe(3);
+      expect(result.firstBrokenLink.reason).toBe('PREVIOUS_HASH_MISMATCH');
+    });
+
+    test('should detect a removed entry', async () => {
+      auditService.auditLogs.delete(entryAt(4).logId);
+
+      const result = await auditService.verifyChain();
+
+      expect(result.firstBrokenLink.sequenceNumber).toBe(5);
+      expect(result.firstBrokenLink.reason).toBe('SEQUENCE_GAP');
+      expect(result.firstBrokenLink.previousSequenceNumber).toBe(3);
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should append through the repository and verify from it in batches', async () => {
+      const repository = createFakeRepository();
+      auditService = new AuditService(repository);
+
+      for (let i = 0; i < 5; i++) {
+        await logTransaction();
+      }
+      const result = await auditService.verifyChain({ batchSize: 2 });
+
+      expect(repository.append).toHaveBeenCalledTimes(5);
+      expect(repository.findChain).toHaveBeenCalledTimes(3);
+      expect(result.valid).toBe(true);
+      expect(result.entriesChecked).toBe(5);
+    });
+
+    test('should detect tampering in persisted rows', async () => {
+      const repository = createFakeRepository();
+      auditService = new AuditService(repository);
+      await logTransaction();
+      await logTransaction();
+
+      repository.rows[0].action = 'DELETED';
+
+      const result = await auditService.verifyChain();
+      expect(result.firstBrokenLink).toEqual(expect.objectContaining({ sequenceNumber: 1, reason: 'HASH_MISMATCH' }));
+    });
+
+    test('should fail the log call when the entry cannot be persisted', async () => {
+      const repository = createFakeRepository();
+      repository.append.mockRejectedValueOnce(new Error('connection lost'));
+      auditService = new AuditService(repository);
+
+      await expect(logTransaction()).rejects.toThrow('connection lost');
+      expect((await logTransaction()).sequenceNumber).toBe(1);
+    });
+
+    test('AuditLogRepository should lock, read the head and insert in one transaction', async () => {
+      const db = {
+        query: jest.fn().mockResolvedValue({ rows: [] }),
+        queryOne: jest.fn()
+          .mockResolvedValueOnce({ sequence_number: '41', hash: 'a'.repeat(64) })
+          .mockImplementationOnce(async (sql, params) => ({
+            sequence_number: String(params[0]),
+            log_id: params[1],
+            previous_hash: params[10],
+            hash: params[11]
+          })),
+        queryMany: jest.fn()
+      };
+      db.transaction = jest.fn(async (callback) => callback(db));
+      const repository = new AuditLogRepository(db);
+      auditService = new AuditService(repository);
+
+      const entry = await logTransaction();
+
+      expect(db.query.mock.calls[0][0]).toContain('pg_advisory_xact_lock');
+      expect(db.queryOne.mock.calls[1][0]).toContain('INSERT INTO audit_logs');
+      expect(entry.sequenceNumber).toBe(42);
+      expect(entry.previousHash).toBe('a'.repeat(64));
+    });
+  });
+});
@@ -0,0 +1,301 @@
+// Unit tests for bulk salary and vendor payment files: parsing, per-row
+// validation, approval and execution through the payment rail selector
+
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { BulkPaymentModule } = require('../modules/bulk-payments');
+const { BulkPaymentFileParser, BulkFileFormat } = require('../services/bulk-payment-files');
+const { PaymentRailSelector } = require('../services/payment-network-adapters');
+const { BulkPaymentStatus, PaymentStatus, PaymentRail, PaymentType } = require('../shared/types');
+
+// Inside the NEFT, RTGS and IMPS windows (IST)
+const OPEN = new Date('2026-10-19T11:00:00+05:30');
+
+const SALARY_CSV = [
+  'Employee Name,Account Number,IFSC Code,Amount,Narration,Payment Mode',
+  'Asha Rao,123456789012,HDFC0001234,85000.50,"Salary Oct, 2026",',
+  'Vikram Shah,234567890123,icic0004321,250000,Salary Oct 2026,',
+  'Meera Iyer,3456,SBIN0000001,12.345,Salary Oct 2026,',
+  'Asha Rao,123456789012,HDFC0001234,85000.50,"Salary Oct, 2026",',
+  'Ravi Kumar,456789012345,UTIB0000007,40000,Salary Oct 2026,UPI',
+  '',
+  'Neha Singh,567890123456,KKBK0000958,500,Salary Oct 2026,'
+].join('\r\n');
+
+/**
+ * Minimal .xlsx workbook (stored, uncompressed parts except the sheet) with
+ * one sheet of shared-string and numeric cells
+ */
+function buildWorkbook(rows) {
+  const strings = [];
+  const cell = (value, column, rowNumber) => {
+    const reference = `${String.fromCharCode(65 + column)}${rowNumber}`;
+    if (typeof value === 'number') {
+      return `<c r="${reference}"><v>${value}</v></c>`;
+    }
+    strings.push(value.replace(/&/g, '&amp;'));
+    return `<c r="${reference}" t="s"><v>${strings.length - 1}</v></c>`;
+  };
+  const sheetRows = rows.map((values, index) =>
+    `<row r="${index + 1}">${values.map((value, column) => cell(value, column, index + 1)).join('')}</row>`);
+
+  const parts = {
+    'xl/workbook.xml': '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Salaries" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/salaries.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${strings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/salaries.xml': `<worksheet><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+  };
+
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(parts)) {
+    const raw = Buffer.from(text, 'utf8');
+    const method = name.includes('worksheets') ? 8 : 0;
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const nameBytes = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(zlib.crc32(raw), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(zlib.crc32(raw), 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 8);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * NACH credit file in the configured fixed-width layout
+ */
+function buildNACH(records, totals = {}) {
+  const pad = (value, length) => String(value).padEnd(length).slice(0, length);
+  const zeros = (value, length) => String(value).padStart(length, '0');
+  const paise = records.reduce((sum, record) => sum + record.paise, 0);
+
+  const header = '12' + pad('ACME INDUSTRIES', 40) +
+    zeros(totals.items ?? records.length, 9) + zeros(totals.paise ?? paise, 13);
+  const details = records.map(record => '22' + pad(record.ifscCode, 11) + pad(record.accountNumber, 35) +
+    pad(record.name, 40) + zeros(record.paise, 13) + pad(record.reference, 30));
+
+  return [header, ...details].join('\n') + '\n';
+}
+
+describe('Bulk Payment Files', () => {
+  const parser = new BulkPaymentFileParser();
+
+  test('should read CSV rows by header alias, keeping quoted commas and spreadsheet row numbers', () => {
+    const { format, rows } = parser.parse({ fileName: 'salaries-oct.csv', content: Buffer.from(SALARY_CSV) });
+
+    expect(format).toBe(BulkFileFormat.CSV);
+    expect(rows).toHaveLength(6);
+    expect(rows[0]).toEqual({
+      rowNumber: 2,
+      beneficiaryName: 'Asha Rao',
+      accountNumber: '123456789012',
+      ifscCode: 'HDFC0001234',
+      amount: '85000.50',
+      reference: 'Salary Oct, 2026',
+      paymentMode: ''
+    });
+    expect(rows[5].rowNumber).toBe(8);
+    expect(() => parser.parse({ fileName: 'vendors.csv', content: 'Name,Amount\nAcme,100\n' }))
+      .toThrow('Bulk payment file is missing required columns: accountNumber, ifscCode');
+    expect(() => parser.parse({ fileName: 'vendors.xls', content: '' })).toThrow('Cannot tell the format');
+  });
+
+  test('should read the first sheet of an Excel workbook', () => {
+    const workbook = buildWorkbook([
+      ['Vendor Name', 'Account No', 'IFSC', 'Amount', 'Remarks'],
+      ['Northwind & Co', 987654321098, 'HDFC0001234', 150000, 'INV-1042'],
+      ['Contoso Supplies', '000123456789', 'SBIN0000001', 2500.75, 'INV-1043']
+    ]);
+
+    const { format, rows } = parser.parse({ fileName: 'vendors.xlsx', content: workbook });
+
+    expect(format).toBe(BulkFileFormat.EXCEL);
+    expect(rows).toEqual([
+      { rowNumber: 2, beneficiaryName: 'Northwind & Co', accountNumber: '987654321098', ifscCode: 'HDFC0001234', amount: '150000', reference: 'INV-1042' },
+      { rowNumber: 3, beneficiaryName: 'Contoso Supplies', accountNumber: '000123456789', ifscCode: 'SBIN0000001', amount: '2500.75', reference: 'INV-1043' }
+    ]);
+    expect(() => parser.parse({ fileName: 'vendors.xlsx', content: Buffer.from('not a zip') }))
+      .toThrow('Excel file is not a valid .xlsx workbook');
+  });
+
+  test('should read NACH credit records and check them against the header totals', () => {
+    const records = [
+      { ifscCode: 'HDFC0001234', accountNumber: '123456789012', name: 'Asha Rao', paise: 8500050, reference: 'SAL OCT' },
+      { ifscCode: 'SBIN0000001', accountNumber: '234567890123', name: 'Vikram Shah', paise: 4000000, reference: 'SAL OCT' }
+    ];
+
+    const { format, header, rows } = parser.parse({ fileName: 'acme.nach', content: buildNACH(records) });
+
+    expect(format).toBe(BulkFileFormat.NACH);
+    expect(header).toEqual({ userName: 'ACME INDUSTRIES', totalItems: '000000002', totalAmount: '0000012500050' });
+    expect(rows[0]).toEqual({
+      rowNumber: 2,
+      ifscCode: 'HDFC0001234',
+      accountNumber: '123456789012',
+      beneficiaryName: 'Asha Rao',
+      amount: '85000.50',
+      reference: 'SAL OCT'
+    });
+    expect(() => parser.parse({ fileName: 'acme.txt', content: buildNACH(records, { items: 3 }) }))
+      .toThrow('NACH header declares 3 records but the file has 2');
+    expect(() => parser.parse({ fileName: 'acme.txt', content: buildNACH(records, { paise: 12400050 }) }))
+      .toThrow("NACH header total 124000.50 does not match the records' 125000.50");
+  });
+});
+
+describe('Bulk Payment Module', () => {
+  let module;
+  let selector;
+  const maker = uuidv4();
+  const checker = uuidv4();
+  const debitAccountId = uuidv4();
+
+  const upload = (overrides = {}) => module.uploadBatch({
+    fileName: 'salaries-oct.csv',
+    content: Buffer.from(SALARY_CSV),
+    paymentType: PaymentType.SALARY_PAYMENT,
+    debitAccountId,
+    ...overrides
+  }, maker);
+
+  beforeEach(() => {
+    selector = new PaymentRailSelector();
+    for (const adapter of selector.adapters.values()) {
+      jest.spyOn(adapter, 'simulateNetworkDelay').mockResolvedValue();
+    }
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    module = new BulkPaymentModule({ paymentRailSelector: selector });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.reload();
+  });
+
+  test('should preview each row with its rail or its errors', async () => {
+    const batch = await upload();
+
+    expect(batch.status).toBe(BulkPaymentStatus.PENDING_APPROVAL);
+    expect(batch.rows.map(row => [row.rowNumber, row.status, row.paymentRail, row.errors])).toEqual([
+      [2, PaymentStatus.PENDING, PaymentRail.NEFT, []],
+      [3, PaymentStatus.PENDING, PaymentRail.RTGS, []],
+      [4, PaymentStatus.CANCELLED, null, ['Invalid account number: 3456', 'Invalid amount: 12.345']],
+      [5, PaymentStatus.CANCELLED, null, ['Duplicate of row 2']],
+      [6, PaymentStatus.CANCELLED, null, ['Payment mode must be one of NEFT, RTGS, IMPS: UPI']],
+      // The selector picks UPI for small amounts; NEFT is the first bulk rail that takes the row
+      [8, PaymentStatus.PENDING, PaymentRail.NEFT, []]
+    ]);
+    expect(batch.rows[1].ifscCode).toBe('ICIC0004321');
+    expect(batch.summary).toEqual(expect.objectContaining({ totalRows: 6, validRows: 3, invalidRows: 3 }));
+    expect(batch.summary.byStatus[PaymentStatus.PENDING]).toEqual({ count: 3, amount: 335500.5 });
+
+    await expect(upload({ paymentType: PaymentType.BILL_PAYMENT })).rejects.toThrow('Bulk payments must be one of SALARY_PAYMENT, VENDOR_PAYMENT');
+
+    const rules = structuredClone(config.getBusinessRule('payment-processing'));
+    rules.bulkPayments.maximumRows = 5;
+    config.businessRules['payment-processing'] = rules;
+
+    await expect(upload()).rejects.toThrow('Bulk payment file has 6 rows; the limit is 5');
+  });
+
+  test('should require a second user to approve and record rejections', async () => {
+    const batch = await upload();
+
+    await expect(module.approveBatch(batch.batchId, maker)).rejects.toThrow('cannot be approved by the user who uploaded it');
+    await expect(module.executeBatch(batch.batchId, checker)).rejects.toThrow('Bulk payment batch is PENDING_APPROVAL, not APPROVED');
+
+    const rejected = await module.rejectBatch(batch.batchId, checker, 'Wrong month');
+
+    expect(rejected).toEqual(expect.objectContaining({ status: BulkPaymentStatus.REJECTED, rejectedBy: checker, rejectionReason: 'Wrong month' }));
+    expect(rejected.rows.every(row => row.status === PaymentStatus.CANCELLED)).toBe(true);
+    await expect(module.approveBatch(batch.batchId, checker)).rejects.toThrow('Bulk payment batch is REJECTED, not PENDING_APPROVAL');
+  });
+
+  test('should only give a batch to the user who uploaded it', async () => {
+    const batch = await upload();
+
+    expect(module.requireOwnBatch(batch.batchId, { userId: maker }).batchId).toBe(batch.batchId);
+    expect(() => module.requireOwnBatch(batch.batchId, { userId: checker }))
+      .toThrow(`Bulk payment batch ${batch.batchId} does not belong to user ${checker}`);
+    expect(() => module.requireOwnBatch(uuidv4(), { userId: maker })).toThrow('Bulk payment batch not found');
+  });
+
+  test('should execute approved rows through the selector and report per-row results', async () => {
+    const { batchId, batchReference } = await upload();
+    await module.approveBatch(batchId, checker);
+    jest.spyOn(selector.getAdapter(PaymentRail.RTGS), 'executeRTGSTransfer').mockRejectedValue(new Error('Beneficiary bank unavailable'));
+
+    const executed = await module.executeBatch(batchId, checker, { at: OPEN });
+
+    expect(executed.status).toBe(BulkPaymentStatus.PARTIALLY_COMPLETED);
+    expect(executed.rows.filter(row => row.isValid).map(row => [row.rowNumber, row.status, row.transactionId])).toEqual([
+      [2, PaymentStatus.COMPLETED, `${batchReference}_2`],
+      [3, PaymentStatus.FAILED, `${batchReference}_3`],
+      [8, PaymentStatus.COMPLETED, `${batchReference}_8`]
+    ]);
+    expect(executed.rows[1].errors).toEqual(['Beneficiary bank unavailable']);
+    expect(selector.getTransactionStatus(`${batchReference}_2`).networkName).toBe(PaymentRail.NEFT);
+    expect(executed.summary.byStatus[PaymentStatus.COMPLETED]).toEqual({ count: 2, amount: 85500.5 });
+
+    const results = module.exportResults(batchId);
+    const lines = results.content.trim().split('\n');
+
+    expect(results.fileName).toBe(`${batchReference}_results.csv`);
+    expect(lines[0]).toBe('rowNumber,beneficiaryName,accountNumber,ifscCode,amount,reference,paymentRail,status,transactionId,scheduledFor,errors');
+    expect(lines[1]).toBe(`2,Asha Rao,123456789012,HDFC0001234,85000.50,"Salary Oct, 2026",NEFT,COMPLETED,${batchReference}_2,,`);
+    expect(lines[3]).toBe('4,Meera Iyer,3456,SBIN0000001,,Salary Oct 2026,,CANCELLED,,,Invalid account number: 3456; Invalid amount: 12.345');
+  });
+
+  test('should keep warehoused rows pending until the release job sends them', async () => {
+    const { batchId } = await upload();
+    await module.approveBatch(batchId, checker);
+
+    // 2nd Saturday: NEFT and RTGS are closed until Monday
+    const executed = await module.executeBatch(batchId, checker, { at: new Date('2026-10-10T10:00:00+05:30') });
+
+    expect(executed.status).toBe(BulkPaymentStatus.PROCESSING);
+    expect(executed.summary.pendingRows).toBe(3);
+    expect(executed.rows[0]).toEqual(expect.objectContaining({
+      status: PaymentStatus.WAREHOUSED,
+      scheduledFor: new Date('2026-10-12T08:00:00+05:30')
+    }));
+    expect(module.exportResults(batchId).content).toContain('WAREHOUSED,');
+
+    await selector.releaseWarehousedPayments(new Date('2026-10-12T10:00:00+05:30'));
+    const released = module.getBatchReport(batchId);
+
+    expect(released.status).toBe(BulkPaymentStatus.PARTIALLY_COMPLETED);
+    expect(released.summary.pendingRows).toBe(0);
+    expect(released.rows.filter(row => row.isValid).map(row => row.status)).toEqual([
+      PaymentStatus.COMPLETED, PaymentStatus.COMPLETED, PaymentStatus.COMPLETED
+    ]);
+  });
+});
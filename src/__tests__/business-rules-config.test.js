@@ -0,0 +1,206 @@
+// Unit tests for business-rules configuration driving module behaviour
+
+const config = require('../config');
+const { UnderwritingEngine } = require('../modules/loan-processing');
+const { TransactionValidator, TransactionProcessor } = require('../modules/transaction-processing');
+const { Transaction } = require('../shared/interfaces');
+const { PatternDetector, TransactionMonitor } = require('../modules/aml');
+const { PaymentValidator, PaymentRetryManager } = require('../modules/payment-processing');
+const { EligibilityChecker } = require('../modules/account-opening');
+const { LoanType, PaymentRail, PaymentType, TransactionType, Currency } = require('../shared/types');
+
+// Swaps in an edited copy of a rule set, as a reload of changed files would
+const editRule = (ruleName, edit) => {
+  const rules = structuredClone(config.getBusinessRule(ruleName));
+  edit(rules);
+  config.businessRules[ruleName] = rules;
+};
+
+describe('Business rules configuration', () => {
+  afterEach(() => {
+    // Restores the on-disk rules after tests that edit them
+    config.reload();
+  });
+
+  describe('ConfigurationManager.reload', () => {
+    test('should keep the singleton instance', () => {
+      config.reload();
+
+      expect(require('../config')).toBe(config);
+    });
+
+    test('should restore rules changed in memory', () => {
+      editRule('loan-processing', rules => { rules.eligibility.minimumCreditScore.home = 999; });
+
+      config.reload();
+
+      expect(config.getBusinessRule('loan-processing').eligibility.minimumCreditScore.home).toBe(700);
+    });
+  });
+
+  describe('UnderwritingEngine', () => {
+    test('should resolve minimum credit score per loan type', () => {
+      const engine = new UnderwritingEngine();
+
+      expect(engine.getRulesForLoanType(LoanType.HOME).minCreditScore).toBe(700);
+      expect(engine.getRulesForLoanType(LoanType.AUTO).minCreditScore).toBe(600);
+      expect(engine.rules.maxLoanAmount).toBe(2000000);
+    });
+
+    test('should let explicit rules take precedence over config', () => {
+      const engine = new UnderwritingEngine({ minCreditScore: 720 });
+
+      expect(engine.getRulesForLoanType(LoanType.AUTO).minCreditScore).toBe(720);
+    });
+
+    test('should apply config changes without re-instantiating', () => {
+      const engine = new UnderwritingEngine();
+
+      editRule('loan-processing', rules => { rules.eligibility.minimumCreditScore.personal = 780; });
+
+      expect(engine.checkCreditScore(760).passed).toBe(false);
+      expect(engine.checkCreditScore(790).passed).toBe(true);
+    });
+  });
+
+  describe('TransactionValidator', () => {
+    test('should read limits from payment rules', () => {
+      const validator = new TransactionValidator();
+      const rules = validator.getBusinessRules();
+
+      expect(rules.get('MIN_TRANSACTION_AMOUNT')).toBe(1);
+      expect(rules.get('BLOCKED_COUNTRIES')).toContain('KP');
+    });
+
+    test('should pick up reloaded limits', () => {
+      const validator = new TransactionValidator();
+
+      editRule('payment-processing', rules => { rules.limits.perTransaction.channel.netBanking = 5000; });
+
+      expect(validator.getBusinessRules().get('MAX_TRANSACTION_AMOUNT')).toBe(5000);
+    });
+  });
+
+  describe('TransactionProcessor', () => {
+    test('should read the withdrawal limit from payment rules', async () => {
+      const processor = new TransactionProcessor();
+      const accountId = '123e4567-e89b-12d3-a456-426614174000';
+      const withdraw = amount => processor.process(new Transaction(accountId, amount, Currency.INR, TransactionType.WITHDRAWAL, 'ATM'));
+      await processor.process(new Transaction(accountId, 100000, Currency.INR, TransactionType.DEPOSIT, 'Branch'));
+
+      expect((await withdraw(60000)).error).toBe('Withdrawal amount exceeds limit of 50000');
+
+      editRule('payment-processing', rules => { rules.limits.withdrawal.perTransaction = 75000; });
+
+      expect((await withdraw(60000)).success).toBe(true);
+    });
+  });
+
+  describe('AML', () => {
+    test('should derive structuring range from aml-compliance rules', () => {
+      const detector = new PatternDetector();
+
+      expect(detector.isStructuring(950000)).toBe(true);
+      expect(detector.isStructuring(850000)).toBe(false);
+      expect(detector.isStructuring(1000000)).toBe(false);
+    });
+
+    test('should prefer explicit thresholds', () => {
+      const detector = new PatternDetector({ suspiciousAmountThreshold: 10000 });
+
+      expect(detector.isStructuring(9500)).toBe(true);
+    });
+
+    test('should apply threshold changes to an existing monitor', () => {
+      const monitor = new TransactionMonitor();
+
+      editRule('aml-compliance', rules => { rules.transactionMonitoring.thresholds.cash.single = 25000; });
+
+      expect(monitor.rules.suspiciousAmountThreshold).toBe(25000);
+    });
+  });
+
+  describe('PaymentValidator', () => {
+    // Wall-clock times in IST, the settlement calendar's time zone
+    const ist = (date, hours, minutes = 0) =>
+      new Date(`${date}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00+05:30`);
+    const tuesdayAt = (hours, minutes = 0) => ist('2024-01-02', hours, minutes);
+    const order = (amount, paymentType = PaymentType.DOMESTIC_TRANSFER) => ({ amount, paymentType });
+
+    test('should enforce rail operating windows', () => {
+      const validator = new PaymentValidator();
+      const sunday = ist('2024-01-07', 11);
+
+      expect(validator.isRailOpen(PaymentRail.RTGS, tuesdayAt(10))).toBe(true);
+      expect(validator.isRailOpen(PaymentRail.RTGS, tuesdayAt(17))).toBe(false);
+      expect(validator.isRailOpen(PaymentRail.NEFT, sunday)).toBe(false);
+      expect(validator.isRailOpen(PaymentRail.UPI, tuesdayAt(1, 30))).toBe(false);
+      expect(validator.isRailOpen(PaymentRail.SWIFT, sunday)).toBe(false);
+    });
+
+    test('should check rail windows against the settlement calendar', () => {
+      const validator = new PaymentValidator();
+
+      // 04:00 UTC is 09:30 IST, inside the RTGS window whatever the server time zone
+      expect(validator.isRailOpen(PaymentRail.RTGS, new Date('2026-10-06T04:00:00Z'))).toBe(true);
+      expect(validator.isRailOpen(PaymentRail.RTGS, ist('2026-10-02', 10))).toBe(false); // Gandhi Jayanti
+      expect(validator.isRailOpen(PaymentRail.NEFT, ist('2026-10-10', 10))).toBe(false); // 2nd Saturday
+      expect(validator.isRailOpen(PaymentRail.NEFT, ist('2026-10-17', 10))).toBe(true); // 3rd Saturday
+    });
+
+    test('should enforce per-rail amount limits', () => {
+      const validator = new PaymentValidator();
+
+      expect(validator.validatePaymentRail(order(150000), PaymentRail.RTGS, tuesdayAt(10)).errors)
+        .toContain('Amount 150000 is below RTGS minimum of 200000');
+      expect(validator.validatePaymentRail(order(150000), PaymentRail.UPI, tuesdayAt(10)).errors)
+        .toContain('Amount 150000 exceeds UPI maximum of 100000');
+      expect(validator.validatePaymentRail(order(50000), PaymentRail.NEFT, tuesdayAt(10)).isValid).toBe(true);
+    });
+
+    test('should read single transaction limit from config with overrides', () => {
+      expect(new PaymentValidator().businessRules.maxSingleTransactionLimit).toBe(100000);
+      expect(new PaymentValidator({ maxSingleTransactionLimit: 10 }).businessRules.maxSingleTransactionLimit).toBe(10);
+    });
+
+    test('should read retry policy from config', () => {
+      const retryManager = new PaymentRetryManager();
+
+      expect(retryManager.calculateRetryDelay(10)).toBe(30000);
+      expect(retryManager.isRetryableError('NETWORK_TIMEOUT')).toBe(true);
+      expect(retryManager.isRetryableError('INSUFFICIENT_FUNDS')).toBe(false);
+    });
+  });
+
+  describe('Account opening eligibility', () => {
+    const customer = (nationality) => ({
+      personalInfo: {
+        firstName: 'Asha',
+        lastName: 'Rao',
+        dateOfBirth: new Date(new Date().getFullYear() - 30, 0, 1),
+        nationality,
+        address: {}
+      },
+      identityDocuments: [{}, {}]
+    });
+
+    test('should reject blacklisted nationalities', async () => {
+      const checker = new EligibilityChecker();
+      const riskRule = checker.rules.find(rule => rule.constructor.name === 'RiskAssessmentRule');
+
+      expect((await riskRule.evaluate(customer('KP'))).passed).toBe(false);
+      expect((await riskRule.evaluate(customer('IN'))).passed).toBe(true);
+    });
+
+    test('should apply configured age bounds', async () => {
+      const checker = new EligibilityChecker();
+      const ageRule = checker.rules.find(rule => rule.constructor.name === 'AgeEligibilityRule');
+
+      editRule('account-opening', rules => { rules.eligibility.minimumAge = 35; });
+
+      const result = await ageRule.evaluate(customer('IN'));
+      expect(result.passed).toBe(false);
+      expect(result.reason).toContain('(35-100)');
+    });
+  });
+});
@@ -0,0 +1,243 @@
+// Unit tests for Cash Transaction Report generation and export
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { SanctionsScreeningEngine } = require('../services/sanctions-screening');
+const { CTRGenerator, CTRFormat } = require('../services/cash-transaction-reporting');
+const { CashTransactionRepository } = require('../database/repositories');
+const { RegulatoryReportingModule, ReportType, ReportStatus } = require('../services/regulatory-reporting');
+const { AMLModule } = require('../modules/aml');
+const { Transaction } = require('../shared/interfaces');
+const { TransactionType, Currency } = require('../shared/types');
+
+const HOUR = 60 * 60 * 1000;
+// 10:00 IST on 4 March 2024
+const START = new Date('2024-03-04T04:30:00Z').getTime();
+const PERIOD = {
+  startDate: new Date('2024-03-01T00:00:00Z'),
+  endDate: new Date('2024-03-31T23:59:59Z')
+};
+const OFFICER_ID = uuidv4();
+
+function createCustomer(customerId = 'CUST-1', overrides = {}) {
+  return {
+    customerId,
+    personalInfo: {
+      firstName: 'Asha',
+      lastName: 'Verma',
+      dateOfBirth: new Date('1985-06-15'),
+      nationality: 'IN',
+      address: { street: '12 MG Road', city: 'Pune', state: 'MH', postalCode: '411001', country: 'IN' }
+    },
+    ...overrides
+  };
+}
+
+function createTransaction(amount, transactionType, offsetMs = 0, currency = Currency.INR) {
+  const transaction = new Transaction(uuidv4(), amount, currency, transactionType, 'Branch cash');
+  transaction.processedAt = new Date(START + offsetMs);
+  return transaction;
+}
+
+describe('Cash Transaction Reporting', () => {
+  let generator;
+  let auditService;
+  let reporting;
+
+  beforeEach(() => {
+    generator = new CTRGenerator();
+    auditService = new AuditService();
+    reporting = new RegulatoryReportingModule(auditService, { ctrGenerator: generator });
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  test('should report a customer whose daily cash exceeds the threshold', async () => {
+    const customer = createCustomer();
+    await generator.recordTransaction(createTransaction(600000, TransactionType.DEPOSIT), customer);
+    await generator.recordTransaction(createTransaction(450000, TransactionType.WITHDRAWAL, 2 * HOUR), customer);
+
+    const [report, ...rest] = await generator.aggregate(PERIOD);
+
+    expect(rest).toEqual([]);
+    expect(report).toEqual(expect.objectContaining({
+      reportSerialNumber: 1,
+      customerId: 'CUST-1',
+      reportDate: '2024-03-04',
+      totalCashDeposits: 600000,
+      totalCashWithdrawals: 450000,
+      totalAmount: 1050000
+    }));
+    expect(report.transactions.map(transaction => transaction.debitCredit)).toEqual(['C', 'D']);
+  });
+
+  test('should not report cash at or under the threshold, on separate days or for other customers', async () => {
+    await generator.recordTransaction(createTransaction(1000000, TransactionType.DEPOSIT), createCustomer());
+    await generator.recordTransaction(createTransaction(700000, TransactionType.DEPOSIT), createCustomer('CUST-2'));
+    await generator.recordTransaction(createTransaction(700000, TransactionType.DEPOSIT, 24 * HOUR), createCustomer('CUST-2'));
+    await generator.recordTransaction(createTransaction(700000, TransactionType.DEPOSIT, HOUR), createCustomer('CUST-3'));
+
+    expect(await generator.aggregate(PERIOD)).toEqual([]);
+  });
+
+  test('should group by calendar day in the configured time zone', async () => {
+    const customer = createCustomer();
+    // 23:00 IST on 4 March and 01:00 IST on 5 March fall on the same UTC day
+    await generator.recordTransaction(createTransaction(600000, TransactionType.DEPOSIT, 13 * HOUR), customer);
+    await generator.recordTransaction(createTransaction(600000, TransactionType.DEPOSIT, 15 * HOUR), customer);
+
+    expect(await generator.aggregate(PERIOD)).toEqual([]);
+
+    const rules = structuredClone(config.getBusinessRule('aml-compliance'));
+    rules.reporting.ctr.timeZone = 'UTC';
+    config.businessRules['aml-compliance'] = rules;
+
+    expect(await generator.aggregate(PERIOD)).toHaveLength(1);
+  });
+
+  test('should convert foreign currency cash to the reporting currency', async () => {
+    const customer = createCustomer();
+    // USD 10,000 is INR 831,200 at the converter's USD/INR rate
+    await generator.recordTransaction(createTransaction(10000, TransactionType.DEPOSIT, 0, Currency.USD), customer);
+    await generator.recordTransaction(createTransaction(300000, TransactionType.DEPOSIT, HOUR), customer);
+
+    const [report] = await generator.aggregate(PERIOD);
+
+    expect(report).toEqual(expect.objectContaining({
+      currency: 'INR',
+      totalCashDeposits: 1131200,
+      totalAmount: 1131200
+    }));
+    expect(report.transactions[0]).toEqual(expect.objectContaining({ amount: 10000, currency: 'USD', reportingAmount: 831200 }));
+  });
+
+  test('should aggregate cash transactions stored in the repository', async () => {
+    const rows = [];
+    const db = {
+      query: jest.fn(),
+      queryOne: jest.fn(async (sql, params) => {
+        const row = {
+          transaction_id: params[0], account_id: params[1], customer_id: params[2], customer: JSON.parse(params[3]),
+          amount: String(params[4]), currency: params[5], reporting_amount: String(params[6]), reporting_currency: params[7],
+          exchange_rate: String(params[8]), transaction_type: params[9], debit_credit: params[10], occurred_at: params[11]
+        };
+        rows.push(row);
+        return row;
+      }),
+      queryMany: jest.fn(async () => rows)
+    };
+    const customer = createCustomer();
+    await new CTRGenerator({ cashTransactionRepository: new CashTransactionRepository(db) })
+      .recordTransaction(createTransaction(1500000, TransactionType.DEPOSIT), customer);
+
+    const restarted = new CTRGenerator({ cashTransactionRepository: new CashTransactionRepository(db) });
+    const [report] = await restarted.aggregate(PERIOD);
+
+    expect(db.queryMany.mock.calls[0][1]).toEqual([PERIOD.startDate, PERIOD.endDate]);
+    expect(report).toEqual(expect.objectContaining({ customerId: 'CUST-1', totalCashDeposits: 1500000 }));
+    expect(report.customer.dateOfBirth).toEqual(new Date('1985-06-15'));
+  });
+
+  test('should skip non-cash transactions and exempt customers', async () => {
+    expect(await generator.recordTransaction(createTransaction(2000000, TransactionType.TRANSFER), createCustomer())).toBe(false);
+    expect(await generator.recordTransaction(
+      createTransaction(2000000, TransactionType.DEPOSIT),
+      createCustomer('GOV-1', { entityCategory: 'government_entities' })
+    )).toBe(false);
+
+    expect(await generator.aggregate(PERIOD)).toEqual([]);
+  });
+
+  test('should generate a CTR report with a filing deadline', async () => {
+    await generator.recordTransaction(createTransaction(1500000, TransactionType.DEPOSIT), createCustomer());
+
+    const report = await reporting.generateCashTransactionReport(PERIOD, OFFICER_ID);
+
+    expect(report.reportType).toBe(ReportType.CASH_TRANSACTION);
+    expect(report.status).toBe(ReportStatus.COMPLETED);
+    expect(report.data.statistics).toEqual(expect.objectContaining({
+      reportableCustomers: 1,
+      transactionCount: 1,
+      totalCashDeposits: 1500000
+    }));
+    expect(report.metadata.filingDueBy).toEqual(new Date('2024-04-01T23:59:59Z'));
+  });
+
+  test('should export the FIU-IND XML filing', async () => {
+    const customer = createCustomer();
+    customer.personalInfo.lastName = 'Verma & Sons';
+    await generator.recordTransaction(createTransaction(1500000, TransactionType.DEPOSIT), customer);
+    const report = await reporting.generateCashTransactionReport(PERIOD, OFFICER_ID);
+
+    const file = reporting.exportCashTransactionReport(report.reportId, 'xml');
+
+    expect(file.contentType).toBe('application/xml');
+    expect(file.fileName).toBe(`CTR_2024-03-31_${report.reportId}.xml`);
+    expect(file.content).toContain('<ReportType>CTR</ReportType>');
+    expect(file.content).toContain('<ReportingEntityName>SecureBank</ReportingEntityName>');
+    expect(file.content).toContain('<MonthOfReport>03</MonthOfReport>');
+    expect(file.content).toContain('<Name>Asha Verma &amp; Sons</Name>');
+    expect(file.content).toContain('<CumulativeCashDeposit>1500000.00</CumulativeCashDeposit>');
+  });
+
+  test('should export one CSV row per transaction', async () => {
+    const customer = createCustomer();
+    customer.personalInfo.lastName = 'Verma, Jr';
+    const deposit = createTransaction(800000, TransactionType.DEPOSIT);
+    await generator.recordTransaction(deposit, customer);
+    await generator.recordTransaction(createTransaction(300000, TransactionType.WITHDRAWAL, HOUR), customer);
+    const report = await reporting.generateCashTransactionReport(PERIOD, OFFICER_ID);
+
+    const file = reporting.exportCashTransactionReport(report.reportId, CTRFormat.CSV);
+    const lines = file.content.trim().split('\n');
+
+    expect(file.contentType).toBe('text/csv');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^reportSerialNumber,customerId,customerName/);
+    expect(lines[1]).toBe(`1,CUST-1,"Asha Verma, Jr",2024-03-04,${deposit.transactionId},2024-03-04,${deposit.accountId},DEPOSIT,C,800000.00,INR`);
+  });
+
+  test('should reject unknown formats and non-CTR reports', async () => {
+    const ctr = await reporting.generateCashTransactionReport(PERIOD, OFFICER_ID);
+    const audit = await reporting.generateOperationalMetricsReport(PERIOD, OFFICER_ID);
+
+    expect(() => reporting.exportCashTransactionReport(ctr.reportId, 'pdf')).toThrow('Unsupported CTR export format');
+    expect(() => reporting.exportCashTransactionReport(audit.reportId)).toThrow('not a cash transaction report');
+    expect(() => reporting.exportCashTransactionReport(uuidv4())).toThrow('Report not found');
+  });
+
+  test('should track filing through submission and acknowledgement', async () => {
+    const report = await reporting.generateCashTransactionReport(PERIOD, OFFICER_ID);
+
+    await expect(reporting.recordFilingAcknowledgement(report.reportId, { accepted: true, acknowledgementNumber: 'ACK-1' }, OFFICER_ID))
+      .rejects.toThrow('has not been submitted');
+    await reporting.submitReport(report.reportId, OFFICER_ID);
+    await expect(reporting.recordFilingAcknowledgement(report.reportId, { accepted: true }, OFFICER_ID))
+      .rejects.toThrow('Acknowledgement number is required');
+
+    const acknowledged = await reporting.recordFilingAcknowledgement(
+      report.reportId,
+      { accepted: true, acknowledgementNumber: 'FIU-ACK-2024-0001' },
+      OFFICER_ID
+    );
+
+    expect(acknowledged.status).toBe(ReportStatus.ACKNOWLEDGED);
+    expect(acknowledged.metadata.acknowledgement.acknowledgementNumber).toBe('FIU-ACK-2024-0001');
+    const trail = await auditService.getAuditTrail('REGULATORY_REPORT', report.reportId);
+    expect(trail.map(entry => entry.action)).toEqual(['GENERATED', 'SUBMITTED', 'ACKNOWLEDGED']);
+  });
+
+  test('should collect cash transactions from AML screening', async () => {
+    const amlModule = new AMLModule({ sanctionsEngine: new SanctionsScreeningEngine() });
+    reporting = new RegulatoryReportingModule(auditService, amlModule);
+
+    const result = await amlModule.screenTransaction(createTransaction(1200000, TransactionType.DEPOSIT), createCustomer());
+    const report = await reporting.generateCashTransactionReport(PERIOD, OFFICER_ID);
+
+    expect(result.ctrRecorded).toBe(true);
+    expect(report.data.reports).toHaveLength(1);
+  });
+});
@@ -0,0 +1,267 @@
+// Unit tests for AML customer risk profiles
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { SanctionsScreeningEngine } = require('../services/sanctions-screening');
+const { AMLModule, CustomerRiskProfiler } = require('../modules/aml');
+const { KYCModule } = require('../modules/kyc');
+const { CustomerRiskProfileRepository } = require('../database/repositories');
+const { Transaction } = require('../shared/interfaces');
+const { TransactionType, Currency } = require('../shared/types');
+
+const MONTH = 30 * 24 * 60 * 60 * 1000;
+
+function createCustomer(overrides = {}) {
+  return {
+    customerId: 'CUST-1',
+    personalInfo: {
+      firstName: 'Asha',
+      lastName: 'Verma',
+      nationality: 'US',
+      address: { street: '1 Main St', city: 'Austin', country: 'US' }
+    },
+    occupation: 'corporate',
+    referralSource: 'existing_customer',
+    accounts: [uuidv4(), uuidv4(), uuidv4()],
+    createdAt: new Date(Date.now() - 60 * MONTH),
+    ...overrides
+  };
+}
+
+// The latest weekday before today at a UTC time, as a recent transaction time
+function recentWeekdayAt(hours, minutes) {
+  const date = new Date();
+  date.setUTCHours(hours, minutes, 0, 0);
+  do {
+    date.setUTCDate(date.getUTCDate() - 1);
+  } while (date.getUTCDay() === 0 || date.getUTCDay() === 6);
+  return date;
+}
+
+function createTransaction(amount, counterpartyName = 'Acme Supplies', processedAt = recentWeekdayAt(5, 0)) {
+  const transaction = new Transaction(uuidv4(), amount, Currency.USD, TransactionType.TRANSFER, 'Invoice', { name: counterpartyName });
+  // 10:30 in Asia/Kolkata by default, inside business hours
+  transaction.processedAt = processedAt;
+  return transaction;
+}
+
+describe('Customer Risk Profiles', () => {
+  let auditService;
+  let profiler;
+
+  beforeEach(() => {
+    auditService = new AuditService();
+    profiler = new CustomerRiskProfiler({ auditService });
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  test('should rate an established low risk customer LOW', async () => {
+    const profile = await profiler.recalculate(createCustomer());
+
+    expect(profile.category).toBe('LOW');
+    expect(profile.monitoring).toBe('standard');
+    expect(profile.factors.geography).toEqual(expect.objectContaining({ weight: 0.25, score: 0 }));
+    expect(profile.factors.occupation.score).toBe(0);
+    expect(profile.reviewFrequencyMonths).toBe(36);
+  });
+
+  test('should weight factors from customerRiskScoring', async () => {
+    const customer = createCustomer({
+      personalInfo: { ...createCustomer().personalInfo, nationality: 'IR' },
+      occupation: 'money changer'
+    });
+
+    const profile = await profiler.recalculate(customer);
+
+    // geography 100 * 0.25 + occupation 100 * 0.20 = 45
+    expect(profile.factors.occupation.details.occupation).toBe('money_changer');
+    expect(profile.score).toBe(45);
+    expect(profile.category).toBe('MEDIUM');
+    expect(customer.riskProfile).toEqual(expect.objectContaining({ riskScore: 45, riskLevel: 'MEDIUM' }));
+  });
+
+  test('should follow weight and category changes in business rules', async () => {
+    const rules = structuredClone(config.getBusinessRule('aml-compliance'));
+    rules.customerRiskScoring.riskFactors.geography.weight = 1;
+    rules.customerRiskScoring.riskFactors.occupation.weight = 0;
+    rules.customerRiskScoring.riskFactors.transactionBehavior.weight = 0;
+    rules.customerRiskScoring.riskFactors.relationship.weight = 0;
+    config.businessRules['aml-compliance'] = rules;
+
+    const profile = await profiler.recalculate(createCustomer({
+      personalInfo: { ...createCustomer().personalInfo, nationality: 'KP' }
+    }));
+
+    expect(profile.score).toBe(100);
+    expect(profile.category).toBe('PROHIBITED');
+    expect(profile.reviewFrequencyMonths).toBe(0);
+  });
+
+  test('should raise transaction behaviour with volume and counterparties', async () => {
+    const customer = createCustomer();
+    const before = await profiler.recalculate(customer);
+
+    for (let i = 0; i < 20; i++) {
+      await profiler.recordTransaction(createTransaction(500000, `Counterparty ${i}`), customer);
+    }
+    const after = await profiler.recalculate(customer, 'TRANSACTION');
+
+    expect(after.factors.transactionBehavior.details).toEqual(expect.objectContaining({
+      transactionCount: 20,
+      volume: 10000000,
+      counterparties: 20
+    }));
+    expect(after.factors.transactionBehavior.details.subScores.volume).toBe(100);
+    expect(after.score).toBeGreaterThan(before.score);
+  });
+
+  test('should judge unusual hours in the business time zone', async () => {
+    const customer = createCustomer();
+
+    // 17:30 UTC is within 08:00-20:00 UTC but 23:00 in Asia/Kolkata
+    await profiler.recordTransaction(createTransaction(1000, 'Acme Supplies', recentWeekdayAt(17, 30)), customer);
+    let profile = await profiler.recalculate(customer, 'TRANSACTION');
+    expect(profile.factors.transactionBehavior.details.subScores.timing).toBe(100);
+
+    const rules = structuredClone(config.getBusinessRule('aml-compliance'));
+    rules.customerRiskScoring.riskFactors.transactionBehavior.timeZone = 'UTC';
+    config.businessRules['aml-compliance'] = rules;
+    profile = await profiler.recalculate(customer, 'TRANSACTION');
+    expect(profile.factors.transactionBehavior.details.subScores.timing).toBe(0);
+  });
+
+  test('should only add history when the rating changes', async () => {
+    const customer = createCustomer();
+    await profiler.recalculate(customer);
+    await profiler.recalculate(customer, 'TRANSACTION');
+    await profiler.recalculate({ ...customer, occupation: 'politician' }, 'PROFILE_UPDATE');
+
+    const history = await profiler.getHistory('CUST-1');
+
+    expect(history.map(profile => profile.trigger)).toEqual(['MANUAL', 'PROFILE_UPDATE']);
+    expect(history[1].previousCategory).toBe('LOW');
+    const trail = await auditService.queryAuditLogs({ entityType: 'CUSTOMER_RISK_PROFILE' });
+    expect(trail).toHaveLength(2);
+  });
+
+  test('should schedule the next KYC review from the risk category', async () => {
+    const customer = createCustomer({
+      personalInfo: { ...createCustomer().personalInfo, nationality: 'IR' },
+      occupation: 'arms_dealer',
+      referralSource: null,
+      accounts: [],
+      createdAt: new Date()
+    });
+    const reviewedAt = new Date('2024-01-15T00:00:00Z');
+    await profiler.markReviewed('CUST-1', reviewedAt);
+
+    const profile = await profiler.recalculate(customer);
+
+    expect(profile.category).toBe('HIGH');
+    expect(profile.nextReviewDate).toEqual(new Date('2025-01-15T00:00:00Z'));
+    expect(await profiler.getCustomersDueForReview(new Date('2025-02-01'))).toEqual([profile]);
+    expect(await profiler.getCustomersDueForReview(new Date('2024-12-01'))).toEqual([]);
+  });
+
+  test('should restart the refresh interval when KYC review completes', async () => {
+    await profiler.recalculate(createCustomer());
+    const reviewedAt = new Date('2025-06-01T00:00:00Z');
+
+    const profile = await profiler.markReviewed('CUST-1', reviewedAt);
+
+    expect(profile.trigger).toBe('KYC_REVIEW');
+    expect(profile.nextReviewDate).toEqual(new Date('2028-06-01T00:00:00Z'));
+  });
+
+  test('should drive the KYC periodic review schedule', async () => {
+    const kycModule = new KYCModule({ customerRiskProfiler: profiler });
+    await profiler.recalculate(createCustomer());
+
+    const schedule = await kycModule.getPeriodicReviewSchedule('CUST-1');
+
+    expect(schedule).toEqual(expect.objectContaining({
+      riskCategory: 'LOW',
+      frequencyMonths: 36,
+      source: 'AML_RISK_PROFILE',
+      overdue: false
+    }));
+  });
+
+  test('should rate customers as transactions are screened', async () => {
+    const amlModule = new AMLModule({ sanctionsEngine: new SanctionsScreeningEngine(), customerRiskProfiler: profiler });
+
+    const result = await amlModule.screenTransaction(createTransaction(1000), createCustomer());
+
+    expect(result.customerRiskRating).toEqual({ score: expect.any(Number), category: 'LOW' });
+    expect((await amlModule.getCustomerRiskProfile('CUST-1')).trigger).toBe('TRANSACTION');
+  });
+
+  test('should read the current rating and history from the repository', async () => {
+    const row = {
+      id: uuidv4(),
+      customer_id: 'CUST-1',
+      score: 72,
+      category: 'HIGH',
+      monitoring: 'intensive',
+      factors: {},
+      trigger: 'TRANSACTION',
+      review_frequency_months: 12,
+      next_review_date: new Date('2025-01-01'),
+      calculated_at: new Date()
+    };
+    const db = {
+      query: jest.fn(),
+      queryOne: jest.fn().mockResolvedValue(row),
+      queryMany: jest.fn().mockResolvedValue([row])
+    };
+    profiler = new CustomerRiskProfiler({ customerRiskProfileRepository: new CustomerRiskProfileRepository(db) });
+
+    expect((await profiler.getProfile('CUST-1')).category).toBe('HIGH');
+    expect(await profiler.getHistory('CUST-1')).toHaveLength(1);
+    await profiler.getCustomersDueForReview(new Date('2025-02-01'));
+    expect(db.queryMany.mock.calls[1][0]).toContain('DISTINCT ON (customer_id)');
+  });
+
+  test('should restore the behaviour window and pre-rating review after a restart', async () => {
+    const activityRows = new Map();
+    const db = {
+      query: jest.fn(),
+      queryOne: jest.fn(async (sql, params) => {
+        if (sql.includes('INSERT INTO customer_risk_activity')) {
+          const row = { customer_id: params[0], transactions: JSON.parse(params[1]), reviewed_before_rating_at: params[2] };
+          activityRows.set(params[0], row);
+          return row;
+        }
+        if (sql.includes('FROM customer_risk_activity')) {
+          return activityRows.get(params[0]) || null;
+        }
+        if (sql.includes('INSERT INTO customer_risk_profiles')) {
+          return { id: params[0], customer_id: params[1], factors: JSON.parse(params[5]), last_reviewed_at: params[9] };
+        }
+        return null;
+      }),
+      queryMany: jest.fn().mockResolvedValue([])
+    };
+    const customer = createCustomer();
+    const reviewedAt = new Date('2025-06-01T00:00:00Z');
+    profiler = new CustomerRiskProfiler({ customerRiskProfileRepository: new CustomerRiskProfileRepository(db) });
+    await profiler.markReviewed('CUST-1', reviewedAt);
+    for (let i = 0; i < 3; i++) {
+      await profiler.recordTransaction(createTransaction(500000, `Counterparty ${i}`), customer);
+    }
+
+    const restarted = new CustomerRiskProfiler({ customerRiskProfileRepository: new CustomerRiskProfileRepository(db) });
+    const profile = await restarted.recalculate(customer);
+
+    expect(profile.factors.transactionBehavior.details).toEqual(expect.objectContaining({
+      transactionCount: 3,
+      volume: 1500000,
+      counterparties: 3
+    }));
+    expect(profile.lastReviewedAt).toEqual(reviewedAt);
+  });
+});
@@ -0,0 +1,78 @@
+// Shared fixtures for the loan tests
+
+const { v4: uuidv4 } = require('uuid');
+const { LoanApplication } = require('../../shared/interfaces');
+const { LoanType, DocumentType } = require('../../shared/types');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a loan application awaiting underwriting, with the documents the
+ * scorecard expects
+ * @param {Object} options - { customerId, loanType, amount, tenure, purpose, documents }
+ * @returns {LoanApplication} Application
+ */
+function createLoanApplication(options = {}) {
+  const {
+    customerId = uuidv4(),
+    loanType = LoanType.PERSONAL,
+    amount = 100000,
+    tenure = 60,
+    purpose = 'Purchase',
+    documents = [DocumentType.INCOME_PROOF, DocumentType.BANK_STATEMENT]
+  } = options;
+  const application = new LoanApplication(customerId, loanType, amount, purpose, tenure);
+  documents.forEach(documentType => application.addDocument(documentType, `${documentType}.pdf`));
+  return application;
+}
+
+/**
+ * Record an underwriting decision on an application and assign its officer
+ * @param {LoanApplication} application - Loan application
+ * @param {Object} decision - UnderwritingEngine.makeDecision() result
+ * @param {string} assignedOfficer - Officer who signs the decision off
+ * @returns {LoanApplication} The application
+ */
+function recordDecision(application, decision, assignedOfficer = null) {
+  application.makeDecision(decision.approved, decision.approvedAmount, decision.interestRate, decision.terms, decision.reason,
+    decision.pricing, {
+      outcome: decision.outcome,
+      scorecard: decision.scorecard,
+      conditions: decision.conditions,
+      ltv: decision.ltv,
+      adverseActionReasons: decision.adverseActionReasons
+    });
+  application.assignedOfficer = assignedOfficer;
+  return application;
+}
+
+/**
+ * Create a loan application that has passed underwriting
+ * @param {Object} options - { customerId, loanType, amount, rate, tenure, assignedOfficer }
+ * @returns {LoanApplication} Approved application
+ */
+function createApprovedApplication(options = {}) {
+  const { customerId = uuidv4(), loanType = LoanType.PERSONAL, amount = 100000, rate = 12, tenure = 12, assignedOfficer = null } = options;
+  const application = new LoanApplication(customerId, loanType, amount, 'Home renovation', tenure);
+  application.makeDecision(true, amount, rate, null, 'Application meets all underwriting criteria');
+  application.assignedOfficer = assignedOfficer;
+  return application;
+}
+
+/**
+ * Date a number of days after another
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} Later date
+ */
+function daysAfter(date, days) {
+  return new Date(date.getTime() + days * DAY);
+}
+
+module.exports = {
+  DAY,
+  createApprovedApplication,
+  createLoanApplication,
+  daysAfter,
+  recordDecision
+};
@@ -0,0 +1,192 @@
+// Unit tests for Idempotency-Key handling
+
+const express = require('express');
+const request = require('supertest');
+const { IdempotencyService, IdempotencyStatus, idempotencyMiddleware } = require('../services/idempotency-service');
+const { IdempotencyKeyRepository } = require('../database/repositories');
+
+describe('Idempotency', () => {
+  describe('IdempotencyService', () => {
+    let service;
+    const hash = 'a'.repeat(64);
+
+    beforeEach(() => {
+      service = new IdempotencyService();
+    });
+
+    test('should reserve a new key and report it in progress until completed', async () => {
+      expect((await service.begin('scope', 'key-1', hash)).status).toBe(IdempotencyStatus.NEW);
+      expect((await service.begin('scope', 'key-1', hash)).status).toBe(IdempotencyStatus.IN_PROGRESS);
+
+      await service.complete('scope', 'key-1', 200, { success: true });
+      const replay = await service.begin('scope', 'key-1', hash);
+
+      expect(replay.status).toBe(IdempotencyStatus.REPLAY);
+      expect(replay.record.responseBody).toEqual({ success: true });
+    });
+
+    test('should detect a key reused with a different body', async () => {
+      await service.begin('scope', 'key-1', hash);
+
+      expect((await service.begin('scope', 'key-1', 'b'.repeat(64))).status).toBe(IdempotencyStatus.CONFLICT);
+    });
+
+    test('should keep keys separate per scope', async () => {
+      await service.begin('payments.process:user-1', 'key-1', hash);
+
+      expect((await service.begin('payments.process:user-2', 'key-1', hash)).status).toBe(IdempotencyStatus.NEW);
+    });
+
+    test('should forget released and expired keys', async () => {
+      service = new IdempotencyService(null, { ttlMs: -1 });
+      await service.begin('scope', 'key-1', hash);
+      expect(await service.purgeExpired()).toBe(1);
+
+      await service.begin('scope', 'key-2', hash);
+      await service.release('scope', 'key-2');
+      expect((await service.begin('scope', 'key-2', hash)).status).toBe(IdempotencyStatus.NEW);
+    });
+
+    test('should fingerprint bodies regardless of key order', () => {
+      const body = { amount: 100, payee: { name: 'Asha', account: '123' }, tags: [{ b: 1, a: 2 }] };
+      const reordered = { tags: [{ a: 2, b: 1 }], payee: { account: '123', name: 'Asha' }, amount: 100 };
+
+      expect(service.hashRequest(reordered)).toBe(service.hashRequest(body));
+      expect(service.hashRequest({ ...body, amount: 101 })).not.toBe(service.hashRequest(body));
+      // Array order is part of the request
+      expect(service.hashRequest({ ...body, tags: [{ a: 2 }, { b: 1 }] }))
+        .not.toBe(service.hashRequest({ ...body, tags: [{ b: 1 }, { a: 2 }] }));
+    });
+
+    test('should purge expired keys at start and then on the interval', async () => {
+      jest.useFakeTimers();
+      try {
+        const purgeExpired = jest.spyOn(service, 'purgeExpired');
+
+        service.startPurgeJob(1000);
+        expect(purgeExpired).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(2000);
+        expect(purgeExpired).toHaveBeenCalledTimes(3);
+
+        service.stopPurgeJob();
+        jest.advanceTimersByTime(2000);
+        expect(purgeExpired).toHaveBeenCalledTimes(3);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should use the repository when given', async () => {
+      const db = {
+        query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+        queryOne: jest.fn()
+          .mockResolvedValueOnce(null)
+          .mockResolvedValueOnce({
+            scope: 'scope',
+            idempotency_key: 'key-1',
+            request_hash: hash,
+            status_code: 201,
+            response_body: { success: true },
+            completed_at: new Date()
+          }),
+        queryMany: jest.fn()
+      };
+      service = new IdempotencyService(new IdempotencyKeyRepository(db));
+
+      const result = await service.begin('scope', 'key-1', hash);
+
+      expect(db.queryOne.mock.calls[0][0]).toContain('ON CONFLICT (scope, idempotency_key)');
+      expect(result.status).toBe(IdempotencyStatus.REPLAY);
+      expect(result.record.statusCode).toBe(201);
+    });
+  });
+
+  describe('idempotencyMiddleware', () => {
+    let app;
+    let handler;
+
+    beforeEach(() => {
+      const service = new IdempotencyService();
+      handler = jest.fn((req, res) => res.status(201).json({ transactionId: `TXN-${handler.mock.calls.length}` }));
+
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = { userId: req.get('X-User') || 'user-1' };
+        next();
+      });
+      app.post('/process', idempotencyMiddleware(service, 'transactions.process'), (req, res) => handler(req, res));
+    });
+
+    test('should process requests without the header every time', async () => {
+      await request(app).post('/process').send({ amount: 100 }).expect(201);
+      await request(app).post('/process').send({ amount: 100 }).expect(201);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('should replay the first response for a retried key', async () => {
+      const first = await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(201);
+      const retry = await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(201);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('should reject a key reused with a different body', async () => {
+      await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(201);
+      const response = await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 500 }).expect(422);
+
+      expect(response.body.error).toContain('different request body');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replay a retry that sends the same fields in another order', async () => {
+      await request(app).post('/process').set('Idempotency-Key', 'abc-123')
+        .set('Content-Type', 'application/json').send('{"amount":100,"currency":"INR"}').expect(201);
+      const retry = await request(app).post('/process').set('Idempotency-Key', 'abc-123')
+        .set('Content-Type', 'application/json').send('{"currency":"INR","amount":100}').expect(201);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('should not share keys between callers', async () => {
+      await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(201);
+      await request(app).post('/process').set('X-User', 'user-2').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(201);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('should let a client retry after a server error', async () => {
+      handler.mockImplementationOnce((req, res) => res.status(500).json({ error: 'boom' }));
+
+      await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(500);
+      await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(201);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject a concurrent duplicate while the first is running', async () => {
+      let finish;
+      handler.mockImplementationOnce((req, res) => {
+        finish = () => res.status(201).json({ transactionId: 'TXN-1' });
+      });
+
+      const first = request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).then(r => r);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await request(app).post('/process').set('Idempotency-Key', 'abc-123').send({ amount: 100 }).expect(409);
+
+      finish();
+      expect((await first).status).toBe(201);
+    });
+
+    test('should reject malformed keys', async () => {
+      await request(app).post('/process').set('Idempotency-Key', 'has space').send({ amount: 100 }).expect(400);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
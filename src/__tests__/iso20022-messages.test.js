@@ -0,0 +1,188 @@
+// Unit tests for ISO 20022 message building, validation and parsing, and the
+// SWIFT and RTGS adapters exchanging message files with a stand-in network
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ISO20022MessageService, ISO20022MessageType, FileMessageExchange } = require('../services/iso20022');
+const { RTGSAdapter, SWIFTAdapter } = require('../services/payment-network-adapters');
+const { PaymentOrder } = require('../shared/interfaces');
+const { PaymentType, PaymentStatus, Currency } = require('../shared/types');
+
+const PARTIES = {
+  debtor: { name: 'Asha Rao' },
+  creditor: { name: 'Vikram Traders' },
+  creditorAgent: { bic: 'HDFCINBBXXX' }
+};
+
+describe('ISO 20022 Messages', () => {
+  let service;
+  let order;
+
+  beforeEach(() => {
+    service = new ISO20022MessageService();
+    order = new PaymentOrder(uuidv4(), uuidv4(), 250000, Currency.INR, PaymentType.DOMESTIC_TRANSFER, 'Invoice 42 & 43');
+  });
+
+  test('should build a valid pacs.008 from a payment order', async () => {
+    const message = service.buildPacs008(order, PARTIES, { transactionId: 'RTGS_1', createdAt: new Date('2026-10-19T04:30:00Z') });
+
+    expect(await service.validate(message.xml)).toEqual({ isValid: true, errors: [], messageType: ISO20022MessageType.PACS_008 });
+    expect(message.xml).toContain('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08">');
+    expect(message.xml).toContain('<IntrBkSttlmAmt Ccy="INR">250000.00</IntrBkSttlmAmt>');
+    expect(message.xml).toContain('<IntrBkSttlmDt>2026-10-19</IntrBkSttlmDt>');
+    expect(message.xml).toContain(`<UETR>${order.paymentId}</UETR>`);
+    expect(message.xml).toContain('<BICFI>BPAUINBBXXX</BICFI>');
+    expect(message.xml).toContain('<Ustrd>Invoice 42 &amp; 43</Ustrd>');
+  });
+
+  test('should build a valid pain.001 from a payment order', async () => {
+    const message = service.buildPain001(order, PARTIES, { executionDate: '2026-10-20' });
+
+    expect((await service.validate(message.xml)).isValid).toBe(true);
+    expect(message.xml).toContain('<CtrlSum>250000.00</CtrlSum>');
+    expect(message.xml).toContain('<Dt>2026-10-20</Dt>');
+    expect(message.xml).toContain('<InstdAmt Ccy="INR">250000.00</InstdAmt>');
+  });
+
+  test('should report XSD violations and malformed documents', async () => {
+    const { xml } = service.buildPacs008(order, PARTIES, { transactionId: 'RTGS_1' });
+    const badAgent = service.buildPacs008(order, { ...PARTIES, creditorAgent: { bic: 'hdfc-in' } }, { transactionId: 'RTGS_1' });
+
+    const [badBic] = (await service.validate(badAgent.xml)).errors;
+    expect(badBic).toContain("Element '{urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08}BICFI': [facet 'pattern'] The value 'hdfc-in' is not accepted");
+    const [missingChargeBearer] = (await service.validate(xml.replace(/<ChrgBr>SHAR<\/ChrgBr>/, ''))).errors;
+    expect(missingChargeBearer).toContain('InstgAgt\': This element is not expected. Expected is ( {urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08}ChrgBr )');
+    expect((await service.validate(xml.replace('Ccy="INR"', ''))).errors).toEqual([
+      expect.stringContaining("IntrBkSttlmAmt': The attribute 'Ccy' is required but missing")
+    ]);
+    expect((await service.validate('<Document><GrpHdr></Document>')).errors[0]).toContain('Malformed XML');
+    expect((await service.validate('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.009.001.08"/>')).errors[0])
+      .toContain('Unsupported ISO 20022 message');
+  });
+
+  test('should parse pacs.002 status reports and camt.054 notifications into status updates', async () => {
+    const report = service.buildPacs002({
+      originalMessageId: 'MSG1',
+      statuses: [
+        { originalTransactionId: 'RTGS_1', status: 'ACSC' },
+        { originalTransactionId: 'RTGS_2', status: 'RJCT', reasonCode: 'AC04', additionalInformation: 'Closed account' }
+      ]
+    });
+    const notification = service.buildCamt054({
+      account: '123456789012',
+      entries: [{ amount: 250000, currency: Currency.INR, creditDebit: 'DBIT', status: 'BOOK', bookedAt: new Date(), transactionId: 'SWIFT_1' }]
+    });
+
+    expect(await service.parsePacs002(report.xml)).toEqual(expect.objectContaining({
+      originalMessageId: 'MSG1',
+      statusUpdates: [
+        expect.objectContaining({ transactionId: 'RTGS_1', statusCode: 'ACSC', status: PaymentStatus.COMPLETED }),
+        expect.objectContaining({ transactionId: 'RTGS_2', status: PaymentStatus.FAILED, reasonCode: 'AC04', reason: 'Closed account' })
+      ]
+    }));
+    expect((await service.parseCamt054(notification.xml)).statusUpdates).toEqual([expect.objectContaining({
+      account: '123456789012', amount: 250000, currency: Currency.INR, creditDebit: 'DBIT', transactionId: 'SWIFT_1', status: PaymentStatus.COMPLETED
+    })]);
+    await expect(service.parsePacs002(notification.xml)).rejects.toThrow('Expected pacs.002.001.10 but received camt.054.001.08');
+    await expect(service.parse(service.buildPain001(order, PARTIES).xml)).rejects.toThrow('is an outbound message');
+  });
+});
+
+describe('ISO 20022 exchange with a stand-in network', () => {
+  const OPEN = new Date('2026-10-19T11:00:00+05:30');
+  let directory;
+  let service;
+
+  // Stand-in network: answers every pacs.008 in the outbox with a pacs.002
+  async function answerCreditTransfers(exchange, statusFor) {
+    const files = await fs.readdir(exchange.outbox);
+    await fs.mkdir(exchange.inbox, { recursive: true });
+
+    for (const fileName of files) {
+      const xml = await fs.readFile(path.join(exchange.outbox, fileName), 'utf8');
+      expect((await service.validate(xml)).isValid).toBe(true);
+      const transactionId = xml.match(/<TxId>(.*?)<\/TxId>/)[1];
+      const report = service.buildPacs002({
+        originalMessageId: xml.match(/<MsgId>(.*?)<\/MsgId>/)[1],
+        statuses: [{ originalTransactionId: transactionId, ...statusFor(transactionId) }]
+      });
+      await fs.writeFile(path.join(exchange.inbox, `${report.messageType}.${report.messageId}.xml`), report.xml);
+      await fs.rm(path.join(exchange.outbox, fileName));
+    }
+  }
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'iso20022-'));
+    service = new ISO20022MessageService();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should send RTGS pacs.008 files and settle or fail them from pacs.002 reports', async () => {
+    const exchange = new FileMessageExchange({ directory: path.join(directory, 'rtgs') });
+    const rtgs = new RTGSAdapter({ messageExchange: exchange });
+    jest.spyOn(rtgs, 'simulateNetworkDelay').mockResolvedValue();
+    const instruction = { amount: 500000, currency: Currency.INR, fromAccount: uuidv4(), toAccount: '987654321098', ifscCode: 'HDFC0001234' };
+
+    const settled = await rtgs.processPayment(instruction, { at: OPEN, transactionId: 'RTGS_SETTLED' });
+    const rejected = await rtgs.processPayment({ ...instruction, toAccount: '111111111111' }, { at: OPEN, transactionId: 'RTGS_REJECTED' });
+
+    expect(settled).toEqual(expect.objectContaining({ success: true, status: PaymentStatus.PROCESSING }));
+    expect(await fs.readdir(exchange.outbox)).toHaveLength(2);
+
+    await answerCreditTransfers(exchange, transactionId => transactionId === rejected.transactionId
+      ? { status: 'RJCT', reasonCode: 'AC04' }
+      : { status: 'ACSC' });
+    const received = await rtgs.receiveStatusMessages();
+
+    expect(received.flatMap(file => file.updates)).toHaveLength(2);
+    expect(rtgs.getTransactionStatus(settled.transactionId)).toEqual(expect.objectContaining({
+      status: PaymentStatus.COMPLETED,
+      metadata: expect.objectContaining({ iso20022Status: 'ACSC', messageId: settled.messageId })
+    }));
+    expect(rtgs.getTransactionStatus(rejected.transactionId).status).toBe(PaymentStatus.FAILED);
+    expect(rtgs.getTransactionStatus(rejected.transactionId).metadata.reasonCode).toBe('AC04');
+    expect(await fs.readdir(exchange.inbox)).toEqual(['processed']);
+  });
+
+  test('should complete SWIFT transfers from a camt.054 booking and report unreadable files', async () => {
+    const exchange = new FileMessageExchange({ directory: path.join(directory, 'swift') });
+    const swift = new SWIFTAdapter({ messageExchange: exchange });
+    jest.spyOn(swift, 'simulateNetworkDelay').mockResolvedValue();
+
+    const result = await swift.processPayment({
+      amount: 5000,
+      currency: Currency.USD,
+      fromAccount: '123456789012',
+      toAccount: 'GB29NWBK60161331926819',
+      swiftCode: 'NWBKGB2LXXX',
+      correspondentBank: 'CHASUS33',
+      beneficiaryName: 'Northwind Ltd'
+    }, { at: OPEN });
+    const [sent] = await fs.readdir(exchange.outbox);
+    const xml = await fs.readFile(path.join(exchange.outbox, sent), 'utf8');
+
+    expect(xml).toContain('<InstdAgt>\n        <FinInstnId>\n          <BICFI>CHASUS33</BICFI>');
+    expect(xml).toContain('<Nm>Northwind Ltd</Nm>');
+
+    const booking = service.buildCamt054({
+      account: '123456789012',
+      entries: [{ amount: 5000, currency: Currency.USD, creditDebit: 'DBIT', status: 'BOOK', uetr: result.uetr }]
+    });
+    await fs.mkdir(exchange.inbox, { recursive: true });
+    await fs.writeFile(path.join(exchange.inbox, 'a.xml'), booking.xml);
+    await fs.writeFile(path.join(exchange.inbox, 'b.xml'), '<Document>');
+
+    const [applied, unreadable] = await swift.receiveStatusMessages();
+
+    expect(applied.updates).toEqual([{ transactionId: result.transactionId, status: PaymentStatus.COMPLETED, statusCode: 'BOOK', reasonCode: null }]);
+    expect(unreadable).toEqual({ fileName: 'b.xml', error: expect.stringContaining('Malformed XML') });
+    expect(swift.getTransactionStatus(result.transactionId).status).toBe(PaymentStatus.COMPLETED);
+  });
+});
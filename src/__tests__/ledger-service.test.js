@@ -0,0 +1,316 @@
+// Unit tests for the double-entry Ledger Service and its use by TransactionProcessor
+// Requirements: 4.2
+
+const { v4: uuidv4 } = require('uuid');
+const { LedgerService, SystemAccount } = require('../services/ledger-service');
+const { TransactionProcessor, TransactionProcessingModule } = require('../modules/transaction-processing');
+const { Transaction } = require('../shared/interfaces');
+const { TransactionType, TransactionStatus, Currency, LedgerAccountType, PostingDirection } = require('../shared/types');
+
+describe('Ledger Service', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new LedgerService();
+  });
+
+  describe('Accounts', () => {
+    test('should open accounts with zero balance', () => {
+      const account = ledger.openAccount('ACC-1', LedgerAccountType.LIABILITY, Currency.INR);
+
+      expect(account.balance).toBe(0);
+      expect(account.normalSide).toBe(PostingDirection.CREDIT);
+      expect(ledger.getBalance('ACC-1')).toBe(0);
+    });
+
+    test('should reject duplicate accounts and invalid types', () => {
+      ledger.openAccount('ACC-1', LedgerAccountType.LIABILITY, Currency.INR);
+
+      expect(() => ledger.openAccount('ACC-1', LedgerAccountType.LIABILITY, Currency.INR)).toThrow('already exists');
+      expect(() => ledger.openAccount('ACC-2', 'BOGUS', Currency.INR)).toThrow('Invalid ledger account type');
+    });
+
+    test('should lazily open system accounts per currency', () => {
+      const cashInr = ledger.getSystemAccountId(SystemAccount.CASH, Currency.INR);
+      const cashUsd = ledger.getSystemAccountId(SystemAccount.CASH, Currency.USD);
+
+      expect(cashInr).not.toBe(cashUsd);
+      expect(ledger.getAccount(cashInr).accountType).toBe(LedgerAccountType.ASSET);
+      expect(ledger.getAccount(cashInr).allowNegativeBalance).toBe(true);
+    });
+  });
+
+  describe('Journal entries', () => {
+    let cash;
+
+    beforeEach(() => {
+      cash = ledger.getSystemAccountId(SystemAccount.CASH, Currency.INR);
+      ledger.openAccount('ALICE', LedgerAccountType.LIABILITY, Currency.INR);
+      ledger.openAccount('BOB', LedgerAccountType.LIABILITY, Currency.INR);
+    });
+
+    test('should post a balanced entry and update running balances', () => {
+      const entry = ledger.transfer(cash, 'ALICE', 1000.5, { description: 'Deposit', reference: 'TXN-1' });
+
+      expect(entry.postings).toHaveLength(2);
+      expect(entry.amount).toBe(1000.5);
+      expect(ledger.getBalance('ALICE')).toBe(1000.5);
+      expect(ledger.getBalance(cash)).toBe(1000.5);
+      expect(ledger.getJournalEntriesByReference('TXN-1')).toHaveLength(1);
+    });
+
+    test('should reject unbalanced entries', () => {
+      expect(() => ledger.postJournalEntry({
+        description: 'Broken',
+        postings: [
+          { accountId: cash, direction: PostingDirection.DEBIT, amount: 100 },
+          { accountId: 'ALICE', direction: PostingDirection.CREDIT, amount: 90 }
+        ]
+      })).toThrow('Unbalanced journal entry');
+    });
+
+    test('should reject the whole entry when any account would go negative', () => {
+      ledger.transfer(cash, 'ALICE', 100);
+
+      expect(() => ledger.transfer('ALICE', 'BOB', 150)).toThrow('Insufficient funds');
+      expect(ledger.getBalance('ALICE')).toBe(100);
+      expect(ledger.getBalance('BOB')).toBe(0);
+    });
+
+    test('should tag insufficient funds errors with a code', () => {
+      try {
+        ledger.transfer('ALICE', 'BOB', 1);
+      } catch (error) {
+        expect(error.code).toBe('INSUFFICIENT_FUNDS');
+      }
+      expect.assertions(1);
+    });
+
+    test('should avoid floating point drift', () => {
+      for (let i = 0; i < 10; i++) {
+        ledger.transfer(cash, 'ALICE', 0.1);
+      }
+
+      expect(ledger.getBalance('ALICE')).toBe(1);
+    });
+
+    test('should reverse an entry exactly once', () => {
+      const entry = ledger.transfer(cash, 'ALICE', 500);
+      const reversal = ledger.reverseJournalEntry(entry.entryId, 'Posted in error');
+
+      expect(reversal.reversalOf).toBe(entry.entryId);
+      expect(ledger.getBalance('ALICE')).toBe(0);
+      expect(() => ledger.reverseJournalEntry(entry.entryId)).toThrow('already reversed');
+    });
+
+    test('should keep the trial balance balanced', () => {
+      ledger.transfer(cash, 'ALICE', 1000);
+      ledger.transfer('ALICE', 'BOB', 400);
+      ledger.transfer('BOB', ledger.getSystemAccountId(SystemAccount.FEE_INCOME, Currency.INR), 25);
+
+      const trialBalance = ledger.getTrialBalance();
+
+      expect(trialBalance.isBalanced).toBe(true);
+      expect(trialBalance.currencies.INR.totalDebits).toBe(1000);
+      expect(trialBalance.currencies.INR.totalCredits).toBe(1000);
+    });
+
+    test('should return account postings with balance after each line', () => {
+      ledger.transfer(cash, 'ALICE', 300);
+      ledger.transfer('ALICE', 'BOB', 100);
+
+      const postings = ledger.getAccountPostings('ALICE');
+
+      expect(postings.map(p => p.balanceAfter)).toEqual([300, 200]);
+    });
+  });
+});
+
+describe('TransactionProcessor ledger postings', () => {
+  let ledger;
+  let processor;
+  let accountId;
+
+  const makeTransaction = (type, amount, counterparty = null) =>
+    new Transaction(accountId, amount, Currency.INR, type, `${type} test`, counterparty);
+
+  beforeEach(() => {
+    ledger = new LedgerService();
+    processor = new TransactionProcessor(ledger);
+    accountId = uuidv4();
+  });
+
+  test('should credit the customer account on deposit', async () => {
+    const result = await processor.process(makeTransaction(TransactionType.DEPOSIT, 5000));
+
+    expect(result.success).toBe(true);
+    expect(result.details.journalEntryId).toBeDefined();
+    expect(result.details.balance).toBe(5000);
+  });
+
+  test('should debit one account and credit the other on internal transfer', async () => {
+    const payeeAccountId = uuidv4();
+    await processor.process(makeTransaction(TransactionType.DEPOSIT, 5000));
+
+    const result = await processor.process(
+      makeTransaction(TransactionType.TRANSFER, 1200, { name: 'Payee', accountId: payeeAccountId })
+    );
+
+    expect(result.success).toBe(true);
+    expect(ledger.getBalance(accountId)).toBe(3800);
+    expect(ledger.getBalance(payeeAccountId)).toBe(1200);
+    expect(ledger.getTrialBalance().isBalanced).toBe(true);
+  });
+
+  test('should fail withdrawals that exceed the balance without moving money', async () => {
+    await processor.process(makeTransaction(TransactionType.DEPOSIT, 100));
+    const transaction = makeTransaction(TransactionType.WITHDRAWAL, 250);
+
+    const result = await processor.process(transaction);
+
+    expect(result.success).toBe(false);
+    expect(result.errorCode).toBe('INSUFFICIENT_FUNDS');
+    expect(transaction.status).toBe(TransactionStatus.FAILED);
+    expect(ledger.getBalance(accountId)).toBe(100);
+  });
+
+  test('should post fees to fee income', async () => {
+    await processor.process(makeTransaction(TransactionType.DEPOSIT, 100));
+    await processor.process(makeTransaction(TransactionType.FEE, 10));
+
+    const feeIncome = ledger.getSystemAccountId(SystemAccount.FEE_INCOME, Currency.INR);
+    expect(ledger.getBalance(feeIncome)).toBe(10);
+    expect(ledger.getBalance(accountId)).toBe(90);
+  });
+
+  test('should expose balances through the module', async () => {
+    const module = new TransactionProcessingModule();
+    const transaction = makeTransaction(TransactionType.DEPOSIT, 750);
+
+    const result = await module.processTransaction(transaction);
+
+    expect(result.success).toBe(true);
+    expect(await module.getAccountBalance(accountId)).toBe(750);
+    expect(module.getTrialBalance().isBalanced).toBe(true);
+  });
+});
+
+describe('Ledger persistence', () => {
+  let repository;
+  let ledger;
+  let accountId;
+
+  beforeEach(() => {
+    accountId = uuidv4();
+    repository = {
+      findAccounts: jest.fn().mockResolvedValue([]),
+      findJournalEntries: jest.fn().mockResolvedValue([]),
+      findAccount: jest.fn().mockResolvedValue(null),
+      findOpeningBalance: jest.fn(async id => (id === accountId ? { accountId, balance: 2500, currency: Currency.INR } : null)),
+      saveJournalEntry: jest.fn().mockResolvedValue()
+    };
+    ledger = new LedgerService(repository);
+  });
+
+  test('should open a stored account with its stored balance before debiting it', async () => {
+    const module = new TransactionProcessingModule(null, ledger);
+
+    const [first, second] = await Promise.all([ledger.loadCustomerAccount(accountId), ledger.loadCustomerAccount(accountId)]);
+    const result = await module.processTransaction(new Transaction(accountId, 1000, Currency.INR, TransactionType.WITHDRAWAL, 'ATM'));
+
+    expect(first.balance).toBe(2500);
+    expect(second.balance).toBe(2500);
+    expect(repository.findOpeningBalance).toHaveBeenCalledTimes(1);
+    expect(result.success).toBe(true);
+    expect(await module.getAccountBalance(accountId)).toBe(1500);
+    expect(repository.saveJournalEntry.mock.calls.map(call => call[0].metadata)).toEqual([
+      { openingBalance: true },
+      { transactionType: TransactionType.WITHDRAWAL }
+    ]);
+    expect(ledger.getTrialBalance().isBalanced).toBe(true);
+  });
+
+  test('should store the journal entry and the transaction in one database transaction', async () => {
+    const tx = { query: jest.fn() };
+    const transactionRepository = { db: { transaction: jest.fn(async callback => callback(tx)) }, save: jest.fn().mockResolvedValue({}) };
+    const module = new TransactionProcessingModule(null, ledger, transactionRepository);
+    const transaction = new Transaction(uuidv4(), 750, Currency.INR, TransactionType.DEPOSIT, 'Branch deposit');
+
+    const result = await module.processTransaction(transaction);
+
+    expect(result.success).toBe(true);
+    expect(transactionRepository.db.transaction).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.save).toHaveBeenCalledWith(transaction, tx);
+    const [entry, accounts, entryTx] = repository.saveJournalEntry.mock.calls[0];
+    expect(entry.entryId).toBe(result.processingResult.details.journalEntryId);
+    expect(accounts.map(account => account.accountId)).toEqual([`SYSTEM:CASH:${Currency.INR}`, transaction.accountId]);
+    expect(entryTx).toBe(tx);
+  });
+
+  test('should take the entry back out of the ledger when storing it fails', async () => {
+    const transactionRepository = {
+      db: { transaction: jest.fn(async callback => callback({})) },
+      save: jest.fn().mockRejectedValueOnce(new Error('connection reset')).mockResolvedValue({})
+    };
+    const module = new TransactionProcessingModule(null, ledger, transactionRepository);
+    const transaction = new Transaction(accountId, 1000, Currency.INR, TransactionType.WITHDRAWAL, 'ATM');
+
+    const result = await module.processTransaction(transaction);
+
+    expect(result.success).toBe(false);
+    expect(result.processingResult.errorCode).toBe('STORAGE_ERROR');
+    expect(transaction.status).toBe(TransactionStatus.FAILED);
+    expect(ledger.getBalance(accountId)).toBe(2500);
+    expect(ledger.getJournalEntriesByReference(transaction.transactionId)).toEqual([]);
+    expect(ledger.getAccountPostings(accountId)).toHaveLength(1);
+    expect(module.exceptionHandler.getPendingExceptions()).toHaveLength(1);
+  });
+
+  test('should load stored accounts and entries after a restart', async () => {
+    const postedAt = new Date('2026-10-19T05:30:00Z');
+    const entry = {
+      entryId: 'entry-1',
+      description: 'Deposit: Salary',
+      reference: 'txn-1',
+      currency: Currency.INR,
+      amount: 800,
+      metadata: {},
+      reversalOf: null,
+      reversedBy: null,
+      postedAt,
+      postings: [
+        { postingId: 'posting-1', entryId: 'entry-1', accountId: 'SYSTEM:CASH:INR', direction: PostingDirection.DEBIT, amount: 800, balanceAfter: 800, postedAt },
+        { postingId: 'posting-2', entryId: 'entry-1', accountId, direction: PostingDirection.CREDIT, amount: 800, balanceAfter: 800, postedAt }
+      ]
+    };
+    const stored = (id, accountType, normalSide, allowNegativeBalance) => ({
+      accountId: id,
+      name: id,
+      accountType,
+      currency: Currency.INR,
+      normalSide,
+      allowNegativeBalance,
+      balance: 800,
+      totalDebits: normalSide === PostingDirection.DEBIT ? 800 : 0,
+      totalCredits: normalSide === PostingDirection.CREDIT ? 800 : 0,
+      metadata: {},
+      openedAt: postedAt,
+      updatedAt: postedAt
+    });
+    repository.findAccounts.mockResolvedValue([
+      stored('SYSTEM:CASH:INR', LedgerAccountType.ASSET, PostingDirection.DEBIT, true),
+      stored(accountId, LedgerAccountType.LIABILITY, PostingDirection.CREDIT, false)
+    ]);
+    repository.findJournalEntries.mockResolvedValue([entry]);
+
+    expect(await ledger.load()).toBe(2);
+
+    expect(ledger.getBalance(accountId)).toBe(800);
+    expect(ledger.getJournalEntriesByReference('txn-1')).toEqual([entry]);
+    expect(ledger.getAccountPostings(accountId).map(posting => posting.postingId)).toEqual(['posting-2']);
+    expect(ledger.getTrialBalance().isBalanced).toBe(true);
+    // Already open, so not seeded again from the account's stored balance
+    expect((await ledger.loadCustomerAccount(accountId)).balance).toBe(800);
+    expect(repository.findOpeningBalance).not.toHaveBeenCalled();
+  });
+});
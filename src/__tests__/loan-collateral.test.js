@@ -0,0 +1,194 @@
+// Unit tests for the collateral registry and loan-to-value enforcement
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { CollateralRegistry } = require('../modules/collateral');
+const { UnderwritingEngine, LoanProcessingModule } = require('../modules/loan-processing');
+const { LoanServicingModule } = require('../modules/loan-servicing');
+const { LoanType, CollateralType, CollateralStatus, ApplicationStatus } = require('../shared/types');
+const { createLoanApplication, recordDecision } = require('./helpers/loan-fixtures');
+
+const OFFICER_ID = uuidv4();
+const CREDIT = { success: true, creditScore: 810 };
+const INCOME = { monthlyIncome: 500000, monthlyDebts: 0 };
+const ESTABLISHED_CUSTOMER = { relationshipProfile: { accountAgeMonths: 48, monthlyTransactions: 25, products: 3 } };
+
+function property(value, valuationDate = new Date()) {
+  return { type: CollateralType.PROPERTY, value, valuationDate };
+}
+
+function ltvRule(decision) {
+  return decision.ruleResults.find(result => result.ruleName === 'Loan-to-Value');
+}
+
+describe('Collateral and Loan-to-Value', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new UnderwritingEngine();
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Underwriting', () => {
+    test('should reject home loans without collateral or with a stale valuation', () => {
+      const unsecured = engine.makeDecision(createLoanApplication({ loanType: LoanType.HOME, amount: 600000 }), CREDIT, INCOME, ESTABLISHED_CUSTOMER);
+      const stale = engine.makeDecision(createLoanApplication({ loanType: LoanType.HOME, amount: 600000 }), CREDIT, INCOME, {
+        ...ESTABLISHED_CUSTOMER,
+        collateral: [property(1000000, new Date(Date.now() - 400 * 24 * 60 * 60 * 1000))]
+      });
+
+      expect(unsecured.approved).toBe(false);
+      expect(ltvRule(unsecured)).toEqual(expect.objectContaining({ passed: false, reason: 'Collateral is required for HOME loans' }));
+      expect(stale.approved).toBe(false);
+      expect(ltvRule(stale).reason).toBe('Collateral valuation out of date: PROPERTY');
+    });
+
+    test('should enforce the home LTV limit with the premium limit for premium customers', () => {
+      const context = { ...ESTABLISHED_CUSTOMER, collateral: [property(1000000)] };
+
+      const standard = engine.makeDecision(createLoanApplication({ loanType: LoanType.HOME, amount: 850000 }), CREDIT, INCOME, context);
+      const premium = engine.makeDecision(createLoanApplication({ loanType: LoanType.HOME, amount: 850000 }), CREDIT, INCOME, {
+        ...context,
+        relationship: 'premium'
+      });
+
+      expect(standard.approved).toBe(false);
+      expect(ltvRule(standard).reason).toBe('LTV 85% exceeds limit of 80%');
+      expect(standard.ltv).toEqual(expect.objectContaining({ ratio: 0.85, limit: 0.8, withinLimit: false }));
+      expect(premium.approved).toBe(true);
+      expect(premium.ltv).toEqual(expect.objectContaining({ ratio: 0.85, limit: 0.9, withinLimit: true }));
+    });
+
+    test('should use the new-vehicle limit only when every vehicle pledged is new', () => {
+      const vehicle = condition => ({ type: CollateralType.VEHICLE, value: 1000000, valuationDate: new Date(), details: { condition } });
+
+      const newVehicle = engine.makeDecision(createLoanApplication({ loanType: LoanType.AUTO, amount: 850000 }), CREDIT, INCOME, {
+        ...ESTABLISHED_CUSTOMER,
+        collateral: [vehicle('new')]
+      });
+      const usedVehicle = engine.makeDecision(createLoanApplication({ loanType: LoanType.AUTO, amount: 850000 }), CREDIT, INCOME, {
+        ...ESTABLISHED_CUSTOMER,
+        collateral: [vehicle('used')]
+      });
+
+      expect(newVehicle.ltv.limit).toBe(0.9);
+      expect(ltvRule(newVehicle).passed).toBe(true);
+      expect(usedVehicle.ltv.limit).toBe(0.75);
+      expect(ltvRule(usedVehicle).passed).toBe(false);
+    });
+
+    test('should follow LTV and valuation rule changes', () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.loanToValue.home.maximum = 0.9;
+      rules.collateral.valuationValidityDays.property = 30;
+      config.businessRules['loan-processing'] = rules;
+      const twoMonthsAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+
+      const current = engine.makeDecision(createLoanApplication({ loanType: LoanType.HOME, amount: 850000 }), CREDIT, INCOME, {
+        ...ESTABLISHED_CUSTOMER,
+        collateral: [property(1000000)]
+      });
+      const stale = engine.makeDecision(createLoanApplication({ loanType: LoanType.HOME, amount: 850000 }), CREDIT, INCOME, {
+        ...ESTABLISHED_CUSTOMER,
+        collateral: [property(1000000, twoMonthsAgo)]
+      });
+
+      expect(ltvRule(current).passed).toBe(true);
+      expect(ltvRule(stale).passed).toBe(false);
+    });
+  });
+
+  describe('Registry', () => {
+    let auditService;
+    let servicing;
+    let registry;
+    let customerId;
+
+    beforeEach(() => {
+      auditService = new AuditService();
+      servicing = new LoanServicingModule({ auditService });
+      registry = new CollateralRegistry({ loanServicingModule: servicing, auditService });
+      customerId = uuidv4();
+    });
+
+    async function bookSecuredLoan(amount, value) {
+      const collateral = await registry.registerCollateral({ customerId, ...property(value) }, OFFICER_ID);
+      const application = createLoanApplication({ customerId, loanType: LoanType.HOME, amount });
+      await registry.pledgeToApplication(collateral.collateralId, application, OFFICER_ID);
+
+      const decision = engine.makeDecision(application, CREDIT, INCOME, {
+        ...ESTABLISHED_CUSTOMER,
+        collateral: await registry.getCollateralForApplication(application.applicationId)
+      });
+      recordDecision(application, decision);
+      const loan = await servicing.bookLoan(application);
+      await registry.linkToLoan(application, loan, OFFICER_ID);
+      return { collateral, application, loan };
+    }
+
+    test('should validate collateral and pledge it only to the owner\'s undecided applications', async () => {
+      await expect(registry.registerCollateral({ customerId, type: 'ARTWORK', value: 100 }, OFFICER_ID)).rejects.toThrow('Invalid collateral type');
+      await expect(registry.registerCollateral({ customerId, type: CollateralType.PROPERTY, value: 0 }, OFFICER_ID)).rejects.toThrow('must be positive');
+      const collateral = await registry.registerCollateral({ customerId, ...property(1000000) }, OFFICER_ID);
+
+      await expect(registry.pledgeToApplication(collateral.collateralId, createLoanApplication({ loanType: LoanType.HOME, amount: 500000 }), OFFICER_ID))
+        .rejects.toThrow('different customer');
+      const application = createLoanApplication({ customerId, loanType: LoanType.HOME, amount: 500000 });
+      await registry.pledgeToApplication(collateral.collateralId, application, OFFICER_ID);
+      await expect(registry.pledgeToApplication(collateral.collateralId, createLoanApplication({ customerId, loanType: LoanType.HOME, amount: 500000 }), OFFICER_ID))
+        .rejects.toThrow('already pledged');
+
+      expect(collateral).toEqual(expect.objectContaining({ status: CollateralStatus.PLEDGED, applicationId: application.applicationId }));
+      const trail = await auditService.getAuditTrail('COLLATERAL', collateral.collateralId);
+      expect(trail.map(entry => entry.action)).toEqual(['REGISTERED', 'PLEDGED']);
+    });
+
+    test('should link collateral to the booked loan and record its opening LTV', async () => {
+      const { collateral, loan } = await bookSecuredLoan(700000, 1000000);
+
+      expect(collateral.loanId).toBe(loan.loanId);
+      expect(loan.ltv).toEqual(expect.objectContaining({ ratio: 0.7, limit: 0.8, collateralValue: 1000000, breached: false }));
+      await expect(registry.releaseCollateral(collateral.collateralId, OFFICER_ID)).rejects.toThrow('secures active loan');
+    });
+
+    test('should keep collateral pledged to an approved application until it is booked or rejected', async () => {
+      const loanProcessing = new LoanProcessingModule({ loanServicingModule: servicing, collateralRegistry: registry });
+      registry.loanProcessingModule = loanProcessing;
+      const collateral = await registry.registerCollateral({ customerId, ...property(1000000) }, OFFICER_ID);
+      const application = createLoanApplication({ customerId, loanType: LoanType.HOME, amount: 700000 });
+      await registry.pledgeToApplication(collateral.collateralId, application, OFFICER_ID);
+      application.makeDecision(true, 700000, 8.5, null, 'Application meets all underwriting criteria');
+      await loanProcessing.saveApplication(application);
+
+      await expect(registry.releaseCollateral(collateral.collateralId, OFFICER_ID)).rejects.toThrow('approved application');
+
+      application.status = ApplicationStatus.REJECTED;
+      const released = await registry.releaseCollateral(collateral.collateralId, OFFICER_ID);
+
+      expect(released).toEqual(expect.objectContaining({ status: CollateralStatus.AVAILABLE, applicationId: null }));
+    });
+
+    test('should flag a breach when a revaluation pushes LTV over the limit and clear it on recovery', async () => {
+      const { collateral, loan } = await bookSecuredLoan(700000, 1000000);
+
+      await expect(registry.revalueCollateral(collateral.collateralId, { value: 900000, valuationDate: new Date('2020-01-01') }, OFFICER_ID))
+        .rejects.toThrow('earlier than the current valuation');
+      const { ltv } = await registry.revalueCollateral(collateral.collateralId, { value: 800000 }, OFFICER_ID);
+
+      expect(ltv).toEqual(expect.objectContaining({ loanId: loan.loanId, ratio: 0.875, limit: 0.8, breached: true }));
+      expect(await registry.getLtvBreaches()).toEqual([expect.objectContaining({ loanId: loan.loanId, ratio: 0.875 })]);
+      expect(collateral.valuations.map(valuation => valuation.value)).toEqual([1000000, 800000]);
+
+      await registry.revalueCollateral(collateral.collateralId, { value: 950000 }, OFFICER_ID);
+
+      expect(loan.ltv.breached).toBe(false);
+      expect(await registry.getLtvBreaches()).toEqual([]);
+      const trail = await auditService.getAuditTrail('LOAN_ACCOUNT', loan.loanId);
+      expect(trail.map(entry => entry.action)).toEqual(expect.arrayContaining(['LTV_BREACHED', 'LTV_RESTORED']));
+    });
+  });
+});
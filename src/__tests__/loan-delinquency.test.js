@@ -0,0 +1,186 @@
+// Unit tests for loan delinquency: DPD buckets, NPA classification, provisioning and PAR
+
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanServicingModule, DelinquencyBucket, AssetClassification } = require('../modules/loan-servicing');
+const { addMonths } = require('../services/amortization');
+const { createApprovedApplication, daysAfter } = require('./helpers/loan-fixtures');
+
+const FIRST_DUE = new Date('2024-02-01T00:00:00Z');
+
+describe('Loan Delinquency', () => {
+  let auditService;
+  let notificationService;
+  let accountRepository;
+  let servicing;
+
+  beforeEach(() => {
+    auditService = new AuditService();
+    notificationService = { sendCollectionReminderNotification: jest.fn().mockResolvedValue({ success: true }) };
+    accountRepository = {
+      findCustomerById: jest.fn(async customerId => ({ customerId, personalInfo: { firstName: 'Asha', lastName: 'Verma' } }))
+    };
+    servicing = new LoanServicingModule({ auditService, notificationService, accountRepository });
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  function bookLoan(firstDueDate = FIRST_DUE) {
+    return servicing.bookLoan(createApprovedApplication(), { firstDueDate });
+  }
+
+  describe('Classification', () => {
+    test('should bucket loans by days past due', () => {
+      const asOf = new Date('2024-06-01T00:00:00Z');
+      const bucketFor = days => servicing.classifyDelinquency(days, null, asOf).bucket;
+
+      expect([0, 1, 30, 31, 60, 61, 90, 91].map(bucketFor)).toEqual([
+        DelinquencyBucket.CURRENT,
+        DelinquencyBucket.SMA_0,
+        DelinquencyBucket.SMA_0,
+        DelinquencyBucket.SMA_1,
+        DelinquencyBucket.SMA_1,
+        DelinquencyBucket.SMA_2,
+        DelinquencyBucket.SMA_2,
+        DelinquencyBucket.NPA
+      ]);
+      expect(servicing.classifyDelinquency(95, null, asOf)).toEqual({
+        bucket: DelinquencyBucket.NPA,
+        assetClassification: AssetClassification.SUBSTANDARD,
+        npaDate: new Date('2024-05-28T00:00:00Z')
+      });
+    });
+
+    test('should age NPAs from substandard through the doubtful categories', () => {
+      const npaDate = new Date('2024-01-15T00:00:00Z');
+      const classify = months => servicing.classifyDelinquency(400, { npaDate }, addMonths(npaDate, months)).assetClassification;
+
+      expect([11, 13, 30, 50].map(classify)).toEqual([
+        AssetClassification.SUBSTANDARD,
+        AssetClassification.DOUBTFUL_1,
+        AssetClassification.DOUBTFUL_2,
+        AssetClassification.DOUBTFUL_3
+      ]);
+    });
+
+    test('should store the bucket and standard asset provision and audit the move', async () => {
+      const loan = await bookLoan();
+
+      const result = await servicing.assessDelinquency(loan.loanId, daysAfter(FIRST_DUE, 45));
+
+      expect(result).toEqual(expect.objectContaining({
+        previousBucket: DelinquencyBucket.CURRENT,
+        bucket: DelinquencyBucket.SMA_1,
+        daysPastDue: 45,
+        assetClassification: AssetClassification.STANDARD,
+        provisionRate: 0.004,
+        provision: 400
+      }));
+      expect(loan.delinquency.bucket).toBe(DelinquencyBucket.SMA_1);
+      const trail = await auditService.getAuditTrail('LOAN_ACCOUNT', loan.loanId);
+      expect(trail.map(entry => entry.action)).toEqual(['BOOKED', 'DELINQUENCY_CLASSIFIED']);
+    });
+
+    test('should keep an NPA until all arrears are paid and provide for unsecured loans at higher rates', async () => {
+      const loan = await bookLoan();
+      const asOf = daysAfter(FIRST_DUE, 100);
+
+      const npa = await servicing.assessDelinquency(loan.loanId, asOf);
+      const firstInstallment = servicing.getInstallmentDues(loan.schedule[0], asOf, servicing.getServicingRules(loan.loanType).penalCharges);
+      await servicing.postRepayment(loan.loanId, { amount: firstInstallment.total, paidAt: asOf });
+      const partlyCured = await servicing.assessDelinquency(loan.loanId, asOf);
+
+      expect(npa).toEqual(expect.objectContaining({ bucket: DelinquencyBucket.NPA, assetClassification: AssetClassification.SUBSTANDARD }));
+      // Personal loans are unsecured: 25% instead of 15%
+      expect(npa.provision).toBe(25000);
+      expect(partlyCured.daysPastDue).toBe(71);
+      expect(partlyCured.bucket).toBe(DelinquencyBucket.NPA);
+
+      const { overdue } = await servicing.getOutstanding(loan.loanId, asOf);
+      await servicing.postRepayment(loan.loanId, { amount: overdue.total, paidAt: asOf });
+      const cured = await servicing.assessDelinquency(loan.loanId, asOf);
+
+      expect(cured).toEqual(expect.objectContaining({
+        bucket: DelinquencyBucket.CURRENT,
+        assetClassification: AssetClassification.STANDARD,
+        npaDate: null
+      }));
+    });
+  });
+
+  describe('Daily run', () => {
+    test('should record bucket movements and send reminders on entry and then every repeatDays', async () => {
+      const overdueLoan = await bookLoan();
+      await bookLoan(daysAfter(FIRST_DUE, 60));
+
+      const first = await servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 5));
+      const nextDay = await servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 6));
+      const week = await servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 12));
+      const moved = await servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 31));
+
+      expect(first.processed).toBe(2);
+      expect(first.movements).toEqual([{ loanId: overdueLoan.loanId, from: DelinquencyBucket.CURRENT, to: DelinquencyBucket.SMA_0, daysPastDue: 5 }]);
+      expect([first, nextDay, week, moved].map(summary => summary.reminders.sent)).toEqual([1, 0, 1, 1]);
+      expect(notificationService.sendCollectionReminderNotification).toHaveBeenLastCalledWith(
+        expect.objectContaining({ customerId: overdueLoan.customerId }),
+        expect.objectContaining({ loanId: overdueLoan.loanId, bucket: DelinquencyBucket.SMA_1, daysPastDue: 31, currency: 'INR' }),
+        ['sms', 'email']
+      );
+    });
+
+    test('should report reminders that could not be sent', async () => {
+      const loan = await bookLoan();
+      accountRepository.findCustomerById.mockResolvedValue(null);
+
+      const summary = await servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 5));
+
+      expect(summary.reminders.failed).toEqual([{ loanId: loan.loanId, reason: `Customer not found: ${loan.customerId}` }]);
+      expect(loan.delinquency.lastReminderAt).toBeNull();
+    });
+
+    test('should reject future run dates and overlapping runs', async () => {
+      await bookLoan();
+
+      await expect(servicing.runDelinquencyJob(daysAfter(new Date(), 1))).rejects.toThrow('future date');
+      const running = servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 5));
+      await expect(servicing.runDelinquencyJob(daysAfter(FIRST_DUE, 5))).rejects.toThrow('already running');
+      expect((await running).processed).toBe(1);
+    });
+
+    test('should run at start and then on the configured interval', () => {
+      jest.useFakeTimers();
+      const run = jest.spyOn(servicing, 'runDelinquencyJob').mockResolvedValue({});
+
+      servicing.startDelinquencyJob();
+      expect(run).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(2);
+      servicing.stopDelinquencyJob();
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+      expect(run).toHaveBeenCalledTimes(2);
+      jest.useRealTimers();
+    });
+  });
+
+  test('should report portfolio at risk, NPAs and provisions', async () => {
+    const asOf = new Date('2024-06-01T00:00:00Z');
+    await bookLoan(new Date('2024-06-15T00:00:00Z'));
+    await bookLoan(new Date('2024-04-17T00:00:00Z'));
+    await bookLoan(FIRST_DUE);
+
+    const report = await servicing.getPortfolioAtRisk(asOf);
+
+    expect(report.totalOutstanding).toBe(300000);
+    expect(report.buckets[DelinquencyBucket.SMA_1]).toEqual({ loans: 1, principalOutstanding: 100000 });
+    expect(report.portfolioAtRisk.PAR30).toEqual({ principalOutstanding: 200000, ratio: 66.67 });
+    expect(report.portfolioAtRisk.PAR90).toEqual({ principalOutstanding: 100000, ratio: 33.33 });
+    expect(report.grossNpa).toEqual({ amount: 100000, ratio: 33.33 });
+    expect(report.assetClassification[AssetClassification.SUBSTANDARD].provision).toBe(25000);
+    expect(report.totalProvision).toBe(25800);
+    // Net NPA over net advances: 75000 / (300000 - 25000)
+    expect(report.netNpa).toEqual({ amount: 75000, ratio: 27.27 });
+  });
+});
@@ -0,0 +1,311 @@
+// Unit tests for loan disbursement: officer sign-off, processing fees and tranches
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanProcessingModule } = require('../modules/loan-processing');
+const { LoanServicingModule, LoanStatus } = require('../modules/loan-servicing');
+const { TransactionProcessingModule } = require('../modules/transaction-processing');
+const { SystemAccount } = require('../services/ledger-service');
+const { LoanApplication } = require('../shared/interfaces');
+const { LoanType, ApplicationStatus, ApplicantRole, DisbursementStatus, Currency, TransactionType } = require('../shared/types');
+const { createApprovedApplication } = require('./helpers/loan-fixtures');
+
+const OFFICER_ID = uuidv4();
+const BORROWER_ID = uuidv4();
+
+function createApplication(loanType = LoanType.PERSONAL, amount = 500000) {
+  return createApprovedApplication({ customerId: BORROWER_ID, loanType, amount, rate: 9, tenure: 60, assignedOfficer: OFFICER_ID });
+}
+
+describe('Loan Disbursement', () => {
+  let auditService;
+  let transactionProcessing;
+  let servicing;
+  let loanProcessing;
+  let accounts;
+  let accountId;
+
+  beforeEach(() => {
+    auditService = new AuditService();
+    transactionProcessing = new TransactionProcessingModule();
+    servicing = new LoanServicingModule({ auditService });
+    accounts = new Map();
+    loanProcessing = new LoanProcessingModule({
+      transactionProcessingModule: transactionProcessing,
+      loanServicingModule: servicing,
+      accountRepository: { findById: jest.fn(async (id) => accounts.get(id) || null) },
+      auditService
+    });
+    accountId = uuidv4();
+    accounts.set(accountId, { accountId, customerId: BORROWER_ID });
+  });
+
+  // Ages every disbursement claim past the timeout, as if its run had stopped
+  function expireClaims() {
+    for (const record of loanProcessing.idempotencyService.records.values()) {
+      record.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+    }
+  }
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Sign-off', () => {
+    test('should require officer sign-off before disbursing', async () => {
+      const application = createApplication();
+
+      await expect(loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID))
+        .rejects.toThrow('Officer sign-off is required');
+
+      await loanProcessing.signOffApplication(application, OFFICER_ID, { comments: 'Verified income documents' });
+
+      expect(application.decision).toEqual(expect.objectContaining({
+        signedOffBy: OFFICER_ID,
+        signOffComments: 'Verified income documents'
+      }));
+      await expect(loanProcessing.signOffApplication(application, OFFICER_ID)).rejects.toThrow('already been signed off');
+    });
+
+    test('should keep applications in memory when no repository is configured', async () => {
+      const application = createApplication();
+
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+
+      expect(await loanProcessing.getApplication(application.applicationId)).toBe(application);
+      expect(await loanProcessing.getApplications({ customerId: application.customerId })).toEqual([application]);
+      expect(await loanProcessing.getApplication(uuidv4())).toBeNull();
+    });
+
+    test('should only accept sign-off from the assigned officer and allow rejection', async () => {
+      const application = createApplication();
+
+      await expect(loanProcessing.signOffApplication(application, uuidv4())).rejects.toThrow('assigned officer');
+
+      await loanProcessing.signOffApplication(application, OFFICER_ID, { approved: false, comments: 'Employer could not be verified' });
+
+      expect(application.status).toBe(ApplicationStatus.REJECTED);
+      expect(application.decision.approved).toBe(false);
+      await expect(loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID))
+        .rejects.toThrow('Only approved loan applications');
+    });
+
+    test('should skip sign-off when the business rules do not require it', async () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.disbursement.requireOfficerSignOff = false;
+      config.businessRules['loan-processing'] = rules;
+
+      const result = await loanProcessing.disburseLoan(createApplication(), { accountId }, OFFICER_ID);
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('Disbursement', () => {
+    test('should credit the approved amount net of the processing fee and book the loan', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+
+      const result = await loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID);
+
+      expect(result.tranche).toEqual(expect.objectContaining({ amount: 500000, processingFee: 10000, netAmount: 490000, status: 'COMPLETED' }));
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(490000);
+      expect(transactionProcessing.ledger.getBalance(
+        transactionProcessing.ledger.getSystemAccountId(SystemAccount.FEE_INCOME, Currency.INR)
+      )).toBe(10000);
+      expect(application.disbursement).toEqual(expect.objectContaining({
+        status: DisbursementStatus.DISBURSED,
+        disbursedAmount: 500000,
+        processingFeeCollected: true
+      }));
+      expect(application.disbursement.completedAt).toBeInstanceOf(Date);
+      expect(result.loan).toEqual(expect.objectContaining({ status: LoanStatus.ACTIVE, principal: 500000 }));
+      await expect(loanProcessing.disburseLoan(application, {}, OFFICER_ID)).rejects.toThrow('already been fully disbursed');
+    });
+
+    test('should clamp the processing fee to the product minimum and maximum', () => {
+      expect(loanProcessing.calculateProcessingFee(LoanType.PERSONAL, 20000)).toBe(1000);
+      expect(loanProcessing.calculateProcessingFee(LoanType.PERSONAL, 2000000)).toBe(25000);
+      expect(loanProcessing.calculateProcessingFee(LoanType.AUTO, 800000)).toBe(8000);
+    });
+
+    test('should disburse non-tranche loans in full only', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+
+      await expect(loanProcessing.disburseLoan(application, { accountId, amount: 200000 }, OFFICER_ID))
+        .rejects.toThrow('disbursed in full');
+      await expect(loanProcessing.disburseLoan(application, { amount: 500000 }, OFFICER_ID))
+        .rejects.toThrow('accountId is required');
+    });
+
+    test('should release home loans in tranches and book the loan on the final tranche', async () => {
+      const application = createApplication(LoanType.HOME, 3000000);
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+
+      const first = await loanProcessing.disburseLoan(application, { accountId, amount: 1000000, stage: 'Foundation' }, OFFICER_ID);
+
+      // 0.5% of 3000000 is charged once, against the first tranche
+      expect(first.tranche).toEqual(expect.objectContaining({ trancheNumber: 1, processingFee: 15000, netAmount: 985000, stage: 'Foundation' }));
+      expect(application.disbursement.status).toBe(DisbursementStatus.PARTIALLY_DISBURSED);
+      expect(first.loan).toBeNull();
+      await expect(loanProcessing.disburseLoan(application, { amount: 50000 }, OFFICER_ID))
+        .rejects.toThrow('below minimum of 100000');
+      await expect(loanProcessing.disburseLoan(application, { amount: 2500000 }, OFFICER_ID))
+        .rejects.toThrow('at most the undisbursed 2000000');
+
+      const second = await loanProcessing.disburseLoan(application, { amount: 1200000, stage: 'Superstructure' }, OFFICER_ID);
+      const final = await loanProcessing.disburseLoan(application, { stage: 'Finishing' }, OFFICER_ID);
+
+      expect(second.tranche.processingFee).toBe(0);
+      expect(final.tranche.amount).toBe(800000);
+      expect(application.disbursement.status).toBe(DisbursementStatus.DISBURSED);
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(2985000);
+      expect(final.loan.principal).toBe(3000000);
+      const trail = await auditService.getAuditTrail('LOAN', application.applicationId);
+      expect(trail.map(entry => entry.action)).toEqual(['SIGNED_OFF', 'DISBURSED', 'DISBURSED', 'DISBURSED']);
+    });
+
+    test('should record a failed tranche without changing the disbursed amount', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+      transactionProcessing.processor.executeTransaction = jest.fn().mockRejectedValue(new Error('Ledger unavailable'));
+
+      const result = await loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID);
+
+      expect(result.success).toBe(false);
+      expect(result.tranche).toEqual(expect.objectContaining({ status: 'FAILED', failureReason: 'Ledger unavailable' }));
+      expect(application.disbursement).toEqual(expect.objectContaining({
+        status: DisbursementStatus.PENDING,
+        disbursedAmount: 0,
+        processingFeeCollected: false
+      }));
+      expect(result.loan).toBeNull();
+    });
+
+    test('should pay out once when the same tranche is disbursed concurrently', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+
+      const results = await Promise.allSettled([
+        loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID),
+        loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.message).toContain('already in progress');
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(490000);
+    });
+
+    test('should restore a credited tranche on retry instead of paying again', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+      const reloaded = Object.assign(Object.create(LoanApplication.prototype), structuredClone(application));
+      const save = loanProcessing.saveApplication.bind(loanProcessing);
+      jest.spyOn(loanProcessing, 'saveApplication')
+        .mockImplementationOnce(save)
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID)).rejects.toThrow('Database unavailable');
+      const retried = await loanProcessing.disburseLoan(reloaded, { accountId }, OFFICER_ID);
+
+      expect(retried.success).toBe(true);
+      expect(reloaded.disbursement).toEqual(expect.objectContaining({ status: DisbursementStatus.DISBURSED, disbursedAmount: 500000 }));
+      expect(reloaded.disbursement.completedAt).toBeInstanceOf(Date);
+      expect(retried.loan.principal).toBe(500000);
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(490000);
+    });
+
+    test('should settle a stale tranche claim from the ledger instead of paying again', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+      let reloaded;
+      const save = loanProcessing.saveApplication.bind(loanProcessing);
+      jest.spyOn(loanProcessing, 'saveApplication').mockImplementationOnce(async (saved) => {
+        reloaded = Object.assign(Object.create(LoanApplication.prototype), structuredClone(saved));
+        return save(saved);
+      });
+      jest.spyOn(loanProcessing.idempotencyService, 'complete').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID)).rejects.toThrow('Database unavailable');
+      await expect(loanProcessing.disburseLoan(reloaded, { accountId }, OFFICER_ID)).rejects.toThrow('already in progress');
+      expireClaims();
+      const retried = await loanProcessing.disburseLoan(reloaded, { accountId }, OFFICER_ID);
+
+      expect(retried.success).toBe(true);
+      expect(retried.tranche).toEqual(expect.objectContaining({ trancheNumber: 1, amount: 500000, processingFee: 10000, netAmount: 490000 }));
+      expect(reloaded.disbursement).toEqual(expect.objectContaining({
+        status: DisbursementStatus.DISBURSED,
+        disbursedAmount: 500000,
+        processingFeeCollected: true,
+        pendingTranche: null
+      }));
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(490000);
+    });
+
+    test('should take over a stale tranche claim whose credit was never posted', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+      jest.spyOn(transactionProcessing, 'processTransaction').mockRejectedValueOnce(new Error('Connection reset'));
+
+      await expect(loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID)).rejects.toThrow('Connection reset');
+      expect(application.disbursement.pendingTranche).toEqual(expect.objectContaining({ trancheNumber: 1, amount: 500000 }));
+      expireClaims();
+      const retried = await loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID);
+
+      expect(retried.success).toBe(true);
+      expect(application.disbursement.tranches).toHaveLength(1);
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(490000);
+    });
+
+    test('should only disburse into an account held by the borrower or a co-applicant', async () => {
+      const application = createApplication();
+      const coApplicantId = uuidv4();
+      const guarantorId = uuidv4();
+      application.addParty(coApplicantId, ApplicantRole.CO_APPLICANT, { relationship: 'Spouse', monthlyIncome: 60000 });
+      application.addParty(guarantorId, ApplicantRole.GUARANTOR, { relationship: 'Parent', monthlyIncome: 80000 });
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+      const guarantorAccount = uuidv4();
+      const jointAccount = uuidv4();
+      accounts.set(guarantorAccount, { accountId: guarantorAccount, customerId: guarantorId });
+      accounts.set(jointAccount, { accountId: jointAccount, customerId: coApplicantId });
+
+      await expect(loanProcessing.disburseLoan(application, { accountId: guarantorAccount }, OFFICER_ID))
+        .rejects.toThrow(`Account ${guarantorAccount} is not held by the borrower or a co-applicant`);
+      await expect(loanProcessing.disburseLoan(application, { accountId: uuidv4() }, OFFICER_ID))
+        .rejects.toThrow('is not held by the borrower');
+      const result = await loanProcessing.disburseLoan(application, { accountId: jointAccount }, OFFICER_ID);
+
+      expect(result.success).toBe(true);
+      expect(application.disbursement.accountId).toBe(jointAccount);
+      expect(await transactionProcessing.getAccountBalance(guarantorAccount)).toBe(0);
+    });
+
+    test('should keep an uncollected processing fee outstanding until it is collected', async () => {
+      const application = createApplication();
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+      const processTransaction = transactionProcessing.processTransaction.bind(transactionProcessing);
+      jest.spyOn(transactionProcessing, 'processTransaction').mockImplementation(async (transaction) =>
+        transaction.transactionType === TransactionType.FEE ? { success: false, errors: ['Account frozen'] } : processTransaction(transaction));
+
+      const result = await loanProcessing.disburseLoan(application, { accountId }, OFFICER_ID);
+
+      expect(result.success).toBe(true);
+      expect(application.disbursement).toEqual(expect.objectContaining({ status: DisbursementStatus.DISBURSED, processingFeeCollected: false }));
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(500000);
+      const failed = await loanProcessing.collectProcessingFee(application, OFFICER_ID);
+      expect(failed).toEqual(expect.objectContaining({ success: false, errors: ['Account frozen'] }));
+
+      transactionProcessing.processTransaction.mockRestore();
+      const collected = await loanProcessing.collectProcessingFee(application, OFFICER_ID);
+
+      expect(collected.success).toBe(true);
+      expect(application.disbursement.processingFeeCollected).toBe(true);
+      expect(await transactionProcessing.getAccountBalance(accountId)).toBe(490000);
+      await expect(loanProcessing.collectProcessingFee(application, OFFICER_ID)).rejects.toThrow('already been collected');
+      const trail = await auditService.getAuditTrail('LOAN', application.applicationId);
+      expect(trail.map(entry => entry.action)).toEqual(['SIGNED_OFF', 'DISBURSED', 'PROCESSING_FEE_OUTSTANDING', 'PROCESSING_FEE_COLLECTED']);
+    });
+  });
+});
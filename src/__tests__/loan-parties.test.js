@@ -0,0 +1,180 @@
+// Unit tests for co-applicants and guarantors on loan applications
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanProcessingModule, CreditAssessor, UnderwritingEngine } = require('../modules/loan-processing');
+const { ApplicantRole } = require('../shared/types');
+const { createLoanApplication } = require('./helpers/loan-fixtures');
+
+const OFFICER_ID = uuidv4();
+const ESTABLISHED_CUSTOMER = { relationshipProfile: { accountAgeMonths: 48, monthlyTransactions: 25, products: 3 } };
+
+function addParty(application, role, details = {}, creditScore = 780) {
+  const party = application.addParty(uuidv4(), role, details);
+  party.creditScore = creditScore;
+  return party;
+}
+
+function rule(decision, ruleName) {
+  return decision.ruleResults.find(result => result.ruleName === ruleName);
+}
+
+describe('Loan Application Parties', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new UnderwritingEngine();
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Parties', () => {
+    test('should add co-applicants and guarantors with their role and declared income', () => {
+      const application = createLoanApplication({ amount: 1200000 });
+
+      const coApplicant = application.addParty(uuidv4(), ApplicantRole.CO_APPLICANT, { relationship: 'spouse', monthlyIncome: 60000 });
+      application.addParty(uuidv4(), ApplicantRole.GUARANTOR);
+
+      expect(coApplicant).toEqual(expect.objectContaining({ role: ApplicantRole.CO_APPLICANT, relationship: 'spouse', monthlyIncome: 60000, monthlyDebts: 0 }));
+      expect(application.getParties(ApplicantRole.GUARANTOR)).toHaveLength(1);
+      expect(() => application.addParty(application.customerId, ApplicantRole.GUARANTOR)).toThrow('already a party');
+      expect(() => application.addParty(coApplicant.customerId, ApplicantRole.GUARANTOR)).toThrow('already a party');
+      expect(() => application.addParty(uuidv4(), ApplicantRole.PRIMARY)).toThrow('Invalid party role');
+      expect(() => application.addParty('not-a-customer', ApplicantRole.GUARANTOR)).toThrow('Invalid loan application data');
+      expect(application.parties).toHaveLength(2);
+    });
+
+    test('should enforce party limits and lock parties once underwriting has decided', async () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.parties.maximumGuarantors = 1;
+      config.businessRules['loan-processing'] = rules;
+      const auditService = new AuditService();
+      const loanProcessing = new LoanProcessingModule({ auditService });
+      const application = createLoanApplication({ amount: 1200000 });
+
+      const guarantor = await loanProcessing.addParty(application, { customerId: uuidv4(), role: ApplicantRole.GUARANTOR }, OFFICER_ID);
+      await expect(loanProcessing.addParty(application, { customerId: uuidv4(), role: ApplicantRole.GUARANTOR }, OFFICER_ID))
+        .rejects.toThrow('at most 1 parties with role GUARANTOR');
+      application.makeDecision(false, null, null, null, 'Declined');
+      await expect(loanProcessing.addParty(application, { customerId: uuidv4(), role: ApplicantRole.CO_APPLICANT }, OFFICER_ID))
+        .rejects.toThrow('cannot be changed after the underwriting decision');
+
+      const trail = await auditService.getAuditTrail('LOAN', application.applicationId);
+      expect(trail.map(entry => entry.action)).toEqual(['PARTY_ADDED']);
+      expect(trail[0].afterState).toEqual({ partyId: guarantor.partyId, customerId: guarantor.customerId, role: ApplicantRole.GUARANTOR });
+    });
+  });
+
+  describe('Underwriting', () => {
+    test('should combine co-applicant income and debts for DTI but never guarantor income', () => {
+      const alone = engine.makeDecision(createLoanApplication({ amount: 1200000 }), { success: true, creditScore: 780 }, { monthlyIncome: 40000 }, ESTABLISHED_CUSTOMER);
+
+      const withGuarantor = createLoanApplication({ amount: 1200000 });
+      addParty(withGuarantor, ApplicantRole.GUARANTOR, { monthlyIncome: 200000 });
+      const guaranteed = engine.makeDecision(withGuarantor, { success: true, creditScore: 780 }, { monthlyIncome: 40000 }, ESTABLISHED_CUSTOMER);
+
+      const withCoApplicant = createLoanApplication({ amount: 1200000 });
+      addParty(withCoApplicant, ApplicantRole.CO_APPLICANT, { monthlyIncome: 60000, monthlyDebts: 5000 });
+      const combined = engine.makeDecision(withCoApplicant, { success: true, creditScore: 780 }, { monthlyIncome: 40000 }, ESTABLISHED_CUSTOMER);
+
+      // 20000 EMI estimate on 40000 income, then 25000 of obligations on 100000 combined
+      expect(rule(alone, 'Debt-to-Income Ratio').value).toBe(0.5);
+      expect(rule(guaranteed, 'Debt-to-Income Ratio').value).toBe(0.5);
+      expect(rule(combined, 'Debt-to-Income Ratio').value).toBe(0.25);
+      expect(combined.approved).toBe(true);
+      expect(combined.scorecard.factors.income.details.dti).toBe(0.25);
+    });
+
+    test('should apply the income multiplier to combined annual income', () => {
+      const application = createLoanApplication({ amount: 1500000 });
+      addParty(application, ApplicantRole.CO_APPLICANT, { monthlyIncome: 25000 });
+
+      const alone = engine.makeDecision(createLoanApplication({ amount: 1500000 }), { success: true, creditScore: 780 }, { annualIncome: 300000 }, ESTABLISHED_CUSTOMER);
+      const combined = engine.makeDecision(application, { success: true, creditScore: 780 }, { annualIncome: 300000 }, ESTABLISHED_CUSTOMER);
+
+      expect(rule(alone, 'Income Multiplier')).toEqual(expect.objectContaining({ passed: false, value: 5 }));
+      expect(rule(combined, 'Income Multiplier')).toEqual(expect.objectContaining({ passed: true, value: 2.5 }));
+    });
+
+    test('should underwrite the lowest borrower credit score unless configured otherwise', () => {
+      const application = createLoanApplication({ amount: 100000 });
+      addParty(application, ApplicantRole.CO_APPLICANT, { monthlyIncome: 50000 }, 620);
+
+      const lowest = engine.makeDecision(application, { success: true, creditScore: 800 }, { monthlyIncome: 100000 }, ESTABLISHED_CUSTOMER);
+
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.parties.borrowerCreditScore = 'average';
+      config.businessRules['loan-processing'] = rules;
+      const average = engine.makeDecision(application, { success: true, creditScore: 800 }, { monthlyIncome: 100000 }, ESTABLISHED_CUSTOMER);
+
+      expect(lowest.approved).toBe(false);
+      expect(rule(lowest, 'Minimum Credit Score').value).toBe(620);
+      expect(rule(average, 'Minimum Credit Score')).toEqual(expect.objectContaining({ passed: true, value: 710 }));
+      expect(rule(average, 'Co-applicant Credit').passed).toBe(true);
+    });
+
+    test('should reject when a guarantor misses the guarantor credit score or was never assessed', () => {
+      const weak = createLoanApplication({ amount: 100000 });
+      addParty(weak, ApplicantRole.GUARANTOR, {}, 680);
+      const unassessed = createLoanApplication({ amount: 100000 });
+      addParty(unassessed, ApplicantRole.GUARANTOR, {}, null);
+
+      const weakDecision = engine.makeDecision(weak, { success: true, creditScore: 800 }, { monthlyIncome: 100000 }, ESTABLISHED_CUSTOMER);
+      const unassessedDecision = engine.makeDecision(unassessed, { success: true, creditScore: 800 }, { monthlyIncome: 100000 }, ESTABLISHED_CUSTOMER);
+
+      expect(weakDecision.approved).toBe(false);
+      expect(rule(weakDecision, 'Guarantor Credit')).toEqual(expect.objectContaining({
+        reason: 'Guarantor credit score 680 below minimum requirement of 700',
+        threshold: 700
+      }));
+      expect(unassessedDecision.approved).toBe(false);
+      expect(rule(unassessedDecision, 'Guarantor Credit').reason).toContain('has no credit score');
+    });
+  });
+
+  describe('Credit pulls', () => {
+    test('should pull every party through the credit bureau interface', async () => {
+      const scores = {};
+      const bureauInterface = {
+        getMultiBureauCreditScore: jest.fn(async (bureaus, customerData) => ({
+          results: Object.fromEntries(bureaus.map(bureau => [bureau, { creditScore: scores[customerData.customerId], timestamp: new Date() }])),
+          errors: {}
+        }))
+      };
+      const assessor = new CreditAssessor({}, bureauInterface);
+      const application = createLoanApplication({ amount: 1200000 });
+      const coApplicant = application.addParty(uuidv4(), ApplicantRole.CO_APPLICANT);
+      const guarantor = application.addParty(uuidv4(), ApplicantRole.GUARANTOR);
+      scores[coApplicant.customerId] = 742;
+      scores[guarantor.customerId] = 701;
+      const personalInfo = { firstName: 'Asha', lastName: 'Rao', dateOfBirth: '1988-04-12' };
+
+      const assessments = await assessor.assessParties(application, {
+        [coApplicant.customerId]: { personalInfo },
+        [guarantor.customerId]: { personalInfo: { ...personalInfo, firstName: 'Vikram' } }
+      });
+
+      expect(assessments).toEqual([
+        expect.objectContaining({ partyId: coApplicant.partyId, role: ApplicantRole.CO_APPLICANT, creditScore: 742, success: true }),
+        expect.objectContaining({ partyId: guarantor.partyId, role: ApplicantRole.GUARANTOR, creditScore: 701, success: true })
+      ]);
+      expect(bureauInterface.getMultiBureauCreditScore).toHaveBeenCalledWith(['cibil', 'experian', 'equifax'], expect.objectContaining({
+        customerId: guarantor.customerId,
+        firstName: 'Vikram',
+        dateOfBirth: new Date('1988-04-12')
+      }));
+    });
+
+    test('should fail the party assessment when a party has no customer information', async () => {
+      const application = createLoanApplication({ amount: 1200000 });
+      application.addParty(uuidv4(), ApplicantRole.GUARANTOR);
+
+      const [assessment] = await new CreditAssessor().assessParties(application, {});
+
+      expect(assessment).toEqual(expect.objectContaining({ success: false, error: 'Customer information is required for credit assessment' }));
+    });
+  });
+});
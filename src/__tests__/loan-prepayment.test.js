@@ -0,0 +1,209 @@
+// Unit tests for loan prepayment, foreclosure and restructuring
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const {
+  LoanServicingModule,
+  LoanStatus,
+  InstallmentStatus,
+  PrepaymentOption,
+  RepaymentType,
+  ServicingEvent
+} = require('../modules/loan-servicing');
+const { LoanDecisionNotifier } = require('../modules/loan-processing');
+const { calculateTenure } = require('../services/amortization');
+const { RateType } = require('../shared/types');
+const { createApprovedApplication } = require('./helpers/loan-fixtures');
+
+const DISBURSED_AT = new Date('2024-01-01T00:00:00Z');
+const FIRST_DUE = new Date('2024-02-01T00:00:00Z');
+const OFFICER_ID = uuidv4();
+const CONTACT = { email: 'borrower@example.com', phone: '+919800000000' };
+
+describe('Loan Prepayment, Foreclosure and Restructuring', () => {
+  let auditService;
+  let notificationService;
+  let servicing;
+  let loan;
+
+  async function bookLoan() {
+    return await servicing.bookLoan(createApprovedApplication({ tenure: 24 }), { tenureMonths: 24, disbursedAt: DISBURSED_AT, firstDueDate: FIRST_DUE });
+  }
+
+  async function payInstallments(count) {
+    for (let index = 0; index < count; index++) {
+      await servicing.postRepayment(loan.loanId, { amount: loan.emi, paidAt: loan.schedule[index].dueDate });
+    }
+  }
+
+  beforeEach(async () => {
+    auditService = new AuditService();
+    notificationService = {
+      sendEmail: jest.fn(async () => ({ success: true })),
+      sendSMS: jest.fn(async () => ({ success: true }))
+    };
+    servicing = new LoanServicingModule({
+      auditService,
+      accountRepository: { findCustomerById: async () => ({ personalInfo: { contactInfo: CONTACT } }) },
+      loanNotifier: new LoanDecisionNotifier(notificationService)
+    });
+    loan = await bookLoan();
+    await payInstallments(2);
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Part-prepayment', () => {
+    test('should quote a shorter tenure or a lower EMI with prepayment charges', async () => {
+      const asOf = new Date('2024-03-10T00:00:00Z');
+
+      const tenure = await servicing.quotePrepayment(loan.loanId, { amount: 20000, option: PrepaymentOption.REDUCE_TENURE, asOf });
+      const emi = await servicing.quotePrepayment(loan.loanId, { amount: 20000, option: PrepaymentOption.REDUCE_EMI, asOf });
+
+      expect(tenure).toEqual(expect.objectContaining({ amount: 20000, charges: 400, totalPayable: 20400 }));
+      expect(tenure.current).toEqual(expect.objectContaining({ emi: 4707.35, remainingInstallments: 22, remainingInterest: 11013.41 }));
+      expect(tenure.revised).toEqual(expect.objectContaining({ remainingInstallments: 17, principalOutstanding: 72548.23 }));
+      expect(tenure.revised.emi).toBeLessThanOrEqual(loan.emi);
+      expect(tenure.revised.maturityDate).toEqual(new Date('2025-08-01T00:00:00Z'));
+      expect(emi.revised).toEqual(expect.objectContaining({ emi: 3690.07, remainingInstallments: 22 }));
+      expect(tenure.interestSaved).toBeGreaterThan(emi.interestSaved);
+      expect(loan.schedule).toHaveLength(24);
+    });
+
+    test('should regenerate the schedule from the next installment and record the prepayment', async () => {
+      const paidAt = new Date('2024-03-10T00:00:00Z');
+
+      const { repayment, quote } = await servicing.prepayLoan(loan.loanId, {
+        amount: 20000,
+        option: PrepaymentOption.REDUCE_TENURE,
+        paidAt,
+        reference: 'PRE-1'
+      }, OFFICER_ID);
+
+      expect(repayment).toEqual(expect.objectContaining({
+        type: RepaymentType.PREPAYMENT,
+        amount: 20400,
+        allocation: { penalty: 0, interest: 0, principal: 20000, charges: 400 }
+      }));
+      expect(loan).toEqual(expect.objectContaining({ tenureMonths: 19, emi: quote.revised.emi, principalOutstanding: 72548.23 }));
+      expect(loan.maturityDate).toEqual(new Date('2025-08-01T00:00:00Z'));
+      expect(loan.schedule[1].status).toBe(InstallmentStatus.PAID);
+      expect(loan.schedule[2]).toEqual(expect.objectContaining({ installmentNumber: 3, openingPrincipal: 72548.23, principalPaid: 0 }));
+      expect(loan.schedule[18].closingPrincipal).toBe(0);
+
+      const trail = await auditService.getAuditTrail('LOAN_ACCOUNT', loan.loanId);
+      expect(trail.find(entry => entry.action === 'PREPAID')).toEqual(expect.objectContaining({
+        beforeState: expect.objectContaining({ tenureMonths: 24 }),
+        afterState: expect.objectContaining({ tenureMonths: 19, amount: 20000, charges: 400 })
+      }));
+      expect(notificationService.sendEmail).toHaveBeenCalledWith(CONTACT.email, 'Loan Prepayment Received', expect.stringContaining('Interest Saved'));
+    });
+
+    test('should enforce the minimum, block prepayment over arrears and waive charges on floating-rate loans', async () => {
+      const asOf = new Date('2024-03-10T00:00:00Z');
+
+      await expect(servicing.quotePrepayment(loan.loanId, { amount: 5000, asOf })).rejects.toThrow('at least 10000');
+      await expect(servicing.quotePrepayment(loan.loanId, { amount: 20000, option: 'SKIP_EMI', asOf })).rejects.toThrow('Invalid prepayment option');
+      await expect(servicing.quotePrepayment(loan.loanId, { amount: 95000, asOf })).rejects.toThrow('foreclose the loan instead');
+      await expect(servicing.quotePrepayment(loan.loanId, { amount: 20000, asOf: new Date('2024-04-10T00:00:00Z') }))
+        .rejects.toThrow('Overdue installments must be paid before prepaying');
+
+      loan = await bookLoan();
+      loan.rateType = RateType.FLOATING;
+      const floating = await servicing.quotePrepayment(loan.loanId, { amount: 20000, asOf: new Date('2024-01-15T00:00:00Z') });
+      expect(floating).toEqual(expect.objectContaining({ charges: 0, totalPayable: 20000 }));
+    });
+  });
+
+  describe('Foreclosure', () => {
+    test('should quote the payoff with arrears, broken-period interest and charges after the lock-in', async () => {
+      await expect(servicing.quoteForeclosure(loan.loanId, new Date('2024-06-10T00:00:00Z')))
+        .rejects.toThrow('before the lock-in ends on 2025-01-01');
+      await payInstallments(10);
+
+      const quote = await servicing.quoteForeclosure(loan.loanId, new Date('2025-01-16T00:00:00Z'));
+
+      const upcoming = loan.schedule.slice(12);
+      const principal = Math.round(upcoming.reduce((sum, installment) => sum + installment.principal, 0) * 100) / 100;
+      const accrued = Math.round(principal * 0.12 / 365 * 15 * 100) / 100;
+      expect(quote.arrears.total).toBe(0);
+      expect(quote.principalOutstanding).toBe(principal);
+      expect(quote.accruedInterest).toBe(accrued);
+      expect(quote.charges).toBe(Math.round(principal * 0.04 * 100) / 100);
+      expect(quote.totalPayable).toBe(Math.round((principal + accrued + quote.charges) * 100) / 100);
+    });
+
+    test('should close the loan only for the quoted amount', async () => {
+      await payInstallments(10);
+      const paidAt = new Date('2025-01-16T00:00:00Z');
+      const quote = await servicing.quoteForeclosure(loan.loanId, paidAt);
+
+      await expect(servicing.forecloseLoan(loan.loanId, { amount: quote.totalPayable - 1, paidAt }, OFFICER_ID))
+        .rejects.toThrow(`Foreclosure amount must be ${quote.totalPayable}`);
+      const { repayment } = await servicing.forecloseLoan(loan.loanId, { amount: quote.totalPayable, paidAt }, OFFICER_ID);
+
+      expect(repayment).toEqual(expect.objectContaining({ type: RepaymentType.FORECLOSURE, amount: quote.totalPayable }));
+      expect(loan).toEqual(expect.objectContaining({ status: LoanStatus.FORECLOSED, principalOutstanding: 0, closedAt: paidAt }));
+      expect(loan.schedule).toHaveLength(13);
+      expect(loan.schedule[12]).toEqual(expect.objectContaining({ foreclosure: true, principal: quote.principalOutstanding, status: InstallmentStatus.PAID }));
+      await expect(servicing.postRepayment(loan.loanId, { amount: 100 })).rejects.toThrow('Loan is not active: FORECLOSED');
+
+      const trail = await auditService.getAuditTrail('LOAN_ACCOUNT', loan.loanId);
+      expect(trail.map(entry => entry.action)).toContain('FORECLOSED');
+      expect(notificationService.sendSMS).toHaveBeenCalledWith(CONTACT.phone, expect.stringContaining('foreclosed'));
+    });
+  });
+
+  describe('Restructuring', () => {
+    test('should capitalize moratorium interest and extend the tenure with a regenerated schedule', async () => {
+      const asOf = new Date('2024-03-10T00:00:00Z');
+
+      const { quote } = await servicing.restructureLoan(loan.loanId, {
+        extensionMonths: 6,
+        moratoriumMonths: 3,
+        reason: 'Temporary loss of income',
+        asOf
+      }, OFFICER_ID);
+
+      expect(quote).toEqual(expect.objectContaining({ capitalizedInterest: 2804.3 }));
+      expect(loan).toEqual(expect.objectContaining({ tenureMonths: 33, emi: 3921.32, principalOutstanding: 95352.53 }));
+      expect(loan.schedule.slice(2, 5).every(installment => installment.moratorium && installment.amount === 0)).toBe(true);
+      expect(loan.schedule[5].openingPrincipal).toBe(95352.53);
+      expect(loan.maturityDate).toEqual(new Date('2026-10-01T00:00:00Z'));
+      expect(loan.restructurings).toEqual([expect.objectContaining({
+        extensionMonths: 6,
+        moratoriumMonths: 3,
+        previousEmi: 4707.35,
+        reason: 'Temporary loss of income',
+        approvedBy: OFFICER_ID
+      })]);
+      expect(notificationService.sendEmail).toHaveBeenCalledWith(CONTACT.email, 'Loan Restructured', expect.any(String));
+    });
+
+    test('should enforce the configured restructuring limits', async () => {
+      const asOf = new Date('2024-03-10T00:00:00Z');
+
+      await expect(servicing.quoteRestructuring(loan.loanId, { asOf })).rejects.toThrow('tenure extension or moratorium');
+      await expect(servicing.quoteRestructuring(loan.loanId, { moratoriumMonths: 7, asOf })).rejects.toThrow('exceeds maximum of 6');
+      await expect(servicing.quoteRestructuring(loan.loanId, { extensionMonths: 25, asOf })).rejects.toThrow('exceeds maximum of 24');
+      await servicing.restructureLoan(loan.loanId, { extensionMonths: 6, asOf }, OFFICER_ID);
+      await expect(servicing.restructureLoan(loan.loanId, { extensionMonths: 6, asOf }, OFFICER_ID))
+        .rejects.toThrow('already been restructured the maximum of 1 times');
+
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.servicing.restructuring.maximumRestructures = 2;
+      config.businessRules['loan-processing'] = rules;
+      const second = await servicing.quoteRestructuring(loan.loanId, { extensionMonths: 6, asOf });
+      expect(second.revised.remainingInstallments).toBe(34);
+    });
+  });
+
+  test('should solve for the tenure that repays a principal at a given EMI', () => {
+    expect(calculateTenure(100000, 12, 8884.88)).toBe(12);
+    expect(calculateTenure(1200, 0, 100)).toBe(12);
+    expect(() => calculateTenure(100000, 12, 900)).toThrow('EMI does not cover the monthly interest');
+  });
+});
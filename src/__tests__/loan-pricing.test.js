@@ -0,0 +1,183 @@
+// Unit tests for risk-based loan pricing and floating-rate resets
+
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanPricingEngine, PricingComponent } = require('../services/loan-pricing');
+const { calculateEMI } = require('../services/amortization');
+const { UnderwritingEngine } = require('../modules/loan-processing');
+const { LoanServicingModule } = require('../modules/loan-servicing');
+const { LoanType, RateType, CollateralType } = require('../shared/types');
+const { createLoanApplication } = require('./helpers/loan-fixtures');
+
+const DISBURSED_AT = new Date('2025-01-01T00:00:00Z');
+// Established customer profile that the scorecard approves outright
+const RELATIONSHIP_PROFILE = { accountAgeMonths: 48, monthlyTransactions: 25, products: 3 };
+
+function setBusinessRules(update) {
+  const rules = structuredClone(config.getBusinessRule('loan-processing'));
+  update(rules);
+  config.businessRules['loan-processing'] = rules;
+}
+
+describe('Loan Pricing', () => {
+  let pricing;
+
+  beforeEach(() => {
+    pricing = new LoanPricingEngine();
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Pricing engine', () => {
+    test('should price a fixed-rate loan from the product base rate and credit score tier', () => {
+      const result = pricing.priceLoan({ loanType: LoanType.PERSONAL, amount: 500000, creditScore: 760 });
+
+      expect(result).toEqual(expect.objectContaining({
+        rateType: RateType.FIXED,
+        interestRate: 11.5,
+        benchmark: null,
+        spread: null
+      }));
+      expect(result.components).toEqual([
+        { component: PricingComponent.BASE_RATE, description: 'personal loan base rate', rate: 12 },
+        { component: PricingComponent.CREDIT_SCORE, description: 'Credit score 760 at or above 750', rate: -0.5 }
+      ]);
+    });
+
+    test('should price every loan type at its default rate type', () => {
+      Object.values(LoanType).forEach(loanType => {
+        const result = pricing.priceLoan({ loanType, amount: 500000, creditScore: 700 });
+
+        expect(result.interestRate).toBeGreaterThan(0);
+        expect(result.components[0].component).toBe(
+          result.rateType === RateType.FLOATING ? PricingComponent.BENCHMARK : PricingComponent.BASE_RATE
+        );
+      });
+    });
+
+    test('should price every loan type at a fixed rate', () => {
+      Object.values(LoanType).forEach(loanType => {
+        expect(() => pricing.priceLoan({ loanType, amount: 500000, rateType: RateType.FIXED })).not.toThrow();
+      });
+    });
+
+    test('should apply the highest credit tier, relationship and loan amount adjustments', () => {
+      const result = pricing.priceLoan({
+        loanType: LoanType.HOME,
+        amount: 6000000,
+        creditScore: 810,
+        relationship: 'premium',
+        rateType: RateType.FIXED
+      });
+
+      // 8.5 base - 1.0 (800+) - 0.5 premium + 0.25 above 50L
+      expect(result.interestRate).toBe(7.25);
+      expect(result.components.map(item => item.component)).toEqual([
+        PricingComponent.BASE_RATE,
+        PricingComponent.CREDIT_SCORE,
+        PricingComponent.RELATIONSHIP,
+        PricingComponent.LOAN_AMOUNT
+      ]);
+    });
+
+    test('should price floating-rate products over the benchmark', () => {
+      const result = pricing.priceLoan({ loanType: LoanType.HOME, amount: 3000000, creditScore: 760 });
+
+      expect(result).toEqual(expect.objectContaining({
+        rateType: RateType.FLOATING,
+        interestRate: 8.5,
+        benchmark: { name: 'REPO', rate: 6.5, effectiveFrom: new Date('2025-02-07') },
+        spread: 2,
+        resetFrequencyMonths: 3
+      }));
+    });
+
+    test('should refuse floating rates for fixed-only products and unknown rate types', () => {
+      expect(() => pricing.priceLoan({ loanType: LoanType.PERSONAL, amount: 100000, creditScore: 700, rateType: RateType.FLOATING }))
+        .toThrow('Floating rates are not offered for personal loans');
+      expect(() => pricing.resolveRateType(LoanType.HOME, 'TEASER')).toThrow('Invalid rate type');
+    });
+
+    test('should follow business rule changes', () => {
+      setBusinessRules(rules => {
+        rules.interestRates.base.personal = 13;
+        rules.interestRates.floating.benchmark = 'TBILL_3M';
+      });
+
+      expect(pricing.priceLoan({ loanType: LoanType.PERSONAL, amount: 100000, creditScore: 700 }).interestRate).toBe(13);
+      expect(pricing.priceLoan({ loanType: LoanType.HOME, amount: 100000, creditScore: 700 }).benchmark.name).toBe('TBILL_3M');
+    });
+  });
+
+  test('should return the itemized pricing in the underwriting decision', () => {
+    const engine = new UnderwritingEngine();
+    const application = createLoanApplication({ amount: 100000, tenure: 24 });
+
+    const decision = engine.makeDecision(application, { success: true, creditScore: 760 }, { monthlyIncome: 50000 }, {
+      relationship: 'existing',
+      relationshipProfile: RELATIONSHIP_PROFILE
+    });
+
+    expect(decision.interestRate).toBe(11.25);
+    expect(decision.pricing.components.map(item => item.rate)).toEqual([12, -0.5, -0.25]);
+    expect(decision.terms.monthlyPayment).toBe(calculateEMI(100000, 11.25, 24));
+  });
+
+  describe('Floating-rate resets', () => {
+    let auditService;
+    let servicing;
+    let loan;
+
+    beforeEach(async () => {
+      auditService = new AuditService();
+      servicing = new LoanServicingModule({ auditService });
+      const application = createLoanApplication({ loanType: LoanType.HOME, amount: 3000000, tenure: 120 });
+      const decision = new UnderwritingEngine().makeDecision(application, { success: true, creditScore: 760 }, { monthlyIncome: 1000000 }, {
+        relationshipProfile: RELATIONSHIP_PROFILE,
+        collateral: [{ type: CollateralType.PROPERTY, value: 5000000, valuationDate: new Date() }]
+      });
+      application.makeDecision(true, decision.approvedAmount, decision.interestRate, decision.terms, decision.reason, decision.pricing);
+      loan = await servicing.bookLoan(application, { disbursedAt: DISBURSED_AT });
+    });
+
+    test('should book floating-rate loans with the first reset date', () => {
+      expect(loan.rateType).toBe(RateType.FLOATING);
+      expect(loan.interestRate).toBe(8.5);
+      expect(loan.pricing.nextResetDate).toEqual(new Date('2025-04-01T00:00:00Z'));
+    });
+
+    test('should reset the rate and EMI for unpaid installments when the benchmark moves', async () => {
+      const originalEmi = loan.emi;
+      for (const installment of loan.schedule.slice(0, 3)) {
+        await servicing.postRepayment(loan.loanId, { amount: installment.amount, paidAt: installment.dueDate });
+      }
+      setBusinessRules(rules => {
+        rules.interestRates.floating.benchmarks.REPO.rate = 6.0;
+      });
+
+      const notYet = await servicing.resetFloatingRates(new Date('2025-03-31T00:00:00Z'));
+      const summary = await servicing.resetFloatingRates(new Date('2025-04-01T00:00:00Z'));
+
+      expect(notYet.reset).toEqual([]);
+      expect(summary.reset).toEqual([expect.objectContaining({ loanId: loan.loanId, previousRate: 8.5, interestRate: 8 })]);
+      expect(loan.emi).toBeLessThan(originalEmi);
+      expect(loan.schedule[2].amount).toBe(originalEmi);
+      expect(loan.schedule[3].amount).toBe(loan.emi);
+      expect(loan.schedule[3].openingPrincipal).toBe(loan.schedule[2].closingPrincipal);
+      expect(loan.schedule[loan.schedule.length - 1].closingPrincipal).toBe(0);
+      expect(loan.pricing.nextResetDate).toEqual(new Date('2025-07-01T00:00:00Z'));
+      expect(loan.pricing.rateHistory.map(entry => entry.interestRate)).toEqual([8.5, 8]);
+      const trail = await auditService.getAuditTrail('LOAN_ACCOUNT', loan.loanId);
+      expect(trail.map(entry => entry.action)).toContain('RATE_RESET');
+    });
+
+    test('should leave the rate unchanged when the benchmark has not moved', async () => {
+      const summary = await servicing.resetFloatingRates(new Date('2025-04-01T00:00:00Z'));
+
+      expect(summary.unchanged).toEqual([{ loanId: loan.loanId, interestRate: 8.5 }]);
+      expect(loan.pricing.rateHistory).toHaveLength(1);
+    });
+  });
+});
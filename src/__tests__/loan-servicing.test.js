@@ -0,0 +1,230 @@
+// Unit tests for loan servicing: amortization, repayments and outstanding balances
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { calculateEMI, generateAmortizationSchedule, addMonths } = require('../services/amortization');
+const { LoanServicingModule, LoanStatus, InstallmentStatus } = require('../modules/loan-servicing');
+const { UnderwritingEngine } = require('../modules/loan-processing');
+const { LoanAccountRepository } = require('../database/repositories');
+const { LoanApplication } = require('../shared/interfaces');
+const { LoanType, DocumentType } = require('../shared/types');
+const { createApprovedApplication, daysAfter } = require('./helpers/loan-fixtures');
+
+const DISBURSED_AT = new Date('2024-01-01T00:00:00Z');
+const FIRST_DUE = new Date('2024-02-01T00:00:00Z');
+const OFFICER_ID = uuidv4();
+
+describe('Loan Servicing', () => {
+  let auditService;
+  let servicing;
+
+  beforeEach(() => {
+    auditService = new AuditService();
+    servicing = new LoanServicingModule({ auditService });
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Amortization', () => {
+    test('should build a reducing-balance schedule that repays the principal exactly', () => {
+      const schedule = generateAmortizationSchedule({
+        principal: 100000,
+        annualRate: 12,
+        tenureMonths: 12,
+        firstDueDate: FIRST_DUE
+      });
+
+      expect(schedule.emi).toBe(8884.88);
+      expect(schedule.installments).toHaveLength(12);
+      expect(schedule.installments[0]).toEqual(expect.objectContaining({ interest: 1000, principal: 7884.88, amount: 8884.88 }));
+      expect(schedule.installments[11].closingPrincipal).toBe(0);
+      const principalRepaid = schedule.installments.reduce((sum, item) => sum + item.principal, 0);
+      expect(Math.round(principalRepaid * 100) / 100).toBe(100000);
+      expect(schedule.installments[11].dueDate).toEqual(new Date('2025-01-01T00:00:00Z'));
+    });
+
+    test('should handle zero interest and month-end due dates', () => {
+      expect(calculateEMI(1200, 0, 12)).toBe(100);
+      expect(addMonths(new Date('2024-01-31T00:00:00Z'), 1)).toEqual(new Date('2024-02-29T00:00:00Z'));
+      expect(addMonths(new Date('2024-01-31T00:00:00Z'), 2)).toEqual(new Date('2024-03-31T00:00:00Z'));
+      expect(() => calculateEMI(1000, 10, 0)).toThrow('whole number of months');
+    });
+  });
+
+  describe('Booking', () => {
+    test('should book an approved application for the requested tenure', async () => {
+      const application = createApprovedApplication();
+
+      const loan = await servicing.bookLoan(application, { disbursedAt: DISBURSED_AT });
+
+      expect(loan).toEqual(expect.objectContaining({
+        status: LoanStatus.ACTIVE,
+        tenureMonths: 12,
+        emi: 8884.88,
+        principalOutstanding: 100000,
+        firstDueDate: FIRST_DUE
+      }));
+      expect(loan.schedule.every(item => item.status === InstallmentStatus.SCHEDULED)).toBe(true);
+      const trail = await auditService.getAuditTrail('LOAN_ACCOUNT', loan.loanId);
+      expect(trail[0].action).toBe('BOOKED');
+    });
+
+    test('should enforce the product maximum tenure', async () => {
+      await expect(servicing.bookLoan(createApprovedApplication(), { tenureMonths: 96 }))
+        .rejects.toThrow('exceeds maximum of 84 months');
+
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.limits.maximumTenure.personal = 6;
+      config.businessRules['loan-processing'] = rules;
+
+      await expect(servicing.bookLoan(createApprovedApplication())).rejects.toThrow('exceeds maximum of 6 months');
+    });
+
+    test('should refuse unapproved and already booked applications', async () => {
+      const pending = new LoanApplication(uuidv4(), LoanType.PERSONAL, 50000, 'Travel');
+      const application = createApprovedApplication();
+      await servicing.bookLoan(application);
+
+      await expect(servicing.bookLoan(pending)).rejects.toThrow('Only approved loan applications');
+      await expect(servicing.bookLoan(application)).rejects.toThrow('already booked');
+    });
+  });
+
+  describe('Repayments', () => {
+    let loan;
+
+    beforeEach(async () => {
+      loan = await servicing.bookLoan(createApprovedApplication(), { disbursedAt: DISBURSED_AT });
+    });
+
+    test('should split an on-time EMI into interest and principal', async () => {
+      const repayment = await servicing.postRepayment(loan.loanId, { amount: 8884.88, paidAt: FIRST_DUE }, OFFICER_ID);
+      const outstanding = await servicing.getOutstanding(loan.loanId, daysAfter(FIRST_DUE, 1));
+
+      expect(repayment.allocation).toEqual({ penalty: 0, interest: 1000, principal: 7884.88 });
+      expect(loan.schedule[0].status).toBe(InstallmentStatus.PAID);
+      expect(outstanding.principalOutstanding).toBe(92115.12);
+      expect(outstanding.overdue.total).toBe(0);
+      expect(outstanding.nextDue).toEqual(expect.objectContaining({
+        installmentNumber: 2,
+        dueDate: new Date('2024-03-01T00:00:00Z'),
+        amountDue: 8884.88
+      }));
+    });
+
+    test('should charge penal charges on a late EMI and appropriate them first', async () => {
+      const paidAt = daysAfter(FIRST_DUE, 10);
+      const before = await servicing.getOutstanding(loan.loanId, paidAt);
+
+      const repayment = await servicing.postRepayment(loan.loanId, { amount: 8884.88, paidAt });
+
+      // 8884.88 x 24% / 365 x 10 days = 58.42
+      expect(before.overdue).toEqual(expect.objectContaining({ penalty: 58.42, interest: 1000, principal: 7884.88, installments: 1 }));
+      expect(before.daysPastDue).toBe(10);
+      expect(repayment.allocation).toEqual({ penalty: 58.42, interest: 1000, principal: 7826.46 });
+      expect(loan.schedule[0].status).toBe(InstallmentStatus.OVERDUE);
+    });
+
+    test('should not charge penal charges within the grace period', async () => {
+      const repayment = await servicing.postRepayment(loan.loanId, { amount: 8884.88, paidAt: daysAfter(FIRST_DUE, 3) });
+
+      expect(repayment.allocation.penalty).toBe(0);
+    });
+
+    test('should follow the configured appropriation order', async () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.servicing.appropriationOrder = ['principal', 'interest', 'penalty'];
+      config.businessRules['loan-processing'] = rules;
+
+      const repayment = await servicing.postRepayment(loan.loanId, { amount: 8000, paidAt: daysAfter(FIRST_DUE, 10) });
+
+      expect(repayment.allocation).toEqual({ penalty: 0, interest: 115.12, principal: 7884.88 });
+    });
+
+    test('should pay upcoming installments in advance and reject more than is payable', async () => {
+      const repayment = await servicing.postRepayment(loan.loanId, { amount: 10000, paidAt: FIRST_DUE });
+
+      expect(repayment.installments.map(item => item.installmentNumber)).toEqual([1, 2]);
+      expect(loan.schedule[1].status).toBe(InstallmentStatus.PARTIALLY_PAID);
+      await expect(servicing.postRepayment(loan.loanId, { amount: 200000, paidAt: FIRST_DUE }))
+        .rejects.toThrow('exceeds the amount payable');
+      await expect(servicing.postRepayment(loan.loanId, { amount: 0 })).rejects.toThrow('must be positive');
+    });
+
+    test('should close the loan once every installment is paid', async () => {
+      for (const installment of loan.schedule) {
+        await servicing.postRepayment(loan.loanId, { amount: installment.amount, paidAt: installment.dueDate });
+      }
+
+      const outstanding = await servicing.getOutstanding(loan.loanId, loan.maturityDate);
+
+      expect(loan.status).toBe(LoanStatus.CLOSED);
+      expect(outstanding.principalOutstanding).toBe(0);
+      expect(outstanding.nextDue).toBeNull();
+      await expect(servicing.postRepayment(loan.loanId, { amount: 1 })).rejects.toThrow('not active');
+    });
+
+    test('should collect due EMIs through the collector', async () => {
+      const collectionDate = daysAfter(addMonths(FIRST_DUE, 1), 1);
+      const collector = jest.fn().mockResolvedValue({ success: true, reference: 'NACH-1' });
+
+      const result = await servicing.collectDueInstallments(collector, collectionDate);
+
+      expect(collector).toHaveBeenCalledWith(expect.objectContaining({ loanId: loan.loanId, installments: [1, 2] }));
+      expect(result.collected).toHaveLength(1);
+      expect(result.collected[0]).toEqual(expect.objectContaining({ channel: 'EMI_COLLECTION', reference: 'NACH-1' }));
+      expect((await servicing.getOutstanding(loan.loanId, collectionDate)).overdue.total).toBe(0);
+    });
+  });
+
+  describe('Underwriting terms', () => {
+    test('should price the requested tenure and reject tenures over the maximum', () => {
+      const engine = new UnderwritingEngine();
+      const application = new LoanApplication(uuidv4(), LoanType.PERSONAL, 100000, 'Wedding', 24);
+      application.addDocument(DocumentType.INCOME_PROOF, 'salary.pdf');
+      application.addDocument(DocumentType.BANK_STATEMENT, 'statement.pdf');
+
+      const income = { monthlyIncome: 50000, monthlyDebts: 0 };
+      const context = { relationshipProfile: { accountAgeMonths: 48, monthlyTransactions: 25, products: 3 } };
+
+      const approved = engine.makeDecision(application, { success: true, creditScore: 760 }, income, context);
+      application.requestedTenure = 120;
+      const rejected = engine.makeDecision(application, { success: true, creditScore: 760 }, income, context);
+
+      expect(approved.terms).toEqual(expect.objectContaining({ termMonths: 24, monthlyPayment: calculateEMI(100000, 11.5, 24) }));
+      expect(rejected.approved).toBe(false);
+      expect(rejected.reason).toContain('exceeds maximum of 84 months');
+    });
+  });
+
+  test('should load loan accounts with their repayments from the repository', async () => {
+    const loanId = uuidv4();
+    const db = {
+      query: jest.fn(),
+      queryOne: jest.fn().mockResolvedValue({
+        id: loanId,
+        application_id: uuidv4(),
+        customer_id: uuidv4(),
+        loan_type: LoanType.PERSONAL,
+        principal: '100000.00',
+        interest_rate: '12.000',
+        tenure_months: 12,
+        emi: '8884.88',
+        status: LoanStatus.ACTIVE,
+        principal_outstanding: '92115.12',
+        schedule: []
+      }),
+      queryMany: jest.fn().mockResolvedValue([{ id: uuidv4(), loan_id: loanId, amount: '8884.88', allocation: { interest: 1000 } }])
+    };
+    servicing = new LoanServicingModule({ loanAccountRepository: new LoanAccountRepository(db) });
+
+    const loan = await servicing.getLoan(loanId);
+
+    expect(loan.principalOutstanding).toBe(92115.12);
+    expect(loan.repayments).toHaveLength(1);
+    expect(db.queryMany.mock.calls[0][0]).toContain('FROM loan_repayments');
+  });
+});
@@ -0,0 +1,197 @@
+// Unit tests for loan officer task SLAs: warnings, reassignment, escalation and compliance reporting
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanProcessingModule, WorkflowManager, LoanDecisionNotifier, TaskSLAEvent } = require('../modules/loan-processing');
+const { LoanType, ApplicationStatus } = require('../shared/types');
+const { createApprovedApplication, createLoanApplication } = require('./helpers/loan-fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DECISION = { approved: true, creditScore: 700 }; // Priority 65: due in 4 days
+
+describe('Loan Officer Task SLAs', () => {
+  let auditService;
+  let notificationService;
+  let workflow;
+
+  function later(ms) {
+    return new Date(Date.now() + ms);
+  }
+
+  function emailsTo(email) {
+    return notificationService.sendEmail.mock.calls.filter(([recipient]) => recipient === email).map(([, subject]) => subject);
+  }
+
+  beforeEach(() => {
+    auditService = new AuditService();
+    notificationService = { sendEmail: jest.fn(async () => ({ success: true })) };
+    workflow = new WorkflowManager({ auditService, notifier: new LoanDecisionNotifier(notificationService) });
+    workflow.registerOfficer('SUP-001', { name: 'Supervisor', email: 'sup@bank.test', capacity: 1 });
+    workflow.registerOfficer('OFF-001', { name: 'Officer 1', email: 'off1@bank.test', supervisorId: 'SUP-001' });
+    workflow.officers.get('SUP-001').currentLoad = 1; // The supervisor takes no tasks
+  });
+
+  afterEach(() => {
+    workflow.stopSLAMonitor();
+    config.reload();
+  });
+
+  test('should set due dates from the configured priority bands', () => {
+    const from = new Date('2024-05-01T09:00:00Z');
+    expect(workflow.calculateDueDate(85, from)).toEqual(new Date('2024-05-03T09:00:00Z'));
+    expect(workflow.calculateDueDate(65, from)).toEqual(new Date('2024-05-05T09:00:00Z'));
+    expect(workflow.calculateDueDate(10, from)).toEqual(new Date('2024-05-11T09:00:00Z'));
+
+    const rules = structuredClone(config.getBusinessRule('loan-processing'));
+    rules.processing.sla.priorityBands = [{ minimumPriority: 0, days: 1 }];
+    config.businessRules['loan-processing'] = rules;
+    expect(workflow.calculateDueDate(85, from)).toEqual(new Date('2024-05-02T09:00:00Z'));
+  });
+
+  test('should warn the officer once when a task falls due within the warning window', async () => {
+    const { task } = workflow.assignTask(createLoanApplication({ amount: 50000 }), DECISION);
+
+    const early = await workflow.monitorSLAs(later(2 * DAY));
+    const warning = await workflow.monitorSLAs(later(3 * DAY + HOUR));
+    const again = await workflow.monitorSLAs(later(3 * DAY + 2 * HOUR));
+
+    expect(task.assignedTo).toBe('OFF-001');
+    expect(early.warned).toEqual([]);
+    expect(warning.warned).toEqual([task.taskId]);
+    expect(again.warned).toEqual([]);
+    expect(emailsTo('off1@bank.test')).toEqual(['Loan Application Task Due Soon']);
+  });
+
+  test('should reassign an overdue task through selectOfficer with a fresh due date', async () => {
+    const { task } = workflow.assignTask(createLoanApplication({ amount: 50000 }), DECISION);
+    workflow.registerOfficer('OFF-002', { name: 'Officer 2', email: 'off2@bank.test', supervisorId: 'SUP-001' });
+    const overdueAt = later(5 * DAY);
+
+    const summary = await workflow.monitorSLAs(overdueAt);
+
+    expect(summary.reassigned).toEqual([task.taskId]);
+    expect(task).toEqual(expect.objectContaining({ assignedTo: 'OFF-002', status: 'ASSIGNED', dueDate: new Date(overdueAt.getTime() + 4 * DAY) }));
+    expect(task.assignments.map(assignment => [assignment.officerId, assignment.outcome])).toEqual([['OFF-001', 'BREACHED'], ['OFF-002', null]]);
+    expect(workflow.officers.get('OFF-001').currentLoad).toBe(0);
+    expect(workflow.getTask(task.taskId).assignedTo).toBe('OFF-002');
+    expect(emailsTo('off1@bank.test')).toEqual(['Overdue Loan Application Task Reassigned']);
+    expect(emailsTo('off2@bank.test')).toEqual(['New Loan Application Assigned']);
+    const [entry] = await auditService.getAuditTrail('LOAN', task.applicationId);
+    expect(entry).toEqual(expect.objectContaining({ action: 'TASK_REASSIGNED', afterState: expect.objectContaining({ assignedTo: 'OFF-002' }) }));
+  });
+
+  test('should escalate to the supervisor once the reassignment limit is reached or no officer is free', async () => {
+    const { task } = workflow.assignTask(createLoanApplication({ amount: 50000 }), DECISION);
+
+    const summary = await workflow.monitorSLAs(later(5 * DAY));
+    const repeat = await workflow.monitorSLAs(later(6 * DAY));
+
+    expect(summary.escalated).toEqual([task.taskId]);
+    expect(repeat.escalated).toEqual([]);
+    expect(task).toEqual(expect.objectContaining({ assignedTo: 'OFF-001', status: 'ESCALATED' }));
+    expect(task.escalations).toEqual([expect.objectContaining({ action: TaskSLAEvent.ESCALATED, from: 'OFF-001', to: 'SUP-001' })]);
+    expect(emailsTo('sup@bank.test')).toEqual(['Overdue Loan Application Task Escalated']);
+
+    const rules = structuredClone(config.getBusinessRule('loan-processing'));
+    rules.processing.sla.overdueAction = 'escalate';
+    config.businessRules['loan-processing'] = rules;
+    workflow.registerOfficer('OFF-002', { capacity: 5 });
+    const { task: second } = workflow.assignTask(createLoanApplication({ amount: 50000 }), DECISION);
+    const escalated = await workflow.monitorSLAs(later(5 * DAY));
+    expect(escalated.escalated).toEqual([second.taskId]);
+  });
+
+  test('should assign queued tasks with a due date when the monitor runs', async () => {
+    const busy = new WorkflowManager();
+    const application = createLoanApplication({ amount: 50000 });
+    const { task } = busy.assignTask(application, DECISION);
+    busy.registerOfficer('OFF-009', { capacity: 2 });
+    const checkedAt = later(HOUR);
+
+    const summary = await busy.monitorSLAs(checkedAt);
+
+    expect(summary.assigned).toEqual([task.taskId]);
+    expect(task).toEqual(expect.objectContaining({ assignedTo: 'OFF-009', dueDate: new Date(checkedAt.getTime() + 4 * DAY) }));
+    expect(busy.taskQueue).toHaveLength(0);
+  });
+
+  test('should report SLA compliance per officer and loan type', async () => {
+    workflow.registerOfficer('OFF-002', { name: 'Officer 2', capacity: 5 });
+    const onTime = workflow.assignTask(createLoanApplication({ loanType: LoanType.PERSONAL, amount: 50000 }), DECISION).task;
+    const late = workflow.assignTask(createLoanApplication({ loanType: LoanType.HOME, amount: 50000 }), DECISION).task;
+    const lateOfficer = late.assignedTo;
+    workflow.assignTask(createLoanApplication({ loanType: LoanType.HOME, amount: 50000 }), DECISION);
+
+    workflow.completeTask(onTime.taskId, later(DAY));
+    const result = workflow.completeTask(late.taskId, later(5 * DAY));
+    const report = workflow.getSLAReport(later(2 * DAY));
+
+    expect(result.slaMet).toBe(false);
+    expect(report.overall).toEqual(expect.objectContaining({ tasks: 3, met: 1, breached: 1, open: 1, complianceRate: 50 }));
+    expect(report.byLoanType[LoanType.PERSONAL]).toEqual(expect.objectContaining({ met: 1, complianceRate: 100 }));
+    expect(report.byLoanType[LoanType.HOME]).toEqual(expect.objectContaining({ tasks: 2, breached: 1, open: 1, complianceRate: 0 }));
+    expect(report.byOfficer[lateOfficer].breached).toBe(1);
+    expect(Object.values(report.byOfficer).reduce((sum, entry) => sum + entry.tasks, 0)).toBe(3);
+  });
+
+  test('should run the monitor on the configured interval until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const monitor = jest.spyOn(workflow, 'monitorSLAs');
+
+      workflow.startSLAMonitor();
+      jest.advanceTimersByTime(15 * 60 * 1000);
+      workflow.stopSLAMonitor();
+      jest.advanceTimersByTime(60 * 60 * 1000);
+
+      expect(monitor).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should assign approvals to an officer and close the task at sign-off', async () => {
+    // Applications hold the officer's user ID
+    const officerId = uuidv4();
+    workflow.unregisterOfficer('OFF-001');
+    workflow.registerOfficer(officerId, { name: 'Officer 2', email: 'off2@bank.test' });
+    const loanProcessing = new LoanProcessingModule({ workflowManager: workflow, auditService });
+    const application = createApprovedApplication({ amount: 50000, rate: 12 });
+
+    const assignment = loanProcessing.assignForReview(application, application.decision);
+    expect(assignment.assigned).toBe(true);
+    expect(application.assignedOfficer).toBe(officerId);
+    expect(application.status).toBe(ApplicationStatus.UNDER_REVIEW);
+
+    await loanProcessing.signOffApplication(application, officerId);
+
+    expect(application.status).toBe(ApplicationStatus.APPROVED);
+    expect(workflow.getTask(assignment.task.taskId)).toBeNull();
+    expect(workflow.getSLAReport().overall).toMatchObject({ tasks: 1, met: 1, open: 0 });
+  });
+
+  test('should not assign declined applications for review', () => {
+    const loanProcessing = new LoanProcessingModule({ workflowManager: workflow });
+    const application = createLoanApplication({ amount: 50000 });
+    application.makeDecision(false, null, null, null, 'Credit score below minimum');
+
+    expect(loanProcessing.assignForReview(application, application.decision)).toBeNull();
+    expect(workflow.tasks.size).toBe(0);
+  });
+
+  test('should drop a queued task when its application is signed off', async () => {
+    workflow.officers.get('OFF-001').currentLoad = workflow.officers.get('OFF-001').capacity;
+    const loanProcessing = new LoanProcessingModule({ workflowManager: workflow });
+    const application = createApprovedApplication({ amount: 50000, rate: 12 });
+
+    const assignment = loanProcessing.assignForReview(application, application.decision);
+    expect(assignment.queued).toBe(true);
+
+    await loanProcessing.signOffApplication(application, uuidv4());
+
+    expect(workflow.taskQueue).toEqual([]);
+    expect(workflow.tasks.get(assignment.task.taskId).status).toBe('COMPLETED');
+  });
+});
@@ -0,0 +1,123 @@
+// Unit tests for sliding-window transaction monitoring rules
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { MonitoringRulesEngine } = require('../services/monitoring-rules-engine');
+const { TransactionMonitor } = require('../modules/aml');
+const { Transaction } = require('../shared/interfaces');
+const { TransactionType, Currency } = require('../shared/types');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2024-03-04T09:00:00Z').getTime();
+
+function createTransaction(amount, transactionType, offsetMs = 0) {
+  const transaction = new Transaction(uuidv4(), amount, Currency.INR, transactionType, 'Monitored transaction');
+  transaction.processedAt = new Date(START + offsetMs);
+  return transaction;
+}
+
+describe('Monitoring Rules Engine', () => {
+  let engine;
+  const customer = { customerId: 'CUST-1' };
+
+  beforeEach(() => {
+    engine = new MonitoringRulesEngine();
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  test('should flag cash deposits crossing the daily aggregate', () => {
+    // Daily cash threshold is 25L; single threshold 10L is never reached
+    const first = engine.evaluate(createTransaction(900000, TransactionType.DEPOSIT), customer);
+    engine.evaluate(createTransaction(800000, TransactionType.WITHDRAWAL, 2 * HOUR), customer);
+    const third = engine.evaluate(createTransaction(850000, TransactionType.DEPOSIT, 4 * HOUR), customer);
+
+    expect(first.flags).not.toContain('CASH_DAILY_THRESHOLD');
+    const hit = third.hits.find(ruleHit => ruleHit.ruleId === 'CASH_DAILY_AGGREGATE');
+    expect(hit).toEqual(expect.objectContaining({ value: 2550000, threshold: 2500000 }));
+    expect(hit.transactionIds).toHaveLength(3);
+  });
+
+  test('should let older transactions slide out of the window', () => {
+    engine.evaluate(createTransaction(900000, TransactionType.DEPOSIT), customer);
+    engine.evaluate(createTransaction(900000, TransactionType.DEPOSIT, 2 * HOUR), customer);
+    const nextDay = engine.evaluate(createTransaction(900000, TransactionType.DEPOSIT, 25 * HOUR), customer);
+
+    expect(nextDay.flags).not.toContain('CASH_DAILY_THRESHOLD');
+  });
+
+  test('should aggregate wires separately from cash', () => {
+    engine.evaluate(createTransaction(6000000, TransactionType.TRANSFER), customer);
+    const wire = engine.evaluate(createTransaction(4500000, TransactionType.PAYMENT, HOUR), customer);
+    const cash = engine.evaluate(createTransaction(2000000, TransactionType.DEPOSIT, 2 * HOUR), customer);
+
+    expect(wire.flags).toContain('WIRE_DAILY_THRESHOLD');
+    expect(cash.flags).not.toContain('CASH_DAILY_THRESHOLD');
+  });
+
+  test('should flag the monthly cash aggregate over 30 days', () => {
+    let result;
+    for (let day = 0; day < 12; day++) {
+      result = engine.evaluate(createTransaction(900000, TransactionType.DEPOSIT, day * 24 * HOUR), customer);
+    }
+
+    expect(result.flags).toContain('CASH_MONTHLY_THRESHOLD');
+  });
+
+  test('should detect structuring across several cash transactions', () => {
+    engine.evaluate(createTransaction(950000, TransactionType.DEPOSIT), customer);
+    const second = engine.evaluate(createTransaction(920000, TransactionType.DEPOSIT, HOUR), customer);
+    const third = engine.evaluate(createTransaction(980000, TransactionType.DEPOSIT, 3 * HOUR), customer);
+
+    expect(second.flags).not.toContain('STRUCTURING');
+    expect(third.flags).toContain('STRUCTURING');
+  });
+
+  test('should flag rapid succession and round-number frequency', () => {
+    let result;
+    for (let i = 0; i < 5; i++) {
+      result = engine.evaluate(createTransaction(200000, TransactionType.TRANSFER, i * 60000), customer);
+    }
+
+    expect(result.flags).toEqual(expect.arrayContaining(['RAPID_TRANSACTIONS', 'ROUND_AMOUNTS']));
+  });
+
+  test('should keep windows per customer', () => {
+    engine.evaluate(createTransaction(2000000, TransactionType.DEPOSIT), customer);
+    const other = engine.evaluate(createTransaction(2000000, TransactionType.DEPOSIT, HOUR), { customerId: 'CUST-2' });
+
+    expect(other.flags).not.toContain('CASH_DAILY_THRESHOLD');
+  });
+
+  test('should follow rule definitions and thresholds from business rules', () => {
+    const rules = structuredClone(config.getBusinessRule('aml-compliance'));
+    rules.transactionMonitoring.thresholds.cash.daily = 1000000;
+    rules.transactionMonitoring.rules = rules.transactionMonitoring.rules
+      .filter(rule => rule.id === 'CASH_DAILY_AGGREGATE');
+    config.businessRules['aml-compliance'] = rules;
+
+    engine.evaluate(createTransaction(600000, TransactionType.DEPOSIT), customer);
+    const result = engine.evaluate(createTransaction(600000, TransactionType.DEPOSIT, HOUR), customer);
+
+    expect(result.hits.map(hit => hit.ruleId)).toEqual(['CASH_DAILY_AGGREGATE']);
+  });
+
+  test('should reject an unknown aggregate', () => {
+    engine = new MonitoringRulesEngine({ rules: [{ id: 'BAD', flag: 'BAD', aggregate: 'median', threshold: 1 }] });
+
+    expect(() => engine.evaluate(createTransaction(100, TransactionType.DEPOSIT), customer))
+      .toThrow('Invalid aggregate for monitoring rule BAD');
+  });
+
+  test('should apply explicit TransactionMonitor thresholds to the rules', async () => {
+    const monitor = new TransactionMonitor({ suspiciousAmountThreshold: 10000, rapidTransactionThreshold: 2 });
+
+    await monitor.monitor(createTransaction(500, TransactionType.TRANSFER), customer);
+    const result = await monitor.monitor(createTransaction(12000, TransactionType.TRANSFER, 60000), customer);
+
+    expect(result.flags).toEqual(expect.arrayContaining(['LARGE_AMOUNT', 'RAPID_TRANSACTIONS']));
+    expect(result.ruleHits.find(hit => hit.ruleId === 'LARGE_SINGLE_AMOUNT').threshold).toBe(10000);
+  });
+});
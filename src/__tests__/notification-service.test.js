@@ -417,6 +417,21 @@ describe('Notification Template Manager', () => {
     expect(rendered.body).toContain('1000123456789');
   });
 
+  test('should render collection reminder SMS with overdue details', () => {
+    const template = templateManager.getTemplate('COLLECTION_REMINDER');
+    const data = {
+      bankName: 'TestBank',
+      loanId: 'LOAN-1',
+      amountOverdue: 8884.88,
+      currency: 'INR',
+      daysPastDue: 31
+    };
+
+    const rendered = templateManager.renderTemplate(template, 'sms', data);
+
+    expect(rendered.body).toBe('Your loan LOAN-1 is 31 days overdue. Please pay 8884.88 INR at the earliest to avoid penal charges. - TestBank');
+  });
+
   test('should add custom template', () => {
     const customTemplate = {
       type: 'CUSTOM_NOTIFICATION',
@@ -0,0 +1,139 @@
+// Unit tests for the IMPS payment rail adapter and its routing
+
+const config = require('../config');
+const { IMPSAdapter, PaymentRailSelector } = require('../services/payment-network-adapters');
+const { PaymentRail, PaymentStatus, Currency } = require('../shared/types');
+
+// Wall-clock time in the settlement calendar's time zone (IST)
+function at(hours, minutes = 0) {
+  const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  return new Date(`2026-10-19T${time}:00+05:30`);
+}
+
+function instruction(overrides = {}) {
+  return {
+    amount: 150000,
+    currency: Currency.INR,
+    fromAccount: '123456789012',
+    toAccount: '987654321098',
+    ifscCode: 'HDFC0001234',
+    ...overrides
+  };
+}
+
+describe('IMPS Adapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new IMPSAdapter();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.reload();
+  });
+
+  test('should accept an MMID with mobile number or an account number with IFSC', () => {
+    const mmid = instruction({ ifscCode: undefined, mmid: '9012345', mobileNumber: '9876543210' });
+
+    expect(adapter.validatePaymentInstruction(mmid).isValid).toBe(true);
+    expect(adapter.validatePaymentInstruction(instruction()).isValid).toBe(true);
+    expect(adapter.validatePaymentInstruction({ ...mmid, mmid: '12345' }).errors).toEqual(['MMID must be 7 digits']);
+    expect(adapter.validatePaymentInstruction({ ...mmid, mobileNumber: undefined }).errors)
+      .toEqual(['A 10-digit mobile number is required with the MMID']);
+    expect(adapter.validatePaymentInstruction(instruction({ ifscCode: 'HDFC1234' })).errors).toEqual(['Invalid IFSC code']);
+    expect(adapter.validatePaymentInstruction(instruction({ ifscCode: undefined })).errors)
+      .toEqual(['MMID and mobile number or IFSC code is required for IMPS transfers']);
+  });
+
+  test('should enforce the IMPS limit and INR only', () => {
+    expect(adapter.validatePaymentInstruction(instruction({ amount: 500001 })).errors).toEqual(['Maximum amount for IMPS is 500000']);
+    expect(adapter.validatePaymentInstruction(instruction({ currency: Currency.USD })).errors).toEqual(['IMPS only supports INR currency']);
+  });
+
+  test('should reject payments in the maintenance window across midnight', async () => {
+    expect(adapter.isWithinMaintenanceWindow(at(23, 29))).toBe(false);
+    expect(adapter.isWithinMaintenanceWindow(at(23, 45))).toBe(true);
+    expect(adapter.isWithinMaintenanceWindow(at(0, 15))).toBe(true);
+    expect(adapter.isWithinMaintenanceWindow(at(0, 30))).toBe(false);
+
+    const result = await adapter.processPayment(instruction(), { at: at(23, 45) });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      errorCode: 'MAINTENANCE_WINDOW',
+      errors: ['IMPS is unavailable during the maintenance window (23:30 - 00:30)']
+    }));
+    expect(adapter.getTransactionStatus(result.transactionId).status).toBe(PaymentStatus.FAILED);
+    expect(adapter.warehousedPayments.size).toBe(0);
+  });
+
+  test('should charge the configured fee slabs', () => {
+    expect(adapter.calculateFees(10000)).toBe(5);
+    expect(adapter.calculateFees(150000)).toBe(15);
+    expect(adapter.calculateFees(300000)).toBe(25);
+
+    const rules = structuredClone(config.getBusinessRule('payment-processing'));
+    rules.fees.domestic.imps.upTo10K = 0;
+    config.businessRules['payment-processing'] = rules;
+
+    expect(adapter.calculateFees(10000)).toBe(0);
+  });
+
+  test('should settle successful transfers instantly', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    jest.spyOn(adapter, 'simulateNetworkDelay').mockResolvedValue();
+
+    const result = await adapter.processPayment(instruction(), { at: at(12) });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, fees: 15, processingTime: 'Instant', networkName: 'IMPS' }));
+    expect(result.impsReference).toMatch(/^[0-9]{12}$/);
+    expect(result.settledAt).toBeInstanceOf(Date);
+    expect(adapter.getTransactionStatus(result.transactionId)).toEqual(expect.objectContaining({
+      status: PaymentStatus.COMPLETED,
+      metadata: expect.objectContaining({ settledAt: result.settledAt })
+    }));
+  });
+});
+
+describe('Payment Rail Selector with IMPS', () => {
+  let selector;
+  let imps;
+
+  beforeEach(() => {
+    selector = new PaymentRailSelector();
+    imps = selector.getAdapter(PaymentRail.IMPS);
+    jest.spyOn(imps, 'isWithinMaintenanceWindow').mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should route instant transfers above the UPI limit to IMPS outside maintenance', () => {
+    expect(selector.selectPaymentRail(instruction({ urgency: 'INSTANT' }))).toBe(PaymentRail.IMPS);
+    expect(selector.selectPaymentRail(instruction())).toBe(PaymentRail.NEFT);
+    expect(selector.selectPaymentRail(instruction({ amount: 50000, urgency: 'INSTANT' }))).toBe(PaymentRail.UPI);
+
+    imps.isWithinMaintenanceWindow.mockReturnValue(true);
+    expect(selector.selectPaymentRail(instruction({ urgency: 'INSTANT' }))).toBe(PaymentRail.NEFT);
+  });
+
+  test('should route instant high-value transfers to IMPS only outside RTGS hours', () => {
+    const rtgs = selector.getAdapter(PaymentRail.RTGS);
+    const highValue = instruction({ amount: 400000, urgency: 'INSTANT' });
+
+    jest.spyOn(rtgs, 'isWithinOperatingHours').mockReturnValue(true);
+    expect(selector.selectPaymentRail(highValue)).toBe(PaymentRail.RTGS);
+
+    rtgs.isWithinOperatingHours.mockReturnValue(false);
+    expect(selector.selectPaymentRail(highValue)).toBe(PaymentRail.IMPS);
+    expect(selector.selectPaymentRail({ ...highValue, amount: 600000 })).toBe(PaymentRail.RTGS);
+  });
+
+  test('should list IMPS among the available rails with its fee', () => {
+    const rails = selector.getAvailablePaymentRails(instruction(), at(12));
+
+    expect(rails).toEqual(expect.arrayContaining([{ rail: PaymentRail.IMPS, processingTime: 'Instant', fees: 15, availableFrom: at(12) }]));
+  });
+});
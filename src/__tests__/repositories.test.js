@@ -0,0 +1,268 @@
+// Unit tests for the PostgreSQL repository layer
+
+const {
+  AccountRepository,
+  TransactionRepository,
+  KYCRepository,
+  SARRepository,
+  ExceptionRepository,
+  StandingInstructionRepository,
+  LedgerRepository,
+  createRepositories
+} = require('../database/repositories');
+const { ExceptionHandler, TransactionProcessingModule } = require('../modules/transaction-processing');
+const { SARGenerator } = require('../modules/aml');
+const { Customer, Account, Transaction } = require('../shared/interfaces');
+const { AccountType, TransactionType, Currency } = require('../shared/types');
+
+const createMockDb = (row = null) => {
+  const db = {
+    query: jest.fn().mockResolvedValue({ rows: row ? [row] : [] }),
+    queryOne: jest.fn().mockResolvedValue(row),
+    queryMany: jest.fn().mockResolvedValue(row ? [row] : [])
+  };
+  db.transaction = jest.fn(async (callback) => callback(db));
+  return db;
+};
+
+describe('Repositories', () => {
+  describe('AccountRepository', () => {
+    test('should save account and customer in one transaction', async () => {
+      const customer = new Customer({
+        firstName: 'Asha',
+        lastName: 'Rao',
+        dateOfBirth: new Date('1990-01-01'),
+        nationality: 'IN',
+        address: { street: '1 MG Road', city: 'Bengaluru', state: 'KA', postalCode: '560001', country: 'IN' },
+        contactInfo: { email: 'asha@example.com', phone: '+919876543210' }
+      });
+      const account = new Account(customer.customerId, AccountType.SAVINGS, Currency.INR);
+      const db = createMockDb({
+        id: account.accountId,
+        customer_id: customer.customerId,
+        account_number: account.accountNumber,
+        account_type: AccountType.SAVINGS,
+        status: account.status,
+        balance: '0.00',
+        currency: 'INR',
+        opening_date: account.openingDate,
+        closing_date: null
+      });
+
+      const repository = new AccountRepository(db);
+      const saved = await repository.saveWithCustomer(account, customer);
+
+      expect(db.transaction).toHaveBeenCalledTimes(1);
+      expect(db.queryOne).toHaveBeenCalledTimes(2);
+      expect(db.queryOne.mock.calls[0][0]).toContain('INSERT INTO customers');
+      expect(db.queryOne.mock.calls[1][0]).toContain('INSERT INTO accounts');
+      // Only the ledger changes the balance of an open account
+      expect(db.queryOne.mock.calls[1][0]).not.toContain('balance = EXCLUDED.balance');
+      expect(saved.accountId).toBe(account.accountId);
+      expect(saved.balance).toBe(0);
+    });
+
+    test('should return null when account is not found', async () => {
+      const repository = new AccountRepository(createMockDb(null));
+
+      expect(await repository.findById('missing')).toBeNull();
+    });
+  });
+
+  describe('TransactionRepository', () => {
+    test('should serialize JSON columns and map numeric columns back', async () => {
+      const transaction = new Transaction(
+        '123e4567-e89b-12d3-a456-426614174000', 250.75, Currency.INR, TransactionType.TRANSFER, 'Rent',
+        { name: 'Landlord', accountNumber: '123456' }
+      );
+      const db = createMockDb({
+        id: transaction.transactionId,
+        account_id: transaction.accountId,
+        amount: '250.75',
+        currency: 'INR',
+        transaction_type: TransactionType.TRANSFER,
+        description: 'Rent',
+        counterparty: transaction.counterparty,
+        status: transaction.status,
+        processed_at: null,
+        aml_flags: [],
+        fraud_score: '0.0000'
+      });
+
+      const repository = new TransactionRepository(db);
+      const saved = await repository.save(transaction);
+      const params = db.queryOne.mock.calls[0][1];
+
+      expect(params[6]).toBe(JSON.stringify(transaction.counterparty));
+      expect(saved.amount).toBe(250.75);
+      expect(saved.fraudScore).toBe(0);
+    });
+
+    test('should filter and paginate account history', async () => {
+      const db = createMockDb(null);
+      const repository = new TransactionRepository(db);
+
+      await repository.findByAccountId('acc-1', { status: 'COMPLETED', limit: 10 });
+      const [sql, params] = db.queryMany.mock.calls[0];
+
+      expect(sql).toContain('WHERE account_id = $1 AND status = $2');
+      expect(sql).toContain('LIMIT $3 OFFSET $4');
+      expect(params).toEqual(['acc-1', 'COMPLETED', 10, 0]);
+    });
+  });
+
+  describe('KYCRepository', () => {
+    test('should not persist raw document contents', async () => {
+      const db = createMockDb({ customer_id: 'customer-1', status: 'IN_PROGRESS' });
+      const repository = new KYCRepository(db);
+
+      await repository.save({
+        customerId: 'customer-1',
+        status: 'IN_PROGRESS',
+        startedAt: new Date(),
+        documents: [{ type: 'PASSPORT', fileName: 'passport.jpg', file: Buffer.from('binary') }]
+      });
+
+      const documents = JSON.parse(db.queryOne.mock.calls[0][1][3]);
+      expect(documents[0]).toEqual({ type: 'PASSPORT', fileName: 'passport.jpg' });
+    });
+  });
+
+  describe('StandingInstructionRepository', () => {
+    test('should save an instruction and its new occurrences in one transaction and map dates back', async () => {
+      const db = createMockDb({
+        id: 'instruction-1',
+        amount: '12000.00',
+        start_date: new Date(2026, 9, 19),
+        end_date: null,
+        next_execution_date: new Date(2026, 9, 26),
+        reminder_sent_for: null,
+        next_attempt_at: null,
+        pending_transaction_id: 'txn-1',
+        created_at: '2026-10-19T05:30:00Z',
+        updated_at: '2026-10-19T05:30:00Z'
+      });
+      const repository = new StandingInstructionRepository(db);
+
+      const saved = await repository.save({ instructionId: 'instruction-1', startDate: '2026-10-19', pendingTransactionId: 'txn-1', history: [] }, [
+        { sequence: 0, executionDate: '2026-10-19', status: 'COMPLETED', paymentId: 'payment-1', attempts: 1, recordedAt: new Date() }
+      ]);
+
+      expect(db.transaction).toHaveBeenCalledTimes(1);
+      expect(db.queryOne.mock.calls[0][0]).toContain('INSERT INTO standing_instructions');
+      expect(db.queryOne.mock.calls[0][1][20]).toBe('txn-1');
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (instruction_id, sequence) DO NOTHING');
+      expect(db.query.mock.calls[0][1].slice(0, 5)).toEqual(['instruction-1', 0, '2026-10-19', 'COMPLETED', 'payment-1']);
+      expect(saved).toEqual(expect.objectContaining({
+        amount: 12000,
+        startDate: '2026-10-19',
+        nextExecutionDate: '2026-10-26',
+        endDate: null,
+        pendingTransactionId: 'txn-1'
+      }));
+    });
+  });
+
+  describe('LedgerRepository', () => {
+    test('should store an entry with its postings and add them to the ledger and account balances in one transaction', async () => {
+      const db = createMockDb();
+      const repository = new LedgerRepository(db);
+      const postedAt = new Date();
+      const account = (accountId, normalSide) => ({
+        accountId, name: accountId, accountType: 'LIABILITY', currency: 'INR', normalSide,
+        allowNegativeBalance: false, metadata: {}, openedAt: postedAt, updatedAt: postedAt
+      });
+      const entry = {
+        entryId: 'entry-1', description: 'Transfer', reference: 'txn-1', currency: 'INR', amount: 0.3,
+        metadata: {}, reversalOf: null, postedAt,
+        postings: [
+          { postingId: 'posting-1', accountId: 'alice', direction: 'DEBIT', amount: 0.3, balanceAfter: 99.7, postedAt },
+          { postingId: 'posting-2', accountId: 'bob', direction: 'CREDIT', amount: 0.3, balanceAfter: 0.3, postedAt }
+        ]
+      };
+
+      await repository.saveJournalEntry(entry, [account('alice', 'CREDIT'), account('bob', 'CREDIT')]);
+
+      expect(db.transaction).toHaveBeenCalledTimes(1);
+      const statements = db.query.mock.calls.map(call => call[0]);
+      expect(statements[0]).toContain('balance = ledger_accounts.balance + EXCLUDED.balance');
+      expect(db.query.mock.calls[0][1].slice(6, 9)).toEqual([-0.3, 0.3, 0]);
+      expect(statements[1]).toContain('UPDATE accounts SET balance = ledger_accounts.balance');
+      expect(db.query.mock.calls[2][1].slice(6, 9)).toEqual([0.3, 0, 0.3]);
+      expect(db.query.mock.calls[3][1]).toEqual(['bob']);
+      expect(statements[4]).toContain('INSERT INTO journal_entries');
+      expect(statements.slice(5).every(sql => sql.includes('INSERT INTO ledger_postings'))).toBe(true);
+      expect(db.query.mock.calls[6][1].slice(0, 4)).toEqual(['posting-2', 'entry-1', 1, 'bob']);
+    });
+  });
+
+  test('should create every repository on a shared connection', () => {
+    const db = createMockDb();
+    const repositories = createRepositories(db);
+
+    expect(Object.keys(repositories)).toEqual(
+      expect.arrayContaining(['accounts', 'transactions', 'loanApplications', 'kyc', 'sars', 'exceptions'])
+    );
+    Object.values(repositories).forEach(repository => expect(repository.db).toBe(db));
+  });
+});
+
+describe('Module persistence', () => {
+  test('SARGenerator should persist filed SARs and query them back', async () => {
+    const db = createMockDb({ id: 'sar-1', customer_id: 'cust-1', amount: '15000.00' });
+    const sarRepository = new SARRepository(db);
+    const generator = new SARGenerator({ sarRepository });
+
+    const sar = await generator.generate(
+      { transactionId: 'txn-1', amount: 15000, currency: 'INR', transactionType: 'DEPOSIT', description: 'Cash' },
+      { customerId: 'cust-1', personalInfo: { firstName: 'Ravi', lastName: 'Kumar' } },
+      ['LARGE_AMOUNT']
+    );
+
+    expect(db.queryOne.mock.calls[0][0]).toContain('INSERT INTO suspicious_activity_reports');
+    expect(await generator.findSAR(sar.sarId)).toBe(sar);
+
+    await generator.findSARs({ customerId: 'cust-1' });
+    expect(db.queryMany.mock.calls[0][1][0]).toBe('cust-1');
+  });
+
+  test('ExceptionHandler should reload exceptions from storage after a restart', async () => {
+    const storedRow = {
+      id: 'ex-1',
+      transaction_id: 'txn-1',
+      exception_type: 'FRAUD_SUSPECTED',
+      reason: 'Velocity',
+      metadata: {},
+      status: 'PENDING_REVIEW',
+      assigned_reviewer: null,
+      resolution: null,
+      flagged_at: new Date(),
+      reviewed_at: null
+    };
+    const db = createMockDb(storedRow);
+    const handler = new ExceptionHandler(null, new ExceptionRepository(db));
+
+    const result = await handler.assignToReviewer('ex-1', 'reviewer-1');
+
+    expect(result.exception.status).toBe('UNDER_REVIEW');
+    expect(db.queryOne).toHaveBeenCalledTimes(2);
+    expect(db.queryOne.mock.calls[1][1]).toContain('reviewer-1');
+    expect(handler.getExceptionStats().underReview).toBe(1);
+  });
+
+  test('TransactionProcessingModule should store failed transactions as exceptions', async () => {
+    const db = createMockDb();
+    db.queryOne.mockImplementation(async (sql, params) => ({ id: params[0], status: params[5] }));
+    const module = new TransactionProcessingModule(null, null, null, new ExceptionRepository(db));
+    const transaction = new Transaction(
+      '123e4567-e89b-12d3-a456-426614174000', 250, Currency.INR, TransactionType.WITHDRAWAL, 'ATM'
+    );
+
+    const result = await module.processTransaction(transaction);
+
+    expect(result.success).toBe(false);
+    expect(db.queryOne.mock.calls[0][0]).toContain('INSERT INTO transaction_exceptions');
+    expect(db.queryOne.mock.calls[0][1].slice(1, 3)).toEqual([transaction.transactionId, 'INSUFFICIENT_FUNDS']);
+    expect(module.exceptionHandler.getPendingExceptions()).toHaveLength(1);
+  });
+});
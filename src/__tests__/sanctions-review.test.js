@@ -0,0 +1,168 @@
+// Unit tests for the sanctions match review queue and whitelist
+
+const { v4: uuidv4 } = require('uuid');
+const AuditService = require('../services/audit-service');
+const { SanctionsScreeningEngine, SanctionEntryType } = require('../services/sanctions-screening');
+const { AMLModule, SanctionReviewQueue, SanctionReviewStatus } = require('../modules/aml');
+const { SanctionReviewRepository } = require('../database/repositories');
+const { Transaction } = require('../shared/interfaces');
+const { TransactionType, Currency } = require('../shared/types');
+
+const OFFICER_ID = uuidv4();
+
+function createTransaction(counterparty = null) {
+  return new Transaction(uuidv4(), 500, Currency.USD, TransactionType.TRANSFER, 'Invoice payment', counterparty);
+}
+
+describe('Sanctions Review', () => {
+  let auditService;
+  let amlModule;
+  let queue;
+  const customer = {
+    customerId: 'CUST-1',
+    personalInfo: { firstName: 'Victor', lastName: 'Butkov', nationality: 'US' }
+  };
+
+  beforeEach(() => {
+    const engine = new SanctionsScreeningEngine();
+    engine.loadEntries('ofac', [
+      { entryId: '1001', name: 'Viktor BOUTKOV', type: SanctionEntryType.INDIVIDUAL, programs: ['SDGT'] }
+    ]);
+
+    auditService = new AuditService();
+    amlModule = new AMLModule({ sanctionsEngine: engine, auditService });
+    queue = amlModule.sanctionReviewQueue;
+  });
+
+  test('should queue a potential match for review', async () => {
+    const result = await amlModule.screenTransaction(createTransaction(), customer);
+    const [review] = await amlModule.getSanctionReviews();
+
+    expect(result.sanctionHit).toBe(true);
+    expect(result.sanctionReviews).toEqual([review.reviewId]);
+    expect(review).toEqual(expect.objectContaining({
+      status: SanctionReviewStatus.PENDING,
+      subject: 'CUSTOMER',
+      partyId: 'CUST-1',
+      listName: 'ofac',
+      entryId: '1001',
+      transactionIds: [result.transactionId]
+    }));
+  });
+
+  test('should add repeat hits to the pending review', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const second = await amlModule.screenTransaction(createTransaction(), customer);
+    const reviews = await amlModule.getSanctionReviews();
+
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0].transactionIds).toContain(second.transactionId);
+  });
+
+  test('should confirm a match and audit the decision', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const [pending] = await amlModule.getSanctionReviews();
+
+    const review = await amlModule.confirmSanctionMatch(pending.reviewId, OFFICER_ID, 'Date of birth and address match');
+
+    expect(review.status).toBe(SanctionReviewStatus.CONFIRMED);
+    expect(review.decidedBy).toBe(OFFICER_ID);
+    const trail = await auditService.getAuditTrail('SANCTION_REVIEW', pending.reviewId);
+    expect(trail.map(entry => entry.action)).toEqual(['QUEUED', 'MATCH_CONFIRMED']);
+    expect(trail[1].metadata.reason).toBe('Date of birth and address match');
+  });
+
+  test('should require a reason and reject a second decision', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const [pending] = await amlModule.getSanctionReviews();
+
+    await expect(amlModule.confirmSanctionMatch(pending.reviewId, OFFICER_ID, '')).rejects.toThrow('reason is required');
+    await amlModule.discardSanctionMatch(pending.reviewId, OFFICER_ID, 'Different person');
+    await expect(amlModule.confirmSanctionMatch(pending.reviewId, OFFICER_ID, 'Changed my mind'))
+      .rejects.toThrow('already decided');
+  });
+
+  test('should stop raising a discarded and whitelisted match', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const [pending] = await amlModule.getSanctionReviews();
+
+    const { whitelistEntry } = await amlModule.discardSanctionMatch(pending.reviewId, OFFICER_ID, 'Different date of birth');
+    const result = await amlModule.screenTransaction(createTransaction(), customer);
+
+    expect(whitelistEntry).toEqual(expect.objectContaining({ partyId: 'CUST-1', listName: 'ofac', entryId: '1001' }));
+    expect(result.sanctionHit).toBe(false);
+    expect(result.flags).not.toContain('SANCTION_HIT');
+    expect(await amlModule.getSanctionReviews()).toEqual([]);
+    const trail = await auditService.getAuditTrail('SANCTION_WHITELIST', whitelistEntry.whitelistId);
+    expect(trail[0].action).toBe('WHITELISTED');
+  });
+
+  test('should only whitelist the reviewed party', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const [pending] = await amlModule.getSanctionReviews();
+    await amlModule.discardSanctionMatch(pending.reviewId, OFFICER_ID, 'Different person');
+
+    const result = await amlModule.screenTransaction(createTransaction(), { ...customer, customerId: 'CUST-2' });
+
+    expect(result.sanctionHit).toBe(true);
+  });
+
+  test('should discard without whitelisting when asked', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const [pending] = await amlModule.getSanctionReviews();
+
+    const { whitelistEntry } = await amlModule.discardSanctionMatch(pending.reviewId, OFFICER_ID, 'Test data', { whitelist: false });
+    const result = await amlModule.screenTransaction(createTransaction(), customer);
+
+    expect(whitelistEntry).toBeNull();
+    expect(result.sanctionHit).toBe(true);
+  });
+
+  test('should screen the pair again once the whitelist entry is revoked', async () => {
+    await amlModule.screenTransaction(createTransaction(), customer);
+    const [pending] = await amlModule.getSanctionReviews();
+    const { whitelistEntry } = await amlModule.discardSanctionMatch(pending.reviewId, OFFICER_ID, 'Different person');
+
+    await queue.removeFromWhitelist(whitelistEntry.whitelistId, OFFICER_ID, 'New adverse media');
+    const result = await amlModule.screenTransaction(createTransaction(), customer);
+
+    expect(queue.getWhitelist()).toEqual([]);
+    expect(result.sanctionHit).toBe(true);
+  });
+
+  test('should key counterparty matches on the counterparty account', async () => {
+    const counterparty = { name: 'Viktor Boutkov', accountId: 'ACC-99' };
+    const otherCustomer = { customerId: 'CUST-2', personalInfo: { firstName: 'Priya', lastName: 'Sharma', nationality: 'IN' } };
+    await amlModule.screenTransaction(createTransaction(counterparty), otherCustomer);
+    const [review] = await amlModule.getSanctionReviews();
+
+    expect(review.subject).toBe('COUNTERPARTY');
+    expect(review.partyId).toBe('ACC-99');
+  });
+
+  test('should load the whitelist from the repository', async () => {
+    const db = {
+      query: jest.fn(),
+      queryOne: jest.fn(),
+      queryMany: jest.fn().mockResolvedValue([{
+        id: uuidv4(),
+        party_id: 'CUST-1',
+        list_name: 'ofac',
+        entry_id: '1001',
+        reason: 'Different person',
+        created_by: OFFICER_ID,
+        created_at: new Date(),
+        revoked_at: null
+      }])
+    };
+    const persistentQueue = new SanctionReviewQueue({
+      auditService,
+      sanctionReviewRepository: new SanctionReviewRepository(db)
+    });
+
+    expect(await persistentQueue.loadWhitelist()).toBe(1);
+    expect(db.queryMany.mock.calls[0][0]).toContain('revoked_at IS NULL');
+    expect(persistentQueue.isWhitelisted('CUST-1', 'ofac', '1001')).toBe(true);
+    expect(persistentQueue.isWhitelisted('CUST-1', 'un', '1001')).toBe(false);
+  });
+});
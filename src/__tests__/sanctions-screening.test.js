@@ -0,0 +1,262 @@
+// Unit tests for sanctions list ingestion and fuzzy screening
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const {
+  SanctionsScreeningEngine,
+  SanctionListParsers,
+  SanctionEntryType,
+  SanctionMatchType,
+  normalizeName,
+  jaroWinkler,
+  soundex
+} = require('../services/sanctions-screening');
+const { SanctionScreener } = require('../modules/aml');
+const { Transaction } = require('../shared/interfaces');
+const { TransactionType, Currency } = require('../shared/types');
+
+const OFAC_XML = `<?xml version="1.0" standalone="yes"?>
+<sdnList xmlns="http://tempuri.org/sdnList.xsd">
+  <sdnEntry>
+    <uid>1001</uid>
+    <firstName>Viktor</firstName>
+    <lastName>BOUTKOV</lastName>
+    <sdnType>Individual</sdnType>
+    <programList><program>SDGT</program></programList>
+    <akaList>
+      <aka><uid>2001</uid><type>a.k.a.</type><firstName>Victor</firstName><lastName>BUTKOV</lastName></aka>
+    </akaList>
+    <dateOfBirthList>
+      <dateOfBirthItem><uid>3001</uid><dateOfBirth>12 Jan 1967</dateOfBirth></dateOfBirthItem>
+    </dateOfBirthList>
+  </sdnEntry>
+  <sdnEntry>
+    <uid>1002</uid>
+    <lastName>GLOBAL MARITIME TRADING &amp; SHIPPING LLC</lastName>
+    <sdnType>Entity</sdnType>
+    <programList><program>IRAN</program></programList>
+  </sdnEntry>
+</sdnList>`;
+
+const UN_XML = `<CONSOLIDATED_LIST>
+  <INDIVIDUALS>
+    <INDIVIDUAL>
+      <DATAID>6908</DATAID>
+      <FIRST_NAME>ABDUL</FIRST_NAME>
+      <SECOND_NAME>RAHMAN</SECOND_NAME>
+      <THIRD_NAME>YASIN</THIRD_NAME>
+      <UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+      <REFERENCE_NUMBER>QDi.040</REFERENCE_NUMBER>
+      <NATIONALITY><VALUE>Iraq</VALUE></NATIONALITY>
+      <INDIVIDUAL_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Abdul Rahman Said Yasin</ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>EXACT</TYPE_OF_DATE><DATE>1960-04-10</DATE></INDIVIDUAL_DATE_OF_BIRTH>
+    </INDIVIDUAL>
+  </INDIVIDUALS>
+  <ENTITIES>
+    <ENTITY>
+      <DATAID>110</DATAID>
+      <FIRST_NAME>AL RASHID TRUST</FIRST_NAME>
+      <UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+      <REFERENCE_NUMBER>QDe.005</REFERENCE_NUMBER>
+      <ENTITY_ALIAS><ALIAS_NAME>Al-Rasheed Trust</ALIAS_NAME></ENTITY_ALIAS>
+    </ENTITY>
+  </ENTITIES>
+</CONSOLIDATED_LIST>`;
+
+describe('Sanctions Screening', () => {
+  describe('Name normalization and scoring', () => {
+    test('should transliterate and strip diacritics, punctuation and titles', () => {
+      expect(normalizeName('Mr. José Müller-Łukasz')).toBe('JOSE MULLER LUKASZ');
+      expect(normalizeName('Владимир Путин')).toBe('VLADIMIR PUTIN');
+      expect(normalizeName('Acme Trading Co. Ltd')).toBe('ACME TRADING');
+    });
+
+    test('should compute standard Jaro-Winkler and Soundex values', () => {
+      expect(jaroWinkler('MARTHA', 'MARHTA')).toBeCloseTo(0.961, 3);
+      expect(jaroWinkler('DWAYNE', 'DUANE')).toBeCloseTo(0.84, 3);
+      expect(soundex('ROBERT')).toBe(soundex('RUPERT'));
+      expect(soundex('ASHCRAFT')).toBe('A261');
+    });
+  });
+
+  describe('List parsers', () => {
+    test('should parse OFAC SDN XML with aliases and programs', () => {
+      const entries = SanctionListParsers.OFAC_XML(OFAC_XML);
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toEqual(expect.objectContaining({
+        entryId: '1001',
+        name: 'Viktor BOUTKOV',
+        type: SanctionEntryType.INDIVIDUAL,
+        aliases: ['Victor BUTKOV'],
+        programs: ['SDGT'],
+        datesOfBirth: ['12 Jan 1967']
+      }));
+      expect(entries[1].name).toBe('GLOBAL MARITIME TRADING & SHIPPING LLC');
+      expect(entries[1].type).toBe(SanctionEntryType.ENTITY);
+    });
+
+    test('should parse OFAC SDN CSV with alt.csv aliases', () => {
+      const entries = SanctionListParsers.OFAC_CSV(
+        '1001,"BOUTKOV, Viktor",individual,SDGT,-0-,-0-\n1002,"GLOBAL SHIPPING LLC",-0-,IRAN,-0-,-0-',
+        { aliasContent: '1001,2001,"aka","BUTKOV, Victor",-0-' }
+      );
+
+      expect(entries[0]).toEqual(expect.objectContaining({
+        entryId: '1001',
+        name: 'Viktor BOUTKOV',
+        type: SanctionEntryType.INDIVIDUAL,
+        aliases: ['BUTKOV, Victor']
+      }));
+      expect(entries[1].type).toBe(SanctionEntryType.ENTITY);
+    });
+
+    test('should parse the UN consolidated list', () => {
+      const entries = SanctionListParsers.UN_XML(UN_XML);
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toEqual(expect.objectContaining({
+        entryId: 'QDi.040',
+        name: 'ABDUL RAHMAN YASIN',
+        aliases: ['Abdul Rahman Said Yasin'],
+        nationalities: ['Iraq'],
+        datesOfBirth: ['1960-04-10']
+      }));
+      expect(entries[1]).toEqual(expect.objectContaining({ name: 'AL RASHID TRUST', type: SanctionEntryType.ENTITY }));
+    });
+  });
+
+  describe('SanctionsScreeningEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new SanctionsScreeningEngine();
+      engine.loadEntries('ofac', SanctionListParsers.OFAC_XML(OFAC_XML));
+      engine.loadEntries('un', SanctionListParsers.UN_XML(UN_XML));
+    });
+
+    afterEach(() => {
+      config.reload();
+    });
+
+    test('should return an exact hit with the matched list entry', () => {
+      const [hit] = engine.screenName('viktor boutkov');
+
+      expect(hit.matchType).toBe(SanctionMatchType.EXACT);
+      expect(hit.score).toBe(1);
+      expect(hit.listName).toBe('ofac');
+      expect(hit.entry.programs).toEqual(['SDGT']);
+    });
+
+    test('should match spelling variants and reordered names', () => {
+      const [variant] = engine.screenName('Viktor Butkow');
+      const [reordered] = engine.screenName('Yasin, Abdul Rahman');
+
+      expect(variant.entryId).toBe('1001');
+      expect(variant.score).toBeGreaterThanOrEqual(0.85);
+      expect(reordered.entryId).toBe('QDi.040');
+    });
+
+    test('should match on aliases and report it', () => {
+      const [hit] = engine.screenName('Al-Rasheed Trust');
+
+      expect(hit.entryId).toBe('QDe.005');
+      expect(hit.isAlias).toBe(true);
+    });
+
+    test('should not flag unrelated names', () => {
+      expect(engine.screenName('Priya Sharma')).toEqual([]);
+    });
+
+    test('should compare date of birth when both sides have one', () => {
+      const [hit] = engine.screenName('Abdul Rahman Yasin', { dateOfBirth: '1960-04-10' });
+      const [other] = engine.screenName('Abdul Rahman Yasin', { dateOfBirth: '1985-02-01' });
+
+      expect(hit.dateOfBirthMatch).toBe(true);
+      expect(other.dateOfBirthMatch).toBe(false);
+    });
+
+    test('should apply list thresholds and switches from business rules', () => {
+      const rules = structuredClone(config.getBusinessRule('aml-compliance'));
+      rules.sanctionsScreening.lists.ofac.matchThreshold = 0.99;
+      rules.sanctionsScreening.matchingCriteria.aliasMatch = false;
+      config.businessRules['aml-compliance'] = rules;
+
+      expect(engine.screenName('Viktor Butkow')).toEqual([]);
+      // Still caught phonetically on the primary name, but not via the alias
+      const [hit] = engine.screenName('Al-Rasheed Trust');
+      expect(hit.isAlias).toBe(false);
+      expect(hit.matchType).toBe(SanctionMatchType.PHONETIC);
+    });
+
+    test('should ingest list files from disk', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sanctions-'));
+      const filePath = path.join(directory, 'local.csv');
+      fs.writeFileSync(filePath, 'id,name,type,aliases,programs\nL-1,Rogue Exports Pvt Ltd,entity,Rogue Export House,INTERNAL\n');
+
+      try {
+        expect(engine.loadListFile('local', filePath)).toBe(1);
+        expect(engine.screenName('Rogue Export House')[0].entryId).toBe('L-1');
+        expect(engine.getLoadedLists().map(list => list.listName)).toEqual(['ofac', 'un', 'local']);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('SanctionScreener', () => {
+    test('should return scored matches for customer and counterparty', async () => {
+      const engine = new SanctionsScreeningEngine();
+      engine.loadEntries('ofac', SanctionListParsers.OFAC_XML(OFAC_XML));
+      const screener = new SanctionScreener({ sanctionsEngine: engine, highRiskCountries: ['KP'] });
+
+      const transaction = new Transaction(
+        uuidv4(), 5000, Currency.USD, TransactionType.TRANSFER, 'Freight payment',
+        { name: 'Global Maritime Trading and Shipping' }
+      );
+      const customer = { personalInfo: { firstName: 'Victor', lastName: 'Butkov', nationality: 'US' } };
+
+      const result = await screener.screen(transaction, customer);
+
+      expect(result.hit).toBe(true);
+      expect(result.flags).toEqual(['SANCTION_HIT']);
+      expect(result.matches.map(match => [match.subject, match.entryId])).toEqual([
+        ['CUSTOMER', '1001'],
+        ['COUNTERPARTY', '1002']
+      ]);
+    });
+
+    test('should refuse to screen against the sample list outside development and test', async () => {
+      const transaction = { transactionId: 'txn-1', amount: 100, currency: 'USD' };
+      const customer = { personalInfo: { firstName: 'Jane', lastName: 'Doe', nationality: 'US' } };
+      const environment = config.environment;
+      try {
+        config.environment = 'production';
+        const screener = new SanctionScreener({ sanctionListFiles: {} });
+
+        await expect(screener.screen(transaction, customer)).rejects.toMatchObject({
+          code: 'SANCTIONS_LISTS_UNAVAILABLE',
+          message: expect.stringContaining('no sanctions list entries loaded in production')
+        });
+      } finally {
+        config.environment = environment;
+      }
+
+      const screener = new SanctionScreener({ sanctionListFiles: {} });
+      await screener.screen(transaction, customer);
+      expect(screener.engine.getLoadedLists()).toEqual([
+        expect.objectContaining({ listName: 'local' })
+      ]);
+    });
+
+    test('should report a missing list file as unavailable screening', async () => {
+      const screener = new SanctionScreener({ sanctionListFiles: { OFAC_SDN: [{ path: '/nonexistent/sdn.xml' }] } });
+
+      await expect(screener.screen({ transactionId: 'txn-1', amount: 100, currency: 'USD' }, {}))
+        .rejects.toMatchObject({ code: 'SANCTIONS_LISTS_UNAVAILABLE', message: expect.stringContaining('ENOENT') });
+    });
+  });
+});
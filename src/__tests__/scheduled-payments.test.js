@@ -0,0 +1,394 @@
+// Unit tests for scheduled payments: occurrence dates, reminders, execution
+// through the payment module, insufficient-funds retries and skip/pause/cancel
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { PaymentScheduler, PaymentValidator } = require('../modules/payment-processing');
+const { TransactionProcessingModule } = require('../modules/transaction-processing');
+const { Transaction } = require('../shared/interfaces');
+const {
+  TransactionType,
+  ScheduleFrequency,
+  StandingInstructionStatus,
+  ScheduledOccurrenceStatus,
+  PaymentType,
+  Currency
+} = require('../shared/types');
+
+// Dates are IST calendar days
+const at = (date, time = '11:00') => new Date(`${date}T${time}:00+05:30`);
+const TODAY = at('2026-10-19');
+// Runs cannot be as of a future date; the clock is set after every run the tests make
+const CLOCK = at('2027-01-01');
+
+describe('Payment Scheduler', () => {
+  let scheduler;
+  let paymentProcessingModule;
+  let transactionProcessingModule;
+  let accountRepository;
+  let notificationService;
+  let auditService;
+  let account;
+  let payment;
+
+  // Posts a deposit or payment bringing the source account's ledger balance to an amount
+  const setBalance = async (amount) => {
+    const difference = amount - await transactionProcessingModule.getAccountBalance(account.accountId);
+    const type = difference > 0 ? TransactionType.DEPOSIT : TransactionType.PAYMENT;
+    await transactionProcessingModule.processTransaction(
+      new Transaction(account.accountId, Math.abs(difference), Currency.INR, type, 'Balance adjustment'));
+  };
+  const balance = () => transactionProcessingModule.getAccountBalance(account.accountId);
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: CLOCK });
+    account = { accountId: uuidv4(), customerId: 'CUST-1' };
+    payment = {
+      fromAccountId: account.accountId,
+      toAccountId: uuidv4(),
+      amount: 12000,
+      currency: Currency.INR,
+      paymentType: PaymentType.DOMESTIC_TRANSFER,
+      description: 'Rent'
+    };
+
+    paymentProcessingModule = {
+      validator: new PaymentValidator(),
+      processPaymentWithRetry: jest.fn(async () => ({ success: true, paymentOrder: { paymentId: uuidv4() } }))
+    };
+    accountRepository = {
+      findById: jest.fn(async id => (id === account.accountId ? account : null)),
+      findCustomerById: jest.fn(async id => ({ customerId: id, personalInfo: { firstName: 'Asha', lastName: 'Rao', contactInfo: { email: 'asha.rao@example.com' } } }))
+    };
+    notificationService = {
+      sendScheduledPaymentReminderNotification: jest.fn().mockResolvedValue({ success: true }),
+      sendScheduledPaymentFailedNotification: jest.fn().mockResolvedValue({ success: true })
+    };
+    auditService = { log: jest.fn().mockResolvedValue({}) };
+    transactionProcessingModule = new TransactionProcessingModule();
+    jest.spyOn(transactionProcessingModule.processor, 'simulateProcessingDelay').mockResolvedValue();
+    await setBalance(50000);
+
+    scheduler = new PaymentScheduler({ paymentProcessingModule, transactionProcessingModule, accountRepository, notificationService, auditService });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    config.reload();
+  });
+
+  test('should compute occurrence dates for each frequency and stop at the end date or count', () => {
+    const dates = (schedule, count = 5) => Array.from({ length: count }, (_, index) => scheduler.occurrenceDate(schedule, index));
+
+    expect(dates({ frequency: ScheduleFrequency.ONCE, startDate: '2026-10-20' }, 2)).toEqual(['2026-10-20', null]);
+    expect(dates({ frequency: ScheduleFrequency.DAILY, startDate: '2026-10-30', occurrences: 4 }))
+      .toEqual(['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02', null]);
+    expect(dates({ frequency: ScheduleFrequency.WEEKLY, startDate: '2026-12-17', endDate: '2027-01-07' }))
+      .toEqual(['2026-12-17', '2026-12-24', '2026-12-31', '2027-01-07', null]);
+    expect(dates({ frequency: ScheduleFrequency.MONTHLY, startDate: '2027-01-31' }))
+      .toEqual(['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30', '2027-05-31']);
+    expect(dates({ frequency: ScheduleFrequency.END_OF_MONTH, startDate: '2026-11-10', occurrences: 4 }))
+      .toEqual(['2026-11-30', '2026-12-31', '2027-01-31', '2027-02-28', null]);
+  });
+
+  test('should validate schedules and payments when they are created', async () => {
+    const schedule = data => scheduler.schedulePayment({ ...payment, ...data }, 'user-1', TODAY);
+
+    await expect(schedule({ frequency: 'FORTNIGHTLY', startDate: '2026-10-20' })).rejects.toThrow('Invalid frequency: FORTNIGHTLY');
+    await expect(schedule({ startDate: '2026-02-30' })).rejects.toThrow('startDate must be a date in YYYY-MM-DD format');
+    await expect(schedule({ startDate: '2026-10-18' })).rejects.toThrow('startDate 2026-10-18 is in the past');
+    await expect(schedule({ frequency: ScheduleFrequency.DAILY, startDate: '2026-10-20', endDate: '2026-10-19' }))
+      .rejects.toThrow('endDate must be a date in YYYY-MM-DD format on or after startDate');
+    await expect(schedule({ frequency: ScheduleFrequency.WEEKLY, startDate: '2026-10-20', occurrences: 1.5 }))
+      .rejects.toThrow('occurrences must be a positive whole number');
+    await expect(schedule({ startDate: '2026-10-20', occurrences: 3 })).rejects.toThrow('A one-off payment cannot have an endDate or occurrences');
+    await expect(schedule({ startDate: '2026-10-20', amount: 150000 })).rejects.toThrow('Invalid scheduled payment: Amount 150000 exceeds maximum');
+    await expect(schedule({ startDate: '2026-10-20', toAccountId: 'not-an-account' })).rejects.toThrow('Invalid payment order data');
+
+    const instruction = await schedule({ frequency: ScheduleFrequency.MONTHLY, startDate: '2026-10-19' });
+    expect(instruction).toEqual(expect.objectContaining({
+      status: StandingInstructionStatus.ACTIVE,
+      nextExecutionDate: '2026-10-19',
+      endDate: null,
+      occurrences: null
+    }));
+    expect(auditService.log).toHaveBeenCalledWith('STANDING_INSTRUCTION', instruction.instructionId, 'STANDING_INSTRUCTION_CREATED', 'user-1', null, instruction);
+  });
+
+  test('should remind the customer once before a future-dated payment and pay it on the day', async () => {
+    const instruction = await scheduler.schedulePayment({ ...payment, startDate: '2026-10-21' }, 'user-1', TODAY);
+
+    expect((await scheduler.runScheduledPayments(TODAY)).reminded).toEqual([]);
+
+    const reminderRun = await scheduler.runScheduledPayments(at('2026-10-20', '09:00'));
+    await scheduler.runScheduledPayments(at('2026-10-20', '10:00'));
+
+    expect(reminderRun.reminded).toEqual([instruction.instructionId]);
+    expect(notificationService.sendScheduledPaymentReminderNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.sendScheduledPaymentReminderNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ customerId: 'CUST-1' }),
+      expect.objectContaining({ instructionId: instruction.instructionId, executionDate: '2026-10-21', amount: 12000 }),
+      ['email', 'sms']
+    );
+    expect(paymentProcessingModule.processPaymentWithRetry).not.toHaveBeenCalled();
+
+    // Just after midnight IST on the payment date
+    const paymentRun = await scheduler.runScheduledPayments(new Date('2026-10-20T19:00:00Z'));
+
+    expect(paymentRun).toEqual(expect.objectContaining({ paid: [instruction.instructionId], completed: [instruction.instructionId] }));
+    expect(paymentProcessingModule.processPaymentWithRetry).toHaveBeenCalledWith(payment, 50000);
+    expect(await balance()).toBe(38000);
+    expect(instruction.status).toBe(StandingInstructionStatus.COMPLETED);
+    expect(instruction.nextExecutionDate).toBeNull();
+    expect(instruction.history).toEqual([expect.objectContaining({
+      executionDate: '2026-10-21',
+      status: ScheduledOccurrenceStatus.COMPLETED,
+      paymentId: expect.any(String),
+      attempts: 1
+    })]);
+    expect(auditService.log).toHaveBeenCalledWith('STANDING_INSTRUCTION', instruction.instructionId, 'SCHEDULED_PAYMENT_MADE',
+      '00000000-0000-0000-0000-000000000000', expect.any(Object), instruction);
+  });
+
+  test('should retry an occurrence short of funds, then fail it, notify and move on', async () => {
+    await setBalance(5000);
+    const instruction = await scheduler.schedulePayment(
+      { ...payment, frequency: ScheduleFrequency.WEEKLY, startDate: '2026-10-19' }, 'user-1', TODAY);
+
+    expect((await scheduler.runScheduledPayments(at('2026-10-19', '11:00'))).retrying).toEqual([instruction.instructionId]);
+    expect((await scheduler.runScheduledPayments(at('2026-10-19', '14:00'))).retrying).toEqual([]);
+    expect((await scheduler.runScheduledPayments(at('2026-10-19', '15:00'))).retrying).toEqual([instruction.instructionId]);
+
+    const failedRun = await scheduler.runScheduledPayments(at('2026-10-19', '19:00'));
+
+    expect(failedRun.failed).toEqual([instruction.instructionId]);
+    expect(paymentProcessingModule.processPaymentWithRetry).not.toHaveBeenCalled();
+    expect(instruction.history).toEqual([expect.objectContaining({
+      executionDate: '2026-10-19',
+      status: ScheduledOccurrenceStatus.FAILED,
+      reason: 'Insufficient funds. Available: 5000, Required: 12000',
+      attempts: 3
+    })]);
+    expect(notificationService.sendScheduledPaymentFailedNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ customerId: 'CUST-1' }),
+      expect.objectContaining({ executionDate: '2026-10-19', reason: 'Insufficient funds. Available: 5000, Required: 12000' }),
+      ['email', 'sms']
+    );
+    expect(instruction).toEqual(expect.objectContaining({
+      status: StandingInstructionStatus.ACTIVE,
+      nextExecutionDate: '2026-10-26',
+      attempts: 0,
+      nextAttemptAt: null,
+      consecutiveFailures: 1
+    }));
+
+    // Funded in time for the next occurrence
+    await setBalance(60000);
+    expect((await scheduler.runScheduledPayments(at('2026-10-26'))).paid).toEqual([instruction.instructionId]);
+    expect(instruction.consecutiveFailures).toBe(0);
+  });
+
+  test('should pause an instruction after consecutive failures and reverse their debits', async () => {
+    const rules = structuredClone(config.getBusinessRule('payment-processing'));
+    rules.standingInstructions.insufficientFunds.retryAttempts = 0;
+    rules.standingInstructions.pauseAfterConsecutiveFailures = 2;
+    config.businessRules['payment-processing'] = rules;
+
+    const instruction = await scheduler.schedulePayment(
+      { ...payment, frequency: ScheduleFrequency.DAILY, startDate: '2026-10-19' }, 'user-1', TODAY);
+
+    paymentProcessingModule.processPaymentWithRetry.mockResolvedValue({ success: false, errors: ['Payment rail UPI is not configured'] });
+    await scheduler.runScheduledPayments(at('2026-10-20', '09:00'));
+    const pausedRun = await scheduler.runScheduledPayments(at('2026-10-20', '10:00'));
+
+    expect(pausedRun.paused).toEqual([instruction.instructionId]);
+    expect(instruction.history.map(entry => entry.status)).toEqual([ScheduledOccurrenceStatus.FAILED, ScheduledOccurrenceStatus.FAILED]);
+    expect(instruction).toEqual(expect.objectContaining({
+      status: StandingInstructionStatus.PAUSED,
+      pausedReason: '2 consecutive payments failed',
+      nextExecutionDate: '2026-10-21'
+    }));
+    expect(await balance()).toBe(50000);
+
+    paymentProcessingModule.processPaymentWithRetry.mockClear();
+    await scheduler.runScheduledPayments(at('2026-10-21'));
+    expect(paymentProcessingModule.processPaymentWithRetry).not.toHaveBeenCalled();
+  });
+
+  test('should skip, pause, resume and cancel standing instructions', async () => {
+    const instruction = await scheduler.schedulePayment(
+      { ...payment, frequency: ScheduleFrequency.DAILY, startDate: '2026-10-20', occurrences: 6 }, 'user-1', TODAY);
+
+    await scheduler.skipNextOccurrence(instruction.instructionId, 'user-1', 'Paid in cash');
+    expect(instruction.nextExecutionDate).toBe('2026-10-21');
+
+    await scheduler.pauseInstruction(instruction.instructionId, 'user-1', 'Travelling');
+    expect((await scheduler.runScheduledPayments(at('2026-10-23'))).paid).toEqual([]);
+
+    await scheduler.resumeInstruction(instruction.instructionId, 'user-1', at('2026-10-23'));
+    expect(instruction.status).toBe(StandingInstructionStatus.ACTIVE);
+    expect(instruction.nextExecutionDate).toBe('2026-10-23');
+    expect(instruction.history).toEqual([
+      expect.objectContaining({ executionDate: '2026-10-20', status: ScheduledOccurrenceStatus.SKIPPED, reason: 'Paid in cash', skippedBy: 'user-1' }),
+      expect.objectContaining({ executionDate: '2026-10-21', status: ScheduledOccurrenceStatus.SKIPPED, reason: 'Missed while paused' }),
+      expect.objectContaining({ executionDate: '2026-10-22', status: ScheduledOccurrenceStatus.SKIPPED, reason: 'Missed while paused' })
+    ]);
+
+    expect((await scheduler.runScheduledPayments(at('2026-10-23'))).paid).toEqual([instruction.instructionId]);
+
+    await scheduler.cancelInstruction(instruction.instructionId, 'user-1', 'Lease ended');
+    expect(instruction).toEqual(expect.objectContaining({
+      status: StandingInstructionStatus.CANCELLED,
+      cancellationReason: 'Lease ended',
+      nextExecutionDate: null
+    }));
+    expect((await scheduler.runScheduledPayments(at('2026-10-24'))).paid).toEqual([]);
+
+    await expect(scheduler.pauseInstruction(instruction.instructionId, 'user-1'))
+      .rejects.toThrow(`Standing instruction ${instruction.instructionId} is CANCELLED, not ACTIVE`);
+    await expect(scheduler.getInstruction('missing')).rejects.toThrow('Standing instruction not found: missing');
+    expect(auditService.log.mock.calls.map(call => call[2])).toEqual([
+      'STANDING_INSTRUCTION_CREATED',
+      'SCHEDULED_PAYMENT_SKIPPED',
+      'STANDING_INSTRUCTION_PAUSED',
+      'STANDING_INSTRUCTION_RESUMED',
+      'SCHEDULED_PAYMENT_MADE',
+      'STANDING_INSTRUCTION_CANCELLED'
+    ]);
+  });
+
+  test('should only let the account holder schedule payments and act on their own instructions', async () => {
+    const owner = { userId: 'user-1', email: 'Asha.Rao@example.com' };
+    const other = { userId: 'user-2', email: 'vikram@example.com' };
+
+    await expect(scheduler.requireAccountHolder(account.accountId, owner)).resolves.toBe(account);
+    await expect(scheduler.requireAccountHolder(account.accountId, other))
+      .rejects.toThrow(`Account ${account.accountId} does not belong to user user-2`);
+    await expect(scheduler.requireAccountHolder('missing', owner))
+      .rejects.toThrow('Account missing does not belong to user user-1');
+
+    const instruction = await scheduler.schedulePayment({ ...payment, startDate: '2026-10-21' }, 'user-1', TODAY);
+    await expect(scheduler.requireOwnInstruction(instruction.instructionId, owner)).resolves.toBe(instruction);
+    await expect(scheduler.requireOwnInstruction(instruction.instructionId, other))
+      .rejects.toThrow(`Standing instruction ${instruction.instructionId} does not belong to user user-2`);
+    // Created by the user, but the source account is no longer theirs
+    await expect(scheduler.requireOwnInstruction(instruction.instructionId, { userId: 'user-1', email: 'old@example.com' }))
+      .rejects.toThrow(`Account ${account.accountId} does not belong to user user-1`);
+  });
+
+  test('should reject future run dates and overlapping runs', async () => {
+    await scheduler.schedulePayment({ ...payment, startDate: '2026-10-19' }, 'user-1', TODAY);
+
+    await expect(scheduler.runScheduledPayments(new Date(CLOCK.getTime() + 60000))).rejects.toThrow('future date');
+    await expect(scheduler.runScheduledPayments('not a date')).rejects.toThrow('Invalid scheduled payment run date');
+    await expect(new PaymentScheduler({ paymentProcessingModule }).runScheduledPayments(TODAY))
+      .rejects.toThrow('Transaction processing module not configured');
+
+    const running = scheduler.runScheduledPayments(TODAY);
+    await expect(scheduler.runScheduledPayments(TODAY)).rejects.toThrow('already running');
+    expect((await running).paid).toHaveLength(1);
+  });
+
+  test('should run at start and then on the configured interval', () => {
+    const run = jest.spyOn(scheduler, 'runScheduledPayments').mockResolvedValue({});
+
+    scheduler.startScheduler();
+    expect(run).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(run).toHaveBeenCalledTimes(2);
+    scheduler.stopScheduler();
+    jest.advanceTimersByTime(60 * 60 * 1000);
+
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('should persist instructions with their history and reload open ones after a restart', async () => {
+    const stored = new Map();
+    const instructionRepository = {
+      save: jest.fn(async instruction => {
+        stored.set(instruction.instructionId, structuredClone(instruction));
+        return instruction;
+      }),
+      findById: jest.fn(async id => (stored.has(id) ? structuredClone(stored.get(id)) : null)),
+      findOpen: jest.fn(async () => [...stored.values()]
+        .filter(instruction => [StandingInstructionStatus.ACTIVE, StandingInstructionStatus.PAUSED].includes(instruction.status))
+        .map(instruction => structuredClone(instruction)))
+    };
+    const options = { paymentProcessingModule, transactionProcessingModule, accountRepository, instructionRepository };
+    scheduler = new PaymentScheduler(options);
+
+    const weekly = await scheduler.schedulePayment({ ...payment, frequency: ScheduleFrequency.WEEKLY, startDate: '2026-10-19' }, 'user-1', TODAY);
+    const once = await scheduler.schedulePayment({ ...payment, startDate: '2026-10-19' }, 'user-1', TODAY);
+    await scheduler.runScheduledPayments(TODAY);
+
+    expect(instructionRepository.save).toHaveBeenCalledWith(weekly, [expect.objectContaining({
+      sequence: 0,
+      executionDate: '2026-10-19',
+      status: ScheduledOccurrenceStatus.COMPLETED
+    })]);
+    expect(stored.get(once.instructionId).status).toBe(StandingInstructionStatus.COMPLETED);
+
+    const restarted = new PaymentScheduler(options);
+    expect(await restarted.loadInstructions()).toBe(1);
+    expect((await restarted.runScheduledPayments(at('2026-10-26'))).paid).toEqual([weekly.instructionId]);
+    expect(instructionRepository.save).toHaveBeenLastCalledWith(
+      expect.objectContaining({ instructionId: weekly.instructionId, nextExecutionDate: '2026-11-02' }),
+      [expect.objectContaining({ sequence: 1, executionDate: '2026-10-26' })]
+    );
+
+    // Finished instructions are not reloaded but can still be looked up
+    expect((await restarted.getInstruction(once.instructionId)).history).toHaveLength(1);
+  });
+
+  test('should settle an occurrence a stopped run claimed from the ledger instead of paying it twice', async () => {
+    const stored = new Map();
+    let failSaves = 0;
+    const instructionRepository = {
+      save: jest.fn(async instruction => {
+        if (failSaves > 0) {
+          failSaves--;
+          throw new Error('connection lost');
+        }
+        stored.set(instruction.instructionId, structuredClone(instruction));
+        return instruction;
+      }),
+      findOpen: jest.fn(async () => [...stored.values()].map(instruction => structuredClone(instruction)))
+    };
+    const options = { paymentProcessingModule, transactionProcessingModule, accountRepository, instructionRepository };
+    scheduler = new PaymentScheduler(options);
+    const instruction = await scheduler.schedulePayment({ ...payment, frequency: ScheduleFrequency.WEEKLY, startDate: '2026-10-19' }, 'user-1', TODAY);
+
+    // The claim cannot be stored: nothing is debited or paid
+    failSaves = 1;
+    await expect(scheduler.runScheduledPayments(TODAY)).rejects.toThrow('connection lost');
+    expect(paymentProcessingModule.processPaymentWithRetry).not.toHaveBeenCalled();
+    expect(await balance()).toBe(50000);
+
+    // Paid, but the result cannot be stored
+    failSaves = 0;
+    instructionRepository.save.mockImplementationOnce(async claimed => {
+      stored.set(claimed.instructionId, structuredClone(claimed));
+      failSaves = 1;
+      return claimed;
+    });
+    await expect(scheduler.runScheduledPayments(TODAY)).rejects.toThrow('connection lost');
+    expect(stored.get(instruction.instructionId)).toEqual(expect.objectContaining({
+      nextExecutionDate: '2026-10-19',
+      pendingTransactionId: expect.any(String)
+    }));
+
+    const restarted = new PaymentScheduler(options);
+    await restarted.loadInstructions();
+    const run = await restarted.runScheduledPayments(TODAY);
+
+    expect(run.paid).toEqual([instruction.instructionId]);
+    expect(paymentProcessingModule.processPaymentWithRetry).toHaveBeenCalledTimes(1);
+    expect(await balance()).toBe(38000);
+    expect(stored.get(instruction.instructionId)).toEqual(expect.objectContaining({
+      nextExecutionDate: '2026-10-26',
+      pendingTransactionId: null,
+      history: [expect.objectContaining({ executionDate: '2026-10-19', status: ScheduledOccurrenceStatus.COMPLETED })]
+    }));
+  });
+});
@@ -0,0 +1,245 @@
+// Unit tests for the settlement calendar and warehousing of payments outside rail windows
+
+const config = require('../config');
+const { SettlementCalendar } = require('../services/settlement-calendar');
+const { RTGSAdapter, NEFTAdapter, PaymentRailSelector } = require('../services/payment-network-adapters');
+const { WarehousedPaymentRepository } = require('../database/repositories');
+const { PaymentProcessingModule } = require('../modules/payment-processing');
+const { PaymentRail, PaymentStatus, Currency } = require('../shared/types');
+
+// Wall-clock time in IST, the configured settlement time zone
+function ist(date, time = '12:00') {
+  return new Date(`${date}T${time}:00+05:30`);
+}
+
+function rtgsInstruction() {
+  return {
+    amount: 500000,
+    currency: Currency.INR,
+    fromAccount: '123456789012',
+    toAccount: '987654321098',
+    ifscCode: 'HDFC0001234'
+  };
+}
+
+describe('Settlement Calendar', () => {
+  let calendar;
+
+  beforeEach(() => {
+    calendar = new SettlementCalendar();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.reload();
+  });
+
+  describe('Business days', () => {
+    test('should skip Sundays, 2nd and 4th Saturdays and settlement holidays', () => {
+      expect(calendar.isBusinessDay(ist('2026-10-02'))).toBe(false); // Gandhi Jayanti
+      expect(calendar.isBusinessDay(ist('2026-10-10'))).toBe(false); // 2nd Saturday
+      expect(calendar.isBusinessDay(ist('2026-10-17'))).toBe(true); // 3rd Saturday
+      expect(calendar.isBusinessDay(ist('2026-10-18'))).toBe(false); // Sunday
+      expect(calendar.isBusinessDay(ist('2026-10-24'))).toBe(false); // 4th Saturday
+      expect(calendar.isBusinessDay(ist('2026-10-26'))).toBe(true);
+    });
+
+    test('should load holiday lists per year alongside the configured ones', () => {
+      calendar.loadHolidays(2026, ['2026-11-09']);
+      calendar.loadHolidays(2027, ['2027-01-26']);
+
+      expect(calendar.isHoliday(ist('2026-11-09'))).toBe(true);
+      expect(calendar.getHolidays(2026)).toEqual(['2026-01-26', '2026-08-15', '2026-10-02', '2026-11-09', '2026-12-25']);
+      expect(calendar.getHolidays(2027)).toEqual(['2027-01-26']);
+      expect(() => calendar.loadHolidays(2027, ['2026-12-31'])).toThrow('Invalid holiday date for 2027: 2026-12-31');
+    });
+  });
+
+  describe('Rail windows', () => {
+    test('should apply cut-offs to the minute in the configured time zone', () => {
+      expect(calendar.isOpen(PaymentRail.RTGS, ist('2026-10-19', '16:29'))).toBe(true);
+      expect(calendar.isOpen(PaymentRail.RTGS, ist('2026-10-19', '16:30'))).toBe(false);
+      expect(calendar.isOpen(PaymentRail.RTGS, ist('2026-10-17', '13:59'))).toBe(true);
+      expect(calendar.isOpen(PaymentRail.RTGS, ist('2026-10-17', '14:00'))).toBe(false);
+      expect(calendar.isOpen(PaymentRail.RTGS, ist('2026-10-10', '10:00'))).toBe(false);
+      expect(calendar.isOpen(PaymentRail.NEFT, ist('2026-10-02', '10:00'))).toBe(false);
+      expect(calendar.isOpen(PaymentRail.IMPS, ist('2026-10-02', '10:00'))).toBe(true);
+
+      const rules = structuredClone(config.getBusinessRule('payment-processing'));
+      rules.settlementCalendar.timeZone = 'UTC';
+      config.businessRules['payment-processing'] = rules;
+
+      // 10:00 IST is 04:30 UTC, before the RTGS window opens
+      expect(calendar.isOpen(PaymentRail.RTGS, ist('2026-10-19', '10:00'))).toBe(false);
+    });
+
+    test('should find the next slot past weekends, non-working Saturdays and holidays', () => {
+      expect(calendar.getNextSlot(PaymentRail.RTGS, ist('2026-10-09', '17:00'))).toEqual(ist('2026-10-12', '09:00'));
+      expect(calendar.getNextSlot(PaymentRail.RTGS, ist('2026-10-01', '17:00'))).toEqual(ist('2026-10-03', '09:00'));
+      expect(calendar.getNextSlot(PaymentRail.RTGS, ist('2026-10-19', '08:15'))).toEqual(ist('2026-10-19', '09:00'));
+      expect(calendar.getNextSlot(PaymentRail.UPI, ist('2026-10-19', '01:20'))).toEqual(ist('2026-10-19', '02:00'));
+      expect(calendar.getNextSlot(PaymentRail.RTGS, ist('2026-10-19', '11:00'))).toEqual(ist('2026-10-19', '11:00'));
+    });
+
+    test('should give the next NEFT batch inside the window on a business day', () => {
+      const neft = new NEFTAdapter({ settlementCalendar: calendar });
+
+      expect(neft.getNextBatchTime(ist('2026-10-19', '10:20'))).toEqual(ist('2026-10-19', '11:00'));
+      expect(neft.getNextBatchTime(ist('2026-10-09', '18:30'))).toEqual(ist('2026-10-12', '08:00'));
+      expect(neft.getNextBatchTime(ist('2026-10-17', '12:30'))).toEqual(ist('2026-10-19', '08:00'));
+    });
+  });
+
+  describe('Warehousing', () => {
+    test('should warehouse RTGS payments outside the window and send them at the next slot', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const rtgs = new RTGSAdapter({ settlementCalendar: calendar });
+      jest.spyOn(rtgs, 'simulateNetworkDelay').mockResolvedValue();
+
+      const warehoused = await rtgs.processPayment(rtgsInstruction(), { at: ist('2026-10-10', '10:00') });
+
+      expect(warehoused).toEqual(expect.objectContaining({
+        success: true,
+        status: PaymentStatus.WAREHOUSED,
+        scheduledFor: ist('2026-10-12', '09:00')
+      }));
+      expect(rtgs.getTransactionStatus(warehoused.transactionId).status).toBe(PaymentStatus.WAREHOUSED);
+      expect(await rtgs.releaseWarehousedPayments(ist('2026-10-12', '08:59'))).toEqual([]);
+
+      const [sent] = await rtgs.releaseWarehousedPayments(ist('2026-10-12', '09:00'));
+
+      expect(sent).toEqual(expect.objectContaining({ success: true, transactionId: warehoused.transactionId }));
+      expect(rtgs.getTransactionStatus(warehoused.transactionId).status).toBe(PaymentStatus.COMPLETED);
+      expect(rtgs.warehousedPayments.size).toBe(0);
+    });
+
+    test('should release payments warehoused before a restart from the repository', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const stored = [];
+      const db = {
+        queryOne: jest.fn(async (sql, params) => {
+          const row = {
+            transaction_id: params[0],
+            network: params[1],
+            payment_instruction: JSON.parse(params[2]),
+            status: 'WAREHOUSED',
+            warehoused_at: params[3],
+            scheduled_for: params[4]
+          };
+          stored.push(row);
+          return row;
+        }),
+        // claimDue: every stored row is due at the release time below
+        queryMany: jest.fn(async () => stored.splice(0).map(row => ({ ...row, status: 'RELEASING' }))),
+        query: jest.fn(async () => ({ rows: [] }))
+      };
+      const warehouseRepository = new WarehousedPaymentRepository(db);
+
+      const before = new RTGSAdapter({ settlementCalendar: calendar, warehouseRepository });
+      const warehoused = await before.processPayment(rtgsInstruction(), { at: ist('2026-10-10', '10:00') });
+      expect(db.queryOne.mock.calls[0][0]).toContain('INSERT INTO warehoused_payments');
+
+      const after = new RTGSAdapter({ settlementCalendar: calendar, warehouseRepository });
+      jest.spyOn(after, 'simulateNetworkDelay').mockResolvedValue();
+      const [sent] = await after.releaseWarehousedPayments(ist('2026-10-12', '09:00'));
+
+      expect(sent).toEqual(expect.objectContaining({ success: true, transactionId: warehoused.transactionId }));
+      expect(db.queryMany.mock.calls[0][1]).toEqual(['RTGS', ist('2026-10-12', '09:00'), expect.any(Date)]);
+      expect(db.query.mock.calls[0][1]).toEqual([warehoused.transactionId, PaymentStatus.COMPLETED, ist('2026-10-12', '09:00')]);
+      expect(await after.releaseWarehousedPayments(ist('2026-10-12', '09:00'))).toEqual([]);
+    });
+
+    test('should return a payment whose release fails to the warehouse and reclaim stale claims', async () => {
+      const db = {
+        queryMany: jest.fn(async () => [{
+          transaction_id: 'RTGS-1',
+          network: 'RTGS',
+          payment_instruction: rtgsInstruction(),
+          status: 'RELEASING',
+          warehoused_at: ist('2026-10-10', '10:00'),
+          scheduled_for: ist('2026-10-12', '09:00')
+        }]),
+        query: jest.fn(async () => ({ rows: [] }))
+      };
+      const adapter = new RTGSAdapter({ settlementCalendar: calendar, warehouseRepository: new WarehousedPaymentRepository(db) });
+      jest.spyOn(adapter, 'processPayment').mockRejectedValue(new Error('connection reset'));
+
+      const startedAt = Date.now();
+      const [result] = await adapter.releaseWarehousedPayments(ist('2026-10-12', '09:00'));
+
+      expect(result).toEqual(expect.objectContaining({ success: false, transactionId: 'RTGS-1', error: 'connection reset' }));
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][0]).toContain("SET status = 'WAREHOUSED'");
+      expect(db.query.mock.calls[0][1]).toEqual(['RTGS-1']);
+
+      const [claimSql, [, , staleBefore]] = db.queryMany.mock.calls[0];
+      expect(claimSql).toContain("status = 'RELEASING' AND updated_at < $3");
+      expect(startedAt - staleBefore.getTime()).toBeGreaterThanOrEqual(15 * 60 * 1000);
+    });
+
+    test('should keep a payment whose release fails in the in-memory warehouse', async () => {
+      const adapter = new RTGSAdapter({ settlementCalendar: calendar });
+      const warehoused = await adapter.processPayment(rtgsInstruction(), { at: ist('2026-10-10', '10:00') });
+      jest.spyOn(adapter, 'processPayment').mockRejectedValueOnce(new Error('connection reset'));
+
+      await adapter.releaseWarehousedPayments(ist('2026-10-12', '09:00'));
+
+      expect(adapter.warehousedPayments.has(warehoused.transactionId)).toBe(true);
+    });
+
+    test('should report warehoused payments as warehoused, not completed', async () => {
+      // A stub integration service, as the real one starts network health checks
+      const paymentIntegrationService = {
+        processPayment: jest.fn().mockResolvedValue({
+          success: true,
+          transactionId: 'RTGS-1',
+          status: PaymentStatus.WAREHOUSED,
+          scheduledFor: ist('2026-10-12', '09:00'),
+          railUsed: PaymentRail.RTGS
+        })
+      };
+      const module = new PaymentProcessingModule({ paymentIntegrationService });
+
+      const result = await module.processPaymentWithNetworkIntegration({
+        fromAccountId: '123e4567-e89b-12d3-a456-426614174000',
+        toAccountId: '123e4567-e89b-12d3-a456-426614174001',
+        amount: 50000,
+        currency: Currency.INR,
+        paymentType: 'DOMESTIC_TRANSFER',
+        description: 'Vendor invoice'
+      }, 100000);
+
+      expect(result.success).toBe(true);
+      expect(result.paymentOrder.status).toBe(PaymentStatus.WAREHOUSED);
+      expect(result.paymentOrder.scheduledFor).toEqual(ist('2026-10-12', '09:00'));
+      expect(result.paymentOrder.processedAt).toBeNull();
+    });
+
+    test('should release through the shared selector, one run at a time and never as of a future date', async () => {
+      const module = new PaymentProcessingModule({ paymentIntegrationService: {} });
+      let finish;
+      jest.spyOn(module.paymentRailSelector, 'releaseWarehousedPayments')
+        .mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+
+      const running = module.releaseWarehousedPayments();
+      await expect(module.releaseWarehousedPayments()).rejects.toThrow('already running');
+      finish([
+        { success: true, transactionId: 'T1', status: PaymentStatus.COMPLETED },
+        { success: false, transactionId: 'T2' }
+      ]);
+
+      expect(await running).toEqual(expect.objectContaining({ released: ['T1'], failed: ['T2'], rewarehoused: [] }));
+      await expect(module.releaseWarehousedPayments(new Date(Date.now() + 60000))).rejects.toThrow('future date');
+    });
+
+    test('should share loaded holidays across the selector\'s adapters', () => {
+      const selector = new PaymentRailSelector({ settlementCalendar: calendar });
+      calendar.loadHolidays(2026, ['2026-10-20']);
+
+      const rails = selector.getAvailablePaymentRails(rtgsInstruction(), ist('2026-10-19', '17:00'));
+
+      expect(selector.getAdapter(PaymentRail.RTGS).isWithinOperatingHours(ist('2026-10-20', '10:00'))).toBe(false);
+      expect(rails.find(rail => rail.rail === PaymentRail.RTGS).availableFrom).toEqual(ist('2026-10-21', '09:00'));
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// Unit tests for the weighted underwriting scorecard and conditional approvals
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const { LoanProcessingModule, UnderwritingEngine, LoanDecisionNotifier } = require('../modules/loan-processing');
+const {
+  LoanType,
+  ApplicationStatus,
+  UnderwritingOutcome,
+  ApprovalConditionType,
+  ConditionStatus
+} = require('../shared/types');
+const { createLoanApplication, recordDecision } = require('./helpers/loan-fixtures');
+
+const OFFICER_ID = uuidv4();
+const ESTABLISHED_CUSTOMER = { relationshipProfile: { accountAgeMonths: 48, monthlyTransactions: 25, products: 3 } };
+
+describe('Underwriting Scorecard', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new UnderwritingEngine();
+  });
+
+  afterEach(() => {
+    config.reload();
+  });
+
+  describe('Decision matrix', () => {
+    test('should approve a strong application with the weighted factor breakdown', () => {
+      const application = createLoanApplication({ loanType: LoanType.HOME, amount: 600000, tenure: 120 });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 810 }, {
+        monthlyIncome: 100000,
+        monthlyDebts: 0,
+        employmentType: 'salaried',
+        employmentTenureMonths: 40,
+        incomeGrowth: 0.1
+      }, { ...ESTABLISHED_CUSTOMER, collateral: [{ type: 'property', value: 900000, valuationDate: new Date() }] });
+
+      expect(decision).toEqual(expect.objectContaining({
+        approved: true,
+        outcome: UnderwritingOutcome.APPROVE,
+        approvedAmount: 600000,
+        conditions: []
+      }));
+      expect(decision.scorecard.score).toBe(99);
+      expect(decision.scorecard.factors.creditScore).toEqual({ weight: 0.35, score: 100, details: { creditScore: 810, band: 'excellent' } });
+      expect(decision.scorecard.factors.income.details.subScores).toEqual({ dti: 83, employmentType: 100, tenure: 100, growth: 100 });
+      expect(decision.scorecard.factors.collateral).toEqual(expect.objectContaining({ score: 100, details: { secured: true, value: 900000, coverage: 1.5 } }));
+    });
+
+    test('should conditionally approve a reduced amount when DTI misses the approve band', () => {
+      const application = createLoanApplication({ amount: 252000, tenure: 24 });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 760 }, { monthlyIncome: 10000, monthlyDebts: 0 }, ESTABLISHED_CUSTOMER);
+
+      expect(decision.scorecard.score).toBe(67);
+      expect(decision).toEqual(expect.objectContaining({
+        approved: true,
+        outcome: UnderwritingOutcome.CONDITIONAL_APPROVAL,
+        approvedAmount: 240000
+      }));
+      expect(decision.conditions).toEqual([expect.objectContaining({
+        type: ApprovalConditionType.REDUCED_AMOUNT,
+        status: ConditionStatus.PENDING,
+        details: { requestedAmount: 252000, approvedAmount: 240000 }
+      })]);
+      expect(decision.terms.termMonths).toBe(24);
+    });
+
+    test('should ask for a guarantor when the score approves but the credit score misses the approve band', () => {
+      const application = createLoanApplication({ amount: 100000, tenure: 24 });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 690 }, { monthlyIncome: 100000 }, ESTABLISHED_CUSTOMER);
+
+      expect(decision.scorecard.score).toBe(77);
+      expect(decision.outcome).toBe(UnderwritingOutcome.CONDITIONAL_APPROVAL);
+      expect(decision.approvedAmount).toBe(100000);
+      expect(decision.conditions.map(condition => condition.type)).toEqual([ApprovalConditionType.GUARANTOR]);
+    });
+
+    test('should refer mid-band scores to an officer with the application priced', () => {
+      const application = createLoanApplication({ amount: 100000, tenure: 24 });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 660 });
+      recordDecision(application, decision, OFFICER_ID);
+
+      expect(decision.scorecard.score).toBe(55);
+      expect(decision).toEqual(expect.objectContaining({ approved: false, outcome: UnderwritingOutcome.REFER }));
+      expect(decision.terms).toEqual(expect.objectContaining({ termMonths: 24 }));
+      expect(application.status).toBe(ApplicationStatus.UNDER_REVIEW);
+    });
+
+    test('should reject on a decision matrix reject condition whatever the score', () => {
+      const application = createLoanApplication({ amount: 100000, tenure: 24 });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 810 }, { monthlyIncome: 100000 }, {
+        ...ESTABLISHED_CUSTOMER,
+        fraudAlert: true
+      });
+
+      expect(decision).toEqual(expect.objectContaining({ approved: false, outcome: UnderwritingOutcome.REJECT, terms: null }));
+      expect(decision.reason).toBe('Rejected by decision matrix: fraudAlert');
+      expect(decision.scorecard.score).toBeGreaterThan(75);
+    });
+
+    test('should follow decision matrix changes and fall back to the weakest factor condition', () => {
+      const rules = structuredClone(config.getBusinessRule('loan-processing'));
+      rules.underwriting.decisionMatrix.conditionalApproval.minScore = 50;
+      config.businessRules['loan-processing'] = rules;
+      const application = createLoanApplication({ amount: 100000, tenure: 24 });
+
+      const decision = engine.makeDecision(application, { success: true, creditScore: 720 });
+
+      // No income data: income is scored neutral and is the first of the weakest factors
+      expect(decision.outcome).toBe(UnderwritingOutcome.CONDITIONAL_APPROVAL);
+      expect(decision.conditions.map(condition => condition.type)).toEqual([ApprovalConditionType.REDUCED_AMOUNT]);
+      expect(decision.approvedAmount).toBe(80000);
+    });
+  });
+
+  describe('Officer review', () => {
+    let auditService;
+    let loanProcessing;
+
+    beforeEach(() => {
+      auditService = new AuditService();
+      loanProcessing = new LoanProcessingModule({ auditService, transactionProcessingModule: { processTransaction: jest.fn() } });
+    });
+
+    test('should block sign-off and disbursement until every condition is cleared', async () => {
+      const application = createLoanApplication({ amount: 100000, tenure: 24 });
+      recordDecision(application, engine.makeDecision(application, { success: true, creditScore: 690 }, { monthlyIncome: 100000 }, ESTABLISHED_CUSTOMER), OFFICER_ID);
+      const [condition] = application.decision.conditions;
+
+      await expect(loanProcessing.signOffApplication(application, OFFICER_ID)).rejects.toThrow('Conditions must be cleared before sign-off: GUARANTOR');
+      await expect(loanProcessing.disburseLoan(application, { accountId: uuidv4() }, OFFICER_ID)).rejects.toThrow('Approval conditions must be cleared');
+      await expect(loanProcessing.clearCondition(application, condition.conditionId, uuidv4())).rejects.toThrow('assigned officer');
+
+      await loanProcessing.clearCondition(application, condition.conditionId, OFFICER_ID, { notes: 'Spouse added as guarantor' });
+      await loanProcessing.signOffApplication(application, OFFICER_ID);
+
+      expect(condition).toEqual(expect.objectContaining({ status: ConditionStatus.CLEARED, clearedBy: OFFICER_ID, notes: 'Spouse added as guarantor' }));
+      expect(application.status).toBe(ApplicationStatus.APPROVED);
+      await expect(loanProcessing.clearCondition(application, condition.conditionId, OFFICER_ID)).rejects.toThrow('already been cleared');
+      const trail = await auditService.getAuditTrail('LOAN', application.applicationId);
+      expect(trail.map(entry => entry.action)).toEqual(['CONDITION_CLEARED', 'SIGNED_OFF']);
+    });
+
+    test('should approve a referred application only when the officer approves it', async () => {
+      const approvedApplication = createLoanApplication({ amount: 100000, tenure: 24 });
+      const rejectedApplication = createLoanApplication({ amount: 100000, tenure: 24 });
+      recordDecision(approvedApplication, engine.makeDecision(approvedApplication, { success: true, creditScore: 660 }), OFFICER_ID);
+      recordDecision(rejectedApplication, engine.makeDecision(rejectedApplication, { success: true, creditScore: 660 }), OFFICER_ID);
+
+      await loanProcessing.signOffApplication(approvedApplication, OFFICER_ID, { approved: true, comments: 'Long-standing employer' });
+      await loanProcessing.signOffApplication(rejectedApplication, OFFICER_ID, { comments: 'Insufficient history' });
+
+      expect(approvedApplication.status).toBe(ApplicationStatus.APPROVED);
+      expect(approvedApplication.decision.approved).toBe(true);
+      expect(rejectedApplication.status).toBe(ApplicationStatus.REJECTED);
+    });
+
+    test('should tell referred applicants their application is under review', () => {
+      const application = createLoanApplication({ amount: 100000, tenure: 24 });
+      const decision = engine.makeDecision(application, { success: true, creditScore: 660 });
+
+      const message = new LoanDecisionNotifier().createDecisionMessage(application, decision);
+
+      expect(message.subject).toBe('Loan Application Under Review');
+    });
+  });
+});
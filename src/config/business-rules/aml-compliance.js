@@ -47,7 +47,103 @@ module.exports = {
         highRiskCountries: ['AF', 'IR', 'KP', 'MM', 'SY'],
         crossBorderThreshold: 700000 // $10K equivalent
       }
-    }
+    },
+    
+    // Which transactions each rule channel covers. A transaction carrying an
+    // explicit channel is matched on that instead of its type.
+    channels: {
+      cash: { transactionTypes: ['DEPOSIT', 'WITHDRAWAL'] },
+      wire: { transactionTypes: ['TRANSFER', 'PAYMENT'] }
+    },
+    
+    // Sliding-window rules evaluated on every transaction. Numeric fields take
+    // a number, a path into transactionMonitoring, or { ref, times } for a
+    // product of two values. window is in seconds; 0 looks at the incoming
+    // transaction alone. aggregate is 'sum' or 'count' over the transactions
+    // in the window that match channel and where.
+    rules: [
+      {
+        id: 'LARGE_SINGLE_AMOUNT',
+        flag: 'LARGE_AMOUNT',
+        description: 'Single transaction at or above the cash reporting threshold',
+        channel: 'any',
+        window: 0,
+        aggregate: 'sum',
+        threshold: 'thresholds.cash.single'
+      },
+      {
+        id: 'CASH_DAILY_AGGREGATE',
+        flag: 'CASH_DAILY_THRESHOLD',
+        description: 'Cash transactions in 24 hours at or above the daily threshold',
+        channel: 'cash',
+        window: 86400,
+        aggregate: 'sum',
+        threshold: 'thresholds.cash.daily'
+      },
+      {
+        id: 'CASH_MONTHLY_AGGREGATE',
+        flag: 'CASH_MONTHLY_THRESHOLD',
+        description: 'Cash transactions in 30 days at or above the monthly threshold',
+        channel: 'cash',
+        window: 2592000,
+        aggregate: 'sum',
+        threshold: 'thresholds.cash.monthly'
+      },
+      {
+        id: 'WIRE_DAILY_AGGREGATE',
+        flag: 'WIRE_DAILY_THRESHOLD',
+        description: 'Wire transfers in 24 hours at or above the daily threshold',
+        channel: 'wire',
+        window: 86400,
+        aggregate: 'sum',
+        threshold: 'thresholds.wire.daily'
+      },
+      {
+        id: 'WIRE_MONTHLY_AGGREGATE',
+        flag: 'WIRE_MONTHLY_THRESHOLD',
+        description: 'Wire transfers in 30 days at or above the monthly threshold',
+        channel: 'wire',
+        window: 2592000,
+        aggregate: 'sum',
+        threshold: 'thresholds.wire.monthly'
+      },
+      {
+        id: 'STRUCTURED_CASH',
+        flag: 'STRUCTURING',
+        description: 'Repeated cash transactions just below the reporting threshold',
+        channel: 'cash',
+        window: 'thresholds.structured.timeWindow',
+        aggregate: 'count',
+        where: {
+          minAmount: { ref: 'thresholds.cash.single', times: 'thresholds.structured.pattern' },
+          belowAmount: 'thresholds.cash.single'
+        },
+        threshold: 'thresholds.structured.frequency'
+      },
+      {
+        id: 'RAPID_SUCCESSION',
+        flag: 'RAPID_TRANSACTIONS',
+        description: 'Many transactions in quick succession',
+        channel: 'any',
+        window: 'suspiciousPatterns.rapidSuccession.timeWindow',
+        aggregate: 'count',
+        threshold: 'suspiciousPatterns.rapidSuccession.count'
+      },
+      {
+        id: 'ROUND_NUMBER_FREQUENCY',
+        flag: 'ROUND_AMOUNTS',
+        description: 'Repeated round-number transactions in a day',
+        enabled: 'suspiciousPatterns.roundNumbers.enabled',
+        channel: 'any',
+        window: 86400,
+        aggregate: 'count',
+        where: {
+          minAmount: 'suspiciousPatterns.roundNumbers.threshold',
+          multipleOf: 'suspiciousPatterns.roundNumbers.threshold'
+        },
+        threshold: 'suspiciousPatterns.roundNumbers.frequency'
+      }
+    ]
   },
   
   customerRiskScoring: {
@@ -68,12 +164,19 @@ module.exports = {
       
       transactionBehavior: {
         weight: 0.30,
-        factors: ['volume', 'frequency', 'timing', 'counterparties']
+        factors: ['volume', 'frequency', 'timing', 'counterparties'],
+        lookbackDays: 30,             // Activity window the factors are measured over
+        expectedTransactions: 60,     // Transaction count in the window scored as fully risky
+        expectedCounterparties: 20,   // Distinct counterparties in the window scored as fully risky
+        businessHours: { start: '08:00', end: '20:00' }, // Outside these (or at weekends) counts as unusual timing
+        timeZone: 'Asia/Kolkata'      // Business hours and weekends are wall-clock times in this zone
       },
       
       relationship: {
         weight: 0.25,
-        factors: ['accountAge', 'productUsage', 'referralSource']
+        factors: ['accountAge', 'productUsage', 'referralSource'],
+        establishedAfterMonths: 36,   // Relationships older than this carry no account age risk
+        lowRiskReferralSources: ['existing_customer', 'employee', 'branch']
       }
     },
     
@@ -90,25 +193,29 @@ module.exports = {
       ofac: {
         enabled: true,
         updateFrequency: 86400, // Daily
-        matchThreshold: 0.85
+        matchThreshold: 0.85,
+        files: [] // e.g. [{ path: '/data/sanctions/sdn.xml' }] or sdn.csv with aliasFile: alt.csv
       },
       
       un: {
         enabled: true,
         updateFrequency: 86400,
-        matchThreshold: 0.85
+        matchThreshold: 0.85,
+        files: [] // e.g. [{ path: '/data/sanctions/consolidated.xml' }]
       },
       
       eu: {
         enabled: true,
         updateFrequency: 86400,
-        matchThreshold: 0.85
+        matchThreshold: 0.85,
+        files: []
       },
       
       local: {
         enabled: true,
         updateFrequency: 3600, // Hourly
-        matchThreshold: 0.90
+        matchThreshold: 0.90,
+        files: [] // CSV: id,name,type,aliases,programs,nationality,dateOfBirth
       }
     },
     
@@ -119,7 +226,10 @@ module.exports = {
       aliasMatch: true,
       
       fields: ['name', 'address', 'dateOfBirth', 'passport', 'nationalId']
-    }
+    },
+    
+    phoneticMatchScore: 0.90, // Score given to names with identical Soundex codes
+    maxHitsPerName: 10
   },
   
   reporting: {
@@ -144,14 +254,29 @@ module.exports = {
     },
     
     ctr: { // Cash Transaction Report
-      threshold: 1000000,
+      threshold: 1000000, // Reportable when a customer's cash for the day is more than this
+      reportingCurrency: 'INR', // Currency of the threshold; other currencies are converted when recorded
       timeLimit: 86400, // 24 hours
+      timeZone: 'Asia/Kolkata', // Calendar day transactions are aggregated over
       
       exemptions: [
         'government_entities',
         'listed_companies',
         'regulated_entities'
-      ]
+      ],
+      
+      // Filing identity, set per deployment from the FIU-IND registration
+      reportingEntity: {
+        name: 'SecureBank',
+        category: 'BAPVT',
+        registrationNumber: '',
+        fiuReId: ''
+      },
+      principalOfficer: {
+        name: '',
+        designation: 'Principal Officer',
+        email: 'compliance@securebank.com'
+      }
     },
     
     ccr: { // Cross-border Currency Report
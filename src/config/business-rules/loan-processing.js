@@ -45,12 +45,34 @@ module.exports = {
     }
   },
   
+  collateral: {
+    requiredFor: ['home', 'auto'],
+    // Valuations older than this cannot support underwriting
+    valuationValidityDays: {
+      property: 365,
+      vehicle: 365,
+      securities: 30,
+      fixedDeposit: 365
+    }
+  },
+  
+  // Co-applicants share liability and their income is combined with the
+  // primary applicant's; guarantors back the loan without adding income
+  parties: {
+    maximumCoApplicants: 3,
+    maximumGuarantors: 2,
+    coApplicantIncomeShare: 1.0, // Share of co-applicant income counted
+    borrowerCreditScore: 'lowest', // lowest, average or primary borrower score is underwritten
+    minimumGuarantorCreditScore: 700
+  },
+  
   interestRates: {
     base: {
       home: 8.5,
       auto: 9.0,
       personal: 12.0,
-      business: 10.5
+      business: 10.5,
+      education: 10.0
     },
     
     adjustments: {
@@ -65,8 +87,26 @@ module.exports = {
       },
       
       loanAmountPenalty: {
-        highAmount: 0.25  // +0.25% for loans > 50L
+        threshold: 5000000, // 50L
+        highAmount: 0.25    // +0.25% for loans above the threshold
       }
+    },
+    
+    // Floating-rate loans are priced as benchmark + product spread + the
+    // adjustments above. The spread is fixed at sanction and the rate resets
+    // with the benchmark every resetFrequencyMonths.
+    floating: {
+      loanTypes: ['home', 'business'], // Floating by default; other products are fixed only
+      benchmark: 'REPO',
+      benchmarks: {
+        REPO: { rate: 6.5, effectiveFrom: '2025-02-07' },
+        TBILL_3M: { rate: 6.6, effectiveFrom: '2025-02-01' }
+      },
+      spread: {
+        home: 2.5,
+        business: 4.5
+      },
+      resetFrequencyMonths: 3
     }
   },
   
@@ -99,6 +139,8 @@ module.exports = {
       existingCustomer: true
     },
     
+    // Scorecard: each factor scores 0-100 and the weighted sum is mapped to
+    // the decision matrix. Score maps are { minimum: points }, highest match wins.
     riskFactors: {
       creditScore: {
           weight: 0.35,
@@ -107,23 +149,43 @@ module.exports = {
             good: 750,
             fair: 650,
             poor: 600
+          },
+          points: {
+            excellent: 100,
+            good: 85,
+            fair: 65,
+            poor: 40,
+            belowPoor: 10
           }
       },
       
       income: {
         weight: 0.25,
-        stabilityFactors: ['employmentType', 'tenure', 'growth']
+        stabilityFactors: ['employmentType', 'tenure', 'growth'],
+        dtiCeiling: 0.60, // DTI scores 100 at zero, falling to 0 at this ratio
+        employmentType: { salaried: 100, government: 100, selfEmployed: 70, other: 50 },
+        tenure: { 36: 100, 12: 75, 0: 40 },  // months with the current employer
+        growth: { 0.05: 100, 0: 70, '-1': 30 } // year-on-year income growth
       },
       
       collateral: {
         weight: 0.20,
-        types: ['property', 'vehicle', 'securities', 'fixedDeposit']
+        types: ['property', 'vehicle', 'securities', 'fixedDeposit'],
+        // Coverage is collateral value over loan amount
+        coverage: { 1.5: 100, 1.25: 85, 1.0: 65, 0.5: 40, 0: 20 },
+        unsecuredScore: 50
       },
       
       relationship: {
         weight: 0.20,
-        factors: ['accountAge', 'transactionHistory', 'crossSelling']
-      }
+        factors: ['accountAge', 'transactionHistory', 'crossSelling'],
+        accountAge: { 36: 100, 12: 70, 0: 40 },          // months
+        transactionHistory: { 20: 100, 5: 70, 0: 40 },   // transactions a month
+        crossSelling: { 3: 100, 2: 70, 1: 40 }           // products held
+      },
+
+      // Score for a factor with no data to assess
+      neutralScore: 50
     },
     
     decisionMatrix: {
@@ -134,13 +196,166 @@ module.exports = {
       
       conditionalApproval: {
         minScore: 60,
-        conditions: ['additionalCollateral', 'guarantor', 'reducedAmount']
+        conditions: ['additionalCollateral', 'guarantor', 'reducedAmount'],
+        // Condition asked for when no specific shortfall explains the score
+        factorConditions: {
+          creditScore: 'guarantor',
+          income: 'reducedAmount',
+          collateral: 'additionalCollateral',
+          relationship: 'guarantor'
+        },
+        reducedAmountRatio: 0.8,
+        additionalCollateralCoverage: 1.25
       },
       
+      // Scores between reject.maxScore and conditionalApproval.minScore are
+      // referred to an officer
       reject: {
         maxScore: 40,
         conditions: ['creditScore < 600', 'dti > 0.60', 'fraudAlert']
       }
+    },
+    
+    // Reason codes on declined applications. Failed rules are cited most
+    // severe first; a scorecard rejection cites the factors scoring below
+    // weakFactorScore.
+    adverseAction: {
+      maximumReasons: 4,
+      weakFactorScore: 60,
+      creditReportRequestDays: 60
+    }
+  },
+  
+  servicing: {
+    // Tenure used when the applicant does not ask for one (capped at limits.maximumTenure)
+    defaultTenure: {
+      personal: 60,  // months
+      home: 240,     // months
+      auto: 60,      // months
+      business: 84   // months
+    },
+    
+    // Repayments settle each installment oldest first, in this order
+    appropriationOrder: ['penalty', 'interest', 'principal'],
+    
+    penalCharges: {
+      ratePerAnnum: 24, // % on the unpaid EMI amount, per day overdue
+      graceDays: 3      // No penal charges when paid within this many days of the due date
+    },
+    
+    // Part-prepayments take effect from the next installment; the charge is a
+    // share of the amount prepaid. Floating-rate loans carry no charges.
+    prepayment: {
+      minimumAmount: {
+        personal: 10000,
+        home: 50000,
+        auto: 10000,
+        business: 50000
+      },
+      charges: {
+        personal: 0.02,
+        home: 0.01,
+        auto: 0.02,
+        business: 0.02
+      },
+      exemptRateTypes: ['FLOATING']
+    },
+    
+    // Foreclosure charges are a share of the principal outstanding
+    foreclosure: {
+      lockInMonths: {
+        personal: 12,
+        home: 0,
+        auto: 6,
+        business: 12
+      },
+      charges: {
+        personal: 0.04,
+        home: 0.02,
+        auto: 0.05,
+        business: 0.03
+      },
+      exemptRateTypes: ['FLOATING']
+    },
+    
+    // Interest over a moratorium is capitalized into the principal
+    restructuring: {
+      maximumExtensionMonths: 24,
+      maximumMoratoriumMonths: 6,
+      maximumRestructures: 1
+    }
+  },
+  
+  // Asset classification per the RBI prudential norms on income recognition,
+  // asset classification and provisioning (IRACP)
+  delinquency: {
+    // Special Mention Accounts by days past due; loans past npaDays are NPAs
+    buckets: {
+      SMA_0: { minDays: 1, maxDays: 30 },
+      SMA_1: { minDays: 31, maxDays: 60 },
+      SMA_2: { minDays: 61, maxDays: 90 }
+    },
+    npaDays: 90,
+    
+    // NPA sub-classification by months since the loan became an NPA
+    assetClassification: {
+      substandardMonths: 12, // Substandard for the first 12 months
+      doubtful1Months: 24,   // Doubtful up to 1 year
+      doubtful2Months: 48    // Doubtful 1-3 years; Doubtful-3 beyond
+    },
+    
+    // Provision as a fraction of the principal outstanding
+    provisioning: {
+      standard: 0.004,
+      substandard: 0.15,
+      doubtful1: 0.25,
+      doubtful2: 0.40,
+      doubtful3: 1.0,
+      // Loans with no security are provided for at higher rates
+      unsecuredLoanTypes: ['personal'],
+      unsecured: {
+        substandard: 0.25,
+        doubtful1: 1.0,
+        doubtful2: 1.0,
+        doubtful3: 1.0
+      }
+    },
+    
+    // Collection reminders by bucket, repeated while the loan stays in it
+    reminders: {
+      channels: {
+        SMA_0: ['sms'],
+        SMA_1: ['sms', 'email'],
+        SMA_2: ['sms', 'email'],
+        NPA: ['email']
+      },
+      repeatDays: 7
+    },
+    
+    // Portfolio-at-risk is reported for loans more than this many days past due
+    parThresholds: [1, 30, 60, 90],
+    
+    // The delinquency job runs at startup and then on this interval
+    runIntervalHours: 24
+  },
+  
+  disbursement: {
+    currency: 'INR',
+    requireOfficerSignOff: true,
+    
+    // Deducted from the first disbursement: rate x sanctioned amount, within minimum and maximum
+    processingFee: {
+      personal: { rate: 0.02, minimum: 1000, maximum: 25000 },
+      home: { rate: 0.005, minimum: 5000, maximum: 50000 },
+      auto: { rate: 0.01, minimum: 2500, maximum: 20000 },
+      business: { rate: 0.015, minimum: 10000, maximum: 100000 }
+    },
+    
+    // Construction-linked release of the sanctioned amount in stages
+    tranches: {
+      loanTypes: ['home'],
+      maximumTranches: 5,
+      minimumTrancheAmount: 100000
     }
   },
   
@@ -177,6 +392,23 @@ module.exports = {
         business: ['businessLoanOfficer'],
         highValue: ['seniorOfficer'] // > 10L
       }
+    },
+    
+    // Officer task SLAs. The due date comes from the first band the task
+    // priority reaches. Officers are warned warningHours before a task is due;
+    // overdue tasks are reassigned to another officer up to maximumReassignments
+    // times and then escalated to the officer's supervisor.
+    sla: {
+      priorityBands: [
+        { minimumPriority: 80, days: 2 },
+        { minimumPriority: 60, days: 4 },
+        { minimumPriority: 40, days: 7 },
+        { minimumPriority: 0, days: 10 }
+      ],
+      warningHours: 24,
+      overdueAction: 'reassign', // 'reassign' or 'escalate'
+      maximumReassignments: 1,
+      monitorIntervalMinutes: 15
     }
   }
 };
\ No newline at end of file
@@ -64,7 +64,72 @@ module.exports = {
       }
     }
   },
-  
+
+  settlementCalendar: {
+    // Rail windows and cut-offs in validation.timing are wall-clock times here
+    timeZone: 'Asia/Kolkata',
+    nonWorkingSaturdays: [2, 4], // 2nd and 4th Saturday of the month
+    // Settlement holidays by year (YYYY-MM-DD); more years can be loaded at runtime
+    holidays: {
+      2026: ['2026-01-26', '2026-08-15', '2026-10-02', '2026-12-25']
+    },
+    maximumLookaheadDays: 31,
+    warehouseReleaseIntervalMinutes: 15 // How often payments held outside their window are checked for release
+  },
+
+  iso20022: {
+    // Our agent in the messages we send to SWIFT and RTGS
+    instructingAgent: {
+      bic: 'BPAUINBBXXX',
+      clearingSystemMemberId: 'BPAU0000001',
+      name: 'Banking Process Automation Bank'
+    },
+    chargeBearer: 'SHAR',
+    settlementMethod: 'CLRG'
+  },
+
+  bulkPayments: {
+    paymentTypes: ['SALARY_PAYMENT', 'VENDOR_PAYMENT'],
+    rails: ['NEFT', 'RTGS', 'IMPS'], // Rows may name one; otherwise the rail selector picks
+    maximumRows: 5000,
+    maximumFileSize: 5 * 1024 * 1024, // 5 MB
+
+    // Header names accepted for each CSV/Excel column, compared ignoring case and punctuation
+    columns: {
+      beneficiaryName: ['beneficiary name', 'name', 'employee name', 'vendor name'],
+      accountNumber: ['account number', 'account no', 'beneficiary account'],
+      ifscCode: ['ifsc', 'ifsc code'],
+      amount: ['amount'],
+      reference: ['reference', 'narration', 'remarks'],
+      paymentMode: ['payment mode', 'rail']
+    },
+
+    // NACH credit file: one header record, then one record per beneficiary.
+    // Fields are [start, length] with 1-based positions; amounts are in paise.
+    nach: {
+      header: {
+        recordType: '12',
+        fields: { userName: [3, 40], totalItems: [43, 9], totalAmount: [52, 13] }
+      },
+      detail: {
+        recordType: '22',
+        fields: { ifscCode: [3, 11], accountNumber: [14, 35], beneficiaryName: [49, 40], amount: [89, 13], reference: [102, 30] }
+      }
+    }
+  },
+
+  standingInstructions: {
+    // Scheduled dates are calendar days in settlementCalendar.timeZone
+    reminderDaysBefore: 1,
+    reminderChannels: ['email', 'sms'],
+    insufficientFunds: {
+      retryAttempts: 2,      // Further attempts before the occurrence fails
+      retryIntervalHours: 4
+    },
+    pauseAfterConsecutiveFailures: 3,
+    runIntervalMinutes: 60
+  },
+
   routing: {
     domestic: {
       rtgs: {
@@ -186,6 +251,10 @@ module.exports = {
         premium: 50000000,   // ₹5Cr monthly for premium
         corporate: 1000000000 // ₹100Cr monthly for corporate
       }
+    },
+
+    withdrawal: {
+      perTransaction: 50000 // ₹50K per cash withdrawal
     }
   },
   
@@ -199,7 +268,8 @@ module.exports = {
       'NETWORK_TIMEOUT',
       'SERVICE_UNAVAILABLE',
       'TEMPORARY_FAILURE',
-      'RATE_LIMIT_EXCEEDED'
+      'RATE_LIMIT_EXCEEDED',
+      'CONNECTION_ERROR'
     ],
     
     nonRetryableErrors: [
@@ -289,13 +289,16 @@ class ConfigurationManager {
   }
 
   /**
-   * Reload configuration (useful for hot reloading in development)
+   * Reload configuration (useful for hot reloading in development). Modules
+   * read business rules through getBusinessRule() each time they use them
+   * rather than caching them, so a reload takes effect without a restart.
    */
   reload() {
-    // Clear require cache for configuration files
+    // Clear require cache for configuration files. This module is kept so
+    // later require('../config') calls still resolve to this singleton.
     const configDir = __dirname;
     Object.keys(require.cache).forEach(key => {
-      if (key.startsWith(configDir)) {
+      if (key.startsWith(configDir) && key !== __filename) {
         delete require.cache[key];
       }
     });
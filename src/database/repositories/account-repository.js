@@ -0,0 +1,163 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Account Repository
+ * Persists customers and their accounts
+ */
+class AccountRepository extends BaseRepository {
+  /**
+   * Save a newly opened account together with its customer in one transaction
+   * @param {Account} account - Account to save
+   * @param {Customer} customer - Account holder
+   * @returns {Promise<Object>} Saved account
+   */
+  async saveWithCustomer(account, customer) {
+    return await this.db.transaction(async (tx) => {
+      await this.saveCustomer(customer, tx);
+      return await this.saveAccount(account, tx);
+    });
+  }
+
+  /**
+   * Insert or update a customer
+   * @param {Customer} customer - Customer to save
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved customer
+   */
+  async saveCustomer(customer, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO customers (id, personal_info, identity_documents, kyc_status, risk_profile, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (id) DO UPDATE SET
+        personal_info = EXCLUDED.personal_info,
+        identity_documents = EXCLUDED.identity_documents,
+        kyc_status = EXCLUDED.kyc_status,
+        risk_profile = EXCLUDED.risk_profile
+      RETURNING *
+    `, [
+      customer.customerId,
+      this.toJson(customer.personalInfo),
+      this.toJson(customer.identityDocuments || []),
+      customer.kycStatus,
+      this.toJson(customer.riskProfile),
+      customer.createdAt || new Date()
+    ]);
+
+    return this.mapCustomer(row);
+  }
+
+  /**
+   * Insert or update an account. The balance is only written when the
+   * account is opened: after that the ledger keeps it in sync with postings.
+   * @param {Account} account - Account to save
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved account
+   */
+  async saveAccount(account, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO accounts (id, customer_id, account_number, account_type, status, balance, currency, opening_date, closing_date)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        closing_date = EXCLUDED.closing_date
+      RETURNING *
+    `, [
+      account.accountId,
+      account.customerId,
+      account.accountNumber,
+      account.accountType,
+      account.status,
+      account.balance,
+      account.currency,
+      account.openingDate,
+      account.closingDate
+    ]);
+
+    return this.mapAccount(row);
+  }
+
+  /**
+   * Find account by ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} Account
+   */
+  async findById(accountId) {
+    const row = await this.db.queryOne('SELECT * FROM accounts WHERE id = $1', [accountId]);
+    return row ? this.mapAccount(row) : null;
+  }
+
+  /**
+   * Find account by account number
+   * @param {string} accountNumber - Account number
+   * @returns {Promise<Object|null>} Account
+   */
+  async findByAccountNumber(accountNumber) {
+    const row = await this.db.queryOne('SELECT * FROM accounts WHERE account_number = $1', [accountNumber]);
+    return row ? this.mapAccount(row) : null;
+  }
+
+  /**
+   * Find all accounts held by a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Accounts
+   */
+  async findByCustomerId(customerId) {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM accounts WHERE customer_id = $1 ORDER BY opening_date',
+      [customerId]
+    );
+    return rows.map(row => this.mapAccount(row));
+  }
+
+  /**
+   * Find customer by ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Customer
+   */
+  async findCustomerById(customerId) {
+    const row = await this.db.queryOne('SELECT * FROM customers WHERE id = $1', [customerId]);
+    return row ? this.mapCustomer(row) : null;
+  }
+
+  /**
+   * Update account status
+   * @param {string} accountId - Account ID
+   * @param {string} status - New status
+   * @returns {Promise<Object|null>} Updated account
+   */
+  async updateStatus(accountId, status) {
+    const row = await this.db.queryOne(
+      'UPDATE accounts SET status = $2 WHERE id = $1 RETURNING *',
+      [accountId, status]
+    );
+    return row ? this.mapAccount(row) : null;
+  }
+
+  mapAccount(row) {
+    return {
+      accountId: row.id,
+      customerId: row.customer_id,
+      accountNumber: row.account_number,
+      accountType: row.account_type,
+      status: row.status,
+      balance: this.toNumber(row.balance),
+      currency: row.currency,
+      openingDate: row.opening_date,
+      closingDate: row.closing_date
+    };
+  }
+
+  mapCustomer(row) {
+    return {
+      customerId: row.id,
+      personalInfo: row.personal_info,
+      identityDocuments: row.identity_documents || [],
+      kycStatus: row.kyc_status,
+      riskProfile: row.risk_profile,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = AccountRepository;
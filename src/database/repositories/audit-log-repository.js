@@ -0,0 +1,131 @@
+const BaseRepository = require('./base-repository');
+
+// Advisory lock key held while appending, so only one writer extends the chain at a time
+const AUDIT_CHAIN_LOCK_ID = 720001;
+
+/**
+ * Audit Log Repository
+ * Appends to and reads the hash-chained audit_logs table
+ */
+class AuditLogRepository extends BaseRepository {
+  /**
+   * Append an entry to the end of the chain. The current head is read under
+   * an advisory lock and handed to seal(), which sets sequenceNumber,
+   * previousHash and hash on the entry before it is inserted.
+   * @param {AuditLog} auditLog - Entry to append
+   * @param {Function} seal - (previous: { sequenceNumber, hash } | null) => AuditLog
+   * @returns {Promise<Object>} Saved entry
+   */
+  async append(auditLog, seal) {
+    return this.db.transaction(async (tx) => {
+      await tx.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK_ID]);
+
+      const head = await tx.queryOne(
+        'SELECT sequence_number, hash FROM audit_logs ORDER BY sequence_number DESC LIMIT 1'
+      );
+      seal(head ? { sequenceNumber: Number(head.sequence_number), hash: head.hash } : null);
+
+      const row = await tx.queryOne(`
+        INSERT INTO audit_logs (sequence_number, log_id, entity_type, entity_id, action, performed_by, timestamp, before_state, after_state, metadata, previous_hash, hash)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *
+      `, [
+        auditLog.sequenceNumber,
+        auditLog.logId,
+        auditLog.entityType,
+        auditLog.entityId,
+        auditLog.action,
+        auditLog.performedBy,
+        auditLog.timestamp,
+        this.toJson(auditLog.beforeState),
+        this.toJson(auditLog.afterState),
+        this.toJson(auditLog.metadata || {}),
+        auditLog.previousHash,
+        auditLog.hash
+      ]);
+
+      return this.mapRow(row);
+    });
+  }
+
+  /**
+   * Read a slice of the chain in sequence order
+   * @param {number} afterSequence - Return entries after this sequence number
+   * @param {number} limit - Maximum entries to return
+   * @returns {Promise<Array>} Entries
+   */
+  async findChain(afterSequence = 0, limit = 500) {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM audit_logs WHERE sequence_number > $1 ORDER BY sequence_number LIMIT $2',
+      [afterSequence, limit]
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Find the audit trail of one entity, oldest first
+   * @param {string} entityType - Type of entity
+   * @param {string} entityId - ID of the entity
+   * @returns {Promise<Array>} Entries
+   */
+  async findByEntity(entityType, entityId) {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM audit_logs WHERE entity_type = $1 AND entity_id = $2 ORDER BY sequence_number',
+      [entityType, entityId]
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Find entries matching filters, newest first
+   * @param {Object} filters - { entityType, action, performedBy, startDate, endDate }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Entries
+   */
+  async findAll(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      entityType: 'entity_type',
+      action: 'action',
+      performedBy: 'performed_by'
+    });
+    const conditions = clause ? [clause.replace(/^WHERE /, '')] : [];
+
+    if (filters.startDate) {
+      params.push(filters.startDate);
+      conditions.push(`timestamp >= $${params.length}`);
+    }
+    if (filters.endDate) {
+      params.push(filters.endDate);
+      conditions.push(`timestamp <= $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM audit_logs ${where} ORDER BY sequence_number DESC ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      sequenceNumber: Number(row.sequence_number),
+      logId: row.log_id,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      action: row.action,
+      performedBy: row.performed_by,
+      timestamp: row.timestamp,
+      beforeState: row.before_state,
+      afterState: row.after_state,
+      metadata: row.metadata || {},
+      previousHash: row.previous_hash,
+      hash: row.hash
+    };
+  }
+}
+
+module.exports = AuditLogRepository;
@@ -0,0 +1,88 @@
+const dbConnection = require('../connection');
+
+/**
+ * Base Repository
+ * Shared helpers for mapping domain objects to PostgreSQL rows
+ */
+class BaseRepository {
+  constructor(db = dbConnection) {
+    this.db = db;
+  }
+
+  /**
+   * Resolve the query executor - a transaction handle when given, otherwise the pool
+   * @param {Object} tx - Optional transaction from DatabaseConnection.beginTransaction()
+   * @returns {Object} Object exposing query/queryOne/queryMany
+   */
+  executor(tx) {
+    return tx || this.db;
+  }
+
+  /**
+   * Serialize a value for a JSONB column. Buffers (uploaded document
+   * contents) are dropped - only their metadata is persisted.
+   * @param {*} value - Value to serialize
+   * @returns {string|null} JSON string
+   */
+  toJson(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    return JSON.stringify(value, function (key, current) {
+      const original = this[key];
+      if (Buffer.isBuffer(original)) {
+        return undefined;
+      }
+      if (original instanceof Map) {
+        return Object.fromEntries(original);
+      }
+      return current;
+    });
+  }
+
+  /**
+   * Convert a DECIMAL column (returned by pg as a string) to a number
+   * @param {string|number|null} value - Column value
+   * @returns {number|null} Numeric value
+   */
+  toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  /**
+   * Build a WHERE clause from equality filters
+   * @param {Object} filters - Field values keyed by filter name
+   * @param {Object} columns - Column names keyed by filter name
+   * @returns {Object} { clause, params }
+   */
+  buildWhere(filters, columns) {
+    const conditions = [];
+    const params = [];
+
+    Object.entries(columns).forEach(([filter, column]) => {
+      if (filters[filter] !== undefined && filters[filter] !== null) {
+        params.push(filters[filter]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    });
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Append LIMIT/OFFSET parameters
+   * @param {Array} params - Existing query parameters (mutated)
+   * @param {Object} options - { limit, offset }
+   * @returns {string} LIMIT/OFFSET clause
+   */
+  buildPagination(params, options = {}) {
+    params.push(options.limit || 100, options.offset || 0);
+    return `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  }
+}
+
+module.exports = BaseRepository;
@@ -0,0 +1,74 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Cash Transaction Repository
+ * Persists the cash transactions CTR filings are aggregated from
+ */
+class CashTransactionRepository extends BaseRepository {
+  /**
+   * Insert a cash transaction; recording the same transaction again keeps the first row
+   * @param {Object} cashTransaction - Recorded transaction from CTRGenerator
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object|null>} Saved cash transaction, or null if it was already recorded
+   */
+  async save(cashTransaction, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO cash_transactions (transaction_id, account_id, customer_id, customer, amount, currency, reporting_amount, reporting_currency, exchange_rate, transaction_type, debit_credit, occurred_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (transaction_id) DO NOTHING
+      RETURNING *
+    `, [
+      cashTransaction.transactionId,
+      cashTransaction.accountId,
+      cashTransaction.customerId,
+      this.toJson(cashTransaction.customer || {}),
+      cashTransaction.amount,
+      cashTransaction.currency,
+      cashTransaction.reportingAmount,
+      cashTransaction.reportingCurrency,
+      cashTransaction.exchangeRate,
+      cashTransaction.transactionType,
+      cashTransaction.debitCredit,
+      cashTransaction.timestamp
+    ]);
+
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find cash transactions in a period, oldest first
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Array>} Cash transactions
+   */
+  async findByPeriod(startDate, endDate) {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM cash_transactions WHERE occurred_at BETWEEN $1 AND $2 ORDER BY occurred_at',
+      [startDate, endDate]
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    const customer = row.customer || {};
+    return {
+      transactionId: row.transaction_id,
+      accountId: row.account_id,
+      customerId: row.customer_id,
+      customer: {
+        ...customer,
+        dateOfBirth: customer.dateOfBirth ? new Date(customer.dateOfBirth) : null
+      },
+      amount: this.toNumber(row.amount),
+      currency: row.currency,
+      reportingAmount: this.toNumber(row.reporting_amount),
+      reportingCurrency: row.reporting_currency,
+      exchangeRate: this.toNumber(row.exchange_rate),
+      transactionType: row.transaction_type,
+      debitCredit: row.debit_credit,
+      timestamp: new Date(row.occurred_at)
+    };
+  }
+}
+
+module.exports = CashTransactionRepository;
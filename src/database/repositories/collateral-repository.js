@@ -0,0 +1,106 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Collateral Repository
+ * Persists registered collateral with its valuation history and loan links
+ */
+class CollateralRepository extends BaseRepository {
+  /**
+   * Insert or update collateral
+   * @param {Object} collateral - Collateral from CollateralRegistry
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved collateral
+   */
+  async save(collateral, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO collateral (id, customer_id, collateral_type, description, details, currency, value, valuation_date, valued_by, valuations, status, application_id, loan_id, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      ON CONFLICT (id) DO UPDATE SET
+        description = EXCLUDED.description,
+        details = EXCLUDED.details,
+        value = EXCLUDED.value,
+        valuation_date = EXCLUDED.valuation_date,
+        valued_by = EXCLUDED.valued_by,
+        valuations = EXCLUDED.valuations,
+        status = EXCLUDED.status,
+        application_id = EXCLUDED.application_id,
+        loan_id = EXCLUDED.loan_id,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `, [
+      collateral.collateralId,
+      collateral.customerId,
+      collateral.type,
+      collateral.description,
+      this.toJson(collateral.details || {}),
+      collateral.currency,
+      collateral.value,
+      collateral.valuationDate,
+      collateral.valuedBy,
+      this.toJson(collateral.valuations || []),
+      collateral.status,
+      collateral.applicationId,
+      collateral.loanId,
+      collateral.createdAt || new Date(),
+      collateral.updatedAt || new Date()
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find collateral by ID
+   * @param {string} collateralId - Collateral ID
+   * @returns {Promise<Object|null>} Collateral
+   */
+  async findById(collateralId) {
+    const row = await this.db.queryOne('SELECT * FROM collateral WHERE id = $1', [collateralId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find collateral matching filters, oldest first
+   * @param {Object} filters - { customerId, applicationId, loanId, status, type }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Collateral
+   */
+  async findAll(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      customerId: 'customer_id',
+      applicationId: 'application_id',
+      loanId: 'loan_id',
+      status: 'status',
+      type: 'collateral_type'
+    });
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM collateral ${clause} ORDER BY created_at ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      collateralId: row.id,
+      customerId: row.customer_id,
+      type: row.collateral_type,
+      description: row.description,
+      details: row.details || {},
+      currency: row.currency,
+      value: this.toNumber(row.value),
+      valuationDate: row.valuation_date,
+      valuedBy: row.valued_by,
+      valuations: row.valuations || [],
+      status: row.status,
+      applicationId: row.application_id,
+      loanId: row.loan_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = CollateralRepository;
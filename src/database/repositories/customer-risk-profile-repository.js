@@ -0,0 +1,150 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Customer Risk Profile Repository
+ * Persists customer risk ratings; every change is kept as history
+ */
+class CustomerRiskProfileRepository extends BaseRepository {
+  /**
+   * Insert a risk profile
+   * @param {Object} profile - Profile from CustomerRiskProfiler
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved profile
+   */
+  async save(profile, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO customer_risk_profiles (id, customer_id, score, category, monitoring, factors, trigger, previous_category, review_frequency_months, last_reviewed_at, next_review_date, calculated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      profile.profileId,
+      profile.customerId,
+      profile.score,
+      profile.category,
+      profile.monitoring,
+      this.toJson(profile.factors || {}),
+      profile.trigger,
+      profile.previousCategory,
+      profile.reviewFrequencyMonths,
+      profile.lastReviewedAt,
+      profile.nextReviewDate,
+      profile.calculatedAt
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find a customer's current profile
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Latest profile
+   */
+  async findLatest(customerId) {
+    const row = await this.db.queryOne(
+      'SELECT * FROM customer_risk_profiles WHERE customer_id = $1 ORDER BY calculated_at DESC LIMIT 1',
+      [customerId]
+    );
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find a customer's rating history, oldest first
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Profiles
+   */
+  async findHistory(customerId, options = {}) {
+    const params = [customerId];
+    const pagination = this.buildPagination(params, options);
+    const rows = await this.db.queryMany(
+      `SELECT * FROM customer_risk_profiles WHERE customer_id = $1 ORDER BY calculated_at ${pagination}`,
+      params
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Find current profiles whose next KYC review is due, most overdue first
+   * @param {Date} asOf - Reference date
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Profiles
+   */
+  async findDueForReview(asOf, options = {}) {
+    const params = [asOf];
+    const pagination = this.buildPagination(params, options);
+    const rows = await this.db.queryMany(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (customer_id) * FROM customer_risk_profiles
+        ORDER BY customer_id, calculated_at DESC
+      ) latest
+      WHERE next_review_date <= $1
+      ORDER BY next_review_date ${pagination}
+    `, params);
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Store a customer's behaviour window and pre-rating KYC review date
+   * @param {string} customerId - Customer ID
+   * @param {Object} activity - { transactions, reviewedBeforeRatingAt }
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved activity
+   */
+  async saveActivity(customerId, activity, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO customer_risk_activity (customer_id, transactions, reviewed_before_rating_at, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (customer_id) DO UPDATE SET
+        transactions = EXCLUDED.transactions,
+        reviewed_before_rating_at = EXCLUDED.reviewed_before_rating_at,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      customerId,
+      this.toJson(activity.transactions || []),
+      activity.reviewedBeforeRatingAt || null
+    ]);
+
+    return this.mapActivityRow(row);
+  }
+
+  /**
+   * Find a customer's behaviour window and pre-rating KYC review date
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} { transactions, reviewedBeforeRatingAt }
+   */
+  async findActivity(customerId) {
+    const row = await this.db.queryOne(
+      'SELECT * FROM customer_risk_activity WHERE customer_id = $1',
+      [customerId]
+    );
+    return row ? this.mapActivityRow(row) : null;
+  }
+
+  mapActivityRow(row) {
+    return {
+      customerId: row.customer_id,
+      transactions: (row.transactions || []).map(entry => ({ ...entry, timestamp: new Date(entry.timestamp) })),
+      reviewedBeforeRatingAt: row.reviewed_before_rating_at ? new Date(row.reviewed_before_rating_at) : null
+    };
+  }
+
+  mapRow(row) {
+    return {
+      profileId: row.id,
+      customerId: row.customer_id,
+      score: row.score,
+      category: row.category,
+      monitoring: row.monitoring,
+      factors: row.factors || {},
+      trigger: row.trigger,
+      previousCategory: row.previous_category,
+      reviewFrequencyMonths: row.review_frequency_months,
+      lastReviewedAt: row.last_reviewed_at,
+      nextReviewDate: row.next_review_date,
+      calculatedAt: row.calculated_at
+    };
+  }
+}
+
+module.exports = CustomerRiskProfileRepository;
@@ -0,0 +1,103 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Exception Repository
+ * Persists the manual review queue for problematic transactions
+ */
+class ExceptionRepository extends BaseRepository {
+  /**
+   * Insert or update an exception
+   * @param {Object} exception - Exception from ExceptionHandler
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved exception
+   */
+  async save(exception, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO transaction_exceptions (id, transaction_id, exception_type, reason, metadata, status, assigned_reviewer, resolution, flagged_at, reviewed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        assigned_reviewer = EXCLUDED.assigned_reviewer,
+        resolution = EXCLUDED.resolution,
+        reviewed_at = EXCLUDED.reviewed_at
+      RETURNING *
+    `, [
+      exception.exceptionId,
+      exception.transactionId,
+      exception.exceptionType,
+      exception.reason,
+      this.toJson(exception.metadata),
+      exception.status,
+      exception.assignedReviewer,
+      this.toJson(exception.resolution),
+      exception.flaggedAt,
+      exception.reviewedAt
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find exception by ID
+   * @param {string} exceptionId - Exception ID
+   * @returns {Promise<Object|null>} Exception
+   */
+  async findById(exceptionId) {
+    const row = await this.db.queryOne('SELECT * FROM transaction_exceptions WHERE id = $1', [exceptionId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find exceptions that have not been resolved, oldest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Open exceptions
+   */
+  async findOpen(options = {}) {
+    const params = ['RESOLVED'];
+    const pagination = this.buildPagination(params, options);
+    const rows = await this.db.queryMany(
+      `SELECT * FROM transaction_exceptions WHERE status <> $1 ORDER BY flagged_at ${pagination}`,
+      params
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Find exceptions matching filters, newest first
+   * @param {Object} filters - { transactionId, status, exceptionType }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Exceptions
+   */
+  async findAll(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      transactionId: 'transaction_id',
+      status: 'status',
+      exceptionType: 'exception_type'
+    });
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM transaction_exceptions ${clause} ORDER BY flagged_at DESC ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      exceptionId: row.id,
+      transactionId: row.transaction_id,
+      exceptionType: row.exception_type,
+      reason: row.reason,
+      metadata: row.metadata || {},
+      flaggedAt: row.flagged_at,
+      status: row.status,
+      assignedReviewer: row.assigned_reviewer,
+      reviewedAt: row.reviewed_at,
+      resolution: row.resolution
+    };
+  }
+}
+
+module.exports = ExceptionRepository;
@@ -0,0 +1,104 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Idempotency Key Repository
+ * Persists the first response for each Idempotency-Key
+ */
+class IdempotencyKeyRepository extends BaseRepository {
+  /**
+   * Claim a key. Expired keys are replaced; an unexpired existing key is
+   * returned untouched.
+   * @param {Object} record - { scope, key, requestHash, createdAt, expiresAt }
+   * @returns {Promise<Object|null>} Existing record, or null if the key was claimed
+   */
+  async reserve(record) {
+    const inserted = await this.db.queryOne(`
+      INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (scope, idempotency_key) DO UPDATE SET
+        request_hash = EXCLUDED.request_hash,
+        status_code = NULL,
+        response_body = NULL,
+        created_at = EXCLUDED.created_at,
+        completed_at = NULL,
+        expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at <= EXCLUDED.created_at
+      RETURNING *
+    `, [record.scope, record.key, record.requestHash, record.createdAt, record.expiresAt]);
+
+    if (inserted) {
+      return null;
+    }
+
+    return this.findByKey(record.scope, record.key);
+  }
+
+  /**
+   * Find a stored key
+   * @param {string} scope - Route and caller scope
+   * @param {string} key - Idempotency-Key
+   * @returns {Promise<Object|null>} Record
+   */
+  async findByKey(scope, key) {
+    const row = await this.db.queryOne(
+      'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+      [scope, key]
+    );
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Store the response for a claimed key
+   * @param {string} scope - Route and caller scope
+   * @param {string} key - Idempotency-Key
+   * @param {number} statusCode - HTTP status
+   * @param {Object} responseBody - JSON response body
+   * @param {Date} completedAt - Completion time
+   * @returns {Promise<void>}
+   */
+  async complete(scope, key, statusCode, responseBody, completedAt) {
+    await this.db.query(`
+      UPDATE idempotency_keys
+      SET status_code = $3, response_body = $4, completed_at = $5
+      WHERE scope = $1 AND idempotency_key = $2
+    `, [scope, key, statusCode, this.toJson(responseBody), completedAt]);
+  }
+
+  /**
+   * Remove a key
+   * @param {string} scope - Route and caller scope
+   * @param {string} key - Idempotency-Key
+   * @returns {Promise<void>}
+   */
+  async delete(scope, key) {
+    await this.db.query(
+      'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+      [scope, key]
+    );
+  }
+
+  /**
+   * Remove keys past their expiry
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async deleteExpired(now) {
+    const result = await this.db.query('DELETE FROM idempotency_keys WHERE expires_at <= $1', [now]);
+    return result.rowCount || 0;
+  }
+
+  mapRow(row) {
+    return {
+      scope: row.scope,
+      key: row.idempotency_key,
+      requestHash: row.request_hash,
+      statusCode: row.status_code,
+      responseBody: row.response_body,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
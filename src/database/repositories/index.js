@@ -0,0 +1,67 @@
+// Repository layer - PostgreSQL persistence for banking domain state
+
+const dbConnection = require('../connection');
+const BaseRepository = require('./base-repository');
+const AccountRepository = require('./account-repository');
+const TransactionRepository = require('./transaction-repository');
+const LoanApplicationRepository = require('./loan-application-repository');
+const KYCRepository = require('./kyc-repository');
+const SARRepository = require('./sar-repository');
+const ExceptionRepository = require('./exception-repository');
+const AuditLogRepository = require('./audit-log-repository');
+const IdempotencyKeyRepository = require('./idempotency-key-repository');
+const SanctionReviewRepository = require('./sanction-review-repository');
+const CustomerRiskProfileRepository = require('./customer-risk-profile-repository');
+const LoanAccountRepository = require('./loan-account-repository');
+const CollateralRepository = require('./collateral-repository');
+const CashTransactionRepository = require('./cash-transaction-repository');
+const WarehousedPaymentRepository = require('./warehoused-payment-repository');
+const StandingInstructionRepository = require('./standing-instruction-repository');
+const LedgerRepository = require('./ledger-repository');
+
+/**
+ * Create one instance of every repository sharing a connection
+ * @param {Object} db - DatabaseConnection (defaults to the singleton)
+ * @returns {Object} Repositories keyed by domain
+ */
+function createRepositories(db = dbConnection) {
+  return {
+    accounts: new AccountRepository(db),
+    transactions: new TransactionRepository(db),
+    loanApplications: new LoanApplicationRepository(db),
+    kyc: new KYCRepository(db),
+    sars: new SARRepository(db),
+    exceptions: new ExceptionRepository(db),
+    auditLogs: new AuditLogRepository(db),
+    idempotencyKeys: new IdempotencyKeyRepository(db),
+    sanctionReviews: new SanctionReviewRepository(db),
+    customerRiskProfiles: new CustomerRiskProfileRepository(db),
+    loanAccounts: new LoanAccountRepository(db),
+    collateral: new CollateralRepository(db),
+    cashTransactions: new CashTransactionRepository(db),
+    warehousedPayments: new WarehousedPaymentRepository(db),
+    standingInstructions: new StandingInstructionRepository(db),
+    ledger: new LedgerRepository(db)
+  };
+}
+
+module.exports = {
+  BaseRepository,
+  AccountRepository,
+  TransactionRepository,
+  LoanApplicationRepository,
+  KYCRepository,
+  SARRepository,
+  ExceptionRepository,
+  AuditLogRepository,
+  IdempotencyKeyRepository,
+  SanctionReviewRepository,
+  CustomerRiskProfileRepository,
+  LoanAccountRepository,
+  CollateralRepository,
+  CashTransactionRepository,
+  WarehousedPaymentRepository,
+  StandingInstructionRepository,
+  LedgerRepository,
+  createRepositories
+};
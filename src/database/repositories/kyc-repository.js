@@ -0,0 +1,87 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * KYC Repository
+ * Persists the latest KYC record for each customer
+ */
+class KYCRepository extends BaseRepository {
+  /**
+   * Insert or replace a customer's KYC record
+   * @param {Object} kycRecord - KYC record from KYCModule
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(kycRecord, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO kyc_records (customer_id, status, customer_data, documents, verification_results, risk_assessment, final_decision, error, started_at, completed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (customer_id) DO UPDATE SET
+        status = EXCLUDED.status,
+        customer_data = EXCLUDED.customer_data,
+        documents = EXCLUDED.documents,
+        verification_results = EXCLUDED.verification_results,
+        risk_assessment = EXCLUDED.risk_assessment,
+        final_decision = EXCLUDED.final_decision,
+        error = EXCLUDED.error,
+        started_at = EXCLUDED.started_at,
+        completed_at = EXCLUDED.completed_at
+      RETURNING *
+    `, [
+      kycRecord.customerId,
+      kycRecord.status,
+      this.toJson(kycRecord.customerData),
+      this.toJson(kycRecord.documents || []),
+      this.toJson(kycRecord.verificationResults || []),
+      this.toJson(kycRecord.riskAssessment),
+      this.toJson(kycRecord.finalDecision),
+      kycRecord.error || null,
+      kycRecord.startedAt,
+      kycRecord.completedAt || null
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find KYC record by customer ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} KYC record
+   */
+  async findByCustomerId(customerId) {
+    const row = await this.db.queryOne('SELECT * FROM kyc_records WHERE customer_id = $1', [customerId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find KYC records by status
+   * @param {string} status - KYC status
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} KYC records
+   */
+  async findByStatus(status, options = {}) {
+    const params = [status];
+    const pagination = this.buildPagination(params, options);
+    const rows = await this.db.queryMany(
+      `SELECT * FROM kyc_records WHERE status = $1 ORDER BY started_at DESC ${pagination}`,
+      params
+    );
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      customerId: row.customer_id,
+      status: row.status,
+      customerData: row.customer_data,
+      documents: row.documents || [],
+      verificationResults: row.verification_results || [],
+      riskAssessment: row.risk_assessment,
+      finalDecision: row.final_decision,
+      error: row.error || undefined,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = KYCRepository;
@@ -0,0 +1,225 @@
+const BaseRepository = require('./base-repository');
+const { PostingDirection } = require('../../shared/types');
+
+/**
+ * Ledger Repository
+ * Persists ledger accounts, journal entries and their postings
+ */
+class LedgerRepository extends BaseRepository {
+  /**
+   * Save a posted journal entry and apply its postings to the stored account
+   * balances. Runs in its own transaction unless one is given, so callers can
+   * write the entry together with the record it was posted for.
+   * @param {Object} entry - Journal entry from LedgerService
+   * @param {Array} accounts - Snapshots of the ledger accounts the entry posts to
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<void>}
+   */
+  async saveJournalEntry(entry, accounts, tx = null) {
+    if (!tx) {
+      return await this.db.transaction(async (transaction) => this.saveJournalEntry(entry, accounts, transaction));
+    }
+
+    for (const account of accounts) {
+      await this.applyPostings(account, entry.postings.filter(posting => posting.accountId === account.accountId), tx);
+      await this.syncAccountBalance(account.accountId, tx);
+    }
+
+    await tx.query(`
+      INSERT INTO journal_entries (id, description, reference, currency, amount, metadata, reversal_of, posted_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      entry.entryId,
+      entry.description,
+      entry.reference,
+      entry.currency,
+      entry.amount,
+      this.toJson(entry.metadata || {}),
+      entry.reversalOf,
+      entry.postedAt
+    ]);
+
+    for (const [sequence, posting] of entry.postings.entries()) {
+      await tx.query(`
+        INSERT INTO ledger_postings (id, entry_id, sequence, account_id, direction, amount, balance_after, posted_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        posting.postingId,
+        entry.entryId,
+        sequence,
+        posting.accountId,
+        posting.direction,
+        posting.amount,
+        posting.balanceAfter,
+        posting.postedAt
+      ]);
+    }
+
+    if (entry.reversalOf) {
+      await tx.query('UPDATE journal_entries SET reversed_by = $1 WHERE id = $2', [entry.entryId, entry.reversalOf]);
+    }
+  }
+
+  /**
+   * Open a ledger account on its first posting, or add the postings to the
+   * stored balance and totals. The stored balance is changed by the postings
+   * rather than overwritten, so entries committed out of order still add up,
+   * and the balance check constraint rejects an overdraft.
+   * @param {Object} account - Ledger account snapshot
+   * @param {Array} postings - The entry's postings to this account
+   * @param {Object} tx - Transaction
+   * @returns {Promise<void>}
+   */
+  async applyPostings(account, postings, tx) {
+    // Summed in minor units, as the ledger does
+    let balanceChange = 0;
+    let debits = 0;
+    let credits = 0;
+
+    for (const posting of postings) {
+      const amountMinor = Math.round(posting.amount * 100);
+      balanceChange += posting.direction === account.normalSide ? amountMinor : -amountMinor;
+      if (posting.direction === PostingDirection.DEBIT) {
+        debits += amountMinor;
+      } else {
+        credits += amountMinor;
+      }
+    }
+
+    await tx.query(`
+      INSERT INTO ledger_accounts (id, name, account_type, currency, normal_side, allow_negative_balance, balance, total_debits, total_credits, metadata, opened_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (id) DO UPDATE SET
+        balance = ledger_accounts.balance + EXCLUDED.balance,
+        total_debits = ledger_accounts.total_debits + EXCLUDED.total_debits,
+        total_credits = ledger_accounts.total_credits + EXCLUDED.total_credits,
+        updated_at = EXCLUDED.updated_at
+    `, [
+      account.accountId,
+      account.name,
+      account.accountType,
+      account.currency,
+      account.normalSide,
+      account.allowNegativeBalance,
+      balanceChange / 100,
+      debits / 100,
+      credits / 100,
+      this.toJson(account.metadata || {}),
+      account.openedAt,
+      account.updatedAt
+    ]);
+  }
+
+  /**
+   * Copy a customer account's ledger balance to accounts.balance, so the
+   * stored account always shows the balance the ledger holds. A no-op for
+   * ledger accounts with no customer account (the system accounts).
+   * @param {string} accountId - Ledger account ID
+   * @param {Object} tx - Transaction
+   * @returns {Promise<void>}
+   */
+  async syncAccountBalance(accountId, tx) {
+    await tx.query(`
+      UPDATE accounts SET balance = ledger_accounts.balance
+      FROM ledger_accounts
+      WHERE ledger_accounts.id = $1 AND accounts.id::text = ledger_accounts.id
+    `, [accountId]);
+  }
+
+  /**
+   * Find a ledger account
+   * @param {string} accountId - Ledger account ID
+   * @returns {Promise<Object|null>} Ledger account
+   */
+  async findAccount(accountId) {
+    const row = await this.db.queryOne('SELECT * FROM ledger_accounts WHERE id = $1', [accountId]);
+    return row ? this.mapAccount(row) : null;
+  }
+
+  /**
+   * Find every ledger account
+   * @returns {Promise<Array>} Ledger accounts
+   */
+  async findAccounts() {
+    const rows = await this.db.queryMany('SELECT * FROM ledger_accounts ORDER BY opened_at');
+    return rows.map(row => this.mapAccount(row));
+  }
+
+  /**
+   * Find every journal entry with its postings, in posting order
+   * @returns {Promise<Array>} Journal entries
+   */
+  async findJournalEntries() {
+    const entryRows = await this.db.queryMany('SELECT * FROM journal_entries ORDER BY posted_at');
+    const postingRows = await this.db.queryMany('SELECT * FROM ledger_postings ORDER BY posted_at, entry_id, sequence');
+
+    const postingsByEntry = new Map();
+    for (const row of postingRows) {
+      if (!postingsByEntry.has(row.entry_id)) {
+        postingsByEntry.set(row.entry_id, []);
+      }
+      postingsByEntry.get(row.entry_id).push(this.mapPosting(row));
+    }
+
+    return entryRows.map(row => ({
+      ...this.mapEntry(row),
+      postings: postingsByEntry.get(row.id) || []
+    }));
+  }
+
+  /**
+   * Find the stored balance of a customer account that has no ledger account
+   * yet, to open it with
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} { accountId, balance, currency }
+   */
+  async findOpeningBalance(accountId) {
+    const row = await this.db.queryOne('SELECT id, balance, currency FROM accounts WHERE id::text = $1', [accountId]);
+    return row ? { accountId: row.id, balance: this.toNumber(row.balance), currency: row.currency } : null;
+  }
+
+  mapAccount(row) {
+    return {
+      accountId: row.id,
+      name: row.name,
+      accountType: row.account_type,
+      currency: row.currency,
+      normalSide: row.normal_side,
+      allowNegativeBalance: row.allow_negative_balance,
+      balance: this.toNumber(row.balance),
+      totalDebits: this.toNumber(row.total_debits),
+      totalCredits: this.toNumber(row.total_credits),
+      metadata: row.metadata || {},
+      openedAt: new Date(row.opened_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  mapEntry(row) {
+    return {
+      entryId: row.id,
+      description: row.description,
+      reference: row.reference,
+      currency: row.currency,
+      amount: this.toNumber(row.amount),
+      metadata: row.metadata || {},
+      reversalOf: row.reversal_of,
+      reversedBy: row.reversed_by,
+      postedAt: new Date(row.posted_at)
+    };
+  }
+
+  mapPosting(row) {
+    return {
+      postingId: row.id,
+      entryId: row.entry_id,
+      accountId: row.account_id,
+      direction: row.direction,
+      amount: this.toNumber(row.amount),
+      balanceAfter: this.toNumber(row.balance_after),
+      postedAt: new Date(row.posted_at)
+    };
+  }
+}
+
+module.exports = LedgerRepository;
@@ -0,0 +1,198 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Loan Account Repository
+ * Persists booked loans with their amortization schedules, and repayments
+ */
+class LoanAccountRepository extends BaseRepository {
+  /**
+   * Insert or update a loan account
+   * @param {Object} loan - Loan account from LoanServicingModule
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved loan account (without repayments)
+   */
+  async save(loan, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO loan_accounts (id, application_id, customer_id, loan_type, principal, interest_rate, rate_type, pricing, tenure_months, emi, total_interest, status, disbursed_at, first_due_date, maturity_date, principal_outstanding, schedule, restructurings, delinquency, ltv, closed_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+      ON CONFLICT (id) DO UPDATE SET
+        interest_rate = EXCLUDED.interest_rate,
+        pricing = EXCLUDED.pricing,
+        tenure_months = EXCLUDED.tenure_months,
+        emi = EXCLUDED.emi,
+        total_interest = EXCLUDED.total_interest,
+        status = EXCLUDED.status,
+        maturity_date = EXCLUDED.maturity_date,
+        principal_outstanding = EXCLUDED.principal_outstanding,
+        schedule = EXCLUDED.schedule,
+        restructurings = EXCLUDED.restructurings,
+        delinquency = EXCLUDED.delinquency,
+        ltv = EXCLUDED.ltv,
+        closed_at = EXCLUDED.closed_at,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `, [
+      loan.loanId,
+      loan.applicationId,
+      loan.customerId,
+      loan.loanType,
+      loan.principal,
+      loan.interestRate,
+      loan.rateType || 'FIXED',
+      this.toJson(loan.pricing),
+      loan.tenureMonths,
+      loan.emi,
+      loan.totalInterest,
+      loan.status,
+      loan.disbursedAt,
+      loan.firstDueDate,
+      loan.maturityDate,
+      loan.principalOutstanding,
+      this.toJson(loan.schedule || []),
+      this.toJson(loan.restructurings || []),
+      this.toJson(loan.delinquency),
+      this.toJson(loan.ltv),
+      loan.closedAt,
+      loan.createdAt || new Date(),
+      loan.updatedAt || new Date()
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Insert a repayment
+   * @param {Object} repayment - Repayment with its allocation
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved repayment
+   */
+  async saveRepayment(repayment, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO loan_repayments (id, loan_id, type, amount, paid_at, reference, channel, allocation, installments, posted_by, posted_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      repayment.repaymentId,
+      repayment.loanId,
+      repayment.type || 'INSTALLMENT',
+      repayment.amount,
+      repayment.paidAt,
+      repayment.reference,
+      repayment.channel,
+      this.toJson(repayment.allocation),
+      this.toJson(repayment.installments || []),
+      repayment.postedBy,
+      repayment.postedAt
+    ]);
+
+    return this.mapRepaymentRow(row);
+  }
+
+  /**
+   * Find a loan account with its repayments
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Object|null>} Loan account
+   */
+  async findById(loanId) {
+    const row = await this.db.queryOne('SELECT * FROM loan_accounts WHERE id = $1', [loanId]);
+    if (!row) {
+      return null;
+    }
+
+    const loan = this.mapRow(row);
+    loan.repayments = await this.findRepayments(loanId);
+    return loan;
+  }
+
+  /**
+   * Find the loan account booked for an application
+   * @param {string} applicationId - Loan application ID
+   * @returns {Promise<Object|null>} Loan account (without repayments)
+   */
+  async findByApplicationId(applicationId) {
+    const row = await this.db.queryOne('SELECT * FROM loan_accounts WHERE application_id = $1', [applicationId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find loan accounts matching filters, newest first
+   * @param {Object} filters - { customerId, status, loanType }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Loan accounts (without repayments)
+   */
+  async findAll(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      customerId: 'customer_id',
+      status: 'status',
+      loanType: 'loan_type'
+    });
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM loan_accounts ${clause} ORDER BY created_at DESC ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  /**
+   * Find a loan's repayments, oldest first
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array>} Repayments
+   */
+  async findRepayments(loanId) {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM loan_repayments WHERE loan_id = $1 ORDER BY paid_at, posted_at',
+      [loanId]
+    );
+    return rows.map(row => this.mapRepaymentRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      loanId: row.id,
+      applicationId: row.application_id,
+      customerId: row.customer_id,
+      loanType: row.loan_type,
+      principal: this.toNumber(row.principal),
+      interestRate: this.toNumber(row.interest_rate),
+      rateType: row.rate_type,
+      pricing: row.pricing || null,
+      tenureMonths: row.tenure_months,
+      emi: this.toNumber(row.emi),
+      totalInterest: this.toNumber(row.total_interest),
+      status: row.status,
+      disbursedAt: row.disbursed_at,
+      firstDueDate: row.first_due_date,
+      maturityDate: row.maturity_date,
+      principalOutstanding: this.toNumber(row.principal_outstanding),
+      schedule: row.schedule || [],
+      repayments: [],
+      restructurings: row.restructurings || [],
+      delinquency: row.delinquency || null,
+      ltv: row.ltv || null,
+      closedAt: row.closed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  mapRepaymentRow(row) {
+    return {
+      repaymentId: row.id,
+      loanId: row.loan_id,
+      type: row.type,
+      amount: this.toNumber(row.amount),
+      paidAt: row.paid_at,
+      reference: row.reference,
+      channel: row.channel,
+      allocation: row.allocation,
+      installments: row.installments || [],
+      postedBy: row.posted_by,
+      postedAt: row.posted_at
+    };
+  }
+}
+
+module.exports = LoanAccountRepository;
@@ -0,0 +1,107 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Loan Application Repository
+ * Persists loan applications and their decisions
+ */
+class LoanApplicationRepository extends BaseRepository {
+  /**
+   * Insert or update a loan application
+   * @param {LoanApplication} application - Application to save
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved application
+   */
+  async save(application, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO loan_applications (id, customer_id, loan_type, requested_amount, requested_tenure, rate_type, purpose, documents, parties, credit_score, risk_assessment, status, decision, disbursement, assigned_officer, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      ON CONFLICT (id) DO UPDATE SET
+        documents = EXCLUDED.documents,
+        parties = EXCLUDED.parties,
+        credit_score = EXCLUDED.credit_score,
+        risk_assessment = EXCLUDED.risk_assessment,
+        status = EXCLUDED.status,
+        decision = EXCLUDED.decision,
+        disbursement = EXCLUDED.disbursement,
+        assigned_officer = EXCLUDED.assigned_officer,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `, [
+      application.applicationId,
+      application.customerId,
+      application.loanType,
+      application.requestedAmount,
+      application.requestedTenure || null,
+      application.rateType || null,
+      application.purpose,
+      this.toJson(application.documents || []),
+      this.toJson(application.parties || []),
+      application.creditScore,
+      this.toJson(application.riskAssessment),
+      application.status,
+      this.toJson(application.decision),
+      this.toJson(application.disbursement),
+      application.assignedOfficer,
+      application.createdAt || new Date(),
+      application.updatedAt || new Date()
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find application by ID
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object|null>} Application
+   */
+  async findById(applicationId) {
+    const row = await this.db.queryOne('SELECT * FROM loan_applications WHERE id = $1', [applicationId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find applications matching filters, newest first
+   * @param {Object} filters - { customerId, status, loanType }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Applications
+   */
+  async findAll(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      customerId: 'customer_id',
+      status: 'status',
+      loanType: 'loan_type'
+    });
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM loan_applications ${clause} ORDER BY created_at DESC ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      applicationId: row.id,
+      customerId: row.customer_id,
+      loanType: row.loan_type,
+      requestedAmount: this.toNumber(row.requested_amount),
+      requestedTenure: row.requested_tenure || null,
+      rateType: row.rate_type || null,
+      purpose: row.purpose,
+      documents: row.documents || [],
+      parties: row.parties || [],
+      creditScore: row.credit_score,
+      riskAssessment: row.risk_assessment,
+      status: row.status,
+      decision: row.decision,
+      disbursement: row.disbursement || null,
+      assignedOfficer: row.assigned_officer,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = LoanApplicationRepository;
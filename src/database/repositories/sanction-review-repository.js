@@ -0,0 +1,180 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Sanction Review Repository
+ * Persists the sanctions match review queue and the false-positive whitelist
+ */
+class SanctionReviewRepository extends BaseRepository {
+  /**
+   * Insert or update a match review
+   * @param {Object} review - Review from SanctionReviewQueue
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved review
+   */
+  async saveReview(review, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO sanction_match_reviews (id, status, subject, party_id, party_name, customer_id, list_name, entry_id, matched_name, score, match_type, match_details, transaction_ids, decision_reason, decided_by, decided_at, whitelist_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        transaction_ids = EXCLUDED.transaction_ids,
+        decision_reason = EXCLUDED.decision_reason,
+        decided_by = EXCLUDED.decided_by,
+        decided_at = EXCLUDED.decided_at,
+        whitelist_id = EXCLUDED.whitelist_id
+      RETURNING *
+    `, [
+      review.reviewId,
+      review.status,
+      review.subject,
+      review.partyId,
+      review.partyName,
+      review.customerId,
+      review.listName,
+      review.entryId,
+      review.matchedName,
+      review.score,
+      review.matchType,
+      this.toJson(review.matchDetails),
+      this.toJson(review.transactionIds || []),
+      review.decisionReason,
+      review.decidedBy,
+      review.decidedAt,
+      review.whitelistId,
+      review.createdAt
+    ]);
+
+    return this.mapReviewRow(row);
+  }
+
+  /**
+   * Find review by ID
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object|null>} Review
+   */
+  async findReviewById(reviewId) {
+    const row = await this.db.queryOne('SELECT * FROM sanction_match_reviews WHERE id = $1', [reviewId]);
+    return row ? this.mapReviewRow(row) : null;
+  }
+
+  /**
+   * Find reviews matching filters, oldest first
+   * @param {Object} filters - { status, partyId, customerId, listName }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Reviews
+   */
+  async findReviews(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      status: 'status',
+      partyId: 'party_id',
+      customerId: 'customer_id',
+      listName: 'list_name'
+    });
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM sanction_match_reviews ${clause} ORDER BY created_at ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapReviewRow(row));
+  }
+
+  /**
+   * Insert or update a whitelist entry
+   * @param {Object} entry - Whitelist entry from SanctionReviewQueue
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved entry
+   */
+  async saveWhitelistEntry(entry, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO sanction_whitelist (id, party_id, party_name, list_name, entry_id, matched_name, reason, review_id, created_by, created_at, revoked_by, revoked_at, revoke_reason)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (id) DO UPDATE SET
+        revoked_by = EXCLUDED.revoked_by,
+        revoked_at = EXCLUDED.revoked_at,
+        revoke_reason = EXCLUDED.revoke_reason
+      RETURNING *
+    `, [
+      entry.whitelistId,
+      entry.partyId,
+      entry.partyName,
+      entry.listName,
+      entry.entryId,
+      entry.matchedName,
+      entry.reason,
+      entry.reviewId,
+      entry.createdBy,
+      entry.createdAt,
+      entry.revokedBy,
+      entry.revokedAt,
+      entry.revokeReason
+    ]);
+
+    return this.mapWhitelistRow(row);
+  }
+
+  /**
+   * Find whitelist entries that have not been revoked
+   * @returns {Promise<Array>} Active whitelist entries
+   */
+  async findActiveWhitelist() {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM sanction_whitelist WHERE revoked_at IS NULL ORDER BY created_at'
+    );
+    return rows.map(row => this.mapWhitelistRow(row));
+  }
+
+  /**
+   * Find whitelist entry by ID, including revoked entries
+   * @param {string} whitelistId - Whitelist entry ID
+   * @returns {Promise<Object|null>} Whitelist entry
+   */
+  async findWhitelistEntryById(whitelistId) {
+    const row = await this.db.queryOne('SELECT * FROM sanction_whitelist WHERE id = $1', [whitelistId]);
+    return row ? this.mapWhitelistRow(row) : null;
+  }
+
+  mapReviewRow(row) {
+    return {
+      reviewId: row.id,
+      status: row.status,
+      subject: row.subject,
+      partyId: row.party_id,
+      partyName: row.party_name,
+      customerId: row.customer_id,
+      listName: row.list_name,
+      entryId: row.entry_id,
+      matchedName: row.matched_name,
+      score: this.toNumber(row.score),
+      matchType: row.match_type,
+      matchDetails: row.match_details,
+      transactionIds: row.transaction_ids || [],
+      decisionReason: row.decision_reason,
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at,
+      whitelistId: row.whitelist_id,
+      createdAt: row.created_at
+    };
+  }
+
+  mapWhitelistRow(row) {
+    return {
+      whitelistId: row.id,
+      partyId: row.party_id,
+      partyName: row.party_name,
+      listName: row.list_name,
+      entryId: row.entry_id,
+      matchedName: row.matched_name,
+      reason: row.reason,
+      reviewId: row.review_id,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      revokedBy: row.revoked_by,
+      revokedAt: row.revoked_at,
+      revokeReason: row.revoke_reason
+    };
+  }
+}
+
+module.exports = SanctionReviewRepository;
@@ -0,0 +1,92 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * SAR Repository
+ * Persists Suspicious Activity Reports
+ */
+class SARRepository extends BaseRepository {
+  /**
+   * Insert or update a SAR
+   * @param {Object} sar - SAR from SARGenerator
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved SAR
+   */
+  async save(sar, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO suspicious_activity_reports (id, transaction_id, customer_id, customer_name, amount, currency, transaction_type, flags, description, filing_date, status, reported_by, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        metadata = EXCLUDED.metadata
+      RETURNING *
+    `, [
+      sar.sarId,
+      sar.transactionId,
+      sar.customerId,
+      sar.customerName,
+      sar.amount,
+      sar.currency,
+      sar.transactionType,
+      this.toJson(sar.flags || []),
+      sar.description,
+      sar.filingDate,
+      sar.status,
+      sar.reportedBy,
+      this.toJson(sar.metadata)
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find SAR by ID
+   * @param {string} sarId - SAR ID
+   * @returns {Promise<Object|null>} SAR
+   */
+  async findById(sarId) {
+    const row = await this.db.queryOne('SELECT * FROM suspicious_activity_reports WHERE id = $1', [sarId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find SARs matching filters, most recently filed first
+   * @param {Object} filters - { customerId, transactionId, status }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} SARs
+   */
+  async findAll(filters = {}, options = {}) {
+    const { clause, params } = this.buildWhere(filters, {
+      customerId: 'customer_id',
+      transactionId: 'transaction_id',
+      status: 'status'
+    });
+    const pagination = this.buildPagination(params, options);
+
+    const rows = await this.db.queryMany(
+      `SELECT * FROM suspicious_activity_reports ${clause} ORDER BY filing_date DESC ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      sarId: row.id,
+      transactionId: row.transaction_id,
+      customerId: row.customer_id,
+      customerName: row.customer_name,
+      amount: this.toNumber(row.amount),
+      currency: row.currency,
+      transactionType: row.transaction_type,
+      flags: row.flags || [],
+      description: row.description,
+      filingDate: row.filing_date,
+      status: row.status,
+      reportedBy: row.reported_by,
+      metadata: row.metadata
+    };
+  }
+}
+
+module.exports = SARRepository;
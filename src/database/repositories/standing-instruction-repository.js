@@ -0,0 +1,217 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Standing Instruction Repository
+ * Persists scheduled payments and recurring standing instructions, and the
+ * history of their occurrences
+ */
+class StandingInstructionRepository extends BaseRepository {
+  /**
+   * Save an instruction together with occurrences newly added to its history
+   * in one transaction
+   * @param {Object} instruction - Standing instruction from PaymentScheduler
+   * @param {Array} occurrences - New history entries, each with its sequence in the history
+   * @returns {Promise<Object>} Saved instruction (without history)
+   */
+  async save(instruction, occurrences = []) {
+    return await this.db.transaction(async (tx) => {
+      const saved = await this.saveInstruction(instruction, tx);
+      for (const occurrence of occurrences) {
+        await this.saveOccurrence(instruction.instructionId, occurrence, tx);
+      }
+      return saved;
+    });
+  }
+
+  /**
+   * Insert or update an instruction
+   * @param {Object} instruction - Standing instruction
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved instruction (without history)
+   */
+  async saveInstruction(instruction, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO standing_instructions (id, from_account_id, to_account_id, amount, currency, payment_type, description, frequency, start_date, end_date, occurrences, status, occurrence_index, next_execution_date, attempts, next_attempt_at, reminder_sent_for, consecutive_failures, paused_reason, cancellation_reason, pending_transaction_id, created_by, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+      ON CONFLICT (id) DO UPDATE SET
+        status = EXCLUDED.status,
+        occurrence_index = EXCLUDED.occurrence_index,
+        next_execution_date = EXCLUDED.next_execution_date,
+        attempts = EXCLUDED.attempts,
+        next_attempt_at = EXCLUDED.next_attempt_at,
+        reminder_sent_for = EXCLUDED.reminder_sent_for,
+        consecutive_failures = EXCLUDED.consecutive_failures,
+        paused_reason = EXCLUDED.paused_reason,
+        cancellation_reason = EXCLUDED.cancellation_reason,
+        pending_transaction_id = EXCLUDED.pending_transaction_id,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `, [
+      instruction.instructionId,
+      instruction.fromAccountId,
+      instruction.toAccountId,
+      instruction.amount,
+      instruction.currency,
+      instruction.paymentType,
+      instruction.description,
+      instruction.frequency,
+      instruction.startDate,
+      instruction.endDate,
+      instruction.occurrences,
+      instruction.status,
+      instruction.occurrenceIndex,
+      instruction.nextExecutionDate,
+      instruction.attempts,
+      instruction.nextAttemptAt,
+      instruction.reminderSentFor,
+      instruction.consecutiveFailures,
+      instruction.pausedReason,
+      instruction.cancellationReason,
+      instruction.pendingTransactionId || null,
+      instruction.createdBy,
+      instruction.createdAt,
+      instruction.updatedAt
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Insert an occurrence into an instruction's history. Saving the same
+   * sequence again is a no-op.
+   * @param {string} instructionId - Instruction ID
+   * @param {Object} occurrence - { sequence, executionDate, status, paymentId, reason, skippedBy, attempts, recordedAt }
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<void>}
+   */
+  async saveOccurrence(instructionId, occurrence, tx = null) {
+    await this.executor(tx).query(`
+      INSERT INTO standing_instruction_history (instruction_id, sequence, execution_date, status, payment_id, reason, skipped_by, attempts, recorded_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (instruction_id, sequence) DO NOTHING
+    `, [
+      instructionId,
+      occurrence.sequence,
+      occurrence.executionDate,
+      occurrence.status,
+      occurrence.paymentId || null,
+      occurrence.reason || null,
+      occurrence.skippedBy || null,
+      occurrence.attempts,
+      occurrence.recordedAt
+    ]);
+  }
+
+  /**
+   * Find an instruction with its history
+   * @param {string} instructionId - Instruction ID
+   * @returns {Promise<Object|null>} Standing instruction
+   */
+  async findById(instructionId) {
+    const row = await this.db.queryOne('SELECT * FROM standing_instructions WHERE id = $1', [instructionId]);
+    if (!row) {
+      return null;
+    }
+
+    const instruction = this.mapRow(row);
+    instruction.history = await this.findHistory(instructionId);
+    return instruction;
+  }
+
+  /**
+   * Find the instructions the scheduler still acts on (ACTIVE or PAUSED),
+   * each with its history
+   * @returns {Promise<Array>} Standing instructions
+   */
+  async findOpen() {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM standing_instructions WHERE status IN (\'ACTIVE\', \'PAUSED\') ORDER BY created_at'
+    );
+    const instructions = rows.map(row => this.mapRow(row));
+
+    for (const instruction of instructions) {
+      instruction.history = await this.findHistory(instruction.instructionId);
+    }
+    return instructions;
+  }
+
+  /**
+   * Find an instruction's history, in the order it was recorded
+   * @param {string} instructionId - Instruction ID
+   * @returns {Promise<Array>} Occurrences
+   */
+  async findHistory(instructionId) {
+    const rows = await this.db.queryMany(
+      'SELECT * FROM standing_instruction_history WHERE instruction_id = $1 ORDER BY sequence',
+      [instructionId]
+    );
+    return rows.map(row => this.mapHistoryRow(row));
+  }
+
+  /**
+   * YYYY-MM-DD for a DATE column, which pg returns as local midnight
+   * @param {Date|string|null} value - Column value
+   * @returns {string|null} Date in YYYY-MM-DD format
+   */
+  toCalendarDate(value) {
+    if (!value) {
+      return null;
+    }
+    if (typeof value === 'string') {
+      return value.slice(0, 10);
+    }
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  mapRow(row) {
+    return {
+      instructionId: row.id,
+      fromAccountId: row.from_account_id,
+      toAccountId: row.to_account_id,
+      amount: this.toNumber(row.amount),
+      currency: row.currency,
+      paymentType: row.payment_type,
+      description: row.description,
+      frequency: row.frequency,
+      startDate: this.toCalendarDate(row.start_date),
+      endDate: this.toCalendarDate(row.end_date),
+      occurrences: row.occurrences,
+      status: row.status,
+      occurrenceIndex: row.occurrence_index,
+      nextExecutionDate: this.toCalendarDate(row.next_execution_date),
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at) : null,
+      reminderSentFor: this.toCalendarDate(row.reminder_sent_for),
+      consecutiveFailures: row.consecutive_failures,
+      pausedReason: row.paused_reason,
+      cancellationReason: row.cancellation_reason,
+      pendingTransactionId: row.pending_transaction_id || null,
+      history: [],
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  mapHistoryRow(row) {
+    const occurrence = {
+      executionDate: this.toCalendarDate(row.execution_date),
+      status: row.status
+    };
+    if (row.payment_id) {
+      occurrence.paymentId = row.payment_id;
+    }
+    if (row.reason !== null) {
+      occurrence.reason = row.reason;
+    }
+    if (row.skipped_by) {
+      occurrence.skippedBy = row.skipped_by;
+    }
+    occurrence.attempts = row.attempts;
+    occurrence.recordedAt = new Date(row.recorded_at);
+    return occurrence;
+  }
+}
+
+module.exports = StandingInstructionRepository;
@@ -0,0 +1,101 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Transaction Repository
+ * Persists processed transactions
+ */
+class TransactionRepository extends BaseRepository {
+  /**
+   * Insert or update a transaction
+   * @param {Transaction} transaction - Transaction to save
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved transaction
+   */
+  async save(transaction, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO transactions (id, account_id, amount, currency, transaction_type, description, counterparty, status, processed_at, aml_flags, fraud_score)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (id) DO UPDATE SET
+        description = EXCLUDED.description,
+        status = EXCLUDED.status,
+        processed_at = EXCLUDED.processed_at,
+        aml_flags = EXCLUDED.aml_flags,
+        fraud_score = EXCLUDED.fraud_score
+      RETURNING *
+    `, [
+      transaction.transactionId,
+      transaction.accountId,
+      transaction.amount,
+      transaction.currency,
+      transaction.transactionType,
+      transaction.description,
+      this.toJson(transaction.counterparty),
+      transaction.status,
+      transaction.processedAt,
+      this.toJson(transaction.amlFlags || []),
+      transaction.fraudScore || 0
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Find transaction by ID
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object|null>} Transaction
+   */
+  async findById(transactionId) {
+    const row = await this.db.queryOne('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Find transactions for an account, newest first
+   * @param {string} accountId - Account ID
+   * @param {Object} options - { status, transactionType, startDate, endDate, limit, offset }
+   * @returns {Promise<Array>} Transactions
+   */
+  async findByAccountId(accountId, options = {}) {
+    const { clause, params } = this.buildWhere(
+      { accountId, status: options.status, transactionType: options.transactionType },
+      { accountId: 'account_id', status: 'status', transactionType: 'transaction_type' }
+    );
+
+    const conditions = [clause];
+    if (options.startDate) {
+      params.push(options.startDate);
+      conditions.push(`AND created_at >= $${params.length}`);
+    }
+    if (options.endDate) {
+      params.push(options.endDate);
+      conditions.push(`AND created_at <= $${params.length}`);
+    }
+
+    const pagination = this.buildPagination(params, options);
+    const rows = await this.db.queryMany(
+      `SELECT * FROM transactions ${conditions.join(' ')} ORDER BY created_at DESC ${pagination}`,
+      params
+    );
+
+    return rows.map(row => this.mapRow(row));
+  }
+
+  mapRow(row) {
+    return {
+      transactionId: row.id,
+      accountId: row.account_id,
+      amount: this.toNumber(row.amount),
+      currency: row.currency,
+      transactionType: row.transaction_type,
+      description: row.description,
+      counterparty: row.counterparty,
+      status: row.status,
+      processedAt: row.processed_at,
+      amlFlags: row.aml_flags || [],
+      fraudScore: this.toNumber(row.fraud_score),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = TransactionRepository;
@@ -0,0 +1,95 @@
+const BaseRepository = require('./base-repository');
+
+/**
+ * Warehoused Payment Repository
+ * Persists payments held until their rail's next settlement slot
+ */
+class WarehousedPaymentRepository extends BaseRepository {
+  /**
+   * Insert or re-warehouse a payment
+   * @param {Object} entry - { transactionId, network, paymentInstruction, warehousedAt, scheduledFor }
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<Object>} Saved entry
+   */
+  async save(entry, tx = null) {
+    const row = await this.executor(tx).queryOne(`
+      INSERT INTO warehoused_payments (transaction_id, network, payment_instruction, status, warehoused_at, scheduled_for)
+      VALUES ($1, $2, $3, 'WAREHOUSED', $4, $5)
+      ON CONFLICT (transaction_id) DO UPDATE SET
+        status = 'WAREHOUSED',
+        warehoused_at = EXCLUDED.warehoused_at,
+        scheduled_for = EXCLUDED.scheduled_for,
+        released_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      entry.transactionId,
+      entry.network,
+      this.toJson(entry.paymentInstruction),
+      entry.warehousedAt,
+      entry.scheduledFor
+    ]);
+
+    return this.mapRow(row);
+  }
+
+  /**
+   * Claim the payments on a network whose slot has arrived, so a second
+   * release run does not send them again. Claims older than staleBefore are
+   * taken again, as the run that made them stopped before recording a result.
+   * @param {string} network - Network name
+   * @param {Date} asOf - Current time
+   * @param {Date} staleBefore - Claims last updated before this are abandoned
+   * @returns {Promise<Array>} Claimed entries, earliest slot first
+   */
+  async claimDue(network, asOf, staleBefore) {
+    const rows = await this.db.queryMany(`
+      UPDATE warehoused_payments SET status = 'RELEASING', updated_at = CURRENT_TIMESTAMP
+      WHERE network = $1 AND scheduled_for <= $2
+        AND (status = 'WAREHOUSED' OR (status = 'RELEASING' AND updated_at < $3))
+      RETURNING *
+    `, [network, asOf, staleBefore]);
+    return rows.map(row => this.mapRow(row)).sort((a, b) => a.scheduledFor - b.scheduledFor);
+  }
+
+  /**
+   * Return a claimed payment to the warehouse after its release failed, so
+   * the next run sends it
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<void>}
+   */
+  async releaseClaim(transactionId) {
+    await this.db.query(
+      "UPDATE warehoused_payments SET status = 'WAREHOUSED', updated_at = CURRENT_TIMESTAMP WHERE transaction_id = $1 AND status = 'RELEASING'",
+      [transactionId]
+    );
+  }
+
+  /**
+   * Record the status a released payment was sent with
+   * @param {string} transactionId - Transaction ID
+   * @param {string} status - PaymentStatus the network returned
+   * @param {Date} releasedAt - Release time
+   * @returns {Promise<void>}
+   */
+  async markReleased(transactionId, status, releasedAt) {
+    await this.db.query(
+      'UPDATE warehoused_payments SET status = $2, released_at = $3, updated_at = CURRENT_TIMESTAMP WHERE transaction_id = $1',
+      [transactionId, status, releasedAt]
+    );
+  }
+
+  mapRow(row) {
+    return {
+      transactionId: row.transaction_id,
+      network: row.network,
+      paymentInstruction: row.payment_instruction || {},
+      status: row.status,
+      warehousedAt: new Date(row.warehoused_at),
+      scheduledFor: new Date(row.scheduled_for),
+      releasedAt: row.released_at ? new Date(row.released_at) : null
+    };
+  }
+}
+
+module.exports = WarehousedPaymentRepository;
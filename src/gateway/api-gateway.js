@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
+const multer = require('multer');
 
 const router = express.Router();
 
@@ -82,23 +83,152 @@ router.use('/auth', authRoutes);
 
 // Import banking modules
 const { AccountOpeningModule } = require('../modules/account-opening');
-const { LoanProcessingModule } = require('../modules/loan-processing');
+const { LoanProcessingModule, LoanDecisionNotifier, WorkflowManager } = require('../modules/loan-processing');
+const { LoanServicingModule } = require('../modules/loan-servicing');
+const { CollateralRegistry } = require('../modules/collateral');
 const { KYCModule } = require('../modules/kyc');
-const { AMLModule } = require('../modules/aml');
+const { AMLModule, CustomerRiskProfiler } = require('../modules/aml');
 const { TransactionProcessingModule } = require('../modules/transaction-processing');
-const { PaymentProcessingModule } = require('../modules/payment-processing');
+const { PaymentProcessingModule, PaymentScheduler } = require('../modules/payment-processing');
+const { BulkPaymentModule } = require('../modules/bulk-payments');
 const AuditService = require('../services/audit-service');
+const CreditBureauInterface = require('../services/credit-bureau-interface');
+const { IdempotencyService, idempotencyMiddleware } = require('../services/idempotency-service');
 const { RegulatoryReportingModule } = require('../services/regulatory-reporting');
+const { NotificationService } = require('../services/notification-service');
+const { PaymentRailSelector } = require('../services/payment-network-adapters');
+const { LedgerService } = require('../services/ledger-service');
+const { createRepositories } = require('../database/repositories');
+const config = require('../config');
+
+// PostgreSQL-backed repositories (modules keep state in memory only under test)
+const repositories = config.isTest() ? {} : createRepositories();
 
 // Initialize modules
-const accountOpeningModule = new AccountOpeningModule();
-const loanProcessingModule = new LoanProcessingModule();
-const kycModule = new KYCModule();
-const amlModule = new AMLModule();
-const transactionProcessingModule = new TransactionProcessingModule();
-const paymentProcessingModule = new PaymentProcessingModule();
-const auditService = new AuditService();
-const regulatoryReportingModule = new RegulatoryReportingModule();
+const auditService = new AuditService(repositories.auditLogs);
+const accountOpeningModule = new AccountOpeningModule({ accountRepository: repositories.accounts });
+const idempotencyService = new IdempotencyService(repositories.idempotencyKeys);
+const ledgerService = new LedgerService(repositories.ledger);
+const transactionProcessingModule = new TransactionProcessingModule(null, ledgerService, repositories.transactions, repositories.exceptions);
+const notificationService = new NotificationService();
+const loanNotifier = new LoanDecisionNotifier(notificationService);
+const loanServicingModule = new LoanServicingModule({
+  loanAccountRepository: repositories.loanAccounts,
+  accountRepository: repositories.accounts,
+  notificationService,
+  loanNotifier,
+  auditService
+});
+const workflowManager = new WorkflowManager({ notifier: loanNotifier, auditService });
+const collateralRegistry = new CollateralRegistry({
+  collateralRepository: repositories.collateral,
+  loanServicingModule,
+  auditService
+});
+const loanProcessingModule = new LoanProcessingModule({
+  loanApplicationRepository: repositories.loanApplications,
+  accountRepository: repositories.accounts,
+  creditBureauInterface: new CreditBureauInterface({ enableMockMode: !config.isProduction() }),
+  transactionProcessingModule,
+  loanServicingModule,
+  collateralRegistry,
+  idempotencyService,
+  workflowManager,
+  auditService
+});
+// The registry checks application status before releasing collateral
+collateralRegistry.loanProcessingModule = loanProcessingModule;
+const customerRiskProfiler = new CustomerRiskProfiler({
+  auditService,
+  customerRiskProfileRepository: repositories.customerRiskProfiles
+});
+const kycModule = new KYCModule({ kycRepository: repositories.kyc, customerRiskProfiler });
+const amlModule = new AMLModule({
+  sarRepository: repositories.sars,
+  sanctionReviewRepository: repositories.sanctionReviews,
+  cashTransactionRepository: repositories.cashTransactions,
+  customerRiskProfiler,
+  auditService
+});
+// One rail selector so every payment held outside its rail's window is released by the same job
+const paymentRailSelector = new PaymentRailSelector({ warehouseRepository: repositories.warehousedPayments });
+const paymentProcessingModule = new PaymentProcessingModule({ paymentRailSelector });
+const bulkPaymentModule = new BulkPaymentModule({ paymentRailSelector, auditService });
+const paymentScheduler = new PaymentScheduler({
+  paymentProcessingModule,
+  transactionProcessingModule,
+  accountRepository: repositories.accounts,
+  instructionRepository: repositories.standingInstructions,
+  notificationService,
+  auditService
+});
+const regulatoryReportingModule = new RegulatoryReportingModule(auditService, amlModule, kycModule);
+
+// Whitelisted false positives must be known before the first screening
+if (repositories.sanctionReviews) {
+  amlModule.sanctionReviewQueue.loadWhitelist()
+    .catch(error => console.error('Failed to load sanctions whitelist:', error));
+}
+
+// Balances and journal entries posted before the restart
+if (repositories.ledger) {
+  ledgerService.load()
+    .catch(error => console.error('Failed to load the ledger:', error));
+}
+
+// Exceptions still awaiting review before the restart go back in the queue
+if (repositories.exceptions) {
+  transactionProcessingModule.exceptionHandler.loadOpenExceptions()
+    .catch(error => console.error('Failed to load open transaction exceptions:', error));
+}
+
+/**
+ * Start the recurring jobs the modules run in the background. Called once
+ * the server is listening and the database is ready.
+ */
+function startBackgroundJobs() {
+  loanServicingModule.startDelinquencyJob();
+  workflowManager.startSLAMonitor();
+  paymentProcessingModule.startWarehouseRelease();
+  idempotencyService.startPurgeJob();
+  // Instructions still open before the restart are loaded before the first run
+  paymentScheduler.loadInstructions()
+    .catch(error => console.error('Failed to load standing instructions:', error))
+    .then(() => paymentScheduler.startScheduler());
+}
+
+/**
+ * Stop the background jobs (on shutdown)
+ */
+function stopBackgroundJobs() {
+  loanServicingModule.stopDelinquencyJob();
+  workflowManager.stopSLAMonitor();
+  paymentProcessingModule.stopWarehouseRelease();
+  idempotencyService.stopPurgeJob();
+  paymentScheduler.stopScheduler();
+}
+
+// Replays the stored response when a client retries POST /process with the same Idempotency-Key
+const idempotent = (routeName) => idempotencyMiddleware(idempotencyService, routeName);
+
+/**
+ * Audit a request that has already been processed. The response is sent,
+ * and stored against its Idempotency-Key, whether or not the audit write
+ * succeeds: failing the request would release the key and let a retry post
+ * it again. A failed write is logged instead.
+ * @param {string} entityType - Audited entity type
+ * @param {string} entityId - Audited entity ID
+ * @param {string} action - Audit action
+ * @param {Object} req - Express request
+ * @param {Object} outcome - Processing result or error
+ */
+async function auditProcessedRequest(entityType, entityId, action, req, outcome) {
+  try {
+    await auditService.log(entityType, entityId, action, req.user.userId, null, { request: req.body, outcome });
+  } catch (error) {
+    console.error(`Failed to audit ${action} for ${entityType} ${entityId}:`, error.message);
+  }
+}
 
 // Account Opening Module routes
 const accountRouter = express.Router();
@@ -165,6 +295,370 @@ loanRouter.post('/decision/:applicationId', async (req, res) => {
   }
 });
 
+// Co-applicants and guarantors
+loanRouter.post('/:applicationId/parties', async (req, res) => {
+  try {
+    const application = await loanProcessingModule.getApplication(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.params.applicationId}` });
+    }
+
+    const party = await loanProcessingModule.addParty(application, req.body, req.user.userId);
+    res.status(201).json({ party });
+  } catch (error) {
+    const status = error.message.includes('already a party') ? 409
+      : error.message.includes('Invalid') || error.message.includes('at most')
+        || error.message.includes('cannot be changed') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Officer sign-off and disbursement of approved applications
+loanRouter.post('/:applicationId/sign-off', async (req, res) => {
+  try {
+    const application = await loanProcessingModule.getApplication(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.params.applicationId}` });
+    }
+
+    const signedOff = await loanProcessingModule.signOffApplication(application, req.user.userId, {
+      approved: req.body.approved,
+      comments: req.body.comments,
+      reasonCodes: req.body.reasonCodes
+    });
+    res.json({ application: signedOff });
+  } catch (error) {
+    const status = error.message.includes('already been signed off') ? 409
+      : error.message.includes('assigned officer') ? 403
+        : error.message.includes('cannot be signed off') || error.message.includes('no underwriting decision')
+          || error.message.includes('must be cleared') || error.message.includes('reason code') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/:applicationId/conditions/:conditionId/clear', async (req, res) => {
+  try {
+    const application = await loanProcessingModule.getApplication(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.params.applicationId}` });
+    }
+
+    const updated = await loanProcessingModule.clearCondition(application, req.params.conditionId, req.user.userId, {
+      notes: req.body.notes
+    });
+    res.json({ application: updated });
+  } catch (error) {
+    const status = error.message.includes('condition not found') ? 404
+      : error.message.includes('already been cleared') ? 409
+        : error.message.includes('assigned officer') ? 403 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/:applicationId/disburse', async (req, res) => {
+  try {
+    const application = await loanProcessingModule.getApplication(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.params.applicationId}` });
+    }
+
+    const result = await loanProcessingModule.disburseLoan(application, {
+      accountId: req.body.accountId,
+      amount: req.body.amount,
+      stage: req.body.stage
+    }, req.user.userId);
+    res.status(result.success ? 201 : 502).json(result);
+  } catch (error) {
+    const status = error.message.includes('already been fully disbursed') || error.message.includes('already in progress') ? 409
+      : error.message.includes('is not held by') ? 403
+      : error.message.includes('not configured') ? 500 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/:applicationId/processing-fee/collect', async (req, res) => {
+  try {
+    const application = await loanProcessingModule.getApplication(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.params.applicationId}` });
+    }
+
+    const result = await loanProcessingModule.collectProcessingFee(application, req.user.userId);
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    const status = error.message.includes('already been collected') || error.message.includes('already in progress') ? 409
+      : error.message.includes('not configured') ? 500 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Loan servicing: booked loan accounts, schedules and repayments
+loanRouter.post('/accounts', async (req, res) => {
+  if (!req.body.applicationId) {
+    return res.status(400).json({ error: 'applicationId is required' });
+  }
+
+  try {
+    const application = await loanProcessingModule.getApplication(req.body.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.body.applicationId}` });
+    }
+
+    const loan = await loanServicingModule.bookLoan(application, {
+      tenureMonths: req.body.tenureMonths,
+      disbursedAt: req.body.disbursedAt,
+      firstDueDate: req.body.firstDueDate,
+      bookedBy: req.user.userId
+    });
+    await collateralRegistry.linkToLoan(application, loan, req.user.userId);
+    res.status(201).json({ loan });
+  } catch (error) {
+    const status = error.message.includes('already booked') ? 409
+      : error.message.includes('approved') || error.message.includes('Tenure') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/accounts/:loanId', async (req, res) => {
+  try {
+    const loan = await loanServicingModule.getLoan(req.params.loanId);
+    if (!loan) {
+      return res.status(404).json({ error: `Loan not found: ${req.params.loanId}` });
+    }
+    res.json({ loan });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/accounts/:loanId/schedule', async (req, res) => {
+  try {
+    const schedule = await loanServicingModule.getSchedule(req.params.loanId);
+    res.json({ schedule });
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/accounts/:loanId/outstanding', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const outstanding = await loanServicingModule.getOutstanding(req.params.loanId, asOf);
+    res.json(outstanding);
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/accounts/:loanId/repayments', async (req, res) => {
+  try {
+    const repayment = await loanServicingModule.postRepayment(req.params.loanId, req.body, req.user.userId);
+    res.status(201).json({ repayment });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('not active') ? 409
+        : error.message.includes('must be positive') || error.message.includes('exceeds') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Prepayment, foreclosure and restructuring. Quotes are side-effect free.
+function loanServicingErrorStatus(error) {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.includes('not active') || error.message.includes('already been restructured')) {
+    return 409;
+  }
+  return ['Invalid', 'must', 'exceeds', 'Overdue', 'cannot', 'foreclose', 'no upcoming', 'needs']
+    .some(text => error.message.includes(text)) ? 400 : 500;
+}
+
+loanRouter.post('/accounts/:loanId/prepayment/quote', async (req, res) => {
+  try {
+    const quote = await loanServicingModule.quotePrepayment(req.params.loanId, req.body);
+    res.json(quote);
+  } catch (error) {
+    res.status(loanServicingErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/accounts/:loanId/prepayment', async (req, res) => {
+  try {
+    const result = await loanServicingModule.prepayLoan(req.params.loanId, req.body, req.user.userId);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(loanServicingErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/accounts/:loanId/foreclosure/quote', async (req, res) => {
+  try {
+    const quote = await loanServicingModule.quoteForeclosure(req.params.loanId, req.query.asOf ? new Date(req.query.asOf) : new Date());
+    res.json(quote);
+  } catch (error) {
+    res.status(loanServicingErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/accounts/:loanId/foreclosure', async (req, res) => {
+  try {
+    const result = await loanServicingModule.forecloseLoan(req.params.loanId, req.body, req.user.userId);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(loanServicingErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/accounts/:loanId/restructure/quote', async (req, res) => {
+  try {
+    const quote = await loanServicingModule.quoteRestructuring(req.params.loanId, req.body);
+    res.json(quote);
+  } catch (error) {
+    res.status(loanServicingErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/accounts/:loanId/restructure', async (req, res) => {
+  try {
+    const result = await loanServicingModule.restructureLoan(req.params.loanId, req.body, req.user.userId);
+    res.json(result);
+  } catch (error) {
+    res.status(loanServicingErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Daily delinquency run and the portfolio-at-risk report
+loanRouter.post('/delinquency/run', async (req, res) => {
+  try {
+    const summary = await loanServicingModule.runDelinquencyJob(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json(summary);
+  } catch (error) {
+    const status = error.message.includes('already running') ? 409
+      : error.message.includes('future date') || error.message.includes('Invalid') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/reports/portfolio-at-risk', async (req, res) => {
+  try {
+    const report = await loanServicingModule.getPortfolioAtRisk(req.query.asOf ? new Date(req.query.asOf) : new Date());
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Loan officers who review referred applications and sign off approvals
+loanRouter.post('/officers', authorizeRoles('admin'), (req, res) => {
+  const { officerId, name, email, supervisorId, capacity, specializations } = req.body;
+  if (!officerId) {
+    return res.status(400).json({ error: 'officerId is required' });
+  }
+
+  workflowManager.registerOfficer(officerId, { name, email, supervisorId, capacity, specializations });
+  res.status(201).json({ officer: workflowManager.officers.get(officerId) });
+});
+
+loanRouter.get('/officers/workload', (req, res) => {
+  res.json(workflowManager.getWorkloadStats());
+});
+
+loanRouter.get('/reports/task-sla', (req, res) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  if (isNaN(asOf.getTime())) {
+    return res.status(400).json({ error: 'Invalid asOf date' });
+  }
+
+  res.json(workflowManager.getSLAReport(asOf));
+});
+
+// Collateral registry and loan-to-value monitoring
+loanRouter.post('/collateral', async (req, res) => {
+  try {
+    const collateral = await collateralRegistry.registerCollateral(req.body, req.user.userId);
+    res.status(201).json({ collateral });
+  } catch (error) {
+    const status = error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('must') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/collateral/:collateralId', async (req, res) => {
+  try {
+    const collateral = await collateralRegistry.getCollateral(req.params.collateralId);
+    if (!collateral) {
+      return res.status(404).json({ error: `Collateral not found: ${req.params.collateralId}` });
+    }
+    res.json({ collateral });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/collateral/:collateralId/pledge', async (req, res) => {
+  if (!req.body.applicationId) {
+    return res.status(400).json({ error: 'applicationId is required' });
+  }
+
+  try {
+    const application = await loanProcessingModule.getApplication(req.body.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: `Loan application not found: ${req.body.applicationId}` });
+    }
+
+    const collateral = await collateralRegistry.pledgeToApplication(req.params.collateralId, application, req.user.userId);
+    res.json({ collateral });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('already pledged') ? 409
+        : error.message.includes('different customer') || error.message.includes('before the underwriting') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/collateral/:collateralId/valuations', async (req, res) => {
+  try {
+    const result = await collateralRegistry.revalueCollateral(req.params.collateralId, req.body, req.user.userId);
+    res.status(201).json(result);
+  } catch (error) {
+    const status = error.message.includes('Collateral not found') ? 404
+      : error.message.includes('must') || error.message.includes('earlier than') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.post('/collateral/:collateralId/release', async (req, res) => {
+  try {
+    const collateral = await collateralRegistry.releaseCollateral(req.params.collateralId, req.user.userId);
+    res.json({ collateral });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('not pledged') || error.message.includes('active loan')
+        || error.message.includes('approved application') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+loanRouter.get('/reports/ltv-breaches', async (req, res) => {
+  try {
+    const breaches = await collateralRegistry.getLtvBreaches();
+    res.json({ breaches });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Floating-rate resets against the current benchmark
+loanRouter.post('/rates/reset', async (req, res) => {
+  try {
+    const summary = await loanServicingModule.resetFloatingRates(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.use('/loans', authenticateToken, authorizeRoles('bank_officer', 'admin'), loanRouter);
 
 // KYC Module routes
@@ -189,6 +683,18 @@ kycRouter.get('/status/:customerId', async (req, res) => {
   }
 });
 
+kycRouter.get('/review-schedule/:customerId', async (req, res) => {
+  try {
+    const result = await kycModule.getPeriodicReviewSchedule(req.params.customerId);
+    if (!result) {
+      return res.status(404).json({ error: 'No risk rating found for customer' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 kycRouter.post('/documents/upload', async (req, res) => {
   try {
     const result = await kycModule.uploadDocument(req.body);
@@ -204,14 +710,18 @@ router.use('/kyc', authenticateToken, authorizeRoles('compliance_officer', 'bank
 // AML Module routes
 const amlRouter = express.Router();
 amlRouter.post('/screen', async (req, res) => {
+  let result;
   try {
-    const result = await amlModule.screenTransaction(req.body);
-    await auditService.logAction('AML_SCREENING', req.user.userId, req.body, result);
-    res.json(result);
+    result = await amlModule.screenTransaction(req.body);
   } catch (error) {
-    await auditService.logError('AML_SCREENING_ERROR', req.user.userId, error.message);
-    res.status(500).json({ error: error.message });
+    await auditProcessedRequest('TRANSACTION', req.body.transactionId, 'AML_SCREENING_ERROR', req, { error: error.message });
+    return res.status(500).json({ error: error.message });
   }
+
+  await auditProcessedRequest('TRANSACTION', req.body.transactionId, 'AML_SCREENING', req, result);
+  // Without a sanctions list to screen against the service is unavailable
+  // rather than the transaction clear
+  res.status(result.errorCode === 'SANCTIONS_LISTS_UNAVAILABLE' ? 503 : 200).json(result);
 });
 
 amlRouter.get('/alerts', async (req, res) => {
@@ -233,19 +743,125 @@ amlRouter.post('/sar/generate', async (req, res) => {
   }
 });
 
+// Customer risk ratings
+amlRouter.get('/customers/:customerId/risk-profile', async (req, res) => {
+  try {
+    const profile = await amlModule.getCustomerRiskProfile(req.params.customerId);
+    if (!profile) {
+      return res.status(404).json({ error: 'No risk rating found for customer' });
+    }
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+amlRouter.get('/customers/:customerId/risk-profile/history', async (req, res) => {
+  try {
+    const history = await amlModule.getCustomerRiskHistory(req.params.customerId, {
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined
+    });
+    res.json({ history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+amlRouter.post('/customers/:customerId/risk-profile/recalculate', async (req, res) => {
+  try {
+    const profile = await amlModule.updateCustomerProfile({ ...req.body, customerId: req.params.customerId });
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+amlRouter.get('/risk-profiles/due-for-review', async (req, res) => {
+  try {
+    const profiles = await customerRiskProfiler.getCustomersDueForReview(new Date());
+    res.json({ profiles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sanctions match review queue
+amlRouter.get('/sanctions/reviews', async (req, res) => {
+  try {
+    const reviews = await amlModule.getSanctionReviews({
+      status: req.query.status,
+      customerId: req.query.customerId,
+      listName: req.query.listName
+    });
+    res.json({ reviews });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+amlRouter.post('/sanctions/reviews/:reviewId/confirm', async (req, res) => {
+  if (!req.body.reason) {
+    return res.status(400).json({ error: 'reason is required' });
+  }
+
+  try {
+    const review = await amlModule.confirmSanctionMatch(req.params.reviewId, req.user.userId, req.body.reason);
+    res.json({ review });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : error.message.includes('already decided') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+amlRouter.post('/sanctions/reviews/:reviewId/discard', async (req, res) => {
+  if (!req.body.reason) {
+    return res.status(400).json({ error: 'reason is required' });
+  }
+
+  try {
+    const result = await amlModule.discardSanctionMatch(req.params.reviewId, req.user.userId, req.body.reason, {
+      whitelist: req.body.whitelist
+    });
+    res.json(result);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : error.message.includes('already decided') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+amlRouter.get('/sanctions/whitelist', (req, res) => {
+  res.json({ whitelist: amlModule.sanctionReviewQueue.getWhitelist() });
+});
+
+amlRouter.delete('/sanctions/whitelist/:whitelistId', async (req, res) => {
+  if (!req.body || !req.body.reason) {
+    return res.status(400).json({ error: 'reason is required' });
+  }
+
+  try {
+    const entry = await amlModule.sanctionReviewQueue.removeFromWhitelist(req.params.whitelistId, req.user.userId, req.body.reason);
+    res.json({ entry });
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+  }
+});
+
 router.use('/aml', authenticateToken, authorizeRoles('compliance_officer', 'admin'), amlRouter);
 
 // Transaction Processing Module routes
 const transactionRouter = express.Router();
-transactionRouter.post('/process', async (req, res) => {
+transactionRouter.post('/process', idempotent('transactions.process'), async (req, res) => {
+  let result;
   try {
-    const result = await transactionProcessingModule.processTransaction(req.body);
-    await auditService.logAction('TRANSACTION_PROCESSING', req.user.userId, req.body, result);
-    res.json(result);
+    result = await transactionProcessingModule.processTransaction(req.body);
   } catch (error) {
-    await auditService.logError('TRANSACTION_PROCESSING_ERROR', req.user.userId, error.message);
-    res.status(500).json({ error: error.message });
+    await auditProcessedRequest('TRANSACTION', req.body.transactionId, 'TRANSACTION_PROCESSING_ERROR', req, { error: error.message });
+    return res.status(500).json({ error: error.message });
   }
+
+  await auditProcessedRequest('TRANSACTION', req.body.transactionId, 'TRANSACTION_PROCESSING', req, result);
+  res.json(result);
 });
 
 transactionRouter.get('/status/:transactionId', async (req, res) => {
@@ -266,24 +882,54 @@ transactionRouter.get('/history/:accountId', async (req, res) => {
   }
 });
 
+transactionRouter.get('/exceptions', authorizeRoles('bank_officer', 'admin'), (req, res) => {
+  const exceptionHandler = transactionProcessingModule.exceptionHandler;
+  res.json({
+    exceptions: exceptionHandler.getPendingExceptions(req.query.limit ? parseInt(req.query.limit, 10) : undefined),
+    stats: exceptionHandler.getExceptionStats()
+  });
+});
+
+transactionRouter.post('/exceptions/:exceptionId/assign', authorizeRoles('bank_officer', 'admin'), async (req, res) => {
+  try {
+    const result = await transactionProcessingModule.exceptionHandler.assignToReviewer(req.params.exceptionId, req.body.reviewerId || req.user.userId);
+    res.json(result);
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 409).json({ error: error.message });
+  }
+});
+
+transactionRouter.post('/exceptions/:exceptionId/resolve', authorizeRoles('bank_officer', 'admin'), async (req, res) => {
+  try {
+    const result = await transactionProcessingModule.exceptionHandler.resolveException(
+      req.params.exceptionId, req.user.userId, req.body.resolution, req.body.comments
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 409).json({ error: error.message });
+  }
+});
+
 router.use('/transactions', transactionRateLimit, authenticateToken, authorizeRoles('bank_officer', 'customer', 'admin'), transactionRouter);
 
 // Payment Processing Module routes
 const paymentRouter = express.Router();
-paymentRouter.post('/process', async (req, res) => {
+paymentRouter.post('/process', idempotent('payments.process'), async (req, res) => {
+  let result;
   try {
-    const result = await paymentProcessingModule.processPaymentWithRetry(
+    result = await paymentProcessingModule.processPaymentWithRetry(
       req.body.paymentData,
       req.body.accountBalance,
       req.body.targetCurrency,
       req.body.notificationRecipients
     );
-    await auditService.logAction('PAYMENT_PROCESSING', req.user.userId, req.body, result);
-    res.json(result);
   } catch (error) {
-    await auditService.logError('PAYMENT_PROCESSING_ERROR', req.user.userId, error.message);
-    res.status(500).json({ error: error.message });
+    await auditProcessedRequest('PAYMENT', req.body.paymentData?.paymentId, 'PAYMENT_PROCESSING_ERROR', req, { error: error.message });
+    return res.status(500).json({ error: error.message });
   }
+
+  await auditProcessedRequest('PAYMENT', result.paymentOrder?.paymentId, 'PAYMENT_PROCESSING', req, result);
+  res.json(result);
 });
 
 paymentRouter.get('/status/:paymentId', async (req, res) => {
@@ -317,6 +963,202 @@ paymentRouter.post('/convert', async (req, res) => {
   }
 });
 
+// Payments held outside their rail's settlement window
+paymentRouter.post('/warehouse/release', authorizeRoles('bank_officer', 'admin'), async (req, res) => {
+  try {
+    const summary = await paymentProcessingModule.releaseWarehousedPayments(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json(summary);
+  } catch (error) {
+    const status = error.message.includes('already running') ? 409
+      : error.message.includes('future date') || error.message.includes('Invalid') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Bulk salary and vendor payment files: upload for a preview, approve, then execute
+const bulkPaymentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.getBusinessRule('payment-processing').bulkPayments.maximumFileSize }
+}).single('file');
+
+function bulkPaymentErrorStatus(error) {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (/ is [A-Z_]+, not /.test(error.message)) {
+    return 409;
+  }
+  if (error.message.includes('uploaded it') || error.message.includes('does not belong to')) {
+    return 403;
+  }
+  return 400;
+}
+
+// Officers reviewing batches may read any of them; otherwise only the
+// uploader, while they still hold the debit account
+async function requireBulkBatchAccess(batchId, user, { reviewers = false } = {}) {
+  if (reviewers && ['bank_officer', 'admin'].includes(user.role)) {
+    return bulkPaymentModule.requireBatch(batchId);
+  }
+
+  const batch = bulkPaymentModule.requireOwnBatch(batchId, user);
+  await paymentScheduler.requireAccountHolder(batch.debitAccountId, user);
+  return batch;
+}
+
+paymentRouter.post('/bulk', (req, res, next) => {
+  bulkPaymentUpload(req, res, (error) => error ? res.status(400).json({ error: error.message }) : next());
+}, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'file is required' });
+  }
+
+  try {
+    await paymentScheduler.requireAccountHolder(req.body.debitAccountId, req.user);
+    const batch = await bulkPaymentModule.uploadBatch({
+      fileName: req.file.originalname,
+      content: req.file.buffer,
+      format: req.body.format,
+      paymentType: req.body.paymentType,
+      debitAccountId: req.body.debitAccountId
+    }, req.user.userId);
+    res.status(201).json({ batch });
+  } catch (error) {
+    res.status(bulkPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.get('/bulk/:batchId', async (req, res) => {
+  try {
+    await requireBulkBatchAccess(req.params.batchId, req.user, { reviewers: true });
+    res.json({ batch: bulkPaymentModule.getBatchReport(req.params.batchId) });
+  } catch (error) {
+    res.status(bulkPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/bulk/:batchId/approve', authorizeRoles('bank_officer', 'admin'), async (req, res) => {
+  try {
+    const batch = await bulkPaymentModule.approveBatch(req.params.batchId, req.user.userId);
+    res.json({ batch });
+  } catch (error) {
+    res.status(bulkPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/bulk/:batchId/reject', authorizeRoles('bank_officer', 'admin'), async (req, res) => {
+  try {
+    const batch = await bulkPaymentModule.rejectBatch(req.params.batchId, req.user.userId, req.body.reason);
+    res.json({ batch });
+  } catch (error) {
+    res.status(bulkPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/bulk/:batchId/execute', async (req, res) => {
+  try {
+    await requireBulkBatchAccess(req.params.batchId, req.user);
+    const batch = await bulkPaymentModule.executeBatch(req.params.batchId, req.user.userId);
+    res.json({ batch });
+  } catch (error) {
+    res.status(bulkPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.get('/bulk/:batchId/results', async (req, res) => {
+  try {
+    await requireBulkBatchAccess(req.params.batchId, req.user, { reviewers: true });
+    const file = bulkPaymentModule.exportResults(req.params.batchId);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
+  } catch (error) {
+    res.status(bulkPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+function scheduledPaymentErrorStatus(error) {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.includes('does not belong to')) {
+    return 403;
+  }
+  if (/ is [A-Z_]+, not /.test(error.message)) {
+    return 409;
+  }
+  return 400;
+}
+
+paymentRouter.post('/scheduled', async (req, res) => {
+  try {
+    await paymentScheduler.requireAccountHolder(req.body.fromAccountId, req.user);
+    const instruction = await paymentScheduler.schedulePayment(req.body, req.user.userId);
+    res.status(201).json({ instruction });
+  } catch (error) {
+    res.status(scheduledPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/scheduled/run', authorizeRoles('bank_officer', 'admin'), async (req, res) => {
+  try {
+    const summary = await paymentScheduler.runScheduledPayments(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json(summary);
+  } catch (error) {
+    const status = error.message.includes('already running') ? 409
+      : error.message.includes('future date') || error.message.includes('Invalid') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+paymentRouter.get('/scheduled/:instructionId', async (req, res) => {
+  try {
+    res.json({ instruction: await paymentScheduler.requireOwnInstruction(req.params.instructionId, req.user) });
+  } catch (error) {
+    res.status(scheduledPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/scheduled/:instructionId/skip', async (req, res) => {
+  try {
+    await paymentScheduler.requireOwnInstruction(req.params.instructionId, req.user);
+    const instruction = await paymentScheduler.skipNextOccurrence(req.params.instructionId, req.user.userId, req.body.reason);
+    res.json({ instruction });
+  } catch (error) {
+    res.status(scheduledPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/scheduled/:instructionId/pause', async (req, res) => {
+  try {
+    await paymentScheduler.requireOwnInstruction(req.params.instructionId, req.user);
+    const instruction = await paymentScheduler.pauseInstruction(req.params.instructionId, req.user.userId, req.body.reason);
+    res.json({ instruction });
+  } catch (error) {
+    res.status(scheduledPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/scheduled/:instructionId/resume', async (req, res) => {
+  try {
+    await paymentScheduler.requireOwnInstruction(req.params.instructionId, req.user);
+    const instruction = await paymentScheduler.resumeInstruction(req.params.instructionId, req.user.userId);
+    res.json({ instruction });
+  } catch (error) {
+    res.status(scheduledPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+paymentRouter.post('/scheduled/:instructionId/cancel', async (req, res) => {
+  try {
+    await paymentScheduler.requireOwnInstruction(req.params.instructionId, req.user);
+    const instruction = await paymentScheduler.cancelInstruction(req.params.instructionId, req.user.userId, req.body.reason);
+    res.json({ instruction });
+  } catch (error) {
+    res.status(scheduledPaymentErrorStatus(error)).json({ error: error.message });
+  }
+});
+
 router.use('/payments', transactionRateLimit, authenticateToken, authorizeRoles('bank_officer', 'customer', 'admin'), paymentRouter);
 
 // Audit and Compliance routes
@@ -330,6 +1172,15 @@ auditRouter.get('/logs', async (req, res) => {
   }
 });
 
+auditRouter.get('/chain/verify', async (req, res) => {
+  try {
+    const result = await auditService.verifyChain();
+    res.status(result.valid ? 200 : 409).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 auditRouter.get('/reports', async (req, res) => {
   try {
     const result = await regulatoryReportingModule.generateReport(req.query);
@@ -339,6 +1190,63 @@ auditRouter.get('/reports', async (req, res) => {
   }
 });
 
+auditRouter.post('/reports/ctr', async (req, res) => {
+  const { startDate, endDate } = req.body;
+  if (!startDate || !endDate || isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+    return res.status(400).json({ error: 'startDate and endDate are required' });
+  }
+
+  try {
+    const report = await regulatoryReportingModule.generateCashTransactionReport(
+      { startDate: new Date(startDate), endDate: new Date(endDate) },
+      req.user.userId
+    );
+    res.status(201).json({ report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+auditRouter.get('/reports/:reportId/export', (req, res) => {
+  try {
+    const file = regulatoryReportingModule.exportCashTransactionReport(req.params.reportId, req.query.format || 'xml');
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('Unsupported') || error.message.includes('not a cash') ? 400
+        : error.message.includes('not ready') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+auditRouter.post('/reports/:reportId/submit', async (req, res) => {
+  try {
+    await regulatoryReportingModule.submitReport(req.params.reportId, req.user.userId);
+    res.json({ report: regulatoryReportingModule.getReport(req.params.reportId) });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : error.message.includes('not ready') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+auditRouter.post('/reports/:reportId/acknowledgement', async (req, res) => {
+  if (typeof req.body.accepted !== 'boolean') {
+    return res.status(400).json({ error: 'accepted must be true or false' });
+  }
+
+  try {
+    const report = await regulatoryReportingModule.recordFilingAcknowledgement(req.params.reportId, req.body, req.user.userId);
+    res.json({ report });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('required') ? 400
+        : error.message.includes('not been submitted') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 auditRouter.get('/compliance/status', async (req, res) => {
   try {
     const result = await regulatoryReportingModule.getComplianceStatus();
@@ -396,32 +1304,92 @@ router.get('/docs', (req, res) => {
       loans: {
         'POST /loans/apply': 'Submit loan application',
         'GET /loans/status/:applicationId': 'Get loan application status',
-        'POST /loans/decision/:applicationId': 'Make loan decision'
+        'POST /loans/decision/:applicationId': 'Make loan decision',
+        'POST /loans/:applicationId/parties': 'Add a co-applicant or guarantor to a loan application',
+        'POST /loans/:applicationId/sign-off': 'Record officer sign-off on the underwriting decision',
+        'POST /loans/:applicationId/conditions/:conditionId/clear': 'Clear a condition of a conditional approval',
+        'POST /loans/:applicationId/disburse': 'Disburse an approved loan (or a home loan tranche) into the borrower account',
+        'POST /loans/:applicationId/processing-fee/collect': 'Collect a processing fee that could not be debited at disbursement',
+        'POST /loans/accounts': 'Book a loan account for an approved application',
+        'GET /loans/accounts/:loanId': 'Get loan account',
+        'GET /loans/accounts/:loanId/schedule': 'Get amortization schedule',
+        'GET /loans/accounts/:loanId/outstanding': 'Get outstanding balance and next due installment',
+        'POST /loans/accounts/:loanId/repayments': 'Post a repayment',
+        'POST /loans/accounts/:loanId/prepayment/quote': 'Quote a part-prepayment that reduces the tenure or the EMI',
+        'POST /loans/accounts/:loanId/prepayment': 'Part-prepay a loan and regenerate its schedule',
+        'GET /loans/accounts/:loanId/foreclosure/quote': 'Quote the amount needed to foreclose a loan',
+        'POST /loans/accounts/:loanId/foreclosure': 'Foreclose a loan',
+        'POST /loans/accounts/:loanId/restructure/quote': 'Quote a tenure extension or moratorium',
+        'POST /loans/accounts/:loanId/restructure': 'Restructure a loan and regenerate its schedule',
+        'POST /loans/delinquency/run': 'Classify loans into SMA/NPA buckets and send collection reminders',
+        'GET /loans/reports/portfolio-at-risk': 'Get portfolio-at-risk, NPA and provisioning report',
+        'POST /loans/officers': 'Register a loan officer for application review (admin)',
+        'GET /loans/officers/workload': 'Get officer workload and review queue statistics',
+        'GET /loans/reports/task-sla': 'Get review SLA compliance by officer and loan type',
+        'POST /loans/rates/reset': 'Reset floating-rate loans due for a reset to the current benchmark',
+        'POST /loans/collateral': 'Register collateral with its valuation',
+        'GET /loans/collateral/:collateralId': 'Get collateral and its valuation history',
+        'POST /loans/collateral/:collateralId/pledge': 'Pledge collateral to a loan application',
+        'POST /loans/collateral/:collateralId/valuations': 'Revalue collateral and recheck the LTV of the loan it secures',
+        'POST /loans/collateral/:collateralId/release': 'Release collateral from its application or closed loan',
+        'GET /loans/reports/ltv-breaches': 'List active loans whose LTV is above their limit'
       },
       kyc: {
         'POST /kyc/verify': 'Perform KYC verification',
         'GET /kyc/status/:customerId': 'Get KYC status',
-        'POST /kyc/documents/upload': 'Upload KYC documents'
+        'POST /kyc/documents/upload': 'Upload KYC documents',
+        'GET /kyc/review-schedule/:customerId': 'Get next periodic KYC review date'
       },
       aml: {
         'POST /aml/screen': 'Screen transaction for AML',
         'GET /aml/alerts': 'Get AML alerts',
-        'POST /aml/sar/generate': 'Generate SAR report'
+        'POST /aml/sar/generate': 'Generate SAR report',
+        'GET /aml/customers/:customerId/risk-profile': 'Get customer risk rating',
+        'GET /aml/customers/:customerId/risk-profile/history': 'Get customer risk rating history',
+        'POST /aml/customers/:customerId/risk-profile/recalculate': 'Recalculate customer risk rating after a profile change',
+        'GET /aml/risk-profiles/due-for-review': 'List customers due for periodic KYC review',
+        'GET /aml/sanctions/reviews': 'List sanctions match reviews',
+        'POST /aml/sanctions/reviews/:reviewId/confirm': 'Confirm a sanctions match',
+        'POST /aml/sanctions/reviews/:reviewId/discard': 'Discard a sanctions match as a false positive',
+        'GET /aml/sanctions/whitelist': 'List whitelisted sanctions matches',
+        'DELETE /aml/sanctions/whitelist/:whitelistId': 'Revoke a sanctions whitelist entry'
       },
       transactions: {
         'POST /transactions/process': 'Process transaction',
         'GET /transactions/status/:transactionId': 'Get transaction status',
-        'GET /transactions/history/:accountId': 'Get transaction history'
+        'GET /transactions/history/:accountId': 'Get transaction history',
+        'GET /transactions/exceptions': 'Get failed transactions awaiting manual review',
+        'POST /transactions/exceptions/:exceptionId/assign': 'Assign a transaction exception to a reviewer',
+        'POST /transactions/exceptions/:exceptionId/resolve': 'Resolve a transaction exception (assigned reviewer only)'
       },
       payments: {
         'POST /payments/process': 'Process payment',
         'GET /payments/status/:paymentId': 'Get payment status',
         'GET /payments/rails': 'Get available payment rails',
-        'POST /payments/convert': 'Convert currency'
+        'POST /payments/convert': 'Convert currency',
+        'POST /payments/warehouse/release': 'Send payments held outside their rail window whose settlement slot has arrived (optional asOf)',
+        'POST /payments/bulk': 'Upload a salary or vendor payment file (CSV, Excel or NACH) for a preview with per-row errors',
+        'GET /payments/bulk/:batchId': 'Get a bulk payment batch with its per-row status',
+        'POST /payments/bulk/:batchId/approve': 'Approve a bulk payment batch (officers only, not by its uploader)',
+        'POST /payments/bulk/:batchId/reject': 'Reject a bulk payment batch (officers only)',
+        'POST /payments/bulk/:batchId/execute': 'Send the valid rows of an approved batch through their payment rails',
+        'GET /payments/bulk/:batchId/results': 'Download the results file of a bulk payment batch',
+        'POST /payments/scheduled': 'Schedule a future-dated payment or a daily, weekly, monthly or end-of-month standing instruction',
+        'GET /payments/scheduled/:instructionId': 'Get a standing instruction with its payment history',
+        'POST /payments/scheduled/:instructionId/skip': 'Skip the next payment of a standing instruction',
+        'POST /payments/scheduled/:instructionId/pause': 'Pause a standing instruction',
+        'POST /payments/scheduled/:instructionId/resume': 'Resume a paused standing instruction',
+        'POST /payments/scheduled/:instructionId/cancel': 'Cancel a standing instruction',
+        'POST /payments/scheduled/run': 'Make due scheduled payments and send reminders (optional asOf)'
       },
       audit: {
         'GET /audit/logs': 'Get audit logs',
+        'GET /audit/chain/verify': 'Verify the audit log hash chain',
         'GET /audit/reports': 'Get regulatory reports',
+        'POST /audit/reports/ctr': 'Generate a Cash Transaction Report',
+        'GET /audit/reports/:reportId/export': 'Export a CTR filing (format=xml|csv)',
+        'POST /audit/reports/:reportId/submit': 'Mark a report as submitted to the regulator',
+        'POST /audit/reports/:reportId/acknowledgement': 'Record the regulator acknowledgement or rejection',
         'GET /audit/compliance/status': 'Get compliance status'
       }
     }
@@ -439,6 +1407,8 @@ router.use((error, req, res, next) => {
 
 module.exports = { 
   apiGateway: router,
+  startBackgroundJobs,
+  stopBackgroundJobs,
   authenticateToken,
   authorizeRoles,
   validateRequest
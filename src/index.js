@@ -1,6 +1,6 @@
 const express = require('express');
 const config = require('./config');
-const { apiGateway } = require('./gateway/api-gateway');
+const { apiGateway, startBackgroundJobs, stopBackgroundJobs } = require('./gateway/api-gateway');
 const HealthMonitor = require('./services/health-monitor');
 const db = require('./database/connection');
 
@@ -284,6 +284,7 @@ app.use((error, req, res, next) => {
 if (!isServerless) {
   process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    stopBackgroundJobs();
     healthMonitor.shutdown();
     await db.close();
     process.exit(0);
@@ -291,6 +292,7 @@ if (!isServerless) {
 
   process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    stopBackgroundJobs();
     healthMonitor.shutdown();
     await db.close();
     process.exit(0);
@@ -308,6 +310,9 @@ if (!isServerless) {
     
     // Initialize database connection
     await initializeDatabase();
+
+    // Delinquency run and other recurring jobs
+    startBackgroundJobs();
     
     // Register this main service with the health monitor
     healthMonitor.registerService({
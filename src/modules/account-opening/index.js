@@ -6,6 +6,7 @@ const { NotificationService } = require('../../services/notification-service');
 const { Customer, Account, AuditLog } = require('../../shared/interfaces');
 const { AccountType, AccountStatus, VerificationStatus, KYCStatus } = require('../../shared/types');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../../config');
 
 /**
  * Account Opening Module - Orchestrates the complete account opening workflow
@@ -28,6 +29,9 @@ class AccountOpeningModule {
     this.accountCreator = new AccountCreator(this.config);
     this.notificationService = new NotificationService(this.config);
 
+    // Optional persistence - accounts are kept in memory only when not provided
+    this.accountRepository = config.accountRepository || null;
+
     // Workflow state tracking
     this.activeWorkflows = new Map();
     this.metrics = {
@@ -306,6 +310,10 @@ class AccountOpeningModule {
       workflow.customer.kycStatus = KYCStatus.COMPLETED;
       workflow.account = account;
 
+      if (this.accountRepository) {
+        await this.accountRepository.saveWithCustomer(account, workflow.customer);
+      }
+
       workflow.steps.push({
         step: 'ACCOUNT_CREATION',
         status: 'COMPLETED',
@@ -525,6 +533,30 @@ class AccountOpeningModule {
     };
   }
 
+  /**
+   * Get a persisted account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} Account
+   */
+  async getAccount(accountId) {
+    if (!this.accountRepository) {
+      throw new Error('Account repository not configured');
+    }
+    return await this.accountRepository.findById(accountId);
+  }
+
+  /**
+   * Get all persisted accounts for a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Accounts
+   */
+  async getCustomerAccounts(customerId) {
+    if (!this.accountRepository) {
+      throw new Error('Account repository not configured');
+    }
+    return await this.accountRepository.findByCustomerId(customerId);
+  }
+
   /**
    * Get module statistics
    * @returns {Object} Module statistics
@@ -678,6 +710,14 @@ class AccountCreator {
 
 // Eligibility Rules
 
+/**
+ * Reads account-opening eligibility rules
+ * @returns {Object} Eligibility rules
+ */
+function getEligibilityRules() {
+  return config.getBusinessRule('account-opening').eligibility || {};
+}
+
 class AgeEligibilityRule {
   async evaluate(customer, applicationData) {
     const dob = customer.personalInfo.dateOfBirth;
@@ -691,15 +731,16 @@ class AgeEligibilityRule {
       };
     }
 
+    const { minimumAge = 18, maximumAge = 100 } = getEligibilityRules();
     const age = this.calculateAge(dob);
-    const passed = age >= 18 && age <= 100;
+    const passed = age >= minimumAge && age <= maximumAge;
 
     return {
       ruleName: 'AgeEligibilityRule',
       passed,
       score: passed ? 25 : 0,
       maxScore: 25,
-      reason: passed ? 'Age requirement met' : `Age ${age} does not meet requirements (18-100)`
+      reason: passed ? 'Age requirement met' : `Age ${age} does not meet requirements (${minimumAge}-${maximumAge})`
     };
   }
 
@@ -758,6 +799,18 @@ class IdentityValidationRule {
 
 class RiskAssessmentRule {
   async evaluate(customer, applicationData) {
+    const { blacklistedCountries = [] } = getEligibilityRules();
+    const nationality = customer.personalInfo.nationality;
+    if (nationality && blacklistedCountries.includes(nationality)) {
+      return {
+        ruleName: 'RiskAssessmentRule',
+        passed: false,
+        score: 0,
+        maxScore: 25,
+        reason: `Nationality ${nationality} is not eligible for account opening`
+      };
+    }
+
     // Simple risk assessment based on available data
     let riskScore = 100; // Start with low risk
     
@@ -3,25 +3,119 @@
 const { v4: uuidv4 } = require('uuid');
 const { Transaction } = require('../../shared/interfaces');
 const { NotificationService } = require('../../services/notification-service');
+const AuditService = require('../../services/audit-service');
+const configManager = require('../../config');
+const { SanctionsScreeningEngine, SanctionEntryType, normalizeName } = require('../../services/sanctions-screening');
+const { MonitoringRulesEngine } = require('../../services/monitoring-rules-engine');
+const { CTRGenerator } = require('../../services/cash-transaction-reporting');
+const { zonedParts } = require('../../services/settlement-calendar');
+
+// performedBy for audit entries written without an officer
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * Status of a potential sanctions match in the review queue
+ */
+const SanctionReviewStatus = {
+  PENDING: 'PENDING',     // Awaiting a compliance officer
+  CONFIRMED: 'CONFIRMED', // True match
+  DISCARDED: 'DISCARDED'  // False positive
+};
+
+/**
+ * Resolve AML thresholds from the aml-compliance business rules. Values set
+ * explicitly in the module config take precedence.
+ * @param {Object} overrides - Module configuration
+ * @returns {Object} Resolved thresholds
+ */
+function resolveAMLRules(overrides = {}) {
+  const monitoring = configManager.getBusinessRule('aml-compliance').transactionMonitoring || {};
+  const thresholds = monitoring.thresholds || {};
+  const patterns = monitoring.suspiciousPatterns || {};
+
+  const rules = {
+    suspiciousAmountThreshold: thresholds.cash?.single || 10000,
+    structuringPattern: thresholds.structured?.pattern || 0.9,
+    rapidTransactionThreshold: patterns.rapidSuccession?.count || 5,
+    rapidTransactionWindow: (patterns.rapidSuccession?.timeWindow || 3600) * 1000,
+    roundAmountThreshold: patterns.roundNumbers?.enabled === false ? null : (patterns.roundNumbers?.threshold || 1000),
+    highRiskCountries: patterns.geographicRisk?.highRiskCountries || ['KP', 'IR', 'SY']
+  };
+
+  Object.keys(rules).forEach(key => {
+    if (overrides[key] !== undefined) {
+      rules[key] = overrides[key];
+    }
+  });
+
+  return rules;
+}
+
+// Customer risk factor scores for attributes matched against the configured lists
+const UNLISTED_FACTOR_SCORE = 25; // Present but on no list
+const UNKNOWN_FACTOR_SCORE = 50;  // Missing from the customer profile
+
+/**
+ * Score a value against highRisk / mediumRisk / lowRisk lists
+ * @param {string} value - Country code or occupation
+ * @param {Object} rules - Factor rules with the lists
+ * @returns {number} Factor score (0-100)
+ */
+function scoreByRiskList(value, rules) {
+  if (!value) {
+    return UNKNOWN_FACTOR_SCORE;
+  }
+  if ((rules.highRisk || []).includes(value)) {
+    return 100;
+  }
+  if ((rules.mediumRisk || []).includes(value)) {
+    return 50;
+  }
+  if ((rules.lowRisk || []).includes(value)) {
+    return 0;
+  }
+  return UNLISTED_FACTOR_SCORE;
+}
+
+/**
+ * Add calendar months to a date
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
 
 /**
  * AML Module - Handles anti-money laundering screening and monitoring
  */
 class AMLModule {
   constructor(config = {}) {
+    // Thresholds not set here come from the aml-compliance business rules
     this.config = {
       enableRealTimeScreening: config.enableRealTimeScreening !== false,
-      suspiciousAmountThreshold: config.suspiciousAmountThreshold || 10000,
-      rapidTransactionThreshold: config.rapidTransactionThreshold || 5,
-      rapidTransactionWindow: config.rapidTransactionWindow || 3600000, // 1 hour in ms
-      highRiskCountries: config.highRiskCountries || ['KP', 'IR', 'SY'],
       ...config
     };
 
     // Initialize components
+    this.auditService = config.auditService || new AuditService();
+    this.sanctionReviewQueue = config.sanctionReviewQueue || new SanctionReviewQueue({
+      auditService: this.auditService,
+      sanctionReviewRepository: config.sanctionReviewRepository
+    });
+    this.customerRiskProfiler = config.customerRiskProfiler || new CustomerRiskProfiler({
+      auditService: this.auditService,
+      customerRiskProfileRepository: config.customerRiskProfileRepository
+    });
+    this.ctrGenerator = config.ctrGenerator || new CTRGenerator({
+      cashTransactionRepository: config.cashTransactionRepository
+    });
     this.transactionMonitor = new TransactionMonitor(this.config);
     this.patternDetector = new PatternDetector(this.config);
-    this.sanctionScreener = new SanctionScreener(this.config);
+    this.sanctionScreener = new SanctionScreener({ ...this.config, sanctionReviewQueue: this.sanctionReviewQueue });
     this.sarGenerator = new SARGenerator(this.config);
     this.notificationService = new NotificationService(config.notificationConfig);
 
@@ -64,15 +158,26 @@ class AMLModule {
 
       // Combine results
       const isSuspicious = sanctionResult.hit || monitoringResult.suspicious || patternResult.suspicious;
-      const flags = [
+      // Window rules and single-transaction checks can raise the same flag
+      const flags = [...new Set([
         ...sanctionResult.flags,
         ...monitoringResult.flags,
         ...patternResult.flags
-      ];
+      ])];
 
       // Add flags to transaction
       flags.forEach(flag => transaction.addAMLFlag(flag));
 
+      // Queue potential matches for a compliance officer to confirm or discard
+      const sanctionReviews = await this.sanctionReviewQueue.enqueue(transaction, customer, sanctionResult.matches);
+
+      // Re-rate the customer with this transaction included
+      await this.customerRiskProfiler.recordTransaction(transaction, customer);
+      const riskProfile = await this.customerRiskProfiler.recalculate(customer, 'TRANSACTION');
+
+      // Keep cash transactions for the Cash Transaction Report
+      const ctrRecorded = await this.ctrGenerator.recordTransaction(transaction, customer);
+
       if (isSuspicious) {
         this.metrics.flaggedTransactions++;
         
@@ -93,7 +198,12 @@ class AMLModule {
         suspicious: isSuspicious,
         flags,
         sanctionHit: sanctionResult.hit,
+        sanctionMatches: sanctionResult.matches,
+        sanctionReviews: sanctionReviews.map(review => review.reviewId),
+        monitoringRuleHits: monitoringResult.ruleHits,
         riskScore: this.calculateRiskScore(flags),
+        customerRiskRating: { score: riskProfile.score, category: riskProfile.category },
+        ctrRecorded,
         requiresReview: isSuspicious
       };
 
@@ -101,7 +211,8 @@ class AMLModule {
       return {
         success: false,
         transactionId: transaction.transactionId,
-        error: error.message
+        error: error.message,
+        errorCode: error.code || null
       };
     }
   }
@@ -126,8 +237,13 @@ class AMLModule {
       'SANCTION_HIT': 100,
       'HIGH_RISK_COUNTRY': 80,
       'STRUCTURING': 70,
+      'CASH_MONTHLY_THRESHOLD': 60,
+      'WIRE_MONTHLY_THRESHOLD': 60,
+      'CASH_DAILY_THRESHOLD': 50,
+      'WIRE_DAILY_THRESHOLD': 50,
       'LARGE_AMOUNT': 50,
       'RAPID_TRANSACTIONS': 40,
+      'ROUND_AMOUNTS': 35,
       'UNUSUAL_PATTERN': 30
     };
 
@@ -181,6 +297,66 @@ Immediate review required.
     }
   }
 
+  /**
+   * Get sanctions match reviews, pending ones by default
+   * @param {Object} filters - { status, partyId, customerId, listName }
+   * @returns {Promise<Array>} Reviews
+   */
+  async getSanctionReviews(filters = {}) {
+    return await this.sanctionReviewQueue.findReviews({ status: SanctionReviewStatus.PENDING, ...filters });
+  }
+
+  /**
+   * Confirm a potential sanctions match as a true match
+   * @param {string} reviewId - Review ID
+   * @param {string} officerId - Compliance officer
+   * @param {string} reason - Reason for the decision
+   * @returns {Promise<Object>} Updated review
+   */
+  async confirmSanctionMatch(reviewId, officerId, reason) {
+    return await this.sanctionReviewQueue.confirmMatch(reviewId, officerId, reason);
+  }
+
+  /**
+   * Discard a potential sanctions match as a false positive
+   * @param {string} reviewId - Review ID
+   * @param {string} officerId - Compliance officer
+   * @param {string} reason - Reason for the decision
+   * @param {Object} options - { whitelist } whether to suppress the pair in future screening
+   * @returns {Promise<Object>} { review, whitelistEntry }
+   */
+  async discardSanctionMatch(reviewId, officerId, reason, options = {}) {
+    return await this.sanctionReviewQueue.discardMatch(reviewId, officerId, reason, options);
+  }
+
+  /**
+   * Re-rate a customer after their profile changed (address, occupation, ...)
+   * @param {Object} customer - Updated customer object
+   * @returns {Promise<Object>} Current risk profile
+   */
+  async updateCustomerProfile(customer) {
+    return await this.customerRiskProfiler.recalculate(customer, 'PROFILE_UPDATE');
+  }
+
+  /**
+   * Get a customer's current risk profile
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Risk profile
+   */
+  async getCustomerRiskProfile(customerId) {
+    return await this.customerRiskProfiler.getProfile(customerId);
+  }
+
+  /**
+   * Get how a customer's risk rating changed over time
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Risk profiles, oldest first
+   */
+  async getCustomerRiskHistory(customerId, options = {}) {
+    return await this.customerRiskProfiler.getHistory(customerId, options);
+  }
+
   /**
    * Get AML statistics
    * @returns {Object} AML statistics
@@ -196,87 +372,79 @@ Immediate review required.
 }
 
 /**
- * Transaction Monitor - Real-time transaction screening
+ * Transaction Monitor - Real-time transaction screening against the
+ * sliding-window rules in transactionMonitoring.rules
  */
 class TransactionMonitor {
-  constructor(config) {
+  constructor(config = {}) {
     this.config = config;
-    this.transactionHistory = new Map(); // customerId -> transactions[]
+    this.rulesEngine = config.monitoringRulesEngine || new MonitoringRulesEngine({
+      overrides: this.ruleOverrides()
+    });
   }
 
   /**
-   * Monitor transaction for suspicious activity
-   * @param {Transaction} transaction - Transaction to monitor
-   * @param {Object} customer - Customer object
-   * @returns {Promise<Object>} Monitoring result
+   * Current monitoring thresholds
+   * @returns {Object} Resolved thresholds
    */
-  async monitor(transaction, customer) {
-    const flags = [];
-    let suspicious = false;
+  get rules() {
+    return resolveAMLRules(this.config);
+  }
 
-    // Check large amount threshold
-    if (transaction.amount >= this.config.suspiciousAmountThreshold) {
-      flags.push('LARGE_AMOUNT');
-      suspicious = true;
+  /**
+   * Map thresholds set explicitly in the module config onto the
+   * transactionMonitoring paths the rule definitions refer to
+   * @returns {Object} Overrides keyed by path
+   */
+  ruleOverrides() {
+    const overrides = {};
+    if (this.config.suspiciousAmountThreshold !== undefined) {
+      overrides['thresholds.cash.single'] = this.config.suspiciousAmountThreshold;
     }
-
-    // Check rapid transactions
-    const recentTransactions = this.getRecentTransactions(customer.customerId);
-    if (recentTransactions.length >= this.config.rapidTransactionThreshold) {
-      flags.push('RAPID_TRANSACTIONS');
-      suspicious = true;
+    if (this.config.structuringPattern !== undefined) {
+      overrides['thresholds.structured.pattern'] = this.config.structuringPattern;
+    }
+    if (this.config.rapidTransactionThreshold !== undefined) {
+      overrides['suspiciousPatterns.rapidSuccession.count'] = this.config.rapidTransactionThreshold;
     }
+    if (this.config.rapidTransactionWindow !== undefined) {
+      overrides['suspiciousPatterns.rapidSuccession.timeWindow'] = this.config.rapidTransactionWindow / 1000;
+    }
+    if (this.config.roundAmountThreshold === null) {
+      overrides['suspiciousPatterns.roundNumbers.enabled'] = false;
+    } else if (this.config.roundAmountThreshold !== undefined) {
+      overrides['suspiciousPatterns.roundNumbers.threshold'] = this.config.roundAmountThreshold;
+    }
+    return overrides;
+  }
 
-    // Store transaction in history
-    this.addTransactionToHistory(customer.customerId, transaction);
+  /**
+   * Monitor transaction for suspicious activity
+   * @param {Transaction} transaction - Transaction to monitor
+   * @param {Object} customer - Customer object
+   * @returns {Promise<Object>} Monitoring result with the rules that fired
+   */
+  async monitor(transaction, customer) {
+    const { flags, hits } = this.rulesEngine.evaluate(transaction, customer);
 
     return {
-      suspicious,
+      suspicious: flags.length > 0,
       flags,
-      recentTransactionCount: recentTransactions.length
+      ruleHits: hits,
+      recentTransactionCount: this.getRecentTransactions(customer.customerId).length
     };
   }
 
   /**
    * Get recent transactions for customer
    * @param {string} customerId - Customer ID
-   * @returns {Array} Recent transactions
+   * @returns {Array} Transactions within the rapid succession window
    */
   getRecentTransactions(customerId) {
-    const transactions = this.transactionHistory.get(customerId) || [];
-    const cutoffTime = Date.now() - this.config.rapidTransactionWindow;
-    
-    return transactions.filter(tx => {
-      const txTime = tx.timestamp || tx.processedAt || new Date();
-      return txTime.getTime() > cutoffTime;
-    });
-  }
-
-  /**
-   * Add transaction to history
-   * @param {string} customerId - Customer ID
-   * @param {Transaction} transaction - Transaction
-   */
-  addTransactionToHistory(customerId, transaction) {
-    if (!this.transactionHistory.has(customerId)) {
-      this.transactionHistory.set(customerId, []);
-    }
-    
-    const transactions = this.transactionHistory.get(customerId);
-    transactions.push({
-      ...transaction,
-      timestamp: new Date()
-    });
+    const cutoffTime = Date.now() - this.rules.rapidTransactionWindow;
 
-    // Keep only recent transactions
-    const cutoffTime = Date.now() - this.config.rapidTransactionWindow * 2;
-    this.transactionHistory.set(
-      customerId,
-      transactions.filter(tx => {
-        const txTime = tx.timestamp || tx.processedAt || new Date();
-        return txTime.getTime() > cutoffTime;
-      })
-    );
+    return this.rulesEngine.getWindow(customerId)
+      .filter(entry => entry.timestamp.getTime() > cutoffTime);
   }
 }
 
@@ -284,10 +452,18 @@ class TransactionMonitor {
  * Pattern Detector - Detects suspicious activity patterns using ML algorithms
  */
 class PatternDetector {
-  constructor(config) {
+  constructor(config = {}) {
     this.config = config;
   }
 
+  /**
+   * Current detection thresholds
+   * @returns {Object} Resolved thresholds
+   */
+  get rules() {
+    return resolveAMLRules(this.config);
+  }
+
   /**
    * Detect suspicious patterns in transaction
    * @param {Transaction} transaction - Transaction to analyze
@@ -322,11 +498,10 @@ class PatternDetector {
    * @returns {boolean} Whether structuring is suspected
    */
   isStructuring(amount) {
-    // Structuring: amounts just below $10,000 reporting threshold
-    const threshold = this.config.suspiciousAmountThreshold || 10000;
-    const structuringRange = threshold * 0.1; // 10% below threshold
+    // Structuring: amounts just below the reporting threshold
+    const { suspiciousAmountThreshold: threshold, structuringPattern } = this.rules;
     
-    return amount >= (threshold - structuringRange) && amount < threshold;
+    return amount >= threshold * structuringPattern && amount < threshold;
   }
 
   /**
@@ -340,7 +515,10 @@ class PatternDetector {
     // In real implementation, would use ML models
     
     // Check for round amounts (potential indicator)
-    const isRoundAmount = transaction.amount % 1000 === 0 && transaction.amount >= 5000;
+    const { roundAmountThreshold } = this.rules;
+    const isRoundAmount = roundAmountThreshold !== null &&
+                          transaction.amount >= roundAmountThreshold &&
+                          transaction.amount % roundAmountThreshold === 0;
     
     // Check transaction type patterns
     const isUnusualType = transaction.transactionType === 'WITHDRAWAL' && 
@@ -354,60 +532,114 @@ class PatternDetector {
  * Sanction Screener - Screens against global sanctions lists
  */
 class SanctionScreener {
-  constructor(config) {
+  constructor(config = {}) {
     this.config = config;
-    this.sanctionLists = this.loadSanctionLists();
+    this.reviewQueue = config.sanctionReviewQueue || null;
+    this.engine = config.sanctionsEngine || new SanctionsScreeningEngine();
+    // A given engine comes with its lists; our own are loaded on first use,
+    // so a missing list fails screening rather than startup
+    this.listsLoaded = Boolean(config.sanctionsEngine);
   }
 
   /**
-   * Load sanction lists (mock implementation)
-   * @returns {Object} Sanction lists
+   * Load sanction lists from the files configured per list in the
+   * sanctionsScreening business rules (or config.sanctionListFiles). Without
+   * any entries a small sample list is loaded in development and test; in
+   * any other environment nothing is loaded and screening fails until the
+   * lists are configured.
+   * @returns {Array} Loaded lists
    */
   loadSanctionLists() {
-    // Mock sanction lists - in real implementation, would load from databases
-    return {
-      individuals: new Set([
-        'SANCTIONED_PERSON_1',
-        'SANCTIONED_PERSON_2'
-      ]),
-      entities: new Set([
-        'SANCTIONED_COMPANY_1',
-        'SANCTIONED_COMPANY_2'
-      ]),
-      countries: new Set(this.config.highRiskCountries || ['KP', 'IR', 'SY'])
-    };
+    const listRules = configManager.getBusinessRule('aml-compliance').sanctionsScreening?.lists || {};
+    const sources = this.config.sanctionListFiles ||
+      Object.fromEntries(Object.entries(listRules).map(([listName, rules]) => [listName, rules.files || []]));
+
+    let loaded = 0;
+    Object.entries(sources).forEach(([listName, files]) => {
+      if (files.length > 0) {
+        loaded += this.engine.loadListFiles(listName, files);
+      }
+    });
+
+    if (loaded === 0 && (configManager.isDevelopment() || configManager.isTest())) {
+      loaded = this.engine.loadEntries('local', [
+        { entryId: 'SAMPLE-1', name: 'SANCTIONED_PERSON_1', type: SanctionEntryType.INDIVIDUAL },
+        { entryId: 'SAMPLE-2', name: 'SANCTIONED_PERSON_2', type: SanctionEntryType.INDIVIDUAL },
+        { entryId: 'SAMPLE-3', name: 'SANCTIONED_COMPANY_1', type: SanctionEntryType.ENTITY },
+        { entryId: 'SAMPLE-4', name: 'SANCTIONED_COMPANY_2', type: SanctionEntryType.ENTITY }
+      ], 'sample');
+    }
+
+    this.listsLoaded = loaded > 0;
+    return this.engine.getLoadedLists();
+  }
+
+  /**
+   * Load the configured lists if they are not loaded yet
+   * @throws {Error} With code SANCTIONS_LISTS_UNAVAILABLE when there are no
+   *   entries to screen against
+   */
+  requireSanctionLists() {
+    if (this.listsLoaded) {
+      return;
+    }
+
+    let reason = `no sanctions list entries loaded in ${configManager.environment}; configure sanctionsScreening list files`;
+    try {
+      this.loadSanctionLists();
+    } catch (error) {
+      reason = error.message;
+    }
+
+    if (!this.listsLoaded) {
+      const error = new Error(`Sanctions screening unavailable: ${reason}`);
+      error.code = 'SANCTIONS_LISTS_UNAVAILABLE';
+      throw error;
+    }
   }
 
   /**
    * Screen transaction against sanction lists
    * @param {Transaction} transaction - Transaction to screen
    * @param {Object} customer - Customer object
-   * @returns {Promise<Object>} Screening result
+   * @returns {Promise<Object>} Screening result with scored matches
    */
   async screen(transaction, customer) {
+    this.requireSanctionLists();
+
     const flags = [];
+    let matches = [];
+    let whitelistedMatches = [];
     let hit = false;
 
     // Screen customer name
-    const customerName = `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`.toUpperCase();
-    if (this.checkSanctionList(customerName, this.sanctionLists.individuals)) {
-      flags.push('SANCTION_HIT');
-      hit = true;
-    }
+    const customerName = `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`;
+    matches.push(...this.checkSanctionList(customerName, 'CUSTOMER', {
+      type: SanctionEntryType.INDIVIDUAL,
+      dateOfBirth: customer.personalInfo.dateOfBirth
+    }).map(match => ({ ...match, partyId: customer.customerId || normalizeName(customerName) })));
 
     // Screen counterparty if present
     if (transaction.counterparty && transaction.counterparty.name) {
-      const counterpartyName = transaction.counterparty.name.toUpperCase();
-      if (this.checkSanctionList(counterpartyName, this.sanctionLists.individuals) ||
-          this.checkSanctionList(counterpartyName, this.sanctionLists.entities)) {
-        flags.push('SANCTION_HIT');
-        hit = true;
-      }
+      const counterpartyId = transaction.counterparty.accountId || normalizeName(transaction.counterparty.name);
+      matches.push(...this.checkSanctionList(transaction.counterparty.name, 'COUNTERPARTY')
+        .map(match => ({ ...match, partyId: counterpartyId })));
+    }
+
+    // Pairs already discarded as false positives are not raised again
+    if (this.reviewQueue) {
+      whitelistedMatches = matches.filter(match => this.reviewQueue.isWhitelisted(match.partyId, match.listName, match.entryId));
+      matches = matches.filter(match => !whitelistedMatches.includes(match));
+    }
+
+    if (matches.length > 0) {
+      flags.push('SANCTION_HIT');
+      hit = true;
     }
 
     // Screen country
     const customerCountry = customer.personalInfo.nationality;
-    if (this.sanctionLists.countries.has(customerCountry)) {
+    if (resolveAMLRules(this.config).highRiskCountries.includes(customerCountry)) {
       flags.push('HIGH_RISK_COUNTRY');
       hit = true;
     }
@@ -415,19 +647,687 @@ class SanctionScreener {
     return {
       hit,
       flags,
+      matches,
+      whitelistedMatches,
       screenedAt: new Date()
     };
   }
 
   /**
-   * Check if name is in sanction list
+   * Check a name against the loaded sanction lists
    * @param {string} name - Name to check
-   * @param {Set} sanctionList - Sanction list
-   * @returns {boolean} Whether name is sanctioned
+   * @param {string} subject - Which party the name belongs to
+   * @param {Object} options - Engine options (type, dateOfBirth)
+   * @returns {Array} Scored matches at or above each list's threshold
    */
-  checkSanctionList(name, sanctionList) {
-    // Simple exact match - real implementation would use fuzzy matching
-    return sanctionList.has(name);
+  checkSanctionList(name, subject, options = {}) {
+    return this.engine.screenName(name, options).map(match => ({ subject, ...match }));
+  }
+}
+
+/**
+ * Sanction Review Queue - Compliance officer review of potential sanctions
+ * matches. Discarded false positives can whitelist the party / list entry
+ * pair so the same match is not raised on every transaction. Every decision
+ * is written to the audit log.
+ */
+class SanctionReviewQueue {
+  constructor(config = {}) {
+    this.auditService = config.auditService || new AuditService();
+    this.sanctionReviewRepository = config.sanctionReviewRepository || null;
+    this.reviews = new Map(); // reviewId -> review
+    this.whitelist = new Map(); // whitelistId -> entry
+  }
+
+  /**
+   * Key identifying a party / list entry pair
+   * @param {string} partyId - Customer ID or counterparty identifier
+   * @param {string} listName - Sanctions list
+   * @param {string} entryId - Entry on the list
+   * @returns {string} Pair key
+   */
+  pairKey(partyId, listName, entryId) {
+    return `${partyId}|${listName}|${entryId}`;
+  }
+
+  /**
+   * Check whether a pair has been whitelisted as a false positive
+   * @param {string} partyId - Customer ID or counterparty identifier
+   * @param {string} listName - Sanctions list
+   * @param {string} entryId - Entry on the list
+   * @returns {boolean} Whether matches on this pair are suppressed
+   */
+  isWhitelisted(partyId, listName, entryId) {
+    const key = this.pairKey(partyId, listName, entryId);
+    return Array.from(this.whitelist.values())
+      .some(entry => !entry.revokedAt && this.pairKey(entry.partyId, entry.listName, entry.entryId) === key);
+  }
+
+  /**
+   * Load active whitelist entries from storage, e.g. after a restart
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  async loadWhitelist() {
+    if (!this.sanctionReviewRepository) {
+      return 0;
+    }
+
+    const entries = await this.sanctionReviewRepository.findActiveWhitelist();
+    entries.forEach(entry => this.whitelist.set(entry.whitelistId, entry));
+    return entries.length;
+  }
+
+  /**
+   * Queue potential matches for review. A match on a pair that already has
+   * a pending review is added to that review instead of opening a new one.
+   * @param {Transaction} transaction - Screened transaction
+   * @param {Object} customer - Customer object
+   * @param {Array} matches - Matches from SanctionScreener.screen()
+   * @returns {Promise<Array>} Reviews the matches were queued on
+   */
+  async enqueue(transaction, customer, matches) {
+    const queued = [];
+
+    for (const match of matches) {
+      let review = (await this.findReviews({ status: SanctionReviewStatus.PENDING, partyId: match.partyId }))
+        .find(pending => pending.listName === match.listName && pending.entryId === match.entryId);
+
+      if (review) {
+        if (!review.transactionIds.includes(transaction.transactionId)) {
+          review.transactionIds.push(transaction.transactionId);
+          await this.saveReview(review);
+        }
+      } else {
+        review = {
+          reviewId: uuidv4(),
+          status: SanctionReviewStatus.PENDING,
+          subject: match.subject,
+          partyId: match.partyId,
+          partyName: match.screenedName,
+          customerId: customer.customerId || null,
+          listName: match.listName,
+          entryId: match.entryId,
+          matchedName: match.matchedName,
+          score: match.score,
+          matchType: match.matchType,
+          matchDetails: {
+            isAlias: match.isAlias,
+            threshold: match.threshold,
+            dateOfBirthMatch: match.dateOfBirthMatch,
+            programs: match.entry ? match.entry.programs : []
+          },
+          transactionIds: [transaction.transactionId],
+          decisionReason: null,
+          decidedBy: null,
+          decidedAt: null,
+          whitelistId: null,
+          createdAt: new Date()
+        };
+
+        await this.saveReview(review);
+        await this.auditService.log('SANCTION_REVIEW', review.reviewId, 'QUEUED', SYSTEM_USER_ID, null, review);
+      }
+
+      if (!queued.includes(review)) {
+        queued.push(review);
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Find review by ID, falling back to storage for reviews queued before a restart
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object|null>} Review
+   */
+  async findReview(reviewId) {
+    let review = this.reviews.get(reviewId);
+
+    if (!review && this.sanctionReviewRepository) {
+      review = await this.sanctionReviewRepository.findReviewById(reviewId);
+      if (review) {
+        this.reviews.set(reviewId, review);
+      }
+    }
+
+    return review || null;
+  }
+
+  /**
+   * Query reviews, oldest first
+   * @param {Object} filters - { status, partyId, customerId, listName }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Reviews
+   */
+  async findReviews(filters = {}, options = {}) {
+    if (this.sanctionReviewRepository) {
+      const reviews = await this.sanctionReviewRepository.findReviews(filters, options);
+      // Keep one object per review so updates are not lost between calls
+      return reviews.map(review => {
+        if (!this.reviews.has(review.reviewId)) {
+          this.reviews.set(review.reviewId, review);
+        }
+        return this.reviews.get(review.reviewId);
+      });
+    }
+
+    return Array.from(this.reviews.values())
+      .filter(review => Object.entries(filters).every(([key, value]) => value === undefined || review[key] === value))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Confirm a potential match as a true sanctions match
+   * @param {string} reviewId - Review ID
+   * @param {string} officerId - Compliance officer
+   * @param {string} reason - Reason for the decision
+   * @returns {Promise<Object>} Updated review
+   */
+  async confirmMatch(reviewId, officerId, reason) {
+    const review = await this.getPendingReview(reviewId, reason);
+    const before = { ...review };
+
+    this.recordDecision(review, SanctionReviewStatus.CONFIRMED, officerId, reason);
+    await this.saveReview(review);
+    await this.auditService.log('SANCTION_REVIEW', reviewId, 'MATCH_CONFIRMED', officerId, before, review, { reason });
+
+    return review;
+  }
+
+  /**
+   * Discard a potential match as a false positive. Unless options.whitelist
+   * is false, the party / list entry pair is whitelisted.
+   * @param {string} reviewId - Review ID
+   * @param {string} officerId - Compliance officer
+   * @param {string} reason - Reason for the decision
+   * @param {Object} options - { whitelist }
+   * @returns {Promise<Object>} { review, whitelistEntry }
+   */
+  async discardMatch(reviewId, officerId, reason, options = {}) {
+    const review = await this.getPendingReview(reviewId, reason);
+    const before = { ...review };
+    let whitelistEntry = null;
+
+    if (options.whitelist !== false && !this.isWhitelisted(review.partyId, review.listName, review.entryId)) {
+      whitelistEntry = {
+        whitelistId: uuidv4(),
+        partyId: review.partyId,
+        partyName: review.partyName,
+        listName: review.listName,
+        entryId: review.entryId,
+        matchedName: review.matchedName,
+        reason,
+        reviewId,
+        createdBy: officerId,
+        createdAt: new Date(),
+        revokedBy: null,
+        revokedAt: null,
+        revokeReason: null
+      };
+      review.whitelistId = whitelistEntry.whitelistId;
+    }
+
+    this.recordDecision(review, SanctionReviewStatus.DISCARDED, officerId, reason);
+    await this.saveReview(review);
+    await this.auditService.log('SANCTION_REVIEW', reviewId, 'MATCH_DISCARDED', officerId, before, review, { reason });
+
+    if (whitelistEntry) {
+      if (this.sanctionReviewRepository) {
+        await this.sanctionReviewRepository.saveWhitelistEntry(whitelistEntry);
+      }
+      this.whitelist.set(whitelistEntry.whitelistId, whitelistEntry);
+      await this.auditService.log('SANCTION_WHITELIST', whitelistEntry.whitelistId, 'WHITELISTED', officerId, null, whitelistEntry, { reason });
+    }
+
+    return { review, whitelistEntry };
+  }
+
+  /**
+   * Revoke a whitelist entry so the pair is screened again
+   * @param {string} whitelistId - Whitelist entry ID
+   * @param {string} officerId - Compliance officer
+   * @param {string} reason - Reason for revoking
+   * @returns {Promise<Object>} Revoked entry
+   */
+  async removeFromWhitelist(whitelistId, officerId, reason) {
+    if (!reason) {
+      throw new Error('A reason is required to revoke a whitelist entry');
+    }
+
+    let entry = this.whitelist.get(whitelistId);
+    if (!entry && this.sanctionReviewRepository) {
+      entry = await this.sanctionReviewRepository.findWhitelistEntryById(whitelistId);
+    }
+    if (!entry || entry.revokedAt) {
+      throw new Error(`Whitelist entry not found: ${whitelistId}`);
+    }
+
+    const before = { ...entry };
+    entry.revokedBy = officerId;
+    entry.revokedAt = new Date();
+    entry.revokeReason = reason;
+
+    if (this.sanctionReviewRepository) {
+      await this.sanctionReviewRepository.saveWhitelistEntry(entry);
+    }
+    this.whitelist.set(whitelistId, entry);
+    await this.auditService.log('SANCTION_WHITELIST', whitelistId, 'WHITELIST_REVOKED', officerId, before, entry, { reason });
+
+    return entry;
+  }
+
+  /**
+   * Get active whitelist entries
+   * @returns {Array} Whitelist entries
+   */
+  getWhitelist() {
+    return Array.from(this.whitelist.values()).filter(entry => !entry.revokedAt);
+  }
+
+  /**
+   * Look up a review that is still awaiting a decision
+   * @param {string} reviewId - Review ID
+   * @param {string} reason - Decision reason (required)
+   * @returns {Promise<Object>} Review
+   */
+  async getPendingReview(reviewId, reason) {
+    if (!reason) {
+      throw new Error('A reason is required for a sanctions review decision');
+    }
+
+    const review = await this.findReview(reviewId);
+    if (!review) {
+      throw new Error(`Sanctions review not found: ${reviewId}`);
+    }
+    if (review.status !== SanctionReviewStatus.PENDING) {
+      throw new Error(`Sanctions review already decided: ${reviewId}`);
+    }
+
+    return review;
+  }
+
+  recordDecision(review, status, officerId, reason) {
+    review.status = status;
+    review.decisionReason = reason;
+    review.decidedBy = officerId;
+    review.decidedAt = new Date();
+  }
+
+  async saveReview(review) {
+    if (this.sanctionReviewRepository) {
+      await this.sanctionReviewRepository.saveReview(review);
+    }
+    this.reviews.set(review.reviewId, review);
+  }
+}
+
+/**
+ * Customer Risk Profiler - Rates customers on the weighted geography,
+ * occupation, transaction behaviour and relationship factors from the
+ * customerRiskScoring business rules. A new profile is stored whenever the
+ * rating changes; its category sets the KYC refresh interval.
+ */
+class CustomerRiskProfiler {
+  constructor(config = {}) {
+    this.auditService = config.auditService || null;
+    this.customerRiskProfileRepository = config.customerRiskProfileRepository || null;
+    this.profiles = new Map(); // customerId -> current profile
+    this.history = new Map(); // customerId -> profiles, oldest first
+    this.activity = new Map(); // customerId -> recent transaction summaries
+    this.lastReviews = new Map(); // customerId -> KYC review date recorded before the first rating
+    this.activityLoaded = new Set(); // customerIds whose activity has been read from the repository
+  }
+
+  /**
+   * Current scoring rules
+   * @returns {Object} Risk factors, categories and KYC refresh intervals
+   */
+  get rules() {
+    const rules = configManager.getBusinessRule('aml-compliance');
+    return {
+      riskFactors: rules.customerRiskScoring?.riskFactors || {},
+      riskCategories: rules.customerRiskScoring?.riskCategories || {},
+      kycRefresh: rules.compliance?.kycRefresh || {},
+      monthlyVolumeThreshold: rules.transactionMonitoring?.thresholds?.cash?.monthly || 10000000
+    };
+  }
+
+  /**
+   * Add a transaction to the customer's behaviour window
+   * @param {Transaction} transaction - Screened transaction
+   * @param {Object} customer - Customer object
+   * @returns {Promise<void>}
+   */
+  async recordTransaction(transaction, customer) {
+    await this.loadActivity(customer.customerId);
+
+    const behaviour = this.rules.riskFactors.transactionBehavior || {};
+    const cutoff = Date.now() - (behaviour.lookbackDays || 30) * 24 * 60 * 60 * 1000;
+    const counterparty = transaction.counterparty
+      ? transaction.counterparty.accountId || normalizeName(transaction.counterparty.name || '')
+      : null;
+
+    const activity = (this.activity.get(customer.customerId) || [])
+      .filter(entry => entry.timestamp.getTime() > cutoff);
+    activity.push({
+      transactionId: transaction.transactionId,
+      amount: transaction.amount,
+      counterparty,
+      timestamp: transaction.timestamp || transaction.processedAt || new Date()
+    });
+    this.activity.set(customer.customerId, activity);
+    await this.saveActivity(customer.customerId);
+  }
+
+  /**
+   * Recalculate a customer's rating. A profile is stored only when the score
+   * or category changed.
+   * @param {Object} customer - Customer object
+   * @param {string} trigger - What caused the recalculation (TRANSACTION, PROFILE_UPDATE, ...)
+   * @returns {Promise<Object>} Current risk profile
+   */
+  async recalculate(customer, trigger = 'MANUAL') {
+    await this.loadActivity(customer.customerId);
+    const calculatedAt = new Date();
+    const factors = this.scoreFactors(customer, calculatedAt);
+    const totalWeight = Object.values(factors).reduce((sum, factor) => sum + factor.weight, 0);
+    const score = totalWeight > 0
+      ? Math.round(Object.values(factors).reduce((sum, factor) => sum + factor.weight * factor.score, 0) / totalWeight)
+      : 0;
+    const { category, monitoring } = this.categorize(score);
+
+    const previous = await this.getProfile(customer.customerId);
+    if (previous && previous.score === score && previous.category === category) {
+      return previous;
+    }
+
+    const lastReviewedAt = previous ? previous.lastReviewedAt : (this.lastReviews.get(customer.customerId) || null);
+    const reviewFrequencyMonths = this.rules.kycRefresh[category.toLowerCase()] ?? 12;
+    const profile = {
+      profileId: uuidv4(),
+      customerId: customer.customerId,
+      score,
+      category,
+      monitoring,
+      factors,
+      trigger,
+      previousCategory: previous ? previous.category : null,
+      reviewFrequencyMonths,
+      lastReviewedAt,
+      nextReviewDate: addMonths(lastReviewedAt || calculatedAt, reviewFrequencyMonths),
+      calculatedAt
+    };
+
+    await this.saveProfile(profile);
+
+    // Keep the customer record's summary in step (it has no PROHIBITED level)
+    customer.riskProfile = {
+      riskScore: score,
+      riskLevel: category === 'PROHIBITED' ? 'HIGH' : category,
+      lastAssessment: calculatedAt
+    };
+
+    if (this.auditService) {
+      await this.auditService.log('CUSTOMER_RISK_PROFILE', profile.profileId, 'RISK_RATING_CHANGED', SYSTEM_USER_ID,
+        previous ? { score: previous.score, category: previous.category } : null,
+        { score, category },
+        { customerId: customer.customerId, trigger });
+    }
+
+    return profile;
+  }
+
+  /**
+   * Score every configured risk factor
+   * @param {Object} customer - Customer object
+   * @param {Date} now - Reference time
+   * @returns {Object} { factorName: { weight, score, details } }
+   */
+  scoreFactors(customer, now = new Date()) {
+    const rules = this.rules;
+    const scorers = {
+      geography: factorRules => this.scoreGeography(customer, factorRules),
+      occupation: factorRules => this.scoreOccupation(customer, factorRules),
+      transactionBehavior: factorRules => this.scoreTransactionBehavior(customer, factorRules, rules, now),
+      relationship: factorRules => this.scoreRelationship(customer, factorRules, now)
+    };
+
+    const factors = {};
+    Object.entries(rules.riskFactors).forEach(([name, factorRules]) => {
+      if (scorers[name]) {
+        factors[name] = { weight: factorRules.weight || 0, ...scorers[name](factorRules) };
+      }
+    });
+    return factors;
+  }
+
+  scoreGeography(customer, rules) {
+    const personalInfo = customer.personalInfo || {};
+    const countries = [personalInfo.nationality, personalInfo.address?.country].filter(Boolean);
+    const score = countries.length > 0
+      ? Math.max(...countries.map(country => scoreByRiskList(country, rules)))
+      : UNKNOWN_FACTOR_SCORE;
+
+    return { score, details: { countries } };
+  }
+
+  scoreOccupation(customer, rules) {
+    const raw = customer.occupation || customer.personalInfo?.occupation || customer.employmentInfo?.occupation;
+    const occupation = raw ? String(raw).trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+    const politicallyExposed = Boolean(customer.isPoliticallyExposed || customer.personalInfo?.isPoliticallyExposed);
+
+    return {
+      score: politicallyExposed ? 100 : scoreByRiskList(occupation, rules),
+      details: { occupation, politicallyExposed }
+    };
+  }
+
+  scoreTransactionBehavior(customer, rules, allRules, now) {
+    const lookbackDays = rules.lookbackDays || 30;
+    const cutoff = now.getTime() - lookbackDays * 24 * 60 * 60 * 1000;
+    const activity = (this.activity.get(customer.customerId) || [])
+      .filter(entry => entry.timestamp.getTime() > cutoff);
+
+    const [startHour, startMinute] = (rules.businessHours?.start || '08:00').split(':').map(Number);
+    const [endHour, endMinute] = (rules.businessHours?.end || '20:00').split(':').map(Number);
+    const timeZone = rules.timeZone || 'Asia/Kolkata';
+    const isUnusualTime = (timestamp) => {
+      const { minutes, weekday } = zonedParts(timestamp, timeZone);
+      const weekend = weekday === 0 || weekday === 6;
+      return weekend || minutes < startHour * 60 + startMinute || minutes >= endHour * 60 + endMinute;
+    };
+
+    const volume = activity.reduce((sum, entry) => sum + entry.amount, 0);
+    const volumeThreshold = allRules.monthlyVolumeThreshold * lookbackDays / 30;
+    const counterparties = new Set(activity.map(entry => entry.counterparty).filter(Boolean)).size;
+    const subScores = {
+      volume: Math.min(100, volume / volumeThreshold * 100),
+      frequency: Math.min(100, activity.length / (rules.expectedTransactions || 60) * 100),
+      timing: activity.length > 0 ? activity.filter(entry => isUnusualTime(entry.timestamp)).length / activity.length * 100 : 0,
+      counterparties: Math.min(100, counterparties / (rules.expectedCounterparties || 20) * 100)
+    };
+
+    return this.averageSubScores(rules.factors, subScores, {
+      transactionCount: activity.length,
+      volume,
+      counterparties
+    });
+  }
+
+  scoreRelationship(customer, rules, now) {
+    const since = customer.relationshipStartDate || customer.createdAt;
+    const establishedAfterMonths = rules.establishedAfterMonths || 36;
+    const ageMonths = since ? (now - new Date(since)) / (30 * 24 * 60 * 60 * 1000) : null;
+    const products = (customer.accounts || []).length;
+    const referralSource = customer.referralSource || null;
+
+    const subScores = {
+      accountAge: ageMonths === null ? UNKNOWN_FACTOR_SCORE : Math.max(0, 1 - ageMonths / establishedAfterMonths) * 100,
+      productUsage: products >= 3 ? 0 : products === 2 ? 25 : 50,
+      referralSource: !referralSource
+        ? UNKNOWN_FACTOR_SCORE
+        : (rules.lowRiskReferralSources || []).includes(referralSource) ? 0 : 50
+    };
+
+    return this.averageSubScores(rules.factors, subScores, {
+      accountAgeMonths: ageMonths === null ? null : Math.floor(ageMonths),
+      products,
+      referralSource
+    });
+  }
+
+  /**
+   * Average the sub-factors a factor is configured to use
+   * @param {Array} names - Configured sub-factor names
+   * @param {Object} subScores - All computed sub-factor scores
+   * @param {Object} details - Inputs to report with the score
+   * @returns {Object} { score, details }
+   */
+  averageSubScores(names, subScores, details) {
+    const used = (names || Object.keys(subScores)).filter(name => subScores[name] !== undefined);
+    const score = used.length > 0 ? used.reduce((sum, name) => sum + subScores[name], 0) / used.length : 0;
+
+    return {
+      score: Math.round(score),
+      details: {
+        ...details,
+        subScores: Object.fromEntries(used.map(name => [name, Math.round(subScores[name])]))
+      }
+    };
+  }
+
+  /**
+   * Map a score to its configured risk category
+   * @param {number} score - Weighted score (0-100)
+   * @returns {Object} { category, monitoring }
+   */
+  categorize(score) {
+    const categories = Object.entries(this.rules.riskCategories)
+      .sort(([, a], [, b]) => a.score[0] - b.score[0]);
+    const [name, category] = categories.find(([, entry]) => score >= entry.score[0] && score <= entry.score[1]) ||
+      categories[categories.length - 1] || ['medium', { monitoring: 'enhanced' }];
+
+    return { category: name.toUpperCase(), monitoring: category.monitoring };
+  }
+
+  /**
+   * Record a completed KYC review, restarting the refresh interval
+   * @param {string} customerId - Customer ID
+   * @param {Date} reviewedAt - When the review completed
+   * @returns {Promise<Object|null>} Updated profile, or null if the customer is not rated yet
+   */
+  async markReviewed(customerId, reviewedAt = new Date()) {
+    const previous = await this.getProfile(customerId);
+    if (!previous) {
+      await this.loadActivity(customerId);
+      this.lastReviews.set(customerId, reviewedAt);
+      await this.saveActivity(customerId);
+      return null;
+    }
+
+    const profile = {
+      ...previous,
+      profileId: uuidv4(),
+      trigger: 'KYC_REVIEW',
+      previousCategory: previous.category,
+      lastReviewedAt: reviewedAt,
+      nextReviewDate: addMonths(reviewedAt, previous.reviewFrequencyMonths),
+      calculatedAt: new Date()
+    };
+
+    await this.saveProfile(profile);
+    return profile;
+  }
+
+  /**
+   * Get a customer's current risk profile
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Risk profile
+   */
+  async getProfile(customerId) {
+    let profile = this.profiles.get(customerId);
+
+    if (!profile && this.customerRiskProfileRepository) {
+      profile = await this.customerRiskProfileRepository.findLatest(customerId);
+      if (profile) {
+        this.profiles.set(customerId, profile);
+      }
+    }
+
+    return profile || null;
+  }
+
+  /**
+   * Get a customer's rating history, oldest first
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Risk profiles
+   */
+  async getHistory(customerId, options = {}) {
+    if (this.customerRiskProfileRepository) {
+      return await this.customerRiskProfileRepository.findHistory(customerId, options);
+    }
+
+    return [...(this.history.get(customerId) || [])];
+  }
+
+  /**
+   * Find customers whose KYC refresh is due
+   * @param {Date} asOf - Reference date
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Current profiles due for review, most overdue first
+   */
+  async getCustomersDueForReview(asOf = new Date(), options = {}) {
+    if (this.customerRiskProfileRepository) {
+      return await this.customerRiskProfileRepository.findDueForReview(asOf, options);
+    }
+
+    return Array.from(this.profiles.values())
+      .filter(profile => profile.nextReviewDate <= asOf)
+      .sort((a, b) => a.nextReviewDate - b.nextReviewDate);
+  }
+
+  /**
+   * Read a customer's behaviour window and pre-rating review date from the
+   * repository the first time the customer is seen after a restart
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<void>}
+   */
+  async loadActivity(customerId) {
+    if (!this.customerRiskProfileRepository || this.activityLoaded.has(customerId)) {
+      return;
+    }
+
+    const stored = await this.customerRiskProfileRepository.findActivity(customerId);
+    if (stored) {
+      this.activity.set(customerId, stored.transactions);
+      if (stored.reviewedBeforeRatingAt) {
+        this.lastReviews.set(customerId, stored.reviewedBeforeRatingAt);
+      }
+    }
+    this.activityLoaded.add(customerId);
+  }
+
+  async saveActivity(customerId) {
+    if (this.customerRiskProfileRepository) {
+      await this.customerRiskProfileRepository.saveActivity(customerId, {
+        transactions: this.activity.get(customerId) || [],
+        reviewedBeforeRatingAt: this.lastReviews.get(customerId) || null
+      });
+    }
+  }
+
+  async saveProfile(profile) {
+    if (this.customerRiskProfileRepository) {
+      await this.customerRiskProfileRepository.save(profile);
+    }
+
+    this.profiles.set(profile.customerId, profile);
+    if (!this.history.has(profile.customerId)) {
+      this.history.set(profile.customerId, []);
+    }
+    this.history.get(profile.customerId).push(profile);
   }
 }
 
@@ -435,9 +1335,10 @@ class SanctionScreener {
  * SAR Generator - Generates Suspicious Activity Reports
  */
 class SARGenerator {
-  constructor(config) {
+  constructor(config = {}) {
     this.config = config;
     this.sarDatabase = new Map();
+    this.sarRepository = config.sarRepository || null;
   }
 
   /**
@@ -468,6 +1369,9 @@ class SARGenerator {
     };
 
     // Store SAR
+    if (this.sarRepository) {
+      await this.sarRepository.save(sar);
+    }
     this.sarDatabase.set(sar.sarId, sar);
 
     return sar;
@@ -487,7 +1391,12 @@ class SARGenerator {
       'STRUCTURING': 'Transaction amount suggests potential structuring',
       'LARGE_AMOUNT': 'Transaction exceeds large amount threshold',
       'RAPID_TRANSACTIONS': 'Multiple rapid transactions detected',
-      'UNUSUAL_PATTERN': 'Transaction exhibits unusual patterns'
+      'UNUSUAL_PATTERN': 'Transaction exhibits unusual patterns',
+      'CASH_DAILY_THRESHOLD': 'Cash transactions exceed the daily threshold',
+      'CASH_MONTHLY_THRESHOLD': 'Cash transactions exceed the monthly threshold',
+      'WIRE_DAILY_THRESHOLD': 'Wire transfers exceed the daily threshold',
+      'WIRE_MONTHLY_THRESHOLD': 'Wire transfers exceed the monthly threshold',
+      'ROUND_AMOUNTS': 'Repeated round-number transactions'
     };
 
     const descriptions = flags.map(flag => flagDescriptions[flag] || flag).join('; ');
@@ -513,6 +1422,36 @@ class SARGenerator {
   getAllSARs() {
     return Array.from(this.sarDatabase.values());
   }
+
+  /**
+   * Find SAR by ID, falling back to storage for SARs filed before a restart
+   * @param {string} sarId - SAR ID
+   * @returns {Promise<Object|null>} SAR object
+   */
+  async findSAR(sarId) {
+    const cached = this.sarDatabase.get(sarId);
+    if (cached || !this.sarRepository) {
+      return cached || null;
+    }
+
+    return await this.sarRepository.findById(sarId);
+  }
+
+  /**
+   * Query persisted SARs
+   * @param {Object} filters - { customerId, transactionId, status }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Array of SARs
+   */
+  async findSARs(filters = {}, options = {}) {
+    if (!this.sarRepository) {
+      return this.getAllSARs().filter(sar =>
+        Object.entries(filters).every(([key, value]) => value === undefined || sar[key] === value)
+      );
+    }
+
+    return await this.sarRepository.findAll(filters, options);
+  }
 }
 
 module.exports = {
@@ -520,5 +1459,8 @@ module.exports = {
   TransactionMonitor,
   PatternDetector,
   SanctionScreener,
+  SanctionReviewQueue,
+  SanctionReviewStatus,
+  CustomerRiskProfiler,
   SARGenerator
 };
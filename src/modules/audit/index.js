@@ -9,9 +9,9 @@ const { OperationalDashboard } = require('../../services/operational-dashboard')
  * AuditModule - Main audit and compliance orchestrator
  */
 class AuditModule {
-  constructor() {
+  constructor(config = {}) {
     // Initialize core services
-    this.auditService = new AuditService();
+    this.auditService = new AuditService(config.auditLogRepository);
     this.regulatoryReporting = new RegulatoryReportingModule(this.auditService);
     this.operationalDashboard = new OperationalDashboard(this.auditService, this.regulatoryReporting, false);
     
@@ -41,6 +41,14 @@ class AuditModule {
     return this.auditService;
   }
 
+  /**
+   * Verify the audit log hash chain
+   * @returns {Promise<Object>} Verification result with the first broken link, if any
+   */
+  async verifyAuditChain() {
+    return this.auditService.verifyChain();
+  }
+
   /**
    * Get regulatory reporting module
    * @returns {RegulatoryReportingModule} Regulatory reporting module
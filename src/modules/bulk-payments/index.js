@@ -0,0 +1,466 @@
+// Bulk Payments Module
+// Salary and vendor payment files: row-by-row validation and preview,
+// approval by a second user, execution through the payment rail selector
+// and a per-batch results report
+
+const { v4: uuidv4 } = require('uuid');
+const { BulkPaymentStatus, PaymentStatus, PaymentType, Currency } = require('../../shared/types');
+const { BulkPaymentFileParser } = require('../../services/bulk-payment-files');
+const { PaymentRailSelector } = require('../../services/payment-network-adapters');
+const config = require('../../config');
+
+const RESULT_COLUMNS = [
+  'rowNumber',
+  'beneficiaryName',
+  'accountNumber',
+  'ifscCode',
+  'amount',
+  'reference',
+  'paymentRail',
+  'status',
+  'transactionId',
+  'scheduledFor',
+  'errors'
+];
+
+// Network statuses for a payment the rail accepted
+const ACCEPTED_STATUSES = [PaymentStatus.COMPLETED, PaymentStatus.PROCESSING];
+
+// Network statuses for a payment still waiting to be sent
+const PENDING_STATUSES = [PaymentStatus.WAREHOUSED];
+
+/**
+ * Bulk Payment Module - Keeps uploaded salary and vendor payment batches.
+ * Every row is validated on upload and the batch waits for approval with
+ * its preview; invalid rows are cancelled and never paid. Valid rows are
+ * sent one by one through the rail selector once the batch is approved.
+ * Rows warehoused outside their rail's window stay pending, and the batch
+ * stays PROCESSING, until the warehouse release job sends them.
+ */
+class BulkPaymentModule {
+  constructor(options = {}) {
+    this.paymentRailSelector = options.paymentRailSelector || new PaymentRailSelector();
+    this.fileParser = options.fileParser || new BulkPaymentFileParser();
+    this.auditService = options.auditService || null;
+    this.batches = new Map(); // batchId -> batch
+  }
+
+  /**
+   * Bulk payment rules and beneficiary patterns
+   * @returns {Object} { paymentTypes, rails, maximumRows, minimumAmount, accountNumberPattern, ifscPattern }
+   */
+  getRules() {
+    const rules = config.getBusinessRule('payment-processing');
+    const bulk = rules.bulkPayments || {};
+    const beneficiary = rules.validation?.beneficiary?.validation || {};
+    return {
+      paymentTypes: bulk.paymentTypes || [PaymentType.SALARY_PAYMENT, PaymentType.VENDOR_PAYMENT],
+      rails: bulk.rails || [],
+      maximumRows: bulk.maximumRows || 5000,
+      minimumAmount: rules.validation?.amount?.minimum || 1,
+      accountNumberPattern: beneficiary.accountNumber || /^[0-9]{9,18}$/,
+      ifscPattern: beneficiary.ifscCode || /^[A-Z]{4}0[A-Z0-9]{6}$/
+    };
+  }
+
+  /**
+   * Parse and validate an uploaded file into a batch awaiting approval
+   * @param {Object} upload - { fileName, content, format, paymentType, debitAccountId }
+   * @param {string} uploadedBy - User uploading the file
+   * @returns {Promise<Object>} Batch report with per-row errors
+   */
+  async uploadBatch(upload, uploadedBy) {
+    const rules = this.getRules();
+
+    if (!rules.paymentTypes.includes(upload.paymentType)) {
+      throw new Error(`Bulk payments must be one of ${rules.paymentTypes.join(', ')}: ${upload.paymentType}`);
+    }
+    if (!upload.debitAccountId) {
+      throw new Error('debitAccountId is required');
+    }
+
+    const file = this.fileParser.parse(upload);
+    if (file.rows.length === 0) {
+      throw new Error('Bulk payment file has no payment rows');
+    }
+    if (file.rows.length > rules.maximumRows) {
+      throw new Error(`Bulk payment file has ${file.rows.length} rows; the limit is ${rules.maximumRows}`);
+    }
+
+    const batchId = uuidv4();
+    const batch = {
+      batchId,
+      // Short enough to prefix row transaction IDs within the 35-character ISO 20022 limit
+      batchReference: `BULK${batchId.replace(/-/g, '').slice(0, 12).toUpperCase()}`,
+      fileName: upload.fileName,
+      format: file.format,
+      paymentType: upload.paymentType,
+      debitAccountId: upload.debitAccountId,
+      currency: Currency.INR,
+      status: BulkPaymentStatus.PENDING_APPROVAL,
+      rows: this.validateRows(file.rows, upload, rules),
+      uploadedBy,
+      uploadedAt: new Date(),
+      approvedBy: null,
+      approvedAt: null,
+      rejectedBy: null,
+      rejectionReason: null,
+      executedAt: null
+    };
+
+    this.batches.set(batchId, batch);
+    await this.audit(batchId, 'BULK_BATCH_UPLOADED', uploadedBy, null, this.summarize(batch));
+    return this.getBatchReport(batchId);
+  }
+
+  /**
+   * Validate each row and choose its payment rail. Rows failing any check
+   * are cancelled with their errors.
+   * @param {Array<Object>} rows - Parsed rows
+   * @param {Object} upload - { paymentType, debitAccountId }
+   * @param {Object} rules - Rules from getRules()
+   * @returns {Array<Object>} Batch rows
+   */
+  validateRows(rows, upload, rules) {
+    const seen = new Map();
+
+    return rows.map(row => {
+      const errors = [];
+      const amount = Number(row.amount);
+      const amountIsValid = /^\d+(\.\d{1,2})?$/.test(row.amount || '');
+      const ifscCode = (row.ifscCode || '').toUpperCase();
+
+      if (!row.beneficiaryName) {
+        errors.push('Beneficiary name is required');
+      }
+      if (!rules.accountNumberPattern.test(row.accountNumber || '')) {
+        errors.push(`Invalid account number: ${row.accountNumber || '(blank)'}`);
+      }
+      if (!rules.ifscPattern.test(ifscCode)) {
+        errors.push(`Invalid IFSC code: ${row.ifscCode || '(blank)'}`);
+      }
+      if (!amountIsValid) {
+        errors.push(`Invalid amount: ${row.amount || '(blank)'}`);
+      } else if (amount < rules.minimumAmount) {
+        errors.push(`Amount ${amount} is below the minimum of ${rules.minimumAmount}`);
+      }
+
+      // The same beneficiary, amount and reference twice is almost always a copy-paste slip
+      const key = [row.accountNumber, ifscCode, amount, row.reference || ''].join('|');
+      if (seen.has(key)) {
+        errors.push(`Duplicate of row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row.rowNumber);
+      }
+
+      const batchRow = {
+        rowNumber: row.rowNumber,
+        beneficiaryName: row.beneficiaryName || null,
+        accountNumber: row.accountNumber || null,
+        ifscCode: ifscCode || null,
+        amount: amountIsValid ? amount : null,
+        reference: row.reference || null,
+        paymentRail: null,
+        status: null,
+        transactionId: null,
+        scheduledFor: null,
+        isValid: false,
+        errors
+      };
+
+      if (errors.length === 0) {
+        const rail = this.selectRail(this.toPaymentInstruction(batchRow, upload), row.paymentMode, rules);
+        batchRow.paymentRail = rail.paymentRail;
+        errors.push(...rail.errors);
+      }
+
+      batchRow.isValid = errors.length === 0;
+      batchRow.status = batchRow.isValid ? PaymentStatus.PENDING : PaymentStatus.CANCELLED;
+      return batchRow;
+    });
+  }
+
+  /**
+   * Rail for a row: the one the row names, else the selector's choice, else
+   * the first bulk rail whose adapter accepts the payment
+   * @param {Object} paymentInstruction - Payment instruction for the row
+   * @param {string} paymentMode - Rail named in the file (optional)
+   * @param {Object} rules - Rules from getRules()
+   * @returns {Object} { paymentRail, errors }
+   */
+  selectRail(paymentInstruction, paymentMode, rules) {
+    const validate = (rail) => this.paymentRailSelector.getAdapter(rail).validatePaymentInstruction(paymentInstruction);
+
+    if (paymentMode) {
+      const requested = paymentMode.toUpperCase();
+      if (!rules.rails.includes(requested)) {
+        return { paymentRail: null, errors: [`Payment mode must be one of ${rules.rails.join(', ')}: ${paymentMode}`] };
+      }
+      return { paymentRail: requested, errors: validate(requested).errors };
+    }
+
+    const selected = this.paymentRailSelector.selectPaymentRail(paymentInstruction);
+    const candidates = [selected, ...rules.rails.filter(rail => rail !== selected)]
+      .filter(rail => rules.rails.includes(rail));
+    const paymentRail = candidates.find(rail => validate(rail).isValid);
+
+    return paymentRail
+      ? { paymentRail, errors: [] }
+      : { paymentRail: null, errors: [`No payment rail accepts this payment: ${validate(candidates[0] || selected).errors.join(', ')}`] };
+  }
+
+  /**
+   * Payment instruction the network adapters take for a row
+   * @param {Object} row - Batch row
+   * @param {Object} batch - { paymentType, debitAccountId }
+   * @returns {Object} Payment instruction
+   */
+  toPaymentInstruction(row, batch) {
+    return {
+      amount: row.amount,
+      currency: Currency.INR,
+      fromAccount: batch.debitAccountId,
+      toAccount: row.accountNumber,
+      ifscCode: row.ifscCode,
+      beneficiaryName: row.beneficiaryName,
+      paymentType: batch.paymentType,
+      description: row.reference || undefined
+    };
+  }
+
+  /**
+   * Approve a batch for execution. The approver must not be the uploader.
+   * @param {string} batchId - Batch ID
+   * @param {string} approvedBy - Approving user
+   * @returns {Promise<Object>} Batch report
+   */
+  async approveBatch(batchId, approvedBy) {
+    const batch = this.requireBatch(batchId, BulkPaymentStatus.PENDING_APPROVAL);
+
+    if (approvedBy === batch.uploadedBy) {
+      throw new Error('A bulk payment batch cannot be approved by the user who uploaded it');
+    }
+    if (!batch.rows.some(row => row.status === PaymentStatus.PENDING)) {
+      throw new Error('Bulk payment batch has no valid rows to approve');
+    }
+
+    const before = this.summarize(batch);
+    batch.status = BulkPaymentStatus.APPROVED;
+    batch.approvedBy = approvedBy;
+    batch.approvedAt = new Date();
+
+    await this.audit(batchId, 'BULK_BATCH_APPROVED', approvedBy, before, this.summarize(batch));
+    return this.getBatchReport(batchId);
+  }
+
+  /**
+   * Reject a batch awaiting approval
+   * @param {string} batchId - Batch ID
+   * @param {string} rejectedBy - Rejecting user
+   * @param {string} reason - Why the batch was rejected
+   * @returns {Promise<Object>} Batch report
+   */
+  async rejectBatch(batchId, rejectedBy, reason) {
+    if (!reason) {
+      throw new Error('A rejection reason is required');
+    }
+    const batch = this.requireBatch(batchId, BulkPaymentStatus.PENDING_APPROVAL);
+
+    const before = this.summarize(batch);
+    batch.status = BulkPaymentStatus.REJECTED;
+    batch.rejectedBy = rejectedBy;
+    batch.rejectionReason = reason;
+    batch.rows.filter(row => row.status === PaymentStatus.PENDING).forEach(row => {
+      row.status = PaymentStatus.CANCELLED;
+    });
+
+    await this.audit(batchId, 'BULK_BATCH_REJECTED', rejectedBy, before, this.summarize(batch));
+    return this.getBatchReport(batchId);
+  }
+
+  /**
+   * Send the valid rows of an approved batch through their payment rails.
+   * Rows arriving outside their rail's window are warehoused by the adapter
+   * and the batch stays PROCESSING until they are released.
+   * @param {string} batchId - Batch ID
+   * @param {string} executedBy - User starting execution
+   * @param {Object} options - { at } time the payments are sent
+   * @returns {Promise<Object>} Batch report
+   */
+  async executeBatch(batchId, executedBy, options = {}) {
+    const { at = new Date() } = options;
+    const batch = this.requireBatch(batchId, BulkPaymentStatus.APPROVED);
+    const before = this.summarize(batch);
+
+    batch.status = BulkPaymentStatus.PROCESSING;
+    batch.executedAt = at;
+
+    for (const row of batch.rows.filter(candidate => candidate.status === PaymentStatus.PENDING)) {
+      row.transactionId = `${batch.batchReference}_${row.rowNumber}`;
+      const result = await this.paymentRailSelector.processPayment(row.paymentRail, this.toPaymentInstruction(row, batch), {
+        at,
+        transactionId: row.transactionId
+      });
+
+      if (result.success) {
+        row.status = result.status || PaymentStatus.COMPLETED;
+        row.scheduledFor = result.scheduledFor || null;
+      } else {
+        row.status = PaymentStatus.FAILED;
+        row.errors.push(...(result.errors || [result.error]));
+      }
+    }
+
+    batch.status = this.getOutcome(batch);
+
+    await this.audit(batchId, 'BULK_BATCH_EXECUTED', executedBy, before, this.summarize(batch));
+    return this.getBatchReport(batchId);
+  }
+
+  /**
+   * Batch status from its rows: PROCESSING while any row is pending,
+   * otherwise by how many rows the rails accepted
+   * @param {Object} batch - Batch
+   * @returns {string} BulkPaymentStatus
+   */
+  getOutcome(batch) {
+    if (batch.rows.some(row => PENDING_STATUSES.includes(row.status))) {
+      return BulkPaymentStatus.PROCESSING;
+    }
+
+    const paid = batch.rows.filter(row => ACCEPTED_STATUSES.includes(row.status)).length;
+    return paid === 0 ? BulkPaymentStatus.FAILED
+      : paid === batch.rows.length ? BulkPaymentStatus.COMPLETED
+        : BulkPaymentStatus.PARTIALLY_COMPLETED;
+  }
+
+  /**
+   * Take up the network status of pending rows the warehouse release job
+   * has since sent through the shared rail selector, and settle the batch
+   * once none is left pending
+   * @param {Object} batch - Batch
+   */
+  refreshPendingRows(batch) {
+    const pending = batch.rows.filter(row => PENDING_STATUSES.includes(row.status));
+    if (pending.length === 0) {
+      return;
+    }
+
+    for (const row of pending) {
+      const { status, metadata } = this.paymentRailSelector.getTransactionStatus(row.transactionId);
+      if (status === 'NOT_FOUND' || PENDING_STATUSES.includes(status)) {
+        continue;
+      }
+      row.status = status;
+      if (status === PaymentStatus.FAILED) {
+        row.errors.push(...(metadata.errors || [metadata.error]).filter(Boolean));
+      }
+    }
+    batch.status = this.getOutcome(batch);
+  }
+
+  /**
+   * Batch with its summary and rows. Before approval this is the preview.
+   * @param {string} batchId - Batch ID
+   * @returns {Object} Batch report
+   */
+  getBatchReport(batchId) {
+    const batch = this.requireBatch(batchId);
+    this.refreshPendingRows(batch);
+    const { rows, ...details } = batch;
+    return {
+      ...details,
+      summary: this.summarize(batch),
+      rows: rows.map(row => ({ ...row, errors: [...row.errors] }))
+    };
+  }
+
+  /**
+   * Row counts and amounts by status
+   * @param {Object} batch - Batch
+   * @returns {Object} { status, totalRows, validRows, invalidRows, pendingRows, totalAmount, byStatus }
+   */
+  summarize(batch) {
+    const byStatus = {};
+    for (const row of batch.rows) {
+      const entry = byStatus[row.status] || (byStatus[row.status] = { count: 0, amount: 0 });
+      entry.count++;
+      entry.amount = Math.round((entry.amount + (row.amount || 0)) * 100) / 100;
+    }
+
+    const invalidRows = batch.rows.filter(row => !row.isValid).length;
+    return {
+      status: batch.status,
+      totalRows: batch.rows.length,
+      validRows: batch.rows.length - invalidRows,
+      invalidRows,
+      pendingRows: batch.rows.filter(row => PENDING_STATUSES.includes(row.status)).length,
+      totalAmount: Math.round(batch.rows.reduce((sum, row) => sum + (row.amount || 0), 0) * 100) / 100,
+      byStatus
+    };
+  }
+
+  /**
+   * Results file for a batch, one row per file row with its status,
+   * transaction ID and errors
+   * @param {string} batchId - Batch ID
+   * @returns {Object} { fileName, contentType, content }
+   */
+  exportResults(batchId) {
+    const batch = this.requireBatch(batchId);
+    this.refreshPendingRows(batch);
+    const rows = batch.rows.map(row => ({
+      ...row,
+      amount: row.amount === null ? '' : row.amount.toFixed(2),
+      scheduledFor: row.scheduledFor ? row.scheduledFor.toISOString() : '',
+      errors: row.errors.join('; ')
+    }));
+
+    return {
+      fileName: `${batch.batchReference}_results.csv`,
+      contentType: 'text/csv',
+      content: this.fileParser.toCSV(RESULT_COLUMNS, rows)
+    };
+  }
+
+  /**
+   * Batch by ID, optionally required to be in a status
+   * @param {string} batchId - Batch ID
+   * @param {string} status - Required status (optional)
+   * @returns {Object} Batch
+   */
+  requireBatch(batchId, status = null) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error(`Bulk payment batch not found: ${batchId}`);
+    }
+    if (status && batch.status !== status) {
+      throw new Error(`Bulk payment batch is ${batch.status}, not ${status}`);
+    }
+    return batch;
+  }
+
+  /**
+   * Checks that a user uploaded a batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} user - Authenticated user ({ userId })
+   * @returns {Object} Batch
+   */
+  requireOwnBatch(batchId, user) {
+    const batch = this.requireBatch(batchId);
+    if (batch.uploadedBy !== user?.userId) {
+      throw new Error(`Bulk payment batch ${batchId} does not belong to user ${user?.userId}`);
+    }
+    return batch;
+  }
+
+  async audit(batchId, action, performedBy, beforeState, afterState) {
+    if (this.auditService) {
+      await this.auditService.log('BULK_PAYMENT_BATCH', batchId, action, performedBy, beforeState, afterState);
+    }
+  }
+}
+
+module.exports = {
+  BulkPaymentModule
+};
@@ -0,0 +1,377 @@
+// Collateral Module
+// Registers collateral with its valuations, pledges it to loan applications
+// and monitors the loan-to-value of the loans it secures
+
+const { v4: uuidv4 } = require('uuid');
+const { CollateralType, CollateralStatus, Currency, ApplicationStatus } = require('../../shared/types');
+const { LoanToValuePolicy } = require('../../services/loan-to-value');
+
+// Used as performedBy for automated LTV checks
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * Collateral Registry - Keeps property, vehicle, securities and fixed deposit
+ * collateral with a valuation history. Collateral is pledged to an
+ * application before underwriting, linked to the loan when it is booked and
+ * rechecked against the loan's LTV limit whenever it is revalued.
+ */
+class CollateralRegistry {
+  constructor(config = {}) {
+    this.collateralRepository = config.collateralRepository || null;
+    this.loanServicingModule = config.loanServicingModule || null;
+    this.loanProcessingModule = config.loanProcessingModule || null; // Application lookup for releases
+    this.auditService = config.auditService || null;
+    this.ltvPolicy = config.ltvPolicy || new LoanToValuePolicy();
+    this.collateral = new Map(); // collateralId -> collateral
+  }
+
+  /**
+   * Register collateral with its first valuation
+   * @param {Object} data - { customerId, type, description, details, currency, value, valuationDate, valuedBy }
+   *   details.condition is 'new' or 'used' for vehicles
+   * @param {string} registeredBy - User registering the collateral
+   * @returns {Promise<Object>} Collateral
+   */
+  async registerCollateral(data, registeredBy) {
+    if (!data.customerId) {
+      throw new Error('customerId is required');
+    }
+    if (!Object.values(CollateralType).includes(data.type)) {
+      throw new Error(`Invalid collateral type: ${data.type}`);
+    }
+    if (data.type === CollateralType.VEHICLE && data.details?.condition && !['new', 'used'].includes(data.details.condition)) {
+      throw new Error('Vehicle condition must be new or used');
+    }
+
+    const valuation = this.createValuation(data);
+    const now = new Date();
+    const collateral = {
+      collateralId: uuidv4(),
+      customerId: data.customerId,
+      type: data.type,
+      description: data.description || null,
+      details: data.details || {},
+      currency: data.currency || Currency.INR,
+      value: valuation.value,
+      valuationDate: valuation.valuationDate,
+      valuedBy: valuation.valuedBy,
+      valuations: [valuation],
+      status: CollateralStatus.AVAILABLE,
+      applicationId: null,
+      loanId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveCollateral(collateral);
+    await this.audit(collateral.collateralId, 'REGISTERED', registeredBy, null, {
+      type: collateral.type,
+      value: collateral.value,
+      valuationDate: collateral.valuationDate
+    });
+
+    return collateral;
+  }
+
+  /**
+   * Validate a valuation
+   * @param {Object} data - { value, valuationDate, valuedBy }
+   * @returns {Object} { value, valuationDate, valuedBy, recordedAt }
+   */
+  createValuation(data) {
+    const value = Number(data.value);
+    if (!(value > 0)) {
+      throw new Error('Collateral value must be positive');
+    }
+
+    const valuationDate = new Date(data.valuationDate || Date.now());
+    if (isNaN(valuationDate.getTime()) || valuationDate > new Date()) {
+      throw new Error('Valuation date must be a date that is not in the future');
+    }
+
+    return { value, valuationDate, valuedBy: data.valuedBy || null, recordedAt: new Date() };
+  }
+
+  /**
+   * Pledge collateral to a loan application so underwriting can lend against it
+   * @param {string} collateralId - Collateral ID
+   * @param {LoanApplication} application - Loan application
+   * @param {string} performedBy - User recording the pledge
+   * @returns {Promise<Object>} Collateral
+   */
+  async pledgeToApplication(collateralId, application, performedBy) {
+    const collateral = await this.requireCollateral(collateralId);
+
+    if (collateral.status === CollateralStatus.PLEDGED) {
+      throw new Error(`Collateral is already pledged to application ${collateral.applicationId}`);
+    }
+    if (collateral.customerId !== application.customerId) {
+      throw new Error('Collateral belongs to a different customer');
+    }
+    if (application.decision) {
+      throw new Error('Collateral must be pledged before the underwriting decision');
+    }
+
+    collateral.status = CollateralStatus.PLEDGED;
+    collateral.applicationId = application.applicationId;
+    collateral.updatedAt = new Date();
+
+    await this.saveCollateral(collateral);
+    await this.audit(collateral.collateralId, 'PLEDGED', performedBy, null, { applicationId: application.applicationId });
+
+    return collateral;
+  }
+
+  /**
+   * Link the collateral pledged to an application to the loan booked for it
+   * and record the loan's opening LTV. The limit approved at underwriting is
+   * kept for monitoring.
+   * @param {LoanApplication} application - Application the loan was booked for
+   * @param {Object} loan - Loan account
+   * @param {string} performedBy - User booking or disbursing the loan
+   * @returns {Promise<Array>} Collateral newly linked
+   */
+  async linkToLoan(application, loan, performedBy = SYSTEM_USER_ID) {
+    const pledged = await this.getCollateralForApplication(application.applicationId);
+    if (pledged.length === 0) {
+      return [];
+    }
+
+    const linked = pledged.filter(collateral => collateral.loanId !== loan.loanId);
+
+    for (const collateral of linked) {
+      collateral.loanId = loan.loanId;
+      collateral.updatedAt = new Date();
+      await this.saveCollateral(collateral);
+      await this.audit(collateral.collateralId, 'LINKED', performedBy, null, { loanId: loan.loanId });
+    }
+
+    if (!loan.ltv) {
+      loan.ltv = { limit: application.decision?.ltv?.limit ?? null };
+      await this.checkLoanToValue(loan.loanId, performedBy);
+    }
+
+    return linked;
+  }
+
+  /**
+   * Release collateral from its application, or from its loan once the loan
+   * is closed. Collateral behind an approved application stays pledged until
+   * the loan is booked or the application is rejected.
+   * @param {string} collateralId - Collateral ID
+   * @param {string} performedBy - User releasing the collateral
+   * @returns {Promise<Object>} Collateral
+   */
+  async releaseCollateral(collateralId, performedBy) {
+    const collateral = await this.requireCollateral(collateralId);
+
+    if (collateral.status !== CollateralStatus.PLEDGED) {
+      throw new Error('Collateral is not pledged');
+    }
+    if (collateral.loanId && this.loanServicingModule) {
+      const loan = await this.loanServicingModule.getLoan(collateral.loanId);
+      if (loan && !loan.closedAt) {
+        throw new Error(`Collateral secures active loan ${collateral.loanId}`);
+      }
+    }
+    if (!collateral.loanId && collateral.applicationId && this.loanProcessingModule) {
+      const application = await this.loanProcessingModule.getApplication(collateral.applicationId);
+      // Approved applications wait in UNDER_REVIEW for the officer's sign-off
+      const approved = application && (application.status === ApplicationStatus.APPROVED
+        || (application.status === ApplicationStatus.UNDER_REVIEW && application.decision?.approved));
+      if (approved) {
+        throw new Error(`Collateral secures approved application ${collateral.applicationId} until the loan is booked`);
+      }
+    }
+
+    const before = { applicationId: collateral.applicationId, loanId: collateral.loanId };
+    collateral.status = CollateralStatus.AVAILABLE;
+    collateral.applicationId = null;
+    collateral.loanId = null;
+    collateral.updatedAt = new Date();
+
+    await this.saveCollateral(collateral);
+    await this.audit(collateral.collateralId, 'RELEASED', performedBy, before, null);
+
+    return collateral;
+  }
+
+  /**
+   * Record a new valuation. Collateral securing a loan triggers an LTV check.
+   * @param {string} collateralId - Collateral ID
+   * @param {Object} data - { value, valuationDate, valuedBy }
+   * @param {string} performedBy - User recording the valuation
+   * @returns {Promise<Object>} { collateral, ltv } where ltv is the loan's LTV check, if linked
+   */
+  async revalueCollateral(collateralId, data, performedBy) {
+    const collateral = await this.requireCollateral(collateralId);
+    const valuation = this.createValuation(data);
+    if (valuation.valuationDate < new Date(collateral.valuationDate)) {
+      throw new Error('Valuation date is earlier than the current valuation');
+    }
+
+    const before = { value: collateral.value, valuationDate: collateral.valuationDate };
+    collateral.valuations.push(valuation);
+    collateral.value = valuation.value;
+    collateral.valuationDate = valuation.valuationDate;
+    collateral.valuedBy = valuation.valuedBy;
+    collateral.updatedAt = new Date();
+
+    await this.saveCollateral(collateral);
+    await this.audit(collateral.collateralId, 'REVALUED', performedBy, before, {
+      value: collateral.value,
+      valuationDate: collateral.valuationDate
+    });
+
+    const ltv = collateral.loanId && this.loanServicingModule
+      ? await this.checkLoanToValue(collateral.loanId, performedBy)
+      : null;
+
+    return { collateral, ltv };
+  }
+
+  /**
+   * Recalculate a loan's LTV from its principal outstanding and current
+   * collateral values and flag the loan when it breaches its limit
+   * @param {string} loanId - Loan ID
+   * @param {string} performedBy - User whose action triggered the check
+   * @returns {Promise<Object>} Loan LTV { ratio, limit, collateralValue, principalOutstanding, breached, breachedSince, checkedAt }
+   */
+  async checkLoanToValue(loanId, performedBy = SYSTEM_USER_ID) {
+    if (!this.loanServicingModule) {
+      throw new Error('Loan servicing module not configured');
+    }
+
+    const loan = await this.loanServicingModule.getLoan(loanId);
+    if (!loan) {
+      throw new Error(`Loan not found: ${loanId}`);
+    }
+
+    const collateral = await this.getCollateralForLoan(loanId);
+    const assessment = this.ltvPolicy.assess(loan.loanType, loan.principalOutstanding, collateral);
+    const limit = loan.ltv?.limit ?? assessment.limit;
+    const breached = assessment.ratio !== null && limit !== null && assessment.ratio > limit;
+    const previous = loan.ltv || {};
+    const checkedAt = new Date();
+
+    loan.ltv = {
+      ratio: assessment.ratio,
+      limit,
+      collateralValue: assessment.collateralValue,
+      principalOutstanding: loan.principalOutstanding,
+      breached,
+      breachedSince: breached ? (previous.breached ? previous.breachedSince : checkedAt) : null,
+      checkedAt
+    };
+    loan.updatedAt = checkedAt;
+    await this.loanServicingModule.saveLoan(loan);
+
+    if (breached !== Boolean(previous.breached) && this.auditService) {
+      await this.auditService.log('LOAN_ACCOUNT', loan.loanId, breached ? 'LTV_BREACHED' : 'LTV_RESTORED', performedBy,
+        previous.ratio === undefined ? null : { ratio: previous.ratio },
+        { ratio: loan.ltv.ratio, limit, collateralValue: loan.ltv.collateralValue });
+    }
+
+    return { loanId, ...loan.ltv };
+  }
+
+  /**
+   * Active loans whose LTV is above their limit
+   * @returns {Promise<Array>} { loanId, customerId, loanType, ...ltv }
+   */
+  async getLtvBreaches() {
+    if (!this.loanServicingModule) {
+      throw new Error('Loan servicing module not configured');
+    }
+
+    const loans = await this.loanServicingModule.getActiveLoans();
+    return loans
+      .filter(loan => loan.ltv?.breached)
+      .map(loan => ({ loanId: loan.loanId, customerId: loan.customerId, loanType: loan.loanType, ...loan.ltv }));
+  }
+
+  /**
+   * Get collateral
+   * @param {string} collateralId - Collateral ID
+   * @returns {Promise<Object|null>} Collateral
+   */
+  async getCollateral(collateralId) {
+    let collateral = this.collateral.get(collateralId);
+
+    if (!collateral && this.collateralRepository) {
+      collateral = await this.collateralRepository.findById(collateralId);
+      if (collateral) {
+        this.collateral.set(collateral.collateralId, collateral);
+      }
+    }
+
+    return collateral || null;
+  }
+
+  async requireCollateral(collateralId) {
+    const collateral = await this.getCollateral(collateralId);
+    if (!collateral) {
+      throw new Error(`Collateral not found: ${collateralId}`);
+    }
+    return collateral;
+  }
+
+  /**
+   * Collateral pledged to an application
+   * @param {string} applicationId - Loan application ID
+   * @returns {Promise<Array>} Collateral
+   */
+  async getCollateralForApplication(applicationId) {
+    return this.findCollateral({ applicationId, status: CollateralStatus.PLEDGED });
+  }
+
+  /**
+   * Collateral securing a loan
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array>} Collateral
+   */
+  async getCollateralForLoan(loanId) {
+    return this.findCollateral({ loanId, status: CollateralStatus.PLEDGED });
+  }
+
+  /**
+   * A customer's collateral
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Collateral
+   */
+  async getCustomerCollateral(customerId) {
+    return this.findCollateral({ customerId });
+  }
+
+  async findCollateral(filters) {
+    if (this.collateralRepository) {
+      const found = await this.collateralRepository.findAll(filters);
+      // Prefer the cached copies, which loans and applications may be holding
+      return found.map(collateral => this.collateral.get(collateral.collateralId) || collateral);
+    }
+
+    return Array.from(this.collateral.values())
+      .filter(collateral => Object.entries(filters).every(([key, value]) => collateral[key] === value));
+  }
+
+  /**
+   * Persist collateral when a repository is configured
+   * @param {Object} collateral - Collateral
+   */
+  async saveCollateral(collateral) {
+    if (this.collateralRepository) {
+      await this.collateralRepository.save(collateral);
+    }
+    this.collateral.set(collateral.collateralId, collateral);
+  }
+
+  async audit(collateralId, action, performedBy, beforeState, afterState) {
+    if (this.auditService) {
+      await this.auditService.log('COLLATERAL', collateralId, action, performedBy || SYSTEM_USER_ID, beforeState, afterState);
+    }
+  }
+}
+
+module.exports = {
+  CollateralRegistry
+};
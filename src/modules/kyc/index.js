@@ -3,6 +3,7 @@
 const IdentityValidator = require('../../services/identity-validator');
 const DocumentAuthenticator = require('../../services/document-authenticator');
 const { KYCStatus, VerificationStatus } = require('../../shared/types');
+const configManager = require('../../config');
 
 /**
  * KYC Module - Handles customer identity verification and risk assessment
@@ -24,6 +25,9 @@ class KYCModule {
     this.complianceReporter = new ComplianceReporter(this.config);
 
     this.kycRecords = new Map();
+    this.kycRepository = config.kycRepository || null;
+    // AML customer risk ratings drive the periodic KYC refresh when available
+    this.customerRiskProfiler = config.customerRiskProfiler || null;
     this.metrics = {
       totalKYCProcesses: 0,
       completedKYC: 0,
@@ -81,6 +85,14 @@ class KYCModule {
       kycRecord.status = finalDecision.approved ? KYCStatus.COMPLETED : KYCStatus.FAILED;
       kycRecord.completedAt = new Date();
 
+      if (this.kycRepository) {
+        await this.kycRepository.save(kycRecord);
+      }
+
+      if (this.customerRiskProfiler && kycRecord.status === KYCStatus.COMPLETED) {
+        await this.customerRiskProfiler.markReviewed(customerId, kycRecord.completedAt);
+      }
+
       // Update metrics
       const processingTime = Date.now() - startTime;
       this.updateMetrics(finalDecision.approved, processingTime);
@@ -100,6 +112,12 @@ class KYCModule {
         kycRecord.status = KYCStatus.FAILED;
         kycRecord.error = error.message;
         kycRecord.completedAt = new Date();
+
+        if (this.kycRepository) {
+          await this.kycRepository.save(kycRecord).catch(saveError => {
+            console.error(`Failed to persist KYC record for customer ${customerId}:`, saveError.message);
+          });
+        }
       }
 
       this.updateMetrics(false, Date.now() - startTime);
@@ -195,6 +213,69 @@ class KYCModule {
     return this.kycRecords.get(customerId) || null;
   }
 
+  /**
+   * Find a KYC record, falling back to storage for records created before a restart
+   * @param {string} customerId - Customer identifier
+   * @returns {Promise<Object|null>} KYC record or null
+   */
+  async findKYCRecord(customerId) {
+    const cached = this.kycRecords.get(customerId);
+    if (cached || !this.kycRepository) {
+      return cached || null;
+    }
+
+    const record = await this.kycRepository.findByCustomerId(customerId);
+    if (record) {
+      this.kycRecords.set(customerId, record);
+    }
+
+    return record;
+  }
+
+  /**
+   * Get when a customer's KYC is next due for periodic review. The interval
+   * comes from compliance.kycRefresh for the customer's AML risk category,
+   * falling back to the risk level of the last KYC assessment.
+   * @param {string} customerId - Customer identifier
+   * @param {Date} asOf - Reference date for the overdue check
+   * @returns {Promise<Object|null>} Review schedule or null if the customer has no rating
+   */
+  async getPeriodicReviewSchedule(customerId, asOf = new Date()) {
+    const profile = this.customerRiskProfiler ? await this.customerRiskProfiler.getProfile(customerId) : null;
+    if (profile) {
+      return {
+        customerId,
+        riskCategory: profile.category,
+        frequencyMonths: profile.reviewFrequencyMonths,
+        lastReviewedAt: profile.lastReviewedAt,
+        nextReviewDate: profile.nextReviewDate,
+        overdue: profile.nextReviewDate <= asOf,
+        source: 'AML_RISK_PROFILE'
+      };
+    }
+
+    const record = await this.findKYCRecord(customerId);
+    if (!record || !record.riskAssessment || !record.completedAt) {
+      return null;
+    }
+
+    const kycRefresh = configManager.getBusinessRule('aml-compliance').compliance?.kycRefresh || {};
+    const riskCategory = record.riskAssessment.riskLevel;
+    const frequencyMonths = kycRefresh[riskCategory.toLowerCase()] ?? 12;
+    const nextReviewDate = new Date(record.completedAt);
+    nextReviewDate.setMonth(nextReviewDate.getMonth() + frequencyMonths);
+
+    return {
+      customerId,
+      riskCategory,
+      frequencyMonths,
+      lastReviewedAt: record.completedAt,
+      nextReviewDate,
+      overdue: nextReviewDate <= asOf,
+      source: 'KYC_ASSESSMENT'
+    };
+  }
+
   /**
    * Update KYC record
    * @param {string} customerId - Customer identifier
@@ -210,6 +291,13 @@ class KYCModule {
     Object.assign(record, updates);
     record.updatedAt = new Date();
 
+    if (this.kycRepository) {
+      // Persist asynchronously (don't wait for it)
+      this.kycRepository.save(record).catch(error => {
+        console.error(`Failed to persist KYC record for customer ${customerId}:`, error.message);
+      });
+    }
+
     return record;
   }
 
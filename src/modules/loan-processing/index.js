@@ -2,17 +2,44 @@
 // Implements automated loan application processing workflow
 // Requirements: 2.1, 2.2, 2.3, 2.4, 2.5
 
-const { LoanApplication } = require('../../shared/interfaces');
-const { ApplicationStatus, DocumentType } = require('../../shared/types');
+const { v4: uuidv4 } = require('uuid');
+const { LoanApplication, Transaction } = require('../../shared/interfaces');
+const {
+  AdverseActionCode,
+  ApplicantRole,
+  ApplicationStatus,
+  ApprovalConditionType,
+  ConditionStatus,
+  DisbursementStatus,
+  DocumentType,
+  LoanType,
+  TransactionType,
+  UnderwritingOutcome
+} = require('../../shared/types');
 const DocumentProcessor = require('../../services/document-processor');
+const { calculateEMI, roundCurrency } = require('../../services/amortization');
+const { LoanPricingEngine } = require('../../services/loan-pricing');
+const { LoanToValuePolicy, collateralRuleKey } = require('../../services/loan-to-value');
+const { AdverseActionPolicy } = require('../../services/adverse-action');
+const { IdempotencyService, IdempotencyStatus } = require('../../services/idempotency-service');
+const { ServicingEvent } = require('../loan-servicing');
 const { validators } = require('../../shared/validation');
+const config = require('../../config');
+
+// Used as performedBy for automated workflow actions
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// A disbursement claim older than this was left by a run that stopped before
+// completing or releasing it, and is settled from the ledger
+const DISBURSEMENT_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
 
 /**
  * Credit Assessor - Handles credit bureau integration and credit scoring
  */
 class CreditAssessor {
-  constructor(creditBureauConfig = {}) {
+  constructor(creditBureauConfig = {}, bureauInterface = null) {
     this.creditBureauConfig = creditBureauConfig;
+    this.bureauInterface = bureauInterface; // CreditBureauInterface; scores are simulated without one
     this.bureauEndpoints = {
       CIBIL: creditBureauConfig.cibilEndpoint || 'https://api.cibil.com',
       EXPERIAN: creditBureauConfig.experianEndpoint || 'https://api.experian.com',
@@ -33,8 +60,8 @@ class CreditAssessor {
         throw new Error('Customer information is required for credit assessment');
       }
 
-      // In production, this would make actual API calls to credit bureaus
-      // For now, we'll simulate the credit bureau integration
+      // Scores come from the CreditBureauInterface when one is configured;
+      // otherwise the bureau integration is simulated
       const creditData = await this.fetchFromCreditBureaus(customerId, customerInfo);
 
       // Calculate composite credit score
@@ -71,6 +98,10 @@ class CreditAssessor {
    * @returns {Promise<Object>} Credit bureau responses
    */
   async fetchFromCreditBureaus(customerId, customerInfo) {
+    if (this.bureauInterface) {
+      return this.fetchFromBureauInterface(customerId, customerInfo);
+    }
+
     // Simulate credit bureau API calls
     // In production, this would make actual HTTP requests to credit bureaus
     const responses = {
@@ -82,6 +113,50 @@ class CreditAssessor {
     return responses;
   }
 
+  /**
+   * Pull scores from every bureau through the CreditBureauInterface
+   * @param {string} customerId - Customer identifier
+   * @param {Object} customerInfo - Customer information with personalInfo
+   * @returns {Promise<Object>} Bureau responses keyed by bureau, as the simulated calls return them
+   */
+  async fetchFromBureauInterface(customerId, customerInfo) {
+    const { results } = await this.bureauInterface.getMultiBureauCreditScore(['cibil', 'experian', 'equifax'], {
+      customerId,
+      ...customerInfo.personalInfo,
+      dateOfBirth: new Date(customerInfo.personalInfo.dateOfBirth)
+    });
+
+    const responses = {};
+    Object.entries(results).forEach(([bureau, result]) => {
+      responses[bureau.toUpperCase()] = {
+        bureau: bureau.toUpperCase(),
+        score: result.creditScore,
+        reportDate: result.lastUpdated || result.timestamp,
+        accounts: [],
+        inquiries: []
+      };
+    });
+
+    return responses;
+  }
+
+  /**
+   * Retrieve credit scores for every co-applicant and guarantor
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} partiesInfo - Customer information keyed by party customerId
+   * @returns {Promise<Array>} Credit assessment results with partyId and role
+   */
+  async assessParties(application, partiesInfo = {}) {
+    const assessments = [];
+
+    for (const party of application.parties || []) {
+      const assessment = await this.retrieveCreditScore(party.customerId, partiesInfo[party.customerId]);
+      assessments.push({ partyId: party.partyId, role: party.role, ...assessment });
+    }
+
+    return assessments;
+  }
+
   async fetchFromCIBIL(customerId, customerInfo) {
     // Simulate CIBIL API call
     return {
@@ -202,59 +277,470 @@ class CreditAssessor {
   }
 }
 
+/**
+ * Estimated debt-to-income ratio with the new loan, assuming a 5-year term
+ * @param {number} loanAmount - Requested amount
+ * @param {number} monthlyIncome - Monthly income
+ * @param {number} existingMonthlyDebts - Existing monthly obligations
+ * @returns {number} Ratio of monthly debts to income
+ */
+function estimateDebtToIncome(loanAmount, monthlyIncome, existingMonthlyDebts = 0) {
+  return (existingMonthlyDebts + loanAmount / 60) / monthlyIncome;
+}
+
+/**
+ * Restore the dates in a disbursement read back from a JSON claim record
+ * @param {Object} disbursement - Disbursement stored by a completed claim
+ * @returns {Object} Disbursement with Date fields
+ */
+function reviveDisbursement(disbursement) {
+  return {
+    ...disbursement,
+    completedAt: disbursement.completedAt ? new Date(disbursement.completedAt) : null,
+    tranches: disbursement.tranches.map(tranche => ({ ...tranche, disbursedAt: new Date(tranche.disbursedAt) }))
+  };
+}
+
+/**
+ * Points for a value from a { minimum: points } map; the highest minimum
+ * the value reaches wins
+ * @param {Object} map - Score map
+ * @param {number} value - Value to score
+ * @returns {number} Points, or 0 below every minimum
+ */
+function scoreFromMap(map = {}, value) {
+  const minimum = Object.keys(map)
+    .map(Number)
+    .filter(key => value >= key)
+    .sort((a, b) => b - a)[0];
+  return minimum === undefined ? 0 : map[minimum];
+}
+
+/**
+ * Underwriting Scorecard - Scores an application 0-100 on the weighted
+ * credit score, income, collateral and relationship factors from
+ * underwriting.riskFactors and maps the score to the decision matrix
+ */
+class UnderwritingScorecard {
+  /**
+   * Current scorecard rules
+   * @returns {Object} { riskFactors, decisionMatrix }
+   */
+  get rules() {
+    const underwriting = config.getBusinessRule('loan-processing').underwriting || {};
+    return {
+      riskFactors: underwriting.riskFactors || {},
+      decisionMatrix: underwriting.decisionMatrix || {}
+    };
+  }
+
+  /**
+   * Score an application
+   * @param {LoanApplication} application - Loan application
+   * @param {number} creditScore - Bureau credit score
+   * @param {Object} incomeVerification - { monthlyIncome, monthlyDebts, employmentType, employmentTenureMonths, incomeGrowth }
+   * @param {Object} context - { collateral: [{ type, value }], relationshipProfile: { accountAgeMonths, monthlyTransactions, products }, fraudAlert }
+   * @returns {Object} { score, factors, metrics, outcome }
+   */
+  evaluate(application, creditScore, incomeVerification = {}, context = {}) {
+    const metrics = {
+      creditScore,
+      dti: incomeVerification.monthlyIncome
+        ? estimateDebtToIncome(application.requestedAmount, incomeVerification.monthlyIncome, incomeVerification.monthlyDebts || 0)
+        : null,
+      fraudAlert: Boolean(context.fraudAlert)
+    };
+
+    const factors = this.scoreFactors(application, metrics, incomeVerification, context);
+    const totalWeight = Object.values(factors).reduce((sum, factor) => sum + factor.weight, 0);
+    const score = totalWeight > 0
+      ? Math.round(Object.values(factors).reduce((sum, factor) => sum + factor.weight * factor.score, 0) / totalWeight)
+      : 0;
+
+    return { score, factors, metrics, outcome: this.determineOutcome(score, metrics) };
+  }
+
+  /**
+   * Score every configured risk factor
+   * @returns {Object} { factorName: { weight, score, details } }
+   */
+  scoreFactors(application, metrics, incomeVerification, context) {
+    const riskFactors = this.rules.riskFactors;
+    const neutralScore = riskFactors.neutralScore ?? 50;
+    const scorers = {
+      creditScore: factorRules => this.scoreCreditScore(metrics.creditScore, factorRules),
+      income: factorRules => this.scoreIncome(metrics.dti, incomeVerification, factorRules, neutralScore),
+      collateral: factorRules => this.scoreCollateral(application.requestedAmount, context.collateral || [], factorRules),
+      relationship: factorRules => this.scoreRelationship(context.relationshipProfile, factorRules, neutralScore)
+    };
+
+    const factors = {};
+    Object.entries(riskFactors).forEach(([name, factorRules]) => {
+      if (scorers[name]) {
+        factors[name] = { weight: factorRules.weight || 0, ...scorers[name](factorRules) };
+      }
+    });
+    return factors;
+  }
+
+  scoreCreditScore(creditScore, rules) {
+    const thresholds = Object.entries(rules.thresholds || {}).sort(([, a], [, b]) => b - a);
+    const [band] = thresholds.find(([, minimum]) => creditScore >= minimum) || ['belowPoor'];
+
+    return { score: rules.points?.[band] ?? 0, details: { creditScore, band } };
+  }
+
+  scoreIncome(dti, incomeVerification, rules, neutralScore) {
+    const { employmentType, employmentTenureMonths, incomeGrowth } = incomeVerification;
+    const subScores = {
+      dti: dti === null ? undefined : Math.max(0, 1 - dti / (rules.dtiCeiling || 0.60)) * 100,
+      employmentType: employmentType ? rules.employmentType?.[employmentType] ?? rules.employmentType?.other : undefined,
+      tenure: employmentTenureMonths === undefined || employmentTenureMonths === null
+        ? undefined
+        : scoreFromMap(rules.tenure, employmentTenureMonths),
+      growth: incomeGrowth === undefined || incomeGrowth === null ? undefined : scoreFromMap(rules.growth, incomeGrowth)
+    };
+
+    return this.averageSubScores(['dti', ...(rules.stabilityFactors || [])], subScores, neutralScore, {
+      dti: dti === null ? null : Math.round(dti * 100) / 100,
+      employmentType: employmentType || null
+    });
+  }
+
+  scoreCollateral(loanAmount, collateral, rules) {
+    const eligible = collateral.filter(item => (rules.types || []).includes(collateralRuleKey(item.type)));
+    const value = eligible.reduce((sum, item) => sum + (Number(item.value) || 0), 0);
+    if (value <= 0) {
+      return { score: rules.unsecuredScore ?? 0, details: { secured: false, value: 0, coverage: 0 } };
+    }
+
+    const coverage = value / loanAmount;
+    return {
+      score: scoreFromMap(rules.coverage, coverage),
+      details: { secured: true, value, coverage: Math.round(coverage * 100) / 100 }
+    };
+  }
+
+  scoreRelationship(profile = {}, rules, neutralScore) {
+    const { accountAgeMonths, monthlyTransactions, products } = profile || {};
+    const subScores = {
+      accountAge: accountAgeMonths === undefined ? undefined : scoreFromMap(rules.accountAge, accountAgeMonths),
+      transactionHistory: monthlyTransactions === undefined ? undefined : scoreFromMap(rules.transactionHistory, monthlyTransactions),
+      crossSelling: products === undefined ? undefined : scoreFromMap(rules.crossSelling, products)
+    };
+
+    return this.averageSubScores(rules.factors, subScores, neutralScore, {
+      accountAgeMonths: accountAgeMonths ?? null,
+      monthlyTransactions: monthlyTransactions ?? null,
+      products: products ?? null
+    });
+  }
+
+  /**
+   * Average the sub-factors a factor is configured to use. A factor with no
+   * data to assess gets the neutral score.
+   * @param {Array} names - Configured sub-factor names
+   * @param {Object} subScores - Computed sub-factor scores (undefined when unknown)
+   * @param {number} neutralScore - Score when no sub-factor is known
+   * @param {Object} details - Inputs to report with the score
+   * @returns {Object} { score, details }
+   */
+  averageSubScores(names, subScores, neutralScore, details) {
+    const used = (names || Object.keys(subScores)).filter(name => subScores[name] !== undefined);
+    const score = used.length > 0 ? used.reduce((sum, name) => sum + subScores[name], 0) / used.length : neutralScore;
+
+    return {
+      score: Math.round(score),
+      details: {
+        ...details,
+        subScores: Object.fromEntries(used.map(name => [name, Math.round(subScores[name])]))
+      }
+    };
+  }
+
+  /**
+   * Map a score to the decision matrix. Any reject condition rejects; approval
+   * needs the approve score and every approve condition; scores between the
+   * reject and conditional-approval bands are referred to an officer.
+   * @param {number} score - Weighted score (0-100)
+   * @param {Object} metrics - { creditScore, dti, fraudAlert }
+   * @returns {string} UnderwritingOutcome
+   */
+  determineOutcome(score, metrics) {
+    const { approve = {}, conditionalApproval = {}, reject = {} } = this.rules.decisionMatrix;
+
+    if (score <= (reject.maxScore ?? 40) || this.matchedConditions(reject.conditions, metrics).length > 0) {
+      return UnderwritingOutcome.REJECT;
+    }
+    if (score >= (approve.minScore ?? 75) && this.failedConditions(approve.conditions, metrics).length === 0) {
+      return UnderwritingOutcome.APPROVE;
+    }
+    if (score >= (conditionalApproval.minScore ?? 60)) {
+      return UnderwritingOutcome.CONDITIONAL_APPROVAL;
+    }
+    return UnderwritingOutcome.REFER;
+  }
+
+  /**
+   * Parse a decision matrix condition: a comparison ('creditScore >= 700')
+   * or a flag ('fraudAlert') on the scorecard metrics
+   * @param {string} expression - Condition expression
+   * @returns {Object} { expression, metric, operator, value }
+   */
+  parseCondition(expression) {
+    const match = expression.match(/^(\w+)\s*(>=|<=|==|>|<)\s*(-?[\d.]+)$/);
+    return match
+      ? { expression, metric: match[1], operator: match[2], value: Number(match[3]) }
+      : { expression, metric: expression.trim(), operator: null, value: null };
+  }
+
+  /**
+   * Whether a parsed condition holds; a condition on an unknown metric never does
+   * @param {Object} condition - Result of parseCondition()
+   * @param {Object} metrics - { creditScore, dti, fraudAlert }
+   * @returns {boolean}
+   */
+  conditionHolds(condition, metrics) {
+    const actual = metrics[condition.metric];
+    if (actual === null || actual === undefined) {
+      return false;
+    }
+
+    switch (condition.operator) {
+      case '>=': return actual >= condition.value;
+      case '<=': return actual <= condition.value;
+      case '>': return actual > condition.value;
+      case '<': return actual < condition.value;
+      case '==': return actual === condition.value;
+      default: return Boolean(actual);
+    }
+  }
+
+  failedConditions(conditions = [], metrics) {
+    return conditions.map(expression => this.parseCondition(expression))
+      .filter(condition => !this.conditionHolds(condition, metrics));
+  }
+
+  matchedConditions(conditions = [], metrics) {
+    return conditions.map(expression => this.parseCondition(expression))
+      .filter(condition => this.conditionHolds(condition, metrics));
+  }
+
+  /**
+   * Conditions the officer must clear on a conditional approval: one for each
+   * approve condition missed (credit score needs a guarantor, DTI a reduced
+   * amount), or else the one configured for the weakest factor
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} scorecard - Result of evaluate()
+   * @param {Object} incomeVerification - { monthlyIncome, monthlyDebts }
+   * @returns {Object} { conditions, approvedAmount }
+   */
+  buildConditions(application, scorecard, incomeVerification = {}) {
+    const { approve = {}, conditionalApproval = {} } = this.rules.decisionMatrix;
+    const allowed = conditionalApproval.conditions || [];
+    const factorConditions = conditionalApproval.factorConditions || {};
+    const metricFactors = { creditScore: 'creditScore', dti: 'income' };
+
+    const wanted = new Set();
+    this.failedConditions(approve.conditions, scorecard.metrics)
+      .filter(condition => scorecard.metrics[condition.metric] !== null && metricFactors[condition.metric])
+      .forEach(condition => wanted.add(factorConditions[metricFactors[condition.metric]]));
+
+    if (wanted.size === 0) {
+      const [weakest] = Object.entries(scorecard.factors)
+        .filter(([, factor]) => factor.weight > 0)
+        .sort(([, a], [, b]) => a.score - b.score)[0] || [];
+      if (factorConditions[weakest]) {
+        wanted.add(factorConditions[weakest]);
+      }
+    }
+
+    let approvedAmount = application.requestedAmount;
+    const conditions = allowed.filter(name => wanted.has(name)).map(name => {
+      const condition = {
+        conditionId: uuidv4(),
+        type: null,
+        description: null,
+        details: {},
+        status: ConditionStatus.PENDING,
+        clearedBy: null,
+        clearedAt: null,
+        notes: null
+      };
+
+      if (name === 'guarantor') {
+        condition.type = ApprovalConditionType.GUARANTOR;
+        condition.description = 'A guarantor must be added to the application';
+      } else if (name === 'additionalCollateral') {
+        const coverage = conditionalApproval.additionalCollateralCoverage || 1;
+        condition.type = ApprovalConditionType.ADDITIONAL_COLLATERAL;
+        condition.description = `Collateral covering ${coverage}x the loan amount must be pledged`;
+        condition.details = {
+          requiredCoverage: coverage,
+          requiredValue: roundCurrency(application.requestedAmount * coverage),
+          currentValue: scorecard.factors.collateral?.details.value || 0
+        };
+      } else if (name === 'reducedAmount') {
+        approvedAmount = this.calculateReducedAmount(application, scorecard, incomeVerification);
+        condition.type = ApprovalConditionType.REDUCED_AMOUNT;
+        condition.description = `The applicant must accept a reduced amount of ${approvedAmount}`;
+        condition.details = { requestedAmount: application.requestedAmount, approvedAmount };
+      }
+      return condition;
+    });
+
+    return { conditions, approvedAmount };
+  }
+
+  /**
+   * Amount offered on a reduced-amount condition: what keeps the estimated
+   * DTI within the approve band, or the configured share of the request
+   * @returns {number} Reduced amount, rounded down to the nearest thousand
+   */
+  calculateReducedAmount(application, scorecard, incomeVerification) {
+    const { approve = {}, conditionalApproval = {} } = this.rules.decisionMatrix;
+    const dtiCondition = (approve.conditions || []).map(expression => this.parseCondition(expression))
+      .find(condition => condition.metric === 'dti' && condition.operator);
+
+    let amount = application.requestedAmount * (conditionalApproval.reducedAmountRatio || 0.8);
+    if (dtiCondition && scorecard.metrics.dti !== null) {
+      const affordable = (dtiCondition.value * incomeVerification.monthlyIncome - (incomeVerification.monthlyDebts || 0)) * 60;
+      if (affordable > 0) {
+        amount = Math.min(affordable, application.requestedAmount);
+      }
+    }
+
+    return Math.floor(amount / 1000) * 1000;
+  }
+}
+
 /**
  * Underwriting Engine - Applies business rules for loan decisions
  */
 class UnderwritingEngine {
   constructor(underwritingRules = {}) {
-    this.rules = {
-      minCreditScore: underwritingRules.minCreditScore || 650,
-      maxDebtToIncomeRatio: underwritingRules.maxDebtToIncomeRatio || 0.43,
-      minIncomeMultiplier: underwritingRules.minIncomeMultiplier || 3,
-      maxLoanAmount: underwritingRules.maxLoanAmount || 1000000,
-      ...underwritingRules
+    // Explicit rules take precedence over the loan-processing business rules
+    this.ruleOverrides = { ...underwritingRules };
+    this.pricingEngine = new LoanPricingEngine();
+    this.scorecard = new UnderwritingScorecard();
+    this.ltvPolicy = new LoanToValuePolicy();
+    this.adverseActionPolicy = new AdverseActionPolicy();
+  }
+
+  /**
+   * Underwriting rules for personal loans (the default product)
+   * @returns {Object} Resolved rules
+   */
+  get rules() {
+    return this.getRulesForLoanType(LoanType.PERSONAL);
+  }
+
+  /**
+   * Resolve underwriting rules for a loan type
+   * @param {string} loanType - Loan type
+   * @returns {Object} Resolved rules
+   */
+  getRulesForLoanType(loanType) {
+    const businessRules = config.getBusinessRule('loan-processing');
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    const eligibility = businessRules.eligibility || {};
+    const limits = businessRules.limits || {};
+    const servicing = businessRules.servicing || {};
+
+    return {
+      minCreditScore: eligibility.minimumCreditScore?.[productKey] || 650,
+      maxDebtToIncomeRatio: limits.debtToIncomeRatio?.maximum || 0.43,
+      minIncomeMultiplier: 3,
+      maxLoanAmount: limits.maximumLoanAmount?.[productKey] || 1000000,
+      maxTenure: limits.maximumTenure?.[productKey] || 60,
+      defaultTenure: servicing.defaultTenure?.[productKey] || 60,
+      ...this.ruleOverrides
     };
   }
 
   /**
-   * Make underwriting decision based on application and credit data
+   * Make underwriting decision based on application and credit data. The
+   * pass/fail rules reject outright; applications that pass are scored on the
+   * scorecard and mapped to the decision matrix. Co-applicant credit and
+   * income recorded on application.parties are combined with the primary
+   * applicant's. Declines carry adverse-action reason codes for the rules or
+   * scorecard factors behind them.
    * @param {LoanApplication} application - Loan application
-   * @param {Object} creditAssessment - Credit assessment result
-   * @param {Object} incomeVerification - Income verification data
+   * @param {Object} primaryCreditAssessment - Primary applicant's credit assessment result
+   * @param {Object} primaryIncomeVerification - Primary applicant's income verification data
+   * @param {Object} context - { relationship, relationshipProfile, collateral, fraudAlert };
+   *   relationship is used for relationship pricing, the rest for the scorecard
    * @returns {Object} Underwriting decision
    */
-  makeDecision(application, creditAssessment, incomeVerification = {}) {
+  makeDecision(application, primaryCreditAssessment, primaryIncomeVerification = {}, context = {}) {
     try {
       // Validate inputs
-      if (!application || !creditAssessment) {
+      if (!application || !primaryCreditAssessment) {
         throw new Error('Application and credit assessment are required');
       }
 
       // Check if credit assessment was successful
-      if (!creditAssessment.success || !creditAssessment.creditScore) {
+      if (!primaryCreditAssessment.success || !primaryCreditAssessment.creditScore) {
         return this.createRejectionDecision(
           application,
           'Unable to retrieve credit score',
-          []
+          [],
+          null,
+          [this.adverseActionPolicy.createReason(AdverseActionCode.CREDIT_HISTORY_UNAVAILABLE)]
         );
       }
 
+      // Co-applicants are underwritten together with the primary applicant
+      const creditAssessment = this.combineCreditAssessment(application, primaryCreditAssessment);
+      const incomeVerification = this.combineIncomeVerification(application, primaryIncomeVerification);
+
       // Apply underwriting rules
+      const ltv = this.assessLoanToValue(application, context);
       const ruleResults = this.applyUnderwritingRules(
         application,
         creditAssessment,
-        incomeVerification
+        incomeVerification,
+        ltv
       );
 
-      // Determine approval based on rule results
-      const approved = ruleResults.every(rule => rule.passed);
-
-      if (approved) {
-        return this.createApprovalDecision(application, creditAssessment, ruleResults);
-      } else {
-        const failedRules = ruleResults.filter(rule => !rule.passed);
+      const failedRules = ruleResults.filter(rule => !rule.passed);
+      if (failedRules.length > 0) {
         const rejectionReason = failedRules.map(rule => rule.reason).join('; ');
-        return this.createRejectionDecision(application, rejectionReason, ruleResults);
+        return {
+          ...this.createRejectionDecision(application, rejectionReason, ruleResults),
+          creditScore: creditAssessment.creditScore,
+          ltv
+        };
+      }
+
+      // Score the application and map it to the decision matrix
+      const scorecard = this.scorecard.evaluate(application, creditAssessment.creditScore, incomeVerification, context);
+
+      switch (scorecard.outcome) {
+        case UnderwritingOutcome.APPROVE:
+          return { ...this.createApprovalDecision(application, creditAssessment, ruleResults, context, scorecard), ltv };
+        case UnderwritingOutcome.CONDITIONAL_APPROVAL:
+          return {
+            ...this.createConditionalApprovalDecision(application, creditAssessment, ruleResults, context, scorecard, incomeVerification),
+            ltv
+          };
+        case UnderwritingOutcome.REFER:
+          return { ...this.createReferralDecision(application, creditAssessment, ruleResults, context, scorecard), ltv };
+        default: {
+          const rejectConditions = this.scorecard.matchedConditions(
+            this.scorecard.rules.decisionMatrix.reject?.conditions,
+            scorecard.metrics
+          );
+          const reason = rejectConditions.length > 0
+            ? `Rejected by decision matrix: ${rejectConditions.map(condition => condition.expression).join(', ')}`
+            : `Scorecard score ${scorecard.score} is in the reject band`;
+          return {
+            ...this.createRejectionDecision(application, reason, ruleResults, scorecard,
+              this.adverseActionPolicy.explainScorecard(scorecard, rejectConditions)),
+            creditScore: creditAssessment.creditScore,
+            ltv
+          };
+        }
       }
     } catch (error) {
       return {
@@ -262,6 +748,7 @@ class UnderwritingEngine {
         reason: `Underwriting error: ${error.message}`,
         decisionDate: new Date(),
         ruleResults: [],
+        adverseActionReasons: [this.adverseActionPolicy.createReason(AdverseActionCode.PROCESSING_ERROR, { ruleName: 'Underwriting' })],
         error: error.message
       };
     }
@@ -272,23 +759,26 @@ class UnderwritingEngine {
    * @param {LoanApplication} application - Loan application
    * @param {Object} creditAssessment - Credit assessment
    * @param {Object} incomeVerification - Income verification
+   * @param {Object} ltv - Loan-to-value assessment, null for unsecured loans
    * @returns {Array} Array of rule results
    */
-  applyUnderwritingRules(application, creditAssessment, incomeVerification) {
+  applyUnderwritingRules(application, creditAssessment, incomeVerification, ltv = null) {
     const results = [];
+    const rules = this.getRulesForLoanType(application.loanType);
 
     // Rule 1: Minimum credit score
-    results.push(this.checkCreditScore(creditAssessment.creditScore));
+    results.push(this.checkCreditScore(creditAssessment.creditScore, rules));
 
     // Rule 2: Maximum loan amount
-    results.push(this.checkLoanAmount(application.requestedAmount));
+    results.push(this.checkLoanAmount(application.requestedAmount, rules));
 
     // Rule 3: Debt-to-income ratio (if income data available)
     if (incomeVerification.monthlyIncome) {
       results.push(this.checkDebtToIncomeRatio(
         application.requestedAmount,
         incomeVerification.monthlyIncome,
-        incomeVerification.monthlyDebts || 0
+        incomeVerification.monthlyDebts || 0,
+        rules
       ));
     }
 
@@ -296,71 +786,235 @@ class UnderwritingEngine {
     if (incomeVerification.annualIncome) {
       results.push(this.checkIncomeMultiplier(
         application.requestedAmount,
-        incomeVerification.annualIncome
+        incomeVerification.annualIncome,
+        rules
       ));
     }
 
     // Rule 5: Required documents
     results.push(this.checkRequiredDocuments(application));
 
+    // Rule 6: Maximum tenure (if the applicant asked for one)
+    if (application.requestedTenure) {
+      results.push(this.checkTenure(application.requestedTenure, rules));
+    }
+
+    // Rule 7: Loan-to-value (secured loans and products that must be secured)
+    if (ltv) {
+      results.push(this.checkLoanToValue(application, ltv));
+    }
+
+    // Rule 8: Co-applicant and guarantor credit
+    const partyRules = this.getPartyRules();
+    for (const party of application.parties || []) {
+      results.push(this.checkPartyCredit(party, partyRules));
+    }
+
     return results;
   }
 
-  checkCreditScore(creditScore) {
-    const passed = creditScore >= this.rules.minCreditScore;
+  /**
+   * Co-applicant and guarantor rules
+   * @returns {Object} { maximumCoApplicants, maximumGuarantors, coApplicantIncomeShare, borrowerCreditScore, minimumGuarantorCreditScore }
+   */
+  getPartyRules() {
+    return config.getBusinessRule('loan-processing').parties || {};
+  }
+
+  /**
+   * Credit assessment for the borrowers on the application. With
+   * co-applicants the borrower score is the lowest, average or primary score
+   * as configured by parties.borrowerCreditScore.
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} creditAssessment - Primary applicant's credit assessment
+   * @returns {Object} Credit assessment with the borrower score and primaryCreditScore
+   */
+  combineCreditAssessment(application, creditAssessment) {
+    const coApplicantScores = (application.parties || [])
+      .filter(party => party.role === ApplicantRole.CO_APPLICANT && party.creditScore)
+      .map(party => party.creditScore);
+    if (coApplicantScores.length === 0) {
+      return creditAssessment;
+    }
+
+    const scores = [creditAssessment.creditScore, ...coApplicantScores];
+    const basis = this.getPartyRules().borrowerCreditScore || 'lowest';
+    const creditScore = basis === 'primary' ? creditAssessment.creditScore
+      : basis === 'average' ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+        : Math.min(...scores);
+
+    return { ...creditAssessment, creditScore, primaryCreditScore: creditAssessment.creditScore };
+  }
+
+  /**
+   * Combined income and obligations of the borrowers. Co-applicant income is
+   * counted at parties.coApplicantIncomeShare; their debts are counted in full.
+   * Guarantor income is never counted.
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} incomeVerification - Primary applicant's income verification
+   * @returns {Object} Income verification with combined monthlyIncome, monthlyDebts and annualIncome
+   */
+  combineIncomeVerification(application, incomeVerification = {}) {
+    const coApplicants = (application.parties || []).filter(party => party.role === ApplicantRole.CO_APPLICANT);
+    if (coApplicants.length === 0) {
+      return incomeVerification;
+    }
+
+    const share = this.getPartyRules().coApplicantIncomeShare ?? 1;
+    const coApplicantIncome = coApplicants.reduce((sum, party) => sum + (party.monthlyIncome || 0), 0) * share;
+    const coApplicantDebts = coApplicants.reduce((sum, party) => sum + (party.monthlyDebts || 0), 0);
+    const primaryMonthlyIncome = incomeVerification.monthlyIncome
+      || (incomeVerification.annualIncome ? incomeVerification.annualIncome / 12 : 0);
+    const primaryAnnualIncome = incomeVerification.annualIncome || primaryMonthlyIncome * 12;
+
+    return {
+      ...incomeVerification,
+      monthlyIncome: primaryMonthlyIncome + coApplicantIncome || null,
+      monthlyDebts: (incomeVerification.monthlyDebts || 0) + coApplicantDebts,
+      annualIncome: primaryAnnualIncome + coApplicantIncome * 12 || null,
+      primaryMonthlyIncome: incomeVerification.monthlyIncome ?? null
+    };
+  }
+
+  /**
+   * Assess the application's loan-to-value against the collateral pledged
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} context - { collateral, relationship }; premium customers get the premium limit
+   * @returns {Object|null} LoanToValuePolicy assessment, or null for an unsecured loan that may be unsecured
+   */
+  assessLoanToValue(application, context = {}) {
+    const collateral = context.collateral || [];
+    if (collateral.length === 0 && !this.ltvPolicy.isCollateralRequired(application.loanType)) {
+      return null;
+    }
+
+    return this.ltvPolicy.assess(application.loanType, application.requestedAmount, collateral, {
+      premium: context.relationship === 'premium'
+    });
+  }
+
+  checkCreditScore(creditScore, rules = this.rules) {
+    const passed = creditScore >= rules.minCreditScore;
     return {
       ruleName: 'Minimum Credit Score',
       passed,
       reason: passed 
-        ? `Credit score ${creditScore} meets minimum requirement of ${this.rules.minCreditScore}`
-        : `Credit score ${creditScore} below minimum requirement of ${this.rules.minCreditScore}`,
+        ? `Credit score ${creditScore} meets minimum requirement of ${rules.minCreditScore}`
+        : `Credit score ${creditScore} below minimum requirement of ${rules.minCreditScore}`,
       value: creditScore,
-      threshold: this.rules.minCreditScore
+      threshold: rules.minCreditScore
     };
   }
 
-  checkLoanAmount(requestedAmount) {
-    const passed = requestedAmount <= this.rules.maxLoanAmount;
+  checkLoanAmount(requestedAmount, rules = this.rules) {
+    const passed = requestedAmount <= rules.maxLoanAmount;
     return {
       ruleName: 'Maximum Loan Amount',
       passed,
       reason: passed
-        ? `Requested amount ${requestedAmount} within maximum limit of ${this.rules.maxLoanAmount}`
-        : `Requested amount ${requestedAmount} exceeds maximum limit of ${this.rules.maxLoanAmount}`,
+        ? `Requested amount ${requestedAmount} within maximum limit of ${rules.maxLoanAmount}`
+        : `Requested amount ${requestedAmount} exceeds maximum limit of ${rules.maxLoanAmount}`,
       value: requestedAmount,
-      threshold: this.rules.maxLoanAmount
+      threshold: rules.maxLoanAmount
     };
   }
 
-  checkDebtToIncomeRatio(loanAmount, monthlyIncome, existingMonthlyDebts) {
-    // Estimate monthly payment (simplified calculation)
-    const estimatedMonthlyPayment = loanAmount / 60; // Assume 5-year term
-    const totalMonthlyDebts = existingMonthlyDebts + estimatedMonthlyPayment;
-    const debtToIncomeRatio = totalMonthlyDebts / monthlyIncome;
+  checkDebtToIncomeRatio(loanAmount, monthlyIncome, existingMonthlyDebts, rules = this.rules) {
+    const debtToIncomeRatio = estimateDebtToIncome(loanAmount, monthlyIncome, existingMonthlyDebts);
     
-    const passed = debtToIncomeRatio <= this.rules.maxDebtToIncomeRatio;
+    const passed = debtToIncomeRatio <= rules.maxDebtToIncomeRatio;
     return {
       ruleName: 'Debt-to-Income Ratio',
       passed,
       reason: passed
-        ? `DTI ratio ${debtToIncomeRatio.toFixed(2)} within acceptable limit of ${this.rules.maxDebtToIncomeRatio}`
-        : `DTI ratio ${debtToIncomeRatio.toFixed(2)} exceeds limit of ${this.rules.maxDebtToIncomeRatio}`,
+        ? `DTI ratio ${debtToIncomeRatio.toFixed(2)} within acceptable limit of ${rules.maxDebtToIncomeRatio}`
+        : `DTI ratio ${debtToIncomeRatio.toFixed(2)} exceeds limit of ${rules.maxDebtToIncomeRatio}`,
       value: debtToIncomeRatio,
-      threshold: this.rules.maxDebtToIncomeRatio
+      threshold: rules.maxDebtToIncomeRatio
     };
   }
 
-  checkIncomeMultiplier(loanAmount, annualIncome) {
+  checkIncomeMultiplier(loanAmount, annualIncome, rules = this.rules) {
     const incomeMultiplier = loanAmount / annualIncome;
-    const passed = incomeMultiplier <= this.rules.minIncomeMultiplier;
+    const passed = incomeMultiplier <= rules.minIncomeMultiplier;
     return {
       ruleName: 'Income Multiplier',
       passed,
       reason: passed
-        ? `Loan amount is ${incomeMultiplier.toFixed(1)}x annual income, within ${this.rules.minIncomeMultiplier}x limit`
-        : `Loan amount is ${incomeMultiplier.toFixed(1)}x annual income, exceeds ${this.rules.minIncomeMultiplier}x limit`,
+        ? `Loan amount is ${incomeMultiplier.toFixed(1)}x annual income, within ${rules.minIncomeMultiplier}x limit`
+        : `Loan amount is ${incomeMultiplier.toFixed(1)}x annual income, exceeds ${rules.minIncomeMultiplier}x limit`,
       value: incomeMultiplier,
-      threshold: this.rules.minIncomeMultiplier
+      threshold: rules.minIncomeMultiplier
+    };
+  }
+
+  checkTenure(requestedTenure, rules = this.rules) {
+    const passed = Number.isInteger(requestedTenure) && requestedTenure > 0 && requestedTenure <= rules.maxTenure;
+    return {
+      ruleName: 'Maximum Tenure',
+      passed,
+      reason: passed
+        ? `Requested tenure of ${requestedTenure} months within maximum of ${rules.maxTenure} months`
+        : `Requested tenure of ${requestedTenure} months exceeds maximum of ${rules.maxTenure} months`,
+      value: requestedTenure,
+      threshold: rules.maxTenure
+    };
+  }
+
+  checkLoanToValue(application, ltv) {
+    const percent = ratio => `${Math.round(ratio * 10000) / 100}%`;
+    let passed;
+    let reason;
+
+    if (ltv.ratio === null) {
+      passed = false;
+      reason = `Collateral is required for ${application.loanType} loans`;
+    } else if (ltv.staleCollateral.length > 0) {
+      passed = false;
+      reason = `Collateral valuation out of date: ${ltv.staleCollateral.join(', ')}`;
+    } else {
+      passed = ltv.withinLimit;
+      reason = ltv.limit === null
+        ? `LTV ${percent(ltv.ratio)} with no limit configured`
+        : passed
+          ? `LTV ${percent(ltv.ratio)} within limit of ${percent(ltv.limit)}`
+          : `LTV ${percent(ltv.ratio)} exceeds limit of ${percent(ltv.limit)}`;
+    }
+
+    return {
+      ruleName: 'Loan-to-Value',
+      passed,
+      reason,
+      value: ltv.ratio,
+      threshold: ltv.limit
+    };
+  }
+
+  checkPartyCredit(party, partyRules = this.getPartyRules()) {
+    const label = party.role === ApplicantRole.GUARANTOR ? 'Guarantor' : 'Co-applicant';
+    const threshold = party.role === ApplicantRole.GUARANTOR ? partyRules.minimumGuarantorCreditScore ?? null : null;
+    let passed;
+    let reason;
+
+    if (!party.creditScore) {
+      passed = false;
+      reason = `${label} ${party.customerId} has no credit score`;
+    } else if (threshold === null) {
+      passed = true;
+      reason = `${label} credit score ${party.creditScore} included in the borrower score`;
+    } else {
+      passed = party.creditScore >= threshold;
+      reason = passed
+        ? `${label} credit score ${party.creditScore} meets minimum requirement of ${threshold}`
+        : `${label} credit score ${party.creditScore} below minimum requirement of ${threshold}`;
+    }
+
+    return {
+      ruleName: `${label} Credit`,
+      passed,
+      reason,
+      value: party.creditScore,
+      threshold
     };
   }
 
@@ -380,56 +1034,114 @@ class UnderwritingEngine {
     };
   }
 
-  createApprovalDecision(application, creditAssessment, ruleResults) {
-    // Calculate approved amount and terms
-    const approvedAmount = application.requestedAmount;
-    const interestRate = this.calculateInterestRate(creditAssessment.creditScore);
-    const terms = this.calculateLoanTerms(approvedAmount, interestRate);
+  createApprovalDecision(application, creditAssessment, ruleResults, pricingContext = {}, scorecard = null, approvedAmount = application.requestedAmount) {
+    // Calculate terms on the approved amount
+    const pricing = this.calculateInterestRate(application, creditAssessment.creditScore, pricingContext);
+    const interestRate = pricing.interestRate;
+    const rules = this.getRulesForLoanType(application.loanType);
+    const termMonths = Math.min(application.requestedTenure || rules.defaultTenure, rules.maxTenure);
+    const terms = this.calculateLoanTerms(approvedAmount, interestRate, termMonths);
 
     return {
       approved: true,
+      outcome: UnderwritingOutcome.APPROVE,
       approvedAmount,
       interestRate,
       terms,
+      pricing,
+      scorecard: this.summarizeScorecard(scorecard),
+      conditions: [],
       reason: 'Application meets all underwriting criteria',
+      adverseActionReasons: [],
       decisionDate: new Date(),
       ruleResults,
       creditScore: creditAssessment.creditScore
     };
   }
 
-  createRejectionDecision(application, reason, ruleResults) {
+  /**
+   * Approval subject to conditions the officer must clear before sign-off
+   */
+  createConditionalApprovalDecision(application, creditAssessment, ruleResults, pricingContext, scorecard, incomeVerification) {
+    const { conditions, approvedAmount } = this.scorecard.buildConditions(application, scorecard, incomeVerification);
+
+    return {
+      ...this.createApprovalDecision(application, creditAssessment, ruleResults, pricingContext, scorecard, approvedAmount),
+      outcome: UnderwritingOutcome.CONDITIONAL_APPROVAL,
+      conditions,
+      reason: `Conditionally approved with scorecard score ${scorecard.score}: ${conditions.map(condition => condition.description).join('; ')}`
+    };
+  }
+
+  /**
+   * Referral to an officer. The application is priced so the officer can
+   * approve it at sign-off.
+   */
+  createReferralDecision(application, creditAssessment, ruleResults, pricingContext, scorecard) {
+    return {
+      ...this.createApprovalDecision(application, creditAssessment, ruleResults, pricingContext, scorecard),
+      approved: false,
+      outcome: UnderwritingOutcome.REFER,
+      reason: `Scorecard score ${scorecard.score} referred for officer review`
+    };
+  }
+
+  /**
+   * Decline. Reason codes default to those for the failed rules.
+   */
+  createRejectionDecision(application, reason, ruleResults, scorecard = null,
+    adverseActionReasons = this.adverseActionPolicy.explainRuleResults(ruleResults)) {
     return {
       approved: false,
+      outcome: UnderwritingOutcome.REJECT,
       approvedAmount: null,
       interestRate: null,
       terms: null,
+      pricing: null,
+      scorecard: this.summarizeScorecard(scorecard),
+      conditions: [],
       reason,
+      adverseActionReasons,
       decisionDate: new Date(),
       ruleResults
     };
   }
 
-  calculateInterestRate(creditScore) {
-    // Simple interest rate calculation based on credit score
-    if (creditScore >= 750) return 6.5;
-    if (creditScore >= 700) return 8.0;
-    if (creditScore >= 650) return 10.0;
-    return 12.0;
+  /**
+   * Scorecard as stored on the decision
+   * @param {Object} scorecard - Result of UnderwritingScorecard.evaluate()
+   * @returns {Object|null} { score, factors }
+   */
+  summarizeScorecard(scorecard) {
+    return scorecard ? { score: scorecard.score, factors: scorecard.factors } : null;
   }
 
-  calculateLoanTerms(amount, interestRate) {
-    // Calculate loan terms (simplified)
-    const termMonths = 60; // 5 years
-    const monthlyRate = interestRate / 100 / 12;
-    const monthlyPayment = amount * (monthlyRate * Math.pow(1 + monthlyRate, termMonths)) / 
-                          (Math.pow(1 + monthlyRate, termMonths) - 1);
+  /**
+   * Price an application from the configured base rate (or benchmark and
+   * spread for floating-rate loans) and rate adjustments
+   * @param {LoanApplication} application - Loan application
+   * @param {number} creditScore - Credit score
+   * @param {Object} pricingContext - { relationship }
+   * @returns {Object} Itemized pricing from LoanPricingEngine.priceLoan()
+   */
+  calculateInterestRate(application, creditScore, pricingContext = {}) {
+    return this.pricingEngine.priceLoan({
+      loanType: application.loanType,
+      amount: application.requestedAmount,
+      creditScore,
+      relationship: pricingContext.relationship || null,
+      rateType: application.rateType || null
+    });
+  }
+
+  calculateLoanTerms(amount, interestRate, termMonths = 60) {
+    const monthlyPayment = calculateEMI(amount, interestRate, termMonths);
 
     return {
       termMonths,
-      monthlyPayment: Math.round(monthlyPayment * 100) / 100,
-      totalPayment: Math.round(monthlyPayment * termMonths * 100) / 100,
-      totalInterest: Math.round((monthlyPayment * termMonths - amount) * 100) / 100
+      monthlyPayment,
+      totalPayment: roundCurrency(monthlyPayment * termMonths),
+      totalInterest: roundCurrency(monthlyPayment * termMonths - amount)
     };
   }
 }
@@ -440,8 +1152,20 @@ class UnderwritingEngine {
 class LoanProcessingModule {
   constructor(config = {}) {
     this.documentProcessor = new DocumentProcessor();
-    this.creditAssessor = new CreditAssessor(config.creditBureau);
+    this.creditAssessor = new CreditAssessor(config.creditBureau, config.creditBureauInterface);
     this.underwritingEngine = new UnderwritingEngine(config.underwritingRules);
+    this.applicationRepository = config.loanApplicationRepository || null;
+    this.transactionProcessingModule = config.transactionProcessingModule || null;
+    // Confirms the disbursement account is held by the borrower or a co-applicant
+    this.accountRepository = config.accountRepository || null;
+    this.loanServicingModule = config.loanServicingModule || null;
+    this.collateralRegistry = config.collateralRegistry || null;
+    this.auditService = config.auditService || null;
+    // Queues applications awaiting an officer's sign-off and tracks their review SLA
+    this.workflowManager = config.workflowManager || null;
+    // Claims each tranche and fee collection so concurrent or retried requests pay out once
+    this.idempotencyService = config.idempotencyService || new IdempotencyService();
+    this.applications = new Map(); // applicationId -> application
     this.initialized = false;
   }
 
@@ -468,6 +1192,8 @@ class LoanProcessingModule {
         await this.initialize();
       }
 
+      await this.saveApplication(application);
+
       // Step 1: Validate all required documents
       const documentValidation = await this.validateDocuments(application, documentInputs);
       
@@ -498,12 +1224,40 @@ class LoanProcessingModule {
       // Update application with credit score
       application.setCreditScore(creditAssessment.creditScore);
 
+      // Co-applicants and guarantors are pulled the same way
+      const partyAssessments = await this.creditAssessor.assessParties(application, customerInfo?.parties);
+      const failedParty = partyAssessments.find(assessment => !assessment.success);
+
+      if (failedParty) {
+        return {
+          success: false,
+          stage: 'credit_assessment',
+          reason: `Credit assessment failed for ${failedParty.role} ${failedParty.customerId}`,
+          details: failedParty
+        };
+      }
+
+      partyAssessments.forEach(assessment => {
+        const party = application.parties.find(entry => entry.partyId === assessment.partyId);
+        party.creditScore = assessment.creditScore;
+        party.creditAssessedAt = assessment.assessmentDate;
+      });
+
       // Step 3: Apply underwriting rules and make decision
       const incomeVerification = this.extractIncomeVerification(documentValidation);
+      const collateral = this.collateralRegistry
+        ? await this.collateralRegistry.getCollateralForApplication(application.applicationId)
+        : customerInfo?.collateral;
       const decision = this.underwritingEngine.makeDecision(
         application,
         creditAssessment,
-        incomeVerification
+        incomeVerification,
+        {
+          relationship: customerInfo?.relationship,
+          relationshipProfile: customerInfo?.relationshipProfile,
+          collateral,
+          fraudAlert: customerInfo?.fraudAlert
+        }
       );
 
       // Step 4: Update application with decision
@@ -512,16 +1266,31 @@ class LoanProcessingModule {
         decision.approvedAmount,
         decision.interestRate,
         decision.terms,
-        decision.reason
+        decision.reason,
+        decision.pricing,
+        {
+          outcome: decision.outcome,
+          scorecard: decision.scorecard,
+          conditions: decision.conditions,
+          ltv: decision.ltv,
+          adverseActionReasons: decision.adverseActionReasons
+        }
       );
 
+      // Step 5: Hand the application to an officer if it needs sign-off
+      const assignment = this.assignForReview(application, decision);
+
+      await this.saveApplication(application);
+
       return {
         success: true,
         stage: 'completed',
         application,
         documentValidation,
         creditAssessment,
+        partyAssessments,
         decision,
+        assignment,
         processedAt: new Date()
       };
     } catch (error) {
@@ -534,6 +1303,27 @@ class LoanProcessingModule {
     }
   }
 
+  /**
+   * Assign a referred application, or an approval that needs sign-off, to a
+   * loan officer through the workflow manager
+   * @param {LoanApplication} application - Loan application with a decision
+   * @param {Object} decision - Underwriting decision
+   * @returns {Object|null} Assignment result, or null when no review is needed
+   */
+  assignForReview(application, decision) {
+    if (!this.workflowManager) {
+      return null;
+    }
+
+    const needsReview = decision.outcome === UnderwritingOutcome.REFER
+      || (decision.approved && this.getDisbursementRules(application.loanType).requireOfficerSignOff);
+    if (!needsReview) {
+      return null;
+    }
+
+    return this.workflowManager.assignTask(application, decision);
+  }
+
   /**
    * Validate all documents in the loan application
    * @param {LoanApplication} application - Loan application
@@ -606,14 +1396,635 @@ class LoanProcessingModule {
         }
       }
 
-      if (result.documentType === DocumentType.BANK_STATEMENT && result.extractedData) {
-        if (result.extractedData.monthlyDebts) {
-          incomeData.monthlyDebts = parseFloat(result.extractedData.monthlyDebts);
-        }
+      if (result.documentType === DocumentType.BANK_STATEMENT && result.extractedData) {
+        if (result.extractedData.monthlyDebts) {
+          incomeData.monthlyDebts = parseFloat(result.extractedData.monthlyDebts);
+        }
+      }
+    });
+
+    return incomeData;
+  }
+
+  /**
+   * Record the officer's sign-off on the underwriting decision. Approved
+   * applications can only be disbursed once signed off.
+   * @param {LoanApplication} application - Loan application with a decision
+   * @param {string} officerId - Officer signing off
+   * @param {Object} signOff - { approved, comments, reasonCodes }; approved defaults to the underwriting
+   *   outcome. reasonCodes are the AdverseActionCode values for a decline; without them a decline keeps the
+   *   underwriting reason codes or cites the weakest scorecard factors.
+   * @returns {Promise<LoanApplication>} Updated application
+   */
+  async signOffApplication(application, officerId, signOff = {}) {
+    if (!application.decision) {
+      throw new Error('Application has no underwriting decision to sign off');
+    }
+
+    if (![ApplicationStatus.UNDER_REVIEW, ApplicationStatus.APPROVED].includes(application.status)) {
+      throw new Error(`Application cannot be signed off in status ${application.status}`);
+    }
+
+    if (application.decision.signedOffBy) {
+      throw new Error('Application has already been signed off');
+    }
+
+    if (application.assignedOfficer && application.assignedOfficer !== officerId) {
+      throw new Error('Only the assigned officer can sign off this application');
+    }
+
+    // Referred applications are approved only on the officer's say-so
+    const approved = application.decision.outcome === UnderwritingOutcome.REFER
+      ? signOff.approved === true
+      : application.decision.approved && signOff.approved !== false;
+
+    const pending = this.getPendingConditions(application);
+    if (approved && pending.length > 0) {
+      throw new Error(`Conditions must be cleared before sign-off: ${pending.map(condition => condition.type).join(', ')}`);
+    }
+
+    let adverseActionReasons = [];
+    if (!approved) {
+      const policy = this.underwritingEngine.adverseActionPolicy;
+      const existing = application.decision.adverseActionReasons || [];
+      adverseActionReasons = signOff.reasonCodes?.length > 0 ? policy.fromCodes(signOff.reasonCodes)
+        : existing.length > 0 ? existing
+          : policy.explainScorecard(application.decision.scorecard || {});
+    }
+
+    application.decision = {
+      ...application.decision,
+      approved,
+      decisionReason: approved ? application.decision.decisionReason : (signOff.comments || 'Rejected at officer review'),
+      adverseActionReasons,
+      signedOffBy: officerId,
+      signedOffAt: new Date(),
+      signOffComments: signOff.comments || null
+    };
+    application.status = approved ? ApplicationStatus.APPROVED : ApplicationStatus.REJECTED;
+    application.updatedAt = new Date();
+    application.validate();
+
+    await this.saveApplication(application);
+    if (this.workflowManager) {
+      this.workflowManager.completeTask(`TASK-${application.applicationId}`, application.decision.signedOffAt);
+    }
+    if (this.auditService) {
+      await this.auditService.log('LOAN', application.applicationId, approved ? 'SIGNED_OFF' : 'REJECTED_AT_REVIEW', officerId, null, {
+        comments: signOff.comments || null,
+        ...(approved ? {} : { reasonCodes: adverseActionReasons.map(reason => reason.code) })
+      });
+    }
+
+    return application;
+  }
+
+  /**
+   * Outstanding conditions on a conditional approval
+   * @param {LoanApplication} application - Loan application
+   * @returns {Array} Conditions not yet cleared
+   */
+  getPendingConditions(application) {
+    return (application.decision?.conditions || []).filter(condition => condition.status === ConditionStatus.PENDING);
+  }
+
+  /**
+   * Add a co-applicant or guarantor to an application before underwriting
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} partyData - { customerId, role, relationship, monthlyIncome, monthlyDebts }
+   * @param {string} addedBy - User adding the party
+   * @returns {Promise<Object>} Party
+   */
+  async addParty(application, partyData, addedBy) {
+    if (application.decision) {
+      throw new Error('Parties cannot be changed after the underwriting decision');
+    }
+
+    const partyRules = this.underwritingEngine.getPartyRules();
+    const limit = {
+      [ApplicantRole.CO_APPLICANT]: partyRules.maximumCoApplicants,
+      [ApplicantRole.GUARANTOR]: partyRules.maximumGuarantors
+    }[partyData.role];
+    const existing = (application.parties || []).filter(party => party.role === partyData.role);
+    if (limit !== undefined && existing.length >= limit) {
+      throw new Error(`An application can have at most ${limit} parties with role ${partyData.role}`);
+    }
+
+    const party = application.addParty(partyData.customerId, partyData.role, partyData);
+
+    await this.saveApplication(application);
+    if (this.auditService) {
+      await this.auditService.log('LOAN', application.applicationId, 'PARTY_ADDED', addedBy, null, {
+        partyId: party.partyId,
+        customerId: party.customerId,
+        role: party.role
+      });
+    }
+
+    return party;
+  }
+
+  /**
+   * Clear a condition of a conditional approval once the officer has seen it
+   * met (guarantor added, collateral pledged, reduced amount accepted)
+   * @param {LoanApplication} application - Conditionally approved application
+   * @param {string} conditionId - Condition to clear
+   * @param {string} officerId - Officer clearing the condition
+   * @param {Object} clearance - { notes }
+   * @returns {Promise<LoanApplication>} Updated application
+   */
+  async clearCondition(application, conditionId, officerId, clearance = {}) {
+    const condition = (application.decision?.conditions || []).find(entry => entry.conditionId === conditionId);
+    if (!condition) {
+      throw new Error(`Approval condition not found: ${conditionId}`);
+    }
+
+    if (condition.status === ConditionStatus.CLEARED) {
+      throw new Error('Condition has already been cleared');
+    }
+
+    if (application.assignedOfficer && application.assignedOfficer !== officerId) {
+      throw new Error('Only the assigned officer can clear conditions on this application');
+    }
+
+    Object.assign(condition, {
+      status: ConditionStatus.CLEARED,
+      clearedBy: officerId,
+      clearedAt: new Date(),
+      notes: clearance.notes || null
+    });
+    application.updatedAt = new Date();
+    application.validate();
+
+    await this.saveApplication(application);
+    if (this.auditService) {
+      await this.auditService.log('LOAN', application.applicationId, 'CONDITION_CLEARED', officerId, null, {
+        conditionId,
+        type: condition.type,
+        notes: condition.notes
+      });
+    }
+
+    return application;
+  }
+
+  /**
+   * Disbursement rules for a loan type
+   * @param {string} loanType - Loan type
+   * @returns {Object} { currency, requireOfficerSignOff, processingFee, tranchesAllowed, maximumTranches, minimumTrancheAmount }
+   */
+  getDisbursementRules(loanType) {
+    const disbursement = config.getBusinessRule('loan-processing').disbursement || {};
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    const tranches = disbursement.tranches || {};
+
+    return {
+      currency: disbursement.currency || 'INR',
+      requireOfficerSignOff: disbursement.requireOfficerSignOff !== false,
+      processingFee: disbursement.processingFee?.[productKey] || { rate: 0 },
+      tranchesAllowed: (tranches.loanTypes || []).includes(productKey),
+      maximumTranches: tranches.maximumTranches || 1,
+      minimumTrancheAmount: tranches.minimumTrancheAmount || 0
+    };
+  }
+
+  /**
+   * Processing fee on a sanctioned amount
+   * @param {string} loanType - Loan type
+   * @param {number} sanctionedAmount - Approved amount
+   * @returns {number} Fee
+   */
+  calculateProcessingFee(loanType, sanctionedAmount) {
+    const { rate = 0, minimum = 0, maximum = Infinity } = this.getDisbursementRules(loanType).processingFee;
+    if (!rate) {
+      return 0;
+    }
+    return roundCurrency(Math.min(Math.max(sanctionedAmount * rate, minimum), maximum));
+  }
+
+  /**
+   * Disburse an approved loan into the borrower's account through the
+   * transaction pipeline. The processing fee is charged against the first
+   * disbursement. Loan types listed under disbursement.tranches may be
+   * released in stages; others are disbursed in full. Once the sanctioned
+   * amount is fully disbursed the loan is booked for servicing.
+   * @param {LoanApplication} application - Approved, signed-off application
+   * @param {Object} request - { accountId, amount, stage }; amount defaults to the undisbursed balance
+   * @param {string} disbursedBy - User releasing the funds
+   * @returns {Promise<Object>} { success, tranche, disbursement, loan, errors }
+   */
+  async disburseLoan(application, request = {}, disbursedBy) {
+    if (!this.transactionProcessingModule) {
+      throw new Error('Transaction processing module not configured');
+    }
+
+    if (application.status !== ApplicationStatus.APPROVED || !application.decision?.approved) {
+      throw new Error('Only approved loan applications can be disbursed');
+    }
+
+    if (this.getPendingConditions(application).length > 0) {
+      throw new Error('Approval conditions must be cleared before disbursement');
+    }
+
+    const rules = this.getDisbursementRules(application.loanType);
+    if (rules.requireOfficerSignOff && !application.decision.signedOffBy) {
+      throw new Error('Officer sign-off is required before disbursement');
+    }
+
+    const sanctionedAmount = application.decision.approvedAmount;
+    const disbursement = application.disbursement || {
+      status: DisbursementStatus.PENDING,
+      accountId: null,
+      currency: rules.currency,
+      sanctionedAmount,
+      disbursedAmount: 0,
+      processingFee: this.calculateProcessingFee(application.loanType, sanctionedAmount),
+      processingFeeCollected: false,
+      tranches: [],
+      completedAt: null
+    };
+
+    if (disbursement.status === DisbursementStatus.DISBURSED) {
+      throw new Error('Loan has already been fully disbursed');
+    }
+
+    const accountId = request.accountId || disbursement.accountId;
+    if (!accountId) {
+      throw new Error('accountId is required for disbursement');
+    }
+    await this.requireBorrowerAccount(application, accountId);
+
+    const remaining = roundCurrency(disbursement.sanctionedAmount - disbursement.disbursedAmount);
+    const amount = request.amount === undefined || request.amount === null ? remaining : roundCurrency(Number(request.amount));
+    if (!(amount > 0) || amount > remaining) {
+      throw new Error(`Disbursement amount must be positive and at most the undisbursed ${remaining}`);
+    }
+
+    const completedTranches = disbursement.tranches.filter(tranche => tranche.status === 'COMPLETED').length;
+    if (amount < remaining) {
+      if (!rules.tranchesAllowed) {
+        throw new Error(`${application.loanType} loans are disbursed in full`);
+      }
+      if (completedTranches + 1 >= rules.maximumTranches) {
+        throw new Error(`Tranche ${completedTranches + 1} of ${rules.maximumTranches} must release the remaining ${remaining}`);
+      }
+      if (amount < rules.minimumTrancheAmount) {
+        throw new Error(`Tranche amount below minimum of ${rules.minimumTrancheAmount}`);
+      }
+    }
+
+    const fee = disbursement.processingFeeCollected ? 0 : disbursement.processingFee;
+    if (fee >= amount) {
+      throw new Error(`Disbursement of ${amount} does not cover the processing fee of ${fee}`);
+    }
+
+    const trancheNumber = disbursement.tranches.length + 1;
+    const step = `tranche-${trancheNumber}`;
+    const claimScope = `loan-disbursement:${application.applicationId}`;
+    const pending = disbursement.pendingTranche?.trancheNumber === trancheNumber ? disbursement.pendingTranche : null;
+    const claim = await this.claimDisbursementStep(application, step, pending?.transactionId);
+    if (claim.status === IdempotencyStatus.REPLAY) {
+      // Credited before the application could be saved: restore it instead of paying again
+      application.disbursement = reviveDisbursement(claim.record.responseBody.disbursement);
+      application.updatedAt = new Date();
+      await this.saveApplication(application);
+      const restored = application.disbursement.tranches.find(entry => entry.trancheNumber === trancheNumber);
+      const loan = await this.bookDisbursedLoan(application, disbursedBy);
+      return { success: true, tranche: restored, disbursement: application.disbursement, loan };
+    }
+
+    let pendingTranche = pending;
+    let creditResult;
+    let disbursedAt;
+    let feeTransaction = null;
+    let feeCollected = false;
+    if (claim.postedEntry) {
+      // Credited by a run that stopped before recording it: finish that
+      // tranche from the ledger instead of paying it again
+      creditResult = { success: true };
+      disbursedAt = claim.postedEntry.postedAt;
+      feeCollected = Boolean(pending.feeTransactionId && this.transactionProcessingModule.getPostedEntry(pending.feeTransactionId));
+      if (!feeCollected && fee > 0) {
+        feeTransaction = this.createFeeTransaction(application, pending.accountId, fee, disbursement.currency);
+      }
+    } else {
+      const credit = new Transaction(
+        accountId,
+        amount,
+        disbursement.currency,
+        TransactionType.LOAN_DISBURSEMENT,
+        `Loan disbursement ${application.applicationId} tranche ${trancheNumber}`
+      );
+      feeTransaction = fee > 0 ? this.createFeeTransaction(application, accountId, fee, disbursement.currency) : null;
+
+      // Saved before money moves, so a claim left by a stopped run can be
+      // settled against the ledger
+      pendingTranche = {
+        trancheNumber,
+        amount,
+        stage: request.stage || null,
+        accountId,
+        transactionId: credit.transactionId,
+        feeTransactionId: feeTransaction?.transactionId || null
+      };
+      disbursement.pendingTranche = pendingTranche;
+      application.disbursement = disbursement;
+      try {
+        await this.saveApplication(application);
+      } catch (error) {
+        await this.idempotencyService.release(claimScope, step);
+        throw error;
+      }
+
+      creditResult = await this.transactionProcessingModule.processTransaction(credit);
+      disbursedAt = credit.processedAt || new Date();
+    }
+
+    const tranche = {
+      trancheNumber,
+      amount: pendingTranche.amount,
+      stage: pendingTranche.stage,
+      transactionId: pendingTranche.transactionId,
+      processingFee: 0,
+      feeTransactionId: feeCollected ? pendingTranche.feeTransactionId : null,
+      netAmount: pendingTranche.amount,
+      status: creditResult.success ? 'COMPLETED' : 'FAILED',
+      failureReason: creditResult.success ? null : (creditResult.errors || [creditResult.processingResult?.error]).join('; '),
+      disbursedBy,
+      disbursedAt
+    };
+    disbursement.pendingTranche = null;
+    disbursement.tranches.push(tranche);
+    disbursement.accountId = pendingTranche.accountId;
+
+    if (creditResult.success) {
+      if (feeTransaction) {
+        const feeResult = await this.transactionProcessingModule.processTransaction(feeTransaction);
+        tranche.feeTransactionId = feeTransaction.transactionId;
+        feeCollected = feeResult.success;
+      }
+
+      // An uncollected fee is retried on the next tranche, or through
+      // collectProcessingFee() once the loan is fully disbursed
+      if (feeCollected) {
+        tranche.processingFee = fee;
+        tranche.netAmount = roundCurrency(tranche.amount - fee);
+        disbursement.processingFeeCollected = true;
+      }
+
+      disbursement.disbursedAmount = roundCurrency(disbursement.disbursedAmount + tranche.amount);
+      if (disbursement.disbursedAmount >= disbursement.sanctionedAmount) {
+        disbursement.status = DisbursementStatus.DISBURSED;
+        disbursement.completedAt = tranche.disbursedAt;
+      } else {
+        disbursement.status = DisbursementStatus.PARTIALLY_DISBURSED;
+      }
+    }
+
+    if (creditResult.success) {
+      await this.idempotencyService.complete(claimScope, step, 201, { disbursement });
+    } else {
+      await this.idempotencyService.release(claimScope, step);
+    }
+
+    application.disbursement = disbursement;
+    application.updatedAt = new Date();
+    await this.saveApplication(application);
+
+    if (this.auditService) {
+      await this.auditService.log('LOAN', application.applicationId, creditResult.success ? 'DISBURSED' : 'DISBURSEMENT_FAILED', disbursedBy, null, tranche);
+      if (creditResult.success && disbursement.status === DisbursementStatus.DISBURSED && !disbursement.processingFeeCollected) {
+        await this.auditService.log('LOAN', application.applicationId, 'PROCESSING_FEE_OUTSTANDING', disbursedBy, null, {
+          processingFee: disbursement.processingFee,
+          feeTransactionId: tranche.feeTransactionId
+        });
+      }
+    }
+
+    if (!creditResult.success) {
+      return { success: false, tranche, disbursement, loan: null, errors: tranche.failureReason ? [tranche.failureReason] : [] };
+    }
+
+    const loan = await this.bookDisbursedLoan(application, disbursedBy);
+    return { success: true, tranche, disbursement, loan };
+  }
+
+  /**
+   * Collect a processing fee that could not be debited when the loan was
+   * fully disbursed
+   * @param {LoanApplication} application - Fully disbursed application
+   * @param {string} collectedBy - User collecting the fee
+   * @returns {Promise<Object>} { success, disbursement, transactionId, errors }
+   */
+  async collectProcessingFee(application, collectedBy) {
+    if (!this.transactionProcessingModule) {
+      throw new Error('Transaction processing module not configured');
+    }
+
+    const disbursement = application.disbursement;
+    if (!disbursement || disbursement.status !== DisbursementStatus.DISBURSED) {
+      throw new Error('Processing fees are collected from the disbursement until the loan is fully disbursed');
+    }
+    if (disbursement.processingFeeCollected || !(disbursement.processingFee > 0)) {
+      throw new Error('Processing fee has already been collected');
+    }
+
+    const claim = await this.claimDisbursementStep(application, 'processing-fee', disbursement.pendingFeeTransactionId);
+    if (claim.status === IdempotencyStatus.REPLAY) {
+      throw new Error('Processing fee has already been collected');
+    }
+
+    const claimScope = `loan-disbursement:${application.applicationId}`;
+    let transactionId = disbursement.pendingFeeTransactionId;
+    if (!claim.postedEntry) {
+      const feeTransaction = this.createFeeTransaction(application, disbursement.accountId, disbursement.processingFee, disbursement.currency);
+      transactionId = feeTransaction.transactionId;
+
+      // Saved before the debit, as for tranches
+      disbursement.pendingFeeTransactionId = transactionId;
+      try {
+        await this.saveApplication(application);
+      } catch (error) {
+        await this.idempotencyService.release(claimScope, 'processing-fee');
+        throw error;
+      }
+
+      const feeResult = await this.transactionProcessingModule.processTransaction(feeTransaction);
+      if (!feeResult.success) {
+        disbursement.pendingFeeTransactionId = null;
+        await this.idempotencyService.release(claimScope, 'processing-fee');
+        await this.saveApplication(application);
+        return {
+          success: false,
+          disbursement,
+          transactionId,
+          errors: feeResult.errors || [feeResult.processingResult?.error].filter(Boolean)
+        };
+      }
+    }
+
+    disbursement.processingFeeCollected = true;
+    disbursement.processingFeeTransactionId = transactionId;
+    disbursement.pendingFeeTransactionId = null;
+    await this.idempotencyService.complete(claimScope, 'processing-fee', 200, { transactionId });
+    application.updatedAt = new Date();
+    await this.saveApplication(application);
+
+    if (this.auditService) {
+      await this.auditService.log('LOAN', application.applicationId, 'PROCESSING_FEE_COLLECTED', collectedBy, null, {
+        processingFee: disbursement.processingFee,
+        transactionId
+      });
+    }
+
+    return { success: true, disbursement, transactionId };
+  }
+
+  /**
+   * Claim one disbursement step (a tranche or the processing fee) before
+   * money moves. A step that is still in flight cannot be claimed again; one
+   * that completed is returned as a REPLAY with the stored outcome. A claim
+   * older than DISBURSEMENT_CLAIM_TIMEOUT_MS was left by a stopped run: if
+   * the transaction that run saved as pending was posted, the claim is
+   * returned with its postedEntry for the caller to finish; otherwise nothing
+   * was paid and the claim is taken over.
+   * @param {LoanApplication} application - Loan application
+   * @param {string} step - tranche-N or processing-fee
+   * @param {string|null} pendingTransactionId - Transaction saved as pending for this step
+   * @returns {Promise<Object>} { status, record, postedEntry } from IdempotencyService.begin()
+   */
+  async claimDisbursementStep(application, step, pendingTransactionId = null) {
+    const scope = `loan-disbursement:${application.applicationId}`;
+    const claim = await this.idempotencyService.begin(
+      scope,
+      step,
+      this.idempotencyService.hashRequest({ applicationId: application.applicationId, step })
+    );
+    if (claim.status !== IdempotencyStatus.IN_PROGRESS) {
+      return claim;
+    }
+
+    if (Date.now() - new Date(claim.record.createdAt).getTime() < DISBURSEMENT_CLAIM_TIMEOUT_MS) {
+      throw new Error(`Disbursement ${step} of ${application.applicationId} is already in progress`);
+    }
+
+    const postedEntry = pendingTransactionId ? this.transactionProcessingModule.getPostedEntry(pendingTransactionId) : null;
+    if (postedEntry) {
+      return { ...claim, postedEntry };
+    }
+
+    await this.idempotencyService.release(scope, step);
+    return this.claimDisbursementStep(application, step);
+  }
+
+  /**
+   * Check that the disbursement account is held by the borrower or by a
+   * co-applicant recorded on the application
+   * @param {LoanApplication} application - Loan application
+   * @param {string} accountId - Disbursement account
+   * @returns {Promise<void>}
+   */
+  async requireBorrowerAccount(application, accountId) {
+    if (!this.accountRepository) {
+      throw new Error('Account repository not configured');
+    }
+
+    const account = await this.accountRepository.findById(accountId);
+    const holders = [
+      application.customerId,
+      ...(application.parties || []).filter(party => party.role === ApplicantRole.CO_APPLICANT).map(party => party.customerId)
+    ];
+    if (!account || !holders.includes(account.customerId)) {
+      throw new Error(`Account ${accountId} is not held by the borrower or a co-applicant of ${application.applicationId}`);
+    }
+  }
+
+  /**
+   * Processing fee debit for a loan
+   * @param {LoanApplication} application - Loan application
+   * @param {string} accountId - Account to debit
+   * @param {number} fee - Processing fee
+   * @param {string} currency - Currency
+   * @returns {Transaction} Fee transaction
+   */
+  createFeeTransaction(application, accountId, fee, currency) {
+    return new Transaction(
+      accountId,
+      fee,
+      currency,
+      TransactionType.FEE,
+      `Loan processing fee ${application.applicationId}`
+    );
+  }
+
+  /**
+   * Book a fully disbursed loan for servicing and link its collateral
+   * @param {LoanApplication} application - Loan application
+   * @param {string} bookedBy - User who released the final disbursement
+   * @returns {Promise<Object|null>} Loan account, or null while tranches remain
+   */
+  async bookDisbursedLoan(application, bookedBy) {
+    const disbursement = application.disbursement;
+    if (disbursement.status !== DisbursementStatus.DISBURSED || !this.loanServicingModule) {
+      return null;
+    }
+
+    const loan = await this.loanServicingModule.getLoanByApplication(application.applicationId)
+      || await this.loanServicingModule.bookLoan(application, { disbursedAt: disbursement.completedAt, bookedBy });
+
+    if (this.collateralRegistry) {
+      await this.collateralRegistry.linkToLoan(application, loan, bookedBy);
+    }
+    return loan;
+  }
+
+  /**
+   * Persist the current state of an application when a repository is configured
+   * @param {LoanApplication} application - Loan application
+   */
+  async saveApplication(application) {
+    if (this.applicationRepository) {
+      await this.applicationRepository.save(application);
+    }
+    this.applications.set(application.applicationId, application);
+  }
+
+  /**
+   * Get a loan application
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object|null>} Loan application
+   */
+  async getApplication(applicationId) {
+    let application = this.applications.get(applicationId);
+
+    if (!application && this.applicationRepository) {
+      application = await this.applicationRepository.findById(applicationId);
+      if (application) {
+        this.applications.set(application.applicationId, application);
       }
-    });
+    }
 
-    return incomeData;
+    return application || null;
+  }
+
+  /**
+   * Query loan applications, newest first
+   * @param {Object} filters - { customerId, status, loanType }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Loan applications
+   */
+  async getApplications(filters = {}, options = {}) {
+    if (this.applicationRepository) {
+      const found = await this.applicationRepository.findAll(filters, options);
+      // Prefer the cached copies, which in-flight workflows may be holding
+      return found.map(application => this.applications.get(application.applicationId) || application);
+    }
+
+    const offset = options.offset || 0;
+    return Array.from(this.applications.values())
+      .filter(application => Object.entries(filters).every(([key, value]) => value === undefined || application[key] === value))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(offset, options.limit ? offset + options.limit : undefined);
   }
 
   /**
@@ -630,24 +2041,44 @@ class LoanProcessingModule {
 }
 
 /**
- * Workflow Manager - Handles task assignment and workload balancing
+ * Officer task SLA events notified to officers and supervisors
+ */
+const TaskSLAEvent = {
+  WARNING: 'WARNING',       // Task falls due within the warning window
+  REASSIGNED: 'REASSIGNED', // Overdue task taken from the officer
+  ESCALATED: 'ESCALATED'    // Overdue task escalated to the officer's supervisor
+};
+
+/**
+ * Workflow Manager - Handles task assignment, workload balancing and task
+ * SLAs: officers are warned before a task falls due and overdue tasks are
+ * reassigned or escalated to a supervisor
  */
 class WorkflowManager {
-  constructor() {
+  /**
+   * @param {Object} config - { notifier, auditService }; notifier is a LoanDecisionNotifier
+   */
+  constructor(config = {}) {
     this.officers = new Map(); // Map of officer ID to officer data
     this.taskQueue = [];
     this.assignedTasks = new Map(); // Map of task ID to officer ID
+    this.tasks = new Map(); // Map of task ID to task, including completed tasks for SLA reporting
+    this.notifier = config.notifier || null;
+    this.auditService = config.auditService || null;
+    this.slaMonitorTimer = null;
   }
 
   /**
    * Register a loan officer in the system
    * @param {string} officerId - Officer identifier
-   * @param {Object} officerData - Officer information
+   * @param {Object} officerData - Officer information; supervisorId is who overdue tasks escalate to
    */
   registerOfficer(officerId, officerData = {}) {
     this.officers.set(officerId, {
       officerId,
       name: officerData.name || `Officer ${officerId}`,
+      email: officerData.email || null,
+      supervisorId: officerData.supervisorId || null,
       capacity: officerData.capacity || 10, // Maximum concurrent tasks
       currentLoad: 0,
       assignedTasks: [],
@@ -688,15 +2119,19 @@ class WorkflowManager {
         const task = {
           taskId: `TASK-${application.applicationId}`,
           applicationId: application.applicationId,
+          customerId: application.customerId,
           loanType: application.loanType,
           requestedAmount: application.requestedAmount,
           decision,
           priority,
           createdAt: new Date(),
-          status: 'QUEUED'
+          status: 'QUEUED',
+          assignments: [],
+          escalations: []
         };
         
         this.taskQueue.push(task);
+        this.tasks.set(task.taskId, task);
         
         return {
           success: true,
@@ -716,16 +2151,14 @@ class WorkflowManager {
         requestedAmount: application.requestedAmount,
         decision,
         priority,
-        assignedTo: selectedOfficer.officerId,
-        assignedAt: new Date(),
-        status: 'ASSIGNED',
-        dueDate: this.calculateDueDate(priority)
+        createdAt: new Date(),
+        assignments: [],
+        escalations: []
       };
 
-      // Update officer workload
-      selectedOfficer.currentLoad++;
-      selectedOfficer.assignedTasks.push(task.taskId);
-      this.assignedTasks.set(task.taskId, selectedOfficer.officerId);
+      // Update officer workload and start the SLA clock
+      this.startAssignment(task, selectedOfficer);
+      this.tasks.set(task.taskId, task);
 
       // Update application with assigned officer
       application.assignedOfficer = selectedOfficer.officerId;
@@ -790,13 +2223,14 @@ class WorkflowManager {
 
   /**
    * Select the best officer for a task using workload balancing
-   * @param {LoanApplication} application - Loan application
+   * @param {LoanApplication} application - Loan application (or a task, for its loan type)
    * @param {number} priority - Task priority
+   * @param {Array} excludeOfficerIds - Officers not to select, such as the one a task is being taken from
    * @returns {Object|null} Selected officer or null if none available
    */
-  selectOfficer(application, priority) {
+  selectOfficer(application, priority, excludeOfficerIds = []) {
     const availableOfficers = Array.from(this.officers.values())
-      .filter(officer => officer.currentLoad < officer.capacity);
+      .filter(officer => officer.currentLoad < officer.capacity && !excludeOfficerIds.includes(officer.officerId));
 
     if (availableOfficers.length === 0) {
       return null;
@@ -832,38 +2266,94 @@ class WorkflowManager {
     return scoredOfficers[0].officer;
   }
 
+  /**
+   * Task SLA rules
+   * @returns {Object} { priorityBands, warningHours, overdueAction, maximumReassignments, monitorIntervalMinutes }
+   */
+  getSLARules() {
+    const sla = config.getBusinessRule('loan-processing').processing?.sla || {};
+    return {
+      priorityBands: [...(sla.priorityBands || [{ minimumPriority: 0, days: 7 }])]
+        .sort((a, b) => b.minimumPriority - a.minimumPriority),
+      warningHours: sla.warningHours ?? 24,
+      overdueAction: sla.overdueAction || 'reassign',
+      maximumReassignments: sla.maximumReassignments ?? 1,
+      monitorIntervalMinutes: sla.monitorIntervalMinutes || 15
+    };
+  }
+
   /**
    * Calculate due date based on priority
    * @param {number} priority - Task priority
+   * @param {Date} from - When the SLA clock starts
    * @returns {Date} Due date
    */
-  calculateDueDate(priority) {
+  calculateDueDate(priority, from = new Date()) {
     // Higher priority = shorter deadline
-    let daysToComplete = 7; // Default 7 days
-
-    if (priority >= 80) {
-      daysToComplete = 2;
-    } else if (priority >= 60) {
-      daysToComplete = 4;
-    } else if (priority >= 40) {
-      daysToComplete = 7;
-    } else {
-      daysToComplete = 10;
-    }
+    const bands = this.getSLARules().priorityBands;
+    const band = bands.find(entry => priority >= entry.minimumPriority) || bands[bands.length - 1];
 
-    const dueDate = new Date();
-    dueDate.setDate(dueDate.getDate() + daysToComplete);
+    const dueDate = new Date(from);
+    dueDate.setDate(dueDate.getDate() + band.days);
     return dueDate;
   }
 
+  /**
+   * Give a task to an officer and start a new SLA clock for them
+   * @param {Object} task - Task
+   * @param {Object} officer - Officer
+   * @param {Date} assignedAt - Assignment time
+   */
+  startAssignment(task, officer, assignedAt = new Date()) {
+    task.status = 'ASSIGNED';
+    task.assignedTo = officer.officerId;
+    task.assignedAt = assignedAt;
+    task.dueDate = this.calculateDueDate(task.priority, assignedAt);
+    task.assignments = [...(task.assignments || []), {
+      officerId: officer.officerId,
+      assignedAt,
+      dueDate: task.dueDate,
+      warnedAt: null,
+      endedAt: null,
+      outcome: null // MET or BREACHED
+    }];
+
+    officer.currentLoad++;
+    officer.assignedTasks.push(task.taskId);
+    this.assignedTasks.set(task.taskId, officer.officerId);
+  }
+
+  /**
+   * Take a task off its officer's workload
+   * @param {Object} task - Task
+   */
+  releaseAssignment(task) {
+    const officer = this.officers.get(task.assignedTo);
+    if (officer) {
+      officer.currentLoad = Math.max(0, officer.currentLoad - 1);
+      officer.assignedTasks = officer.assignedTasks.filter(id => id !== task.taskId);
+    }
+    this.assignedTasks.delete(task.taskId);
+  }
+
   /**
    * Complete a task and update officer workload
    * @param {string} taskId - Task identifier
+   * @param {Date} completedAt - Completion time, checked against the due date
    * @returns {Object} Completion result
    */
-  completeTask(taskId) {
+  completeTask(taskId, completedAt = new Date()) {
     const officerId = this.assignedTasks.get(taskId);
-    
+
+    // Signed off before an officer picked it up
+    const queuedTask = this.taskQueue.find(task => task.taskId === taskId);
+    if (!officerId && queuedTask) {
+      this.taskQueue = this.taskQueue.filter(task => task !== queuedTask);
+      queuedTask.status = 'COMPLETED';
+      queuedTask.completedAt = completedAt;
+      return { success: true, taskId, officerId: null, remainingLoad: null, slaMet: null };
+    }
+
     if (!officerId) {
       return {
         success: false,
@@ -885,6 +2375,16 @@ class WorkflowManager {
     officer.assignedTasks = officer.assignedTasks.filter(id => id !== taskId);
     this.assignedTasks.delete(taskId);
 
+    // Close the SLA clock; a breach already recorded by the monitor stands
+    const task = this.tasks.get(taskId);
+    const assignment = task?.assignments[task.assignments.length - 1];
+    if (task) {
+      assignment.endedAt = completedAt;
+      assignment.outcome = assignment.outcome || (completedAt <= new Date(assignment.dueDate) ? 'MET' : 'BREACHED');
+      task.status = 'COMPLETED';
+      task.completedAt = completedAt;
+    }
+
     // Process next task from queue if officer has capacity
     if (officer.currentLoad < officer.capacity && this.taskQueue.length > 0) {
       this.processQueue();
@@ -894,14 +2394,17 @@ class WorkflowManager {
       success: true,
       taskId,
       officerId,
-      remainingLoad: officer.currentLoad
+      remainingLoad: officer.currentLoad,
+      slaMet: assignment ? task.assignments.every(entry => entry.outcome === 'MET') : null
     };
   }
 
   /**
    * Process queued tasks and assign to available officers
+   * @param {Date} assignedAt - Assignment time
+   * @returns {Array} Tasks assigned
    */
-  processQueue() {
+  processQueue(assignedAt = new Date()) {
     // Sort queue by priority
     this.taskQueue.sort((a, b) => b.priority - a.priority);
 
@@ -919,15 +2422,8 @@ class WorkflowManager {
       // Select officer (simplified - just pick first available)
       const officer = availableOfficers[0];
 
-      // Update task
-      queuedTask.status = 'ASSIGNED';
-      queuedTask.assignedTo = officer.officerId;
-      queuedTask.assignedAt = new Date();
-
-      // Update officer
-      officer.currentLoad++;
-      officer.assignedTasks.push(queuedTask.taskId);
-      this.assignedTasks.set(queuedTask.taskId, officer.officerId);
+      // Update task and officer, starting the SLA clock
+      this.startAssignment(queuedTask, officer, assignedAt);
 
       tasksToAssign.push(queuedTask);
     }
@@ -970,17 +2466,241 @@ class WorkflowManager {
     const officerId = this.assignedTasks.get(taskId);
     if (officerId) {
       const officer = this.officers.get(officerId);
+      const task = this.tasks.get(taskId);
       return {
         taskId,
         assignedTo: officerId,
         officerName: officer?.name,
-        status: 'ASSIGNED'
+        status: task?.status || 'ASSIGNED',
+        dueDate: task?.dueDate || null
       };
     }
 
     const queuedTask = this.taskQueue.find(task => task.taskId === taskId);
     return queuedTask || null;
   }
+
+  /**
+   * Check every open task against its SLA: assign queued tasks to officers
+   * with capacity, warn officers about tasks falling due within the warning
+   * window and reassign or escalate tasks that are overdue
+   * @param {Date} asOf - Check time
+   * @returns {Promise<Object>} { checkedAt, assigned, warned, reassigned, escalated } with task IDs
+   */
+  async monitorSLAs(asOf = new Date()) {
+    const rules = this.getSLARules();
+    const summary = {
+      checkedAt: asOf,
+      assigned: this.taskQueue.length > 0 ? this.processQueue(asOf).map(task => task.taskId) : [],
+      warned: [],
+      reassigned: [],
+      escalated: []
+    };
+
+    for (const task of this.tasks.values()) {
+      if (!['ASSIGNED', 'ESCALATED'].includes(task.status)) {
+        continue;
+      }
+
+      const assignment = task.assignments[task.assignments.length - 1];
+      const dueDate = new Date(assignment.dueDate);
+
+      if (asOf > dueDate) {
+        // Each assignment breaches once; escalated tasks stay with their officer
+        if (assignment.outcome !== 'BREACHED') {
+          assignment.outcome = 'BREACHED';
+          assignment.breachedAt = asOf;
+          const action = await this.handleOverdueTask(task, rules, asOf);
+          summary[action].push(task.taskId);
+        }
+      } else if (!assignment.warnedAt && dueDate.getTime() - asOf.getTime() <= rules.warningHours * 60 * 60 * 1000) {
+        assignment.warnedAt = asOf;
+        await this.notifyOfficerSLA(task.assignedTo, task, TaskSLAEvent.WARNING);
+        summary.warned.push(task.taskId);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reassign an overdue task through selectOfficer(), or escalate it to the
+   * officer's supervisor when escalation is configured, the reassignment
+   * limit is reached or no other officer has capacity
+   * @returns {Promise<string>} 'reassigned' or 'escalated'
+   */
+  async handleOverdueTask(task, rules, asOf) {
+    const reassignments = task.escalations.filter(entry => entry.action === TaskSLAEvent.REASSIGNED).length;
+
+    if (rules.overdueAction === 'reassign' && reassignments < rules.maximumReassignments) {
+      const officer = this.selectOfficer(task, task.priority, [task.assignedTo]);
+      if (officer) {
+        await this.reassignTask(task.taskId, officer.officerId, asOf);
+        return 'reassigned';
+      }
+    }
+
+    await this.escalateTask(task.taskId, asOf);
+    return 'escalated';
+  }
+
+  /**
+   * Move a task to another officer with a fresh SLA
+   * @param {string} taskId - Task identifier
+   * @param {string} officerId - Officer taking the task
+   * @param {Date} asOf - Reassignment time
+   * @returns {Promise<Object>} Task
+   */
+  async reassignTask(taskId, officerId, asOf = new Date()) {
+    const task = this.tasks.get(taskId);
+    const officer = this.officers.get(officerId);
+    if (!task || !this.assignedTasks.has(taskId)) {
+      throw new Error(`Task not found or not assigned: ${taskId}`);
+    }
+    if (!officer) {
+      throw new Error(`Officer not found: ${officerId}`);
+    }
+
+    const from = task.assignedTo;
+    const previous = task.assignments[task.assignments.length - 1];
+    previous.endedAt = asOf;
+    this.releaseAssignment(task);
+    this.startAssignment(task, officer, asOf);
+    task.escalations.push({ action: TaskSLAEvent.REASSIGNED, from, to: officerId, at: asOf });
+
+    if (this.auditService) {
+      await this.auditService.log('LOAN', task.applicationId, 'TASK_REASSIGNED', SYSTEM_USER_ID, { assignedTo: from }, {
+        taskId,
+        assignedTo: officerId,
+        dueDate: task.dueDate
+      });
+    }
+    await this.notifyOfficerSLA(from, task, TaskSLAEvent.REASSIGNED);
+    if (this.notifier && officer.email) {
+      await this.notifier.notifyOfficer(officerId, task, { email: officer.email });
+    }
+
+    return task;
+  }
+
+  /**
+   * Escalate a task to its officer's supervisor. The task stays with the
+   * officer; the supervisor is told it is overdue.
+   * @param {string} taskId - Task identifier
+   * @param {Date} asOf - Escalation time
+   * @returns {Promise<Object>} Task
+   */
+  async escalateTask(taskId, asOf = new Date()) {
+    const task = this.tasks.get(taskId);
+    if (!task || !this.assignedTasks.has(taskId)) {
+      throw new Error(`Task not found or not assigned: ${taskId}`);
+    }
+
+    const supervisorId = this.officers.get(task.assignedTo)?.supervisorId || null;
+    task.status = 'ESCALATED';
+    task.escalations.push({ action: TaskSLAEvent.ESCALATED, from: task.assignedTo, to: supervisorId, at: asOf });
+
+    if (this.auditService) {
+      await this.auditService.log('LOAN', task.applicationId, 'TASK_ESCALATED', SYSTEM_USER_ID, null, {
+        taskId,
+        assignedTo: task.assignedTo,
+        escalatedTo: supervisorId,
+        dueDate: task.dueDate
+      });
+    }
+    if (supervisorId) {
+      await this.notifyOfficerSLA(supervisorId, task, TaskSLAEvent.ESCALATED);
+    }
+
+    return task;
+  }
+
+  async notifyOfficerSLA(officerId, task, event) {
+    const officer = this.officers.get(officerId);
+    if (!this.notifier || !officer?.email) {
+      return null;
+    }
+    return await this.notifier.notifyOfficerSLA(officerId, task, { email: officer.email }, event);
+  }
+
+  /**
+   * Run monitorSLAs() on an interval
+   * @param {number} intervalMs - Interval, sla.monitorIntervalMinutes by default
+   */
+  startSLAMonitor(intervalMs = this.getSLARules().monitorIntervalMinutes * 60 * 1000) {
+    this.stopSLAMonitor();
+
+    this.slaMonitorTimer = setInterval(() => {
+      this.monitorSLAs().catch(error => console.error('Task SLA monitor failed:', error.message));
+    }, intervalMs);
+    // Do not keep the process alive just for the monitor
+    this.slaMonitorTimer.unref();
+  }
+
+  /**
+   * Stop the SLA monitor
+   */
+  stopSLAMonitor() {
+    if (this.slaMonitorTimer) {
+      clearInterval(this.slaMonitorTimer);
+      this.slaMonitorTimer = null;
+    }
+  }
+
+  /**
+   * SLA compliance per officer and per loan type. Officers are measured on
+   * each assignment they held, so a reassigned task counts against the
+   * officer who let it go overdue; loan types are measured per task. Open
+   * tasks past their due date count as breached.
+   * @param {Date} asOf - Report date
+   * @returns {Object} { asOf, overall, byOfficer, byLoanType }; each entry has
+   *   { tasks, met, breached, open, reassigned, escalated, complianceRate } with complianceRate a percentage
+   */
+  getSLAReport(asOf = new Date()) {
+    const empty = () => ({ tasks: 0, met: 0, breached: 0, open: 0, reassigned: 0, escalated: 0, complianceRate: null });
+    const outcomeOf = assignment => assignment.outcome
+      || (asOf > new Date(assignment.dueDate) ? 'BREACHED' : 'OPEN');
+    const count = (entry, outcome) => {
+      entry.tasks++;
+      entry[outcome === 'MET' ? 'met' : outcome === 'BREACHED' ? 'breached' : 'open']++;
+    };
+
+    const overall = empty();
+    const byOfficer = {};
+    const byLoanType = {};
+
+    for (const task of this.tasks.values()) {
+      if (task.assignments.length === 0) {
+        continue;
+      }
+
+      task.assignments.forEach(assignment => {
+        const officer = this.officers.get(assignment.officerId);
+        byOfficer[assignment.officerId] = byOfficer[assignment.officerId] || { name: officer?.name || null, ...empty() };
+        count(byOfficer[assignment.officerId], outcomeOf(assignment));
+      });
+      task.escalations.forEach(escalation => {
+        const key = escalation.action === TaskSLAEvent.REASSIGNED ? 'reassigned' : 'escalated';
+        byOfficer[escalation.from][key]++;
+      });
+
+      const outcomes = task.assignments.map(outcomeOf);
+      const outcome = outcomes.includes('BREACHED') ? 'BREACHED' : outcomes.includes('OPEN') ? 'OPEN' : 'MET';
+      byLoanType[task.loanType] = byLoanType[task.loanType] || empty();
+      [overall, byLoanType[task.loanType]].forEach(entry => {
+        count(entry, outcome);
+        entry.reassigned += task.escalations.filter(escalation => escalation.action === TaskSLAEvent.REASSIGNED).length;
+        entry.escalated += task.escalations.filter(escalation => escalation.action === TaskSLAEvent.ESCALATED).length;
+      });
+    }
+
+    [overall, ...Object.values(byOfficer), ...Object.values(byLoanType)].forEach(entry => {
+      const measured = entry.met + entry.breached;
+      entry.complianceRate = measured > 0 ? Math.round(entry.met / measured * 10000) / 100 : null;
+    });
+
+    return { asOf, overall, byOfficer, byLoanType };
+  }
 }
 
 /**
@@ -989,6 +2709,7 @@ class WorkflowManager {
 class LoanDecisionNotifier {
   constructor(notificationService) {
     this.notificationService = notificationService;
+    this.adverseActionPolicy = new AdverseActionPolicy();
   }
 
   /**
@@ -1033,7 +2754,28 @@ class LoanDecisionNotifier {
    * @returns {Object} Messages for different channels
    */
   createDecisionMessage(application, decision) {
+    if (decision.outcome === UnderwritingOutcome.REFER) {
+      return {
+        subject: 'Loan Application Under Review',
+        email: `
+Dear Applicant,
+
+Thank you for your ${application.loanType} loan application.
+
+Your application (${application.applicationId}) has been passed to a loan officer for review. We will contact you with a decision shortly.
+
+Best regards,
+Loan Processing Team
+        `.trim(),
+        sms: `Your ${application.loanType} loan application (${application.applicationId}) is under review by a loan officer. We will contact you shortly.`
+      };
+    }
+
     if (decision.approved) {
+      const conditions = decision.conditions || [];
+      const conditionText = conditions.length > 0
+        ? `\nConditions of Approval:\n${conditions.map(condition => `- ${condition.description}`).join('\n')}\n`
+        : '';
       return {
         subject: 'Loan Application Approved',
         email: `
@@ -1047,7 +2789,7 @@ Loan Details:
 - Interest Rate: ${decision.interestRate}%
 - Monthly Payment: $${decision.terms.monthlyPayment.toLocaleString()}
 - Term: ${decision.terms.termMonths} months
-
+${conditionText}
 Next Steps:
 Your application has been assigned to a loan officer who will contact you shortly to complete the final documentation.
 
@@ -1056,8 +2798,10 @@ Thank you for choosing our services.
 Best regards,
 Loan Processing Team
         `.trim(),
-        sms: `Your ${application.loanType} loan application (${application.applicationId}) has been APPROVED for $${decision.approvedAmount.toLocaleString()} at ${decision.interestRate}% interest. A loan officer will contact you soon.`
+        sms: `Your ${application.loanType} loan application (${application.applicationId}) has been ${conditions.length > 0 ? 'CONDITIONALLY APPROVED' : 'APPROVED'} for $${decision.approvedAmount.toLocaleString()} at ${decision.interestRate}% interest. A loan officer will contact you soon.`
       };
+    } else if ((decision.adverseActionReasons || []).length > 0) {
+      return this.createAdverseActionNotice(application, decision);
     } else {
       return {
         subject: 'Loan Application Decision',
@@ -1081,6 +2825,165 @@ Loan Processing Team
     }
   }
 
+  /**
+   * Adverse-action notice for a declined application: the principal reasons
+   * by code, the credit score used and the applicant's rights
+   * @param {LoanApplication} application - Loan application
+   * @param {Object} decision - Decision with adverseActionReasons
+   * @returns {Object} Messages for different channels
+   */
+  createAdverseActionNotice(application, decision) {
+    const reasons = decision.adverseActionReasons;
+    const creditScore = decision.creditScore ?? application.creditScore ?? null;
+    const { creditReportRequestDays } = this.adverseActionPolicy.getRules();
+    const creditCodes = [AdverseActionCode.CREDIT_HISTORY_UNAVAILABLE, AdverseActionCode.CREDIT_SCORE];
+    const usedCreditReport = creditScore !== null || reasons.some(reason => creditCodes.includes(reason.code));
+
+    const creditText = usedCreditReport
+      ? `
+${creditScore !== null ? `Credit score used in our decision: ${creditScore}\n` : ''}Our decision was based in whole or in part on information obtained from a credit bureau. You have the right to a free copy of your credit report from the bureau if you request it within ${creditReportRequestDays} days of this notice, and to dispute the accuracy or completeness of any information in it.
+`
+      : '';
+
+    return {
+      subject: 'Loan Application Decision',
+      email: `
+Dear Applicant,
+
+Thank you for your ${application.loanType} loan application.
+
+After careful review, we regret to inform you that we are unable to approve your application at this time.
+
+Application ID: ${application.applicationId}
+
+Principal reason(s) for our decision:
+${reasons.map(reason => `- ${reason.code}: ${reason.description}`).join('\n')}
+${creditText}
+We do not discriminate against applicants on the basis of race, religion, caste, sex, marital status, age or national origin. If you have questions about this decision, please contact our customer service team.
+
+Best regards,
+Loan Processing Team
+      `.trim(),
+      sms: `Your ${application.loanType} loan application (${application.applicationId}) could not be approved at this time. Reason codes: ${reasons.map(reason => reason.code).join(', ')}. A notice explaining the reasons has been sent to your email.`
+    };
+  }
+
+  /**
+   * Send a prepayment, foreclosure or restructuring notification to the borrower
+   * @param {Object} loan - Loan account
+   * @param {Object} event - Servicing event with its quote
+   * @param {Object} customerContact - Customer contact information
+   * @returns {Promise<Object>} Notification result
+   */
+  async notifyServicingEvent(loan, event, customerContact) {
+    try {
+      const message = this.createServicingMessage(loan, event);
+
+      const results = await Promise.all([
+        this.sendEmailNotification(customerContact.email, message),
+        this.sendSMSNotification(customerContact.phone, message.sms)
+      ]);
+
+      return {
+        success: true,
+        loanId: loan.loanId,
+        event: event.type,
+        channels: {
+          email: results[0],
+          sms: results[1]
+        },
+        sentAt: new Date()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        loanId: loan.loanId,
+        event: event.type,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create servicing event message for different channels
+   * @param {Object} loan - Loan account
+   * @param {Object} event - Servicing event with its quote
+   * @returns {Object} Messages for different channels
+   */
+  createServicingMessage(loan, event) {
+    const maturity = date => new Date(date).toISOString().slice(0, 10);
+
+    switch (event.type) {
+      case ServicingEvent.PREPAYMENT:
+        return {
+          subject: 'Loan Prepayment Received',
+          email: `
+Dear Customer,
+
+We have received a prepayment of $${event.amount.toLocaleString()} on your ${loan.loanType} loan (${loan.loanId}).
+
+Revised Loan Details:
+- Principal Outstanding: $${event.revised.principalOutstanding.toLocaleString()}
+- Monthly Payment: $${event.revised.emi.toLocaleString()}
+- Remaining Installments: ${event.revised.remainingInstallments}
+- Maturity Date: ${maturity(event.revised.maturityDate)}
+- Prepayment Charges: $${event.charges.toLocaleString()}
+- Interest Saved: $${event.interestSaved.toLocaleString()}
+
+Best regards,
+Loan Servicing Team
+          `.trim(),
+          sms: `Prepayment of $${event.amount.toLocaleString()} received on loan ${loan.loanId}. New EMI $${event.revised.emi.toLocaleString()} for ${event.revised.remainingInstallments} months.`
+        };
+
+      case ServicingEvent.FORECLOSURE:
+        return {
+          subject: 'Loan Foreclosed',
+          email: `
+Dear Customer,
+
+Your ${loan.loanType} loan (${loan.loanId}) has been foreclosed and closed.
+
+Settlement Details:
+- Principal Repaid: $${event.principalOutstanding.toLocaleString()}
+- Interest: $${(event.arrears.interest + event.accruedInterest).toLocaleString()}
+- Foreclosure Charges: $${event.charges.toLocaleString()}
+- Total Paid: $${event.totalPayable.toLocaleString()}
+
+Thank you for banking with us.
+
+Best regards,
+Loan Servicing Team
+          `.trim(),
+          sms: `Your loan ${loan.loanId} has been foreclosed with a payment of $${event.totalPayable.toLocaleString()} and is now closed.`
+        };
+
+      case ServicingEvent.RESTRUCTURE:
+        return {
+          subject: 'Loan Restructured',
+          email: `
+Dear Customer,
+
+Your ${loan.loanType} loan (${loan.loanId}) has been restructured.
+
+Revised Loan Details:
+- Tenure Extension: ${event.extensionMonths} months
+- Moratorium: ${event.moratoriumMonths} months
+- Interest Capitalized: $${event.capitalizedInterest.toLocaleString()}
+- Monthly Payment: $${event.revised.emi.toLocaleString()}
+- Maturity Date: ${maturity(event.revised.maturityDate)}
+
+Best regards,
+Loan Servicing Team
+          `.trim(),
+          sms: `Your loan ${loan.loanId} has been restructured. New EMI $${event.revised.emi.toLocaleString()}, maturing ${maturity(event.revised.maturityDate)}.`
+        };
+
+      default:
+        throw new Error(`Unknown servicing event: ${event.type}`);
+    }
+  }
+
   /**
    * Send email notification
    * @param {string} email - Email address
@@ -1121,6 +3024,61 @@ Loan Processing Team
     };
   }
 
+  /**
+   * Notify an officer that a task is about to breach its SLA, was reassigned
+   * for breaching it, or (for a supervisor) has been escalated
+   * @param {string} officerId - Officer identifier
+   * @param {Object} task - Task
+   * @param {Object} officerContact - Officer contact information
+   * @param {string} event - TaskSLAEvent
+   * @returns {Promise<Object>} Notification result
+   */
+  async notifyOfficerSLA(officerId, task, officerContact, event) {
+    const subjects = {
+      [TaskSLAEvent.WARNING]: 'Loan Application Task Due Soon',
+      [TaskSLAEvent.REASSIGNED]: 'Overdue Loan Application Task Reassigned',
+      [TaskSLAEvent.ESCALATED]: 'Overdue Loan Application Task Escalated'
+    };
+    const details = {
+      [TaskSLAEvent.WARNING]: `The task below is due on ${new Date(task.dueDate).toLocaleString()}. Please complete it before then.`,
+      [TaskSLAEvent.REASSIGNED]: 'The task below passed its due date and has been reassigned to another officer.',
+      [TaskSLAEvent.ESCALATED]: `The task below assigned to ${task.assignedTo} has passed its due date of ${new Date(task.dueDate).toLocaleString()} and needs your attention.`
+    };
+
+    try {
+      const message = {
+        subject: subjects[event],
+        email: `
+${details[event]}
+
+Task ID: ${task.taskId}
+Application ID: ${task.applicationId}
+Loan Type: ${task.loanType}
+Requested Amount: $${task.requestedAmount.toLocaleString()}
+Priority: ${task.priority}
+        `.trim()
+      };
+
+      const result = await this.sendEmailNotification(officerContact.email, message);
+
+      return {
+        success: true,
+        officerId,
+        taskId: task.taskId,
+        event,
+        notificationResult: result
+      };
+    } catch (error) {
+      return {
+        success: false,
+        officerId,
+        taskId: task.taskId,
+        event,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Notify loan officer of new task assignment
    * @param {string} officerId - Officer identifier
@@ -1132,7 +3090,7 @@ Loan Processing Team
     try {
       const message = {
         subject: 'New Loan Application Assigned',
-        body: `
+        email: `
 A new loan application has been assigned to you.
 
 Task ID: ${task.taskId}
@@ -1169,7 +3127,9 @@ Please review the application in the system.
 module.exports = {
   LoanProcessingModule,
   CreditAssessor,
+  UnderwritingScorecard,
   UnderwritingEngine,
   WorkflowManager,
+  TaskSLAEvent,
   LoanDecisionNotifier
 };
\ No newline at end of file
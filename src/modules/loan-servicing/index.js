@@ -0,0 +1,1630 @@
+// Loan Servicing Module
+// Books approved loans, keeps their amortization schedules, posts repayments
+// and handles prepayment, foreclosure and restructuring
+
+const { v4: uuidv4 } = require('uuid');
+const { ApplicationStatus, LoanType, RateType } = require('../../shared/types');
+const AuditService = require('../../services/audit-service');
+const { DAY_MS, roundCurrency, addMonths, calculateTenure, generateAmortizationSchedule } = require('../../services/amortization');
+const { LoanPricingEngine } = require('../../services/loan-pricing');
+const config = require('../../config');
+
+// Used as performedBy for automated collections
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * Loan account status
+ */
+const LoanStatus = {
+  ACTIVE: 'ACTIVE',
+  CLOSED: 'CLOSED',
+  FORECLOSED: 'FORECLOSED'
+};
+
+/**
+ * Repayment types
+ */
+const RepaymentType = {
+  INSTALLMENT: 'INSTALLMENT',
+  PREPAYMENT: 'PREPAYMENT',
+  FORECLOSURE: 'FORECLOSURE'
+};
+
+/**
+ * Part-prepayment options
+ */
+const PrepaymentOption = {
+  REDUCE_TENURE: 'REDUCE_TENURE', // Finish earlier without raising the EMI
+  REDUCE_EMI: 'REDUCE_EMI'        // Keep the remaining installments and lower the EMI
+};
+
+/**
+ * Servicing events notified to the borrower
+ */
+const ServicingEvent = {
+  PREPAYMENT: 'PREPAYMENT',
+  FORECLOSURE: 'FORECLOSURE',
+  RESTRUCTURE: 'RESTRUCTURE'
+};
+
+/**
+ * Installment status
+ */
+const InstallmentStatus = {
+  SCHEDULED: 'SCHEDULED',         // Not yet due
+  DUE: 'DUE',                     // Due, within the grace period
+  PARTIALLY_PAID: 'PARTIALLY_PAID',
+  OVERDUE: 'OVERDUE',             // Unpaid past the grace period
+  PAID: 'PAID'
+};
+
+/**
+ * Days-past-due buckets: Special Mention Accounts (SMA) and Non-Performing Assets (NPA)
+ */
+const DelinquencyBucket = {
+  CURRENT: 'CURRENT',
+  SMA_0: 'SMA_0',   // 1-30 days past due
+  SMA_1: 'SMA_1',   // 31-60 days past due
+  SMA_2: 'SMA_2',   // 61-90 days past due
+  NPA: 'NPA'        // Over 90 days past due, until all arrears are cleared
+};
+
+/**
+ * Asset classification for provisioning
+ */
+const AssetClassification = {
+  STANDARD: 'STANDARD',
+  SUBSTANDARD: 'SUBSTANDARD',
+  DOUBTFUL_1: 'DOUBTFUL_1',
+  DOUBTFUL_2: 'DOUBTFUL_2',
+  DOUBTFUL_3: 'DOUBTFUL_3'
+};
+
+// AssetClassification -> provisioning rule key
+const PROVISIONING_KEYS = {
+  [AssetClassification.STANDARD]: 'standard',
+  [AssetClassification.SUBSTANDARD]: 'substandard',
+  [AssetClassification.DOUBTFUL_1]: 'doubtful1',
+  [AssetClassification.DOUBTFUL_2]: 'doubtful2',
+  [AssetClassification.DOUBTFUL_3]: 'doubtful3'
+};
+
+/**
+ * Repayment components, in the order they can be appropriated
+ */
+const RepaymentComponent = {
+  PENALTY: 'penalty',
+  INTEREST: 'interest',
+  PRINCIPAL: 'principal'
+};
+
+/**
+ * Loan Servicing Module - Turns approved loan applications into loan
+ * accounts with a full amortization schedule, accepts repayments and splits
+ * them into penalty, interest and principal
+ */
+class LoanServicingModule {
+  constructor(config = {}) {
+    this.loanAccountRepository = config.loanAccountRepository || null;
+    this.accountRepository = config.accountRepository || null; // Customer lookup for reminders
+    this.notificationService = config.notificationService || null;
+    this.loanNotifier = config.loanNotifier || null; // LoanDecisionNotifier for prepayment, foreclosure and restructuring
+    this.auditService = config.auditService || new AuditService();
+    this.pricingEngine = config.pricingEngine || new LoanPricingEngine();
+    this.loans = new Map();              // loanId -> loan account
+    this.loansByApplication = new Map(); // applicationId -> loanId
+    this.delinquencyJobTimer = null;
+    this.delinquencyJobRunning = false;
+  }
+
+  /**
+   * Servicing rules for a loan type
+   * @param {string} loanType - Loan type
+   * @returns {Object} { maxTenure, defaultTenure, appropriationOrder, penalCharges }
+   */
+  getServicingRules(loanType) {
+    const businessRules = config.getBusinessRule('loan-processing');
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    const servicing = businessRules.servicing || {};
+
+    return {
+      maxTenure: businessRules.limits?.maximumTenure?.[productKey] || 60,
+      defaultTenure: servicing.defaultTenure?.[productKey] || 60,
+      appropriationOrder: servicing.appropriationOrder || Object.values(RepaymentComponent),
+      penalCharges: {
+        ratePerAnnum: servicing.penalCharges?.ratePerAnnum || 0,
+        graceDays: servicing.penalCharges?.graceDays || 0
+      }
+    };
+  }
+
+  /**
+   * Book a loan account for an approved application and generate its
+   * amortization schedule
+   * @param {LoanApplication} application - Approved loan application
+   * @param {Object} options - { tenureMonths, disbursedAt, firstDueDate, bookedBy }
+   * @returns {Promise<Object>} Loan account
+   */
+  async bookLoan(application, options = {}) {
+    if (!application || application.status !== ApplicationStatus.APPROVED || !application.decision?.approved) {
+      throw new Error('Only approved loan applications can be booked');
+    }
+
+    const existing = this.loansByApplication.has(application.applicationId)
+      || (this.loanAccountRepository && await this.loanAccountRepository.findByApplicationId(application.applicationId));
+    if (existing) {
+      throw new Error(`Loan already booked for application: ${application.applicationId}`);
+    }
+
+    const rules = this.getServicingRules(application.loanType);
+    const tenureMonths = options.tenureMonths
+      || application.decision.terms?.termMonths
+      || application.requestedTenure
+      || rules.defaultTenure;
+
+    if (!Number.isInteger(tenureMonths) || tenureMonths <= 0) {
+      throw new Error('Tenure must be a whole number of months');
+    }
+    if (tenureMonths > rules.maxTenure) {
+      throw new Error(`Tenure of ${tenureMonths} months exceeds maximum of ${rules.maxTenure} months for ${application.loanType} loans`);
+    }
+
+    const principal = application.decision.approvedAmount;
+    const interestRate = application.decision.interestRate;
+    const disbursedAt = new Date(options.disbursedAt || Date.now());
+    const firstDueDate = new Date(options.firstDueDate || addMonths(disbursedAt, 1));
+    const schedule = generateAmortizationSchedule({
+      principal,
+      annualRate: interestRate,
+      tenureMonths,
+      firstDueDate
+    });
+
+    // Floating-rate loans keep the spread fixed at sanction and reset with the benchmark
+    const pricing = application.decision.pricing || null;
+    const rateType = pricing?.rateType || RateType.FIXED;
+    const now = new Date();
+    const loan = {
+      loanId: uuidv4(),
+      applicationId: application.applicationId,
+      customerId: application.customerId,
+      loanType: application.loanType,
+      principal,
+      interestRate,
+      rateType,
+      pricing: rateType === RateType.FLOATING
+        ? {
+          ...pricing,
+          nextResetDate: addMonths(disbursedAt, pricing.resetFrequencyMonths),
+          rateHistory: [{ effectiveFrom: disbursedAt, interestRate, benchmarkRate: pricing.benchmark.rate }]
+        }
+        : pricing,
+      tenureMonths,
+      emi: schedule.emi,
+      totalInterest: schedule.totalInterest,
+      status: LoanStatus.ACTIVE,
+      disbursedAt,
+      firstDueDate,
+      maturityDate: schedule.installments[schedule.installments.length - 1].dueDate,
+      principalOutstanding: principal,
+      schedule: schedule.installments.map(installment => ({
+        ...installment,
+        principalPaid: 0,
+        interestPaid: 0,
+        penaltyCharged: 0,
+        penaltyPaid: 0,
+        penaltyAccruedTo: null,
+        paidAt: null,
+        status: InstallmentStatus.SCHEDULED
+      })),
+      repayments: [],
+      restructurings: [],
+      delinquency: null,
+      ltv: null,
+      closedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveLoan(loan);
+    await this.auditService.log('LOAN_ACCOUNT', loan.loanId, 'BOOKED', options.bookedBy || SYSTEM_USER_ID, null, {
+      applicationId: loan.applicationId,
+      principal,
+      interestRate,
+      rateType,
+      tenureMonths,
+      emi: loan.emi
+    });
+
+    return loan;
+  }
+
+  /**
+   * Penal charges accrued on an installment since they were last charged
+   * @param {Object} installment - Schedule installment
+   * @param {Date} asOf - Accrual date
+   * @param {Object} penalCharges - { ratePerAnnum, graceDays }
+   * @returns {Object} { amount, accruedTo } where accruedTo is the end of the last whole day charged
+   */
+  accruePenalty(installment, asOf, penalCharges) {
+    const dueDate = new Date(installment.dueDate);
+    const unpaid = roundCurrency(installment.amount - installment.principalPaid - installment.interestPaid);
+    const from = installment.penaltyAccruedTo ? new Date(installment.penaltyAccruedTo) : dueDate;
+
+    if (unpaid <= 0 || penalCharges.ratePerAnnum <= 0 || asOf.getTime() <= dueDate.getTime() + penalCharges.graceDays * DAY_MS) {
+      return { amount: 0, accruedTo: from };
+    }
+
+    const days = Math.floor((asOf.getTime() - from.getTime()) / DAY_MS);
+    if (days <= 0) {
+      return { amount: 0, accruedTo: from };
+    }
+
+    return {
+      amount: roundCurrency(unpaid * penalCharges.ratePerAnnum / 100 / 365 * days),
+      accruedTo: new Date(from.getTime() + days * DAY_MS)
+    };
+  }
+
+  /**
+   * Amounts still owed on an installment
+   * @param {Object} installment - Schedule installment
+   * @param {Date} asOf - Reference date
+   * @param {Object} penalCharges - { ratePerAnnum, graceDays }
+   * @returns {Object} { penalty, interest, principal, total }
+   */
+  getInstallmentDues(installment, asOf, penalCharges) {
+    const accrued = this.accruePenalty(installment, asOf, penalCharges).amount;
+    const dues = {
+      penalty: roundCurrency(installment.penaltyCharged + accrued - installment.penaltyPaid),
+      interest: roundCurrency(installment.interest - installment.interestPaid),
+      principal: roundCurrency(installment.principal - installment.principalPaid)
+    };
+    dues.total = roundCurrency(dues.penalty + dues.interest + dues.principal);
+    return dues;
+  }
+
+  /**
+   * Installment status as of a date
+   * @param {Object} installment - Schedule installment
+   * @param {Date} asOf - Reference date
+   * @param {number} graceDays - Grace period in days
+   * @returns {string} InstallmentStatus
+   */
+  getInstallmentStatus(installment, asOf, graceDays) {
+    const paid = roundCurrency(installment.principalPaid + installment.interestPaid);
+    if (paid >= installment.amount) {
+      return InstallmentStatus.PAID;
+    }
+
+    const dueTime = new Date(installment.dueDate).getTime();
+    if (asOf.getTime() > dueTime + graceDays * DAY_MS) {
+      return InstallmentStatus.OVERDUE;
+    }
+    if (paid > 0) {
+      return InstallmentStatus.PARTIALLY_PAID;
+    }
+    return asOf.getTime() >= dueTime ? InstallmentStatus.DUE : InstallmentStatus.SCHEDULED;
+  }
+
+  /**
+   * Post a repayment. The amount settles installments oldest first; within
+   * each installment it is split in the servicing appropriationOrder
+   * (penalty, interest, principal by default). Amounts beyond the current
+   * dues pay upcoming installments in advance.
+   * @param {string} loanId - Loan ID
+   * @param {Object} payment - { amount, paidAt, reference, channel }
+   * @param {string} postedBy - User posting the repayment
+   * @returns {Promise<Object>} Repayment with its allocation
+   */
+  async postRepayment(loanId, payment, postedBy = SYSTEM_USER_ID) {
+    const loan = await this.getLoan(loanId);
+    if (!loan) {
+      throw new Error(`Loan not found: ${loanId}`);
+    }
+
+    if (loan.status !== LoanStatus.ACTIVE) {
+      throw new Error(`Loan is not active: ${loan.status}`);
+    }
+
+    const amount = roundCurrency(Number(payment.amount));
+    if (!(amount > 0)) {
+      throw new Error('Repayment amount must be positive');
+    }
+
+    const paidAt = new Date(payment.paidAt || Date.now());
+    const rules = this.getServicingRules(loan.loanType);
+
+    // Charge penalties up to the payment date before appropriating
+    loan.schedule.forEach(installment => {
+      const accrual = this.accruePenalty(installment, paidAt, rules.penalCharges);
+      installment.penaltyCharged = roundCurrency(installment.penaltyCharged + accrual.amount);
+      installment.penaltyAccruedTo = accrual.accruedTo;
+    });
+
+    const payable = roundCurrency(loan.schedule.reduce(
+      (sum, installment) => sum + this.getInstallmentDues(installment, paidAt, rules.penalCharges).total,
+      0
+    ));
+    if (amount > payable) {
+      throw new Error(`Repayment of ${amount} exceeds the amount payable of ${payable}`);
+    }
+
+    const allocation = { penalty: 0, interest: 0, principal: 0 };
+    const installments = [];
+    let remaining = amount;
+
+    for (const installment of loan.schedule) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const dues = this.getInstallmentDues(installment, paidAt, rules.penalCharges);
+      const applied = { installmentNumber: installment.installmentNumber, penalty: 0, interest: 0, principal: 0 };
+
+      rules.appropriationOrder.forEach(component => {
+        const share = roundCurrency(Math.min(remaining, dues[component] || 0));
+        if (share <= 0) {
+          return;
+        }
+        applied[component] = share;
+        allocation[component] = roundCurrency(allocation[component] + share);
+        remaining = roundCurrency(remaining - share);
+      });
+
+      installment.penaltyPaid = roundCurrency(installment.penaltyPaid + applied.penalty);
+      installment.interestPaid = roundCurrency(installment.interestPaid + applied.interest);
+      installment.principalPaid = roundCurrency(installment.principalPaid + applied.principal);
+
+      if (applied.penalty + applied.interest + applied.principal > 0) {
+        installments.push(applied);
+        if (roundCurrency(installment.principalPaid + installment.interestPaid) >= installment.amount) {
+          installment.paidAt = paidAt;
+        }
+      }
+    }
+
+    const repayment = {
+      repaymentId: uuidv4(),
+      loanId,
+      type: RepaymentType.INSTALLMENT,
+      amount,
+      paidAt,
+      reference: payment.reference || null,
+      channel: payment.channel || null,
+      allocation,
+      installments,
+      postedBy,
+      postedAt: new Date()
+    };
+
+    loan.repayments.push(repayment);
+    loan.principalOutstanding = this.calculatePrincipalOutstanding(loan);
+    loan.schedule.forEach(installment => {
+      installment.status = this.getInstallmentStatus(installment, paidAt, rules.penalCharges.graceDays);
+    });
+    if (loan.schedule.every(installment => installment.status === InstallmentStatus.PAID)) {
+      loan.status = LoanStatus.CLOSED;
+      loan.closedAt = paidAt;
+    }
+    loan.updatedAt = new Date();
+
+    await this.saveLoan(loan, repayment);
+    await this.auditService.log('LOAN_ACCOUNT', loanId, 'REPAYMENT_POSTED', postedBy, null, {
+      repaymentId: repayment.repaymentId,
+      amount,
+      allocation,
+      principalOutstanding: loan.principalOutstanding
+    });
+
+    return repayment;
+  }
+
+  /**
+   * Outstanding balance and next-due details for a loan
+   * @param {string} loanId - Loan ID
+   * @param {Date} asOf - Reference date
+   * @returns {Promise<Object>} Outstanding summary
+   */
+  async getOutstanding(loanId, asOf = new Date()) {
+    const loan = await this.getLoan(loanId);
+    if (!loan) {
+      throw new Error(`Loan not found: ${loanId}`);
+    }
+
+    const at = new Date(asOf);
+    const rules = this.getServicingRules(loan.loanType);
+    const overdue = { penalty: 0, interest: 0, principal: 0, total: 0, installments: 0 };
+    let oldestUnpaidDueDate = null;
+    let nextDue = null;
+
+    loan.schedule.forEach(installment => {
+      const dues = this.getInstallmentDues(installment, at, rules.penalCharges);
+      const dueDate = new Date(installment.dueDate);
+
+      if (dueDate.getTime() <= at.getTime()) {
+        if (dues.total > 0) {
+          overdue.penalty = roundCurrency(overdue.penalty + dues.penalty);
+          overdue.interest = roundCurrency(overdue.interest + dues.interest);
+          overdue.principal = roundCurrency(overdue.principal + dues.principal);
+          overdue.total = roundCurrency(overdue.total + dues.total);
+          if (dues.interest + dues.principal > 0) {
+            overdue.installments++;
+            oldestUnpaidDueDate = oldestUnpaidDueDate || dueDate;
+          }
+        }
+      } else if (!nextDue && dues.interest + dues.principal > 0) {
+        nextDue = {
+          installmentNumber: installment.installmentNumber,
+          dueDate,
+          amountDue: roundCurrency(dues.interest + dues.principal),
+          principal: dues.principal,
+          interest: dues.interest
+        };
+      }
+    });
+
+    return {
+      loanId,
+      status: loan.status,
+      asOf: at,
+      principal: loan.principal,
+      principalOutstanding: loan.principalOutstanding,
+      overdue,
+      daysPastDue: oldestUnpaidDueDate ? Math.floor((at.getTime() - oldestUnpaidDueDate.getTime()) / DAY_MS) : 0,
+      totalOutstanding: roundCurrency(loan.principalOutstanding + overdue.interest + overdue.penalty),
+      nextDue
+    };
+  }
+
+  /**
+   * EMIs due for collection across active loans
+   * @param {Date} asOf - Collection date
+   * @returns {Promise<Array>} { loanId, customerId, installmentNumber, dueDate, amountDue } oldest first
+   */
+  async getDueInstallments(asOf = new Date()) {
+    const at = new Date(asOf);
+    const due = [];
+    const loans = await this.getActiveLoans();
+
+    for (const loan of loans) {
+      const rules = this.getServicingRules(loan.loanType);
+
+      loan.schedule.forEach(installment => {
+        if (new Date(installment.dueDate).getTime() > at.getTime()) {
+          return;
+        }
+        const dues = this.getInstallmentDues(installment, at, rules.penalCharges);
+        if (dues.total > 0) {
+          due.push({
+            loanId: loan.loanId,
+            customerId: loan.customerId,
+            installmentNumber: installment.installmentNumber,
+            dueDate: new Date(installment.dueDate),
+            amountDue: dues.total
+          });
+        }
+      });
+    }
+
+    return due.sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  /**
+   * Collect EMIs that have fallen due. Each loan's dues are collected
+   * together and posted as one repayment when the collector succeeds.
+   * @param {Function} collector - async ({ loanId, customerId, amountDue, installments }) => { success, reference, reason }
+   * @param {Date} asOf - Collection date
+   * @returns {Promise<Object>} { collected, failed }
+   */
+  async collectDueInstallments(collector, asOf = new Date()) {
+    const byLoan = new Map();
+    (await this.getDueInstallments(asOf)).forEach(item => {
+      if (!byLoan.has(item.loanId)) {
+        byLoan.set(item.loanId, { loanId: item.loanId, customerId: item.customerId, amountDue: 0, installments: [] });
+      }
+      const demand = byLoan.get(item.loanId);
+      demand.amountDue = roundCurrency(demand.amountDue + item.amountDue);
+      demand.installments.push(item.installmentNumber);
+    });
+
+    const collected = [];
+    const failed = [];
+
+    for (const demand of byLoan.values()) {
+      try {
+        const result = await collector(demand);
+        if (!result || !result.success) {
+          failed.push({ ...demand, reason: result?.reason || 'Collection failed' });
+          continue;
+        }
+
+        collected.push(await this.postRepayment(demand.loanId, {
+          amount: demand.amountDue,
+          paidAt: asOf,
+          reference: result.reference,
+          channel: 'EMI_COLLECTION'
+        }));
+      } catch (error) {
+        failed.push({ ...demand, reason: error.message });
+      }
+    }
+
+    return { collected, failed };
+  }
+
+  /**
+   * Reset floating-rate loans whose reset date has come to the current
+   * benchmark plus the spread fixed at sanction. The EMI is recalculated over
+   * the remaining tenure from the first installment nothing has been paid
+   * towards; earlier installments keep their original split.
+   * @param {Date} asOf - Reset date
+   * @returns {Promise<Object>} { asOf, reset, unchanged, failed }
+   */
+  async resetFloatingRates(asOf = new Date()) {
+    const at = new Date(asOf);
+    const summary = { asOf: at, reset: [], unchanged: [], failed: [] };
+    const loans = (await this.getActiveLoans()).filter(loan => loan.rateType === RateType.FLOATING);
+
+    for (const { loanId } of loans) {
+      try {
+        const loan = await this.getLoan(loanId);
+        if (new Date(loan.pricing.nextResetDate) > at) {
+          continue;
+        }
+
+        const previousRate = loan.interestRate;
+        const { interestRate, benchmark } = this.pricingEngine.resetFloatingRate(loan.pricing);
+        let nextResetDate = new Date(loan.pricing.nextResetDate);
+        while (nextResetDate <= at) {
+          nextResetDate = addMonths(nextResetDate, loan.pricing.resetFrequencyMonths);
+        }
+        loan.pricing = { ...loan.pricing, benchmark, nextResetDate };
+
+        if (interestRate === previousRate) {
+          loan.updatedAt = new Date();
+          await this.saveLoan(loan);
+          summary.unchanged.push({ loanId, interestRate });
+          continue;
+        }
+
+        this.repriceSchedule(loan, interestRate, at);
+        loan.pricing.rateHistory = [
+          ...(loan.pricing.rateHistory || []),
+          { effectiveFrom: at, interestRate, benchmarkRate: benchmark.rate }
+        ];
+        loan.updatedAt = new Date();
+        await this.saveLoan(loan);
+        await this.auditService.log('LOAN_ACCOUNT', loanId, 'RATE_RESET', SYSTEM_USER_ID,
+          { interestRate: previousRate },
+          { interestRate, emi: loan.emi, benchmark }
+        );
+        summary.reset.push({ loanId, previousRate, interestRate, emi: loan.emi });
+      } catch (error) {
+        summary.failed.push({ loanId, reason: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Re-amortize the untouched tail of a loan's schedule at a new rate,
+   * keeping the original due dates
+   * @param {Object} loan - Loan account
+   * @param {number} interestRate - New rate in percent per annum
+   * @param {Date} asOf - Rate change date
+   */
+  repriceSchedule(loan, interestRate, asOf) {
+    const start = this.findUntouchedTail(loan, asOf);
+
+    loan.interestRate = interestRate;
+    const remaining = loan.schedule.slice(start);
+    if (remaining.length > 0) {
+      const schedule = generateAmortizationSchedule({
+        principal: remaining[0].openingPrincipal,
+        annualRate: interestRate,
+        tenureMonths: remaining.length,
+        firstDueDate: remaining[0].dueDate
+      });
+      remaining.forEach((installment, index) => {
+        const { openingPrincipal, principal, interest, amount, closingPrincipal } = schedule.installments[index];
+        Object.assign(installment, { openingPrincipal, principal, interest, amount, closingPrincipal });
+      });
+      loan.emi = schedule.emi;
+    }
+    loan.totalInterest = roundCurrency(loan.schedule.reduce((sum, installment) => sum + installment.interest, 0));
+  }
+
+  /**
+   * Index of the first installment of the schedule's untouched tail: the
+   * installments due after a date that nothing has been paid towards
+   * @param {Object} loan - Loan account
+   * @param {Date} asOf - Reference date
+   * @returns {number} Index, or the schedule length when there is no such tail
+   */
+  findUntouchedTail(loan, asOf) {
+    let start = loan.schedule.length;
+    while (start > 0) {
+      const installment = loan.schedule[start - 1];
+      const untouched = installment.principalPaid + installment.interestPaid + installment.penaltyPaid === 0;
+      if (!untouched || new Date(installment.dueDate) <= asOf) {
+        break;
+      }
+      start--;
+    }
+    return start;
+  }
+
+  /**
+   * Principal still owed across the schedule
+   * @param {Object} loan - Loan account
+   * @returns {number} Principal outstanding
+   */
+  calculatePrincipalOutstanding(loan) {
+    return roundCurrency(loan.schedule.reduce((sum, installment) => sum + installment.principal - installment.principalPaid, 0));
+  }
+
+  /**
+   * Prepayment, foreclosure and restructuring rules for a loan
+   * @param {Object} loan - Loan account
+   * @returns {Object} { minimumPrepayment, prepaymentChargeRate, foreclosureLockInMonths, foreclosureChargeRate,
+   *   maximumExtensionMonths, maximumMoratoriumMonths, maximumRestructures }
+   */
+  getPrepaymentRules(loan) {
+    const servicing = config.getBusinessRule('loan-processing').servicing || {};
+    const productKey = (loan.loanType || LoanType.PERSONAL).toLowerCase();
+    const prepayment = servicing.prepayment || {};
+    const foreclosure = servicing.foreclosure || {};
+    const restructuring = servicing.restructuring || {};
+    const exempt = rateTypes => (rateTypes || []).includes(loan.rateType);
+
+    return {
+      minimumPrepayment: prepayment.minimumAmount?.[productKey] || 0,
+      prepaymentChargeRate: exempt(prepayment.exemptRateTypes) ? 0 : prepayment.charges?.[productKey] || 0,
+      foreclosureLockInMonths: foreclosure.lockInMonths?.[productKey] || 0,
+      foreclosureChargeRate: exempt(foreclosure.exemptRateTypes) ? 0 : foreclosure.charges?.[productKey] || 0,
+      maximumExtensionMonths: restructuring.maximumExtensionMonths || 0,
+      maximumMoratoriumMonths: restructuring.maximumMoratoriumMonths || 0,
+      maximumRestructures: restructuring.maximumRestructures ?? 1
+    };
+  }
+
+  /**
+   * Installments to replace a schedule's tail with: a moratorium on which
+   * nothing is payable and interest is capitalized, then a fresh amortization
+   * of the capitalized principal. Due dates continue monthly from the loan's
+   * first due date.
+   * @param {Object} loan - Loan account
+   * @param {number} start - Index of the first installment replaced
+   * @param {Object} terms - { principal, tenureMonths, moratoriumMonths }
+   * @returns {Object} { installments, emi, capitalizedInterest }
+   */
+  planSchedule(loan, start, { principal, tenureMonths, moratoriumMonths = 0 }) {
+    const monthlyRate = loan.interestRate / 100 / 12;
+    const installments = [];
+    let balance = principal;
+
+    for (let month = 0; month < moratoriumMonths; month++) {
+      const closingPrincipal = roundCurrency(balance * (1 + monthlyRate));
+      installments.push({
+        openingPrincipal: balance,
+        principal: 0,
+        interest: 0,
+        amount: 0,
+        closingPrincipal,
+        capitalizedInterest: roundCurrency(closingPrincipal - balance),
+        moratorium: true
+      });
+      balance = closingPrincipal;
+    }
+
+    const schedule = generateAmortizationSchedule({
+      principal: balance,
+      annualRate: loan.interestRate,
+      tenureMonths,
+      firstDueDate: addMonths(loan.firstDueDate, start + moratoriumMonths)
+    });
+    installments.push(...schedule.installments);
+
+    return {
+      installments: installments.map((installment, index) => ({
+        ...installment,
+        installmentNumber: start + index + 1,
+        dueDate: addMonths(loan.firstDueDate, start + index)
+      })),
+      emi: schedule.emi,
+      capitalizedInterest: roundCurrency(balance - principal)
+    };
+  }
+
+  /**
+   * Replace a loan's schedule from an installment onwards
+   * @param {Object} loan - Loan account
+   * @param {number} start - Index of the first installment replaced
+   * @param {Object} plan - Result of planSchedule()
+   */
+  applySchedule(loan, start, plan) {
+    loan.schedule = [
+      ...loan.schedule.slice(0, start),
+      ...plan.installments.map(installment => ({
+        ...installment,
+        principalPaid: 0,
+        interestPaid: 0,
+        penaltyCharged: 0,
+        penaltyPaid: 0,
+        penaltyAccruedTo: null,
+        paidAt: null,
+        status: InstallmentStatus.SCHEDULED
+      }))
+    ];
+    loan.emi = plan.emi;
+    loan.tenureMonths = loan.schedule.length;
+    loan.maturityDate = loan.schedule[loan.schedule.length - 1].dueDate;
+    loan.totalInterest = roundCurrency(loan.schedule.reduce((sum, installment) => sum + installment.interest, 0));
+    loan.principalOutstanding = this.calculatePrincipalOutstanding(loan);
+  }
+
+  /**
+   * Dues on installments that have fallen due, including penal charges
+   * @param {Object} loan - Loan account
+   * @param {Date} asOf - Reference date
+   * @returns {Object} { penalty, interest, principal, total }
+   */
+  getArrears(loan, asOf) {
+    const rules = this.getServicingRules(loan.loanType);
+    const arrears = { penalty: 0, interest: 0, principal: 0, total: 0 };
+
+    loan.schedule
+      .filter(installment => new Date(installment.dueDate) <= asOf)
+      .forEach(installment => {
+        const dues = this.getInstallmentDues(installment, asOf, rules.penalCharges);
+        Object.keys(arrears).forEach(component => {
+          arrears[component] = roundCurrency(arrears[component] + dues[component]);
+        });
+      });
+
+    return arrears;
+  }
+
+  /**
+   * Remaining-installment summary of a schedule tail
+   * @returns {Object} { emi, remainingInstallments, maturityDate, remainingInterest }
+   */
+  summarizeTail(emi, installments) {
+    return {
+      emi,
+      remainingInstallments: installments.length,
+      maturityDate: new Date(installments[installments.length - 1].dueDate),
+      remainingInterest: roundCurrency(installments.reduce((sum, installment) => sum + installment.interest, 0))
+    };
+  }
+
+  /**
+   * Work out a part-prepayment without changing the loan
+   * @returns {Object} { start, plan, quote }
+   */
+  planPrepayment(loan, { amount, option = PrepaymentOption.REDUCE_TENURE, asOf }) {
+    if (!Object.values(PrepaymentOption).includes(option)) {
+      throw new Error(`Invalid prepayment option: ${option}`);
+    }
+
+    const rules = this.getPrepaymentRules(loan);
+    const prepaid = roundCurrency(Number(amount));
+    if (!(prepaid > 0)) {
+      throw new Error('Prepayment amount must be positive');
+    }
+    if (prepaid < rules.minimumPrepayment) {
+      throw new Error(`Prepayment must be at least ${rules.minimumPrepayment}`);
+    }
+    if (this.getArrears(loan, asOf).total > 0) {
+      throw new Error('Overdue installments must be paid before prepaying');
+    }
+
+    const start = this.findUntouchedTail(loan, asOf);
+    const tail = loan.schedule.slice(start);
+    if (tail.length === 0) {
+      throw new Error('Loan has no upcoming installments to prepay');
+    }
+
+    const balance = tail[0].openingPrincipal;
+    if (prepaid >= balance) {
+      throw new Error(`Prepayment of ${prepaid} would repay the principal outstanding of ${balance}; foreclose the loan instead`);
+    }
+
+    const principal = roundCurrency(balance - prepaid);
+    const tenureMonths = option === PrepaymentOption.REDUCE_TENURE
+      ? Math.min(calculateTenure(principal, loan.interestRate, loan.emi), tail.length)
+      : tail.length;
+    const plan = this.planSchedule(loan, start, { principal, tenureMonths });
+    const charges = roundCurrency(prepaid * rules.prepaymentChargeRate);
+    const current = this.summarizeTail(loan.emi, tail);
+    const revised = this.summarizeTail(plan.emi, plan.installments);
+
+    return {
+      start,
+      plan,
+      quote: {
+        loanId: loan.loanId,
+        asOf,
+        option,
+        amount: prepaid,
+        charges,
+        totalPayable: roundCurrency(prepaid + charges),
+        current,
+        revised: { ...revised, principalOutstanding: roundCurrency(loan.principalOutstanding - prepaid) },
+        interestSaved: roundCurrency(current.remainingInterest - revised.remainingInterest)
+      }
+    };
+  }
+
+  /**
+   * Quote a part-prepayment: charges and the revised EMI, tenure and interest
+   * @param {string} loanId - Loan ID
+   * @param {Object} request - { amount, option, asOf }; option is a PrepaymentOption, REDUCE_TENURE by default
+   * @returns {Promise<Object>} Quote
+   */
+  async quotePrepayment(loanId, request) {
+    const loan = await this.requireActiveLoan(loanId);
+    return this.planPrepayment(loan, { ...request, asOf: new Date(request.asOf || Date.now()) }).quote;
+  }
+
+  /**
+   * Part-prepay a loan. The amount reduces the principal from the next
+   * installment and the rest of the schedule is regenerated to shorten the
+   * tenure or lower the EMI.
+   * @param {string} loanId - Loan ID
+   * @param {Object} payment - { amount, option, paidAt, reference, channel }; amount excludes charges
+   * @param {string} performedBy - User posting the prepayment
+   * @returns {Promise<Object>} { repayment, quote }
+   */
+  async prepayLoan(loanId, payment, performedBy = SYSTEM_USER_ID) {
+    const loan = await this.requireActiveLoan(loanId);
+    const paidAt = new Date(payment.paidAt || Date.now());
+    const { start, plan, quote } = this.planPrepayment(loan, { ...payment, asOf: paidAt });
+    const before = this.describeTerms(loan);
+
+    this.applySchedule(loan, start, plan);
+    const repayment = this.recordRepayment(loan, RepaymentType.PREPAYMENT, payment, paidAt, performedBy, {
+      amount: quote.totalPayable,
+      allocation: { penalty: 0, interest: 0, principal: quote.amount, charges: quote.charges }
+    });
+
+    await this.saveLoan(loan, repayment);
+    await this.auditService.log('LOAN_ACCOUNT', loanId, 'PREPAID', performedBy, before, {
+      ...this.describeTerms(loan),
+      option: quote.option,
+      amount: quote.amount,
+      charges: quote.charges
+    });
+    await this.notifyServicingEvent(loan, { type: ServicingEvent.PREPAYMENT, ...quote });
+
+    return { repayment, quote };
+  }
+
+  /**
+   * Work out a foreclosure without changing the loan
+   * @param {Object} loan - Loan account
+   * @param {Date} asOf - Foreclosure date
+   * @returns {Object} Quote
+   */
+  planForeclosure(loan, asOf) {
+    const rules = this.getPrepaymentRules(loan);
+    const lockInEnds = addMonths(loan.disbursedAt, rules.foreclosureLockInMonths);
+    if (asOf < lockInEnds) {
+      throw new Error(`Loan cannot be foreclosed before the lock-in ends on ${lockInEnds.toISOString().slice(0, 10)}`);
+    }
+
+    const arrears = this.getArrears(loan, asOf);
+    const upcoming = loan.schedule.filter(installment => new Date(installment.dueDate) > asOf);
+    const principal = roundCurrency(upcoming.reduce((sum, installment) => sum + installment.principal - installment.principalPaid, 0));
+
+    // Interest from the last due date to the foreclosure date, on what the next installment has not already covered
+    let accruedInterest = 0;
+    if (upcoming.length > 0) {
+      const next = upcoming[0];
+      const index = loan.schedule.indexOf(next);
+      const periodStart = new Date(index > 0 ? loan.schedule[index - 1].dueDate : loan.disbursedAt);
+      const days = Math.max(0, Math.floor((asOf.getTime() - periodStart.getTime()) / DAY_MS));
+      const accrued = Math.min(principal * loan.interestRate / 100 / 365 * days, next.interest);
+      accruedInterest = roundCurrency(Math.max(0, accrued - next.interestPaid));
+    }
+
+    const charges = roundCurrency((arrears.principal + principal) * rules.foreclosureChargeRate);
+
+    return {
+      loanId: loan.loanId,
+      asOf,
+      arrears,
+      principalOutstanding: roundCurrency(arrears.principal + principal),
+      accruedInterest,
+      charges,
+      totalPayable: roundCurrency(arrears.total + principal + accruedInterest + charges)
+    };
+  }
+
+  /**
+   * Quote the amount needed to close a loan early
+   * @param {string} loanId - Loan ID
+   * @param {Date} asOf - Foreclosure date
+   * @returns {Promise<Object>} { arrears, principalOutstanding, accruedInterest, charges, totalPayable }
+   */
+  async quoteForeclosure(loanId, asOf = new Date()) {
+    const loan = await this.requireActiveLoan(loanId);
+    return this.planForeclosure(loan, new Date(asOf));
+  }
+
+  /**
+   * Foreclose a loan. The payment must match the foreclosure quote; arrears
+   * are settled, the upcoming installments are replaced by one final
+   * installment paid on the foreclosure date and the loan is closed.
+   * @param {string} loanId - Loan ID
+   * @param {Object} payment - { amount, paidAt, reference, channel }
+   * @param {string} performedBy - User posting the foreclosure
+   * @returns {Promise<Object>} { repayment, quote }
+   */
+  async forecloseLoan(loanId, payment, performedBy = SYSTEM_USER_ID) {
+    const loan = await this.requireActiveLoan(loanId);
+    const paidAt = new Date(payment.paidAt || Date.now());
+    const quote = this.planForeclosure(loan, paidAt);
+    if (roundCurrency(Number(payment.amount)) !== quote.totalPayable) {
+      throw new Error(`Foreclosure amount must be ${quote.totalPayable}`);
+    }
+
+    const rules = this.getServicingRules(loan.loanType);
+    const before = this.describeTerms(loan);
+    const due = loan.schedule.filter(installment => new Date(installment.dueDate) <= paidAt);
+    const upcoming = loan.schedule.slice(due.length);
+
+    due.forEach(installment => {
+      const accrual = this.accruePenalty(installment, paidAt, rules.penalCharges);
+      const settled = roundCurrency(installment.principalPaid + installment.interestPaid) >= installment.amount;
+      Object.assign(installment, {
+        penaltyCharged: roundCurrency(installment.penaltyCharged + accrual.amount),
+        penaltyAccruedTo: accrual.accruedTo,
+        principalPaid: installment.principal,
+        interestPaid: installment.interest,
+        paidAt: settled ? installment.paidAt : paidAt
+      });
+      installment.penaltyPaid = installment.penaltyCharged;
+    });
+
+    if (upcoming.length > 0) {
+      const principal = roundCurrency(upcoming.reduce((sum, installment) => sum + installment.principal, 0));
+      const interest = roundCurrency(upcoming.reduce((sum, installment) => sum + installment.interestPaid, 0) + quote.accruedInterest);
+      due.push({
+        installmentNumber: due.length + 1,
+        dueDate: paidAt,
+        openingPrincipal: upcoming[0].openingPrincipal,
+        principal,
+        interest,
+        amount: roundCurrency(principal + interest),
+        closingPrincipal: 0,
+        principalPaid: principal,
+        interestPaid: interest,
+        penaltyCharged: 0,
+        penaltyPaid: 0,
+        penaltyAccruedTo: null,
+        paidAt,
+        foreclosure: true
+      });
+    }
+
+    loan.schedule = due.map(installment => ({ ...installment, status: InstallmentStatus.PAID }));
+    loan.principalOutstanding = 0;
+    loan.totalInterest = roundCurrency(loan.schedule.reduce((sum, installment) => sum + installment.interest, 0));
+    loan.status = LoanStatus.FORECLOSED;
+    loan.closedAt = paidAt;
+
+    const repayment = this.recordRepayment(loan, RepaymentType.FORECLOSURE, payment, paidAt, performedBy, {
+      amount: quote.totalPayable,
+      allocation: {
+        penalty: quote.arrears.penalty,
+        interest: roundCurrency(quote.arrears.interest + quote.accruedInterest),
+        principal: quote.principalOutstanding,
+        charges: quote.charges
+      }
+    });
+
+    await this.saveLoan(loan, repayment);
+    await this.auditService.log('LOAN_ACCOUNT', loanId, 'FORECLOSED', performedBy, before, {
+      totalPaid: quote.totalPayable,
+      charges: quote.charges,
+      closedAt: paidAt
+    });
+    await this.notifyServicingEvent(loan, { type: ServicingEvent.FORECLOSURE, ...quote });
+
+    return { repayment, quote };
+  }
+
+  /**
+   * Work out a restructuring without changing the loan
+   * @returns {Object} { start, plan, quote }
+   */
+  planRestructuring(loan, { extensionMonths = 0, moratoriumMonths = 0, asOf }) {
+    const rules = this.getPrepaymentRules(loan);
+    if (![extensionMonths, moratoriumMonths].every(months => Number.isInteger(months) && months >= 0)
+      || extensionMonths + moratoriumMonths === 0) {
+      throw new Error('Restructuring needs a tenure extension or moratorium in whole months');
+    }
+    if (extensionMonths > rules.maximumExtensionMonths) {
+      throw new Error(`Tenure extension of ${extensionMonths} months exceeds maximum of ${rules.maximumExtensionMonths}`);
+    }
+    if (moratoriumMonths > rules.maximumMoratoriumMonths) {
+      throw new Error(`Moratorium of ${moratoriumMonths} months exceeds maximum of ${rules.maximumMoratoriumMonths}`);
+    }
+    if ((loan.restructurings || []).length >= rules.maximumRestructures) {
+      throw new Error(`Loan has already been restructured the maximum of ${rules.maximumRestructures} times`);
+    }
+
+    const start = this.findUntouchedTail(loan, asOf);
+    const tail = loan.schedule.slice(start);
+    if (tail.length === 0) {
+      throw new Error('Loan has no upcoming installments to restructure');
+    }
+
+    const maxTenure = this.getServicingRules(loan.loanType).maxTenure;
+    const tenureMonths = tail.length + extensionMonths;
+    if (start + moratoriumMonths + tenureMonths > maxTenure) {
+      throw new Error(`Restructured tenure of ${start + moratoriumMonths + tenureMonths} months exceeds maximum of ${maxTenure} months for ${loan.loanType} loans`);
+    }
+
+    const plan = this.planSchedule(loan, start, { principal: tail[0].openingPrincipal, tenureMonths, moratoriumMonths });
+
+    return {
+      start,
+      plan,
+      quote: {
+        loanId: loan.loanId,
+        asOf,
+        extensionMonths,
+        moratoriumMonths,
+        capitalizedInterest: plan.capitalizedInterest,
+        current: this.summarizeTail(loan.emi, tail),
+        revised: {
+          ...this.summarizeTail(plan.emi, plan.installments),
+          principalOutstanding: roundCurrency(loan.principalOutstanding + plan.capitalizedInterest)
+        }
+      }
+    };
+  }
+
+  /**
+   * Quote a restructuring: the revised EMI and maturity and the interest
+   * capitalized over any moratorium
+   * @param {string} loanId - Loan ID
+   * @param {Object} terms - { extensionMonths, moratoriumMonths, asOf }
+   * @returns {Promise<Object>} Quote
+   */
+  async quoteRestructuring(loanId, terms) {
+    const loan = await this.requireActiveLoan(loanId);
+    return this.planRestructuring(loan, { ...terms, asOf: new Date(terms.asOf || Date.now()) }).quote;
+  }
+
+  /**
+   * Restructure a loan with a tenure extension, a moratorium or both. The
+   * installments after the restructuring date that nothing has been paid
+   * towards are regenerated; installments already due stay payable.
+   * @param {string} loanId - Loan ID
+   * @param {Object} terms - { extensionMonths, moratoriumMonths, reason, asOf }
+   * @param {string} approvedBy - Officer approving the restructuring
+   * @returns {Promise<Object>} { loan, quote }
+   */
+  async restructureLoan(loanId, terms, approvedBy) {
+    const loan = await this.requireActiveLoan(loanId);
+    const asOf = new Date(terms.asOf || Date.now());
+    const { start, plan, quote } = this.planRestructuring(loan, { ...terms, asOf });
+    const before = this.describeTerms(loan);
+
+    this.applySchedule(loan, start, plan);
+    loan.restructurings = [...(loan.restructurings || []), {
+      restructuredAt: asOf,
+      extensionMonths: quote.extensionMonths,
+      moratoriumMonths: quote.moratoriumMonths,
+      capitalizedInterest: quote.capitalizedInterest,
+      previousEmi: before.emi,
+      previousMaturityDate: before.maturityDate,
+      reason: terms.reason || null,
+      approvedBy
+    }];
+    loan.updatedAt = new Date();
+
+    await this.saveLoan(loan);
+    await this.auditService.log('LOAN_ACCOUNT', loanId, 'RESTRUCTURED', approvedBy, before, {
+      ...this.describeTerms(loan),
+      extensionMonths: quote.extensionMonths,
+      moratoriumMonths: quote.moratoriumMonths,
+      capitalizedInterest: quote.capitalizedInterest,
+      reason: terms.reason || null
+    });
+    await this.notifyServicingEvent(loan, { type: ServicingEvent.RESTRUCTURE, ...quote });
+
+    return { loan, quote };
+  }
+
+  /**
+   * Add a prepayment or foreclosure to a loan's repayments
+   * @returns {Object} Repayment
+   */
+  recordRepayment(loan, type, payment, paidAt, postedBy, { amount, allocation }) {
+    const repayment = {
+      repaymentId: uuidv4(),
+      loanId: loan.loanId,
+      type,
+      amount,
+      paidAt,
+      reference: payment.reference || null,
+      channel: payment.channel || null,
+      allocation,
+      installments: [],
+      postedBy,
+      postedAt: new Date()
+    };
+
+    loan.repayments.push(repayment);
+    loan.updatedAt = new Date();
+    return repayment;
+  }
+
+  describeTerms(loan) {
+    return {
+      emi: loan.emi,
+      tenureMonths: loan.tenureMonths,
+      maturityDate: loan.maturityDate,
+      principalOutstanding: loan.principalOutstanding
+    };
+  }
+
+  /**
+   * Tell the borrower about a prepayment, foreclosure or restructuring
+   * @param {Object} loan - Loan account
+   * @param {Object} event - { type, ...quote } where type is a ServicingEvent
+   * @returns {Promise<Object|null>} Notification result, or null when the borrower cannot be contacted
+   */
+  async notifyServicingEvent(loan, event) {
+    if (!this.loanNotifier || !this.accountRepository) {
+      return null;
+    }
+
+    const customer = await this.accountRepository.findCustomerById(loan.customerId);
+    const contact = customer?.personalInfo?.contactInfo;
+    if (!contact) {
+      return null;
+    }
+
+    return await this.loanNotifier.notifyServicingEvent(loan, event, contact);
+  }
+
+  async requireActiveLoan(loanId) {
+    const loan = await this.getLoan(loanId);
+    if (!loan) {
+      throw new Error(`Loan not found: ${loanId}`);
+    }
+    if (loan.status !== LoanStatus.ACTIVE) {
+      throw new Error(`Loan is not active: ${loan.status}`);
+    }
+    return loan;
+  }
+
+  /**
+   * Delinquency rules
+   * @returns {Object} { buckets, npaDays, assetClassification, provisioning, reminders, parThresholds, runIntervalHours }
+   */
+  getDelinquencyRules() {
+    const delinquency = config.getBusinessRule('loan-processing').delinquency || {};
+
+    return {
+      buckets: delinquency.buckets || {},
+      npaDays: delinquency.npaDays || 90,
+      assetClassification: {
+        substandardMonths: delinquency.assetClassification?.substandardMonths || 12,
+        doubtful1Months: delinquency.assetClassification?.doubtful1Months || 24,
+        doubtful2Months: delinquency.assetClassification?.doubtful2Months || 48
+      },
+      provisioning: delinquency.provisioning || {},
+      reminders: {
+        channels: delinquency.reminders?.channels || {},
+        repeatDays: delinquency.reminders?.repeatDays || 7
+      },
+      parThresholds: delinquency.parThresholds || [30],
+      runIntervalHours: delinquency.runIntervalHours || 24
+    };
+  }
+
+  /**
+   * Classify a loan by days past due. Once a loan is an NPA it stays one
+   * until every overdue installment is paid, however few days remain overdue.
+   * @param {number} daysPastDue - Days since the oldest unpaid installment fell due
+   * @param {Object|null} previous - Loan's last delinquency record
+   * @param {Date} asOf - Classification date
+   * @returns {Object} { bucket, assetClassification, npaDate }
+   */
+  classifyDelinquency(daysPastDue, previous, asOf) {
+    const rules = this.getDelinquencyRules();
+
+    if (daysPastDue <= 0) {
+      return { bucket: DelinquencyBucket.CURRENT, assetClassification: AssetClassification.STANDARD, npaDate: null };
+    }
+
+    if (daysPastDue > rules.npaDays || previous?.npaDate) {
+      // The loan became an NPA on the first day it was more than npaDays overdue
+      const npaDate = previous?.npaDate
+        ? new Date(previous.npaDate)
+        : new Date(asOf.getTime() - (daysPastDue - rules.npaDays - 1) * DAY_MS);
+      const { substandardMonths, doubtful1Months, doubtful2Months } = rules.assetClassification;
+      let assetClassification = AssetClassification.DOUBTFUL_3;
+      if (asOf < addMonths(npaDate, substandardMonths)) {
+        assetClassification = AssetClassification.SUBSTANDARD;
+      } else if (asOf < addMonths(npaDate, doubtful1Months)) {
+        assetClassification = AssetClassification.DOUBTFUL_1;
+      } else if (asOf < addMonths(npaDate, doubtful2Months)) {
+        assetClassification = AssetClassification.DOUBTFUL_2;
+      }
+      return { bucket: DelinquencyBucket.NPA, assetClassification, npaDate };
+    }
+
+    const bucket = Object.keys(rules.buckets).find(name =>
+      daysPastDue >= rules.buckets[name].minDays && daysPastDue <= rules.buckets[name].maxDays
+    );
+    return {
+      bucket: bucket || DelinquencyBucket.SMA_2,
+      assetClassification: AssetClassification.STANDARD,
+      npaDate: null
+    };
+  }
+
+  /**
+   * Provision required against a loan's principal outstanding
+   * @param {Object} loan - Loan account
+   * @param {string} assetClassification - AssetClassification
+   * @returns {Object} { rate, amount }
+   */
+  calculateProvision(loan, assetClassification) {
+    const provisioning = this.getDelinquencyRules().provisioning;
+    const key = PROVISIONING_KEYS[assetClassification];
+    const unsecured = (provisioning.unsecuredLoanTypes || []).includes((loan.loanType || '').toLowerCase());
+    const rate = (unsecured ? provisioning.unsecured?.[key] : undefined) ?? provisioning[key] ?? 0;
+
+    return { rate, amount: roundCurrency(loan.principalOutstanding * rate) };
+  }
+
+  /**
+   * Delinquency status of a loan as of a date, without saving it
+   * @param {Object} loan - Loan account
+   * @param {Date} asOf - Reference date
+   * @returns {Promise<Object>} { outstanding, delinquency }
+   */
+  async evaluateDelinquency(loan, asOf) {
+    const outstanding = await this.getOutstanding(loan.loanId, asOf);
+    const classification = this.classifyDelinquency(outstanding.daysPastDue, loan.delinquency, asOf);
+    const provision = this.calculateProvision(loan, classification.assetClassification);
+
+    return {
+      outstanding,
+      delinquency: {
+        daysPastDue: outstanding.daysPastDue,
+        ...classification,
+        amountOverdue: outstanding.overdue.total,
+        provisionRate: provision.rate,
+        provision: provision.amount,
+        classifiedAt: asOf,
+        bucketSince: loan.delinquency?.bucket === classification.bucket ? loan.delinquency.bucketSince : asOf,
+        lastReminderAt: loan.delinquency?.lastReminderAt || null
+      }
+    };
+  }
+
+  /**
+   * Recompute and store a loan's days past due, bucket, asset classification
+   * and provision. Bucket changes are audited.
+   * @param {string} loanId - Loan ID
+   * @param {Date} asOf - Classification date
+   * @returns {Promise<Object>} Delinquency record with previousBucket
+   */
+  async assessDelinquency(loanId, asOf = new Date()) {
+    const loan = await this.getLoan(loanId);
+    if (!loan) {
+      throw new Error(`Loan not found: ${loanId}`);
+    }
+
+    const at = new Date(asOf);
+    const previous = loan.delinquency;
+    const { delinquency } = await this.evaluateDelinquency(loan, at);
+    const previousBucket = previous?.bucket || DelinquencyBucket.CURRENT;
+
+    loan.delinquency = delinquency;
+    loan.updatedAt = new Date();
+    await this.saveLoan(loan);
+
+    if (delinquency.bucket !== previousBucket || delinquency.assetClassification !== (previous?.assetClassification || AssetClassification.STANDARD)) {
+      await this.auditService.log('LOAN_ACCOUNT', loanId, 'DELINQUENCY_CLASSIFIED', SYSTEM_USER_ID, previous, delinquency);
+    }
+
+    return { loanId, previousBucket, ...delinquency };
+  }
+
+  /**
+   * Send a collection reminder for an overdue loan. Reminders go out when a
+   * loan moves into a bucket and then every reminders.repeatDays while it
+   * stays there.
+   * @param {Object} loan - Loan account with a current delinquency record
+   * @param {Date} asOf - Reminder date
+   * @returns {Promise<Object|null>} Notification result, or null when no reminder is due
+   */
+  async sendCollectionReminder(loan, asOf) {
+    const delinquency = loan.delinquency;
+    const rules = this.getDelinquencyRules().reminders;
+    const channels = delinquency && rules.channels[delinquency.bucket];
+    if (!this.notificationService || !channels || delinquency.amountOverdue <= 0) {
+      return null;
+    }
+
+    const lastReminderAt = delinquency.lastReminderAt ? new Date(delinquency.lastReminderAt) : null;
+    const movedSinceReminder = !lastReminderAt || lastReminderAt < new Date(delinquency.bucketSince);
+    if (!movedSinceReminder && asOf.getTime() - lastReminderAt.getTime() < rules.repeatDays * DAY_MS) {
+      return null;
+    }
+
+    const customer = this.accountRepository && await this.accountRepository.findCustomerById(loan.customerId);
+    if (!customer) {
+      return { success: false, error: `Customer not found: ${loan.customerId}` };
+    }
+
+    const result = await this.notificationService.sendCollectionReminderNotification(customer, {
+      loanId: loan.loanId,
+      bucket: delinquency.bucket,
+      daysPastDue: delinquency.daysPastDue,
+      amountOverdue: delinquency.amountOverdue,
+      currency: config.getBusinessRule('loan-processing').disbursement?.currency || 'INR'
+    }, channels);
+
+    if (result.success) {
+      delinquency.lastReminderAt = asOf;
+      await this.saveLoan(loan);
+    }
+    return result;
+  }
+
+  /**
+   * Daily delinquency run: classify every active loan, send collection
+   * reminders and summarize bucket movements. Only one run is allowed at a
+   * time, and it cannot be run as of a future date.
+   * @param {Date} asOf - Run date
+   * @returns {Promise<Object>} { asOf, processed, movements, reminders, failed }
+   */
+  async runDelinquencyJob(asOf = new Date()) {
+    const at = new Date(asOf);
+    if (isNaN(at.getTime())) {
+      throw new Error('Invalid delinquency run date');
+    }
+    if (at > new Date()) {
+      throw new Error('Delinquency cannot be assessed as of a future date');
+    }
+    if (this.delinquencyJobRunning) {
+      throw new Error('Delinquency job is already running');
+    }
+
+    this.delinquencyJobRunning = true;
+    try {
+      return await this.classifyActiveLoans(at);
+    } finally {
+      this.delinquencyJobRunning = false;
+    }
+  }
+
+  async classifyActiveLoans(at) {
+    const loans = await this.getActiveLoans();
+    const summary = { asOf: at, processed: 0, movements: [], reminders: { sent: 0, failed: [] }, failed: [] };
+
+    for (const { loanId } of loans) {
+      try {
+        const result = await this.assessDelinquency(loanId, at);
+        summary.processed++;
+        if (result.bucket !== result.previousBucket) {
+          summary.movements.push({ loanId, from: result.previousBucket, to: result.bucket, daysPastDue: result.daysPastDue });
+        }
+
+        const reminder = await this.sendCollectionReminder(await this.getLoan(loanId), at);
+        if (reminder?.success) {
+          summary.reminders.sent++;
+        } else if (reminder) {
+          summary.reminders.failed.push({ loanId, reason: reminder.error || 'Delivery failed' });
+        }
+      } catch (error) {
+        summary.failed.push({ loanId, reason: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run the delinquency job now and then every delinquency.runIntervalHours
+   * @param {number} intervalMs - Interval between runs
+   */
+  startDelinquencyJob(intervalMs = this.getDelinquencyRules().runIntervalHours * 60 * 60 * 1000) {
+    this.stopDelinquencyJob();
+
+    const run = () => {
+      this.runDelinquencyJob().catch(error => console.error('Delinquency job failed:', error.message));
+    };
+    run();
+    this.delinquencyJobTimer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for the job
+    this.delinquencyJobTimer.unref();
+  }
+
+  /**
+   * Stop the delinquency job
+   */
+  stopDelinquencyJob() {
+    if (this.delinquencyJobTimer) {
+      clearInterval(this.delinquencyJobTimer);
+      this.delinquencyJobTimer = null;
+    }
+  }
+
+  /**
+   * Portfolio-at-risk report: principal outstanding by delinquency bucket
+   * and asset classification, PAR ratios, gross and net NPA and provisions
+   * @param {Date} asOf - Report date
+   * @returns {Promise<Object>} Portfolio-at-risk report
+   */
+  async getPortfolioAtRisk(asOf = new Date()) {
+    const at = new Date(asOf);
+    const rules = this.getDelinquencyRules();
+    const loans = await this.getActiveLoans();
+    const empty = () => ({ loans: 0, principalOutstanding: 0 });
+    const buckets = Object.fromEntries(Object.values(DelinquencyBucket).map(bucket => [bucket, empty()]));
+    const classifications = Object.fromEntries(
+      Object.values(AssetClassification).map(classification => [classification, { ...empty(), provision: 0 }])
+    );
+    const atRisk = Object.fromEntries(rules.parThresholds.map(days => [days, 0]));
+    let totalOutstanding = 0;
+    let totalProvision = 0;
+
+    for (const { loanId } of loans) {
+      const loan = await this.getLoan(loanId);
+      const { delinquency } = await this.evaluateDelinquency(loan, at);
+      const principal = loan.principalOutstanding;
+
+      totalOutstanding = roundCurrency(totalOutstanding + principal);
+      totalProvision = roundCurrency(totalProvision + delinquency.provision);
+      buckets[delinquency.bucket].loans++;
+      buckets[delinquency.bucket].principalOutstanding = roundCurrency(buckets[delinquency.bucket].principalOutstanding + principal);
+      const classification = classifications[delinquency.assetClassification];
+      classification.loans++;
+      classification.principalOutstanding = roundCurrency(classification.principalOutstanding + principal);
+      classification.provision = roundCurrency(classification.provision + delinquency.provision);
+      rules.parThresholds.forEach(days => {
+        if (delinquency.daysPastDue > days) {
+          atRisk[days] = roundCurrency(atRisk[days] + principal);
+        }
+      });
+    }
+
+    const ratio = amount => (totalOutstanding > 0 ? roundCurrency(amount / totalOutstanding * 100) : 0);
+    const grossNpa = buckets[DelinquencyBucket.NPA].principalOutstanding;
+    const npaProvision = roundCurrency(Object.entries(classifications)
+      .filter(([name]) => name !== AssetClassification.STANDARD)
+      .reduce((sum, [, classification]) => sum + classification.provision, 0));
+    const netNpa = roundCurrency(grossNpa - npaProvision);
+
+    return {
+      asOf: at,
+      totalLoans: loans.length,
+      totalOutstanding,
+      buckets,
+      assetClassification: classifications,
+      portfolioAtRisk: Object.fromEntries(rules.parThresholds.map(days => [
+        `PAR${days}`,
+        { principalOutstanding: atRisk[days], ratio: ratio(atRisk[days]) }
+      ])),
+      grossNpa: { amount: grossNpa, ratio: ratio(grossNpa) },
+      netNpa: { amount: netNpa, ratio: totalOutstanding - npaProvision > 0 ? roundCurrency(netNpa / (totalOutstanding - npaProvision) * 100) : 0 },
+      totalProvision
+    };
+  }
+
+  /**
+   * Active loan accounts
+   * @returns {Promise<Array>} Loan accounts (without repayments when loaded from the repository)
+   */
+  async getActiveLoans() {
+    return this.loanAccountRepository
+      ? await this.loanAccountRepository.findAll({ status: LoanStatus.ACTIVE })
+      : Array.from(this.loans.values()).filter(loan => loan.status === LoanStatus.ACTIVE);
+  }
+
+  /**
+   * Get a loan account
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Object|null>} Loan account
+   */
+  async getLoan(loanId) {
+    let loan = this.loans.get(loanId);
+
+    if (!loan && this.loanAccountRepository) {
+      loan = await this.loanAccountRepository.findById(loanId);
+      if (loan) {
+        this.loans.set(loan.loanId, loan);
+        this.loansByApplication.set(loan.applicationId, loan.loanId);
+      }
+    }
+
+    return loan || null;
+  }
+
+  /**
+   * Get the loan account booked for an application
+   * @param {string} applicationId - Loan application ID
+   * @returns {Promise<Object|null>} Loan account
+   */
+  async getLoanByApplication(applicationId) {
+    const loanId = this.loansByApplication.get(applicationId);
+    if (loanId) {
+      return await this.getLoan(loanId);
+    }
+
+    if (this.loanAccountRepository) {
+      const loan = await this.loanAccountRepository.findByApplicationId(applicationId);
+      return loan ? await this.getLoan(loan.loanId) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a loan's amortization schedule
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array>} Installments
+   */
+  async getSchedule(loanId) {
+    const loan = await this.getLoan(loanId);
+    if (!loan) {
+      throw new Error(`Loan not found: ${loanId}`);
+    }
+    return loan.schedule;
+  }
+
+  /**
+   * Get a customer's loan accounts
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Loan accounts
+   */
+  async getCustomerLoans(customerId) {
+    if (this.loanAccountRepository) {
+      return await this.loanAccountRepository.findAll({ customerId });
+    }
+    return Array.from(this.loans.values()).filter(loan => loan.customerId === customerId);
+  }
+
+  /**
+   * Persist a loan account and, when given, a new repayment
+   * @param {Object} loan - Loan account
+   * @param {Object} repayment - Repayment just posted
+   */
+  async saveLoan(loan, repayment = null) {
+    if (this.loanAccountRepository) {
+      await this.loanAccountRepository.save(loan);
+      if (repayment) {
+        await this.loanAccountRepository.saveRepayment(repayment);
+      }
+    }
+
+    this.loans.set(loan.loanId, loan);
+    this.loansByApplication.set(loan.applicationId, loan.loanId);
+  }
+}
+
+module.exports = {
+  LoanServicingModule,
+  LoanStatus,
+  RepaymentType,
+  PrepaymentOption,
+  ServicingEvent,
+  InstallmentStatus,
+  DelinquencyBucket,
+  AssetClassification,
+  RepaymentComponent
+};
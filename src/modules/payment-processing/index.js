@@ -1,21 +1,55 @@
 // Payment Processing Module
-const { PaymentOrder } = require('../../shared/interfaces');
-const { PaymentType, PaymentStatus, PaymentRail, Currency } = require('../../shared/types');
+const { v4: uuidv4 } = require('uuid');
+const { PaymentOrder, Transaction } = require('../../shared/interfaces');
+const {
+  TransactionType,
+  PaymentType,
+  PaymentStatus,
+  PaymentRail,
+  Currency,
+  ScheduleFrequency,
+  StandingInstructionStatus,
+  ScheduledOccurrenceStatus
+} = require('../../shared/types');
 const { validators } = require('../../shared/validation');
 const { PaymentIntegrationService } = require('../../services/payment-integration-service');
+const { PaymentRailSelector } = require('../../services/payment-network-adapters');
+const { SettlementCalendar } = require('../../services/settlement-calendar');
+const config = require('../../config');
+
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
 
 /**
  * PaymentValidator - Validates payment instructions and business rules
  */
 class PaymentValidator {
-  constructor() {
-    this.businessRules = {
-      maxDailyLimit: 100000,
-      maxSingleTransactionLimit: 50000,
-      minTransactionAmount: 0.01,
+  /**
+   * @param {Object} ruleOverrides - Business rules to use instead of the configured ones
+   * @param {SettlementCalendar} settlementCalendar - Calendar the rail windows are checked against
+   */
+  constructor(ruleOverrides = {}, settlementCalendar = new SettlementCalendar()) {
+    this.ruleOverrides = { ...ruleOverrides };
+    this.settlementCalendar = settlementCalendar;
+  }
+
+  /**
+   * Current business rules from the payment-processing config
+   * @returns {Object} Business rules
+   */
+  get businessRules() {
+    const paymentRules = config.getBusinessRule('payment-processing');
+    const validation = paymentRules.validation || {};
+    const limits = paymentRules.limits || {};
+
+    return {
+      maxDailyLimit: limits.daily?.customer?.basic || 100000,
+      maxSingleTransactionLimit: limits.perTransaction?.customer?.basic || 50000,
+      minTransactionAmount: validation.amount?.minimum || 0.01,
+      railAmountLimits: validation.amount?.maximum || {},
       allowedCurrencies: Object.values(Currency),
       domesticPaymentRails: [PaymentRail.RTGS, PaymentRail.NEFT, PaymentRail.UPI],
-      internationalPaymentRails: [PaymentRail.SWIFT, PaymentRail.WIRE]
+      internationalPaymentRails: [PaymentRail.SWIFT, PaymentRail.WIRE],
+      ...this.ruleOverrides
     };
   }
 
@@ -26,6 +60,7 @@ class PaymentValidator {
    */
   validatePaymentOrder(paymentOrder) {
     const errors = [];
+    const rules = this.businessRules;
 
     try {
       // Basic data validation
@@ -35,15 +70,15 @@ class PaymentValidator {
     }
 
     // Business rule validations
-    if (paymentOrder.amount < this.businessRules.minTransactionAmount) {
-      errors.push(`Amount ${paymentOrder.amount} is below minimum transaction limit of ${this.businessRules.minTransactionAmount}`);
+    if (paymentOrder.amount < rules.minTransactionAmount) {
+      errors.push(`Amount ${paymentOrder.amount} is below minimum transaction limit of ${rules.minTransactionAmount}`);
     }
 
-    if (paymentOrder.amount > this.businessRules.maxSingleTransactionLimit) {
-      errors.push(`Amount ${paymentOrder.amount} exceeds maximum single transaction limit of ${this.businessRules.maxSingleTransactionLimit}`);
+    if (paymentOrder.amount > rules.maxSingleTransactionLimit) {
+      errors.push(`Amount ${paymentOrder.amount} exceeds maximum single transaction limit of ${rules.maxSingleTransactionLimit}`);
     }
 
-    if (!this.businessRules.allowedCurrencies.includes(paymentOrder.currency)) {
+    if (!rules.allowedCurrencies.includes(paymentOrder.currency)) {
       errors.push(`Currency ${paymentOrder.currency} is not supported`);
     }
 
@@ -62,10 +97,12 @@ class PaymentValidator {
    * Validates payment rail selection based on payment type
    * @param {PaymentOrder} paymentOrder - Payment order
    * @param {string} selectedRail - Selected payment rail
+   * @param {Date} now - Time to check the rail operating window against
    * @returns {Object} Validation result
    */
-  validatePaymentRail(paymentOrder, selectedRail) {
+  validatePaymentRail(paymentOrder, selectedRail, now = new Date()) {
     const errors = [];
+    const rules = this.businessRules;
 
     if (!Object.values(PaymentRail).includes(selectedRail)) {
       errors.push(`Invalid payment rail: ${selectedRail}`);
@@ -74,21 +111,59 @@ class PaymentValidator {
 
     // Validate rail based on payment type
     if (paymentOrder.paymentType === PaymentType.INTERNATIONAL_TRANSFER) {
-      if (!this.businessRules.internationalPaymentRails.includes(selectedRail)) {
+      if (!rules.internationalPaymentRails.includes(selectedRail)) {
         errors.push(`Payment rail ${selectedRail} is not supported for international transfers`);
       }
     } else {
-      if (!this.businessRules.domesticPaymentRails.includes(selectedRail)) {
+      if (!rules.domesticPaymentRails.includes(selectedRail)) {
         errors.push(`Payment rail ${selectedRail} is not supported for domestic transfers`);
       }
     }
 
+    errors.push(...this.validateRailAmount(paymentOrder.amount, selectedRail, rules));
+
+    if (!this.isRailOpen(selectedRail, now)) {
+      errors.push(`Payment rail ${selectedRail} is outside its operating window`);
+    }
+
     return {
       isValid: errors.length === 0,
       errors
     };
   }
 
+  /**
+   * Validates amount against the per-rail limits. The RTGS entry is a floor
+   * (high value only); every other rail entry is a ceiling.
+   * @param {number} amount - Payment amount
+   * @param {string} rail - Payment rail
+   * @param {Object} rules - Business rules
+   * @returns {string[]} Validation errors
+   */
+  validateRailAmount(amount, rail, rules = this.businessRules) {
+    const limit = rules.railAmountLimits[rail.toLowerCase()];
+    if (limit === undefined) {
+      return [];
+    }
+
+    if (rail === PaymentRail.RTGS) {
+      return amount < limit ? [`Amount ${amount} is below RTGS minimum of ${limit}`] : [];
+    }
+
+    return amount > limit ? [`Amount ${amount} exceeds ${rail} maximum of ${limit}`] : [];
+  }
+
+  /**
+   * Checks whether a payment rail is operating at the given time, in the
+   * settlement calendar's time zone and allowing for its holidays
+   * @param {string} rail - Payment rail
+   * @param {Date} now - Time to check
+   * @returns {boolean} True if the rail accepts payments
+   */
+  isRailOpen(rail, now = new Date()) {
+    return this.settlementCalendar.isOpen(rail, now);
+  }
+
   /**
    * Validates account balance for payment
    * @param {number} accountBalance - Current account balance
@@ -166,7 +241,8 @@ class SettlementProcessor {
     }
 
     // Domestic transfers
-    if (paymentOrder.amount > 200000) {
+    const rtgsMinimum = config.getBusinessRule('payment-processing').validation?.amount?.maximum?.rtgs || 200000;
+    if (paymentOrder.amount >= rtgsMinimum) {
       return PaymentRail.RTGS; // High value transactions
     } else if (paymentOrder.amount < 1000) {
       return PaymentRail.UPI; // Small amounts
@@ -415,13 +491,41 @@ class CurrencyConverter {
  * PaymentRetryManager - Handles payment retry logic with exponential backoff
  */
 class PaymentRetryManager {
-  constructor() {
+  constructor(retryOverrides = {}) {
     this.retryQueue = new Map();
-    this.baseDelay = 1000; // 1 second
-    this.maxDelay = 300000; // 5 minutes
+    this.retryOverrides = { ...retryOverrides };
     this.backoffMultiplier = 2;
   }
 
+  /**
+   * Current retry policy from the payment-processing config
+   * @returns {Object} Retry policy
+   */
+  get retryPolicy() {
+    const retry = config.getBusinessRule('payment-processing').retry || {};
+
+    return {
+      baseDelay: retry.baseDelay || 1000,
+      maxDelay: retry.maxDelay || 300000,
+      retryableErrors: retry.retryableErrors || [
+        'NETWORK_TIMEOUT',
+        'SERVICE_UNAVAILABLE',
+        'TEMPORARY_FAILURE',
+        'RATE_LIMIT_EXCEEDED',
+        'CONNECTION_ERROR'
+      ],
+      ...this.retryOverrides
+    };
+  }
+
+  get baseDelay() {
+    return this.retryPolicy.baseDelay;
+  }
+
+  get maxDelay() {
+    return this.retryPolicy.maxDelay;
+  }
+
   /**
    * Calculates retry delay using exponential backoff
    * @param {number} retryCount - Current retry count
@@ -500,15 +604,7 @@ class PaymentRetryManager {
    * @returns {boolean} True if retryable
    */
   isRetryableError(errorType) {
-    const retryableErrors = [
-      'NETWORK_TIMEOUT',
-      'SERVICE_UNAVAILABLE',
-      'TEMPORARY_FAILURE',
-      'RATE_LIMIT_EXCEEDED',
-      'CONNECTION_ERROR'
-    ];
-    
-    return retryableErrors.includes(errorType);
+    return this.retryPolicy.retryableErrors.includes(errorType);
   }
 
   /**
@@ -714,13 +810,22 @@ class NotificationService {
  * PaymentProcessingModule - Main orchestrator for payment processing
  */
 class PaymentProcessingModule {
-  constructor() {
-    this.validator = new PaymentValidator();
+  /**
+   * @param {Object} options - { paymentRailSelector, paymentIntegrationService };
+   *   share the selector with other modules so their warehoused payments are
+   *   released by the same job
+   */
+  constructor(options = {}) {
+    this.paymentRailSelector = options.paymentRailSelector || new PaymentRailSelector();
+    this.validator = new PaymentValidator({}, this.paymentRailSelector.settlementCalendar);
     this.settlementProcessor = new SettlementProcessor();
     this.currencyConverter = new CurrencyConverter();
     this.retryManager = new PaymentRetryManager();
     this.notificationService = new NotificationService();
-    this.paymentIntegrationService = new PaymentIntegrationService();
+    this.paymentIntegrationService = options.paymentIntegrationService ||
+      new PaymentIntegrationService({ paymentRailSelector: this.paymentRailSelector });
+    this.warehouseReleaseRunning = false;
+    this.warehouseReleaseTimer = null;
   }
 
   /**
@@ -1055,7 +1160,18 @@ class PaymentProcessingModule {
       // Process through enhanced network integration
       const result = await this.paymentIntegrationService.processPayment(paymentInstruction, options);
 
-      if (result.success) {
+      if (result.success && result.status === PaymentStatus.WAREHOUSED) {
+        // Accepted outside the rail's window; the warehouse release job sends it at scheduledFor
+        paymentOrder.markWarehoused(result.scheduledFor);
+
+        return {
+          success: true,
+          paymentOrder,
+          networkResult: result,
+          railUsed: result.railUsed,
+          failoverUsed: result.failoverUsed
+        };
+      } else if (result.success) {
         paymentOrder.markCompleted();
         
         // Send notifications if recipients provided
@@ -1094,6 +1210,73 @@ class PaymentProcessingModule {
     }
   }
 
+  /**
+   * Send warehoused payments whose settlement slot has arrived. Only one
+   * release runs at a time, and it cannot be run as of a future date.
+   * @param {Date} asOf - Release time
+   * @returns {Promise<Object>} { asOf, released, failed, rewarehoused } with transaction IDs
+   */
+  async releaseWarehousedPayments(asOf = new Date()) {
+    const at = new Date(asOf);
+    if (isNaN(at.getTime())) {
+      throw new Error('Invalid warehouse release date');
+    }
+    if (at > new Date()) {
+      throw new Error('Warehoused payments cannot be released as of a future date');
+    }
+    if (this.warehouseReleaseRunning) {
+      throw new Error('Warehouse release is already running');
+    }
+
+    this.warehouseReleaseRunning = true;
+    try {
+      const results = await this.paymentRailSelector.releaseWarehousedPayments(at);
+      return {
+        asOf: at,
+        released: results.filter(result => result.success && result.status !== PaymentStatus.WAREHOUSED).map(result => result.transactionId),
+        failed: results.filter(result => !result.success).map(result => result.transactionId),
+        rewarehoused: results.filter(result => result.status === PaymentStatus.WAREHOUSED).map(result => result.transactionId)
+      };
+    } finally {
+      this.warehouseReleaseRunning = false;
+    }
+  }
+
+  /**
+   * Release due warehoused payments now and then every
+   * settlementCalendar.warehouseReleaseIntervalMinutes
+   * @param {number} intervalMs - Interval between runs
+   */
+  startWarehouseRelease(intervalMs = this.getWarehouseReleaseIntervalMinutes() * 60 * 1000) {
+    this.stopWarehouseRelease();
+
+    const run = () => {
+      this.releaseWarehousedPayments().catch(error => console.error('Warehouse release failed:', error.message));
+    };
+    run();
+    this.warehouseReleaseTimer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for the job
+    this.warehouseReleaseTimer.unref();
+  }
+
+  /**
+   * Stop the warehouse release job
+   */
+  stopWarehouseRelease() {
+    if (this.warehouseReleaseTimer) {
+      clearInterval(this.warehouseReleaseTimer);
+      this.warehouseReleaseTimer = null;
+    }
+  }
+
+  /**
+   * Minutes between warehouse release runs
+   * @returns {number} Interval in minutes
+   */
+  getWarehouseReleaseIntervalMinutes() {
+    return config.getBusinessRule('payment-processing').settlementCalendar?.warehouseReleaseIntervalMinutes || 15;
+  }
+
   /**
    * Get enhanced payment status using network integration
    * @param {string} paymentId - Payment ID
@@ -1121,8 +1304,722 @@ class PaymentProcessingModule {
   }
 }
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function calendarDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Checks that a string is a real YYYY-MM-DD date
+ * @param {string} date - Candidate date
+ * @returns {boolean} True if valid
+ */
+function isCalendarDate(date) {
+  return typeof date === 'string' && DATE_PATTERN.test(date) &&
+    !isNaN(Date.parse(date)) && new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+}
+
+/**
+ * Adds days to a calendar date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the month some months after a calendar date, clamped to the
+ * last day of that month
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} months - Months to add
+ * @param {number} dayOfMonth - Wanted day of the month
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addMonths(date, months, dayOfMonth) {
+  const [year, month] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(dayOfMonth, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * PaymentScheduler - Future-dated one-off payments and recurring standing
+ * instructions. runScheduledPayments() debits each due occurrence from the
+ * source account's ledger balance through TransactionProcessingModule and
+ * pays it through PaymentProcessingModule.processPaymentWithRetry().
+ */
+class PaymentScheduler {
+  constructor(options = {}) {
+    this.paymentProcessingModule = options.paymentProcessingModule || new PaymentProcessingModule();
+    this.transactionProcessingModule = options.transactionProcessingModule || null; // Debits occurrences from the ledger
+    this.accountRepository = options.accountRepository || null; // Source account and owner
+    this.notificationService = options.notificationService || null;
+    this.auditService = options.auditService || null;
+    this.instructionRepository = options.instructionRepository || null;
+    this.instructions = new Map(); // instructionId -> standing instruction
+    this.schedulerTimer = null;
+    this.schedulerRunning = false;
+  }
+
+  /**
+   * Scheduling rules
+   * @returns {Object} Scheduling rules
+   */
+  getRules() {
+    const rules = config.getBusinessRule('payment-processing');
+    const standingInstructions = rules.standingInstructions || {};
+    return {
+      timeZone: rules.settlementCalendar?.timeZone || 'Asia/Kolkata',
+      reminderDaysBefore: standingInstructions.reminderDaysBefore ?? 1,
+      reminderChannels: standingInstructions.reminderChannels || ['email'],
+      retryAttempts: standingInstructions.insufficientFunds?.retryAttempts ?? 0,
+      retryIntervalHours: standingInstructions.insufficientFunds?.retryIntervalHours || 4,
+      pauseAfterConsecutiveFailures: standingInstructions.pauseAfterConsecutiveFailures || 3,
+      runIntervalMinutes: standingInstructions.runIntervalMinutes || 60
+    };
+  }
+
+  /**
+   * Schedules a payment. ONCE pays on startDate; recurring frequencies pay
+   * from startDate until endDate or until `occurrences` dates have passed,
+   * whichever comes first, or until cancelled.
+   * @param {Object} data - { fromAccountId, toAccountId, amount, currency, paymentType, description, frequency, startDate, endDate?, occurrences? }
+   * @param {string} createdBy - User ID
+   * @param {Date} asOf - Current time
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async schedulePayment(data, createdBy, asOf = new Date()) {
+    const rules = this.getRules();
+    const frequency = data.frequency || ScheduleFrequency.ONCE;
+
+    if (!Object.values(ScheduleFrequency).includes(frequency)) {
+      throw new Error(`Invalid frequency: ${frequency}`);
+    }
+    if (!isCalendarDate(data.startDate)) {
+      throw new Error('startDate must be a date in YYYY-MM-DD format');
+    }
+    if (data.startDate < calendarDate(asOf, rules.timeZone)) {
+      throw new Error(`startDate ${data.startDate} is in the past`);
+    }
+    if (data.endDate !== undefined && data.endDate !== null &&
+      (!isCalendarDate(data.endDate) || data.endDate < data.startDate)) {
+      throw new Error('endDate must be a date in YYYY-MM-DD format on or after startDate');
+    }
+    if (data.occurrences !== undefined && data.occurrences !== null &&
+      !(Number.isInteger(data.occurrences) && data.occurrences > 0)) {
+      throw new Error('occurrences must be a positive whole number');
+    }
+    if (frequency === ScheduleFrequency.ONCE && (data.endDate || data.occurrences)) {
+      throw new Error('A one-off payment cannot have an endDate or occurrences');
+    }
+
+    // Validate the payment now rather than on the first execution date
+    const paymentOrder = new PaymentOrder(
+      data.fromAccountId,
+      data.toAccountId,
+      data.amount,
+      data.currency,
+      data.paymentType,
+      data.description
+    );
+    const validation = this.paymentProcessingModule.validator.validatePaymentOrder(paymentOrder);
+    if (!validation.isValid) {
+      throw new Error(`Invalid scheduled payment: ${validation.errors.join(', ')}`);
+    }
+
+    const instruction = {
+      instructionId: uuidv4(),
+      fromAccountId: paymentOrder.fromAccountId,
+      toAccountId: paymentOrder.toAccountId,
+      amount: paymentOrder.amount,
+      currency: paymentOrder.currency,
+      paymentType: paymentOrder.paymentType,
+      description: paymentOrder.description,
+      frequency,
+      startDate: data.startDate,
+      endDate: data.endDate || null,
+      occurrences: data.occurrences || null,
+      status: StandingInstructionStatus.ACTIVE,
+      occurrenceIndex: 0,
+      nextExecutionDate: null,
+      attempts: 0, // Insufficient-funds attempts on the current occurrence
+      nextAttemptAt: null,
+      reminderSentFor: null,
+      consecutiveFailures: 0,
+      pausedReason: null,
+      cancellationReason: null,
+      pendingTransactionId: null, // Debit the current occurrence was claimed for
+      history: [],
+      createdBy,
+      createdAt: asOf,
+      updatedAt: asOf
+    };
+    instruction.nextExecutionDate = this.occurrenceDate(instruction, 0);
+
+    await this.persist(instruction);
+    this.instructions.set(instruction.instructionId, instruction);
+    await this.audit(instruction.instructionId, 'STANDING_INSTRUCTION_CREATED', createdBy, null, instruction);
+
+    return instruction;
+  }
+
+  /**
+   * Date of the nth occurrence (from 0) of an instruction, or null once it
+   * is past endDate or the occurrence count
+   * @param {Object} instruction - Standing instruction
+   * @param {number} index - Occurrence index
+   * @returns {string|null} Date in YYYY-MM-DD format
+   */
+  occurrenceDate(instruction, index) {
+    if (instruction.occurrences && index >= instruction.occurrences) {
+      return null;
+    }
+
+    const { startDate } = instruction;
+    let date;
+    switch (instruction.frequency) {
+      case ScheduleFrequency.ONCE:
+        date = index === 0 ? startDate : null;
+        break;
+      case ScheduleFrequency.DAILY:
+        date = addDays(startDate, index);
+        break;
+      case ScheduleFrequency.WEEKLY:
+        date = addDays(startDate, index * 7);
+        break;
+      case ScheduleFrequency.MONTHLY:
+        // Same day each month; the 31st falls on the last day of shorter months
+        date = addMonths(startDate, index, Number(startDate.slice(8)));
+        break;
+      case ScheduleFrequency.END_OF_MONTH:
+        date = addMonths(startDate, index, 31);
+        break;
+    }
+
+    return date && (!instruction.endDate || date <= instruction.endDate) ? date : null;
+  }
+
+  /**
+   * Pays every active instruction that is due, retries occurrences waiting
+   * on funds, and reminds customers of payments coming up. Each run pays at
+   * most one occurrence per instruction. Only one run happens at a time, and
+   * it cannot be run as of a future date.
+   * @param {Date} asOf - Run time
+   * @returns {Promise<Object>} { runAt, reminded, paid, retrying, failed, completed, paused } instruction IDs
+   */
+  async runScheduledPayments(asOf = new Date()) {
+    if (!this.transactionProcessingModule) {
+      throw new Error('Transaction processing module not configured');
+    }
+
+    const at = new Date(asOf);
+    if (isNaN(at.getTime())) {
+      throw new Error('Invalid scheduled payment run date');
+    }
+    if (at > new Date()) {
+      throw new Error('Scheduled payments cannot be run as of a future date');
+    }
+    if (this.schedulerRunning) {
+      throw new Error('Payment scheduler is already running');
+    }
+
+    this.schedulerRunning = true;
+    try {
+      return await this.payDueInstructions(at);
+    } finally {
+      this.schedulerRunning = false;
+    }
+  }
+
+  async payDueInstructions(asOf) {
+    const rules = this.getRules();
+    const today = calendarDate(asOf, rules.timeZone);
+    const summary = { runAt: asOf, reminded: [], paid: [], retrying: [], failed: [], completed: [], paused: [] };
+
+    for (const instruction of this.instructions.values()) {
+      if (instruction.status !== StandingInstructionStatus.ACTIVE) {
+        continue;
+      }
+
+      if (instruction.nextExecutionDate <= today) {
+        if (!instruction.nextAttemptAt || instruction.nextAttemptAt <= asOf) {
+          await this.executeOccurrence(instruction, rules, asOf, summary);
+        }
+      } else if (await this.sendReminder(instruction, today, rules)) {
+        summary.reminded.push(instruction.instructionId);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Pays the instruction's current occurrence. The debit is claimed on the
+   * instruction and stored before anything is posted, so a run that stops
+   * part way is settled from the ledger by the next one rather than paid
+   * twice. Short of funds, it tries again after retryIntervalHours up to
+   * retryAttempts times before the occurrence fails.
+   * @param {Object} instruction - Standing instruction
+   * @param {Object} rules - Scheduling rules
+   * @param {Date} asOf - Run time
+   * @param {Object} summary - Run summary to add to
+   */
+  async executeOccurrence(instruction, rules, asOf, summary) {
+    // Claimed by an earlier run that stopped: its debit standing means it was paid
+    if (instruction.pendingTransactionId && this.transactionProcessingModule.getPostedEntry(instruction.pendingTransactionId)) {
+      await this.completeOccurrence(instruction, asOf, summary, {});
+      return;
+    }
+
+    const account = this.accountRepository ? await this.accountRepository.findById(instruction.fromAccountId) : null;
+    if (!account) {
+      await this.failOccurrence(instruction, `Source account not found: ${instruction.fromAccountId}`, rules, asOf, summary);
+      return;
+    }
+
+    const balance = await this.transactionProcessingModule.getAccountBalance(instruction.fromAccountId);
+    if (balance < instruction.amount) {
+      await this.awaitFunds(instruction, `Insufficient funds. Available: ${balance}, Required: ${instruction.amount}`, rules, asOf, summary);
+      return;
+    }
+
+    const debit = new Transaction(
+      instruction.fromAccountId,
+      instruction.amount,
+      instruction.currency,
+      TransactionType.PAYMENT,
+      `Scheduled payment ${instruction.instructionId} for ${instruction.nextExecutionDate}`
+    );
+    instruction.pendingTransactionId = debit.transactionId;
+    instruction.updatedAt = asOf;
+    await this.persist(instruction);
+
+    const posted = await this.transactionProcessingModule.processTransaction(debit);
+    if (!posted.success) {
+      instruction.pendingTransactionId = null;
+      const error = posted.processingResult?.error || posted.errors.join(', ');
+      if (posted.processingResult?.errorCode === 'INSUFFICIENT_FUNDS') {
+        await this.awaitFunds(instruction, error, rules, asOf, summary);
+      } else {
+        await this.failOccurrence(instruction, error, rules, asOf, summary);
+      }
+      return;
+    }
+
+    const result = await this.paymentProcessingModule.processPaymentWithRetry({
+      fromAccountId: instruction.fromAccountId,
+      toAccountId: instruction.toAccountId,
+      amount: instruction.amount,
+      currency: instruction.currency,
+      paymentType: instruction.paymentType,
+      description: instruction.description
+    }, balance);
+
+    if (!result.success) {
+      const error = result.error || result.errors.join(', ');
+      await this.transactionProcessingModule.reverseTransaction(debit.transactionId, `Scheduled payment failed: ${error}`);
+      await this.failOccurrence(instruction, error, rules, asOf, summary);
+      return;
+    }
+
+    await this.completeOccurrence(instruction, asOf, summary, { paymentId: result.paymentOrder.paymentId });
+  }
+
+  /**
+   * Records a paid occurrence and moves on to the next one
+   * @param {Object} instruction - Standing instruction
+   * @param {Date} asOf - Run time
+   * @param {Object} summary - Run summary to add to
+   * @param {Object} details - { paymentId } of the payment, when known
+   */
+  async completeOccurrence(instruction, asOf, summary, details) {
+    const before = { ...instruction };
+    const historyFrom = instruction.history.length;
+    this.recordOccurrence(instruction, ScheduledOccurrenceStatus.COMPLETED, asOf, details);
+    instruction.consecutiveFailures = 0;
+    this.advance(instruction, asOf);
+    await this.persist(instruction, historyFrom);
+    summary.paid.push(instruction.instructionId);
+    if (instruction.status === StandingInstructionStatus.COMPLETED) {
+      summary.completed.push(instruction.instructionId);
+    }
+
+    await this.audit(instruction.instructionId, 'SCHEDULED_PAYMENT_MADE', SYSTEM_USER_ID, before, instruction);
+  }
+
+  /**
+   * Tries a short-funded occurrence again after retryIntervalHours, or fails
+   * it once retryAttempts are used up
+   * @param {Object} instruction - Standing instruction
+   * @param {string} reason - Failure reason if no attempts are left
+   * @param {Object} rules - Scheduling rules
+   * @param {Date} asOf - Run time
+   * @param {Object} summary - Run summary to add to
+   */
+  async awaitFunds(instruction, reason, rules, asOf, summary) {
+    if (instruction.attempts >= rules.retryAttempts) {
+      await this.failOccurrence(instruction, reason, rules, asOf, summary);
+      return;
+    }
+
+    instruction.attempts++;
+    instruction.nextAttemptAt = new Date(asOf.getTime() + rules.retryIntervalHours * HOUR_MS);
+    instruction.updatedAt = asOf;
+    await this.persist(instruction);
+    summary.retrying.push(instruction.instructionId);
+  }
+
+  /**
+   * Records a failed occurrence, moves on to the next one and tells the
+   * customer. Too many failures in a row pause the instruction.
+   * @param {Object} instruction - Standing instruction
+   * @param {string} reason - Failure reason
+   * @param {Object} rules - Scheduling rules
+   * @param {Date} asOf - Run time
+   * @param {Object} summary - Run summary to add to
+   */
+  async failOccurrence(instruction, reason, rules, asOf, summary) {
+    const before = { ...instruction };
+    const executionDate = instruction.nextExecutionDate;
+    const historyFrom = instruction.history.length;
+
+    this.recordOccurrence(instruction, ScheduledOccurrenceStatus.FAILED, asOf, { reason });
+    instruction.consecutiveFailures++;
+    this.advance(instruction, asOf);
+    summary.failed.push(instruction.instructionId);
+
+    if (instruction.status === StandingInstructionStatus.COMPLETED) {
+      summary.completed.push(instruction.instructionId);
+    } else if (instruction.consecutiveFailures >= rules.pauseAfterConsecutiveFailures) {
+      instruction.status = StandingInstructionStatus.PAUSED;
+      instruction.pausedReason = `${instruction.consecutiveFailures} consecutive payments failed`;
+      summary.paused.push(instruction.instructionId);
+    }
+    await this.persist(instruction, historyFrom);
+
+    await this.notifyCustomer(instruction, 'sendScheduledPaymentFailedNotification', executionDate, rules, reason);
+    await this.audit(instruction.instructionId, 'SCHEDULED_PAYMENT_FAILED', SYSTEM_USER_ID, before, instruction);
+  }
+
+  /**
+   * Reminds the customer once per occurrence, reminderDaysBefore days ahead
+   * @param {Object} instruction - Standing instruction
+   * @param {string} today - Current date in YYYY-MM-DD format
+   * @param {Object} rules - Scheduling rules
+   * @returns {Promise<boolean>} True if a reminder was sent
+   */
+  async sendReminder(instruction, today, rules) {
+    const executionDate = instruction.nextExecutionDate;
+    if (rules.reminderDaysBefore <= 0 || instruction.reminderSentFor === executionDate ||
+      addDays(today, rules.reminderDaysBefore) < executionDate) {
+      return false;
+    }
+
+    const result = await this.notifyCustomer(instruction, 'sendScheduledPaymentReminderNotification', executionDate, rules);
+    if (!result) {
+      return false;
+    }
+
+    instruction.reminderSentFor = executionDate;
+    await this.persist(instruction);
+    return true;
+  }
+
+  /**
+   * Skips the next occurrence without paying it
+   * @param {string} instructionId - Instruction ID
+   * @param {string} skippedBy - User ID
+   * @param {string} reason - Reason for skipping
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async skipNextOccurrence(instructionId, skippedBy, reason = null) {
+    const instruction = await this.requireInstruction(instructionId, [StandingInstructionStatus.ACTIVE, StandingInstructionStatus.PAUSED]);
+    const before = { ...instruction };
+    const historyFrom = instruction.history.length;
+    const now = new Date();
+
+    this.recordOccurrence(instruction, ScheduledOccurrenceStatus.SKIPPED, now, { reason, skippedBy });
+    this.advance(instruction, now);
+    await this.persist(instruction, historyFrom);
+
+    await this.audit(instructionId, 'SCHEDULED_PAYMENT_SKIPPED', skippedBy, before, instruction);
+    return instruction;
+  }
+
+  /**
+   * Pauses an instruction; nothing is paid or reminded until it is resumed
+   * @param {string} instructionId - Instruction ID
+   * @param {string} pausedBy - User ID
+   * @param {string} reason - Reason for pausing
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async pauseInstruction(instructionId, pausedBy, reason = null) {
+    const instruction = await this.requireInstruction(instructionId, [StandingInstructionStatus.ACTIVE]);
+    const before = { ...instruction };
+
+    instruction.status = StandingInstructionStatus.PAUSED;
+    instruction.pausedReason = reason;
+    instruction.updatedAt = new Date();
+    await this.persist(instruction);
+
+    await this.audit(instructionId, 'STANDING_INSTRUCTION_PAUSED', pausedBy, before, instruction);
+    return instruction;
+  }
+
+  /**
+   * Resumes a paused instruction. Occurrences that fell due while it was
+   * paused are recorded as skipped rather than paid late; one due today is
+   * still paid.
+   * @param {string} instructionId - Instruction ID
+   * @param {string} resumedBy - User ID
+   * @param {Date} asOf - Current time
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async resumeInstruction(instructionId, resumedBy, asOf = new Date()) {
+    const instruction = await this.requireInstruction(instructionId, [StandingInstructionStatus.PAUSED]);
+    const before = { ...instruction };
+    const historyFrom = instruction.history.length;
+    const today = calendarDate(asOf, this.getRules().timeZone);
+
+    instruction.status = StandingInstructionStatus.ACTIVE;
+    instruction.pausedReason = null;
+    instruction.consecutiveFailures = 0;
+    while (instruction.nextExecutionDate && instruction.nextExecutionDate < today) {
+      this.recordOccurrence(instruction, ScheduledOccurrenceStatus.SKIPPED, asOf, { reason: 'Missed while paused' });
+      this.advance(instruction, asOf);
+    }
+    instruction.updatedAt = asOf;
+    await this.persist(instruction, historyFrom);
+
+    await this.audit(instructionId, 'STANDING_INSTRUCTION_RESUMED', resumedBy, before, instruction);
+    return instruction;
+  }
+
+  /**
+   * Cancels an instruction; no further occurrences are paid
+   * @param {string} instructionId - Instruction ID
+   * @param {string} cancelledBy - User ID
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async cancelInstruction(instructionId, cancelledBy, reason = null) {
+    const instruction = await this.requireInstruction(instructionId, [StandingInstructionStatus.ACTIVE, StandingInstructionStatus.PAUSED]);
+    const before = { ...instruction };
+
+    instruction.status = StandingInstructionStatus.CANCELLED;
+    instruction.cancellationReason = reason;
+    instruction.nextExecutionDate = null;
+    instruction.nextAttemptAt = null;
+    instruction.updatedAt = new Date();
+    await this.persist(instruction);
+
+    await this.audit(instructionId, 'STANDING_INSTRUCTION_CANCELLED', cancelledBy, before, instruction);
+    return instruction;
+  }
+
+  /**
+   * Get a standing instruction
+   * @param {string} instructionId - Instruction ID
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async getInstruction(instructionId) {
+    return await this.requireInstruction(instructionId);
+  }
+
+  /**
+   * Checks that a user holds an account, i.e. the account's customer was
+   * onboarded with the user's email
+   * @param {string} accountId - Account ID
+   * @param {Object} user - Authenticated user ({ userId, email })
+   * @returns {Promise<Object>} Account
+   */
+  async requireAccountHolder(accountId, user) {
+    const account = this.accountRepository && accountId
+      ? await this.accountRepository.findById(accountId)
+      : null;
+    const customer = account && await this.accountRepository.findCustomerById(account.customerId);
+    const email = customer?.personalInfo?.contactInfo?.email;
+
+    if (!email || !user?.email || email.toLowerCase() !== user.email.toLowerCase()) {
+      throw new Error(`Account ${accountId} does not belong to user ${user?.userId}`);
+    }
+    return account;
+  }
+
+  /**
+   * Checks that a user created a standing instruction and still holds its
+   * source account
+   * @param {string} instructionId - Instruction ID
+   * @param {Object} user - Authenticated user ({ userId, email })
+   * @returns {Promise<Object>} Standing instruction
+   */
+  async requireOwnInstruction(instructionId, user) {
+    const instruction = await this.requireInstruction(instructionId);
+    if (instruction.createdBy !== user?.userId) {
+      throw new Error(`Standing instruction ${instructionId} does not belong to user ${user?.userId}`);
+    }
+
+    await this.requireAccountHolder(instruction.fromAccountId, user);
+    return instruction;
+  }
+
+  /**
+   * Reload active and paused instructions from storage, e.g. after a
+   * restart, so the scheduler keeps paying them
+   * @returns {Promise<number>} Number of instructions loaded
+   */
+  async loadInstructions() {
+    if (!this.instructionRepository) {
+      return 0;
+    }
+
+    const open = await this.instructionRepository.findOpen();
+    const loaded = open.filter(instruction => !this.instructions.has(instruction.instructionId));
+    loaded.forEach(instruction => this.instructions.set(instruction.instructionId, instruction));
+
+    return loaded.length;
+  }
+
+  /**
+   * Run scheduled payments now and then every
+   * standingInstructions.runIntervalMinutes
+   * @param {number} intervalMs - Interval between runs
+   */
+  startScheduler(intervalMs = this.getRules().runIntervalMinutes * 60 * 1000) {
+    this.stopScheduler();
+
+    const run = () => {
+      this.runScheduledPayments().catch(error => console.error('Payment scheduler failed:', error.message));
+    };
+    run();
+    this.schedulerTimer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for the scheduler
+    this.schedulerTimer.unref();
+  }
+
+  /**
+   * Stop the payment scheduler
+   */
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  recordOccurrence(instruction, status, at, details = {}) {
+    instruction.history.push({
+      executionDate: instruction.nextExecutionDate,
+      status,
+      ...details,
+      attempts: status === ScheduledOccurrenceStatus.SKIPPED ? 0 : instruction.attempts + 1,
+      recordedAt: at
+    });
+  }
+
+  /**
+   * Moves to the next occurrence, completing the instruction after the last
+   * @param {Object} instruction - Standing instruction
+   * @param {Date} at - Current time
+   */
+  advance(instruction, at) {
+    instruction.occurrenceIndex++;
+    instruction.nextExecutionDate = this.occurrenceDate(instruction, instruction.occurrenceIndex);
+    instruction.attempts = 0;
+    instruction.nextAttemptAt = null;
+    instruction.pendingTransactionId = null;
+    instruction.updatedAt = at;
+
+    if (!instruction.nextExecutionDate) {
+      instruction.status = StandingInstructionStatus.COMPLETED;
+    }
+  }
+
+  /**
+   * Notifies the owner of the source account
+   * @param {Object} instruction - Standing instruction
+   * @param {string} method - NotificationService method
+   * @param {string} executionDate - Occurrence date
+   * @param {Object} rules - Scheduling rules
+   * @param {string} reason - Failure reason, if any
+   * @returns {Promise<Object|null>} Notification result, or null when the customer cannot be contacted
+   */
+  async notifyCustomer(instruction, method, executionDate, rules, reason = null) {
+    if (!this.notificationService || !this.accountRepository) {
+      return null;
+    }
+
+    const account = await this.accountRepository.findById(instruction.fromAccountId);
+    const customer = account && await this.accountRepository.findCustomerById(account.customerId);
+    if (!customer) {
+      return null;
+    }
+
+    return await this.notificationService[method](customer, {
+      instructionId: instruction.instructionId,
+      executionDate,
+      amount: instruction.amount,
+      currency: instruction.currency,
+      toAccountId: instruction.toAccountId,
+      description: instruction.description,
+      reason
+    }, rules.reminderChannels);
+  }
+
+  /**
+   * Writes an instruction, with the history entries recorded from
+   * `historyFrom` on, when a repository is configured
+   * @param {Object} instruction - Standing instruction
+   * @param {number} historyFrom - Index of the first new history entry
+   */
+  async persist(instruction, historyFrom = instruction.history.length) {
+    if (!this.instructionRepository) {
+      return;
+    }
+
+    const occurrences = instruction.history.slice(historyFrom)
+      .map((occurrence, index) => ({ sequence: historyFrom + index, ...occurrence }));
+    await this.instructionRepository.save(instruction, occurrences);
+  }
+
+  async requireInstruction(instructionId, statuses = null) {
+    let instruction = this.instructions.get(instructionId);
+    if (!instruction && this.instructionRepository) {
+      instruction = await this.instructionRepository.findById(instructionId);
+      if (instruction) {
+        this.instructions.set(instructionId, instruction);
+      }
+    }
+    if (!instruction) {
+      throw new Error(`Standing instruction not found: ${instructionId}`);
+    }
+    if (statuses && !statuses.includes(instruction.status)) {
+      throw new Error(`Standing instruction ${instructionId} is ${instruction.status}, not ${statuses.join(' or ')}`);
+    }
+    return instruction;
+  }
+
+  async audit(instructionId, action, performedBy, before, after) {
+    if (this.auditService) {
+      await this.auditService.log('STANDING_INSTRUCTION', instructionId, action, performedBy, before, after);
+    }
+  }
+}
+
 module.exports = {
   PaymentProcessingModule,
+  PaymentScheduler,
   PaymentValidator,
   SettlementProcessor,
   CurrencyConverter,
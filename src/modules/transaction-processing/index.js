@@ -1,6 +1,8 @@
 // Transaction Processing Module
 const { Transaction, AuditLog } = require('../../shared/interfaces');
-const { TransactionStatus, TransactionType } = require('../../shared/types');
+const { TransactionStatus, TransactionType, LedgerAccountType } = require('../../shared/types');
+const { LedgerService, SystemAccount } = require('../../services/ledger-service');
+const config = require('../../config');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -8,10 +10,13 @@ const { v4: uuidv4 } = require('uuid');
  * Requirements: 4.1, 4.2
  */
 class TransactionProcessingModule {
-  constructor(auditService = null) {
+  constructor(auditService = null, ledger = null, transactionRepository = null, exceptionRepository = null) {
     this.auditService = auditService;
+    this.ledger = ledger || new LedgerService();
+    this.transactionRepository = transactionRepository;
     this.validator = new TransactionValidator();
-    this.processor = new TransactionProcessor();
+    this.processor = new TransactionProcessor(this.ledger);
+    this.exceptionHandler = new ExceptionHandler(auditService, exceptionRepository);
   }
 
   /**
@@ -39,6 +44,8 @@ class TransactionProcessingModule {
             errors: validationResult.errors
           });
         }
+
+        await this.persistTransaction(transaction);
         
         return {
           success: false,
@@ -49,8 +56,11 @@ class TransactionProcessingModule {
       }
 
       // Process approved transaction in real-time
-      const processingResult = await this.processor.process(transaction);
-      
+      let processingResult = await this.processor.process(transaction);
+      if (processingResult.success) {
+        processingResult = await this.commitTransaction(transaction, processingResult);
+      }
+
       if (this.auditService) {
         await this.auditService.log('TRANSACTION', transaction.transactionId, 'PROCESS_COMPLETE', 'SYSTEM', null, {
           transaction,
@@ -58,8 +68,14 @@ class TransactionProcessingModule {
         });
       }
 
+      if (!processingResult.success) {
+        const exceptionType = processingResult.errorCode === 'INSUFFICIENT_FUNDS' ? 'INSUFFICIENT_FUNDS' : 'SYSTEM_ERROR';
+        await this.raiseException(transaction, exceptionType, processingResult.error);
+        await this.persistTransaction(transaction);
+      }
+
       return {
-        success: true,
+        success: processingResult.success,
         transaction,
         processingResult,
         processingTime: Date.now() - startTime
@@ -76,6 +92,9 @@ class TransactionProcessingModule {
         });
       }
 
+      await this.raiseException(transaction, 'SYSTEM_ERROR', error.message);
+      await this.persistTransaction(transaction);
+
       return {
         success: false,
         transaction,
@@ -108,6 +127,139 @@ class TransactionProcessingModule {
       processingTime: Date.now() - startTime
     };
   }
+
+  /**
+   * Store a posted transaction together with its journal entry in one
+   * database transaction. When that fails the entry is taken back out of the
+   * ledger and the transaction fails, so the ledger never holds a posting
+   * that was not stored.
+   * @param {Transaction} transaction - Posted transaction
+   * @param {Object} processingResult - Successful result from TransactionProcessor
+   * @returns {Promise<Object>} The processing result, or a failed one if storing failed
+   */
+  async commitTransaction(transaction, processingResult) {
+    const entry = this.ledger.getJournalEntry(processingResult.details.journalEntryId);
+
+    try {
+      if (this.transactionRepository) {
+        await this.transactionRepository.db.transaction(async (tx) => {
+          await this.ledger.persistJournalEntry(entry, tx);
+          await this.transactionRepository.save(transaction, tx);
+        });
+      } else {
+        await this.ledger.persistJournalEntry(entry);
+      }
+      return processingResult;
+    } catch (error) {
+      this.ledger.discardJournalEntry(entry.entryId);
+      transaction.status = TransactionStatus.FAILED;
+      return {
+        ...processingResult,
+        success: false,
+        details: null,
+        error: `Failed to store transaction: ${error.message}`,
+        errorCode: 'STORAGE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reverse the journal entry a transaction posted, e.g. a debit for a
+   * payment that could not be sent. The reversal is stored like any entry;
+   * when storing it fails it is taken back out and the error thrown.
+   * @param {string} transactionId - Posted transaction
+   * @param {string} reason - Reversal reason
+   * @returns {Promise<Object>} Reversal journal entry
+   */
+  async reverseTransaction(transactionId, reason) {
+    const entry = this.getPostedEntry(transactionId);
+    if (!entry) {
+      throw new Error(`No posted journal entry for transaction ${transactionId}`);
+    }
+
+    const reversal = this.ledger.reverseJournalEntry(entry.entryId, reason);
+    try {
+      await this.ledger.persistJournalEntry(reversal);
+    } catch (error) {
+      this.ledger.discardJournalEntry(reversal.entryId);
+      throw error;
+    }
+    return reversal;
+  }
+
+  /**
+   * The journal entry a transaction posted, if it stands unreversed
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object|null} Journal entry
+   */
+  getPostedEntry(transactionId) {
+    return this.ledger.getJournalEntriesByReference(transactionId)
+      .find(entry => !entry.reversalOf && !entry.reversedBy) || null;
+  }
+
+  /**
+   * Persist the final state of a transaction that was not posted. The
+   * transaction has already failed, so a storage failure is logged rather
+   * than masking the original failure.
+   * @param {Transaction} transaction - Failed transaction
+   */
+  async persistTransaction(transaction) {
+    if (!this.transactionRepository) {
+      return;
+    }
+
+    try {
+      await this.transactionRepository.save(transaction);
+    } catch (error) {
+      console.error(`Failed to persist transaction ${transaction.transactionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Queue a failed transaction for manual review. Like persistTransaction,
+   * a storage failure is logged rather than masking the original failure.
+   * @param {Transaction} transaction - Failed transaction
+   * @param {string} exceptionType - One of ExceptionHandler.exceptionTypes
+   * @param {string} reason - Failure reason
+   */
+  async raiseException(transaction, exceptionType, reason) {
+    try {
+      await this.exceptionHandler.flagForManualReview(transaction, exceptionType, reason);
+    } catch (error) {
+      console.error(`Failed to flag transaction ${transaction.transactionId} for review:`, error.message);
+    }
+  }
+
+  /**
+   * Get transaction history for an account from storage
+   * @param {string} accountId - Account ID
+   * @param {Object} options - { status, transactionType, startDate, endDate, limit, offset }
+   * @returns {Promise<Array>} Transactions
+   */
+  async getTransactionHistory(accountId, options = {}) {
+    if (!this.transactionRepository) {
+      throw new Error('Transaction repository not configured');
+    }
+    return await this.transactionRepository.findByAccountId(accountId, options);
+  }
+
+  /**
+   * Get the ledger balance of a customer account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<number>} Current balance (0 if the account has never been posted to)
+   */
+  async getAccountBalance(accountId) {
+    const account = await this.ledger.loadCustomerAccount(accountId);
+    return account ? account.balance : 0;
+  }
+
+  /**
+   * Get the ledger trial balance
+   * @returns {Object} Trial balance
+   */
+  getTrialBalance() {
+    return this.ledger.getTrialBalance();
+  }
 }
 
 /**
@@ -116,14 +268,8 @@ class TransactionProcessingModule {
  */
 class TransactionValidator {
   constructor() {
-    this.businessRules = new Map([
-      ['MAX_DAILY_LIMIT', 100000],
-      ['MIN_TRANSACTION_AMOUNT', 0.01],
-      ['MAX_TRANSACTION_AMOUNT', 1000000],
-      ['ALLOWED_CURRENCIES', ['USD', 'EUR', 'INR', 'GBP']],
-      ['BLOCKED_COUNTRIES', ['XX', 'YY']],
-      ['FRAUD_SCORE_THRESHOLD', 0.8]
-    ]);
+    // Rules set through updateBusinessRule() override the business-rules config
+    this.businessRules = new Map();
     this.fraudDetector = new BasicFraudDetector();
   }
 
@@ -156,15 +302,19 @@ class TransactionValidator {
       }
 
       // Business rule validation
-      if (transaction.amount < this.businessRules.get('MIN_TRANSACTION_AMOUNT')) {
-        errors.push(`Transaction amount below minimum: ${this.businessRules.get('MIN_TRANSACTION_AMOUNT')}`);
+      const rules = this.getBusinessRules();
+
+      if (transaction.amount < rules.get('MIN_TRANSACTION_AMOUNT')) {
+        errors.push(`Transaction amount below minimum: ${rules.get('MIN_TRANSACTION_AMOUNT')}`);
       }
 
-      if (transaction.amount > this.businessRules.get('MAX_TRANSACTION_AMOUNT')) {
-        errors.push(`Transaction amount exceeds maximum: ${this.businessRules.get('MAX_TRANSACTION_AMOUNT')}`);
+      // Disbursements are bounded by the sanctioned loan amount, not channel limits
+      if (transaction.transactionType !== TransactionType.LOAN_DISBURSEMENT
+        && transaction.amount > rules.get('MAX_TRANSACTION_AMOUNT')) {
+        errors.push(`Transaction amount exceeds maximum: ${rules.get('MAX_TRANSACTION_AMOUNT')}`);
       }
 
-      if (!this.businessRules.get('ALLOWED_CURRENCIES').includes(transaction.currency)) {
+      if (!rules.get('ALLOWED_CURRENCIES').includes(transaction.currency)) {
         errors.push(`Currency not supported: ${transaction.currency}`);
       }
 
@@ -172,7 +322,7 @@ class TransactionValidator {
       const fraudScore = await this.fraudDetector.calculateFraudScore(transaction);
       transaction.fraudScore = fraudScore;
 
-      if (fraudScore > this.businessRules.get('FRAUD_SCORE_THRESHOLD')) {
+      if (fraudScore > rules.get('FRAUD_SCORE_THRESHOLD')) {
         errors.push(`Transaction flagged for fraud: score ${fraudScore}`);
       }
 
@@ -196,17 +346,35 @@ class TransactionValidator {
     this.businessRules.set(ruleName, value);
   }
 
+  /**
+   * Resolve validation rules from the payment-processing and AML business rules
+   */
   getBusinessRules() {
-    return new Map(this.businessRules);
+    const paymentRules = config.getBusinessRule('payment-processing');
+    const amlRules = config.getBusinessRule('aml-compliance');
+
+    const rules = new Map([
+      ['MAX_DAILY_LIMIT', paymentRules.limits?.daily?.customer?.basic || 100000],
+      ['MIN_TRANSACTION_AMOUNT', paymentRules.validation?.amount?.minimum || 0.01],
+      ['MAX_TRANSACTION_AMOUNT', paymentRules.limits?.perTransaction?.channel?.netBanking || 1000000],
+      ['ALLOWED_CURRENCIES', ['USD', 'EUR', 'INR', 'GBP']],
+      ['BLOCKED_COUNTRIES', amlRules.transactionMonitoring?.suspiciousPatterns?.geographicRisk?.highRiskCountries || []],
+      ['FRAUD_SCORE_THRESHOLD', (paymentRules.fraud?.riskScoring?.thresholds?.high || 80) / 100]
+    ]);
+
+    this.businessRules.forEach((value, ruleName) => rules.set(ruleName, value));
+    return rules;
   }
 }
 
 /**
  * Transaction Processor - Handles real-time transaction processing
+ * Every transaction type is posted to the double-entry ledger as one balanced journal entry
  * Requirements: 4.2
  */
 class TransactionProcessor {
-  constructor() {
+  constructor(ledger = null) {
+    this.ledger = ledger || new LedgerService();
     this.processingQueue = [];
     this.isProcessing = false;
   }
@@ -238,7 +406,8 @@ class TransactionProcessor {
         success: false,
         transactionId: transaction.transactionId,
         processingTime: Date.now() - startTime,
-        error: error.message
+        error: error.message,
+        errorCode: error.code || null
       };
     }
   }
@@ -255,6 +424,8 @@ class TransactionProcessor {
         return await this.processPayment(transaction);
       case TransactionType.FEE:
         return await this.processFee(transaction);
+      case TransactionType.LOAN_DISBURSEMENT:
+        return await this.processLoanDisbursement(transaction);
       default:
         throw new Error(`Unsupported transaction type: ${transaction.transactionType}`);
     }
@@ -262,64 +433,160 @@ class TransactionProcessor {
 
   async processDeposit(transaction) {
     await this.simulateProcessingDelay();
+    const customerAccountId = await this.ensureCustomerAccount(transaction.accountId, transaction.currency);
+    const entry = this.ledger.transfer(
+      this.ledger.getSystemAccountId(SystemAccount.CASH, transaction.currency),
+      customerAccountId,
+      transaction.amount,
+      this.entryDetails(transaction, 'Deposit')
+    );
+
     return {
       type: 'DEPOSIT',
       accountId: transaction.accountId,
       amount: transaction.amount,
       currency: transaction.currency,
-      balanceUpdate: `+${transaction.amount}`,
-      timestamp: new Date()
+      journalEntryId: entry.entryId,
+      balance: this.ledger.getBalance(customerAccountId),
+      timestamp: entry.postedAt
     };
   }
 
   async processWithdrawal(transaction) {
     await this.simulateProcessingDelay();
-    if (transaction.amount > 50000) {
-      throw new Error('Withdrawal amount exceeds daily limit');
+    const withdrawalLimit = config.getBusinessRule('payment-processing').limits?.withdrawal?.perTransaction || 50000;
+    if (transaction.amount > withdrawalLimit) {
+      throw new Error(`Withdrawal amount exceeds limit of ${withdrawalLimit}`);
     }
+    const customerAccountId = await this.ensureCustomerAccount(transaction.accountId, transaction.currency);
+    const entry = this.ledger.transfer(
+      customerAccountId,
+      this.ledger.getSystemAccountId(SystemAccount.CASH, transaction.currency),
+      transaction.amount,
+      this.entryDetails(transaction, 'Withdrawal')
+    );
+
     return {
       type: 'WITHDRAWAL',
       accountId: transaction.accountId,
       amount: transaction.amount,
       currency: transaction.currency,
-      balanceUpdate: `-${transaction.amount}`,
-      timestamp: new Date()
+      journalEntryId: entry.entryId,
+      balance: this.ledger.getBalance(customerAccountId),
+      timestamp: entry.postedAt
     };
   }
 
   async processTransfer(transaction) {
     await this.simulateProcessingDelay();
+    const fromAccountId = await this.ensureCustomerAccount(transaction.accountId, transaction.currency);
+    const internalAccountId = transaction.counterparty?.accountId;
+    const toAccountId = internalAccountId
+      ? await this.ensureCustomerAccount(internalAccountId, transaction.currency)
+      : this.ledger.getSystemAccountId(SystemAccount.EXTERNAL_CLEARING, transaction.currency);
+
+    const entry = this.ledger.transfer(
+      fromAccountId,
+      toAccountId,
+      transaction.amount,
+      this.entryDetails(transaction, 'Transfer')
+    );
+
     return {
       type: 'TRANSFER',
       fromAccount: transaction.accountId,
-      toAccount: transaction.counterparty?.accountId || 'EXTERNAL',
+      toAccount: internalAccountId || 'EXTERNAL',
       amount: transaction.amount,
       currency: transaction.currency,
-      timestamp: new Date()
+      journalEntryId: entry.entryId,
+      balance: this.ledger.getBalance(fromAccountId),
+      timestamp: entry.postedAt
     };
   }
 
   async processPayment(transaction) {
     await this.simulateProcessingDelay();
+    const customerAccountId = await this.ensureCustomerAccount(transaction.accountId, transaction.currency);
+    const entry = this.ledger.transfer(
+      customerAccountId,
+      this.ledger.getSystemAccountId(SystemAccount.PAYMENTS_CLEARING, transaction.currency),
+      transaction.amount,
+      this.entryDetails(transaction, 'Payment')
+    );
+
     return {
       type: 'PAYMENT',
       accountId: transaction.accountId,
       payee: transaction.counterparty?.name || 'Unknown',
       amount: transaction.amount,
       currency: transaction.currency,
-      timestamp: new Date()
+      journalEntryId: entry.entryId,
+      balance: this.ledger.getBalance(customerAccountId),
+      timestamp: entry.postedAt
     };
   }
 
   async processFee(transaction) {
     await this.simulateProcessingDelay();
+    const customerAccountId = await this.ensureCustomerAccount(transaction.accountId, transaction.currency);
+    const entry = this.ledger.transfer(
+      customerAccountId,
+      this.ledger.getSystemAccountId(SystemAccount.FEE_INCOME, transaction.currency),
+      transaction.amount,
+      this.entryDetails(transaction, 'Fee')
+    );
+
     return {
       type: 'FEE',
       accountId: transaction.accountId,
       feeType: transaction.description || 'Service Fee',
       amount: transaction.amount,
       currency: transaction.currency,
-      timestamp: new Date()
+      journalEntryId: entry.entryId,
+      balance: this.ledger.getBalance(customerAccountId),
+      timestamp: entry.postedAt
+    };
+  }
+
+  async processLoanDisbursement(transaction) {
+    await this.simulateProcessingDelay();
+    const customerAccountId = await this.ensureCustomerAccount(transaction.accountId, transaction.currency);
+    const entry = this.ledger.transfer(
+      this.ledger.getSystemAccountId(SystemAccount.LOANS_RECEIVABLE, transaction.currency),
+      customerAccountId,
+      transaction.amount,
+      this.entryDetails(transaction, 'Loan disbursement')
+    );
+
+    return {
+      type: 'LOAN_DISBURSEMENT',
+      accountId: transaction.accountId,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      journalEntryId: entry.entryId,
+      balance: this.ledger.getBalance(customerAccountId),
+      timestamp: entry.postedAt
+    };
+  }
+
+  /**
+   * Open the customer deposit account in the ledger on first use, with the
+   * balance stored on the account when there is one
+   * Customer deposits are liabilities of the bank and may not go negative
+   */
+  async ensureCustomerAccount(accountId, currency) {
+    await this.ledger.loadCustomerAccount(accountId);
+    this.ledger.ensureAccount(accountId, LedgerAccountType.LIABILITY, currency, {
+      name: `Customer account ${accountId}`
+    });
+    return accountId;
+  }
+
+  entryDetails(transaction, label) {
+    return {
+      description: `${label}: ${transaction.description || transaction.transactionType}`,
+      reference: transaction.transactionId,
+      metadata: { transactionType: transaction.transactionType }
     };
   }
 
@@ -335,24 +602,41 @@ class TransactionProcessor {
  */
 class BasicFraudDetector {
   constructor() {
-    this.suspiciousPatterns = new Map([
-      ['LARGE_AMOUNT_THRESHOLD', 50000],
-      ['RAPID_TRANSACTION_THRESHOLD', 5],
+    // Patterns set through updatePattern() override the business-rules config
+    this.suspiciousPatterns = new Map();
+  }
+
+  /**
+   * Resolve fraud patterns from the business rules
+   * @returns {Map} Pattern values keyed by name
+   */
+  getPatterns() {
+    const paymentRules = config.getBusinessRule('payment-processing');
+    const amlRules = config.getBusinessRule('aml-compliance');
+
+    const patterns = new Map([
+      ['LARGE_AMOUNT_THRESHOLD', paymentRules.compliance?.amlScreening?.threshold || 50000],
+      ['RAPID_TRANSACTION_THRESHOLD', amlRules.transactionMonitoring?.suspiciousPatterns?.rapidSuccession?.count || 5],
       ['UNUSUAL_TIME_HOURS', [0, 1, 2, 3, 4, 5]],
-      ['HIGH_RISK_COUNTRIES', ['XX', 'YY']]
+      ['HIGH_RISK_COUNTRIES', amlRules.transactionMonitoring?.suspiciousPatterns?.geographicRisk?.highRiskCountries || []]
     ]);
+
+    this.suspiciousPatterns.forEach((value, patternName) => patterns.set(patternName, value));
+    return patterns;
   }
 
   async calculateFraudScore(transaction) {
     let score = 0.0;
 
     try {
-      if (transaction.amount > this.suspiciousPatterns.get('LARGE_AMOUNT_THRESHOLD')) {
+      const patterns = this.getPatterns();
+
+      if (transaction.amount > patterns.get('LARGE_AMOUNT_THRESHOLD')) {
         score += 0.3;
       }
 
       const hour = new Date().getHours();
-      if (this.suspiciousPatterns.get('UNUSUAL_TIME_HOURS').includes(hour)) {
+      if (patterns.get('UNUSUAL_TIME_HOURS').includes(hour)) {
         score += 0.2;
       }
 
@@ -361,7 +645,7 @@ class BasicFraudDetector {
       }
 
       if (transaction.counterparty && transaction.counterparty.country) {
-        if (this.suspiciousPatterns.get('HIGH_RISK_COUNTRIES').includes(transaction.counterparty.country)) {
+        if (patterns.get('HIGH_RISK_COUNTRIES').includes(transaction.counterparty.country)) {
           score += 0.4;
         }
       }
@@ -386,8 +670,9 @@ class BasicFraudDetector {
  * Requirements: 4.3
  */
 class ExceptionHandler {
-  constructor(auditService = null) {
+  constructor(auditService = null, exceptionRepository = null) {
     this.auditService = auditService;
+    this.exceptionRepository = exceptionRepository;
     this.manualReviewQueue = [];
     this.exceptionTypes = new Map([
       ['VALIDATION_FAILED', 'Transaction failed validation rules'],
@@ -413,6 +698,10 @@ class ExceptionHandler {
       resolution: null
     };
 
+    if (this.exceptionRepository) {
+      await this.exceptionRepository.save(exception);
+    }
+
     this.manualReviewQueue.push(exception);
     transaction.status = TransactionStatus.FAILED;
     transaction.processedAt = new Date();
@@ -431,6 +720,37 @@ class ExceptionHandler {
     };
   }
 
+  /**
+   * Reload unresolved exceptions from storage into the review queue,
+   * e.g. after a restart
+   * @returns {Promise<number>} Number of exceptions loaded
+   */
+  async loadOpenExceptions() {
+    if (!this.exceptionRepository) {
+      return 0;
+    }
+
+    const openExceptions = await this.exceptionRepository.findOpen({ limit: 1000 });
+    const queued = new Set(this.manualReviewQueue.map(ex => ex.exceptionId));
+    const loaded = openExceptions.filter(ex => !queued.has(ex.exceptionId));
+    this.manualReviewQueue.push(...loaded);
+
+    return loaded.length;
+  }
+
+  async findException(exceptionId) {
+    let exception = this.manualReviewQueue.find(ex => ex.exceptionId === exceptionId);
+
+    if (!exception && this.exceptionRepository) {
+      exception = await this.exceptionRepository.findById(exceptionId);
+      if (exception) {
+        this.manualReviewQueue.push(exception);
+      }
+    }
+
+    return exception || null;
+  }
+
   getPendingExceptions(limit = 50) {
     return this.manualReviewQueue
       .filter(ex => ex.status === 'PENDING_REVIEW')
@@ -439,7 +759,7 @@ class ExceptionHandler {
   }
 
   async assignToReviewer(exceptionId, reviewerId) {
-    const exception = this.manualReviewQueue.find(ex => ex.exceptionId === exceptionId);
+    const exception = await this.findException(exceptionId);
     
     if (!exception) {
       throw new Error(`Exception not found: ${exceptionId}`);
@@ -452,6 +772,10 @@ class ExceptionHandler {
     exception.assignedReviewer = reviewerId;
     exception.status = 'UNDER_REVIEW';
 
+    if (this.exceptionRepository) {
+      await this.exceptionRepository.save(exception);
+    }
+
     if (this.auditService) {
       await this.auditService.log('EXCEPTION', exceptionId, 'ASSIGNED_TO_REVIEWER', reviewerId, null, {
         exception
@@ -465,7 +789,7 @@ class ExceptionHandler {
   }
 
   async resolveException(exceptionId, reviewerId, resolution, comments = '') {
-    const exception = this.manualReviewQueue.find(ex => ex.exceptionId === exceptionId);
+    const exception = await this.findException(exceptionId);
     
     if (!exception) {
       throw new Error(`Exception not found: ${exceptionId}`);
@@ -484,6 +808,10 @@ class ExceptionHandler {
       resolvedAt: new Date()
     };
 
+    if (this.exceptionRepository) {
+      await this.exceptionRepository.save(exception);
+    }
+
     if (this.auditService) {
       await this.auditService.log('EXCEPTION', exceptionId, 'RESOLVED', reviewerId, null, {
         exception
@@ -0,0 +1,195 @@
+// Adverse Action
+// Standard reason codes for declined loan applications, derived from the
+// underwriting rules and scorecard behind the decision
+
+const { AdverseActionCode } = require('../shared/types');
+const config = require('../config');
+
+// AdverseActionCode -> standard reason statement
+const ADVERSE_ACTION_REASONS = {
+  [AdverseActionCode.CREDIT_HISTORY_UNAVAILABLE]: 'Unable to obtain or verify credit history',
+  [AdverseActionCode.CREDIT_SCORE]: 'Credit score below our requirements',
+  [AdverseActionCode.AMOUNT_EXCEEDS_MAXIMUM]: 'Amount of credit requested exceeds our maximum for this product',
+  [AdverseActionCode.EXCESSIVE_OBLIGATIONS]: 'Excessive obligations in relation to income',
+  [AdverseActionCode.INSUFFICIENT_INCOME]: 'Income insufficient for amount of credit requested',
+  [AdverseActionCode.INCOMPLETE_APPLICATION]: 'Incomplete application',
+  [AdverseActionCode.TERM_EXCEEDS_MAXIMUM]: 'Repayment term requested exceeds our maximum for this product',
+  [AdverseActionCode.INSUFFICIENT_COLLATERAL]: 'Value or type of collateral not sufficient',
+  [AdverseActionCode.CO_APPLICANT_CREDIT]: 'Co-applicant does not meet our credit requirements',
+  [AdverseActionCode.GUARANTOR_CREDIT]: 'Guarantor does not meet our credit requirements',
+  [AdverseActionCode.LIMITED_RELATIONSHIP]: 'Limited banking relationship with us',
+  [AdverseActionCode.UNVERIFIABLE_INFORMATION]: 'Unable to verify information provided',
+  [AdverseActionCode.CREDIT_EVALUATION]: 'Overall credit evaluation below our approval standard',
+  [AdverseActionCode.PROCESSING_ERROR]: 'Unable to complete the evaluation of the application'
+};
+
+// Underwriting rule name -> reason code, and whether the rule sets a minimum or a maximum
+const RULE_REASONS = {
+  'Minimum Credit Score': { code: AdverseActionCode.CREDIT_SCORE, minimum: true },
+  'Maximum Loan Amount': { code: AdverseActionCode.AMOUNT_EXCEEDS_MAXIMUM, minimum: false },
+  'Debt-to-Income Ratio': { code: AdverseActionCode.EXCESSIVE_OBLIGATIONS, minimum: false },
+  'Income Multiplier': { code: AdverseActionCode.INSUFFICIENT_INCOME, minimum: false },
+  'Required Documents': { code: AdverseActionCode.INCOMPLETE_APPLICATION, minimum: true },
+  'Maximum Tenure': { code: AdverseActionCode.TERM_EXCEEDS_MAXIMUM, minimum: false },
+  'Loan-to-Value': { code: AdverseActionCode.INSUFFICIENT_COLLATERAL, minimum: false },
+  'Co-applicant Credit': { code: AdverseActionCode.CO_APPLICANT_CREDIT, minimum: true },
+  'Guarantor Credit': { code: AdverseActionCode.GUARANTOR_CREDIT, minimum: true }
+};
+
+// Scorecard factor or decision matrix metric -> reason code
+const FACTOR_REASONS = {
+  creditScore: AdverseActionCode.CREDIT_SCORE,
+  income: AdverseActionCode.INSUFFICIENT_INCOME,
+  dti: AdverseActionCode.EXCESSIVE_OBLIGATIONS,
+  collateral: AdverseActionCode.INSUFFICIENT_COLLATERAL,
+  relationship: AdverseActionCode.LIMITED_RELATIONSHIP,
+  fraudAlert: AdverseActionCode.UNVERIFIABLE_INFORMATION
+};
+
+/**
+ * Adverse-Action Policy - Turns the rules and scorecard factors behind a
+ * decline into standard reason codes, most severe first
+ */
+class AdverseActionPolicy {
+  /**
+   * Adverse-action rules
+   * @returns {Object} { maximumReasons, weakFactorScore, creditReportRequestDays }
+   */
+  getRules() {
+    const rules = config.getBusinessRule('loan-processing').underwriting?.adverseAction || {};
+    return {
+      maximumReasons: rules.maximumReasons || 4,
+      weakFactorScore: rules.weakFactorScore ?? 60,
+      creditReportRequestDays: rules.creditReportRequestDays || 60
+    };
+  }
+
+  /**
+   * Build a reason
+   * @param {string} code - AdverseActionCode
+   * @param {Object} basis - { ruleName, value, threshold, shortfall, severity }
+   * @returns {Object} { code, description, ruleName, value, threshold, shortfall, severity }
+   */
+  createReason(code, { ruleName = null, value = null, threshold = null, shortfall = null, severity = 1 } = {}) {
+    return {
+      code,
+      description: ADVERSE_ACTION_REASONS[code],
+      ruleName,
+      value,
+      threshold,
+      shortfall,
+      severity: Math.round(severity * 10000) / 10000
+    };
+  }
+
+  /**
+   * Reason for a missed minimum or exceeded maximum. Severity is the miss
+   * relative to the threshold, so different rules can be ranked.
+   */
+  createThresholdReason(code, ruleName, value, threshold, minimum) {
+    if (typeof value !== 'number' || typeof threshold !== 'number' || threshold === 0) {
+      return this.createReason(code, { ruleName, value, threshold });
+    }
+
+    const shortfall = minimum ? threshold - value : value - threshold;
+    return this.createReason(code, {
+      ruleName,
+      value,
+      threshold,
+      shortfall: Math.round(shortfall * 10000) / 10000,
+      severity: Math.min(1, Math.max(0, shortfall / threshold))
+    });
+  }
+
+  /**
+   * Reasons for the underwriting rules an application failed
+   * @param {Array} ruleResults - Rule results from UnderwritingEngine.applyUnderwritingRules()
+   * @returns {Array} Reasons, most severe first
+   */
+  explainRuleResults(ruleResults = []) {
+    return this.rank(ruleResults
+      .filter(result => !result.passed)
+      .map(result => {
+        const rule = RULE_REASONS[result.ruleName];
+        if (!rule) {
+          return this.createReason(AdverseActionCode.CREDIT_EVALUATION, { ruleName: result.ruleName });
+        }
+        // Unscored parties and missing collateral are outright failures
+        if (result.value === null || result.value === undefined) {
+          return this.createReason(rule.code, { ruleName: result.ruleName, threshold: result.threshold });
+        }
+        return this.createThresholdReason(rule.code, result.ruleName, result.value, result.threshold, rule.minimum);
+      }));
+  }
+
+  /**
+   * Reasons for a scorecard rejection: the decision matrix reject conditions
+   * that matched, or else the weighted factors scoring below weakFactorScore
+   * @param {Object} scorecard - { factors, metrics } from UnderwritingScorecard.evaluate()
+   * @param {Array} rejectConditions - Parsed reject conditions that matched
+   * @returns {Array} Reasons, most severe first
+   */
+  explainScorecard(scorecard, rejectConditions = []) {
+    if (rejectConditions.length > 0) {
+      return this.rank(rejectConditions.map(condition => {
+        const code = FACTOR_REASONS[condition.metric] || AdverseActionCode.CREDIT_EVALUATION;
+        if (condition.operator === null) {
+          return this.createReason(code, { ruleName: condition.expression });
+        }
+        // 'creditScore < 600' sets a minimum; 'dti > 0.60' a maximum
+        const minimum = condition.operator.startsWith('<');
+        return this.createThresholdReason(code, condition.expression, scorecard.metrics?.[condition.metric], condition.value, minimum);
+      }));
+    }
+
+    const { weakFactorScore } = this.getRules();
+    const factors = Object.entries(scorecard?.factors || {}).filter(([, factor]) => factor.weight > 0);
+    const totalWeight = factors.reduce((sum, [, factor]) => sum + factor.weight, 0);
+    const reasons = factors
+      .filter(([name, factor]) => FACTOR_REASONS[name] && factor.score < weakFactorScore)
+      .map(([name, factor]) => this.createReason(FACTOR_REASONS[name], {
+        ruleName: `Scorecard: ${name}`,
+        value: factor.score,
+        threshold: weakFactorScore,
+        shortfall: weakFactorScore - factor.score,
+        // Points the factor cost the weighted score
+        severity: factor.weight * (100 - factor.score) / 100 / totalWeight
+      }));
+
+    return reasons.length > 0 ? this.rank(reasons) : [this.createReason(AdverseActionCode.CREDIT_EVALUATION)];
+  }
+
+  /**
+   * Order reasons most severe first, keep the most severe reason for each
+   * code and cap the list at maximumReasons
+   * @param {Array} reasons - Reasons
+   * @returns {Array} Ranked reasons
+   */
+  rank(reasons) {
+    const byCode = new Map();
+    [...reasons].sort((a, b) => b.severity - a.severity).forEach(reason => {
+      if (!byCode.has(reason.code)) {
+        byCode.set(reason.code, reason);
+      }
+    });
+    return [...byCode.values()].slice(0, this.getRules().maximumReasons);
+  }
+
+  /**
+   * Reasons an officer gives for declining at review
+   * @param {Array} codes - AdverseActionCode values
+   * @returns {Array} Reasons in the order given
+   */
+  fromCodes(codes = []) {
+    const invalid = codes.filter(code => !ADVERSE_ACTION_REASONS[code]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid adverse-action reason code: ${invalid.join(', ')}`);
+    }
+    return [...new Set(codes)].slice(0, this.getRules().maximumReasons).map(code => this.createReason(code));
+  }
+}
+
+module.exports = {
+  AdverseActionPolicy,
+  ADVERSE_ACTION_REASONS
+};
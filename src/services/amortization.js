@@ -0,0 +1,124 @@
+// Amortization
+// EMI and reducing-balance repayment schedule calculations
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a currency amount to two decimals
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Add calendar months to a date, keeping the day of month where it exists
+ * and falling back to the last day of shorter months (31 Jan + 1 = 29 Feb)
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+function addMonths(date, months) {
+  const start = new Date(date);
+  const result = new Date(start);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return result;
+}
+
+/**
+ * Equated monthly installment for a reducing-balance loan
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Interest rate in percent per annum
+ * @param {number} tenureMonths - Number of monthly installments
+ * @returns {number} EMI rounded to two decimals
+ */
+function calculateEMI(principal, annualRate, tenureMonths) {
+  if (!(principal > 0) || !Number.isInteger(tenureMonths) || tenureMonths <= 0) {
+    throw new Error('Principal and a whole number of months are required to calculate an EMI');
+  }
+
+  const monthlyRate = annualRate / 100 / 12;
+  if (monthlyRate === 0) {
+    return roundCurrency(principal / tenureMonths);
+  }
+
+  const growth = Math.pow(1 + monthlyRate, tenureMonths);
+  return roundCurrency(principal * monthlyRate * growth / (growth - 1));
+}
+
+/**
+ * Number of monthly installments of at most the given EMI that repay a
+ * reducing-balance loan
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Interest rate in percent per annum
+ * @param {number} emi - Monthly installment
+ * @returns {number} Whole number of months
+ */
+function calculateTenure(principal, annualRate, emi) {
+  const monthlyRate = annualRate / 100 / 12;
+  if (monthlyRate === 0) {
+    return Math.ceil(principal / emi);
+  }
+
+  const ratio = principal * monthlyRate / emi;
+  if (ratio >= 1) {
+    throw new Error('EMI does not cover the monthly interest');
+  }
+
+  // Tolerance keeps an exact fit from rounding up to an extra month
+  return Math.ceil(-Math.log(1 - ratio) / Math.log(1 + monthlyRate) - 1e-9);
+}
+
+/**
+ * Build a reducing-balance amortization schedule. Interest for each month is
+ * charged on the opening principal; the last installment absorbs rounding so
+ * the principal is repaid exactly.
+ * @param {Object} params - { principal, annualRate, tenureMonths, firstDueDate }
+ * @returns {Object} { emi, installments, totalInterest, totalPayment }
+ */
+function generateAmortizationSchedule({ principal, annualRate, tenureMonths, firstDueDate }) {
+  const emi = calculateEMI(principal, annualRate, tenureMonths);
+  const monthlyRate = annualRate / 100 / 12;
+  const installments = [];
+  let balance = principal;
+
+  for (let number = 1; number <= tenureMonths; number++) {
+    const interest = roundCurrency(balance * monthlyRate);
+    const principalComponent = number === tenureMonths
+      ? balance
+      : Math.min(balance, roundCurrency(emi - interest));
+    const closingPrincipal = roundCurrency(balance - principalComponent);
+
+    installments.push({
+      installmentNumber: number,
+      dueDate: addMonths(firstDueDate, number - 1),
+      openingPrincipal: balance,
+      principal: principalComponent,
+      interest,
+      amount: roundCurrency(principalComponent + interest),
+      closingPrincipal
+    });
+    balance = closingPrincipal;
+  }
+
+  const totalInterest = roundCurrency(installments.reduce((sum, item) => sum + item.interest, 0));
+  return {
+    emi,
+    installments,
+    totalInterest,
+    totalPayment: roundCurrency(principal + totalInterest)
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  roundCurrency,
+  addMonths,
+  calculateEMI,
+  calculateTenure,
+  generateAmortizationSchedule
+};
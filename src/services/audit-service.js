@@ -1,16 +1,94 @@
 // Audit Service
 // Comprehensive audit logging and trail management
 
+const crypto = require('crypto');
 const { AuditLog } = require('../shared/interfaces');
 
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Reduce a value to plain JSON data, the form it takes in a JSONB column.
+ * Maps become objects and Buffers are dropped.
+ * @param {*} value - Value to normalize
+ * @returns {*} JSON-safe copy
+ */
+function toPlainData(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return JSON.parse(JSON.stringify(value, function (key, current) {
+    const original = this[key];
+    if (Buffer.isBuffer(original)) {
+      return undefined;
+    }
+    if (original instanceof Map) {
+      return Object.fromEntries(original);
+    }
+    return current;
+  }));
+}
+
+/**
+ * Serialize JSON data with object keys sorted, so the same content always
+ * produces the same string regardless of key order
+ * @param {*} value - Plain JSON data
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the chain hash of an audit entry. Covers every recorded field plus
+ * the previous entry's hash, so altering, removing or reordering any entry
+ * breaks every hash after it.
+ * @param {Object} entry - Audit entry with sequenceNumber and previousHash set
+ * @returns {string} SHA-256 hex digest
+ */
+function computeAuditHash(entry) {
+  const content = canonicalJson({
+    sequenceNumber: Number(entry.sequenceNumber),
+    logId: entry.logId,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    action: entry.action,
+    performedBy: entry.performedBy,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    beforeState: toPlainData(entry.beforeState),
+    afterState: toPlainData(entry.afterState),
+    metadata: toPlainData(entry.metadata) || {},
+    previousHash: entry.previousHash
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
 /**
  * AuditService - Comprehensive audit logging system
- * Provides detailed action logging and audit trail generation
+ * Provides detailed action logging and audit trail generation. Entries form a
+ * hash chain; with a repository they are persisted to the append-only
+ * audit_logs table, otherwise the chain is kept in memory.
  */
 class AuditService {
-  constructor() {
-    this.auditLogs = new Map(); // In production, this would be a database
+  /**
+   * @param {AuditLogRepository} auditLogRepository - Optional persistent store
+   */
+  constructor(auditLogRepository = null) {
+    this.auditLogs = new Map(); // Entries written by this process, in chain order
+    this.auditLogRepository = auditLogRepository;
     this.logRetentionDays = 2555; // 7 years for regulatory compliance
+    this.chainHead = null; // { sequenceNumber, hash } of the latest in-memory entry
+    this.pendingAppend = Promise.resolve(); // Serializes appends within this process
   }
 
   /**
@@ -36,9 +114,17 @@ class AuditService {
         metadata
       );
 
+      // Snapshot states so later changes to the caller's objects cannot
+      // alter what was recorded
+      auditLog.beforeState = toPlainData(auditLog.beforeState);
+      auditLog.afterState = toPlainData(auditLog.afterState);
+      auditLog.metadata = toPlainData(auditLog.metadata) || {};
+
+      const append = this.pendingAppend.then(() => this.appendToChain(auditLog));
+      this.pendingAppend = append.catch(() => {});
+      await append;
+
       this.auditLogs.set(auditLog.logId, auditLog);
-      
-      // In production, this would also write to persistent storage
       return auditLog;
     } catch (error) {
       console.error('Failed to create audit log:', error);
@@ -46,6 +132,114 @@ class AuditService {
     }
   }
 
+  /**
+   * Link an entry to the end of the chain and persist it
+   * @param {AuditLog} auditLog - Entry to append
+   * @returns {Promise<AuditLog>} The sealed entry
+   */
+  async appendToChain(auditLog) {
+    if (this.auditLogRepository) {
+      // The repository reads the head under a lock so concurrent writers
+      // across processes cannot fork the chain
+      await this.auditLogRepository.append(auditLog, (previous) => this.sealEntry(auditLog, previous));
+    } else {
+      this.sealEntry(auditLog, this.chainHead);
+    }
+
+    this.chainHead = { sequenceNumber: auditLog.sequenceNumber, hash: auditLog.hash };
+    return auditLog;
+  }
+
+  /**
+   * Set the chain fields of an entry
+   * @param {AuditLog} auditLog - Entry to seal
+   * @param {Object|null} previous - { sequenceNumber, hash } of the current head
+   * @returns {AuditLog} The sealed entry
+   */
+  sealEntry(auditLog, previous) {
+    auditLog.sequenceNumber = previous ? previous.sequenceNumber + 1 : 1;
+    auditLog.previousHash = previous ? previous.hash : GENESIS_HASH;
+    auditLog.hash = computeAuditHash(auditLog);
+    return auditLog;
+  }
+
+  /**
+   * Walk the hash chain and report the first broken link. Verification
+   * starts at the oldest retained entry; if earlier entries were archived
+   * its previousHash is taken as the anchor.
+   * @param {Object} options - { batchSize } for reading persisted entries
+   * @returns {Promise<Object>} { valid, entriesChecked, firstBrokenLink }
+   */
+  async verifyChain(options = {}) {
+    const batchSize = options.batchSize || 500;
+    let previous = null;
+    let entriesChecked = 0;
+
+    const check = (entry) => {
+      const sequenceNumber = Number(entry.sequenceNumber);
+      let reason = null;
+
+      if (previous === null) {
+        if (sequenceNumber === 1 && entry.previousHash !== GENESIS_HASH) {
+          reason = 'PREVIOUS_HASH_MISMATCH';
+        }
+      } else if (sequenceNumber !== previous.sequenceNumber + 1) {
+        reason = 'SEQUENCE_GAP';
+      } else if (entry.previousHash !== previous.hash) {
+        reason = 'PREVIOUS_HASH_MISMATCH';
+      }
+
+      if (!reason && computeAuditHash(entry) !== entry.hash) {
+        reason = 'HASH_MISMATCH';
+      }
+
+      entriesChecked++;
+      const broken = reason ? {
+        sequenceNumber,
+        logId: entry.logId,
+        reason,
+        previousSequenceNumber: previous ? previous.sequenceNumber : null
+      } : null;
+
+      previous = { sequenceNumber, hash: entry.hash };
+      return broken;
+    };
+
+    const result = (firstBrokenLink) => ({
+      valid: firstBrokenLink === null,
+      entriesChecked,
+      firstBrokenLink,
+      verifiedAt: new Date()
+    });
+
+    if (!this.auditLogRepository) {
+      const entries = Array.from(this.auditLogs.values())
+        .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+      for (const entry of entries) {
+        const broken = check(entry);
+        if (broken) {
+          return result(broken);
+        }
+      }
+      return result(null);
+    }
+
+    let afterSequence = 0;
+    for (;;) {
+      const batch = await this.auditLogRepository.findChain(afterSequence, batchSize);
+      for (const entry of batch) {
+        const broken = check(entry);
+        if (broken) {
+          return result(broken);
+        }
+      }
+      if (batch.length < batchSize) {
+        return result(null);
+      }
+      afterSequence = Number(batch[batch.length - 1].sequenceNumber);
+    }
+  }
+
   /**
    * Retrieve audit logs by entity
    * @param {string} entityType - Type of entity
@@ -53,6 +247,10 @@ class AuditService {
    * @returns {AuditLog[]} Array of audit logs
    */
   async getAuditTrail(entityType, entityId) {
+    if (this.auditLogRepository) {
+      return this.auditLogRepository.findByEntity(entityType, entityId);
+    }
+
     const logs = Array.from(this.auditLogs.values())
       .filter(log => log.entityType === entityType && log.entityId === entityId)
       .sort((a, b) => a.timestamp - b.timestamp);
@@ -66,6 +264,10 @@ class AuditService {
    * @returns {AuditLog[]} Filtered audit logs
    */
   async queryAuditLogs(filters = {}) {
+    if (this.auditLogRepository) {
+      return this.auditLogRepository.findAll(filters);
+    }
+
     let logs = Array.from(this.auditLogs.values());
 
     if (filters.entityType) {
@@ -112,7 +314,8 @@ class AuditService {
   }
 
   /**
-   * Clean up old audit logs (for maintenance)
+   * Clean up old audit logs (for maintenance). Only the in-memory copies are
+   * removed; persisted entries are append-only and archived by the database.
    * @returns {number} Number of logs cleaned up
    */
   async cleanupOldLogs() {
@@ -130,4 +333,6 @@ class AuditService {
   }
 }
 
-module.exports = AuditService;
\ No newline at end of file
+module.exports = AuditService;
+module.exports.GENESIS_HASH = GENESIS_HASH;
+module.exports.computeAuditHash = computeAuditHash;
\ No newline at end of file
@@ -0,0 +1,451 @@
+// Bulk Payment Files
+// Reads CSV, Excel (.xlsx) and NACH credit files into payment rows and writes the results file
+
+const zlib = require('zlib');
+const config = require('../config');
+
+/**
+ * Bulk payment file formats
+ */
+const BulkFileFormat = {
+  CSV: 'CSV',
+  EXCEL: 'EXCEL', // Office Open XML workbook (.xlsx), first sheet
+  NACH: 'NACH'    // Fixed-width NACH credit file
+};
+
+const EXTENSIONS = {
+  csv: BulkFileFormat.CSV,
+  xlsx: BulkFileFormat.EXCEL,
+  txt: BulkFileFormat.NACH,
+  nach: BulkFileFormat.NACH,
+  ach: BulkFileFormat.NACH
+};
+
+const REQUIRED_COLUMNS = ['beneficiaryName', 'accountNumber', 'ifscCode', 'amount'];
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Value to quote
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Decode the XML entities used in workbook parts
+ * @param {string} text - Escaped text
+ * @returns {string} Text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Value of an attribute in an XML start tag
+ * @param {string} tag - Start tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Lowercase letters and digits only, for matching header names
+ * @param {string} name - Header name
+ * @returns {string} Normalized name
+ */
+function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may hold commas,
+ * doubled quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records as { rowNumber, values }
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV file has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.map((values, index) => ({ rowNumber: index + 1, values }));
+}
+
+/**
+ * Index the entries of a zip archive from its central directory
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Object>} Entry name -> { method, compressedSize, localOffset }
+ */
+function readZipDirectory(buffer) {
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Excel file is not a valid .xlsx workbook');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Excel file is not a valid .xlsx workbook');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+/**
+ * Read a zip entry as UTF-8 text
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} entry - Entry from readZipDirectory
+ * @returns {string} Entry content
+ */
+function readZipEntry(buffer, entry) {
+  const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data.toString('utf8');
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data).toString('utf8');
+  }
+  throw new Error(`Excel file uses unsupported zip compression method ${entry.method}`);
+}
+
+/**
+ * Zero-based column index of a cell reference such as "AB12"
+ * @param {string} reference - Cell reference
+ * @returns {number} Column index
+ */
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Text of the <t> runs in a shared or inline string, without phonetic runs
+ * @param {string} xml - <si> or <is> content
+ * @returns {string} Text
+ */
+function stringItemText(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map(match => decodeXml(match[1]))
+    .join('');
+}
+
+/**
+ * Bulk Payment File Parser - Turns an uploaded file into payment rows keyed
+ * by column (beneficiaryName, accountNumber, ifscCode, amount, reference,
+ * paymentMode). Row numbers are the spreadsheet row or file line, so
+ * per-row errors point at what the client sees. Rows are not validated here.
+ */
+class BulkPaymentFileParser {
+  /**
+   * Column names and NACH layout
+   * @returns {Object} { columns, nach }
+   */
+  getRules() {
+    const rules = config.getBusinessRule('payment-processing').bulkPayments || {};
+    return {
+      columns: rules.columns || {},
+      nach: rules.nach || {}
+    };
+  }
+
+  /**
+   * Format of an uploaded file, from the requested format or the file extension
+   * @param {string} fileName - Uploaded file name
+   * @param {string} format - Requested format (optional)
+   * @returns {string} BulkFileFormat
+   */
+  detectFormat(fileName, format) {
+    if (format) {
+      const requested = String(format).toUpperCase();
+      if (!Object.values(BulkFileFormat).includes(requested)) {
+        throw new Error(`Unsupported bulk payment file format: ${format}`);
+      }
+      return requested;
+    }
+
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    if (!EXTENSIONS[extension]) {
+      throw new Error(`Cannot tell the format of bulk payment file "${fileName}"; send CSV, EXCEL (.xlsx) or NACH`);
+    }
+    return EXTENSIONS[extension];
+  }
+
+  /**
+   * Parse an uploaded file into payment rows
+   * @param {Object} file - { fileName, content (Buffer or string), format }
+   * @returns {Object} { format, rows, header } - header is the NACH header record
+   */
+  parse({ fileName, content, format }) {
+    const fileFormat = this.detectFormat(fileName, format);
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content || '', 'utf8');
+
+    switch (fileFormat) {
+      case BulkFileFormat.CSV:
+        return { format: fileFormat, rows: this.mapColumns(parseCSV(this.toText(buffer))), header: null };
+      case BulkFileFormat.EXCEL:
+        return { format: fileFormat, rows: this.mapColumns(this.readWorkbook(buffer)), header: null };
+      default:
+        return { format: fileFormat, ...this.parseNACH(this.toText(buffer)) };
+    }
+  }
+
+  /**
+   * UTF-8 text without a byte order mark
+   * @param {Buffer} buffer - File content
+   * @returns {string} Text
+   */
+  toText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Read the first sheet of an .xlsx workbook into records
+   * @param {Buffer} buffer - Workbook
+   * @returns {Array<Object>} Records as { rowNumber, values }
+   */
+  readWorkbook(buffer) {
+    let parts;
+    try {
+      parts = readZipDirectory(buffer);
+    } catch (error) {
+      throw error instanceof RangeError ? new Error('Excel file is not a valid .xlsx workbook') : error;
+    }
+    const read = (name) => parts.has(name) ? readZipEntry(buffer, parts.get(name)) : null;
+
+    const sharedStrings = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map(match => stringItemText(match[1]));
+
+    const sheet = read(this.firstSheetPath(read('xl/workbook.xml'), read('xl/_rels/workbook.xml.rels')));
+    if (!sheet) {
+      throw new Error('Excel workbook has no worksheet');
+    }
+
+    const records = [];
+    for (const [, rowTag, rowXml = ''] of sheet.matchAll(/(<row\b[^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const values = [];
+      for (const [, cellTag, cellXml = ''] of rowXml.matchAll(/(<c\b[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const reference = attribute(cellTag, 'r');
+        const index = reference ? columnIndex(reference) : values.length;
+        const type = attribute(cellTag, 't');
+        const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+        if (type === 'inlineStr') {
+          values[index] = stringItemText(cellXml);
+        } else if (raw === undefined) {
+          values[index] = '';
+        } else if (type === 's') {
+          values[index] = sharedStrings[Number(raw)] ?? '';
+        } else if (type === 'b') {
+          values[index] = raw === '1' ? 'TRUE' : 'FALSE';
+        } else if (type === 'str' || type === 'e') {
+          values[index] = decodeXml(raw);
+        } else {
+          // Numbers come back in shortest form: account numbers typed as numbers lose their exponent
+          values[index] = String(Number(raw));
+        }
+      }
+
+      records.push({
+        rowNumber: Number(attribute(rowTag, 'r')) || records.length + 1,
+        values: Array.from(values, value => value ?? '')
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Path of the first worksheet, from the workbook and its relationships
+   * @param {string|null} workbook - xl/workbook.xml
+   * @param {string|null} relationships - xl/_rels/workbook.xml.rels
+   * @returns {string} Zip entry name
+   */
+  firstSheetPath(workbook, relationships) {
+    const sheetTag = workbook?.match(/<sheet\b[^>]*>/)?.[0];
+    const relationshipId = sheetTag && attribute(sheetTag, 'r:id');
+    const target = relationshipId && [...(relationships || '').matchAll(/<Relationship\b[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => attribute(tag, 'Id') === relationshipId);
+
+    if (!target) {
+      return 'xl/worksheets/sheet1.xml';
+    }
+    const path = attribute(target, 'Target');
+    return path.startsWith('/') ? path.slice(1) : `xl/${path}`;
+  }
+
+  /**
+   * Turn records into rows keyed by column, using the first non-blank
+   * record as the header
+   * @param {Array<Object>} records - { rowNumber, values }
+   * @returns {Array<Object>} Rows with rowNumber and one string per column
+   */
+  mapColumns(records) {
+    const filled = records.filter(record => record.values.some(value => String(value).trim() !== ''));
+    if (filled.length === 0) {
+      throw new Error('Bulk payment file is empty');
+    }
+
+    const [header, ...data] = filled;
+    const names = new Map();
+    for (const [column, aliases] of Object.entries(this.getRules().columns)) {
+      [column, ...aliases].forEach(alias => names.set(normalizeHeader(alias), column));
+    }
+
+    const columns = header.values.map(name => names.get(normalizeHeader(name)) || null);
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Bulk payment file is missing required columns: ${missing.join(', ')}`);
+    }
+
+    return data.map(record => {
+      const row = { rowNumber: record.rowNumber };
+      columns.forEach((column, index) => {
+        if (column && row[column] === undefined) {
+          row[column] = String(record.values[index] ?? '').trim();
+        }
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Parse a fixed-width NACH credit file. The header's record count and
+   * total must match the detail records.
+   * @param {string} text - File content
+   * @returns {Object} { header, rows }
+   */
+  parseNACH(text) {
+    const { header: headerLayout, detail: detailLayout } = this.getRules().nach;
+    const field = (line, [start, length]) => line.substr(start - 1, length).trim();
+    const lines = text.split(/\r?\n/)
+      .map((line, index) => ({ lineNumber: index + 1, line }))
+      .filter(({ line }) => line.trim() !== '');
+
+    if (lines.length === 0 || !lines[0].line.startsWith(headerLayout.recordType)) {
+      throw new Error(`NACH file must start with a header record (type ${headerLayout.recordType})`);
+    }
+
+    const header = {};
+    for (const [name, position] of Object.entries(headerLayout.fields)) {
+      header[name] = field(lines[0].line, position);
+    }
+
+    const rows = lines.slice(1).map(({ lineNumber, line }) => {
+      if (!line.startsWith(detailLayout.recordType)) {
+        throw new Error(`Unknown NACH record type "${line.slice(0, 2)}" on line ${lineNumber}`);
+      }
+
+      const row = { rowNumber: lineNumber };
+      for (const [name, position] of Object.entries(detailLayout.fields)) {
+        row[name] = field(line, position);
+      }
+      row.paise = /^\d+$/.test(row.amount) ? Number(row.amount) : null;
+      row.amount = row.paise === null ? row.amount : (row.paise / 100).toFixed(2);
+      return row;
+    });
+
+    if (Number(header.totalItems) !== rows.length) {
+      throw new Error(`NACH header declares ${Number(header.totalItems)} records but the file has ${rows.length}`);
+    }
+
+    // A record with an unreadable amount is reported against its row instead
+    if (rows.every(row => row.paise !== null)) {
+      const total = rows.reduce((sum, row) => sum + row.paise, 0);
+      if (Number(header.totalAmount) !== total) {
+        throw new Error(`NACH header total ${(Number(header.totalAmount) / 100).toFixed(2)} does not match the records' ${(total / 100).toFixed(2)}`);
+      }
+    }
+
+    return {
+      header,
+      rows: rows.map(({ paise, ...row }) => row)
+    };
+  }
+
+  /**
+   * Render rows as CSV
+   * @param {Array<string>} columns - Columns, in order
+   * @param {Array<Object>} rows - Rows keyed by column
+   * @returns {string} CSV document with header row
+   */
+  toCSV(columns, rows) {
+    const lines = rows.map(row => columns.map(column => csvField(row[column])).join(','));
+    return [columns.join(','), ...lines].join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  BulkPaymentFileParser,
+  BulkFileFormat
+};
@@ -0,0 +1,334 @@
+// Cash Transaction Reporting
+// Aggregates reportable cash transactions and renders the FIU-IND CTR filing
+
+const configManager = require('../config');
+const { CurrencyConverter } = require('../modules/payment-processing');
+
+/**
+ * CTR export formats
+ */
+const CTRFormat = {
+  XML: 'XML', // FIU-IND CTR batch
+  CSV: 'CSV'  // One row per transaction, for review and bulk upload
+};
+
+const CSV_COLUMNS = [
+  'reportSerialNumber',
+  'customerId',
+  'customerName',
+  'reportDate',
+  'transactionId',
+  'transactionDate',
+  'accountId',
+  'transactionType',
+  'debitCredit',
+  'amount',
+  'currency'
+];
+
+/**
+ * Escape text for an XML element
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Value to quote
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in a time zone
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Calendar date
+ */
+function calendarDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(date));
+}
+
+/**
+ * CTRGenerator - Keeps the cash transactions seen by AML screening and
+ * builds Cash Transaction Reports from them. A customer is reportable for a
+ * day when their cash deposits and withdrawals that day, converted to the
+ * reporting currency, add up to more than the reporting.ctr threshold.
+ */
+class CTRGenerator {
+  constructor(config = {}) {
+    this.cashTransactionRepository = config.cashTransactionRepository || null;
+    this.currencyConverter = config.currencyConverter || new CurrencyConverter();
+    this.cashTransactions = new Map(); // transactionId -> recorded cash transaction
+  }
+
+  /**
+   * Current CTR rules
+   * @returns {Object} Threshold, exemptions, filing identity and cash transaction types
+   */
+  getRules() {
+    const rules = configManager.getBusinessRule('aml-compliance');
+    const ctr = rules.reporting?.ctr || {};
+    return {
+      threshold: ctr.threshold || 1000000,
+      reportingCurrency: ctr.reportingCurrency || 'INR',
+      timeLimit: ctr.timeLimit || 86400,
+      timeZone: ctr.timeZone || 'Asia/Kolkata',
+      exemptions: ctr.exemptions || [],
+      reportingEntity: ctr.reportingEntity || {},
+      principalOfficer: ctr.principalOfficer || {},
+      cashTransactionTypes: rules.transactionMonitoring?.channels?.cash?.transactionTypes || ['DEPOSIT', 'WITHDRAWAL']
+    };
+  }
+
+  /**
+   * Check whether a transaction was made in cash
+   * @param {Transaction} transaction - Transaction
+   * @param {Object} rules - Rules from getRules()
+   * @returns {boolean} Whether the transaction is a cash transaction
+   */
+  isCashTransaction(transaction, rules = this.getRules()) {
+    if (transaction.channel) {
+      return transaction.channel.toLowerCase() === 'cash';
+    }
+    return rules.cashTransactionTypes.includes(transaction.transactionType);
+  }
+
+  /**
+   * Record a transaction for CTR aggregation. Non-cash transactions and
+   * customers in an exempt category are ignored.
+   * @param {Transaction} transaction - Screened transaction
+   * @param {Object} customer - Customer object
+   * @returns {Promise<boolean>} Whether the transaction was recorded
+   */
+  async recordTransaction(transaction, customer) {
+    const rules = this.getRules();
+    if (!this.isCashTransaction(transaction, rules) || rules.exemptions.includes(customer.entityCategory)) {
+      return false;
+    }
+
+    const personalInfo = customer.personalInfo || {};
+    const conversion = this.currencyConverter.convertCurrency(transaction.amount, transaction.currency, rules.reportingCurrency);
+    const cashTransaction = {
+      transactionId: transaction.transactionId,
+      accountId: transaction.accountId,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      reportingAmount: conversion.convertedAmount,
+      reportingCurrency: rules.reportingCurrency,
+      exchangeRate: conversion.exchangeRate,
+      transactionType: transaction.transactionType,
+      debitCredit: transaction.transactionType === 'WITHDRAWAL' ? 'D' : 'C',
+      timestamp: new Date(transaction.timestamp || transaction.processedAt || Date.now()),
+      customerId: customer.customerId,
+      customer: {
+        name: [personalInfo.firstName, personalInfo.lastName].filter(Boolean).join(' '),
+        dateOfBirth: personalInfo.dateOfBirth || null,
+        nationality: personalInfo.nationality || null,
+        address: personalInfo.address || null
+      }
+    };
+
+    if (this.cashTransactionRepository) {
+      await this.cashTransactionRepository.save(cashTransaction);
+    }
+    this.cashTransactions.set(transaction.transactionId, cashTransaction);
+    return true;
+  }
+
+  /**
+   * Find recorded cash transactions in a period
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Array>} Cash transactions
+   */
+  async findCashTransactions(startDate, endDate) {
+    if (this.cashTransactionRepository) {
+      return await this.cashTransactionRepository.findByPeriod(startDate, endDate);
+    }
+
+    return Array.from(this.cashTransactions.values())
+      .filter(transaction => transaction.timestamp >= startDate && transaction.timestamp <= endDate);
+  }
+
+  /**
+   * Aggregate recorded cash transactions per customer per day and keep the
+   * customer-days over the threshold. Totals are in the reporting currency.
+   * @param {Object} reportingPeriod - { startDate, endDate }
+   * @returns {Promise<Array>} Reportable customer-days, by date then customer
+   */
+  async aggregate(reportingPeriod) {
+    const rules = this.getRules();
+    const transactions = await this.findCashTransactions(
+      new Date(reportingPeriod.startDate),
+      new Date(reportingPeriod.endDate)
+    );
+    const groups = new Map();
+
+    for (const transaction of transactions) {
+      const reportDate = calendarDate(transaction.timestamp, rules.timeZone);
+      const key = `${transaction.customerId}|${reportDate}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          customerId: transaction.customerId,
+          customer: transaction.customer,
+          reportDate,
+          currency: rules.reportingCurrency,
+          transactions: [],
+          totalCashDeposits: 0,
+          totalCashWithdrawals: 0,
+          totalAmount: 0
+        });
+      }
+
+      const group = groups.get(key);
+      group.transactions.push(transaction);
+      if (transaction.debitCredit === 'D') {
+        group.totalCashWithdrawals += transaction.reportingAmount;
+      } else {
+        group.totalCashDeposits += transaction.reportingAmount;
+      }
+      group.totalAmount += transaction.reportingAmount;
+    }
+
+    return Array.from(groups.values())
+      .filter(group => group.totalAmount > rules.threshold)
+      .map(group => ({
+        ...group,
+        transactions: group.transactions.sort((a, b) => a.timestamp - b.timestamp)
+      }))
+      .sort((a, b) => a.reportDate.localeCompare(b.reportDate) || String(a.customerId).localeCompare(String(b.customerId)))
+      .map((group, index) => ({ reportSerialNumber: index + 1, ...group }));
+  }
+
+  /**
+   * Render a CTR in the FIU-IND batch XML layout
+   * @param {Object} filing - { batchNumber, batchDate, reportingPeriod, reports }
+   * @returns {string} XML document
+   */
+  toXML(filing) {
+    const rules = this.getRules();
+    const entity = rules.reportingEntity;
+    const officer = rules.principalOfficer;
+    const [year, month] = calendarDate(filing.reportingPeriod.startDate, rules.timeZone).split('-');
+    const element = (name, value, indent) => `${indent}<${name}>${escapeXml(value)}</${name}>`;
+
+    const reports = filing.reports.map(report => {
+      const address = report.customer.address || {};
+      const transactions = report.transactions.map(transaction => [
+        '      <Transaction>',
+        element('TransactionId', transaction.transactionId, '        '),
+        element('TransactionDate', calendarDate(transaction.timestamp, rules.timeZone), '        '),
+        element('AccountNumber', transaction.accountId, '        '),
+        element('TransactionMode', 'C', '        '),
+        element('DebitCredit', transaction.debitCredit, '        '),
+        element('Amount', transaction.amount.toFixed(2), '        '),
+        element('Currency', transaction.currency, '        '),
+        '      </Transaction>'
+      ].join('\n'));
+
+      return [
+        '  <Report>',
+        element('ReportSerialNum', report.reportSerialNumber, '    '),
+        element('MainPersonName', report.customer.name, '    '),
+        '    <Customer>',
+        element('CustomerId', report.customerId, '      '),
+        element('Name', report.customer.name, '      '),
+        element('DateOfBirth', report.customer.dateOfBirth ? calendarDate(report.customer.dateOfBirth, 'UTC') : '', '      '),
+        element('Nationality', report.customer.nationality, '      '),
+        '      <Address>',
+        element('Street', address.street, '        '),
+        element('City', address.city, '        '),
+        element('State', address.state, '        '),
+        element('PostalCode', address.postalCode, '        '),
+        element('Country', address.country, '        '),
+        '      </Address>',
+        '    </Customer>',
+        element('ReportDate', report.reportDate, '    '),
+        element('CumulativeCashDeposit', report.totalCashDeposits.toFixed(2), '    '),
+        element('CumulativeCashWithdrawal', report.totalCashWithdrawals.toFixed(2), '    '),
+        '    <Transactions>',
+        ...transactions,
+        '    </Transactions>',
+        '  </Report>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Batch>',
+      element('ReportType', 'CTR', '  '),
+      '  <BatchHeader>',
+      element('DataStructureVersion', '2.0', '    '),
+      element('BatchNumber', filing.batchNumber, '    '),
+      element('BatchDate', calendarDate(filing.batchDate, rules.timeZone), '    '),
+      element('MonthOfReport', month, '    '),
+      element('YearOfReport', year, '    '),
+      element('OperationalMode', 'P', '    '),
+      element('BatchType', 'N', '    '),
+      '  </BatchHeader>',
+      '  <ReportingEntity>',
+      element('ReportingEntityName', entity.name, '    '),
+      element('ReportingEntityCategory', entity.category, '    '),
+      element('RERegistrationNumber', entity.registrationNumber, '    '),
+      element('FIUREID', entity.fiuReId, '    '),
+      '  </ReportingEntity>',
+      '  <PrincipalOfficer>',
+      element('POName', officer.name, '    '),
+      element('PODesignation', officer.designation, '    '),
+      element('POEmail', officer.email, '    '),
+      '  </PrincipalOfficer>',
+      ...reports,
+      '</Batch>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render a CTR as CSV, one row per transaction
+   * @param {Object} filing - { reports }
+   * @returns {string} CSV document with header row
+   */
+  toCSV(filing) {
+    const { timeZone } = this.getRules();
+    const rows = [];
+
+    filing.reports.forEach(report => {
+      report.transactions.forEach(transaction => {
+        const row = {
+          reportSerialNumber: report.reportSerialNumber,
+          customerId: report.customerId,
+          customerName: report.customer.name,
+          reportDate: report.reportDate,
+          transactionId: transaction.transactionId,
+          transactionDate: calendarDate(transaction.timestamp, timeZone),
+          accountId: transaction.accountId,
+          transactionType: transaction.transactionType,
+          debitCredit: transaction.debitCredit,
+          amount: transaction.amount.toFixed(2),
+          currency: transaction.currency
+        };
+        rows.push(CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+      });
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CTRGenerator,
+  CTRFormat
+};
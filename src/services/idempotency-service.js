@@ -0,0 +1,267 @@
+// Idempotency Service
+// Deduplicates retried requests that carry an Idempotency-Key header
+
+const crypto = require('crypto');
+
+/**
+ * Outcome of reserving an idempotency key
+ */
+const IdempotencyStatus = {
+  NEW: 'NEW',                 // First request with this key - process it
+  REPLAY: 'REPLAY',           // Completed earlier with the same body - return stored response
+  CONFLICT: 'CONFLICT',       // Key reused with a different body
+  IN_PROGRESS: 'IN_PROGRESS'  // First request with this key has not finished yet
+};
+
+/**
+ * Copy of a JSON value with the keys of every object in sorted order
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Canonical copy
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * IdempotencyService - Stores the first response per key and replays it for
+ * duplicates. Uses the idempotency_keys table when a repository is given,
+ * otherwise keys are kept in memory.
+ */
+class IdempotencyService {
+  /**
+   * @param {IdempotencyKeyRepository} idempotencyRepository - Optional persistent store
+   * @param {Object} options - { ttlMs } how long a stored response is replayed
+   */
+  constructor(idempotencyRepository = null, options = {}) {
+    this.idempotencyRepository = idempotencyRepository;
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000; // 24 hours
+    this.records = new Map(); // `${scope}:${key}` -> record
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Fingerprint a request body so reuse of a key with another body is detected.
+   * Object keys are sorted first, so the same body sent with its fields in
+   * another order has the same fingerprint.
+   * @param {Object} body - Request body
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRequest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(canonicalize(body || {}))).digest('hex');
+  }
+
+  /**
+   * Reserve a key for a request, or find what happened to an earlier one
+   * @param {string} scope - Route and caller the key belongs to
+   * @param {string} key - Client supplied Idempotency-Key
+   * @param {string} requestHash - Fingerprint from hashRequest()
+   * @returns {Promise<Object>} { status, record }
+   */
+  async begin(scope, key, requestHash) {
+    const now = new Date();
+    const candidate = {
+      scope,
+      key,
+      requestHash,
+      statusCode: null,
+      responseBody: null,
+      createdAt: now,
+      completedAt: null,
+      expiresAt: new Date(now.getTime() + this.ttlMs)
+    };
+
+    let existing;
+    if (this.idempotencyRepository) {
+      existing = await this.idempotencyRepository.reserve(candidate);
+    } else {
+      const recordKey = `${scope}:${key}`;
+      existing = this.records.get(recordKey) || null;
+      if (existing && existing.expiresAt <= now) {
+        existing = null;
+      }
+      if (!existing) {
+        this.records.set(recordKey, candidate);
+      }
+    }
+
+    if (!existing) {
+      return { status: IdempotencyStatus.NEW, record: candidate };
+    }
+    if (existing.requestHash !== requestHash) {
+      return { status: IdempotencyStatus.CONFLICT, record: existing };
+    }
+    if (existing.completedAt === null) {
+      return { status: IdempotencyStatus.IN_PROGRESS, record: existing };
+    }
+    return { status: IdempotencyStatus.REPLAY, record: existing };
+  }
+
+  /**
+   * Store the response for a reserved key
+   * @param {string} scope - Route and caller the key belongs to
+   * @param {string} key - Idempotency-Key
+   * @param {number} statusCode - HTTP status sent to the client
+   * @param {Object} responseBody - JSON body sent to the client
+   * @returns {Promise<void>}
+   */
+  async complete(scope, key, statusCode, responseBody) {
+    const completedAt = new Date();
+
+    if (this.idempotencyRepository) {
+      await this.idempotencyRepository.complete(scope, key, statusCode, responseBody, completedAt);
+      return;
+    }
+
+    const record = this.records.get(`${scope}:${key}`);
+    if (record) {
+      record.statusCode = statusCode;
+      record.responseBody = JSON.parse(JSON.stringify(responseBody));
+      record.completedAt = completedAt;
+    }
+  }
+
+  /**
+   * Drop a reservation so the client can retry with the same key
+   * @param {string} scope - Route and caller the key belongs to
+   * @param {string} key - Idempotency-Key
+   * @returns {Promise<void>}
+   */
+  async release(scope, key) {
+    if (this.idempotencyRepository) {
+      await this.idempotencyRepository.delete(scope, key);
+      return;
+    }
+    this.records.delete(`${scope}:${key}`);
+  }
+
+  /**
+   * Remove expired keys (for maintenance)
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async purgeExpired() {
+    const now = new Date();
+
+    if (this.idempotencyRepository) {
+      return this.idempotencyRepository.deleteExpired(now);
+    }
+
+    let removed = 0;
+    for (const [recordKey, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(recordKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove expired keys now and then every hour
+   * @param {number} intervalMs - Interval between runs
+   */
+  startPurgeJob(intervalMs = 60 * 60 * 1000) {
+    this.stopPurgeJob();
+
+    const run = () => {
+      this.purgeExpired().catch(error => console.error('Idempotency key purge failed:', error.message));
+    };
+    run();
+    this.purgeTimer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for the job
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * Stop the expired key purge job
+   */
+  stopPurgeJob() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+// Idempotency-Key: 1-255 visible ASCII characters
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Express middleware implementing the Idempotency-Key header contract. Keys
+ * are scoped to the route and the authenticated caller; requests without the
+ * header are processed as before.
+ * - same key and body after completion: stored response replayed with Idempotent-Replayed: true
+ * - same key, different body: 422
+ * - same key while the first request is still running: 409
+ * @param {IdempotencyService} idempotencyService - Key store
+ * @param {string} routeName - Route identifier used in the key scope
+ * @returns {Function} Express middleware
+ */
+function idempotencyMiddleware(idempotencyService, routeName) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Idempotency-Key must be 1-255 visible ASCII characters' });
+    }
+
+    const scope = `${routeName}:${req.user ? req.user.userId : 'anonymous'}`;
+    let reservation;
+    try {
+      reservation = await idempotencyService.begin(scope, key, idempotencyService.hashRequest(req.body));
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    switch (reservation.status) {
+      case IdempotencyStatus.CONFLICT:
+        return res.status(422).json({ error: 'Idempotency-Key has already been used with a different request body' });
+      case IdempotencyStatus.IN_PROGRESS:
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      case IdempotencyStatus.REPLAY:
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(reservation.record.statusCode).json(reservation.record.responseBody);
+    }
+
+    // Store the response before sending it so a retry never races the write.
+    // Server errors release the key so the client can retry.
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const settle = res.statusCode >= 500
+        ? idempotencyService.release(scope, key)
+        : idempotencyService.complete(scope, key, res.statusCode, body);
+
+      settle
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // A response sent some other way, or a dropped connection, frees the key
+    res.on('close', () => {
+      if (!settled) {
+        settled = true;
+        idempotencyService.release(scope, key)
+          .catch(error => console.error('Failed to release idempotency key:', error));
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  IdempotencyService,
+  IdempotencyStatus,
+  idempotencyMiddleware
+};
@@ -7,6 +7,17 @@ const IdentityValidator = require('./identity-validator');
 const DocumentAuthenticator = require('./document-authenticator');
 const { NotificationService } = require('./notification-service');
 const AuditService = require('./audit-service');
+const { LedgerService } = require('./ledger-service');
+const { IdempotencyService } = require('./idempotency-service');
+const { SanctionsScreeningEngine } = require('./sanctions-screening');
+const { MonitoringRulesEngine } = require('./monitoring-rules-engine');
+const { CTRGenerator } = require('./cash-transaction-reporting');
+const { LoanPricingEngine } = require('./loan-pricing');
+const { LoanToValuePolicy } = require('./loan-to-value');
+const { AdverseActionPolicy } = require('./adverse-action');
+const { SettlementCalendar } = require('./settlement-calendar');
+const { ISO20022MessageService, FileMessageExchange } = require('./iso20022');
+const { BulkPaymentFileParser } = require('./bulk-payment-files');
 const { RegulatoryReportingModule } = require('./regulatory-reporting');
 const { OperationalDashboard } = require('./operational-dashboard');
 const ServiceRegistry = require('./service-registry');
@@ -20,6 +31,7 @@ const {
   SWIFTAdapter,
   RTGSAdapter,
   NEFTAdapter,
+  IMPSAdapter,
   UPIAdapter,
   PaymentRailSelector
 } = require('./payment-network-adapters');
@@ -31,6 +43,18 @@ module.exports = {
   DocumentAuthenticator,
   NotificationService,
   AuditService,
+  LedgerService,
+  IdempotencyService,
+  SanctionsScreeningEngine,
+  MonitoringRulesEngine,
+  CTRGenerator,
+  LoanPricingEngine,
+  LoanToValuePolicy,
+  AdverseActionPolicy,
+  SettlementCalendar,
+  ISO20022MessageService,
+  FileMessageExchange,
+  BulkPaymentFileParser,
   RegulatoryReportingModule,
   OperationalDashboard,
   ServiceRegistry,
@@ -45,6 +69,7 @@ module.exports = {
   SWIFTAdapter,
   RTGSAdapter,
   NEFTAdapter,
+  IMPSAdapter,
   UPIAdapter,
   PaymentRailSelector
 };
\ No newline at end of file
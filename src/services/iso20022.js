@@ -0,0 +1,667 @@
+// ISO 20022 Messages
+// Builds pacs.008 and pain.001 credit transfers, reads pacs.002 status reports and
+// camt.054 notifications, and exchanges message files with a clearing network
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { validateXML } = require('xmllint-wasm');
+const { PaymentStatus } = require('../shared/types');
+const config = require('../config');
+
+/**
+ * Supported message definitions
+ */
+const ISO20022MessageType = {
+  PACS_008: 'pacs.008.001.08', // FI to FI customer credit transfer
+  PAIN_001: 'pain.001.001.09', // Customer credit transfer initiation
+  PACS_002: 'pacs.002.001.10', // FI to FI payment status report
+  CAMT_054: 'camt.054.001.08'  // Bank to customer debit/credit notification
+};
+
+// Message definition -> root element under Document
+const ROOT_ELEMENTS = {
+  [ISO20022MessageType.PACS_008]: 'FIToFICstmrCdtTrf',
+  [ISO20022MessageType.PAIN_001]: 'CstmrCdtTrfInitn',
+  [ISO20022MessageType.PACS_002]: 'FIToFIPmtStsRpt',
+  [ISO20022MessageType.CAMT_054]: 'BkToCstmrDbtCdtNtfctn'
+};
+
+// ExternalPaymentTransactionStatus1Code -> PaymentStatus
+const TRANSACTION_STATUS = {
+  RCVD: PaymentStatus.PROCESSING,
+  ACTC: PaymentStatus.PROCESSING,
+  ACCP: PaymentStatus.PROCESSING,
+  ACSP: PaymentStatus.PROCESSING,
+  ACWC: PaymentStatus.PROCESSING,
+  ACWP: PaymentStatus.PROCESSING,
+  PDNG: PaymentStatus.PENDING,
+  ACSC: PaymentStatus.COMPLETED,
+  ACCC: PaymentStatus.COMPLETED,
+  RJCT: PaymentStatus.FAILED
+};
+
+// ExternalEntryStatus1Code -> PaymentStatus; INFO entries carry no status
+const ENTRY_STATUS = {
+  BOOK: PaymentStatus.COMPLETED,
+  PDNG: PaymentStatus.PROCESSING,
+  FUTR: PaymentStatus.PROCESSING,
+  INFO: null
+};
+
+// Message XSDs, one file per message definition. Each holds the components
+// of the published schema that we exchange; see the note at the top of each file
+const SCHEMA_DIRECTORY = path.join(__dirname, 'schemas');
+const schemas = new Map();
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Message element for rendering. Elements whose value is undefined or null,
+ * and containers left with no children, are left out.
+ * @param {string} name - Element name
+ * @param {string|number|Array} value - Text, or child elements
+ * @param {Object} attributes - Attributes
+ * @returns {Object|null} Element
+ */
+function element(name, value, attributes = {}) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    const children = value.filter(Boolean);
+    return children.length > 0 ? { name, attributes, children } : null;
+  }
+  return { name, attributes, text: String(value) };
+}
+
+/**
+ * Render an element tree as indented XML
+ * @param {Object} node - Element from element()
+ * @param {number} depth - Indentation depth
+ * @returns {string} XML
+ */
+function renderXml(node, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.children) {
+    return [
+      `${indent}<${node.name}${attributes}>`,
+      ...node.children.map(child => renderXml(child, depth + 1)),
+      `${indent}</${node.name}>`
+    ].join('\n');
+  }
+  return `${indent}<${node.name}${attributes}>${escapeXml(node.text)}</${node.name}>`;
+}
+
+/**
+ * Parse an XML document into an element tree. Namespace prefixes are
+ * dropped from element names; comments and processing instructions are
+ * skipped.
+ * @param {string} xml - XML document
+ * @returns {Object} Root element { name, attributes, children, text }
+ */
+function parseXml(xml) {
+  const document = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [document];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)(?:[\w.-]+:)?([\w.-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+  let match;
+
+  while (token.lastIndex < xml.length) {
+    const position = token.lastIndex;
+    match = token.exec(xml);
+    if (!match) {
+      throw new Error(`Malformed XML at position ${position}`);
+    }
+
+    const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (text !== undefined || cdata !== undefined) {
+      const content = cdata !== undefined ? cdata : decodeXml(text);
+      if (content.trim() && current === document) {
+        throw new Error(`Malformed XML: text outside the root element at position ${position}`);
+      }
+      current.text += content;
+    } else if (name && closing) {
+      if (current.name !== name) {
+        throw new Error(`Malformed XML: unexpected </${name}> at position ${position}`);
+      }
+      stack.pop();
+    } else if (name) {
+      const attributes = {};
+      for (const [, key, , doubleQuoted, singleQuoted] of (attributeText || '').matchAll(/([\w.:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decodeXml(doubleQuoted ?? singleQuoted);
+      }
+      const node = { name, attributes, children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  if (document.children.length !== 1) {
+    throw new Error('Malformed XML: expected a single root element');
+  }
+  return document.children[0];
+}
+
+/**
+ * Elements reached by a slash-separated path of child names
+ * @param {Object} node - Starting element
+ * @param {string} elementPath - Path such as GrpHdr/MsgId
+ * @returns {Array<Object>} Matching elements
+ */
+function select(node, elementPath) {
+  return elementPath.split('/').reduce(
+    (nodes, name) => nodes.flatMap(parent => parent.children.filter(child => child.name === name)),
+    [node]
+  );
+}
+
+/**
+ * Trimmed text of the first element at a path
+ * @param {Object} node - Starting element
+ * @param {string} elementPath - Path
+ * @returns {string|null} Text
+ */
+function textAt(node, elementPath) {
+  const [found] = select(node, elementPath);
+  return found ? found.text.trim() : null;
+}
+
+/**
+ * XSD of a message definition, read once and kept
+ * @param {string} messageType - ISO20022MessageType
+ * @returns {Promise<string>} Schema document
+ */
+async function loadSchema(messageType) {
+  if (!schemas.has(messageType)) {
+    schemas.set(messageType, fs.readFile(path.join(SCHEMA_DIRECTORY, `${messageType}.xsd`), 'utf8'));
+  }
+  return schemas.get(messageType);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in a time zone
+ * @param {Date|string} date - Date, or a YYYY-MM-DD string passed through
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} ISODate
+ */
+function isoDate(date, timeZone) {
+  if (typeof date === 'string') {
+    return date;
+  }
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(date));
+}
+
+/**
+ * Format an instant as an ISODateTime without milliseconds
+ * @param {Date} date - Instant
+ * @returns {string} ISODateTime
+ */
+function isoDateTime(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Financial institution identification: BIC, clearing member ID or both
+ * @param {Object} agent - { bic, clearingSystemMemberId, name }
+ * @returns {Array} FinInstnId element
+ */
+function financialInstitution(agent = {}) {
+  return [element('FinInstnId', [
+    element('BICFI', agent.bic),
+    agent.clearingSystemMemberId ? element('ClrSysMmbId', [element('MmbId', agent.clearingSystemMemberId)]) : null,
+    element('Nm', agent.name)
+  ])];
+}
+
+/**
+ * Account identification by a proprietary account number. Internal account
+ * IDs are UUIDs; without hyphens they fit Max34Text.
+ * @param {string} accountNumber - Account number or account ID
+ * @returns {Array} Id element
+ */
+function accountIdentification(accountNumber) {
+  return [element('Id', [element('Othr', [element('Id', String(accountNumber).replace(/-/g, ''))])])];
+}
+
+/**
+ * ISO 20022 Message Service - Builds, validates and parses the ISO 20022
+ * messages exchanged with SWIFT and RTGS
+ */
+class ISO20022MessageService {
+  /**
+   * Our agent details, charge bearer and settlement method, plus the
+   * settlement time zone
+   * @returns {Object} { instructingAgent, chargeBearer, settlementMethod, timeZone }
+   */
+  getRules() {
+    const rules = config.getBusinessRule('payment-processing');
+    const iso20022 = rules.iso20022 || {};
+    return {
+      instructingAgent: iso20022.instructingAgent || {},
+      chargeBearer: iso20022.chargeBearer || 'SHAR',
+      settlementMethod: iso20022.settlementMethod || 'CLRG',
+      timeZone: rules.settlementCalendar?.timeZone || 'UTC'
+    };
+  }
+
+  /**
+   * New message identification
+   * @returns {string} Max35Text message ID
+   */
+  generateMessageId() {
+    return `MSG${uuidv4().replace(/-/g, '').toUpperCase()}`;
+  }
+
+  /**
+   * Wrap a message body in its Document element
+   * @param {string} messageType - ISO20022MessageType
+   * @param {Array} body - Children of the root element
+   * @returns {string} XML document
+   */
+  renderDocument(messageType, body) {
+    const document = element('Document', [element(ROOT_ELEMENTS[messageType], body)], {
+      xmlns: `urn:iso:std:iso:20022:tech:xsd:${messageType}`
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${renderXml(document)}\n`;
+  }
+
+  /**
+   * Build a pacs.008 FI to FI customer credit transfer for a payment order
+   * @param {PaymentOrder} paymentOrder - paymentId, fromAccountId, toAccountId, amount, currency, description
+   * @param {Object} parties - { debtor, creditor, debtorAgent, creditorAgent, instructedAgent };
+   *   people as { name }, agents as { bic, clearingSystemMemberId, name }
+   * @param {Object} options - { messageId, transactionId, endToEndId, createdAt, settlementDate, chargeBearer }
+   * @returns {Object} { messageId, messageType, xml }
+   */
+  buildPacs008(paymentOrder, parties = {}, options = {}) {
+    const rules = this.getRules();
+    const messageId = options.messageId || this.generateMessageId();
+    const createdAt = options.createdAt || new Date();
+    const debtorAgent = parties.debtorAgent || rules.instructingAgent;
+    const compactId = paymentOrder.paymentId.replace(/-/g, '');
+
+    const xml = this.renderDocument(ISO20022MessageType.PACS_008, [
+      element('GrpHdr', [
+        element('MsgId', messageId),
+        element('CreDtTm', isoDateTime(createdAt)),
+        element('NbOfTxs', 1),
+        element('SttlmInf', [element('SttlmMtd', rules.settlementMethod)])
+      ]),
+      element('CdtTrfTxInf', [
+        element('PmtId', [
+          element('InstrId', options.transactionId),
+          element('EndToEndId', options.endToEndId || options.transactionId || compactId),
+          element('TxId', options.transactionId),
+          element('UETR', paymentOrder.paymentId)
+        ]),
+        element('IntrBkSttlmAmt', Number(paymentOrder.amount).toFixed(2), { Ccy: paymentOrder.currency }),
+        element('IntrBkSttlmDt', isoDate(options.settlementDate || createdAt, rules.timeZone)),
+        element('ChrgBr', options.chargeBearer || rules.chargeBearer),
+        element('InstgAgt', financialInstitution(rules.instructingAgent)),
+        parties.instructedAgent ? element('InstdAgt', financialInstitution(parties.instructedAgent)) : null,
+        element('Dbtr', [element('Nm', parties.debtor?.name || 'NOTPROVIDED')]),
+        element('DbtrAcct', accountIdentification(paymentOrder.fromAccountId)),
+        element('DbtrAgt', financialInstitution(debtorAgent)),
+        element('CdtrAgt', financialInstitution(parties.creditorAgent)),
+        element('Cdtr', [element('Nm', parties.creditor?.name || 'NOTPROVIDED')]),
+        element('CdtrAcct', accountIdentification(paymentOrder.toAccountId)),
+        paymentOrder.description ? element('RmtInf', [element('Ustrd', paymentOrder.description)]) : null
+      ])
+    ]);
+
+    return { messageId, messageType: ISO20022MessageType.PACS_008, xml };
+  }
+
+  /**
+   * Build a pain.001 customer credit transfer initiation for a payment order
+   * @param {PaymentOrder} paymentOrder - Payment order
+   * @param {Object} parties - { initiatingParty, debtor, creditor, debtorAgent, creditorAgent }
+   * @param {Object} options - { messageId, endToEndId, createdAt, executionDate, chargeBearer }
+   * @returns {Object} { messageId, messageType, xml }
+   */
+  buildPain001(paymentOrder, parties = {}, options = {}) {
+    const rules = this.getRules();
+    const messageId = options.messageId || this.generateMessageId();
+    const createdAt = options.createdAt || new Date();
+    const amount = Number(paymentOrder.amount).toFixed(2);
+    const debtor = parties.debtor || {};
+    const compactId = paymentOrder.paymentId.replace(/-/g, '');
+
+    const xml = this.renderDocument(ISO20022MessageType.PAIN_001, [
+      element('GrpHdr', [
+        element('MsgId', messageId),
+        element('CreDtTm', isoDateTime(createdAt)),
+        element('NbOfTxs', 1),
+        element('CtrlSum', amount),
+        element('InitgPty', [element('Nm', (parties.initiatingParty || debtor).name || 'NOTPROVIDED')])
+      ]),
+      element('PmtInf', [
+        element('PmtInfId', compactId),
+        element('PmtMtd', 'TRF'),
+        element('NbOfTxs', 1),
+        element('CtrlSum', amount),
+        element('ReqdExctnDt', [element('Dt', isoDate(options.executionDate || createdAt, rules.timeZone))]),
+        element('Dbtr', [element('Nm', debtor.name || 'NOTPROVIDED')]),
+        element('DbtrAcct', accountIdentification(paymentOrder.fromAccountId)),
+        element('DbtrAgt', financialInstitution(parties.debtorAgent || rules.instructingAgent)),
+        element('ChrgBr', options.chargeBearer || rules.chargeBearer),
+        element('CdtTrfTxInf', [
+          element('PmtId', [element('EndToEndId', options.endToEndId || compactId)]),
+          element('Amt', [element('InstdAmt', amount, { Ccy: paymentOrder.currency })]),
+          parties.creditorAgent ? element('CdtrAgt', financialInstitution(parties.creditorAgent)) : null,
+          element('Cdtr', [element('Nm', parties.creditor?.name || 'NOTPROVIDED')]),
+          element('CdtrAcct', accountIdentification(paymentOrder.toAccountId)),
+          paymentOrder.description ? element('RmtInf', [element('Ustrd', paymentOrder.description)]) : null
+        ])
+      ])
+    ]);
+
+    return { messageId, messageType: ISO20022MessageType.PAIN_001, xml };
+  }
+
+  /**
+   * Build a pacs.002 status report, as a clearing network answers a pacs.008
+   * @param {Object} report - { originalMessageId, originalMessageType, statuses: [{ originalEndToEndId,
+   *   originalTransactionId, originalUETR, status, reasonCode, additionalInformation }] }
+   * @param {Object} options - { messageId, createdAt }
+   * @returns {Object} { messageId, messageType, xml }
+   */
+  buildPacs002(report, options = {}) {
+    const messageId = options.messageId || this.generateMessageId();
+
+    const xml = this.renderDocument(ISO20022MessageType.PACS_002, [
+      element('GrpHdr', [
+        element('MsgId', messageId),
+        element('CreDtTm', isoDateTime(options.createdAt || new Date()))
+      ]),
+      element('OrgnlGrpInfAndSts', [
+        element('OrgnlMsgId', report.originalMessageId),
+        element('OrgnlMsgNmId', report.originalMessageType || ISO20022MessageType.PACS_008)
+      ]),
+      ...report.statuses.map(status => element('TxInfAndSts', [
+        element('OrgnlEndToEndId', status.originalEndToEndId),
+        element('OrgnlTxId', status.originalTransactionId),
+        element('OrgnlUETR', status.originalUETR),
+        element('TxSts', status.status),
+        status.reasonCode || status.additionalInformation ? element('StsRsnInf', [
+          status.reasonCode ? element('Rsn', [element('Cd', status.reasonCode)]) : null,
+          element('AddtlInf', status.additionalInformation)
+        ]) : null
+      ]))
+    ]);
+
+    return { messageId, messageType: ISO20022MessageType.PACS_002, xml };
+  }
+
+  /**
+   * Build a camt.054 debit/credit notification for one account
+   * @param {Object} notification - { notificationId, account, entries: [{ amount, currency,
+   *   creditDebit, status, bookedAt, valueDate, endToEndId, transactionId, uetr }] }
+   * @param {Object} options - { messageId, createdAt }
+   * @returns {Object} { messageId, messageType, xml }
+   */
+  buildCamt054(notification, options = {}) {
+    const messageId = options.messageId || this.generateMessageId();
+    const createdAt = options.createdAt || new Date();
+    const { timeZone } = this.getRules();
+
+    const xml = this.renderDocument(ISO20022MessageType.CAMT_054, [
+      element('GrpHdr', [
+        element('MsgId', messageId),
+        element('CreDtTm', isoDateTime(createdAt))
+      ]),
+      element('Ntfctn', [
+        element('Id', notification.notificationId || messageId),
+        element('CreDtTm', isoDateTime(createdAt)),
+        element('Acct', accountIdentification(notification.account)),
+        ...notification.entries.map(entry => element('Ntry', [
+          element('Amt', Number(entry.amount).toFixed(2), { Ccy: entry.currency }),
+          element('CdtDbtInd', entry.creditDebit),
+          element('Sts', [element('Cd', entry.status || 'BOOK')]),
+          entry.bookedAt ? element('BookgDt', [element('DtTm', isoDateTime(entry.bookedAt))]) : null,
+          entry.valueDate ? element('ValDt', [element('Dt', isoDate(entry.valueDate, timeZone))]) : null,
+          element('BkTxCd', [element('Domn', [
+            element('Cd', 'PMNT'),
+            element('Fmly', [
+              element('Cd', entry.creditDebit === 'DBIT' ? 'ICDT' : 'RCDT'),
+              element('SubFmlyCd', 'OTHR')
+            ])
+          ])]),
+          element('NtryDtls', [element('TxDtls', [element('Refs', [
+            element('EndToEndId', entry.endToEndId),
+            element('UETR', entry.uetr),
+            element('TxId', entry.transactionId)
+          ])])])
+        ]))
+      ])
+    ]);
+
+    return { messageId, messageType: ISO20022MessageType.CAMT_054, xml };
+  }
+
+  /**
+   * Message definition of a document, from its namespace
+   * @param {Object} document - Parsed Document element
+   * @returns {string} ISO20022MessageType
+   */
+  detectMessageType(document) {
+    const namespace = document.attributes.xmlns || '';
+    const messageType = Object.values(ISO20022MessageType).find(type => namespace === `urn:iso:std:iso:20022:tech:xsd:${type}`);
+    if (document.name !== 'Document' || !messageType) {
+      throw new Error(`Unsupported ISO 20022 message: ${namespace || document.name}`);
+    }
+    return messageType;
+  }
+
+  /**
+   * Validate a message against the XSD of its message definition.
+   * Documents that are not well-formed, or whose namespace is not one we
+   * support, are rejected before schema validation.
+   * @param {string} xml - XML document
+   * @returns {Promise<Object>} { isValid, errors, messageType }
+   */
+  async validate(xml) {
+    let messageType;
+    try {
+      messageType = this.detectMessageType(parseXml(xml));
+    } catch (error) {
+      return { isValid: false, errors: [error.message], messageType: null };
+    }
+
+    const result = await validateXML({
+      xml: [{ fileName: 'message.xml', contents: xml }],
+      schema: [{ fileName: `${messageType}.xsd`, contents: await loadSchema(messageType) }]
+    });
+
+    return {
+      isValid: result.valid,
+      errors: result.errors.map(error => error.message),
+      messageType
+    };
+  }
+
+  /**
+   * Parse an inbound pacs.002 or camt.054 into status updates
+   * @param {string} xml - XML document
+   * @returns {Promise<Object>} Parsed message with messageType
+   */
+  async parse(xml) {
+    const validation = await this.validate(xml);
+    if (!validation.isValid) {
+      throw new Error(`Invalid ISO 20022 message: ${validation.errors.join('; ')}`);
+    }
+
+    const root = parseXml(xml).children[0];
+    if (validation.messageType === ISO20022MessageType.PACS_002) {
+      return this.readPacs002(root);
+    }
+    if (validation.messageType === ISO20022MessageType.CAMT_054) {
+      return this.readCamt054(root);
+    }
+    throw new Error(`${validation.messageType} is an outbound message and cannot be parsed into status updates`);
+  }
+
+  /**
+   * Parse a pacs.002 status report
+   * @param {string} xml - XML document
+   * @returns {Promise<Object>} { messageType, messageId, createdAt, originalMessageId, statusUpdates }
+   */
+  async parsePacs002(xml) {
+    const parsed = await this.parse(xml);
+    if (parsed.messageType !== ISO20022MessageType.PACS_002) {
+      throw new Error(`Expected ${ISO20022MessageType.PACS_002} but received ${parsed.messageType}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Parse a camt.054 debit/credit notification
+   * @param {string} xml - XML document
+   * @returns {Promise<Object>} { messageType, messageId, createdAt, statusUpdates }
+   */
+  async parseCamt054(xml) {
+    const parsed = await this.parse(xml);
+    if (parsed.messageType !== ISO20022MessageType.CAMT_054) {
+      throw new Error(`Expected ${ISO20022MessageType.CAMT_054} but received ${parsed.messageType}`);
+    }
+    return parsed;
+  }
+
+  readPacs002(root) {
+    const groupStatus = textAt(root, 'OrgnlGrpInfAndSts/GrpSts');
+
+    return {
+      messageType: ISO20022MessageType.PACS_002,
+      messageId: textAt(root, 'GrpHdr/MsgId'),
+      createdAt: new Date(textAt(root, 'GrpHdr/CreDtTm')),
+      originalMessageId: textAt(root, 'OrgnlGrpInfAndSts/OrgnlMsgId'),
+      statusUpdates: select(root, 'TxInfAndSts').map(transaction => {
+        const code = textAt(transaction, 'TxSts') || groupStatus;
+        return {
+          endToEndId: textAt(transaction, 'OrgnlEndToEndId'),
+          transactionId: textAt(transaction, 'OrgnlTxId'),
+          uetr: textAt(transaction, 'OrgnlUETR'),
+          statusCode: code,
+          status: TRANSACTION_STATUS[code] ?? null,
+          reasonCode: textAt(transaction, 'StsRsnInf/Rsn/Cd'),
+          reason: textAt(transaction, 'StsRsnInf/AddtlInf')
+        };
+      })
+    };
+  }
+
+  readCamt054(root) {
+    return {
+      messageType: ISO20022MessageType.CAMT_054,
+      messageId: textAt(root, 'GrpHdr/MsgId'),
+      createdAt: new Date(textAt(root, 'GrpHdr/CreDtTm')),
+      statusUpdates: select(root, 'Ntfctn').flatMap(notification => select(notification, 'Ntry').map(entry => {
+        const code = textAt(entry, 'Sts/Cd');
+        const bookedAt = textAt(entry, 'BookgDt/DtTm');
+        const [amount] = select(entry, 'Amt');
+        return {
+          account: textAt(notification, 'Acct/Id/Othr/Id'),
+          endToEndId: textAt(entry, 'NtryDtls/TxDtls/Refs/EndToEndId'),
+          transactionId: textAt(entry, 'NtryDtls/TxDtls/Refs/TxId'),
+          uetr: textAt(entry, 'NtryDtls/TxDtls/Refs/UETR'),
+          amount: Number(amount.text),
+          currency: amount.attributes.Ccy,
+          creditDebit: textAt(entry, 'CdtDbtInd'),
+          statusCode: code,
+          status: ENTRY_STATUS[code] ?? null,
+          bookedAt: bookedAt ? new Date(bookedAt) : null,
+          valueDate: textAt(entry, 'ValDt/Dt')
+        };
+      }))
+    };
+  }
+}
+
+/**
+ * File Message Exchange - Exchanges message files with a clearing network
+ * (or a local stand-in) through a shared directory: we write to outbox/ and
+ * read from inbox/, moving read files to inbox/processed/
+ */
+class FileMessageExchange {
+  /**
+   * @param {Object} options - { directory }
+   */
+  constructor({ directory }) {
+    if (!directory) {
+      throw new Error('Message exchange directory is required');
+    }
+    this.outbox = path.join(directory, 'outbox');
+    this.inbox = path.join(directory, 'inbox');
+    this.processed = path.join(this.inbox, 'processed');
+  }
+
+  /**
+   * Write an outbound message file
+   * @param {Object} message - { messageId, messageType, xml }
+   * @returns {Promise<string>} Path of the file written
+   */
+  async send(message) {
+    await fs.mkdir(this.outbox, { recursive: true });
+    const filePath = path.join(this.outbox, `${message.messageType}.${message.messageId}.xml`);
+    await fs.writeFile(filePath, message.xml, 'utf8');
+    return filePath;
+  }
+
+  /**
+   * Read inbound message files in name order and move them to processed/
+   * @returns {Promise<Array>} [{ fileName, xml }]
+   */
+  async receive() {
+    await fs.mkdir(this.processed, { recursive: true });
+    const entries = await fs.readdir(this.inbox, { withFileTypes: true });
+    const files = entries.filter(entry => entry.isFile() && entry.name.endsWith('.xml')).map(entry => entry.name).sort();
+
+    const messages = [];
+    for (const fileName of files) {
+      const xml = await fs.readFile(path.join(this.inbox, fileName), 'utf8');
+      await fs.rename(path.join(this.inbox, fileName), path.join(this.processed, fileName));
+      messages.push({ fileName, xml });
+    }
+    return messages;
+  }
+}
+
+module.exports = {
+  ISO20022MessageService,
+  ISO20022MessageType,
+  FileMessageExchange
+};
@@ -0,0 +1,604 @@
+// Ledger Service
+// Double-entry general ledger with journal entries, postings and running balances
+
+const { v4: uuidv4 } = require('uuid');
+const { LedgerAccountType, PostingDirection } = require('../shared/types');
+
+/**
+ * Bank-side ledger accounts used as the contra leg of customer postings
+ */
+const SystemAccount = {
+  CASH: 'CASH',
+  FEE_INCOME: 'FEE_INCOME',
+  PAYMENTS_CLEARING: 'PAYMENTS_CLEARING',
+  EXTERNAL_CLEARING: 'EXTERNAL_CLEARING',
+  LOANS_RECEIVABLE: 'LOANS_RECEIVABLE',
+  OPENING_BALANCES: 'OPENING_BALANCES'
+};
+
+const SYSTEM_ACCOUNT_TYPES = {
+  [SystemAccount.CASH]: LedgerAccountType.ASSET,
+  [SystemAccount.FEE_INCOME]: LedgerAccountType.INCOME,
+  [SystemAccount.PAYMENTS_CLEARING]: LedgerAccountType.LIABILITY,
+  [SystemAccount.EXTERNAL_CLEARING]: LedgerAccountType.LIABILITY,
+  [SystemAccount.LOANS_RECEIVABLE]: LedgerAccountType.ASSET,
+  [SystemAccount.OPENING_BALANCES]: LedgerAccountType.EQUITY
+};
+
+// Account types whose balance increases with debits
+const DEBIT_NORMAL_TYPES = [LedgerAccountType.ASSET, LedgerAccountType.EXPENSE];
+
+/**
+ * Convert a major-unit amount (e.g. rupees) to integer minor units (e.g. paise)
+ * @param {number} amount - Amount in major units
+ * @returns {number} Amount in minor units
+ */
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/**
+ * Convert integer minor units back to a major-unit amount
+ * @param {number} minor - Amount in minor units
+ * @returns {number} Amount in major units
+ */
+const fromMinorUnits = (minor) => minor / 100;
+
+/**
+ * LedgerService - Double-entry bookkeeping engine
+ * Every journal entry must balance (total debits == total credits) and is
+ * applied to all of its accounts at once or not at all.
+ * With a repository, accounts and entries are loaded at startup and callers
+ * store each entry through persistJournalEntry().
+ */
+class LedgerService {
+  constructor(repository = null) {
+    this.repository = repository;
+    this.accounts = new Map(); // accountId -> ledger account
+    this.journalEntries = new Map(); // entryId -> journal entry
+    this.postingsByAccount = new Map(); // accountId -> postings[]
+    this.customerAccountsLoading = new Map(); // accountId -> pending loadCustomerAccount()
+  }
+
+  /**
+   * Load the stored ledger accounts and journal entries, e.g. after a restart
+   * @returns {Promise<number>} Number of accounts loaded
+   */
+  async load() {
+    if (!this.repository) {
+      return 0;
+    }
+
+    const accounts = await this.repository.findAccounts();
+    const entries = await this.repository.findJournalEntries();
+    const loadedPostings = new Map();
+
+    for (const account of accounts) {
+      if (!this.accounts.has(account.accountId)) {
+        this.restoreAccount(account);
+      }
+    }
+
+    for (const entry of entries) {
+      if (this.journalEntries.has(entry.entryId)) {
+        continue;
+      }
+      this.journalEntries.set(entry.entryId, entry);
+      for (const posting of entry.postings) {
+        if (!loadedPostings.has(posting.accountId)) {
+          loadedPostings.set(posting.accountId, []);
+        }
+        loadedPostings.get(posting.accountId).push(posting);
+      }
+    }
+
+    // Stored postings come before any posted while loading
+    for (const [accountId, postings] of loadedPostings) {
+      this.postingsByAccount.set(accountId, [...postings, ...(this.postingsByAccount.get(accountId) || [])]);
+    }
+
+    return accounts.length;
+  }
+
+  /**
+   * Get a customer account's ledger account, loading it from storage when
+   * it is not in memory. A customer account with no ledger account yet is
+   * opened with the balance stored on it, posted against OPENING_BALANCES.
+   * @param {string} accountId - Customer account ID
+   * @returns {Promise<Object|null>} Account snapshot, or null if the account is unknown
+   */
+  async loadCustomerAccount(accountId) {
+    if (this.accounts.has(accountId) || !this.repository) {
+      return this.getAccount(accountId);
+    }
+
+    // Concurrent first postings to an account open it once
+    if (!this.customerAccountsLoading.has(accountId)) {
+      this.customerAccountsLoading.set(accountId, this.openStoredCustomerAccount(accountId)
+        .finally(() => this.customerAccountsLoading.delete(accountId)));
+    }
+    return await this.customerAccountsLoading.get(accountId);
+  }
+
+  /**
+   * Restore a customer's stored ledger account, or open it from the account's
+   * stored balance and store the opening entry
+   * @param {string} accountId - Customer account ID
+   * @returns {Promise<Object|null>} Account snapshot, or null if the account is unknown
+   */
+  async openStoredCustomerAccount(accountId) {
+    const stored = await this.repository.findAccount(accountId);
+    if (stored) {
+      this.restoreAccount(stored);
+      return this.getAccount(accountId);
+    }
+
+    const opening = await this.repository.findOpeningBalance(accountId);
+    if (!opening) {
+      return null;
+    }
+
+    this.openAccount(accountId, LedgerAccountType.LIABILITY, opening.currency, {
+      name: `Customer account ${accountId}`
+    });
+    if (opening.balance > 0) {
+      const entry = this.transfer(
+        this.getSystemAccountId(SystemAccount.OPENING_BALANCES, opening.currency),
+        accountId,
+        opening.balance,
+        { description: 'Opening balance', reference: accountId, metadata: { openingBalance: true } }
+      );
+      try {
+        await this.persistJournalEntry(entry);
+      } catch (error) {
+        this.discardJournalEntry(entry.entryId);
+        this.accounts.delete(accountId);
+        this.postingsByAccount.delete(accountId);
+        throw error;
+      }
+    }
+    return this.getAccount(accountId);
+  }
+
+  /**
+   * Put a stored account back in memory
+   * @param {Object} account - Account from the repository
+   */
+  restoreAccount(account) {
+    const { balance, totalDebits, totalCredits, ...rest } = account;
+    this.accounts.set(account.accountId, {
+      ...rest,
+      balanceMinor: toMinorUnits(balance),
+      totalDebitsMinor: toMinorUnits(totalDebits),
+      totalCreditsMinor: toMinorUnits(totalCredits)
+    });
+    if (!this.postingsByAccount.has(account.accountId)) {
+      this.postingsByAccount.set(account.accountId, []);
+    }
+  }
+
+  /**
+   * Store a posted journal entry and its postings. Pass a transaction to
+   * store the entry together with the record it was posted for.
+   * @param {Object} entry - Posted journal entry
+   * @param {Object} tx - Optional transaction
+   * @returns {Promise<void>}
+   */
+  async persistJournalEntry(entry, tx = null) {
+    if (!this.repository) {
+      return;
+    }
+
+    const accountIds = [...new Set(entry.postings.map(posting => posting.accountId))];
+    await this.repository.saveJournalEntry(entry, accountIds.map(accountId => this.getAccount(accountId)), tx);
+  }
+
+  /**
+   * Take a posted entry back out of the ledger, when storing it failed.
+   * Unlike a reversal this leaves no trace: the entry was never stored.
+   * @param {string} entryId - Entry to discard
+   */
+  discardJournalEntry(entryId) {
+    const entry = this.journalEntries.get(entryId);
+    if (!entry) {
+      return;
+    }
+
+    for (const posting of entry.postings) {
+      const account = this.accounts.get(posting.accountId);
+      const amountMinor = toMinorUnits(posting.amount);
+
+      account.balanceMinor -= posting.direction === account.normalSide ? amountMinor : -amountMinor;
+      if (posting.direction === PostingDirection.DEBIT) {
+        account.totalDebitsMinor -= amountMinor;
+      } else {
+        account.totalCreditsMinor -= amountMinor;
+      }
+      this.postingsByAccount.set(posting.accountId,
+        this.postingsByAccount.get(posting.accountId).filter(line => line.postingId !== posting.postingId));
+    }
+
+    if (entry.reversalOf && this.journalEntries.has(entry.reversalOf)) {
+      this.journalEntries.get(entry.reversalOf).reversedBy = null;
+    }
+    this.journalEntries.delete(entryId);
+  }
+
+  /**
+   * Open a new ledger account
+   * @param {string} accountId - Account identifier
+   * @param {string} accountType - LedgerAccountType
+   * @param {string} currency - Account currency
+   * @param {Object} options - Account options (name, allowNegativeBalance, metadata)
+   * @returns {Object} Account snapshot
+   */
+  openAccount(accountId, accountType, currency, options = {}) {
+    if (!accountId) {
+      throw new Error('Ledger account ID is required');
+    }
+
+    if (this.accounts.has(accountId)) {
+      throw new Error(`Ledger account already exists: ${accountId}`);
+    }
+
+    if (!Object.values(LedgerAccountType).includes(accountType)) {
+      throw new Error(`Invalid ledger account type: ${accountType}`);
+    }
+
+    if (!currency) {
+      throw new Error('Ledger account currency is required');
+    }
+
+    this.accounts.set(accountId, {
+      accountId,
+      name: options.name || accountId,
+      accountType,
+      currency,
+      normalSide: DEBIT_NORMAL_TYPES.includes(accountType) ? PostingDirection.DEBIT : PostingDirection.CREDIT,
+      allowNegativeBalance: options.allowNegativeBalance === true,
+      balanceMinor: 0,
+      totalDebitsMinor: 0,
+      totalCreditsMinor: 0,
+      metadata: options.metadata || {},
+      openedAt: new Date(),
+      updatedAt: new Date()
+    });
+    this.postingsByAccount.set(accountId, []);
+
+    return this.getAccount(accountId);
+  }
+
+  /**
+   * Return an existing ledger account or open it if missing
+   * @param {string} accountId - Account identifier
+   * @param {string} accountType - LedgerAccountType used when opening
+   * @param {string} currency - Currency used when opening
+   * @param {Object} options - Account options used when opening
+   * @returns {Object} Account snapshot
+   */
+  ensureAccount(accountId, accountType, currency, options = {}) {
+    if (this.accounts.has(accountId)) {
+      return this.getAccount(accountId);
+    }
+    return this.openAccount(accountId, accountType, currency, options);
+  }
+
+  /**
+   * Get (and lazily open) the bank-side system account for a currency
+   * @param {string} systemAccount - SystemAccount name
+   * @param {string} currency - Currency
+   * @returns {string} System ledger account ID
+   */
+  getSystemAccountId(systemAccount, currency) {
+    const accountType = SYSTEM_ACCOUNT_TYPES[systemAccount];
+    if (!accountType) {
+      throw new Error(`Unknown system account: ${systemAccount}`);
+    }
+
+    const accountId = `SYSTEM:${systemAccount}:${currency}`;
+    this.ensureAccount(accountId, accountType, currency, {
+      name: `${systemAccount} (${currency})`,
+      allowNegativeBalance: true
+    });
+    return accountId;
+  }
+
+  /**
+   * Get a ledger account snapshot
+   * @param {string} accountId - Account identifier
+   * @returns {Object|null} Account snapshot or null if not found
+   */
+  getAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      return null;
+    }
+
+    const { balanceMinor, totalDebitsMinor, totalCreditsMinor, ...rest } = account;
+    return {
+      ...rest,
+      balance: fromMinorUnits(balanceMinor),
+      totalDebits: fromMinorUnits(totalDebitsMinor),
+      totalCredits: fromMinorUnits(totalCreditsMinor)
+    };
+  }
+
+  /**
+   * Get the running balance of a ledger account
+   * @param {string} accountId - Account identifier
+   * @returns {number} Balance in major units, on the account's normal side
+   */
+  getBalance(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw new Error(`Ledger account not found: ${accountId}`);
+    }
+    return fromMinorUnits(account.balanceMinor);
+  }
+
+  /**
+   * Post a balanced journal entry atomically
+   * @param {Object} entryData - Journal entry data
+   * @param {string} entryData.description - Entry description
+   * @param {Array} entryData.postings - Postings ({ accountId, direction, amount })
+   * @param {string} entryData.reference - External reference (e.g. transaction ID)
+   * @param {Object} entryData.metadata - Additional metadata
+   * @returns {Object} Posted journal entry
+   */
+  postJournalEntry({ description, postings, reference = null, metadata = {}, reversalOf = null }) {
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw new Error('A journal entry requires at least two postings');
+    }
+
+    let currency = null;
+    let totalDebitsMinor = 0;
+    let totalCreditsMinor = 0;
+    const balanceChanges = new Map();
+
+    for (const posting of postings) {
+      const account = this.accounts.get(posting.accountId);
+      if (!account) {
+        throw new Error(`Ledger account not found: ${posting.accountId}`);
+      }
+
+      if (!Object.values(PostingDirection).includes(posting.direction)) {
+        throw new Error(`Invalid posting direction: ${posting.direction}`);
+      }
+
+      if (typeof posting.amount !== 'number' || !isFinite(posting.amount) || posting.amount <= 0) {
+        throw new Error(`Invalid posting amount: ${posting.amount}`);
+      }
+
+      currency = currency || account.currency;
+      if (account.currency !== currency) {
+        throw new Error(`Currency mismatch in journal entry: ${account.currency} vs ${currency}`);
+      }
+
+      const amountMinor = toMinorUnits(posting.amount);
+      if (posting.direction === PostingDirection.DEBIT) {
+        totalDebitsMinor += amountMinor;
+      } else {
+        totalCreditsMinor += amountMinor;
+      }
+
+      const signedChange = posting.direction === account.normalSide ? amountMinor : -amountMinor;
+      balanceChanges.set(posting.accountId, (balanceChanges.get(posting.accountId) || 0) + signedChange);
+    }
+
+    if (totalDebitsMinor !== totalCreditsMinor) {
+      throw new Error(
+        `Unbalanced journal entry: debits ${fromMinorUnits(totalDebitsMinor)} != credits ${fromMinorUnits(totalCreditsMinor)}`
+      );
+    }
+
+    // Reject the whole entry before touching any balance
+    for (const [accountId, change] of balanceChanges) {
+      const account = this.accounts.get(accountId);
+      if (!account.allowNegativeBalance && account.balanceMinor + change < 0) {
+        const error = new Error(
+          `Insufficient funds in account ${accountId}: balance ${fromMinorUnits(account.balanceMinor)}, required ${fromMinorUnits(-change)}`
+        );
+        error.code = 'INSUFFICIENT_FUNDS';
+        throw error;
+      }
+    }
+
+    const entryId = uuidv4();
+    const postedAt = new Date();
+    const entry = {
+      entryId,
+      description: description || '',
+      reference,
+      currency,
+      amount: fromMinorUnits(totalDebitsMinor),
+      postings: [],
+      metadata,
+      reversalOf,
+      reversedBy: null,
+      postedAt
+    };
+
+    for (const posting of postings) {
+      const account = this.accounts.get(posting.accountId);
+      const amountMinor = toMinorUnits(posting.amount);
+
+      account.balanceMinor += posting.direction === account.normalSide ? amountMinor : -amountMinor;
+      if (posting.direction === PostingDirection.DEBIT) {
+        account.totalDebitsMinor += amountMinor;
+      } else {
+        account.totalCreditsMinor += amountMinor;
+      }
+      account.updatedAt = postedAt;
+
+      const ledgerPosting = {
+        postingId: uuidv4(),
+        entryId,
+        accountId: posting.accountId,
+        direction: posting.direction,
+        amount: fromMinorUnits(amountMinor),
+        balanceAfter: fromMinorUnits(account.balanceMinor),
+        postedAt
+      };
+
+      entry.postings.push(ledgerPosting);
+      this.postingsByAccount.get(posting.accountId).push(ledgerPosting);
+    }
+
+    this.journalEntries.set(entryId, entry);
+    return entry;
+  }
+
+  /**
+   * Post a transfer between two accounts as a two-leg journal entry
+   * @param {string} debitAccountId - Account to debit
+   * @param {string} creditAccountId - Account to credit
+   * @param {number} amount - Amount in major units
+   * @param {Object} details - Description, reference and metadata
+   * @returns {Object} Posted journal entry
+   */
+  transfer(debitAccountId, creditAccountId, amount, details = {}) {
+    return this.postJournalEntry({
+      ...details,
+      postings: [
+        { accountId: debitAccountId, direction: PostingDirection.DEBIT, amount },
+        { accountId: creditAccountId, direction: PostingDirection.CREDIT, amount }
+      ]
+    });
+  }
+
+  /**
+   * Reverse a previously posted journal entry
+   * @param {string} entryId - Entry to reverse
+   * @param {string} reason - Reversal reason
+   * @returns {Object} Reversal journal entry
+   */
+  reverseJournalEntry(entryId, reason = 'Reversal') {
+    const original = this.journalEntries.get(entryId);
+    if (!original) {
+      throw new Error(`Journal entry not found: ${entryId}`);
+    }
+
+    if (original.reversedBy) {
+      throw new Error(`Journal entry already reversed: ${entryId}`);
+    }
+
+    const reversal = this.postJournalEntry({
+      description: `${reason}: ${original.description}`,
+      reference: original.reference,
+      metadata: { ...original.metadata, reason },
+      reversalOf: entryId,
+      postings: original.postings.map(posting => ({
+        accountId: posting.accountId,
+        direction: posting.direction === PostingDirection.DEBIT ? PostingDirection.CREDIT : PostingDirection.DEBIT,
+        amount: posting.amount
+      }))
+    });
+
+    original.reversedBy = reversal.entryId;
+    return reversal;
+  }
+
+  /**
+   * Get a journal entry by ID
+   * @param {string} entryId - Entry identifier
+   * @returns {Object|null} Journal entry
+   */
+  getJournalEntry(entryId) {
+    return this.journalEntries.get(entryId) || null;
+  }
+
+  /**
+   * Get journal entries recorded against an external reference
+   * @param {string} reference - External reference
+   * @returns {Array} Journal entries
+   */
+  getJournalEntriesByReference(reference) {
+    return Array.from(this.journalEntries.values())
+      .filter(entry => entry.reference === reference);
+  }
+
+  /**
+   * Get postings for an account (statement lines)
+   * @param {string} accountId - Account identifier
+   * @param {Object} filters - startDate, endDate, limit
+   * @returns {Array} Postings in posting order
+   */
+  getAccountPostings(accountId, filters = {}) {
+    let postings = [...(this.postingsByAccount.get(accountId) || [])];
+
+    if (filters.startDate) {
+      postings = postings.filter(posting => posting.postedAt >= filters.startDate);
+    }
+
+    if (filters.endDate) {
+      postings = postings.filter(posting => posting.postedAt <= filters.endDate);
+    }
+
+    if (filters.limit) {
+      postings = postings.slice(-filters.limit);
+    }
+
+    return postings;
+  }
+
+  /**
+   * Build a trial balance across all ledger accounts
+   * @param {string} currency - Restrict to a single currency (optional)
+   * @returns {Object} Trial balance per currency with balanced flag
+   */
+  getTrialBalance(currency = null) {
+    const byCurrency = {};
+
+    for (const account of this.accounts.values()) {
+      if (currency && account.currency !== currency) {
+        continue;
+      }
+
+      if (!byCurrency[account.currency]) {
+        byCurrency[account.currency] = { debitMinor: 0, creditMinor: 0, accounts: [] };
+      }
+
+      const bucket = byCurrency[account.currency];
+      const onNormalSide = account.balanceMinor >= 0;
+      const side = onNormalSide
+        ? account.normalSide
+        : (account.normalSide === PostingDirection.DEBIT ? PostingDirection.CREDIT : PostingDirection.DEBIT);
+      const amountMinor = Math.abs(account.balanceMinor);
+
+      if (side === PostingDirection.DEBIT) {
+        bucket.debitMinor += amountMinor;
+      } else {
+        bucket.creditMinor += amountMinor;
+      }
+
+      bucket.accounts.push({
+        accountId: account.accountId,
+        name: account.name,
+        accountType: account.accountType,
+        debit: side === PostingDirection.DEBIT ? fromMinorUnits(amountMinor) : 0,
+        credit: side === PostingDirection.CREDIT ? fromMinorUnits(amountMinor) : 0
+      });
+    }
+
+    const currencies = {};
+    for (const [code, bucket] of Object.entries(byCurrency)) {
+      currencies[code] = {
+        totalDebits: fromMinorUnits(bucket.debitMinor),
+        totalCredits: fromMinorUnits(bucket.creditMinor),
+        isBalanced: bucket.debitMinor === bucket.creditMinor,
+        accounts: bucket.accounts
+      };
+    }
+
+    return {
+      generatedAt: new Date(),
+      isBalanced: Object.values(currencies).every(c => c.isBalanced),
+      currencies
+    };
+  }
+}
+
+module.exports = {
+  LedgerService,
+  SystemAccount,
+  toMinorUnits,
+  fromMinorUnits
+};
@@ -0,0 +1,184 @@
+// Loan Pricing
+// Risk-based interest rates from the loan-processing business rules
+
+const { LoanType, RateType } = require('../shared/types');
+const config = require('../config');
+
+/**
+ * Rate components of a pricing breakdown
+ */
+const PricingComponent = {
+  BASE_RATE: 'BASE_RATE',
+  BENCHMARK: 'BENCHMARK',
+  SPREAD: 'SPREAD',
+  CREDIT_SCORE: 'CREDIT_SCORE',
+  RELATIONSHIP: 'RELATIONSHIP',
+  LOAN_AMOUNT: 'LOAN_AMOUNT'
+};
+
+/**
+ * Round a rate to two decimals
+ * @param {number} rate - Rate in percent
+ * @returns {number} Rounded rate
+ */
+function roundRate(rate) {
+  return Math.round((rate + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Loan Pricing Engine - Prices a loan as a base rate (or benchmark plus
+ * spread for floating-rate loans) adjusted for credit score, customer
+ * relationship and loan size, and returns the itemized breakdown
+ */
+class LoanPricingEngine {
+  /**
+   * Pricing rules
+   * @returns {Object} interestRates section of the loan-processing business rules
+   */
+  getPricingRules() {
+    return config.getBusinessRule('loan-processing').interestRates || {};
+  }
+
+  /**
+   * Current value of a floating-rate benchmark
+   * @param {string} name - Benchmark name; defaults to the configured benchmark
+   * @returns {Object} { name, rate, effectiveFrom }
+   */
+  getBenchmark(name = null) {
+    const floating = this.getPricingRules().floating || {};
+    const benchmarkName = name || floating.benchmark;
+    const benchmark = floating.benchmarks?.[benchmarkName];
+    if (!benchmark) {
+      throw new Error(`Unknown rate benchmark: ${benchmarkName}`);
+    }
+
+    return {
+      name: benchmarkName,
+      rate: benchmark.rate,
+      effectiveFrom: benchmark.effectiveFrom ? new Date(benchmark.effectiveFrom) : null
+    };
+  }
+
+  /**
+   * Rate type for a loan: the one requested, or floating for the loan types
+   * configured under interestRates.floating and fixed otherwise
+   * @param {string} loanType - Loan type
+   * @param {string} requested - RateType requested by the applicant
+   * @returns {string} RateType
+   */
+  resolveRateType(loanType, requested = null) {
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    const floatingLoanTypes = this.getPricingRules().floating?.loanTypes || [];
+
+    if (requested && !Object.values(RateType).includes(requested)) {
+      throw new Error(`Invalid rate type: ${requested}`);
+    }
+    if (requested === RateType.FLOATING && !floatingLoanTypes.includes(productKey)) {
+      throw new Error(`Floating rates are not offered for ${productKey} loans`);
+    }
+
+    return requested || (floatingLoanTypes.includes(productKey) ? RateType.FLOATING : RateType.FIXED);
+  }
+
+  /**
+   * Price a loan
+   * @param {Object} params - { loanType, amount, creditScore, relationship, rateType }
+   *   relationship is a key of adjustments.relationshipBonus (existing, premium)
+   * @returns {Object} { rateType, interestRate, components, benchmark, spread, resetFrequencyMonths, pricedAt }
+   */
+  priceLoan({ loanType, amount, creditScore, relationship = null, rateType = null }) {
+    const rules = this.getPricingRules();
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    const resolvedRateType = this.resolveRateType(loanType, rateType);
+    const components = [];
+    let benchmark = null;
+
+    if (resolvedRateType === RateType.FLOATING) {
+      benchmark = this.getBenchmark();
+      const productSpread = rules.floating?.spread?.[productKey];
+      if (productSpread === undefined) {
+        throw new Error(`No floating-rate spread configured for ${productKey} loans`);
+      }
+      components.push({ component: PricingComponent.BENCHMARK, description: `${benchmark.name} benchmark`, rate: benchmark.rate });
+      components.push({ component: PricingComponent.SPREAD, description: `${productKey} loan spread`, rate: productSpread });
+    } else {
+      const baseRate = rules.base?.[productKey];
+      if (baseRate === undefined) {
+        throw new Error(`No base rate configured for ${productKey} loans`);
+      }
+      components.push({ component: PricingComponent.BASE_RATE, description: `${productKey} loan base rate`, rate: baseRate });
+    }
+
+    components.push(...this.calculateAdjustments({ amount, creditScore, relationship }));
+
+    const interestRate = Math.max(0, roundRate(components.reduce((sum, item) => sum + item.rate, 0)));
+    const floating = resolvedRateType === RateType.FLOATING;
+
+    return {
+      rateType: resolvedRateType,
+      interestRate,
+      components,
+      benchmark,
+      spread: floating ? roundRate(interestRate - benchmark.rate) : null,
+      resetFrequencyMonths: floating ? rules.floating?.resetFrequencyMonths || 3 : null,
+      pricedAt: new Date()
+    };
+  }
+
+  /**
+   * Risk adjustments from interestRates.adjustments. Only the highest credit
+   * score tier reached applies.
+   * @param {Object} params - { amount, creditScore, relationship }
+   * @returns {Array} { component, description, rate } for each adjustment that applies
+   */
+  calculateAdjustments({ amount, creditScore, relationship }) {
+    const adjustments = this.getPricingRules().adjustments || {};
+    const items = [];
+
+    const tier = Object.keys(adjustments.creditScoreBonus || {})
+      .map(Number)
+      .filter(minimumScore => creditScore >= minimumScore)
+      .sort((a, b) => b - a)[0];
+    if (tier !== undefined) {
+      items.push({
+        component: PricingComponent.CREDIT_SCORE,
+        description: `Credit score ${creditScore} at or above ${tier}`,
+        rate: adjustments.creditScoreBonus[tier]
+      });
+    }
+
+    const relationshipBonus = relationship && adjustments.relationshipBonus?.[relationship];
+    if (relationshipBonus) {
+      items.push({ component: PricingComponent.RELATIONSHIP, description: `${relationship} customer`, rate: relationshipBonus });
+    }
+
+    const amountPenalty = adjustments.loanAmountPenalty;
+    if (amountPenalty?.threshold && amount > amountPenalty.threshold) {
+      items.push({
+        component: PricingComponent.LOAN_AMOUNT,
+        description: `Loan amount above ${amountPenalty.threshold}`,
+        rate: amountPenalty.highAmount
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Reset a floating rate to the current benchmark plus the loan's spread
+   * @param {Object} pricing - { benchmark, spread } from the original breakdown
+   * @returns {Object} { interestRate, benchmark }
+   */
+  resetFloatingRate(pricing) {
+    const benchmark = this.getBenchmark(pricing.benchmark?.name);
+    return {
+      interestRate: Math.max(0, roundRate(benchmark.rate + pricing.spread)),
+      benchmark
+    };
+  }
+}
+
+module.exports = {
+  LoanPricingEngine,
+  PricingComponent
+};
@@ -0,0 +1,127 @@
+// Loan-to-Value
+// LTV limits and collateral valuation rules from the loan-processing business rules
+
+const { CollateralType, LoanType } = require('../shared/types');
+const { DAY_MS } = require('./amortization');
+const config = require('../config');
+
+// CollateralType -> business rule key
+const COLLATERAL_RULE_KEYS = {
+  [CollateralType.PROPERTY]: 'property',
+  [CollateralType.VEHICLE]: 'vehicle',
+  [CollateralType.SECURITIES]: 'securities',
+  [CollateralType.FIXED_DEPOSIT]: 'fixedDeposit'
+};
+
+/**
+ * Business rule key for a collateral type
+ * @param {string} type - CollateralType (rule keys are passed through)
+ * @returns {string} Rule key such as fixedDeposit
+ */
+function collateralRuleKey(type) {
+  return COLLATERAL_RULE_KEYS[type] || type;
+}
+
+/**
+ * Loan-to-Value Policy - Resolves the LTV limit for a loan and its
+ * collateral and checks that collateral valuations are current
+ */
+class LoanToValuePolicy {
+  /**
+   * LTV and collateral rules
+   * @returns {Object} { loanToValue, collateral }
+   */
+  getRules() {
+    const rules = config.getBusinessRule('loan-processing');
+    return {
+      loanToValue: rules.loanToValue || {},
+      collateral: rules.collateral || {}
+    };
+  }
+
+  /**
+   * Whether a loan type must be secured
+   * @param {string} loanType - Loan type
+   * @returns {boolean}
+   */
+  isCollateralRequired(loanType) {
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    return (this.getRules().collateral.requiredFor || []).includes(productKey);
+  }
+
+  /**
+   * Maximum LTV for a loan. Vehicle loans use the new-vehicle limit only when
+   * every vehicle pledged is new; premium customers get the premium limit
+   * where one is configured.
+   * @param {string} loanType - Loan type
+   * @param {Array} collateral - Collateral pledged
+   * @param {Object} options - { premium }
+   * @returns {number|null} Limit as a ratio, or null when none is configured
+   */
+  getLimit(loanType, collateral = [], { premium = false } = {}) {
+    const productKey = (loanType || LoanType.PERSONAL).toLowerCase();
+    const limits = this.getRules().loanToValue[productKey];
+    if (!limits) {
+      return null;
+    }
+
+    if (limits.new !== undefined || limits.used !== undefined) {
+      const vehicles = collateral.filter(item => item.type === CollateralType.VEHICLE);
+      const allNew = vehicles.length > 0 && vehicles.every(item => item.details?.condition === 'new');
+      return allNew ? limits.new : limits.used;
+    }
+
+    if (limits.maximum !== undefined) {
+      return premium && limits.premium !== undefined ? limits.premium : limits.maximum;
+    }
+
+    return limits.secured ?? null;
+  }
+
+  /**
+   * Whether a collateral valuation is recent enough to lend against
+   * @param {Object} collateral - Collateral with type and valuationDate
+   * @param {Date} asOf - Reference date
+   * @returns {boolean}
+   */
+  isValuationCurrent(collateral, asOf = new Date()) {
+    const validityDays = this.getRules().collateral.valuationValidityDays?.[collateralRuleKey(collateral.type)];
+    if (!validityDays) {
+      return true;
+    }
+    if (!collateral.valuationDate) {
+      return false;
+    }
+    return asOf.getTime() - new Date(collateral.valuationDate).getTime() <= validityDays * DAY_MS;
+  }
+
+  /**
+   * Assess a loan amount against its collateral
+   * @param {string} loanType - Loan type
+   * @param {number} amount - Loan amount or principal outstanding
+   * @param {Array} collateral - Collateral pledged
+   * @param {Object} options - { premium, asOf }
+   * @returns {Object} { required, collateralValue, ratio, limit, withinLimit, staleCollateral }
+   */
+  assess(loanType, amount, collateral = [], { premium = false, asOf = new Date() } = {}) {
+    const collateralValue = collateral.reduce((sum, item) => sum + (Number(item.value) || 0), 0);
+    const ratio = collateralValue > 0 ? Math.round(amount / collateralValue * 10000) / 10000 : null;
+    const limit = this.getLimit(loanType, collateral, { premium });
+
+    return {
+      required: this.isCollateralRequired(loanType),
+      collateralValue,
+      ratio,
+      limit,
+      withinLimit: ratio === null || limit === null || ratio <= limit,
+      staleCollateral: collateral
+        .filter(item => !this.isValuationCurrent(item, asOf))
+        .map(item => item.collateralId || item.type)
+    };
+  }
+}
+
+module.exports = {
+  LoanToValuePolicy,
+  collateralRuleKey
+};
@@ -0,0 +1,231 @@
+// Monitoring Rules Engine
+// Evaluates each incoming transaction against declarative sliding-window AML rules
+
+const configManager = require('../config');
+
+/**
+ * Supported window aggregates
+ */
+const RuleAggregate = {
+  SUM: 'sum',     // Total amount
+  COUNT: 'count'  // Number of transactions
+};
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} source - Object to read
+ * @param {string} path - e.g. 'thresholds.cash.daily'
+ * @returns {*} Value or undefined
+ */
+function getPath(source, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    source
+  );
+}
+
+/**
+ * MonitoringRulesEngine - Keeps a sliding window of recent transactions per
+ * customer and evaluates the transactionMonitoring.rules definitions from
+ * the aml-compliance business rules against it.
+ */
+class MonitoringRulesEngine {
+  /**
+   * @param {Object} options - { rules } to use instead of the configured ones;
+   *   { overrides } values keyed by transactionMonitoring path, e.g.
+   *   { 'thresholds.cash.single': 10000 }
+   */
+  constructor(options = {}) {
+    this.ruleDefinitions = options.rules || null;
+    this.overrides = options.overrides || {};
+    this.windows = new Map(); // customerId -> window entries, oldest first
+  }
+
+  /**
+   * Current rule definitions, channels and thresholds
+   * @returns {Object} { rules, channels, monitoring }
+   */
+  getRules() {
+    const monitoring = configManager.getBusinessRule('aml-compliance').transactionMonitoring || {};
+    return {
+      rules: this.ruleDefinitions || monitoring.rules || [],
+      channels: monitoring.channels || {},
+      monitoring
+    };
+  }
+
+  /**
+   * Resolve a numeric or boolean rule field
+   * @param {number|boolean|string|Object} spec - Literal, transactionMonitoring path, or { ref, times }
+   * @param {Object} monitoring - transactionMonitoring rules
+   * @returns {*} Resolved value
+   */
+  resolveValue(spec, monitoring) {
+    if (typeof spec === 'string') {
+      return this.overrides[spec] !== undefined ? this.overrides[spec] : getPath(monitoring, spec);
+    }
+    if (spec !== null && typeof spec === 'object') {
+      const value = this.resolveValue(spec.ref, monitoring);
+      const factor = spec.times === undefined ? 1 : this.resolveValue(spec.times, monitoring);
+      return value === undefined || value === null || factor === undefined ? undefined : value * factor;
+    }
+    return spec;
+  }
+
+  /**
+   * Resolve every field of a rule definition
+   * @param {Object} definition - Rule from transactionMonitoring.rules
+   * @param {Object} monitoring - transactionMonitoring rules
+   * @returns {Object} Resolved rule
+   */
+  resolveRule(definition, monitoring) {
+    if (!definition.id || !definition.flag) {
+      throw new Error('Monitoring rule requires an id and a flag');
+    }
+    if (!Object.values(RuleAggregate).includes(definition.aggregate)) {
+      throw new Error(`Invalid aggregate for monitoring rule ${definition.id}: ${definition.aggregate}`);
+    }
+
+    const where = Object.fromEntries(
+      Object.entries(definition.where || {}).map(([key, spec]) => [key, this.resolveValue(spec, monitoring)])
+    );
+
+    return {
+      id: definition.id,
+      flag: definition.flag,
+      description: definition.description || definition.id,
+      enabled: definition.enabled === undefined ? true : this.resolveValue(definition.enabled, monitoring) !== false,
+      channel: definition.channel || 'any',
+      windowSeconds: this.resolveValue(definition.window || 0, monitoring),
+      aggregate: definition.aggregate,
+      where,
+      threshold: this.resolveValue(definition.threshold, monitoring)
+    };
+  }
+
+  /**
+   * Add a transaction to the customer's window and evaluate every enabled
+   * rule against it
+   * @param {Transaction} transaction - Incoming transaction
+   * @param {Object} customer - Customer object
+   * @returns {Object} { flags, hits } where hits describe each triggered rule
+   */
+  evaluate(transaction, customer) {
+    const { rules, channels, monitoring } = this.getRules();
+    const resolved = rules.map(rule => this.resolveRule(rule, monitoring))
+      .filter(rule => rule.enabled && typeof rule.threshold === 'number' && typeof rule.windowSeconds === 'number');
+
+    const entry = {
+      transactionId: transaction.transactionId,
+      amount: transaction.amount,
+      transactionType: transaction.transactionType,
+      channel: transaction.channel || null,
+      timestamp: new Date(transaction.timestamp || transaction.processedAt || Date.now())
+    };
+    const longestWindow = Math.max(0, ...resolved.map(rule => rule.windowSeconds));
+    const window = this.record(customer.customerId, entry, longestWindow);
+
+    const hits = [];
+    resolved.forEach(rule => {
+      if (!this.matches(entry, rule, channels)) {
+        return;
+      }
+
+      const since = entry.timestamp.getTime() - rule.windowSeconds * 1000;
+      const inWindow = rule.windowSeconds === 0
+        ? [entry]
+        : window.filter(item => {
+          const time = item.timestamp.getTime();
+          return time > since && time <= entry.timestamp.getTime() && this.matches(item, rule, channels);
+        });
+
+      const value = rule.aggregate === RuleAggregate.SUM
+        ? inWindow.reduce((sum, item) => sum + item.amount, 0)
+        : inWindow.length;
+
+      if (value >= rule.threshold) {
+        hits.push({
+          ruleId: rule.id,
+          flag: rule.flag,
+          description: rule.description,
+          aggregate: rule.aggregate,
+          value,
+          threshold: rule.threshold,
+          windowSeconds: rule.windowSeconds,
+          transactionIds: inWindow.map(item => item.transactionId)
+        });
+      }
+    });
+
+    return {
+      flags: [...new Set(hits.map(hit => hit.flag))],
+      hits
+    };
+  }
+
+  /**
+   * Check whether a window entry is covered by a rule's channel and filters
+   * @param {Object} entry - Window entry
+   * @param {Object} rule - Resolved rule
+   * @param {Object} channels - Channel definitions
+   * @returns {boolean} Whether the entry counts towards the rule
+   */
+  matches(entry, rule, channels) {
+    if (rule.channel !== 'any') {
+      const channel = channels[rule.channel] || {};
+      const inChannel = entry.channel
+        ? entry.channel.toLowerCase() === rule.channel.toLowerCase()
+        : (channel.transactionTypes || []).includes(entry.transactionType);
+      if (!inChannel) {
+        return false;
+      }
+    }
+
+    const { minAmount, belowAmount, multipleOf } = rule.where;
+    if (minAmount !== undefined && entry.amount < minAmount) {
+      return false;
+    }
+    if (belowAmount !== undefined && entry.amount >= belowAmount) {
+      return false;
+    }
+    if (multipleOf !== undefined && (multipleOf <= 0 || entry.amount % multipleOf !== 0)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Insert an entry in timestamp order and drop entries outside the longest window
+   * @param {string} customerId - Customer ID
+   * @param {Object} entry - Window entry
+   * @param {number} longestWindow - Longest rule window in seconds
+   * @returns {Array} The customer's window
+   */
+  record(customerId, entry, longestWindow) {
+    const window = this.windows.get(customerId) || [];
+    let index = window.length;
+    while (index > 0 && window[index - 1].timestamp > entry.timestamp) {
+      index--;
+    }
+    window.splice(index, 0, entry);
+
+    const latest = window[window.length - 1].timestamp.getTime();
+    const pruned = window.filter(item => item.timestamp.getTime() > latest - longestWindow * 1000 || item === entry);
+    this.windows.set(customerId, pruned);
+    return pruned;
+  }
+
+  /**
+   * Get the transactions currently held for a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Array} Window entries, oldest first
+   */
+  getWindow(customerId) {
+    return [...(this.windows.get(customerId) || [])];
+  }
+}
+
+module.exports = {
+  MonitoringRulesEngine,
+  RuleAggregate
+};
@@ -262,6 +262,165 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a collection reminder for an overdue loan
+   * @param {Object} customer - Customer object
+   * @param {Object} reminder - { loanId, bucket, daysPastDue, amountOverdue, currency }
+   * @param {Array} channels - Preferred notification channels
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendCollectionReminderNotification(customer, reminder, channels = ['sms']) {
+    const notificationId = uuidv4();
+    const startTime = Date.now();
+
+    try {
+      const notificationData = {
+        notificationId,
+        type: 'COLLECTION_REMINDER',
+        customer,
+        reminder,
+        timestamp: new Date(),
+        channels: this.filterEnabledChannels(channels)
+      };
+
+      const template = this.templateManager.getTemplate('COLLECTION_REMINDER');
+      
+      const deliveryResults = await this.sendMultiChannelNotification(notificationData, template);
+      
+      const deliveryRecord = this.deliveryTracker.createDeliveryRecord(
+        notificationId,
+        'COLLECTION_REMINDER',
+        customer.customerId,
+        deliveryResults
+      );
+
+      this.updateMetrics(deliveryResults, Date.now() - startTime);
+
+      return {
+        success: deliveryResults.some(result => result.success),
+        notificationId,
+        deliveryResults,
+        deliveryRecord,
+        processingTime: Date.now() - startTime
+      };
+
+    } catch (error) {
+      this.metrics.failedDeliveries++;
+      return {
+        success: false,
+        notificationId,
+        error: error.message,
+        processingTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Send a reminder before a scheduled payment is made
+   * @param {Object} customer - Customer object
+   * @param {Object} scheduledPayment - { instructionId, executionDate, amount, currency, toAccountId, description }
+   * @param {Array} channels - Preferred notification channels
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendScheduledPaymentReminderNotification(customer, scheduledPayment, channels = ['email', 'sms']) {
+    const notificationId = uuidv4();
+    const startTime = Date.now();
+
+    try {
+      const notificationData = {
+        notificationId,
+        type: 'SCHEDULED_PAYMENT_REMINDER',
+        customer,
+        scheduledPayment,
+        timestamp: new Date(),
+        channels: this.filterEnabledChannels(channels)
+      };
+
+      const template = this.templateManager.getTemplate('SCHEDULED_PAYMENT_REMINDER');
+      
+      const deliveryResults = await this.sendMultiChannelNotification(notificationData, template);
+      
+      const deliveryRecord = this.deliveryTracker.createDeliveryRecord(
+        notificationId,
+        'SCHEDULED_PAYMENT_REMINDER',
+        customer.customerId,
+        deliveryResults
+      );
+
+      this.updateMetrics(deliveryResults, Date.now() - startTime);
+
+      return {
+        success: deliveryResults.some(result => result.success),
+        notificationId,
+        deliveryResults,
+        deliveryRecord,
+        processingTime: Date.now() - startTime
+      };
+
+    } catch (error) {
+      this.metrics.failedDeliveries++;
+      return {
+        success: false,
+        notificationId,
+        error: error.message,
+        processingTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Send a notice that a scheduled payment could not be made
+   * @param {Object} customer - Customer object
+   * @param {Object} scheduledPayment - { instructionId, executionDate, amount, currency, toAccountId, description, reason }
+   * @param {Array} channels - Preferred notification channels
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendScheduledPaymentFailedNotification(customer, scheduledPayment, channels = ['email', 'sms']) {
+    const notificationId = uuidv4();
+    const startTime = Date.now();
+
+    try {
+      const notificationData = {
+        notificationId,
+        type: 'SCHEDULED_PAYMENT_FAILED',
+        customer,
+        scheduledPayment,
+        timestamp: new Date(),
+        channels: this.filterEnabledChannels(channels)
+      };
+
+      const template = this.templateManager.getTemplate('SCHEDULED_PAYMENT_FAILED');
+      
+      const deliveryResults = await this.sendMultiChannelNotification(notificationData, template);
+      
+      const deliveryRecord = this.deliveryTracker.createDeliveryRecord(
+        notificationId,
+        'SCHEDULED_PAYMENT_FAILED',
+        customer.customerId,
+        deliveryResults
+      );
+
+      this.updateMetrics(deliveryResults, Date.now() - startTime);
+
+      return {
+        success: deliveryResults.some(result => result.success),
+        notificationId,
+        deliveryResults,
+        deliveryRecord,
+        processingTime: Date.now() - startTime
+      };
+
+    } catch (error) {
+      this.metrics.failedDeliveries++;
+      return {
+        success: false,
+        notificationId,
+        error: error.message,
+        processingTime: Date.now() - startTime
+      };
+    }
+  }
+
   /**
    * Send notifications across multiple channels
    * @param {Object} notificationData - Notification data
@@ -648,6 +807,103 @@ Best regards,
         body: 'Please check your email for important information about your account application.'
       }
     });
+
+    // Collection Reminder Template
+    this.templates.set('COLLECTION_REMINDER', {
+      type: 'COLLECTION_REMINDER',
+      email: {
+        subject: 'Overdue Loan Payment - {{bankName}}',
+        body: `
+Dear {{customerName}},
+
+Our records show that the installments on your loan are overdue.
+
+Loan Details:
+- Loan ID: {{loanId}}
+- Amount Overdue: {{amountOverdue}} {{currency}}
+- Days Past Due: {{daysPastDue}}
+
+Please pay the overdue amount at the earliest to avoid further penal charges and an adverse report to credit bureaus. If you have already paid, please ignore this message.
+
+Best regards,
+{{bankName}} Team
+        `.trim(),
+        isHtml: false
+      },
+      sms: {
+        body: 'Your loan {{loanId}} is {{daysPastDue}} days overdue. Please pay {{amountOverdue}} {{currency}} at the earliest to avoid penal charges. - {{bankName}}'
+      },
+      push: {
+        title: 'Loan Payment Overdue',
+        body: 'Your loan payment of {{amountOverdue}} {{currency}} is {{daysPastDue}} days overdue.'
+      }
+    });
+
+    // Scheduled Payment Reminder Template
+    this.templates.set('SCHEDULED_PAYMENT_REMINDER', {
+      type: 'SCHEDULED_PAYMENT_REMINDER',
+      email: {
+        subject: 'Upcoming Scheduled Payment - {{bankName}}',
+        body: `
+Dear {{customerName}},
+
+This is a reminder that the following scheduled payment will be made from your account.
+
+Payment Details:
+- Instruction ID: {{instructionId}}
+- Payment Date: {{executionDate}}
+- Amount: {{amount}} {{currency}}
+- To Account: {{toAccountId}}
+- Description: {{description}}
+
+Please keep sufficient balance in your account on the payment date. You can skip, pause or cancel this payment through internet banking.
+
+Best regards,
+{{bankName}} Team
+        `.trim(),
+        isHtml: false
+      },
+      sms: {
+        body: 'Your scheduled payment of {{amount}} {{currency}} will be made on {{executionDate}}. Please keep sufficient balance. - {{bankName}}'
+      },
+      push: {
+        title: 'Upcoming Scheduled Payment',
+        body: 'Your scheduled payment of {{amount}} {{currency}} will be made on {{executionDate}}.'
+      }
+    });
+
+    // Scheduled Payment Failed Template
+    this.templates.set('SCHEDULED_PAYMENT_FAILED', {
+      type: 'SCHEDULED_PAYMENT_FAILED',
+      email: {
+        subject: 'Scheduled Payment Not Made - {{bankName}}',
+        body: `
+Dear {{customerName}},
+
+We could not make the following scheduled payment.
+
+Payment Details:
+- Instruction ID: {{instructionId}}
+- Payment Date: {{executionDate}}
+- Amount: {{amount}} {{currency}}
+- To Account: {{toAccountId}}
+- Reason: {{failureReason}}
+
+Please make this payment separately if it is still due.
+
+Best regards,
+{{bankName}} Team
+        `.trim(),
+        isHtml: false
+      },
+      sms: {
+        body: 'Your scheduled payment of {{amount}} {{currency}} due {{executionDate}} was not made: {{failureReason}}. - {{bankName}}'
+      },
+      push: {
+        title: 'Scheduled Payment Not Made',
+        body: 'Your scheduled payment of {{amount}} {{currency}} due {{executionDate}} was not made.'
+      }
+    });
   }
 
   /**
@@ -841,7 +1097,7 @@ class EmailChannel extends BaseNotificationChannel {
   }
 
   prepareTemplateData(notificationData) {
-    const { customer, account, loanApplication, transaction, rejectionReason } = notificationData;
+    const { customer, account, loanApplication, transaction, rejectionReason, reminder, scheduledPayment } = notificationData;
     
     const data = {
       bankName: 'SecureBank',
@@ -874,6 +1130,23 @@ class EmailChannel extends BaseNotificationChannel {
       data.rejectionReason = rejectionReason;
     }
 
+    if (reminder) {
+      data.loanId = reminder.loanId;
+      data.amountOverdue = reminder.amountOverdue;
+      data.currency = reminder.currency;
+      data.daysPastDue = reminder.daysPastDue;
+    }
+
+    if (scheduledPayment) {
+      data.instructionId = scheduledPayment.instructionId;
+      data.executionDate = scheduledPayment.executionDate;
+      data.amount = scheduledPayment.amount;
+      data.currency = scheduledPayment.currency;
+      data.toAccountId = scheduledPayment.toAccountId;
+      data.description = scheduledPayment.description;
+      data.failureReason = scheduledPayment.reason;
+    }
+
     return data;
   }
 }
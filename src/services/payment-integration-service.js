@@ -9,8 +9,11 @@ const { PaymentStatus, PaymentRail } = require('../shared/types');
  * Orchestrates payment processing across different payment networks
  */
 class PaymentIntegrationService {
-  constructor() {
-    this.networkManager = new PaymentNetworkIntegrationManager();
+  /**
+   * @param {Object} options - { paymentRailSelector } shared with the warehouse release job
+   */
+  constructor(options = {}) {
+    this.networkManager = new PaymentNetworkIntegrationManager(options);
     this.activePayments = new Map();
     this.paymentMetrics = {
       totalProcessed: 0,
@@ -59,10 +62,13 @@ class PaymentIntegrationService {
         await this.handlePaymentSuccess(paymentId, result);
         this.updateMetrics(result, Date.now() - startTime);
         
+        // WAREHOUSED payments are accepted but not sent until scheduledFor
         return {
           success: true,
           paymentId,
           transactionId: result.transactionId,
+          status: result.status || PaymentStatus.COMPLETED,
+          scheduledFor: result.scheduledFor || null,
           railUsed: result.railUsed,
           failoverUsed: result.failoverUsed,
           fees: result.fees,
@@ -1,8 +1,17 @@
 // Payment Network Integration Adapters
-// Implements SWIFT, RTGS, NEFT, and UPI integration adapters with transaction status tracking
+// Implements SWIFT, RTGS, NEFT, IMPS, and UPI integration adapters with transaction status tracking
 
+const { v4: uuidv4 } = require('uuid');
 const { PaymentRail, PaymentStatus, Currency } = require('../shared/types');
 const CircuitBreaker = require('./circuit-breaker');
+const appConfig = require('../config');
+const { SettlementCalendar } = require('./settlement-calendar');
+const { ISO20022MessageService } = require('./iso20022');
+
+const BIC_PATTERN = /^[A-Z0-9]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+// A release claim not resolved within this is taken to be from a run that died
+const RELEASE_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
 
 /**
  * Base Payment Network Adapter
@@ -10,18 +19,24 @@ const CircuitBreaker = require('./circuit-breaker');
  */
 class BasePaymentNetworkAdapter {
   constructor(networkName, config = {}) {
+    const { settlementCalendar, messageService, messageExchange, warehouseRepository, ...options } = config;
     this.networkName = networkName;
     this.config = {
       timeout: 30000,
       retryAttempts: 3,
       retryDelay: 1000,
-      ...config
+      ...options
     };
+    this.settlementCalendar = settlementCalendar || new SettlementCalendar();
+    this.messageService = messageService || new ISO20022MessageService();
+    this.messageExchange = messageExchange || null;
+    this.warehouseRepository = warehouseRepository || null;
     this.circuitBreaker = new CircuitBreaker({
       failureThreshold: 5,
       resetTimeout: 60000
     });
     this.transactionStatus = new Map();
+    this.warehousedPayments = new Map();
   }
 
   /**
@@ -83,6 +98,186 @@ class BasePaymentNetworkAdapter {
     };
   }
 
+  /**
+   * Checks whether the network accepts payments for settlement
+   * @param {Date} at - Time to check
+   * @returns {boolean} True if within the settlement calendar's window
+   */
+  isOpenForSettlement(at = new Date()) {
+    return this.settlementCalendar.isOpen(this.networkName, at);
+  }
+
+  /**
+   * Holds a valid payment that arrived outside the settlement window until
+   * the next slot the network accepts payments
+   * @param {Object} paymentInstruction - Payment instruction
+   * @param {string} transactionId - Transaction ID
+   * @param {Date} at - Time the payment arrived
+   * @returns {Promise<Object>} Warehousing result
+   */
+  async warehousePayment(paymentInstruction, transactionId, at = new Date()) {
+    const scheduledFor = this.settlementCalendar.getNextSlot(this.networkName, at);
+    const entry = { paymentInstruction, warehousedAt: at, scheduledFor };
+
+    if (this.warehouseRepository) {
+      await this.warehouseRepository.save({ transactionId, network: this.networkName, ...entry });
+    }
+    this.warehousedPayments.set(transactionId, entry);
+    this.updateTransactionStatus(transactionId, PaymentStatus.WAREHOUSED, { scheduledFor });
+
+    return {
+      success: true,
+      transactionId,
+      status: PaymentStatus.WAREHOUSED,
+      scheduledFor,
+      networkName: this.networkName
+    };
+  }
+
+  /**
+   * Sends warehoused payments whose settlement slot has arrived. With a
+   * repository the due payments are claimed from storage, so payments
+   * warehoused before a restart are sent and none is sent twice. A payment
+   * whose release throws goes back to the warehouse for the next run.
+   * @param {Date} asOf - Current time
+   * @returns {Promise<Array>} Processing results
+   */
+  async releaseWarehousedPayments(asOf = new Date()) {
+    const due = this.warehouseRepository
+      ? (await this.warehouseRepository.claimDue(this.networkName, asOf, new Date(Date.now() - RELEASE_CLAIM_TIMEOUT_MS)))
+        .map(entry => [entry.transactionId, entry])
+      : [...this.warehousedPayments.entries()].filter(([, entry]) => entry.scheduledFor <= asOf);
+    const results = [];
+
+    for (const [transactionId, entry] of due) {
+      this.warehousedPayments.delete(transactionId);
+
+      let result;
+      try {
+        result = await this.processPayment(entry.paymentInstruction, { transactionId, at: asOf });
+      } catch (error) {
+        if (this.warehouseRepository) {
+          await this.warehouseRepository.releaseClaim(transactionId);
+        } else {
+          this.warehousedPayments.set(transactionId, entry);
+        }
+        results.push({ success: false, transactionId, error: error.message, networkName: this.networkName });
+        continue;
+      }
+
+      if (this.warehouseRepository && result.status !== PaymentStatus.WAREHOUSED) {
+        await this.warehouseRepository.markReleased(transactionId, result.success ? result.status : PaymentStatus.FAILED, asOf);
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Builds, validates and sends a pacs.008 credit transfer for a payment
+   * instruction. Without a message exchange the message is built and
+   * validated but not sent.
+   * @param {Object} paymentInstruction - Payment instruction
+   * @param {string} transactionId - Transaction ID, sent as the TxId
+   * @param {Object} agents - { creditorAgent, instructedAgent }
+   * @returns {Promise<Object>} { messageId, uetr, xml, sent }
+   */
+  async sendCreditTransfer(paymentInstruction, transactionId, agents) {
+    const paymentOrder = {
+      paymentId: paymentInstruction.paymentId || uuidv4(),
+      fromAccountId: paymentInstruction.fromAccount,
+      toAccountId: paymentInstruction.toAccount,
+      amount: paymentInstruction.amount,
+      currency: paymentInstruction.currency,
+      description: paymentInstruction.description
+    };
+    const message = this.messageService.buildPacs008(paymentOrder, {
+      debtor: { name: paymentInstruction.debtorName },
+      creditor: { name: paymentInstruction.beneficiaryName },
+      ...agents
+    }, { transactionId });
+
+    const validation = await this.messageService.validate(message.xml);
+    if (!validation.isValid) {
+      throw new Error(`Invalid pacs.008 message: ${validation.errors.join('; ')}`);
+    }
+
+    if (this.messageExchange) {
+      await this.messageExchange.send(message);
+    }
+
+    return { messageId: message.messageId, uetr: paymentOrder.paymentId, xml: message.xml, sent: Boolean(this.messageExchange) };
+  }
+
+  /**
+   * Applies a pacs.002 status report or camt.054 notification to the
+   * transactions it refers to (matched on TxId, then EndToEndId or UETR)
+   * @param {string} xml - XML document
+   * @returns {Promise<Array>} Applied updates [{ transactionId, status, statusCode, reasonCode }]
+   */
+  async applyStatusMessage(xml) {
+    const parsed = await this.messageService.parse(xml);
+    const applied = [];
+
+    for (const update of parsed.statusUpdates) {
+      const transactionId = this.findTransactionForMessage(update);
+      if (!transactionId || !update.status) {
+        continue;
+      }
+
+      const current = this.transactionStatus.get(transactionId);
+      this.updateTransactionStatus(transactionId, update.status, {
+        ...current.metadata,
+        iso20022Status: update.statusCode,
+        reasonCode: update.reasonCode,
+        reason: update.reason,
+        statusMessageId: parsed.messageId
+      });
+      applied.push({ transactionId, status: update.status, statusCode: update.statusCode, reasonCode: update.reasonCode || null });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Transaction an inbound status update refers to
+   * @param {Object} update - { transactionId, endToEndId, uetr }
+   * @returns {string|null} Transaction ID
+   */
+  findTransactionForMessage(update) {
+    if (update.transactionId && this.transactionStatus.has(update.transactionId)) {
+      return update.transactionId;
+    }
+    for (const [transactionId, status] of this.transactionStatus.entries()) {
+      if ((update.uetr && status.metadata.uetr === update.uetr) || (update.endToEndId && update.endToEndId === transactionId)) {
+        return transactionId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads the status messages waiting on the message exchange and applies them
+   * @returns {Promise<Array>} [{ fileName, updates }] or [{ fileName, error }] per file
+   */
+  async receiveStatusMessages() {
+    if (!this.messageExchange) {
+      return [];
+    }
+
+    const messages = await this.messageExchange.receive();
+    const results = [];
+    for (const { fileName, xml } of messages) {
+      try {
+        results.push({ fileName, updates: await this.applyStatusMessage(xml) });
+      } catch (error) {
+        results.push({ fileName, error: error.message });
+      }
+    }
+    return results;
+  }
+
   /**
    * Simulates network delay
    * @param {number} delay - Delay in milliseconds
@@ -159,10 +354,11 @@ class SWIFTAdapter extends BasePaymentNetworkAdapter {
   /**
    * Processes SWIFT payment
    * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} options - { at, transactionId } when sending a warehoused payment
    * @returns {Promise<Object>} Processing result
    */
-  async processPayment(paymentInstruction) {
-    const transactionId = this.generateTransactionReference('SWIFT');
+  async processPayment(paymentInstruction, options = {}) {
+    const { at = new Date(), transactionId = this.generateTransactionReference('SWIFT') } = options;
     
     try {
       // Validate payment instruction
@@ -178,6 +374,11 @@ class SWIFTAdapter extends BasePaymentNetworkAdapter {
         };
       }
 
+      // Outside the settlement window: hold for the next valid slot
+      if (!this.isOpenForSettlement(at)) {
+        return this.warehousePayment(paymentInstruction, transactionId, at);
+      }
+
       this.updateTransactionStatus(transactionId, PaymentStatus.PROCESSING, {
         swiftCode: paymentInstruction.swiftCode,
         correspondentBank: paymentInstruction.correspondentBank
@@ -196,15 +397,22 @@ class SWIFTAdapter extends BasePaymentNetworkAdapter {
         return await this.executeSWIFTTransfer(paymentInstruction, transactionId);
       });
 
-      this.updateTransactionStatus(transactionId, PaymentStatus.COMPLETED, {
+      // A pacs.008 sent to the network completes when its pacs.002 arrives
+      const status = result.sent ? PaymentStatus.PROCESSING : PaymentStatus.COMPLETED;
+      this.updateTransactionStatus(transactionId, status, {
         swiftReference: result.swiftReference,
-        fees: result.fees
+        fees: result.fees,
+        messageId: result.messageId,
+        uetr: result.uetr
       });
 
       return {
         success: true,
         transactionId,
+        status,
         swiftReference: result.swiftReference,
+        messageId: result.messageId,
+        uetr: result.uetr,
         fees: result.fees,
         processingTime: this.config.processingTime,
         networkName: this.networkName
@@ -225,19 +433,25 @@ class SWIFTAdapter extends BasePaymentNetworkAdapter {
   }
 
   /**
-   * Executes SWIFT transfer (mock implementation)
+   * Executes SWIFT transfer as a pacs.008 to the beneficiary bank, through
+   * the correspondent bank when it is given as a BIC
    * @param {Object} paymentInstruction - Payment instruction
    * @param {string} transactionId - Transaction ID
    * @returns {Promise<Object>} Transfer result
    */
   async executeSWIFTTransfer(paymentInstruction, transactionId) {
-    // Mock SWIFT processing
     const fees = this.calculateFees(paymentInstruction.amount);
     const swiftReference = `FT${Date.now()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    const { correspondentBank } = paymentInstruction;
+    const message = await this.sendCreditTransfer(paymentInstruction, transactionId, {
+      creditorAgent: { bic: paymentInstruction.swiftCode },
+      instructedAgent: BIC_PATTERN.test(correspondentBank) ? { bic: correspondentBank } : { name: correspondentBank }
+    });
 
     return {
       swiftReference,
       fees,
+      ...message,
       processedAt: new Date()
     };
   }
@@ -292,7 +506,6 @@ class RTGSAdapter extends BasePaymentNetworkAdapter {
       processingTime: 'Real-time',
       minAmount: 200000,
       maxAmount: 50000000,
-      operatingHours: { start: 9, end: 16 }, // 9 AM to 4 PM
       fees: { base: 5, percentage: 0.05 },
       ...config
     });
@@ -321,10 +534,6 @@ class RTGSAdapter extends BasePaymentNetworkAdapter {
       errors.push(`Maximum amount for RTGS is ${this.config.maxAmount}`);
     }
 
-    if (!this.isWithinOperatingHours()) {
-      errors.push('RTGS is only available during banking hours (9 AM - 4 PM)');
-    }
-
     if (!paymentInstruction.ifscCode) {
       errors.push('IFSC code is required for RTGS transfers');
     }
@@ -336,22 +545,22 @@ class RTGSAdapter extends BasePaymentNetworkAdapter {
   }
 
   /**
-   * Checks if current time is within RTGS operating hours
+   * Checks if a time is within RTGS operating hours on a business day
+   * @param {Date} at - Time to check
    * @returns {boolean} True if within operating hours
    */
-  isWithinOperatingHours() {
-    const now = new Date();
-    const hour = now.getHours();
-    return hour >= this.config.operatingHours.start && hour < this.config.operatingHours.end;
+  isWithinOperatingHours(at = new Date()) {
+    return this.isOpenForSettlement(at);
   }
 
   /**
    * Processes RTGS payment
    * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} options - { at, transactionId } when sending a warehoused payment
    * @returns {Promise<Object>} Processing result
    */
-  async processPayment(paymentInstruction) {
-    const transactionId = this.generateTransactionReference('RTGS');
+  async processPayment(paymentInstruction, options = {}) {
+    const { at = new Date(), transactionId = this.generateTransactionReference('RTGS') } = options;
     
     try {
       // Validate payment instruction
@@ -367,6 +576,11 @@ class RTGSAdapter extends BasePaymentNetworkAdapter {
         };
       }
 
+      // Outside the settlement window: hold for the next valid slot
+      if (!this.isOpenForSettlement(at)) {
+        return this.warehousePayment(paymentInstruction, transactionId, at);
+      }
+
       this.updateTransactionStatus(transactionId, PaymentStatus.PROCESSING, {
         ifscCode: paymentInstruction.ifscCode
       });
@@ -384,15 +598,22 @@ class RTGSAdapter extends BasePaymentNetworkAdapter {
         return await this.executeRTGSTransfer(paymentInstruction, transactionId);
       });
 
-      this.updateTransactionStatus(transactionId, PaymentStatus.COMPLETED, {
+      // A pacs.008 sent to the network completes when its pacs.002 arrives
+      const status = result.sent ? PaymentStatus.PROCESSING : PaymentStatus.COMPLETED;
+      this.updateTransactionStatus(transactionId, status, {
         rtgsReference: result.rtgsReference,
-        fees: result.fees
+        fees: result.fees,
+        messageId: result.messageId,
+        uetr: result.uetr
       });
 
       return {
         success: true,
         transactionId,
+        status,
         rtgsReference: result.rtgsReference,
+        messageId: result.messageId,
+        uetr: result.uetr,
         fees: result.fees,
         processingTime: this.config.processingTime,
         networkName: this.networkName
@@ -413,19 +634,22 @@ class RTGSAdapter extends BasePaymentNetworkAdapter {
   }
 
   /**
-   * Executes RTGS transfer (mock implementation)
+   * Executes RTGS transfer as a pacs.008 to the beneficiary bank's IFSC
    * @param {Object} paymentInstruction - Payment instruction
    * @param {string} transactionId - Transaction ID
    * @returns {Promise<Object>} Transfer result
    */
   async executeRTGSTransfer(paymentInstruction, transactionId) {
-    // Mock RTGS processing
     const fees = this.calculateFees(paymentInstruction.amount);
     const rtgsReference = `R${Date.now()}${Math.random().toString(36).substr(2, 8).toUpperCase()}`;
+    const message = await this.sendCreditTransfer(paymentInstruction, transactionId, {
+      creditorAgent: { clearingSystemMemberId: paymentInstruction.ifscCode }
+    });
 
     return {
       rtgsReference,
       fees,
+      ...message,
       processedAt: new Date()
     };
   }
@@ -453,7 +677,7 @@ class NEFTAdapter extends BasePaymentNetworkAdapter {
       processingTime: '2-4 hours',
       minAmount: 1,
       maxAmount: 1000000,
-      batchTimes: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18], // Hourly batches
+      batchTimes: ['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00'], // Hourly batches
       fees: { base: 2, percentage: 0.02 },
       ...config
     });
@@ -493,36 +717,23 @@ class NEFTAdapter extends BasePaymentNetworkAdapter {
   }
 
   /**
-   * Gets next NEFT batch time
+   * Gets next NEFT batch time, skipping batches that fall outside the NEFT
+   * window, on non-working Saturdays or on settlement holidays
+   * @param {Date} from - Time after which the batch must run
    * @returns {Date} Next batch processing time
    */
-  getNextBatchTime() {
-    const now = new Date();
-    const currentHour = now.getHours();
-    
-    // Find next batch time
-    const nextBatchHour = this.config.batchTimes.find(hour => hour > currentHour);
-    
-    if (nextBatchHour) {
-      const nextBatch = new Date(now);
-      nextBatch.setHours(nextBatchHour, 0, 0, 0);
-      return nextBatch;
-    } else {
-      // Next day's first batch
-      const nextBatch = new Date(now);
-      nextBatch.setDate(nextBatch.getDate() + 1);
-      nextBatch.setHours(this.config.batchTimes[0], 0, 0, 0);
-      return nextBatch;
-    }
+  getNextBatchTime(from = new Date()) {
+    return this.settlementCalendar.getNextBatchTime(this.networkName, this.config.batchTimes, from);
   }
 
   /**
    * Processes NEFT payment
    * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} options - { at, transactionId } when sending a warehoused payment
    * @returns {Promise<Object>} Processing result
    */
-  async processPayment(paymentInstruction) {
-    const transactionId = this.generateTransactionReference('NEFT');
+  async processPayment(paymentInstruction, options = {}) {
+    const { at = new Date(), transactionId = this.generateTransactionReference('NEFT') } = options;
     
     try {
       // Validate payment instruction
@@ -538,7 +749,12 @@ class NEFTAdapter extends BasePaymentNetworkAdapter {
         };
       }
 
-      const nextBatchTime = this.getNextBatchTime();
+      // Outside the settlement window: hold for the next valid slot
+      if (!this.isOpenForSettlement(at)) {
+        return this.warehousePayment(paymentInstruction, transactionId, at);
+      }
+
+      const nextBatchTime = this.getNextBatchTime(at);
       
       this.updateTransactionStatus(transactionId, PaymentStatus.PROCESSING, {
         ifscCode: paymentInstruction.ifscCode,
@@ -674,10 +890,11 @@ class UPIAdapter extends BasePaymentNetworkAdapter {
   /**
    * Processes UPI payment
    * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} options - { at, transactionId } when sending a warehoused payment
    * @returns {Promise<Object>} Processing result
    */
-  async processPayment(paymentInstruction) {
-    const transactionId = this.generateTransactionReference('UPI');
+  async processPayment(paymentInstruction, options = {}) {
+    const { at = new Date(), transactionId = this.generateTransactionReference('UPI') } = options;
     
     try {
       // Validate payment instruction
@@ -693,6 +910,11 @@ class UPIAdapter extends BasePaymentNetworkAdapter {
         };
       }
 
+      // Outside the settlement window: hold for the next valid slot
+      if (!this.isOpenForSettlement(at)) {
+        return this.warehousePayment(paymentInstruction, transactionId, at);
+      }
+
       this.updateTransactionStatus(transactionId, PaymentStatus.PROCESSING, {
         upiId: paymentInstruction.upiId,
         mobileNumber: paymentInstruction.mobileNumber
@@ -768,24 +990,286 @@ class UPIAdapter extends BasePaymentNetworkAdapter {
   }
 }
 
+/**
+ * IMPS (Immediate Payment Service) Adapter
+ * Handles instant domestic transfers to an MMID and mobile number or to an
+ * account number and IFSC, around the clock outside the daily maintenance window
+ */
+class IMPSAdapter extends BasePaymentNetworkAdapter {
+  constructor(config = {}) {
+    super('IMPS', {
+      timeout: 5000,
+      processingTime: 'Instant',
+      minAmount: 1,
+      mmidPattern: /^[0-9]{7}$/,
+      mobileNumberPattern: /^[0-9]{10}$/,
+      ...config
+    });
+  }
+
+  /**
+   * IMPS limit, fee slabs and beneficiary formats
+   * @returns {Object} { maxAmount, fees, beneficiary }
+   */
+  getRules() {
+    const { validation = {}, fees = {} } = appConfig.getBusinessRule('payment-processing');
+    return {
+      maxAmount: this.config.maxAmount ?? validation.amount?.maximum?.imps ?? 500000,
+      fees: fees.domestic?.imps || {},
+      beneficiary: validation.beneficiary?.validation || {}
+    };
+  }
+
+  /**
+   * Validates IMPS-specific payment instruction. The beneficiary is either an
+   * MMID with the registered mobile number or an account number with IFSC.
+   * @param {Object} paymentInstruction - Payment instruction
+   * @returns {Object} Validation result
+   */
+  validatePaymentInstruction(paymentInstruction) {
+    const baseValidation = super.validatePaymentInstruction(paymentInstruction);
+
+    if (!baseValidation.isValid) {
+      return baseValidation;
+    }
+
+    const errors = [];
+    const rules = this.getRules();
+
+    // IMPS-specific validations
+    if (paymentInstruction.amount < this.config.minAmount) {
+      errors.push(`Minimum amount for IMPS is ${this.config.minAmount}`);
+    }
+
+    if (paymentInstruction.amount > rules.maxAmount) {
+      errors.push(`Maximum amount for IMPS is ${rules.maxAmount}`);
+    }
+
+    if (paymentInstruction.currency !== Currency.INR) {
+      errors.push('IMPS only supports INR currency');
+    }
+
+    errors.push(...this.validateBeneficiary(paymentInstruction, rules.beneficiary));
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validates the IMPS beneficiary details
+   * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} patterns - Beneficiary formats from the business rules
+   * @returns {Array<string>} Validation errors
+   */
+  validateBeneficiary(paymentInstruction, patterns) {
+    const { mmid, mobileNumber, toAccount, ifscCode } = paymentInstruction;
+
+    if (mmid) {
+      const errors = [];
+      if (!this.config.mmidPattern.test(String(mmid))) {
+        errors.push('MMID must be 7 digits');
+      }
+      if (!mobileNumber || !this.config.mobileNumberPattern.test(String(mobileNumber))) {
+        errors.push('A 10-digit mobile number is required with the MMID');
+      }
+      return errors;
+    }
+
+    if (!ifscCode) {
+      return ['MMID and mobile number or IFSC code is required for IMPS transfers'];
+    }
+
+    const errors = [];
+    if (patterns.ifscCode && !patterns.ifscCode.test(ifscCode)) {
+      errors.push('Invalid IFSC code');
+    }
+    if (patterns.accountNumber && !patterns.accountNumber.test(String(toAccount))) {
+      errors.push('Invalid beneficiary account number');
+    }
+    return errors;
+  }
+
+  /**
+   * Checks if a time falls in the IMPS maintenance window. The window may
+   * cross midnight (e.g. 23:30 - 00:30).
+   * @param {Date} at - Time to check
+   * @returns {boolean} True if IMPS is down for maintenance
+   */
+  isWithinMaintenanceWindow(at = new Date()) {
+    return !this.isOpenForSettlement(at);
+  }
+
+  /**
+   * Whether an amount can go over IMPS at a given time
+   * @param {number} amount - Transfer amount
+   * @param {Date} at - Time the payment would be sent
+   * @returns {boolean} True if within the IMPS limit and outside maintenance
+   */
+  isAvailable(amount, at = new Date()) {
+    return amount >= this.config.minAmount &&
+      amount <= this.getRules().maxAmount &&
+      !this.isWithinMaintenanceWindow(at);
+  }
+
+  /**
+   * Processes IMPS payment. IMPS settles instantly, so a successful transfer
+   * is returned as settled; payments during maintenance are rejected with
+   * MAINTENANCE_WINDOW rather than held, as the sender expects an instant transfer.
+   * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} options - { at, transactionId }
+   * @returns {Promise<Object>} Processing result
+   */
+  async processPayment(paymentInstruction, options = {}) {
+    const { at = new Date(), transactionId = this.generateTransactionReference('IMPS') } = options;
+
+    try {
+      // Validate payment instruction
+      const validation = this.validatePaymentInstruction(paymentInstruction);
+      if (!validation.isValid) {
+        this.updateTransactionStatus(transactionId, PaymentStatus.FAILED, {
+          errors: validation.errors
+        });
+        return {
+          success: false,
+          transactionId,
+          errors: validation.errors
+        };
+      }
+
+      if (this.isWithinMaintenanceWindow(at)) {
+        const maintenance = this.settlementCalendar.getRules().timing.imps?.maintenance;
+        const window = maintenance ? ` (${maintenance.start} - ${maintenance.end})` : '';
+        const errors = [`IMPS is unavailable during the maintenance window${window}`];
+        this.updateTransactionStatus(transactionId, PaymentStatus.FAILED, { errors });
+        return {
+          success: false,
+          transactionId,
+          errorCode: 'MAINTENANCE_WINDOW',
+          errors
+        };
+      }
+
+      this.updateTransactionStatus(transactionId, PaymentStatus.PROCESSING, {
+        mmid: paymentInstruction.mmid,
+        mobileNumber: paymentInstruction.mobileNumber,
+        ifscCode: paymentInstruction.ifscCode
+      });
+
+      // Execute through circuit breaker
+      const result = await this.circuitBreaker.execute(async () => {
+        // Simulate IMPS processing
+        await this.simulateNetworkDelay(100);
+
+        // Simulate potential failures
+        if (Math.random() < 0.01) { // 1% failure rate
+          throw new Error('IMPS beneficiary bank not responding');
+        }
+
+        return await this.executeIMPSTransfer(paymentInstruction, transactionId);
+      });
+
+      this.updateTransactionStatus(transactionId, PaymentStatus.COMPLETED, {
+        impsReference: result.impsReference,
+        fees: result.fees,
+        settledAt: result.settledAt
+      });
+
+      return {
+        success: true,
+        transactionId,
+        impsReference: result.impsReference,
+        fees: result.fees,
+        settledAt: result.settledAt,
+        processingTime: this.config.processingTime,
+        networkName: this.networkName
+      };
+
+    } catch (error) {
+      this.updateTransactionStatus(transactionId, PaymentStatus.FAILED, {
+        error: error.message
+      });
+
+      return {
+        success: false,
+        transactionId,
+        error: error.message,
+        networkName: this.networkName
+      };
+    }
+  }
+
+  /**
+   * Executes IMPS transfer (mock implementation)
+   * @param {Object} paymentInstruction - Payment instruction
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object>} Transfer result
+   */
+  async executeIMPSTransfer(paymentInstruction, transactionId) {
+    // Mock IMPS processing; the RRN is a 12-digit retrieval reference number
+    const fees = this.calculateFees(paymentInstruction.amount);
+    const impsReference = `${String(Date.now()).slice(-6)}${String(Math.floor(Math.random() * 1000000)).padStart(6, '0')}`;
+    const settledAt = new Date();
+
+    return {
+      impsReference,
+      fees,
+      processedAt: settledAt,
+      settledAt
+    };
+  }
+
+  /**
+   * Calculates IMPS transfer fees from the configured slabs
+   * (upTo10K, upTo100K, ..., above200K)
+   * @param {number} amount - Transfer amount
+   * @returns {number} Total fees
+   */
+  calculateFees(amount) {
+    const slabs = Object.entries(this.getRules().fees);
+    const bounded = slabs
+      .map(([key, fee]) => ({ limit: Number(key.match(/^upTo(\d+)K$/)?.[1]) * 1000, fee }))
+      .filter(slab => slab.limit > 0)
+      .sort((a, b) => a.limit - b.limit);
+
+    const slab = bounded.find(candidate => amount <= candidate.limit);
+    if (slab) {
+      return slab.fee;
+    }
+
+    const above = slabs.find(([key]) => key.startsWith('above'));
+    return above ? above[1] : 0;
+  }
+}
+
 /**
  * Payment Rail Selector
  * Selects appropriate payment rail based on payment characteristics
  */
 class PaymentRailSelector {
-  constructor() {
+  /**
+   * @param {Object} options - { settlementCalendar, messageExchanges, warehouseRepository }
+   */
+  constructor(options = {}) {
+    this.settlementCalendar = options.settlementCalendar || new SettlementCalendar();
+    this.warehouseRepository = options.warehouseRepository || null;
+    this.messageExchanges = options.messageExchanges || {};
     this.adapters = new Map();
     this.initializeAdapters();
   }
 
   /**
-   * Initialize payment network adapters
+   * Initialize payment network adapters on a shared settlement calendar and
+   * warehouse; SWIFT and RTGS get their own ISO 20022 message exchange when configured
    */
   initializeAdapters() {
-    this.adapters.set(PaymentRail.SWIFT, new SWIFTAdapter());
-    this.adapters.set(PaymentRail.RTGS, new RTGSAdapter());
-    this.adapters.set(PaymentRail.NEFT, new NEFTAdapter());
-    this.adapters.set(PaymentRail.UPI, new UPIAdapter());
+    const options = { settlementCalendar: this.settlementCalendar, warehouseRepository: this.warehouseRepository };
+    this.adapters.set(PaymentRail.SWIFT, new SWIFTAdapter({ ...options, messageExchange: this.messageExchanges[PaymentRail.SWIFT] }));
+    this.adapters.set(PaymentRail.RTGS, new RTGSAdapter({ ...options, messageExchange: this.messageExchanges[PaymentRail.RTGS] }));
+    this.adapters.set(PaymentRail.NEFT, new NEFTAdapter(options));
+    this.adapters.set(PaymentRail.IMPS, new IMPSAdapter(options));
+    this.adapters.set(PaymentRail.UPI, new UPIAdapter(options));
   }
 
   /**
@@ -803,8 +1287,14 @@ class PaymentRailSelector {
 
     // Domestic transfers in INR
     if (currency === Currency.INR) {
-      // High-value transactions
+      const imps = this.getAdapter(PaymentRail.IMPS);
+      const instantOverIMPS = urgency === 'INSTANT' && imps && imps.isAvailable(amount);
+
+      // High-value transactions; instant ones go over IMPS outside RTGS hours
       if (amount >= 200000) {
+        if (instantOverIMPS && !this.getAdapter(PaymentRail.RTGS).isWithinOperatingHours()) {
+          return PaymentRail.IMPS;
+        }
         return PaymentRail.RTGS;
       }
       
@@ -812,6 +1302,11 @@ class PaymentRailSelector {
       if (amount <= 100000 && (urgency === 'INSTANT' || amount <= 1000)) {
         return PaymentRail.UPI;
       }
+
+      // Instant transfers above the UPI limit
+      if (instantOverIMPS) {
+        return PaymentRail.IMPS;
+      }
       
       // Medium amounts
       return PaymentRail.NEFT;
@@ -824,9 +1319,10 @@ class PaymentRailSelector {
   /**
    * Gets available payment rails for a payment instruction
    * @param {Object} paymentInstruction - Payment instruction
-   * @returns {Array} Available payment rails
+   * @param {Date} at - Time the payment would be sent
+   * @returns {Array} Available payment rails with the next slot each settles from
    */
-  getAvailablePaymentRails(paymentInstruction) {
+  getAvailablePaymentRails(paymentInstruction, at = new Date()) {
     const availableRails = [];
 
     for (const [rail, adapter] of this.adapters.entries()) {
@@ -835,7 +1331,8 @@ class PaymentRailSelector {
         availableRails.push({
           rail,
           processingTime: adapter.config.processingTime,
-          fees: adapter.calculateFees ? adapter.calculateFees(paymentInstruction.amount) : 0
+          fees: adapter.calculateFees ? adapter.calculateFees(paymentInstruction.amount) : 0,
+          availableFrom: this.settlementCalendar.getNextSlot(rail, at)
         });
       }
     }
@@ -856,9 +1353,10 @@ class PaymentRailSelector {
    * Processes payment through selected rail
    * @param {string} paymentRail - Selected payment rail
    * @param {Object} paymentInstruction - Payment instruction
+   * @param {Object} options - { at, transactionId } passed to the adapter
    * @returns {Promise<Object>} Processing result
    */
-  async processPayment(paymentRail, paymentInstruction) {
+  async processPayment(paymentRail, paymentInstruction, options = {}) {
     const adapter = this.getAdapter(paymentRail);
     
     if (!adapter) {
@@ -868,7 +1366,20 @@ class PaymentRailSelector {
       };
     }
 
-    return await adapter.processPayment(paymentInstruction);
+    return await adapter.processPayment(paymentInstruction, options);
+  }
+
+  /**
+   * Sends warehoused payments on every network whose settlement slot has arrived
+   * @param {Date} asOf - Current time
+   * @returns {Promise<Array>} Processing results
+   */
+  async releaseWarehousedPayments(asOf = new Date()) {
+    const results = [];
+    for (const adapter of this.adapters.values()) {
+      results.push(...await adapter.releaseWarehousedPayments(asOf));
+    }
+    return results;
   }
 
   /**
@@ -898,8 +1409,11 @@ class PaymentRailSelector {
  * Manages all payment network adapters and provides unified interface
  */
 class PaymentNetworkIntegrationManager {
-  constructor() {
-    this.paymentRailSelector = new PaymentRailSelector();
+  /**
+   * @param {Object} options - { paymentRailSelector }
+   */
+  constructor(options = {}) {
+    this.paymentRailSelector = options.paymentRailSelector || new PaymentRailSelector();
     this.transactionStatusCache = new Map();
     this.networkHealthStatus = new Map();
     this.initializeHealthMonitoring();
@@ -909,7 +1423,7 @@ class PaymentNetworkIntegrationManager {
    * Initialize health monitoring for all payment networks
    */
   initializeHealthMonitoring() {
-    const networks = [PaymentRail.SWIFT, PaymentRail.RTGS, PaymentRail.NEFT, PaymentRail.UPI];
+    const networks = [PaymentRail.SWIFT, PaymentRail.RTGS, PaymentRail.NEFT, PaymentRail.IMPS, PaymentRail.UPI];
     
     networks.forEach(network => {
       this.networkHealthStatus.set(network, {
@@ -1160,6 +1674,7 @@ class PaymentNetworkIntegrationManager {
       'SWIFT': 3 * 24 * 60 * 60 * 1000, // 3 days
       'RTGS': 0, // Real-time
       'NEFT': 4 * 60 * 60 * 1000, // 4 hours
+      'IMPS': 0, // Instant
       'UPI': 0 // Instant
     };
 
@@ -1202,6 +1717,7 @@ module.exports = {
   SWIFTAdapter,
   RTGSAdapter,
   NEFTAdapter,
+  IMPSAdapter,
   UPIAdapter,
   PaymentRailSelector,
   PaymentNetworkIntegrationManager
@@ -2,6 +2,7 @@
 // Automated regulatory report generation and compliance monitoring
 
 const { v4: uuidv4 } = require('uuid');
+const { CTRGenerator, CTRFormat } = require('./cash-transaction-reporting');
 
 /**
  * Regulatory Report Types
@@ -12,7 +13,8 @@ const ReportType = {
   TRANSACTION_MONITORING: 'TRANSACTION_MONITORING',
   AUDIT_TRAIL: 'AUDIT_TRAIL',
   OPERATIONAL_METRICS: 'OPERATIONAL_METRICS',
-  CUSTOMER_DUE_DILIGENCE: 'CUSTOMER_DUE_DILIGENCE'
+  CUSTOMER_DUE_DILIGENCE: 'CUSTOMER_DUE_DILIGENCE',
+  CASH_TRANSACTION: 'CASH_TRANSACTION'
 };
 
 /**
@@ -22,7 +24,9 @@ const ReportStatus = {
   GENERATING: 'GENERATING',
   COMPLETED: 'COMPLETED',
   FAILED: 'FAILED',
-  SUBMITTED: 'SUBMITTED'
+  SUBMITTED: 'SUBMITTED',
+  ACKNOWLEDGED: 'ACKNOWLEDGED', // Accepted by the regulator
+  REJECTED: 'REJECTED'          // Returned by the regulator for correction
 };
 
 /**
@@ -50,6 +54,7 @@ class RegulatoryReportingModule {
     this.auditService = auditService;
     this.amlModule = amlModule;
     this.kycModule = kycModule;
+    this.ctrGenerator = amlModule?.ctrGenerator || new CTRGenerator();
     this.reports = new Map();
     this.reportingSchedule = new Map();
     this.complianceViolations = [];
@@ -219,6 +224,89 @@ class RegulatoryReportingModule {
     }
   }
 
+  /**
+   * Generate Cash Transaction Report (CTR) from the cash transactions
+   * screened by AML
+   * @param {Object} reportingPeriod - Start and end dates
+   * @param {string} generatedBy - User generating the report
+   * @returns {RegulatoryReport} Generated report
+   */
+  async generateCashTransactionReport(reportingPeriod, generatedBy) {
+    const report = new RegulatoryReport(ReportType.CASH_TRANSACTION, reportingPeriod, generatedBy);
+    
+    try {
+      const { threshold, timeLimit } = this.ctrGenerator.getRules();
+      const reports = await this.ctrGenerator.aggregate(reportingPeriod);
+
+      report.data = {
+        reportingPeriod,
+        threshold,
+        reports,
+        statistics: {
+          reportableCustomers: new Set(reports.map(entry => entry.customerId)).size,
+          customerDays: reports.length,
+          transactionCount: reports.reduce((count, entry) => count + entry.transactions.length, 0),
+          totalCashDeposits: reports.reduce((sum, entry) => sum + entry.totalCashDeposits, 0),
+          totalCashWithdrawals: reports.reduce((sum, entry) => sum + entry.totalCashWithdrawals, 0)
+        },
+        summary: `Cash Transaction Report for ${reportingPeriod.startDate.toISOString().split('T')[0]} to ${reportingPeriod.endDate.toISOString().split('T')[0]}`
+      };
+      report.metadata.filingDueBy = new Date(reportingPeriod.endDate.getTime() + timeLimit * 1000);
+
+      report.status = ReportStatus.COMPLETED;
+      this.reports.set(report.reportId, report);
+
+      if (this.auditService) {
+        await this.auditService.log('REGULATORY_REPORT', report.reportId, 'GENERATED', generatedBy, null, report);
+      }
+
+      return report;
+    } catch (error) {
+      report.status = ReportStatus.FAILED;
+      report.metadata.error = error.message;
+      this.reports.set(report.reportId, report);
+      throw error;
+    }
+  }
+
+  /**
+   * Export a Cash Transaction Report as a regulator filing
+   * @param {string} reportId - CTR report ID
+   * @param {string} format - CTRFormat.XML (FIU-IND) or CTRFormat.CSV
+   * @returns {Object} { format, fileName, contentType, content }
+   */
+  exportCashTransactionReport(reportId, format = CTRFormat.XML) {
+    const report = this.reports.get(reportId);
+    if (!report) {
+      throw new Error(`Report not found: ${reportId}`);
+    }
+
+    if (report.reportType !== ReportType.CASH_TRANSACTION) {
+      throw new Error(`Report is not a cash transaction report: ${report.reportType}`);
+    }
+
+    if (report.status === ReportStatus.GENERATING || report.status === ReportStatus.FAILED) {
+      throw new Error(`Report not ready for export: ${report.status}`);
+    }
+
+    const filing = {
+      batchNumber: reportId,
+      batchDate: report.generatedAt,
+      reportingPeriod: report.reportingPeriod,
+      reports: report.data.reports
+    };
+    const fileName = `CTR_${report.reportingPeriod.endDate.toISOString().split('T')[0]}_${reportId}`;
+
+    switch ((format || '').toUpperCase()) {
+      case CTRFormat.XML:
+        return { format: CTRFormat.XML, fileName: `${fileName}.xml`, contentType: 'application/xml', content: this.ctrGenerator.toXML(filing) };
+      case CTRFormat.CSV:
+        return { format: CTRFormat.CSV, fileName: `${fileName}.csv`, contentType: 'text/csv', content: this.ctrGenerator.toCSV(filing) };
+      default:
+        throw new Error(`Unsupported CTR export format: ${format}`);
+    }
+  }
+
   /**
    * Submit report to regulatory authorities
    * @param {string} reportId - Report ID to submit
@@ -254,6 +342,52 @@ class RegulatoryReportingModule {
     }
   }
 
+  /**
+   * Record the regulator's acknowledgement of a submitted report
+   * @param {string} reportId - Submitted report ID
+   * @param {Object} acknowledgement - { accepted, acknowledgementNumber, remarks }
+   * @param {string} recordedBy - User recording the acknowledgement
+   * @returns {RegulatoryReport} Updated report
+   */
+  async recordFilingAcknowledgement(reportId, acknowledgement, recordedBy) {
+    const report = this.reports.get(reportId);
+    if (!report) {
+      throw new Error(`Report not found: ${reportId}`);
+    }
+
+    if (report.status !== ReportStatus.SUBMITTED) {
+      throw new Error(`Report has not been submitted: ${report.status}`);
+    }
+
+    const { accepted, acknowledgementNumber = null, remarks = null } = acknowledgement;
+    if (accepted && !acknowledgementNumber) {
+      throw new Error('Acknowledgement number is required for an accepted filing');
+    }
+
+    report.status = accepted ? ReportStatus.ACKNOWLEDGED : ReportStatus.REJECTED;
+    report.metadata.acknowledgement = {
+      acknowledgementNumber,
+      remarks,
+      recordedBy,
+      recordedAt: new Date()
+    };
+
+    if (this.auditService) {
+      await this.auditService.log('REGULATORY_REPORT', reportId, accepted ? 'ACKNOWLEDGED' : 'REJECTED', recordedBy, null, report.metadata.acknowledgement);
+    }
+
+    return report;
+  }
+
+  /**
+   * Get a generated report
+   * @param {string} reportId - Report ID
+   * @returns {RegulatoryReport|null} Report
+   */
+  getReport(reportId) {
+    return this.reports.get(reportId) || null;
+  }
+
   /**
    * Detect compliance violations in real-time
    * @param {Object} event - System event to check for violations
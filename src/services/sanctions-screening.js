@@ -0,0 +1,652 @@
+// Sanctions Screening Service
+// Sanctions list ingestion and fuzzy name matching
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Sanctions list entry types
+ */
+const SanctionEntryType = {
+  INDIVIDUAL: 'INDIVIDUAL',
+  ENTITY: 'ENTITY',
+  VESSEL: 'VESSEL',
+  AIRCRAFT: 'AIRCRAFT'
+};
+
+/**
+ * How a screened name matched a list entry
+ */
+const SanctionMatchType = {
+  EXACT: 'EXACT',
+  PHONETIC: 'PHONETIC',
+  FUZZY: 'FUZZY'
+};
+
+// Characters NFKD does not decompose to ASCII
+const LATIN_TRANSLITERATIONS = {
+  'ß': 'SS', 'Æ': 'AE', 'æ': 'AE', 'Œ': 'OE', 'œ': 'OE', 'Ø': 'O', 'ø': 'O',
+  'Ł': 'L', 'ł': 'L', 'Đ': 'D', 'đ': 'D', 'Þ': 'TH', 'þ': 'TH', 'Ð': 'D', 'ð': 'D', 'ı': 'I'
+};
+
+// Russian/Ukrainian Cyrillic to Latin, following common passport romanization
+const CYRILLIC_TRANSLITERATIONS = {
+  'А': 'A', 'Б': 'B', 'В': 'V', 'Г': 'G', 'Д': 'D', 'Е': 'E', 'Ё': 'E', 'Ж': 'ZH', 'З': 'Z',
+  'И': 'I', 'Й': 'I', 'К': 'K', 'Л': 'L', 'М': 'M', 'Н': 'N', 'О': 'O', 'П': 'P', 'Р': 'R',
+  'С': 'S', 'Т': 'T', 'У': 'U', 'Ф': 'F', 'Х': 'KH', 'Ц': 'TS', 'Ч': 'CH', 'Ш': 'SH', 'Щ': 'SHCH',
+  'Ъ': '', 'Ы': 'Y', 'Ь': '', 'Э': 'E', 'Ю': 'IU', 'Я': 'IA', 'І': 'I', 'Ї': 'I', 'Є': 'IE', 'Ґ': 'G'
+};
+
+// Titles and legal-form suffixes that carry no identifying information
+const NOISE_TOKENS = new Set([
+  'MR', 'MRS', 'MS', 'MISS', 'DR', 'PROF', 'SIR',
+  'LTD', 'LIMITED', 'LLC', 'INC', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'PVT', 'PLC', 'SA', 'GMBH', 'AG'
+]);
+
+/**
+ * Normalize a name for matching: transliterate to Latin, strip diacritics,
+ * upper-case, drop punctuation, titles and legal suffixes
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name (space separated tokens)
+ */
+function normalizeName(name) {
+  if (!name) {
+    return '';
+  }
+
+  const transliterated = Array.from(String(name).toUpperCase())
+    .map(char => CYRILLIC_TRANSLITERATIONS[char] ?? LATIN_TRANSLITERATIONS[char] ?? char)
+    .join('');
+
+  return transliterated
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NOISE_TOKENS.has(token))
+    .join(' ');
+}
+
+/**
+ * Jaro-Winkler similarity
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[k]) {
+        k++;
+      }
+      if (a[i] !== b[k]) {
+        transpositions++;
+      }
+      k++;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * American Soundex code of a single token
+ * @param {string} token - Upper-case token
+ * @returns {string} Four character code
+ */
+function soundex(token) {
+  const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+  const letters = token.replace(/[^A-Z]/g, '');
+  if (!letters) {
+    return token;
+  }
+
+  let code = letters[0];
+  let previous = codes[letters[0]] || 0;
+  for (let i = 1; i < letters.length && code.length < 4; i++) {
+    const current = codes[letters[i]] || 0;
+    if (current && current !== previous) {
+      code += current;
+    }
+    // H and W do not separate letters with the same code; vowels do
+    if (letters[i] !== 'H' && letters[i] !== 'W') {
+      previous = current;
+    }
+  }
+
+  return code.padEnd(4, '0');
+}
+
+/**
+ * Phonetic key of a normalized name - sorted Soundex codes of its tokens
+ * @param {string} normalizedName - Output of normalizeName()
+ * @returns {string} Phonetic key
+ */
+function phoneticKey(normalizedName) {
+  return normalizedName.split(' ').filter(Boolean).map(soundex).sort().join(' ');
+}
+
+/**
+ * Score two normalized names. Takes the best of whole-string, token-sorted
+ * and per-token similarity so word order and missing middle names do not
+ * hide a match.
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  let score = Math.max(
+    jaroWinkler(a, b),
+    jaroWinkler([...tokensA].sort().join(' '), [...tokensB].sort().join(' '))
+  );
+
+  // Every token of the shorter name must find a counterpart in the longer one
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  if (shorter.length >= 2) {
+    const tokenScore = shorter
+      .map(token => Math.max(...longer.map(candidate => jaroWinkler(token, candidate))))
+      .reduce((sum, value) => sum + value, 0) / shorter.length;
+    score = Math.max(score, tokenScore);
+  }
+
+  return score;
+}
+
+/**
+ * Extract the text of every occurrence of a child element
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name (namespace prefixes are ignored)
+ * @returns {string[]} Element contents
+ */
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  const values = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    values.push(match[1]);
+  }
+  return values;
+}
+
+/**
+ * Text of the first occurrence of a child element
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name
+ * @returns {string|null} Decoded text
+ */
+function xmlText(xml, tag) {
+  const [value] = xmlElements(xml, tag);
+  return value === undefined ? null : decodeXml(value.trim());
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Split one CSV line, honouring quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  // OFAC CSV files use -0- for empty fields
+  return fields.map(field => (field.trim() === '-0-' ? '' : field.trim()));
+}
+
+function csvLines(content) {
+  return content.split(/\r?\n/).filter(line => line.trim());
+}
+
+/**
+ * Sanctions list parsers, keyed by format
+ */
+const SanctionListParsers = {
+  /**
+   * OFAC SDN list (sdn.xml)
+   */
+  OFAC_XML(content) {
+    return xmlElements(content, 'sdnEntry').map(entry => {
+      // Top-level fields only - aliases and addresses repeat the same tags
+      const own = entry.replace(/<(\w+List)>[\s\S]*?<\/\1>/g, '');
+      const lastName = xmlText(own, 'lastName') || '';
+      const firstName = xmlText(own, 'firstName') || '';
+      const sdnType = (xmlText(own, 'sdnType') || '').toUpperCase();
+
+      return {
+        entryId: xmlText(own, 'uid'),
+        name: [firstName, lastName].filter(Boolean).join(' '),
+        type: sdnType === 'INDIVIDUAL' ? SanctionEntryType.INDIVIDUAL :
+          SanctionEntryType[sdnType] || SanctionEntryType.ENTITY,
+        aliases: xmlElements(entry, 'aka').map(aka =>
+          [xmlText(aka, 'firstName'), xmlText(aka, 'lastName')].filter(Boolean).join(' ')
+        ),
+        programs: xmlElements(entry, 'program').map(decodeXml),
+        nationalities: xmlElements(entry, 'nationality').map(n => xmlText(n, 'country')).filter(Boolean),
+        datesOfBirth: xmlElements(entry, 'dateOfBirthItem').map(d => xmlText(d, 'dateOfBirth')).filter(Boolean)
+      };
+    });
+  },
+
+  /**
+   * OFAC SDN list in CSV form (sdn.csv). Aliases come from alt.csv, passed
+   * as options.aliasContent.
+   */
+  OFAC_CSV(content, options = {}) {
+    const aliases = new Map();
+    if (options.aliasContent) {
+      csvLines(options.aliasContent).forEach(line => {
+        const [entNum, , , altName] = parseCsvLine(line);
+        if (!aliases.has(entNum)) {
+          aliases.set(entNum, []);
+        }
+        aliases.get(entNum).push(altName);
+      });
+    }
+
+    return csvLines(content).map(line => {
+      const [entNum, sdnName, sdnType, program] = parseCsvLine(line);
+      // OFAC CSV names are "LAST, First"
+      const [last, first] = sdnName.split(',').map(part => part.trim());
+      return {
+        entryId: entNum,
+        name: first ? `${first} ${last}` : last,
+        type: (sdnType || '').toLowerCase() === 'individual' ? SanctionEntryType.INDIVIDUAL : SanctionEntryType.ENTITY,
+        aliases: aliases.get(entNum) || [],
+        programs: program ? program.split(/[\s;]+/).filter(Boolean) : [],
+        nationalities: [],
+        datesOfBirth: []
+      };
+    });
+  },
+
+  /**
+   * UN Security Council consolidated list (consolidated.xml)
+   */
+  UN_XML(content) {
+    const nameOf = (xml) => ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME']
+      .map(tag => xmlText(xml, tag))
+      .filter(Boolean)
+      .join(' ');
+
+    const individuals = xmlElements(content, 'INDIVIDUAL').map(entry => ({
+      entryId: xmlText(entry, 'REFERENCE_NUMBER') || xmlText(entry, 'DATAID'),
+      name: nameOf(entry),
+      type: SanctionEntryType.INDIVIDUAL,
+      aliases: xmlElements(entry, 'INDIVIDUAL_ALIAS').map(alias => xmlText(alias, 'ALIAS_NAME')).filter(Boolean),
+      programs: [xmlText(entry, 'UN_LIST_TYPE')].filter(Boolean),
+      nationalities: xmlElements(entry, 'NATIONALITY').map(n => xmlText(n, 'VALUE')).filter(Boolean),
+      datesOfBirth: xmlElements(entry, 'INDIVIDUAL_DATE_OF_BIRTH')
+        .map(d => xmlText(d, 'DATE') || xmlText(d, 'YEAR'))
+        .filter(Boolean)
+    }));
+
+    const entities = xmlElements(content, 'ENTITY').map(entry => ({
+      entryId: xmlText(entry, 'REFERENCE_NUMBER') || xmlText(entry, 'DATAID'),
+      name: nameOf(entry),
+      type: SanctionEntryType.ENTITY,
+      aliases: xmlElements(entry, 'ENTITY_ALIAS').map(alias => xmlText(alias, 'ALIAS_NAME')).filter(Boolean),
+      programs: [xmlText(entry, 'UN_LIST_TYPE')].filter(Boolean),
+      nationalities: [],
+      datesOfBirth: []
+    }));
+
+    return [...individuals, ...entities];
+  },
+
+  /**
+   * Bank-maintained list with header: id,name,type,aliases,programs,nationality,dateOfBirth
+   * Multiple aliases or programs are separated by semicolons.
+   */
+  CSV(content) {
+    const [header, ...lines] = csvLines(content);
+    const columns = parseCsvLine(header).map(column => column.toLowerCase());
+    const split = value => (value ? value.split(';').map(part => part.trim()).filter(Boolean) : []);
+
+    return lines.map(line => {
+      const fields = parseCsvLine(line);
+      const row = Object.fromEntries(columns.map((column, index) => [column, fields[index] || '']));
+      return {
+        entryId: row.id,
+        name: row.name,
+        type: (row.type || '').toUpperCase() === SanctionEntryType.INDIVIDUAL ? SanctionEntryType.INDIVIDUAL : SanctionEntryType.ENTITY,
+        aliases: split(row.aliases),
+        programs: split(row.programs),
+        nationalities: split(row.nationality),
+        datesOfBirth: split(row.dateofbirth)
+      };
+    });
+  }
+};
+
+/**
+ * Pick a parser from the file extension and list name
+ * @param {string} filePath - List file
+ * @param {string} listName - List name (ofac, un, ...)
+ * @returns {string} Parser format
+ */
+function detectFormat(filePath, listName) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.xml') {
+    return listName === 'un' ? 'UN_XML' : 'OFAC_XML';
+  }
+  return listName === 'ofac' ? 'OFAC_CSV' : 'CSV';
+}
+
+/**
+ * SanctionsScreeningEngine - Holds ingested sanctions lists and scores names
+ * against them. Thresholds and matching switches come from the
+ * aml-compliance sanctionsScreening business rules, read per screening.
+ */
+class SanctionsScreeningEngine {
+  constructor() {
+    this.entries = new Map(); // listName -> entries[]
+    this.listMetadata = new Map(); // listName -> { source, loadedAt, entryCount }
+  }
+
+  /**
+   * Replace a list's entries
+   * @param {string} listName - List name matching a sanctionsScreening.lists key
+   * @param {Array} entries - Parsed entries
+   * @param {string} source - Where the entries came from
+   * @returns {number} Number of entries loaded
+   */
+  loadEntries(listName, entries, source = 'inline') {
+    const prepared = entries
+      .filter(entry => entry.name)
+      .map(entry => {
+        const names = [entry.name, ...(entry.aliases || [])]
+          .map(name => ({ name, normalized: normalizeName(name) }))
+          .filter(candidate => candidate.normalized);
+
+        return {
+          listName,
+          entryId: entry.entryId ? String(entry.entryId) : normalizeName(entry.name),
+          name: entry.name,
+          type: entry.type || SanctionEntryType.INDIVIDUAL,
+          aliases: entry.aliases || [],
+          programs: entry.programs || [],
+          nationalities: entry.nationalities || [],
+          datesOfBirth: entry.datesOfBirth || [],
+          names: names.map((candidate, index) => ({
+            ...candidate,
+            isAlias: index > 0,
+            phonetic: phoneticKey(candidate.normalized)
+          }))
+        };
+      });
+
+    this.entries.set(listName, prepared);
+    this.listMetadata.set(listName, { source, loadedAt: new Date(), entryCount: prepared.length });
+    return prepared.length;
+  }
+
+  /**
+   * Ingest a list file from disk
+   * @param {string} listName - List name (ofac, un, eu, local)
+   * @param {string} filePath - Path to the XML or CSV file
+   * @param {Object} options - { format, aliasFile } format overrides detection;
+   *   aliasFile is the OFAC alt.csv companion to sdn.csv
+   * @returns {number} Number of entries loaded
+   */
+  loadListFile(listName, filePath, options = {}) {
+    return this.loadListFiles(listName, [{ path: filePath, ...options }]);
+  }
+
+  /**
+   * Ingest several files into one list, replacing its current entries
+   * @param {string} listName - List name
+   * @param {Array} files - [{ path, format, aliasFile }]
+   * @returns {number} Number of entries loaded
+   */
+  loadListFiles(listName, files) {
+    const entries = files.flatMap(file => {
+      const format = file.format || detectFormat(file.path, listName);
+      const parser = SanctionListParsers[format];
+      if (!parser) {
+        throw new Error(`Unsupported sanctions list format: ${format}`);
+      }
+
+      const content = fs.readFileSync(file.path, 'utf8');
+      const aliasContent = file.aliasFile ? fs.readFileSync(file.aliasFile, 'utf8') : null;
+      return parser(content, { aliasContent });
+    });
+
+    return this.loadEntries(listName, entries, files.map(file => file.path).join(', '));
+  }
+
+  /**
+   * Current screening rules
+   * @returns {Object} sanctionsScreening business rules
+   */
+  getRules() {
+    const rules = config.getBusinessRule('aml-compliance').sanctionsScreening || {};
+    return {
+      lists: rules.lists || {},
+      matchingCriteria: {
+        exactMatch: true,
+        fuzzyMatch: true,
+        phoneticMatch: true,
+        aliasMatch: true,
+        ...rules.matchingCriteria
+      },
+      defaultMatchThreshold: rules.defaultMatchThreshold || 0.85,
+      phoneticMatchScore: rules.phoneticMatchScore || 0.9,
+      maxHitsPerName: rules.maxHitsPerName || 10
+    };
+  }
+
+  /**
+   * Screen a name against every enabled list
+   * @param {string} name - Name to screen
+   * @param {Object} options - { type, dateOfBirth, minScore } type restricts the
+   *   entry type; minScore overrides list thresholds
+   * @returns {Array} Hits, best first: { listName, entryId, entry, matchedName,
+   *   isAlias, score, matchType, threshold }
+   */
+  screenName(name, options = {}) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+      return [];
+    }
+
+    const rules = this.getRules();
+    const criteria = rules.matchingCriteria;
+    const phonetic = phoneticKey(normalized);
+    const hits = [];
+
+    for (const [listName, entries] of this.entries.entries()) {
+      const listRules = rules.lists[listName] || {};
+      if (listRules.enabled === false) {
+        continue;
+      }
+      const threshold = options.minScore ?? listRules.matchThreshold ?? rules.defaultMatchThreshold;
+
+      for (const entry of entries) {
+        if (options.type && entry.type !== options.type) {
+          continue;
+        }
+
+        let best = null;
+        for (const candidate of entry.names) {
+          if (candidate.isAlias && !criteria.aliasMatch) {
+            continue;
+          }
+
+          let score = 0;
+          let matchType = null;
+          if (candidate.normalized === normalized) {
+            if (criteria.exactMatch || criteria.fuzzyMatch) {
+              score = 1;
+              matchType = SanctionMatchType.EXACT;
+            }
+          } else {
+            if (criteria.fuzzyMatch) {
+              score = nameSimilarity(normalized, candidate.normalized);
+              matchType = SanctionMatchType.FUZZY;
+            }
+            if (criteria.phoneticMatch && candidate.phonetic === phonetic) {
+              score = Math.max(score, rules.phoneticMatchScore);
+              matchType = SanctionMatchType.PHONETIC;
+            }
+          }
+
+          if (matchType && (!best || score > best.score)) {
+            best = { candidate, score, matchType };
+          }
+        }
+
+        if (best && best.score >= threshold) {
+          hits.push({
+            listName,
+            entryId: entry.entryId,
+            entry: this.describeEntry(entry),
+            screenedName: name,
+            matchedName: best.candidate.name,
+            isAlias: best.candidate.isAlias,
+            score: Math.round(best.score * 1000) / 1000,
+            matchType: best.matchType,
+            threshold,
+            dateOfBirthMatch: this.compareDateOfBirth(options.dateOfBirth, entry.datesOfBirth)
+          });
+        }
+      }
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score)
+      .slice(0, rules.maxHitsPerName);
+  }
+
+  /**
+   * Compare a subject's date of birth with the entry's recorded dates
+   * @param {Date|string} dateOfBirth - Subject date of birth
+   * @param {string[]} datesOfBirth - Entry dates (full dates or years)
+   * @returns {boolean|null} null when either side is unknown
+   */
+  compareDateOfBirth(dateOfBirth, datesOfBirth) {
+    if (!dateOfBirth || datesOfBirth.length === 0) {
+      return null;
+    }
+    const date = new Date(dateOfBirth);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    const iso = date.toISOString().slice(0, 10);
+    const year = String(date.getUTCFullYear());
+    return datesOfBirth.some(value => value === iso || value === year || value.includes(year));
+  }
+
+  /**
+   * Public view of a list entry
+   * @param {Object} entry - Prepared entry
+   * @returns {Object} Entry without matching internals
+   */
+  describeEntry(entry) {
+    return {
+      listName: entry.listName,
+      entryId: entry.entryId,
+      name: entry.name,
+      type: entry.type,
+      aliases: entry.aliases,
+      programs: entry.programs,
+      nationalities: entry.nationalities,
+      datesOfBirth: entry.datesOfBirth
+    };
+  }
+
+  /**
+   * Loaded lists and their sizes
+   * @returns {Array} { listName, source, loadedAt, entryCount }
+   */
+  getLoadedLists() {
+    return Array.from(this.listMetadata.entries()).map(([listName, metadata]) => ({ listName, ...metadata }));
+  }
+}
+
+module.exports = {
+  SanctionsScreeningEngine,
+  SanctionListParsers,
+  SanctionEntryType,
+  SanctionMatchType,
+  normalizeName,
+  jaroWinkler,
+  soundex
+};
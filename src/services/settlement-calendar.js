@@ -0,0 +1,317 @@
+// Settlement Calendar
+// Business days, settlement holidays and rail operating windows from the payment-processing business rules
+
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FULL_DAY = { start: '00:00', end: '24:00' };
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Converts an HH:MM string (or a whole hour) to minutes past midnight
+ * @param {string|number} time - Time in HH:MM format or an hour
+ * @returns {number} Minutes past midnight
+ */
+function toMinutes(time) {
+  if (typeof time === 'number') {
+    return time * 60;
+  }
+  const [hours, minutes = 0] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Checks whether a time falls inside a window; windows may wrap past midnight
+ * @param {number} minutes - Minutes past midnight
+ * @param {Object} window - Window with start and end in HH:MM format
+ * @returns {boolean} True if inside the window
+ */
+function isWithinWindow(minutes, window) {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, weekday, minutes }
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Instant at which a calendar day reaches a wall-clock time in a time zone
+ * @param {Object} day - { year, month, day }
+ * @param {number} minutes - Minutes past midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTime(day, minutes, timeZone) {
+  const wallClock = Date.UTC(day.year, day.month - 1, day.day, 0, minutes);
+  let instant = wallClock;
+
+  // Two passes settle the offset across a daylight-saving change
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = zonedParts(new Date(instant), timeZone);
+    const seen = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes);
+    instant += wallClock - seen;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Calendar day a number of days after another
+ * @param {Object} day - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {Object} { year, month, day, weekday }
+ */
+function addDays(day, days) {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day) + days * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+/**
+ * YYYY-MM-DD for a calendar day
+ * @param {Object} day - { year, month, day }
+ * @returns {string} Calendar date
+ */
+function dateKey(day) {
+  return `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+}
+
+/**
+ * Settlement Calendar - Decides when each payment rail settles: business
+ * days, settlement holidays, non-working Saturdays and the per-rail windows
+ * in validation.timing, all read in the configured time zone
+ */
+class SettlementCalendar {
+  /**
+   * @param {Object} options - { holidays: { [year]: ['YYYY-MM-DD', ...] } }
+   */
+  constructor({ holidays = {} } = {}) {
+    this.loadedHolidays = new Map();
+
+    for (const [year, dates] of Object.entries(holidays)) {
+      this.loadHolidays(year, dates);
+    }
+  }
+
+  /**
+   * Calendar rules and rail timings
+   * @returns {Object} { timeZone, nonWorkingSaturdays, holidays, maximumLookaheadDays, timing }
+   */
+  getRules() {
+    const rules = config.getBusinessRule('payment-processing');
+    const calendar = rules.settlementCalendar || {};
+    return {
+      timeZone: calendar.timeZone || 'Asia/Kolkata',
+      nonWorkingSaturdays: calendar.nonWorkingSaturdays || [],
+      holidays: calendar.holidays || {},
+      maximumLookaheadDays: calendar.maximumLookaheadDays || 31,
+      timing: rules.validation?.timing || {}
+    };
+  }
+
+  /**
+   * Loads the settlement holidays for a year, replacing any loaded earlier.
+   * Configured holidays for the year still apply.
+   * @param {number|string} year - Calendar year
+   * @param {Array<string>} dates - Holidays as YYYY-MM-DD
+   */
+  loadHolidays(year, dates) {
+    for (const date of dates) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !date.startsWith(`${year}-`)) {
+        throw new Error(`Invalid holiday date for ${year}: ${date}`);
+      }
+    }
+
+    this.loadedHolidays.set(Number(year), new Set(dates));
+  }
+
+  /**
+   * Settlement holidays for a year, configured and loaded
+   * @param {number} year - Calendar year
+   * @returns {Array<string>} Holidays as YYYY-MM-DD, sorted
+   */
+  getHolidays(year) {
+    const configured = this.getRules().holidays[year] || [];
+    const loaded = this.loadedHolidays.get(Number(year)) || [];
+    return [...new Set([...configured, ...loaded])].sort();
+  }
+
+  /**
+   * Whether a date is a settlement holiday
+   * @param {Date} date - Date to check
+   * @returns {boolean}
+   */
+  isHoliday(date) {
+    const day = zonedParts(date, this.getRules().timeZone);
+    return this.getHolidays(day.year).includes(dateKey(day));
+  }
+
+  /**
+   * Whether a date is a business day: not a Sunday, a non-working Saturday
+   * or a settlement holiday
+   * @param {Date} date - Date to check
+   * @returns {boolean}
+   */
+  isBusinessDay(date) {
+    const day = zonedParts(date, this.getRules().timeZone);
+    return day.weekday !== 0 &&
+      !this.isNonWorkingSaturday(day) &&
+      !this.getHolidays(day.year).includes(dateKey(day));
+  }
+
+  /**
+   * Whether a calendar day is one of the configured non-working Saturdays
+   * @param {Object} day - { day, weekday }
+   * @returns {boolean}
+   */
+  isNonWorkingSaturday(day) {
+    return day.weekday === 6 && this.getRules().nonWorkingSaturdays.includes(Math.ceil(day.day / 7));
+  }
+
+  /**
+   * Operating window of a rail on a calendar day. Rails with
+   * `holidays: false` are closed on settlement holidays; rails with a
+   * Saturday window are closed on non-working Saturdays.
+   * @param {string} rail - Payment rail
+   * @param {Object} day - { year, month, day, weekday }
+   * @returns {Object|null} { start, end } in HH:MM, or null when closed all day
+   */
+  getDayWindow(rail, day) {
+    const timing = this.getRules().timing[rail.toLowerCase()];
+
+    if (!timing || timing.available === '24x7') {
+      return FULL_DAY;
+    }
+
+    if (timing.available === '24x5') {
+      return day.weekday === 0 || day.weekday === 6 ? null : FULL_DAY;
+    }
+
+    if (timing.holidays === false && this.getHolidays(day.year).includes(dateKey(day))) {
+      return null;
+    }
+
+    if (day.weekday === 0) {
+      return timing.sunday || null;
+    }
+
+    if (day.weekday === 6) {
+      return this.isNonWorkingSaturday(day) ? null : timing.saturday || null;
+    }
+
+    return timing.weekdays || null;
+  }
+
+  /**
+   * Whether a rail accepts payments for settlement at a time
+   * @param {string} rail - Payment rail
+   * @param {Date} at - Time to check
+   * @returns {boolean}
+   */
+  isOpen(rail, at = new Date()) {
+    const { timeZone, timing } = this.getRules();
+    const day = zonedParts(at, timeZone);
+    const window = this.getDayWindow(rail, day);
+    const maintenance = timing[rail.toLowerCase()]?.maintenance;
+
+    return Boolean(window) &&
+      isWithinWindow(day.minutes, window) &&
+      !(maintenance && isWithinWindow(day.minutes, maintenance));
+  }
+
+  /**
+   * Earliest time at or after `from` when a rail accepts payments
+   * @param {string} rail - Payment rail
+   * @param {Date} from - Earliest acceptable time
+   * @returns {Date} Next settlement slot
+   */
+  getNextSlot(rail, from = new Date()) {
+    if (this.isOpen(rail, from)) {
+      return new Date(from);
+    }
+
+    const maintenance = this.getRules().timing[rail.toLowerCase()]?.maintenance;
+    const openings = (window) => [window.start, maintenance?.end].filter(Boolean).map(toMinutes).sort((a, b) => a - b);
+
+    return this.findSlot(rail, from, openings, 'settlement slot');
+  }
+
+  /**
+   * Next batch after `from` that falls inside the rail's operating window
+   * @param {string} rail - Payment rail
+   * @param {Array<string|number>} batchTimes - Batch times as HH:MM or hours
+   * @param {Date} from - Time after which the batch must run
+   * @returns {Date} Next batch time
+   */
+  getNextBatchTime(rail, batchTimes, from = new Date()) {
+    const minutes = batchTimes.map(toMinutes).sort((a, b) => a - b);
+    return this.findSlot(rail, from, () => minutes, 'batch');
+  }
+
+  /**
+   * Walks forward day by day for the first candidate time after `from`
+   * when the rail is open
+   * @param {string} rail - Payment rail
+   * @param {Date} from - Start time
+   * @param {Function} candidates - (window) => minutes past midnight to try
+   * @param {string} label - What is being looked for, for the error
+   * @returns {Date} First open candidate
+   */
+  findSlot(rail, from, candidates, label) {
+    const { timeZone, maximumLookaheadDays } = this.getRules();
+    const start = zonedParts(from, timeZone);
+
+    for (let offset = 0; offset <= maximumLookaheadDays; offset++) {
+      const day = addDays(start, offset);
+      const window = this.getDayWindow(rail, day);
+      if (!window) {
+        continue;
+      }
+
+      for (const minutes of candidates(window)) {
+        const at = zonedTime(day, minutes, timeZone);
+        if (at > from && this.isOpen(rail, at)) {
+          return at;
+        }
+      }
+    }
+
+    throw new Error(`No ${rail} ${label} within ${maximumLookaheadDays} days`);
+  }
+}
+
+module.exports = {
+  SettlementCalendar,
+  zonedParts
+};
@@ -10,6 +10,8 @@ const {
   TransactionStatus,
   LoanType,
   ApplicationStatus,
+  UnderwritingOutcome,
+  ApplicantRole,
   KYCStatus,
   Currency,
   PaymentType,
@@ -180,17 +182,21 @@ class Transaction {
 
 // Loan Application Data Structure
 class LoanApplication {
-  constructor(customerId, loanType, requestedAmount, purpose) {
+  constructor(customerId, loanType, requestedAmount, purpose, requestedTenure = null) {
     this.applicationId = uuidv4();
     this.customerId = customerId;
     this.loanType = loanType;
     this.requestedAmount = requestedAmount;
+    this.requestedTenure = requestedTenure; // months
+    this.rateType = null; // RateType requested; the product default when null
     this.purpose = purpose;
     this.documents = [];
+    this.parties = []; // Co-applicants and guarantors; customerId is the primary applicant
     this.creditScore = null;
     this.riskAssessment = null;
     this.status = ApplicationStatus.SUBMITTED;
     this.decision = null;
+    this.disbursement = null;
     this.assignedOfficer = null;
     this.createdAt = new Date();
     this.updatedAt = new Date();
@@ -219,6 +225,41 @@ class LoanApplication {
     return document;
   }
 
+  // details: { relationship, monthlyIncome, monthlyDebts }
+  addParty(customerId, role, details = {}) {
+    if (![ApplicantRole.CO_APPLICANT, ApplicantRole.GUARANTOR].includes(role)) {
+      throw new Error(`Invalid party role: ${role}`);
+    }
+    if (customerId === this.customerId || this.parties.some(party => party.customerId === customerId)) {
+      throw new Error(`Customer ${customerId} is already a party to this application`);
+    }
+
+    const party = {
+      partyId: uuidv4(),
+      customerId,
+      role,
+      relationship: details.relationship || null,
+      monthlyIncome: details.monthlyIncome ?? null,
+      monthlyDebts: details.monthlyDebts ?? 0,
+      creditScore: null,
+      creditAssessedAt: null,
+      addedAt: new Date()
+    };
+    this.parties.push(party);
+    try {
+      this.validate();
+    } catch (error) {
+      this.parties.pop();
+      throw error;
+    }
+    this.updatedAt = new Date();
+    return party;
+  }
+
+  getParties(role = null) {
+    return role ? this.parties.filter(party => party.role === role) : this.parties;
+  }
+
   setCreditScore(score) {
     if (score < 300 || score > 850) {
       throw new Error('Credit score must be between 300 and 850');
@@ -227,16 +268,25 @@ class LoanApplication {
     this.updatedAt = new Date();
   }
 
-  makeDecision(approved, approvedAmount = null, interestRate = null, terms = null, reason = null) {
+  // underwriting: { outcome, scorecard, conditions, ltv }; referred applications stay under review
+  makeDecision(approved, approvedAmount = null, interestRate = null, terms = null, reason = null, pricing = null, underwriting = null) {
     this.decision = {
       approved,
       approvedAmount,
       interestRate,
       terms,
       decisionDate: new Date(),
-      decisionReason: reason
+      decisionReason: reason,
+      pricing,
+      outcome: underwriting?.outcome || null,
+      scorecard: underwriting?.scorecard || null,
+      conditions: underwriting?.conditions || [],
+      ltv: underwriting?.ltv || null,
+      adverseActionReasons: underwriting?.adverseActionReasons || []
     };
-    this.status = approved ? ApplicationStatus.APPROVED : ApplicationStatus.REJECTED;
+    this.status = underwriting?.outcome === UnderwritingOutcome.REFER
+      ? ApplicationStatus.UNDER_REVIEW
+      : approved ? ApplicationStatus.APPROVED : ApplicationStatus.REJECTED;
     this.updatedAt = new Date();
     this.validate();
   }
@@ -287,6 +337,7 @@ class PaymentOrder {
     this.maxRetries = 3;
     this.createdAt = new Date();
     this.processedAt = null;
+    this.scheduledFor = null; // Settlement slot of a warehoused payment
     this.failureReason = null;
 
     // Validate the payment order
@@ -320,6 +371,12 @@ class PaymentOrder {
     this.validate();
   }
 
+  markWarehoused(scheduledFor) {
+    this.status = PaymentStatus.WAREHOUSED;
+    this.scheduledFor = scheduledFor;
+    this.validate();
+  }
+
   markFailed(reason) {
     this.status = PaymentStatus.FAILED;
     this.processedAt = new Date();
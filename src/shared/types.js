@@ -41,7 +41,8 @@ const TransactionType = {
   WITHDRAWAL: 'WITHDRAWAL',
   TRANSFER: 'TRANSFER',
   PAYMENT: 'PAYMENT',
-  FEE: 'FEE'
+  FEE: 'FEE',
+  LOAN_DISBURSEMENT: 'LOAN_DISBURSEMENT'
 };
 
 // Transaction Status
@@ -71,6 +72,79 @@ const ApplicationStatus = {
   CANCELLED: 'CANCELLED'
 };
 
+// Loan Disbursement Status
+const DisbursementStatus = {
+  PENDING: 'PENDING',
+  PARTIALLY_DISBURSED: 'PARTIALLY_DISBURSED',
+  DISBURSED: 'DISBURSED'
+};
+
+// Underwriting Scorecard Outcome
+const UnderwritingOutcome = {
+  APPROVE: 'APPROVE',
+  CONDITIONAL_APPROVAL: 'CONDITIONAL_APPROVAL',
+  REFER: 'REFER',
+  REJECT: 'REJECT'
+};
+
+// Conditional Approval Condition
+const ApprovalConditionType = {
+  ADDITIONAL_COLLATERAL: 'ADDITIONAL_COLLATERAL',
+  GUARANTOR: 'GUARANTOR',
+  REDUCED_AMOUNT: 'REDUCED_AMOUNT'
+};
+
+// Conditional Approval Condition Status
+const ConditionStatus = {
+  PENDING: 'PENDING',
+  CLEARED: 'CLEARED'
+};
+
+// Loan Application Party Role
+const ApplicantRole = {
+  PRIMARY: 'PRIMARY',
+  CO_APPLICANT: 'CO_APPLICANT',
+  GUARANTOR: 'GUARANTOR'
+};
+
+// Adverse-Action Reason Code (principal reasons given for declining credit)
+const AdverseActionCode = {
+  CREDIT_HISTORY_UNAVAILABLE: 'AA01',
+  CREDIT_SCORE: 'AA02',
+  AMOUNT_EXCEEDS_MAXIMUM: 'AA03',
+  EXCESSIVE_OBLIGATIONS: 'AA04',
+  INSUFFICIENT_INCOME: 'AA05',
+  INCOMPLETE_APPLICATION: 'AA06',
+  TERM_EXCEEDS_MAXIMUM: 'AA07',
+  INSUFFICIENT_COLLATERAL: 'AA08',
+  CO_APPLICANT_CREDIT: 'AA09',
+  GUARANTOR_CREDIT: 'AA10',
+  LIMITED_RELATIONSHIP: 'AA11',
+  UNVERIFIABLE_INFORMATION: 'AA12',
+  CREDIT_EVALUATION: 'AA13',
+  PROCESSING_ERROR: 'AA14'
+};
+
+// Loan Collateral Type
+const CollateralType = {
+  PROPERTY: 'PROPERTY',
+  VEHICLE: 'VEHICLE',
+  SECURITIES: 'SECURITIES',
+  FIXED_DEPOSIT: 'FIXED_DEPOSIT'
+};
+
+// Loan Collateral Status
+const CollateralStatus = {
+  AVAILABLE: 'AVAILABLE',
+  PLEDGED: 'PLEDGED'
+};
+
+// Loan Interest Rate Type
+const RateType = {
+  FIXED: 'FIXED',
+  FLOATING: 'FLOATING'
+};
+
 // KYC Status
 const KYCStatus = {
   NOT_STARTED: 'NOT_STARTED',
@@ -101,6 +175,7 @@ const PaymentStatus = {
   PENDING: 'PENDING',
   VALIDATING: 'VALIDATING',
   PROCESSING: 'PROCESSING',
+  WAREHOUSED: 'WAREHOUSED',
   COMPLETED: 'COMPLETED',
   FAILED: 'FAILED',
   CANCELLED: 'CANCELLED',
@@ -112,11 +187,62 @@ const PaymentRail = {
   SWIFT: 'SWIFT',
   RTGS: 'RTGS',
   NEFT: 'NEFT',
+  IMPS: 'IMPS',
   UPI: 'UPI',
   ACH: 'ACH',
   WIRE: 'WIRE'
 };
 
+// Bulk Payment Batch Status
+const BulkPaymentStatus = {
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  PROCESSING: 'PROCESSING',
+  COMPLETED: 'COMPLETED',
+  PARTIALLY_COMPLETED: 'PARTIALLY_COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// Scheduled Payment Frequency
+const ScheduleFrequency = {
+  ONCE: 'ONCE', // Future-dated one-off payment
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  END_OF_MONTH: 'END_OF_MONTH'
+};
+
+// Standing Instruction Status
+const StandingInstructionStatus = {
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Outcome of one scheduled occurrence of a standing instruction
+const ScheduledOccurrenceStatus = {
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED'
+};
+
+// Ledger Account Types
+const LedgerAccountType = {
+  ASSET: 'ASSET',
+  LIABILITY: 'LIABILITY',
+  EQUITY: 'EQUITY',
+  INCOME: 'INCOME',
+  EXPENSE: 'EXPENSE'
+};
+
+// Posting Direction
+const PostingDirection = {
+  DEBIT: 'DEBIT',
+  CREDIT: 'CREDIT'
+};
+
 module.exports = {
   AccountType,
   AccountStatus,
@@ -126,9 +252,24 @@ module.exports = {
   TransactionStatus,
   LoanType,
   ApplicationStatus,
+  DisbursementStatus,
+  UnderwritingOutcome,
+  ApprovalConditionType,
+  ConditionStatus,
+  ApplicantRole,
+  CollateralType,
+  CollateralStatus,
+  AdverseActionCode,
+  RateType,
   KYCStatus,
   Currency,
   PaymentType,
   PaymentStatus,
-  PaymentRail
+  PaymentRail,
+  BulkPaymentStatus,
+  ScheduleFrequency,
+  StandingInstructionStatus,
+  ScheduledOccurrenceStatus,
+  LedgerAccountType,
+  PostingDirection
 };
\ No newline at end of file
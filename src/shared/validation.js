@@ -8,6 +8,12 @@ const {
   TransactionStatus,
   LoanType,
   ApplicationStatus,
+  DisbursementStatus,
+  UnderwritingOutcome,
+  ConditionStatus,
+  ApplicantRole,
+  AdverseActionCode,
+  RateType,
   KYCStatus,
   Currency,
   PaymentType,
@@ -81,6 +87,7 @@ const transactionSchema = Joi.object({
   description: Joi.string().min(1).max(200).required(),
   counterparty: Joi.object({
     name: Joi.string().min(1).max(100).required(),
+    accountId: Joi.string().optional(),
     accountNumber: Joi.string().optional(),
     bankCode: Joi.string().optional(),
     address: Joi.string().optional()
@@ -97,6 +104,8 @@ const loanApplicationSchema = Joi.object({
   customerId: Joi.string().uuid().required(),
   loanType: Joi.string().valid(...Object.values(LoanType)).required(),
   requestedAmount: Joi.number().positive().precision(2).required(),
+  requestedTenure: Joi.number().integer().positive().optional().allow(null),
+  rateType: Joi.string().valid(...Object.values(RateType)).optional().allow(null),
   purpose: Joi.string().min(1).max(500).required(),
   documents: Joi.array().items(Joi.object({
     documentType: Joi.string().required(),
@@ -104,6 +113,17 @@ const loanApplicationSchema = Joi.object({
     uploadDate: Joi.date().required(),
     verified: Joi.boolean().default(false)
   })).default([]),
+  parties: Joi.array().items(Joi.object({
+    partyId: Joi.string().uuid().required(),
+    customerId: Joi.string().uuid().required(),
+    role: Joi.string().valid(ApplicantRole.CO_APPLICANT, ApplicantRole.GUARANTOR).required(),
+    relationship: Joi.string().max(50).optional().allow(null),
+    monthlyIncome: Joi.number().min(0).optional().allow(null),
+    monthlyDebts: Joi.number().min(0).default(0),
+    creditScore: Joi.number().min(300).max(850).optional().allow(null),
+    creditAssessedAt: Joi.date().optional().allow(null),
+    addedAt: Joi.date().required()
+  })).default([]),
   creditScore: Joi.number().min(300).max(850).optional().allow(null),
   riskAssessment: Joi.object({
     riskScore: Joi.number().min(0).max(100).required(),
@@ -117,7 +137,39 @@ const loanApplicationSchema = Joi.object({
     interestRate: Joi.number().min(0).max(100).optional().allow(null),
     terms: Joi.alternatives().try(Joi.string(), Joi.object()).optional().allow(null),
     decisionDate: Joi.date().required(),
-    decisionReason: Joi.string().optional().allow(null)
+    decisionReason: Joi.string().optional().allow(null),
+    pricing: Joi.object().optional().allow(null),
+    outcome: Joi.string().valid(...Object.values(UnderwritingOutcome)).optional().allow(null),
+    scorecard: Joi.object().optional().allow(null),
+    conditions: Joi.array().items(Joi.object({
+      conditionId: Joi.string().uuid().required(),
+      type: Joi.string().required(),
+      description: Joi.string().required(),
+      details: Joi.object().default({}),
+      status: Joi.string().valid(...Object.values(ConditionStatus)).required(),
+      clearedBy: Joi.string().optional().allow(null),
+      clearedAt: Joi.date().optional().allow(null),
+      notes: Joi.string().optional().allow(null, '')
+    })).default([]),
+    ltv: Joi.object().optional().allow(null),
+    adverseActionReasons: Joi.array().items(Joi.object({
+      code: Joi.string().valid(...Object.values(AdverseActionCode)).required(),
+      description: Joi.string().required()
+    }).unknown(true)).default([]),
+    signedOffBy: Joi.string().optional().allow(null),
+    signedOffAt: Joi.date().optional().allow(null),
+    signOffComments: Joi.string().optional().allow(null, '')
+  }).optional().allow(null),
+  disbursement: Joi.object({
+    status: Joi.string().valid(...Object.values(DisbursementStatus)).required(),
+    accountId: Joi.string().optional().allow(null),
+    currency: Joi.string().required(),
+    sanctionedAmount: Joi.number().positive().required(),
+    disbursedAmount: Joi.number().min(0).required(),
+    processingFee: Joi.number().min(0).required(),
+    processingFeeCollected: Joi.boolean().default(false),
+    tranches: Joi.array().items(Joi.object()).default([]),
+    completedAt: Joi.date().optional().allow(null)
   }).optional().allow(null),
   assignedOfficer: Joi.string().uuid().optional().allow(null),
   createdAt: Joi.date().required(),
@@ -155,6 +207,7 @@ const paymentOrderSchema = Joi.object({
   maxRetries: Joi.number().min(0).default(3),
   createdAt: Joi.date().required(),
   processedAt: Joi.date().optional().allow(null),
+  scheduledFor: Joi.date().optional().allow(null),
   failureReason: Joi.string().optional().allow(null)
 });
 